@@ -0,0 +1,144 @@
+import express, { type Express, type Request, type Response, type NextFunction } from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
+import { config } from './config';
+import { FileManager } from './utils/fileManager';
+import { v1Router } from './routes/v1';
+import { requestLogger } from './middleware/requestLogger';
+import { MetricsController } from './controllers/metricsController';
+import { logger } from './utils/logger';
+import type { ApiResponse } from './controllers/compilerController';
+
+/**
+ * Error shape produced by Express and body-parser (e.g. malformed JSON)
+ */
+interface HttpError extends Error {
+  status?: number;
+  statusCode?: number;
+}
+
+/**
+ * Creates the Express application with middleware and routes mounted.
+ * Kept separate from `listen` so the app can be exercised with supertest.
+ */
+export function createApp(): Express {
+  const app = express();
+
+  // Request IDs and logs cover every request, including rejected ones
+  app.use(requestLogger);
+
+  // Security middleware
+  app.use(
+    helmet({
+      contentSecurityPolicy: {
+        directives: {
+          defaultSrc: ["'self'"],
+          styleSrc: ["'self'", "'unsafe-inline'"],
+          scriptSrc: ["'self'"],
+          imgSrc: ["'self'", 'data:', 'https:'],
+        },
+      },
+      crossOriginEmbedderPolicy: false,
+      hsts: {
+        maxAge: 31536000,
+        includeSubDomains: true,
+        preload: true,
+      },
+    })
+  );
+
+  // CORS configuration
+  app.use(
+    cors({
+      origin: config.cors.origins,
+      credentials: true,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key', 'X-Request-Id'],
+      exposedHeaders: ['X-Request-Id'],
+      optionsSuccessStatus: 200,
+    })
+  );
+
+  // Body parsing middleware
+  // Large enough for 200,000-character projects and base64 contract wasm
+  app.use(express.json({ limit: '512kb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Routes
+  app.get('/', (_, res) =>
+    res.send('Hello from Backend!' + '<br>' + 'The best online soroban compiler is coming...')
+  );
+
+  app.use('/api/v1', v1Router);
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', MetricsController.metrics);
+
+  // Test endpoint for fileManager functionality
+  app.post('/api/test-filemanager', async (req, res) => {
+    try {
+      const {
+        projectName = 'test-project',
+        code = 'pub fn hello() -> &\'static str { "Hello, Soroban!" }',
+      } = req.body;
+
+      // Test project creation using FileManager class
+      const project = await FileManager.createProject({
+        code,
+        projectName,
+      });
+
+      // Success response
+      const response = {
+        success: true,
+        projectPath: project.projectPath,
+        sourcePath: project.sourcePath,
+        cargoPath: project.cargoPath,
+        message: 'FileManager test completed successfully - Rust project created and cleaned up',
+      };
+
+      // Cleanup
+      await project.cleanup();
+
+      res.json(response);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      });
+    }
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      message: `Route ${req.originalUrl} not found`,
+      error: 'Not Found',
+    } as ApiResponse);
+  });
+
+  // Error handling middleware
+  app.use((err: HttpError, _req: Request, res: Response, _next: NextFunction) => {
+    const status = err.status ?? err.statusCode ?? 500;
+
+    // Client errors (e.g. malformed JSON) are safe to echo back
+    if (status >= 400 && status < 500) {
+      res.status(status).json({
+        success: false,
+        message: 'Invalid request',
+        error: err.message,
+      } as ApiResponse);
+      return;
+    }
+
+    logger.error('Unhandled error', { error: err });
+    res.status(500).json({
+      success: false,
+      message: 'Internal Server Error',
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    } as ApiResponse);
+  });
+
+  return app;
+}
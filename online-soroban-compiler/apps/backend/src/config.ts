@@ -0,0 +1,289 @@
+import { randomBytes } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import type { SandboxRunnerName } from './utils/sandbox';
+import type { LogLevel } from './utils/logger';
+import { DEFAULT_DEPENDENCY_POLICY } from './utils/cargoManifest';
+
+/**
+ * Reads a positive integer from the environment, falling back to a default
+ *
+ * @param name - Environment variable name
+ * @param fallback - Value used when the variable is unset or invalid
+ */
+function intFromEnv(name: string, fallback: number): number {
+  const value = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Reads a boolean flag (`true`/`1` or `false`/`0`) from the environment
+ *
+ * @param name - Environment variable name
+ * @param fallback - Value used when the variable is unset or invalid
+ */
+function boolFromEnv(name: string, fallback: boolean): boolean {
+  const value = process.env[name]?.toLowerCase();
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  return fallback;
+}
+
+/**
+ * Reads a comma-separated list from the environment
+ *
+ * @param name - Environment variable name
+ * @param fallback - Value used when the variable is unset or empty
+ */
+function listFromEnv(name: string, fallback: string[]): string[] {
+  const values = (process.env[name] ?? '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter((value) => value.length > 0);
+  return values.length > 0 ? values : fallback;
+}
+
+/**
+ * Reads the dependency allowlist, a JSON object mapping crate names to the
+ * version requirement allowed for them, e.g. `{"soroban-token-sdk": "^22"}`
+ */
+function allowlistFromEnv(): Record<string, string> {
+  const value = process.env.DEPENDENCY_ALLOWLIST;
+  if (!value) {
+    return DEFAULT_DEPENDENCY_POLICY.allowed;
+  }
+
+  try {
+    const parsed: unknown = JSON.parse(value);
+    if (
+      typeof parsed === 'object' &&
+      parsed !== null &&
+      !Array.isArray(parsed) &&
+      Object.values(parsed).every((requirement) => typeof requirement === 'string')
+    ) {
+      return parsed as Record<string, string>;
+    }
+  } catch {
+    // Fall back to the defaults below
+  }
+  return DEFAULT_DEPENDENCY_POLICY.allowed;
+}
+
+/**
+ * Reads the API keys, a comma-separated list of `user:key` pairs, into a map
+ * from each key to the ID of the user it authenticates
+ */
+function apiKeysFromEnv(): Record<string, string> {
+  const apiKeys: Record<string, string> = {};
+  for (const entry of listFromEnv('API_KEYS', [])) {
+    const separator = entry.indexOf(':');
+    const user = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator > 0 && key.length > 0) {
+      apiKeys[key] = user;
+    }
+  }
+  return apiKeys;
+}
+
+/**
+ * Reads the sandbox implementation, sandboxing by default in production
+ */
+function sandboxRunnerFromEnv(): SandboxRunnerName {
+  const value = process.env.SANDBOX_RUNNER;
+  if (value === 'none' || value === 'bubblewrap') {
+    return value;
+  }
+  return process.env.NODE_ENV === 'production' ? 'bubblewrap' : 'none';
+}
+
+/**
+ * Reads the minimum level of log entries; nothing is logged under jest unless
+ * `LOG_LEVEL` is set
+ */
+function logLevelFromEnv(): LogLevel {
+  const value = process.env.LOG_LEVEL?.toLowerCase();
+  if (
+    value === 'debug' ||
+    value === 'info' ||
+    value === 'warn' ||
+    value === 'error' ||
+    value === 'silent'
+  ) {
+    return value;
+  }
+  return process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+}
+
+/**
+ * Runtime configuration for the compiler backend
+ */
+export const config = {
+  /** HTTP port the server listens on */
+  port: intFromEnv('PORT', 3000),
+  cors: {
+    /** Origins of editors allowed to call the API and open language server sessions */
+    origins: listFromEnv('CORS_ORIGINS', ['http://localhost:4200']),
+  },
+  auth: {
+    /** Whether builds, snippets and deployments need a signed-in user */
+    required: boolFromEnv('AUTH_REQUIRED', false),
+    /** API keys mapped to the ID of the user each one signs in */
+    apiKeys: apiKeysFromEnv(),
+    /** Secret signing bearer tokens; a random one invalidates tokens on every restart */
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || randomBytes(32).toString('hex'),
+    /** How long a bearer token stays valid */
+    tokenTtlMs: intFromEnv('AUTH_TOKEN_TTL_MS', 12 * 60 * 60_000),
+  },
+  jobs: {
+    /** Maximum number of builds running at the same time */
+    concurrency: intFromEnv('JOB_CONCURRENCY', 2),
+    /** Maximum number of jobs waiting for a worker */
+    maxQueued: intFromEnv('JOB_MAX_QUEUED', 50),
+    /** Timeout for a single build step of a queued job */
+    timeoutMs: intFromEnv('JOB_TIMEOUT_MS', 300_000),
+    /** How long finished jobs stay available for polling */
+    retentionMs: intFromEnv('JOB_RETENTION_MS', 15 * 60_000),
+  },
+  cache: {
+    /** Whether builds share target directories and reuse cached results (off under jest) */
+    enabled: boolFromEnv('BUILD_CACHE_ENABLED', process.env.NODE_ENV !== 'test'),
+    /** Directory holding cached results and shared cargo target directories */
+    dir: process.env.BUILD_CACHE_DIR || join(tmpdir(), 'soroban-build-cache'),
+    /** Maximum number of cached results before the least recently used are evicted */
+    maxEntries: intFromEnv('BUILD_CACHE_MAX_ENTRIES', 200),
+  },
+  sandbox: {
+    /** Isolation for build commands: `bubblewrap`, or `none` to run them directly on the host */
+    runner: sandboxRunnerFromEnv(),
+    limits: {
+      /** CPU time of each build process in seconds */
+      cpuSeconds: intFromEnv('SANDBOX_CPU_SECONDS', 300),
+      /** Address space of each build process in megabytes */
+      memoryMb: intFromEnv('SANDBOX_MEMORY_MB', 4096),
+      /** Maximum number of processes in a sandbox */
+      pids: intFromEnv('SANDBOX_PIDS', 256),
+    },
+  },
+  history: {
+    /** Whether compile and test runs are recorded (off under jest) */
+    enabled: boolFromEnv('BUILD_HISTORY_ENABLED', process.env.NODE_ENV !== 'test'),
+    /** Directory holding recorded runs; point it at persistent storage in production */
+    dir: process.env.BUILD_HISTORY_DIR || join(tmpdir(), 'soroban-build-history'),
+    /** Runs kept per user and project before the oldest are deleted */
+    maxRuns: intFromEnv('BUILD_HISTORY_MAX_RUNS', 50),
+  },
+  janitor: {
+    /** Whether stale temporary projects are removed periodically (off under jest) */
+    enabled: boolFromEnv('TEMP_JANITOR_ENABLED', process.env.NODE_ENV !== 'test'),
+    /** Time between sweeps */
+    intervalMs: intFromEnv('TEMP_JANITOR_INTERVAL_MS', 10 * 60_000),
+    /** Projects no build is using are removed once they are this old */
+    maxAgeMs: intFromEnv('TEMP_JANITOR_MAX_AGE_MS', 60 * 60_000),
+    /** Total size of temporary projects above which the oldest unused ones are removed */
+    maxTotalBytes: intFromEnv('TEMP_JANITOR_MAX_MB', 2048) * 1024 * 1024,
+  },
+  shutdown: {
+    /** How long running jobs and requests may take to finish on SIGINT/SIGTERM */
+    drainTimeoutMs: intFromEnv('SHUTDOWN_DRAIN_TIMEOUT_MS', 30_000),
+  },
+  health: {
+    /** How long a readiness report is served before its checks run again */
+    cacheTtlMs: intFromEnv('HEALTH_CACHE_TTL_MS', 10_000),
+    /** Free space in the temp directory below which the service is not ready */
+    minFreeDiskBytes: intFromEnv('HEALTH_MIN_FREE_DISK_MB', 1024) * 1024 * 1024,
+    /** Timeout of each version command run by readiness checks */
+    commandTimeoutMs: intFromEnv('HEALTH_COMMAND_TIMEOUT_MS', 5000),
+    canary: {
+      /** Whether readiness includes compiling a tiny contract (off under jest) */
+      enabled: boolFromEnv('HEALTH_CANARY_ENABLED', process.env.NODE_ENV !== 'test'),
+      /** Time between canary builds while they succeed */
+      intervalMs: intFromEnv('HEALTH_CANARY_INTERVAL_MS', 5 * 60_000),
+    },
+  },
+  snippets: {
+    /** Directory holding saved snippets; point it at persistent storage in production */
+    dir: process.env.SNIPPETS_DIR || join(tmpdir(), 'soroban-snippets'),
+    /** Most snippets kept; saving beyond it fails until an operator frees space */
+    maxSnippets: intFromEnv('SNIPPETS_MAX_COUNT', 100_000),
+  },
+  dependencies: {
+    /** Crates projects may add, mapped to the version requirement they must stay within */
+    allowed: allowlistFromEnv(),
+    /** soroban-sdk versions projects can choose from; the first is the default */
+    sdkVersions: listFromEnv('SOROBAN_SDK_VERSIONS', DEFAULT_DEPENDENCY_POLICY.sdkVersions),
+  },
+  toolchains: {
+    /** Installed toolchains builds may select, e.g. `stable` or `1.81.0`; empty offers all of them */
+    allowed: listFromEnv('RUST_TOOLCHAINS', []),
+    /** Timeout for each rustup and rustc command run while discovering toolchains */
+    timeoutMs: intFromEnv('TOOLCHAIN_DISCOVERY_TIMEOUT_MS', 10_000),
+  },
+  network: {
+    /** RPC endpoint of the local network contracts are deployed to */
+    rpcUrl: process.env.STELLAR_RPC_URL || 'http://localhost:8000/rpc',
+    /** Passphrase of that network; the default is the standalone network's */
+    networkPassphrase:
+      process.env.STELLAR_NETWORK_PASSPHRASE || 'Standalone Network ; February 2017',
+    /** stellar CLI identity used to deploy and invoke; generated and funded on first use */
+    sourceAccount: process.env.STELLAR_SOURCE_ACCOUNT || 'soroban-ide',
+    /** Timeout for each deploy or invoke command */
+    timeoutMs: intFromEnv('NETWORK_TIMEOUT_MS', 60_000),
+    /** Maximum number of deployments that stay invokable */
+    maxDeployments: intFromEnv('NETWORK_MAX_DEPLOYMENTS', 100),
+  },
+  format: {
+    /** Timeout for formatting a project with rustfmt */
+    timeoutMs: intFromEnv('FORMAT_TIMEOUT_MS', 10_000),
+  },
+  rateLimit: {
+    /** Whether requests are limited per client (off under jest) */
+    enabled: boolFromEnv('RATE_LIMIT_ENABLED', process.env.NODE_ENV !== 'test'),
+    /** Length of the window requests are counted in */
+    windowMs: intFromEnv('RATE_LIMIT_WINDOW_MS', 60_000),
+    /** Requests a client may make per window, by kind */
+    limits: {
+      compile: intFromEnv('RATE_LIMIT_COMPILE', 10),
+      test: intFromEnv('RATE_LIMIT_TEST', 10),
+      lint: intFromEnv('RATE_LIMIT_LINT', 20),
+      format: intFromEnv('RATE_LIMIT_FORMAT', 30),
+      snippet: intFromEnv('RATE_LIMIT_SNIPPET', 10),
+      deploy: intFromEnv('RATE_LIMIT_DEPLOY', 5),
+      invoke: intFromEnv('RATE_LIMIT_INVOKE', 30),
+    },
+    /** Build command time in seconds a client may use per UTC day */
+    dailyCpuSeconds: intFromEnv('RATE_LIMIT_DAILY_CPU_SECONDS', 3600),
+  },
+  languageServer: {
+    /** rust-analyzer executable */
+    command: process.env.RUST_ANALYZER_PATH || 'rust-analyzer',
+    /** Crates vendored with `cargo vendor`; without it rust-analyzer cannot resolve soroban-sdk offline */
+    vendorDir: process.env.LSP_VENDOR_DIR || undefined,
+    /** Maximum number of editor sessions, each running its own rust-analyzer */
+    maxSessions: intFromEnv('LSP_MAX_SESSIONS', 8),
+    /** Maximum number of editor sessions a single client may run at once */
+    maxSessionsPerClient: intFromEnv('LSP_MAX_SESSIONS_PER_CLIENT', 2),
+    /** Sessions without a message from the editor for this long are closed */
+    idleTimeoutMs: intFromEnv('LSP_IDLE_TIMEOUT_MS', 10 * 60_000),
+  },
+  costs: {
+    /** Maximum number of builds whose cost reports are kept for comparison */
+    maxReports: intFromEnv('COST_MAX_REPORTS', 200),
+  },
+  admin: {
+    /** Token required in the `X-Admin-Token` header; admin endpoints are disabled when unset */
+    token: process.env.ADMIN_TOKEN || undefined,
+  },
+  logging: {
+    /** Minimum level of the JSON lines written to stdout */
+    level: logLevelFromEnv(),
+  },
+  metrics: {
+    /** Bearer token Prometheus must send to scrape `/metrics`; open to everyone when unset */
+    token: process.env.METRICS_TOKEN || undefined,
+  },
+};
@@ -0,0 +1,134 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { buildCache, type CacheEntrySummary, type CacheStats } from '../services/buildCache';
+import { usageLimiter, type ClientUsage } from '../services/usageLimiter';
+import { tempJanitor, type JanitorStats, type SweepResult } from '../services/tempJanitor';
+
+/**
+ * Interface for cache responses
+ */
+export interface CacheResponse extends ApiResponse {
+  /** Cache counters */
+  stats?: CacheStats;
+  /** Stored results, most recently used first */
+  entries?: CacheEntrySummary[];
+  /** Number of entries removed */
+  removed?: number;
+}
+
+/**
+ * Interface for usage responses
+ */
+export interface UsageResponse extends ApiResponse {
+  /** Clients seen today, busiest first */
+  clients?: ClientUsage[];
+}
+
+/**
+ * Interface for temporary project janitor responses
+ */
+export interface JanitorResponse extends ApiResponse {
+  /** What the janitor has done since startup */
+  stats: JanitorStats;
+  /** What the requested sweep did */
+  sweep?: SweepResult;
+}
+
+/**
+ * Controller for operator endpoints
+ */
+export class AdminController {
+  /**
+   * Reports build cache statistics and entries
+   * GET /api/v1/admin/cache
+   */
+  static async cacheStats(_req: Request, res: Response): Promise<void> {
+    const [stats, entries] = await Promise.all([buildCache.stats(), buildCache.list()]);
+
+    res.json({
+      success: true,
+      message: `${stats.entries} cached results`,
+      stats,
+      entries,
+    } as CacheResponse);
+  }
+
+  /**
+   * Evicts every cached result
+   * DELETE /api/v1/admin/cache
+   */
+  static async clearCache(_req: Request, res: Response): Promise<void> {
+    const removed = await buildCache.clear();
+
+    res.json({
+      success: true,
+      message: `Evicted ${removed} cached results`,
+      removed,
+    } as CacheResponse);
+  }
+
+  /**
+   * Evicts a single cached result
+   * DELETE /api/v1/admin/cache/:key
+   */
+  static async evictCacheEntry(req: Request, res: Response): Promise<void> {
+    const removed = await buildCache.evict(String(req.params.key));
+
+    if (!removed) {
+      res.status(404).json({
+        success: false,
+        message: 'Cache entry not found',
+      } as CacheResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: 'Cache entry evicted',
+      removed: 1,
+    } as CacheResponse);
+  }
+
+  /**
+   * Lists each client's requests in the current window and command time today
+   * GET /api/v1/admin/usage
+   */
+  static async usage(_req: Request, res: Response): Promise<void> {
+    const clients = usageLimiter.list();
+
+    res.json({
+      success: true,
+      message: `${clients.length} active clients`,
+      clients,
+    } as UsageResponse);
+  }
+
+  /**
+   * Reports the temporary projects the janitor found and removed
+   * GET /api/v1/admin/janitor
+   */
+  static async janitorStats(_req: Request, res: Response): Promise<void> {
+    const stats = tempJanitor.stats();
+
+    res.json({
+      success: true,
+      message: `${stats.sweeps} sweeps, ${stats.removed.age + stats.removed.size} projects removed`,
+      stats,
+    } as JanitorResponse);
+  }
+
+  /**
+   * Removes stale temporary projects now instead of waiting for the next sweep
+   * POST /api/v1/admin/janitor/sweep
+   */
+  static async sweepTempProjects(_req: Request, res: Response): Promise<void> {
+    const sweep = await tempJanitor.sweep();
+
+    res.json({
+      success: true,
+      message: `Removed ${sweep.removed.age + sweep.removed.size} temporary projects`,
+      stats: tempJanitor.stats(),
+      sweep,
+    } as JanitorResponse);
+  }
+}
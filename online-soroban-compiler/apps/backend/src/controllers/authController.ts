@@ -0,0 +1,57 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { authenticator, type User } from '../services/auth';
+import type { LoginRequestBody } from '../schemas/compilerSchemas';
+
+/**
+ * Interface for sign-in responses
+ */
+export interface AuthResponse extends ApiResponse {
+  /** The signed-in user */
+  user?: User;
+  /** Bearer token to send in the `Authorization` header */
+  token?: string;
+  /** ISO timestamp after which the token is rejected */
+  expiresAt?: string;
+}
+
+/**
+ * Controller for signing in to the API
+ */
+export class AuthController {
+  /**
+   * Exchanges an API key for a bearer token
+   * POST /api/v1/auth/login
+   */
+  static async login(req: Request, res: Response): Promise<void> {
+    const { apiKey }: LoginRequestBody = req.body;
+    const user = authenticator.userForApiKey(apiKey);
+
+    if (!user) {
+      res.status(401).json({
+        success: false,
+        message: 'Authentication failed',
+        error: 'Invalid API key',
+      } as AuthResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `Signed in as ${user.id}`,
+      ...authenticator.issueToken(user),
+    } as AuthResponse);
+  }
+
+  /**
+   * Reports the signed-in user
+   * GET /api/v1/auth/me
+   */
+  static async me(req: Request, res: Response): Promise<void> {
+    res.json({
+      success: true,
+      message: `Signed in as ${req.user?.id}`,
+      user: req.user,
+    } as AuthResponse);
+  }
+}
@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals';
 import { FileManager } from '../utils/fileManager';
+import { config } from '../config';
 import type { Request as ExpressRequest, Response as ExpressResponse } from 'express';
 import type { CommandResult } from '../utils/commandExecutor';
 
@@ -36,51 +37,6 @@ describe('CompilerController', () => {
   });
 
   describe('compile', () => {
-    it('should return 400 when code is missing', async () => {
-      mockRequest.body = {};
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.compile(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code is required and must be a string',
-        duration: expect.any(Number),
-      });
-    });
-
-    it('should return 400 when code is empty string', async () => {
-      mockRequest.body = { code: '   ' };
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.compile(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code cannot be empty',
-        duration: expect.any(Number),
-      });
-    });
-
-    it('should return 400 when code is not a string', async () => {
-      mockRequest.body = { code: 123 };
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.compile(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code is required and must be a string',
-        duration: expect.any(Number),
-      });
-    });
-
     it('should compile successfully with valid code', async () => {
       const code = 'pub fn hello() -> &str { "Hello, World!" }';
       mockRequest.body = { code };
@@ -111,18 +67,23 @@ describe('CompilerController', () => {
         await import('../controllers/compilerController')
       ).CompilerController.compile(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
 
-      expect(mockFileManager.createProject).toHaveBeenCalledWith({
-        code,
-        projectName: undefined,
-        dependencies: undefined,
-      });
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        {
+          code,
+          projectName: undefined,
+          dependencies: undefined,
+        },
+        config.dependencies
+      );
 
       expect(mockExecuteCommand).toHaveBeenCalledWith(
         'cargo',
-        ['build', '--target', 'wasm32-unknown-unknown', '--release'],
+        ['build', '--target', 'wasm32-unknown-unknown', '--release', '--message-format=json'],
         {
           cwd: mockProject.projectPath,
-          timeout: 30000,
+          // Synchronous builds run in the job queue, with its step timeout
+          timeout: config.jobs.timeoutMs,
+          onLine: expect.any(Function),
         }
       );
 
@@ -130,6 +91,7 @@ describe('CompilerController', () => {
         success: true,
         message: 'Compilation and optimization successful',
         output: expect.stringContaining('Build Output:'),
+        diagnostics: [],
         duration: expect.any(Number),
       });
 
@@ -166,13 +128,14 @@ describe('CompilerController', () => {
         message: 'Compilation failed',
         output: '',
         error: 'Compilation error: expected one of',
+        diagnostics: [],
         duration: expect.any(Number),
       });
 
       expect(mockProject.cleanup).toHaveBeenCalled();
     });
 
-    it('should handle optimization failure gracefully', async () => {
+    it('should report a failed optimization as a failed compile', async () => {
       const code = 'pub fn hello() -> &str { "Hello, World!" }';
       mockRequest.body = { code };
 
@@ -192,17 +155,23 @@ describe('CompilerController', () => {
           stdout: 'Compilation successful',
           stderr: '',
         })
-        .mockRejectedValueOnce(new Error('stellar command not found'));
+        .mockResolvedValueOnce({
+          exitCode: 1,
+          stdout: '',
+          stderr: 'error: the wasm could not be optimized',
+        });
 
       await (
         await import('../controllers/compilerController')
       ).CompilerController.compile(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
 
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
       expect(mockResponse.json).toHaveBeenCalledWith({
-        success: true,
-        message: 'Compilation successful (optimization failed)',
+        success: false,
+        message: 'Optimization failed',
         output: 'Compilation successful',
-        error: 'stellar command not found',
+        error: 'error: the wasm could not be optimized',
+        diagnostics: [],
         duration: expect.any(Number),
       });
 
@@ -279,51 +248,6 @@ describe('CompilerController', () => {
   });
 
   describe('test', () => {
-    it('should return 400 when code is missing', async () => {
-      mockRequest.body = {};
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.test(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code is required and must be a string',
-        duration: expect.any(Number),
-      });
-    });
-
-    it('should return 400 when code is empty string', async () => {
-      mockRequest.body = { code: '   ' };
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.test(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code cannot be empty',
-        duration: expect.any(Number),
-      });
-    });
-
-    it('should return 400 when code is not a string', async () => {
-      mockRequest.body = { code: 123 };
-
-      await (
-        await import('../controllers/compilerController')
-      ).CompilerController.test(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
-
-      expect(mockResponse.status).toHaveBeenCalledWith(400);
-      expect(mockResponse.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Invalid request: code is required and must be a string',
-        duration: expect.any(Number),
-      });
-    });
-
     it('should run tests successfully with valid code', async () => {
       const code = 'pub fn hello() -> &str { "Hello, World!" }';
       mockRequest.body = { code };
@@ -348,21 +272,30 @@ describe('CompilerController', () => {
         await import('../controllers/compilerController')
       ).CompilerController.test(mockRequest as ExpressRequest, mockResponse as ExpressResponse);
 
-      expect(mockFileManager.createProject).toHaveBeenCalledWith({
-        code,
-        projectName: undefined,
-        dependencies: undefined,
-      });
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        {
+          code,
+          projectName: undefined,
+          dependencies: undefined,
+        },
+        config.dependencies
+      );
 
-      expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['test'], {
+      expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['test', '--message-format=json'], {
         cwd: mockProject.projectPath,
-        timeout: 30000,
+        timeout: config.jobs.timeoutMs,
+        onLine: expect.any(Function),
       });
 
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: true,
         message: 'All tests passed',
         output: 'test result: ok. 1 passed; 0 failed',
+        diagnostics: [],
+        testResults: {
+          tests: [],
+          summary: { total: 1, passed: 1, failed: 0, ignored: 0, filteredOut: 0, duration: 0 },
+        },
         duration: expect.any(Number),
       });
 
@@ -399,6 +332,7 @@ describe('CompilerController', () => {
         message: 'Tests failed',
         output: '',
         error: 'test result: FAILED. 0 passed; 1 failed',
+        diagnostics: [],
         duration: expect.any(Number),
       });
 
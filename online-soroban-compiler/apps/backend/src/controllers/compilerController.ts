@@ -1,17 +1,45 @@
-import { Request, Response } from 'express';
+import type { Request, Response } from 'express';
 import { executeCommand, CommandTimeoutError } from '../utils/commandExecutor';
-import { FileManager, ProjectConfig } from '../utils/fileManager';
+import type { ProjectConfig } from '../utils/fileManager';
+import { InvalidProjectFilesError } from '../utils/projectFiles';
+import { DependencyNotAllowedError } from '../utils/cargoManifest';
+import { config as appConfig } from '../config';
+import {
+  BUILD_ACTIONS,
+  type BuildKind,
+  type ContractArtifact,
+  type TestFilter,
+} from '../services/buildRunner';
+import type { Diagnostic } from '../utils/diagnostics';
+import type { TestResults } from '../utils/testResults';
+import type { SandboxLimit } from '../utils/sandbox';
+import type { CostReport } from '../utils/costReport';
+import { costProfiler } from '../services/costProfiler';
+import { usageLimiter } from '../services/usageLimiter';
+import { jobQueue, QueueClosedError, QueueFullError } from '../services/jobQueue';
+import { toolchainRegistry, type Toolchain } from '../services/toolchains';
+import { clientIdOf } from '../middleware/rateLimit';
 
 /**
  * Interface for compile/test request body
  */
 export interface CompileRequest {
-  /** The Rust source code to compile */
-  code: string;
+  /** The Rust source code to compile (`src/lib.rs`) */
+  code?: string;
+  /** Source files of a multi-file project, keyed by relative path */
+  files?: Record<string, string>;
   /** Optional project name */
   projectName?: string;
-  /** Optional additional dependencies */
+  /** Optional additional dependencies; must be on the allowlist */
   dependencies?: Record<string, string>;
+  /** soroban-sdk version to build against */
+  sdkVersion?: string;
+  /** Installed toolchain to build with, as listed by `/toolchains` */
+  toolchain?: string;
+  /** Runs only the matching tests (test requests only) */
+  testFilter?: TestFilter;
+  /** SHA-256 of the previous build, to compare the contract's costs with */
+  baseline?: string;
 }
 
 /**
@@ -28,6 +56,59 @@ export interface ApiResponse {
   error?: string;
   /** Duration of the operation in milliseconds */
   duration?: number;
+  /** The compiled contract, returned by successful compilations */
+  artifact?: ContractArtifact;
+  /** Whether the result was served from the build cache */
+  cached?: boolean;
+  /** Compiler errors and warnings with source locations and suggested fixes */
+  diagnostics?: Diagnostic[];
+  /** Per-test results and counts, returned by test runs */
+  testResults?: TestResults;
+  /** Sandbox limit (`cpu`, `memory` or `pids`) the build was stopped by */
+  limitExceeded?: SandboxLimit;
+  /** Size and measured function costs of the compiled contract */
+  costReport?: CostReport;
+}
+
+/**
+ * Interface for health check response
+ */
+export interface HealthResponse extends ApiResponse {
+  /** Availability of each required tool */
+  checks?: {
+    cargo: boolean;
+    rustTarget: boolean;
+    stellar: boolean;
+  };
+  /** ISO timestamp of the check */
+  timestamp: string;
+}
+
+/**
+ * Interface for the dependency policy response
+ */
+export interface DependenciesResponse extends ApiResponse {
+  /** Allowed crates mapped to the version requirement they must stay within */
+  allowed: Record<string, string>;
+  /** soroban-sdk versions that can be chosen */
+  sdkVersions: string[];
+  /** soroban-sdk version used when none is chosen */
+  defaultSdkVersion: string;
+}
+
+/**
+ * Interface for the version matrix response: the toolchains and soroban-sdk
+ * versions builds can choose from
+ */
+export interface ToolchainsResponse extends ApiResponse {
+  /** Installed toolchains, with their rustc version and whether they can compile contracts */
+  toolchains: Toolchain[];
+  /** Toolchain used when none is chosen; absent when no toolchains were discovered */
+  defaultToolchain?: string;
+  /** soroban-sdk versions that can be chosen */
+  sdkVersions: string[];
+  /** soroban-sdk version used when none is chosen */
+  defaultSdkVersion: string;
 }
 
 /**
@@ -35,211 +116,172 @@ export interface ApiResponse {
  */
 export class CompilerController {
   /**
-   * Handles compilation requests
-   * POST /api/compile
+   * Runs a build in the job queue, waits for it and writes the outcome to the
+   * response. Synchronous builds share the job workers, so they wait their
+   * turn instead of adding to the builds running at once.
    */
-  static async compile(req: Request, res: Response): Promise<void> {
+  private static async handleBuild(kind: BuildKind, req: Request, res: Response): Promise<void> {
     const startTime = Date.now();
-    let project: Awaited<ReturnType<typeof FileManager.createProject>> | null = null;
+    const label = BUILD_ACTIONS[kind].toLowerCase();
 
     try {
-      // Validate request body
-      const { code, projectName, dependencies }: CompileRequest = req.body;
+      const {
+        code,
+        files,
+        projectName,
+        dependencies,
+        sdkVersion,
+        toolchain = toolchainRegistry.defaultToolchain?.name,
+        testFilter,
+        baseline,
+      }: CompileRequest = req.body;
 
-      if (!code || typeof code !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid request: code is required and must be a string',
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-        return;
-      }
+      // Build in a temporary project
+      const config: ProjectConfig = {
+        code,
+        files,
+        projectName,
+        dependencies,
+        sdkVersion,
+        toolchain,
+      };
+      const client = clientIdOf(req);
+      const outcome = await jobQueue.run(kind, config, {
+        ...(kind === 'test' && testFilter ? { testFilter } : {}),
+        onCommand: (durationMs) => usageLimiter.recordCpu(client, durationMs),
+        owner: req.user?.id,
+      });
+      const {
+        success,
+        message,
+        output,
+        error,
+        artifact,
+        cached,
+        diagnostics,
+        testResults,
+        limitExceeded,
+      } = outcome;
 
-      if (code.trim().length === 0) {
+      res.status(success ? 200 : 400).json({
+        success,
+        message,
+        output,
+        error,
+        artifact,
+        cached,
+        diagnostics,
+        testResults,
+        limitExceeded,
+        costReport: artifact ? costProfiler.get(artifact.sha256, baseline) : undefined,
+        duration: Date.now() - startTime,
+      } as ApiResponse);
+    } catch (error) {
+      if (error instanceof InvalidProjectFilesError || error instanceof DependencyNotAllowedError) {
         res.status(400).json({
           success: false,
-          message: 'Invalid request: code cannot be empty',
+          message: `Invalid request: ${error.message}`,
           duration: Date.now() - startTime,
         } as ApiResponse);
-        return;
-      }
-
-      // Create temporary project
-      const config: ProjectConfig = { code, projectName, dependencies };
-      project = await FileManager.createProject(config);
-
-      // Build the project
-      const buildResult = await executeCommand(
-        'cargo',
-        ['build', '--target', 'wasm32-unknown-unknown', '--release'],
-        {
-          cwd: project.projectPath,
-          timeout: 30000, // 30 seconds
-        }
-      );
-
-      if (buildResult.exitCode === 0) {
-        // Try to optimize with stellar CLI if available
-        try {
-          const optimizeResult = await executeCommand(
-            'stellar',
-            ['contract', 'build', '--package', 'soroban-contract'],
-            {
-              cwd: project.projectPath,
-              timeout: 30000,
-            }
-          );
-
-          res.json({
-            success: true,
-            message: 'Compilation and optimization successful',
-            output: `Build Output:\n${buildResult.stdout}\n\nOptimization Output:\n${optimizeResult.stdout}`,
+      } else if (error instanceof QueueFullError) {
+        res
+          .status(503)
+          .set('Retry-After', '10')
+          .json({
+            success: false,
+            message: 'Server is busy, try again later',
+            error: error.message,
             duration: Date.now() - startTime,
           } as ApiResponse);
-        } catch (optimizeError) {
-          // Optimization failed, but compilation succeeded
-          res.json({
-            success: true,
-            message: 'Compilation successful (optimization failed)',
-            output: buildResult.stdout,
-            error: optimizeError instanceof Error ? optimizeError.message : 'Optimization failed',
-            duration: Date.now() - startTime,
-          } as ApiResponse);
-        }
-      } else {
-        res.status(400).json({
+      } else if (error instanceof QueueClosedError) {
+        res.status(503).json({
           success: false,
-          message: 'Compilation failed',
-          output: buildResult.stdout,
-          error: buildResult.stderr,
+          message: 'Server is shutting down, try again later',
+          error: error.message,
           duration: Date.now() - startTime,
         } as ApiResponse);
-      }
-    } catch (error) {
-      // Log error for debugging (removed console.error for linting)
-
-      if (
+      } else if (
         error instanceof CommandTimeoutError ||
         (error instanceof Error && error.name === 'CommandTimeoutError')
       ) {
         res.status(408).json({
           success: false,
-          message: 'Compilation timed out',
+          message: `${BUILD_ACTIONS[kind]} timed out`,
           error: error.message,
           duration: Date.now() - startTime,
         } as ApiResponse);
       } else {
         res.status(500).json({
           success: false,
-          message: 'Internal server error during compilation',
+          message: `Internal server error during ${label}`,
           error: error instanceof Error ? error.message : 'Unknown error',
           duration: Date.now() - startTime,
         } as ApiResponse);
       }
-    } finally {
-      // Clean up the temporary project
-      if (project) {
-        try {
-          await project.cleanup();
-        } catch {
-          // Ignore cleanup errors during error handling
-        }
-      }
     }
   }
 
+  /**
+   * Handles compilation requests
+   * POST /api/v1/compile
+   */
+  static async compile(req: Request, res: Response): Promise<void> {
+    await CompilerController.handleBuild('compile', req, res);
+  }
+
   /**
    * Handles test requests
-   * POST /api/test
+   * POST /api/v1/test
    */
   static async test(req: Request, res: Response): Promise<void> {
-    const startTime = Date.now();
-    let project: Awaited<ReturnType<typeof FileManager.createProject>> | null = null;
-
-    try {
-      // Validate request body
-      const { code, projectName, dependencies }: CompileRequest = req.body;
-
-      if (!code || typeof code !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid request: code is required and must be a string',
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-        return;
-      }
+    await CompilerController.handleBuild('test', req, res);
+  }
 
-      if (code.trim().length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid request: code cannot be empty',
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-        return;
-      }
+  /**
+   * Handles lint requests: clippy plus the Soroban security checks
+   * POST /api/v1/lint
+   */
+  static async lint(req: Request, res: Response): Promise<void> {
+    await CompilerController.handleBuild('lint', req, res);
+  }
 
-      // Create temporary project
-      const config: ProjectConfig = { code, projectName, dependencies };
-      project = await FileManager.createProject(config);
+  /**
+   * Lists the crates and soroban-sdk versions projects can use
+   * GET /api/v1/dependencies
+   */
+  static async dependencies(_req: Request, res: Response): Promise<void> {
+    const { allowed, sdkVersions } = appConfig.dependencies;
 
-      // Run tests
-      const testResult = await executeCommand('cargo', ['test'], {
-        cwd: project.projectPath,
-        timeout: 30000, // 30 seconds
-      });
+    res.json({
+      success: true,
+      message: `${Object.keys(allowed).length} allowed crates`,
+      allowed,
+      sdkVersions,
+      defaultSdkVersion: sdkVersions[0],
+    } as DependenciesResponse);
+  }
 
-      if (testResult.exitCode === 0) {
-        res.json({
-          success: true,
-          message: 'All tests passed',
-          output: testResult.stdout,
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-      } else {
-        res.status(400).json({
-          success: false,
-          message: 'Tests failed',
-          output: testResult.stdout,
-          error: testResult.stderr,
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-      }
-    } catch (error) {
-      // Log error for debugging (removed console.error for linting)
+  /**
+   * Lists the toolchains and soroban-sdk versions builds can be checked against
+   * GET /api/v1/toolchains
+   */
+  static async toolchains(_req: Request, res: Response): Promise<void> {
+    const toolchains = toolchainRegistry.list();
+    const { sdkVersions } = appConfig.dependencies;
 
-      if (
-        error instanceof CommandTimeoutError ||
-        (error instanceof Error && error.name === 'CommandTimeoutError')
-      ) {
-        res.status(408).json({
-          success: false,
-          message: 'Testing timed out',
-          error: error.message,
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-      } else {
-        res.status(500).json({
-          success: false,
-          message: 'Internal server error during testing',
-          error: error instanceof Error ? error.message : 'Unknown error',
-          duration: Date.now() - startTime,
-        } as ApiResponse);
-      }
-    } finally {
-      // Clean up the temporary project
-      if (project) {
-        try {
-          await project.cleanup();
-        } catch {
-          // Ignore cleanup errors during error handling
-        }
-      }
-    }
+    res.json({
+      success: true,
+      message: `${toolchains.length} toolchains available`,
+      toolchains,
+      defaultToolchain: toolchainRegistry.defaultToolchain?.name,
+      sdkVersions,
+      defaultSdkVersion: sdkVersions[0],
+    } as ToolchainsResponse);
   }
 
   /**
    * Handles health check requests
-   * GET /api/health
+   * GET /api/v1/health
    */
   static async health(req: Request, res: Response): Promise<void> {
     try {
@@ -280,14 +322,14 @@ export class CompilerController {
         message: allHealthy ? 'Service is healthy' : 'Service has issues',
         checks,
         timestamp: new Date().toISOString(),
-      });
+      } as HealthResponse);
     } catch (error) {
       res.status(500).json({
         success: false,
         message: 'Health check failed',
         error: error instanceof Error ? error.message : 'Unknown error',
         timestamp: new Date().toISOString(),
-      });
+      } as HealthResponse);
     }
   }
 }
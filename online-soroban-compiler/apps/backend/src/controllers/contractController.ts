@@ -0,0 +1,97 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { readContractInterfaceDetails, type ContractInterfaceDetails } from '../services/artifacts';
+import { InvalidWasmError } from '../utils/wasmInspector';
+import { InvalidContractSpecError, readEncodedContractSpec } from '../utils/contractSpec';
+import { generateTypeScriptBindings } from '../utils/tsBindings';
+import { createZip } from '../utils/zip';
+import type { BindingsRequestBody, ContractInterfaceRequestBody } from '../schemas/compilerSchemas';
+
+/** Package name of bindings requested without one, after the default project name */
+const DEFAULT_PACKAGE_NAME = 'soroban-contract';
+
+/**
+ * Interface for contract interface responses
+ */
+export interface ContractInterfaceResponse extends ApiResponse {
+  /** Everything the contract spec declares */
+  interface?: ContractInterfaceDetails;
+}
+
+/**
+ * Sends a 400 for wasm that cannot be read
+ *
+ * @returns Whether the error was handled
+ */
+function handleInvalidContract(error: unknown, res: Response): boolean {
+  if (error instanceof InvalidWasmError || error instanceof InvalidContractSpecError) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid request: ${error.message}`,
+    } as ApiResponse);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Controller for reading the interface of compiled contracts
+ */
+export class ContractController {
+  /**
+   * Lists the functions, types, error codes and events declared in the
+   * `contractspecv0` section of a compiled contract
+   * POST /api/v1/contracts/interface
+   */
+  static spec(req: Request, res: Response): void {
+    const { wasm }: ContractInterfaceRequestBody = req.body;
+
+    try {
+      const details = readContractInterfaceDetails(Buffer.from(wasm, 'base64'));
+      const types = details.structs.length + details.unions.length + details.enums.length;
+      const codes = details.errors.reduce((total, { cases }) => total + cases.length, 0);
+
+      res.json({
+        success: true,
+        message: `${details.functions.length} functions, ${types} types, ${codes} error codes and ${details.events.length} events`,
+        interface: details,
+      } as ContractInterfaceResponse);
+    } catch (error) {
+      if (!handleInvalidContract(error, res)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Generates a TypeScript client package for a compiled contract, like
+   * `stellar contract bindings typescript`, and sends it as a zip archive
+   * POST /api/v1/contracts/bindings
+   */
+  static bindings(req: Request, res: Response): void {
+    const { wasm, name = DEFAULT_PACKAGE_NAME }: BindingsRequestBody = req.body;
+
+    try {
+      const entries = readEncodedContractSpec(Buffer.from(wasm, 'base64'));
+      if (entries.length === 0) {
+        res.status(400).json({
+          success: false,
+          message: 'Invalid request: the contract has no contractspecv0 section',
+        } as ApiResponse);
+        return;
+      }
+
+      const files = generateTypeScriptBindings(entries, { name });
+      const zip = createZip(
+        Object.fromEntries(
+          Object.entries(files).map(([path, content]) => [`${name}/${path}`, content])
+        )
+      );
+      res.type('application/zip').attachment(`${name}.zip`).send(zip);
+    } catch (error) {
+      if (!handleInvalidContract(error, res)) {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { costProfiler } from '../services/costProfiler';
+import type { CostReport } from '../utils/costReport';
+
+/**
+ * Interface for cost report responses
+ */
+export interface CostReportResponse extends ApiResponse {
+  /** The build's report, compared with the baseline when one was given */
+  costReport?: CostReport;
+}
+
+/**
+ * Controller for the size and resource usage of compiled contracts
+ */
+export class CostController {
+  /**
+   * Reports the size of a build and the costs measured for its functions.
+   * Pass `?baseline=<sha256>` to compare with a previous build.
+   * GET /api/v1/costs/:wasmHash
+   */
+  static get(req: Request, res: Response): void {
+    const { baseline } = req.query;
+    const costReport = costProfiler.get(
+      String(req.params.wasmHash),
+      typeof baseline === 'string' ? baseline : undefined
+    );
+
+    if (!costReport) {
+      res.status(404).json({
+        success: false,
+        message: 'Cost report not found',
+      } as CostReportResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `${costReport.functions.length} profiled functions`,
+      costReport,
+    } as CostReportResponse);
+  }
+}
@@ -0,0 +1,168 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import {
+  localNetwork,
+  DeploymentNotFoundError,
+  NetworkCommandError,
+  type Deployment,
+  type Invocation,
+} from '../services/localNetwork';
+import { costProfiler } from '../services/costProfiler';
+import { CommandTimeoutError } from '../utils/commandExecutor';
+import { InvalidWasmError } from '../utils/wasmInspector';
+import { InvalidContractSpecError } from '../utils/contractSpec';
+import { InvalidInvocationError } from '../utils/invokeArgs';
+import { canAccess } from '../middleware/authenticate';
+import type { DeployRequestBody, InvokeRequestBody } from '../schemas/compilerSchemas';
+
+/**
+ * Interface for deployment responses
+ */
+export interface DeploymentResponse extends ApiResponse {
+  /** The deployed contract */
+  deployment?: Deployment;
+  /** Result of a function call */
+  invocation?: Invocation;
+}
+
+/**
+ * Sends the response for errors shared by deploying and invoking
+ *
+ * @returns Whether the error was handled
+ */
+function handleNetworkError(error: unknown, action: string, res: Response): boolean {
+  if (error instanceof NetworkCommandError) {
+    res.status(502).json({
+      success: false,
+      message: error.message,
+      error: error.output,
+    } as DeploymentResponse);
+    return true;
+  }
+  if (error instanceof CommandTimeoutError) {
+    res.status(408).json({
+      success: false,
+      message: `${action} timed out`,
+      error: error.message,
+    } as DeploymentResponse);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Controller for running compiled contracts on the local network. Contracts
+ * deployed by a signed-in user can only be described and invoked by them.
+ */
+export class DeploymentController {
+  /**
+   * Deploys a compiled contract
+   * POST /api/v1/deployments
+   */
+  static async create(req: Request, res: Response): Promise<void> {
+    const { wasm }: DeployRequestBody = req.body;
+
+    try {
+      const bytes = Buffer.from(wasm, 'base64');
+      const deployment = await localNetwork.deploy(bytes, req.user?.id);
+      // Invocations of the contract feed the cost report of its build
+      costProfiler.register(bytes);
+
+      res
+        .status(201)
+        .location(`${req.baseUrl}/deployments/${deployment.contractId}`)
+        .json({
+          success: true,
+          message: `Deployed contract ${deployment.contractId}`,
+          deployment,
+        } as DeploymentResponse);
+    } catch (error) {
+      if (error instanceof InvalidWasmError || error instanceof InvalidContractSpecError) {
+        res.status(400).json({
+          success: false,
+          message: `Invalid request: ${error.message}`,
+        } as DeploymentResponse);
+      } else if (!handleNetworkError(error, 'Deployment', res)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Describes a deployed contract
+   * GET /api/v1/deployments/:contractId
+   */
+  static get(req: Request, res: Response): void {
+    const deployment = DeploymentController.find(req);
+
+    if (!deployment) {
+      res.status(404).json({
+        success: false,
+        message: 'Deployment not found',
+      } as DeploymentResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `Contract ${deployment.contractId}`,
+      deployment,
+    } as DeploymentResponse);
+  }
+
+  /**
+   * Calls a function of a deployed contract
+   * POST /api/v1/deployments/:contractId/invoke
+   */
+  static async invoke(req: Request, res: Response): Promise<void> {
+    const { function: functionName, args = {} }: InvokeRequestBody = req.body;
+    const deployment = DeploymentController.find(req);
+
+    if (!deployment) {
+      res.status(404).json({
+        success: false,
+        message: 'Deployment not found',
+      } as DeploymentResponse);
+      return;
+    }
+
+    try {
+      const invocation = await localNetwork.invoke(deployment.contractId, functionName, args);
+      if (invocation.success && invocation.cost) {
+        costProfiler.record(deployment.wasmHash, invocation.function, invocation.cost);
+      }
+
+      res.status(invocation.success ? 200 : 400).json({
+        success: invocation.success,
+        message: invocation.success
+          ? `Invoked ${invocation.function}`
+          : `Invocation of ${invocation.function} failed`,
+        invocation,
+        duration: invocation.duration,
+      } as DeploymentResponse);
+    } catch (error) {
+      if (error instanceof DeploymentNotFoundError) {
+        res.status(404).json({
+          success: false,
+          message: 'Deployment not found',
+        } as DeploymentResponse);
+      } else if (error instanceof InvalidInvocationError) {
+        res.status(400).json({
+          success: false,
+          message: `Invalid request: ${error.message}`,
+        } as DeploymentResponse);
+      } else if (!handleNetworkError(error, 'Invocation', res)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Looks up the deployment named in the URL. Deployments of other users are
+   * reported as unknown so their contracts cannot be invoked.
+   */
+  private static find(req: Request): Deployment | undefined {
+    const deployment = localNetwork.get(String(req.params.contractId));
+    return deployment && canAccess(req, deployment.owner) ? deployment : undefined;
+  }
+}
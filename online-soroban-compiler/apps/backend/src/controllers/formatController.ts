@@ -0,0 +1,82 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { formatProject } from '../services/formatter';
+import { CommandTimeoutError } from '../utils/commandExecutor';
+import { InvalidProjectFilesError, LIB_RS_PATH, type ProjectFiles } from '../utils/projectFiles';
+import type { FormatRequestBody } from '../schemas/compilerSchemas';
+
+/**
+ * Interface for format responses
+ */
+export interface FormatResponse extends ApiResponse {
+  /** Formatted `src/lib.rs`, when the request sent `code` */
+  code?: string;
+  /** All formatted files */
+  files?: ProjectFiles;
+}
+
+/**
+ * Controller for formatting sources with rustfmt
+ */
+export class FormatController {
+  /**
+   * Formats the submitted sources. Code that cannot be parsed is left as is
+   * and its parse errors are returned as diagnostics; other rustfmt errors
+   * are reported as rustfmt printed them.
+   * POST /api/v1/format
+   */
+  static async format(req: Request, res: Response): Promise<void> {
+    const startTime = Date.now();
+    const { code, files, rustfmt }: FormatRequestBody = req.body;
+
+    try {
+      const outcome = await formatProject({ code, files }, rustfmt);
+
+      if (!outcome.success) {
+        const reason =
+          outcome.diagnostics.length > 0
+            ? 'the code could not be parsed'
+            : (outcome.error?.split('\n').find((line) => line.trim().length > 0) ??
+              'rustfmt exited with an error');
+        res.status(400).json({
+          success: false,
+          message: `Formatting failed: ${reason}`,
+          error: outcome.error,
+          diagnostics: outcome.diagnostics,
+          duration: Date.now() - startTime,
+        } as FormatResponse);
+        return;
+      }
+
+      res.json({
+        success: true,
+        message: 'Code formatted',
+        code: code !== undefined ? outcome.files?.[LIB_RS_PATH] : undefined,
+        files: outcome.files,
+        duration: Date.now() - startTime,
+      } as FormatResponse);
+    } catch (error) {
+      if (error instanceof InvalidProjectFilesError) {
+        res.status(400).json({
+          success: false,
+          message: `Invalid request: ${error.message}`,
+          duration: Date.now() - startTime,
+        } as FormatResponse);
+      } else if (error instanceof CommandTimeoutError) {
+        res.status(408).json({
+          success: false,
+          message: 'Formatting timed out',
+          error: error.message,
+          duration: Date.now() - startTime,
+        } as FormatResponse);
+      } else {
+        res.status(500).json({
+          success: false,
+          message: 'Internal server error during formatting',
+          error: error instanceof Error ? error.message : 'Unknown error',
+          duration: Date.now() - startTime,
+        } as FormatResponse);
+      }
+    }
+  }
+}
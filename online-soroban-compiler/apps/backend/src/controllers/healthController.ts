@@ -0,0 +1,60 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { healthChecker, type ReadinessReport } from '../services/healthChecker';
+
+/**
+ * Interface for liveness responses
+ */
+export interface LivenessResponse extends ApiResponse {
+  /** Seconds since the process started */
+  uptimeSeconds: number;
+  /** ISO timestamp of the response */
+  timestamp: string;
+}
+
+/**
+ * Interface for readiness responses
+ */
+export interface ReadinessResponse extends ApiResponse, ReadinessReport {
+  /** Whether the report was served from the cache instead of running the checks */
+  cached: boolean;
+}
+
+/**
+ * Controller for load balancer and orchestrator probes
+ */
+export class HealthController {
+  /**
+   * Reports that the process is serving requests, without checking anything else
+   * GET /api/v1/health/live
+   */
+  static live(_req: Request, res: Response): void {
+    res.json({
+      success: true,
+      message: 'Service is alive',
+      uptimeSeconds: Math.floor(process.uptime()),
+      timestamp: new Date().toISOString(),
+    } as LivenessResponse);
+  }
+
+  /**
+   * Reports whether the service can take builds: disk space, queue saturation,
+   * toolchain versions and a canary build. Responds `503` when it cannot.
+   * GET /api/v1/health/ready
+   */
+  static async ready(_req: Request, res: Response): Promise<void> {
+    const { report, cached } = await healthChecker.readiness();
+    const failed = Object.entries(report.checks)
+      .filter(([, check]) => check.status === 'fail')
+      .map(([name]) => name);
+
+    res.status(report.ready ? 200 : 503).json({
+      success: report.ready,
+      message: report.ready
+        ? 'Service is ready'
+        : `Service is not ready: ${failed.join(', ')} failed`,
+      ...report,
+      cached,
+    } as ReadinessResponse);
+  }
+}
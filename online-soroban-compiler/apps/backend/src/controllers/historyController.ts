@@ -0,0 +1,127 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import {
+  buildHistory,
+  DEFAULT_PROJECT,
+  type BuildRun,
+  type BuildRunSummary,
+} from '../services/buildHistory';
+import { compareRuns, type RunComparison } from '../utils/runComparison';
+
+/**
+ * Interface for build history listings
+ */
+export interface HistoryResponse extends ApiResponse {
+  /** Runs of the project, newest first */
+  runs?: BuildRunSummary[];
+}
+
+/**
+ * Interface for a single recorded run
+ */
+export interface BuildRunResponse extends ApiResponse {
+  run?: BuildRun;
+}
+
+/**
+ * Interface for run comparisons
+ */
+export interface RunComparisonResponse extends ApiResponse {
+  /** ID of the run compared against */
+  base?: string;
+  /** ID of the run being looked at */
+  head?: string;
+  comparison?: RunComparison;
+}
+
+/**
+ * Controller for the recorded compile and test runs of the caller's projects.
+ * Every route requires a signed-in user.
+ */
+export class HistoryController {
+  /**
+   * Lists the runs of a project, `?project=<name>` (default: `soroban-contract`)
+   * GET /api/v1/history
+   */
+  static async list(req: Request, res: Response): Promise<void> {
+    const { project } = req.query;
+    const runs = await buildHistory.list(
+      typeof project === 'string' && project ? project : DEFAULT_PROJECT,
+      req.user?.id as string
+    );
+
+    res.json({
+      success: true,
+      message: `${runs.length} recorded runs`,
+      runs,
+    } as HistoryResponse);
+  }
+
+  /**
+   * Returns a run with the sources it built
+   * GET /api/v1/history/:id
+   */
+  static async get(req: Request, res: Response): Promise<void> {
+    const run = await HistoryController.find(req, String(req.params.id));
+
+    if (!run) {
+      res.status(404).json({
+        success: false,
+        message: 'Run not found',
+      } as BuildRunResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `Run ${run.status}`,
+      run,
+    } as BuildRunResponse);
+  }
+
+  /**
+   * Compares a run with an earlier one given as `?base=<id>`: source diffs,
+   * wasm size and exported interface changes
+   * GET /api/v1/history/:id/compare
+   */
+  static async compare(req: Request, res: Response): Promise<void> {
+    const { base: baseId } = req.query;
+    if (typeof baseId !== 'string' || !baseId) {
+      res.status(400).json({
+        success: false,
+        message: 'Invalid request: base must name a run to compare with',
+      } as RunComparisonResponse);
+      return;
+    }
+
+    const [head, base] = await Promise.all([
+      HistoryController.find(req, String(req.params.id)),
+      HistoryController.find(req, baseId),
+    ]);
+
+    if (!head || !base) {
+      res.status(404).json({
+        success: false,
+        message: 'Run not found',
+      } as RunComparisonResponse);
+      return;
+    }
+
+    const comparison = compareRuns(base, head);
+    res.json({
+      success: true,
+      message: `${comparison.files.length} changed files`,
+      base: base.id,
+      head: head.id,
+      comparison,
+    } as RunComparisonResponse);
+  }
+
+  /**
+   * Looks up a run; runs of other users are reported as unknown
+   */
+  private static async find(req: Request, id: string): Promise<BuildRun | undefined> {
+    const run = await buildHistory.get(id);
+    return run && run.owner === req.user?.id ? run : undefined;
+  }
+}
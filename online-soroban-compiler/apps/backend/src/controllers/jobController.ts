@@ -0,0 +1,191 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import {
+  jobQueue,
+  QueueClosedError,
+  QueueFullError,
+  type Job,
+  type JobEvent,
+} from '../services/jobQueue';
+import { usageLimiter } from '../services/usageLimiter';
+import { toolchainRegistry } from '../services/toolchains';
+import { clientIdOf } from '../middleware/rateLimit';
+import { canAccess } from '../middleware/authenticate';
+import type { JobRequestBody } from '../schemas/compilerSchemas';
+
+/**
+ * Interface for job responses
+ */
+export interface JobResponse extends ApiResponse {
+  /** The job being reported on */
+  job?: Job;
+}
+
+/**
+ * Controller for asynchronous build jobs
+ */
+export class JobController {
+  /**
+   * Queues a compile or test job and returns its ID immediately
+   * POST /api/v1/jobs
+   */
+  static async create(req: Request, res: Response): Promise<void> {
+    const {
+      type,
+      code,
+      files,
+      projectName,
+      dependencies,
+      sdkVersion,
+      toolchain = toolchainRegistry.defaultToolchain?.name,
+      testFilter,
+    }: JobRequestBody = req.body;
+
+    const client = clientIdOf(req);
+
+    try {
+      const job = jobQueue.enqueue(
+        type,
+        { code, files, projectName, dependencies, sdkVersion, toolchain },
+        {
+          testFilter: type === 'test' ? testFilter : undefined,
+          onCommand: (durationMs) => usageLimiter.recordCpu(client, durationMs),
+          owner: req.user?.id,
+        }
+      );
+
+      res
+        .status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          success: true,
+          message: 'Job queued',
+          job,
+        } as JobResponse);
+    } catch (error) {
+      if (error instanceof QueueFullError) {
+        res
+          .status(503)
+          .set('Retry-After', '10')
+          .json({
+            success: false,
+            message: 'Server is busy, try again later',
+            error: error.message,
+          } as JobResponse);
+        return;
+      }
+      if (error instanceof QueueClosedError) {
+        res.status(503).json({
+          success: false,
+          message: 'Server is shutting down, try again later',
+          error: error.message,
+        } as JobResponse);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reports the status of a job
+   * GET /api/v1/jobs/:id
+   */
+  static async get(req: Request, res: Response): Promise<void> {
+    const job = JobController.find(req);
+
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      } as JobResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${job.status}`,
+      job,
+    } as JobResponse);
+  }
+
+  /**
+   * Downloads the contract wasm produced by a finished compile job
+   * GET /api/v1/jobs/:id/artifact
+   */
+  static async artifact(req: Request, res: Response): Promise<void> {
+    const job = JobController.find(req);
+
+    if (!job?.artifact) {
+      res.status(404).json({
+        success: false,
+        message: job ? 'Job has no artifact' : 'Job not found',
+      } as JobResponse);
+      return;
+    }
+
+    const { name, sha256, wasm } = job.artifact;
+    res
+      .type('application/wasm')
+      .attachment(name)
+      .set('ETag', `"${sha256}"`)
+      .send(Buffer.from(wasm, 'base64'));
+  }
+
+  /**
+   * Streams a job's progress as Server-Sent Events. Log lines collected so far
+   * are replayed first, then `status` and `log` events follow live until a
+   * final `done` event carrying the finished job closes the stream.
+   * GET /api/v1/jobs/:id/events
+   */
+  static async events(req: Request, res: Response): Promise<void> {
+    const id = String(req.params.id);
+    const job = JobController.find(req);
+
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      } as JobResponse);
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    const send = (event: JobEvent) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    send({ type: 'status', status: job.status });
+    job.logs.forEach((line) => send({ type: 'log', line }));
+
+    const unsubscribe = jobQueue.subscribe(id, (event) => {
+      send(event);
+      if (event.type === 'done') {
+        res.end();
+      }
+    });
+
+    if (!unsubscribe) {
+      // The job finished before we subscribed
+      send({ type: 'done', job });
+      res.end();
+      return;
+    }
+
+    req.on('close', unsubscribe);
+  }
+
+  /**
+   * Looks up the job named in the URL. Jobs of other users are reported as
+   * unknown so their IDs cannot be probed.
+   */
+  private static find(req: Request): Job | undefined {
+    const job = jobQueue.get(String(req.params.id));
+    return job && canAccess(req, job.owner) ? job : undefined;
+  }
+}
@@ -0,0 +1,71 @@
+import type { IncomingMessage } from 'node:http';
+import type { Duplex } from 'node:stream';
+import { config } from '../config';
+import { clientIdOf } from '../middleware/rateLimit';
+import { authenticator, InvalidCredentialsError, type User } from '../services/auth';
+import { languageServers } from '../services/languageServer';
+import { acceptWebSocket, CLOSE_CODES, rejectUpgrade } from '../utils/webSocket';
+
+/** Path of the language server WebSocket */
+export const LSP_PATH = '/api/v1/lsp';
+
+/**
+ * Controller for the rust-analyzer bridge, served over WebSocket upgrades
+ * since Express only routes plain HTTP requests
+ */
+export class LspController {
+  /**
+   * Opens a language server session for the editor
+   * GET /api/v1/lsp (WebSocket)
+   */
+  static upgrade(req: IncomingMessage, socket: Duplex, head: Buffer): void {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    if (url.pathname !== LSP_PATH) {
+      rejectUpgrade(socket, 404, 'Not found');
+      return;
+    }
+
+    // Browsers send the page's origin; CORS does not apply to WebSockets
+    const origin = req.headers.origin;
+    if (origin !== undefined && !config.cors.origins.includes(origin)) {
+      rejectUpgrade(socket, 403, 'Origin not allowed');
+      return;
+    }
+
+    // Browsers cannot set headers on WebSockets, so the editor sends its token in the URL
+    let user: User | undefined;
+    try {
+      user = authenticator.authenticate({
+        authorization: req.headers.authorization,
+        accessToken: url.searchParams.get('access_token') ?? undefined,
+      });
+      if (!user && config.auth.required) {
+        rejectUpgrade(socket, 401, 'Authentication required');
+        return;
+      }
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) {
+        rejectUpgrade(socket, 401, error.message);
+        return;
+      }
+      throw error;
+    }
+
+    if (!languageServers.hasCapacity()) {
+      rejectUpgrade(socket, 503, 'All language server sessions are in use');
+      return;
+    }
+    // One client must not hold every session
+    const client = clientIdOf({ user, ip: req.socket.remoteAddress });
+    if (!languageServers.hasClientCapacity(client)) {
+      rejectUpgrade(socket, 429, 'Too many language server sessions');
+      return;
+    }
+
+    acceptWebSocket(req, socket, head, (connection) => {
+      languageServers.open(connection, client).catch(() => {
+        connection.close(CLOSE_CODES.internalError, 'Could not start the language server');
+      });
+    });
+  }
+}
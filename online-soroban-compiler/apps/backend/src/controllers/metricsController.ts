@@ -0,0 +1,55 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { config } from '../config';
+import { jobQueue } from '../services/jobQueue';
+import { metrics, serviceMetrics } from '../services/metrics';
+import { tempJanitor } from '../services/tempJanitor';
+import { FileManager } from '../utils/fileManager';
+import { secretsMatch } from '../utils/secrets';
+import { PROMETHEUS_CONTENT_TYPE } from '../utils/metrics';
+
+/**
+ * Controller for the Prometheus scrape endpoint
+ */
+export class MetricsController {
+  /**
+   * Serves all metrics in the Prometheus text format. When `METRICS_TOKEN` is
+   * set, scrapers must send it as a bearer token.
+   * GET /metrics
+   */
+  static metrics(req: Request, res: Response): void {
+    const expected = config.metrics.token;
+    if (expected) {
+      const provided = req.get('authorization')?.match(/^Bearer (.+)$/i)?.[1];
+      if (!provided || !secretsMatch(provided, expected)) {
+        res.status(401).json({
+          success: false,
+          message: 'Invalid metrics token',
+        } as ApiResponse);
+        return;
+      }
+    }
+
+    MetricsController.collect();
+    res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+  }
+
+  /**
+   * Reads the gauges and counters services keep themselves
+   */
+  private static collect(): void {
+    const queue = jobQueue.stats();
+    serviceMetrics.queuedJobs.set({}, queue.queued);
+    serviceMetrics.runningJobs.set({}, queue.running);
+    serviceMetrics.activeProjects.set({}, FileManager.getActiveProjects().length);
+
+    const janitor = tempJanitor.stats();
+    serviceMetrics.tempProjects.set({}, janitor.projects);
+    serviceMetrics.tempProjectBytes.set({}, janitor.projectBytes);
+    serviceMetrics.janitorSweeps.set({}, janitor.sweeps);
+    serviceMetrics.janitorRemoved.set({ reason: 'age' }, janitor.removed.age);
+    serviceMetrics.janitorRemoved.set({ reason: 'size' }, janitor.removed.size);
+    serviceMetrics.janitorFreedBytes.set({}, janitor.freedBytes);
+    serviceMetrics.janitorErrors.set({}, janitor.errors);
+  }
+}
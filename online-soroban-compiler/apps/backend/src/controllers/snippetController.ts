@@ -0,0 +1,140 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import { snippetStore, SnippetStoreFullError, type Snippet } from '../services/snippetStore';
+import type { SnippetForkBody, SnippetRequestBody } from '../schemas/compilerSchemas';
+
+/**
+ * Interface for snippet responses
+ */
+export interface SnippetResponse extends ApiResponse {
+  /** The snippet being reported on */
+  snippet?: Snippet;
+}
+
+/**
+ * Interface for snippet listings
+ */
+export interface SnippetListResponse extends ApiResponse {
+  /** Snippets of the signed-in user, newest first */
+  snippets?: Snippet[];
+}
+
+/**
+ * Controller for saved, shareable snippets. Snippets saved by a signed-in user
+ * belong to their workspace; anyone with a permalink can still open them.
+ */
+export class SnippetController {
+  /**
+   * Saves a snippet and returns its short ID
+   * POST /api/v1/snippets
+   */
+  static async create(req: Request, res: Response): Promise<void> {
+    const { code, files, dependencies, sdkVersion }: SnippetRequestBody = req.body;
+    let snippet: Snippet;
+    try {
+      snippet = await snippetStore.create(
+        { code, files, dependencies, sdkVersion },
+        undefined,
+        req.user?.id
+      );
+    } catch (error) {
+      SnippetController.handleStoreFull(error, res);
+      return;
+    }
+
+    res
+      .status(201)
+      .location(`${req.baseUrl}/snippets/${snippet.id}`)
+      .json({
+        success: true,
+        message: 'Snippet saved',
+        snippet,
+      } as SnippetResponse);
+  }
+
+  /**
+   * Lists the snippets in the signed-in user's workspace
+   * GET /api/v1/snippets
+   */
+  static async list(req: Request, res: Response): Promise<void> {
+    const snippets = await snippetStore.list(req.user?.id as string);
+
+    res.json({
+      success: true,
+      message: 'Snippets loaded',
+      snippets,
+    } as SnippetListResponse);
+  }
+
+  /**
+   * Loads a snippet
+   * GET /api/v1/snippets/:id
+   */
+  static async get(req: Request, res: Response): Promise<void> {
+    const snippet = await snippetStore.get(String(req.params.id));
+
+    if (!snippet) {
+      res.status(404).json({
+        success: false,
+        message: 'Snippet not found',
+      } as SnippetResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: 'Snippet loaded',
+      snippet,
+    } as SnippetResponse);
+  }
+
+  /**
+   * Saves a copy of a snippet, with any fields given in the body replaced
+   * POST /api/v1/snippets/:id/fork
+   */
+  static async fork(req: Request, res: Response): Promise<void> {
+    const { code, files, dependencies, sdkVersion }: SnippetForkBody = req.body;
+    let snippet: Snippet | undefined;
+    try {
+      snippet = await snippetStore.fork(
+        String(req.params.id),
+        { code, files, dependencies, sdkVersion },
+        req.user?.id
+      );
+    } catch (error) {
+      SnippetController.handleStoreFull(error, res);
+      return;
+    }
+
+    if (!snippet) {
+      res.status(404).json({
+        success: false,
+        message: 'Snippet not found',
+      } as SnippetResponse);
+      return;
+    }
+
+    res
+      .status(201)
+      .location(`${req.baseUrl}/snippets/${snippet.id}`)
+      .json({
+        success: true,
+        message: `Forked snippet ${snippet.forkedFrom}`,
+        snippet,
+      } as SnippetResponse);
+  }
+
+  /**
+   * Answers a full store with 507 Insufficient Storage; other errors propagate
+   */
+  private static handleStoreFull(error: unknown, res: Response): void {
+    if (!(error instanceof SnippetStoreFullError)) {
+      throw error;
+    }
+    res.status(507).json({
+      success: false,
+      message: 'Snippet storage is full, try again later',
+      error: error.message,
+    } as SnippetResponse);
+  }
+}
@@ -0,0 +1,59 @@
+import type { Request, Response } from 'express';
+import type { ApiResponse } from './compilerController';
+import {
+  getTemplate,
+  listTemplates,
+  type ContractTemplate,
+  type TemplateSummary,
+} from '../templates/catalog';
+
+/**
+ * Interface for template responses
+ */
+export interface TemplateResponse extends ApiResponse {
+  /** Metadata of every template, returned by the listing */
+  templates?: TemplateSummary[];
+  /** A single template including its sources */
+  template?: ContractTemplate;
+}
+
+/**
+ * Controller for the starter contract gallery
+ */
+export class TemplateController {
+  /**
+   * Lists the available templates without their sources
+   * GET /api/v1/templates
+   */
+  static list(_req: Request, res: Response): void {
+    const templates = listTemplates();
+
+    res.json({
+      success: true,
+      message: `${templates.length} templates`,
+      templates,
+    } as TemplateResponse);
+  }
+
+  /**
+   * Returns a template with its sources
+   * GET /api/v1/templates/:id
+   */
+  static get(req: Request, res: Response): void {
+    const template = getTemplate(String(req.params.id));
+
+    if (!template) {
+      res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      } as TemplateResponse);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: `Loaded template ${template.name}`,
+      template,
+    } as TemplateResponse);
+  }
+}
@@ -1,103 +1,32 @@
-import express, { type Request, type Response, type NextFunction } from 'express';
-import helmet from 'helmet';
-import cors from 'cors';
-import { FileManager } from './utils/fileManager';
+import { createApp } from './app';
+import { config } from './config';
+import { LspController } from './controllers/lspController';
+import { healthChecker } from './services/healthChecker';
+import { tempJanitor } from './services/tempJanitor';
+import { toolchainRegistry } from './services/toolchains';
+import { createShutdownHandler } from './shutdown';
+import { logger } from './utils/logger';
 
-const app = express();
+const app = createApp();
 
-// Security middleware
-app.use(
-  helmet({
-    contentSecurityPolicy: {
-      directives: {
-        defaultSrc: ["'self'"],
-        styleSrc: ["'self'", "'unsafe-inline'"],
-        scriptSrc: ["'self'"],
-        imgSrc: ["'self'", 'data:', 'https:'],
-      },
-    },
-    crossOriginEmbedderPolicy: false,
-    hsts: {
-      maxAge: 31536000,
-      includeSubDomains: true,
-      preload: true,
-    },
-  })
-);
-
-// CORS configuration
-app.use(
-  cors({
-    origin: 'http://localhost:4200',
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-    optionsSuccessStatus: 200,
-  })
-);
-
-// Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Routes
-app.get('/', (_, res) =>
-  res.send('Hello from Backend!' + '<br>' + 'The best online soroban compiler is coming...')
-);
-
-// Test endpoint for fileManager functionality
-app.post('/api/test-filemanager', async (req, res) => {
-  try {
-    const {
-      projectName = 'test-project',
-      code = 'pub fn hello() -> &\'static str { "Hello, Soroban!" }',
-    } = req.body;
-
-    // Test project creation using FileManager class
-    const project = await FileManager.createProject({
-      code,
-      projectName,
-    });
-
-    // Success response
-    const response = {
-      success: true,
-      projectPath: project.projectPath,
-      sourcePath: project.sourcePath,
-      cargoPath: project.cargoPath,
-      message: 'FileManager test completed successfully - Rust project created and cleaned up',
-    };
-
-    // Cleanup
-    await project.cleanup();
-
-    res.json(response);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error instanceof Error ? error.message : 'Unknown error',
-    });
-  }
+// Start server
+const server = app.listen(config.port, () => {
+  logger.info('Server listening', { port: config.port, corsOrigins: config.cors.origins });
 });
 
-// Error handling middleware
-app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-  });
+// Builds can select toolchains once they are discovered; without rustup they use the one on the path
+void toolchainRegistry.discover().then(() => {
+  // Starts the canary build, so the service becomes ready without waiting for the first probe
+  void healthChecker.readiness();
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.originalUrl} not found`,
-  });
-});
+// WebSocket upgrades bypass Express
+server.on('upgrade', (req, socket, head) => LspController.upgrade(req, socket, head));
 
-// Start server
-app.listen(3000, () => {
-  console.log('Server on http://localhost:3000');
-  console.log('CORS restricted to http://localhost:4200');
-});
+// Remove projects crashed or killed builds left in the temp directory
+tempJanitor.start();
+
+// Let running builds finish before exiting
+const shutdown = createShutdownHandler({ server, drainTimeoutMs: config.shutdown.drainTimeoutMs });
+process.on('SIGINT', () => void shutdown());
+process.on('SIGTERM', () => void shutdown());
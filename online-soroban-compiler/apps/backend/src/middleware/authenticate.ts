@@ -0,0 +1,75 @@
+import type { Request, Response, NextFunction } from 'express';
+import { config } from '../config';
+import type { ApiResponse } from '../controllers/compilerController';
+import { authenticator, InvalidCredentialsError, type User } from '../services/auth';
+
+declare module 'express-serve-static-core' {
+  interface Request {
+    /** User sending the request, set by `authenticate`; undefined for anonymous requests */
+    user?: User;
+  }
+}
+
+/**
+ * Identifies the user sending a request from a bearer token in the
+ * `Authorization` header or the `access_token` query parameter, or an API key
+ * in `X-API-Key`. Anonymous requests pass through; requests with invalid
+ * credentials are rejected with `401 Unauthorized`.
+ */
+export function authenticate(req: Request, res: Response, next: NextFunction): void {
+  const accessToken = req.query?.access_token;
+  try {
+    req.user = authenticator.authenticate({
+      authorization: req.get('authorization'),
+      apiKey: req.get('x-api-key'),
+      accessToken: typeof accessToken === 'string' ? accessToken : undefined,
+    });
+  } catch (error) {
+    if (error instanceof InvalidCredentialsError) {
+      res.status(401).json({
+        success: false,
+        message: 'Authentication failed',
+        error: error.message,
+      } as ApiResponse);
+      return;
+    }
+    throw error;
+  }
+  next();
+}
+
+/**
+ * Rejects anonymous requests with `401 Unauthorized`
+ */
+export function requireUser(req: Request, res: Response, next: NextFunction): void {
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    } as ApiResponse);
+    return;
+  }
+  next();
+}
+
+/**
+ * Rejects anonymous requests like `requireUser` when `AUTH_REQUIRED` is set,
+ * and lets them through otherwise
+ */
+export function requireAuth(req: Request, res: Response, next: NextFunction): void {
+  if (config.auth.required) {
+    requireUser(req, res, next);
+    return;
+  }
+  next();
+}
+
+/**
+ * Whether a request may see a resource. Resources created anonymously are
+ * visible to anyone holding their ID; owned ones only to their owner.
+ *
+ * @param owner - ID of the user who created the resource, if any
+ */
+export function canAccess(req: Request, owner: string | undefined): boolean {
+  return owner === undefined || owner === req.user?.id;
+}
@@ -0,0 +1,49 @@
+import type { Request, Response, NextFunction } from 'express';
+import type { ApiResponse } from '../controllers/compilerController';
+import {
+  RateLimitExceededError,
+  usageLimiter,
+  type LimitedKind,
+  type UsageLimiter,
+} from '../services/usageLimiter';
+
+/**
+ * Identifies the client of a request: by user when it is signed in,
+ * otherwise by IP address
+ */
+export function clientIdOf(req: Pick<Request, 'user' | 'ip'>): string {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip ?? 'unknown'}`;
+}
+
+/**
+ * Counts requests that spawn processes or write to disk against the client's budgets,
+ * rejecting them with `429 Too Many Requests` and a `Retry-After` header once a budget is
+ * used up
+ *
+ * @param kind - Budget to count against, or a function reading it from the validated body
+ * @param limiter - Limiter holding the budgets (default: the shared limiter)
+ */
+export function rateLimit(
+  kind: LimitedKind | ((req: Request) => LimitedKind),
+  limiter: UsageLimiter = usageLimiter
+) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    try {
+      limiter.consume(clientIdOf(req), typeof kind === 'function' ? kind(req) : kind);
+    } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        res
+          .status(429)
+          .set('Retry-After', String(error.retryAfterSeconds))
+          .json({
+            success: false,
+            message: 'Too many requests, try again later',
+            error: error.message,
+          } as ApiResponse);
+        return;
+      }
+      throw error;
+    }
+    next();
+  };
+}
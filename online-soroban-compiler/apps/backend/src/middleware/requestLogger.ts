@@ -0,0 +1,56 @@
+import type { Request, Response, NextFunction } from 'express';
+import { randomUUID } from 'node:crypto';
+import { httpMetrics } from '../services/metrics';
+import { logger } from '../utils/logger';
+import { withRequestId } from '../utils/requestContext';
+
+/** Request IDs accepted from clients and proxies; others are replaced */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestLog = logger.child({ component: 'http' });
+
+/**
+ * Names the route that handled a request, e.g. `/api/v1/jobs/:id`, so metrics
+ * are not split by IDs in the path
+ */
+function routeOf(req: Request): string {
+  return req.route ? `${req.baseUrl}${String(req.route.path)}` : 'unmatched';
+}
+
+/**
+ * Gives each request an ID, taken from a valid `X-Request-Id` header or
+ * generated, and returns it in the `X-Request-Id` response header. Everything
+ * logged while handling the request, including the commands of its build,
+ * carries the ID. Once the response is sent, the request is logged and counted
+ * in the HTTP metrics.
+ */
+export function requestLogger(req: Request, res: Response, next: NextFunction): void {
+  const startTime = Date.now();
+  const provided = req.get('x-request-id');
+  const requestId = provided && REQUEST_ID_PATTERN.test(provided) ? provided : randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Date.now() - startTime;
+    const route = routeOf(req);
+    const status = res.statusCode;
+    httpMetrics.requests.inc({ method: req.method, route, status: String(status) });
+    httpMetrics.duration.observe({ method: req.method, route }, durationMs / 1000);
+
+    const fields = {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status,
+      durationMs,
+    };
+    if (status >= 500) {
+      requestLog.error('Request failed', fields);
+    } else {
+      requestLog.info('Request completed', fields);
+    }
+  });
+
+  withRequestId(requestId, next);
+}
@@ -0,0 +1,31 @@
+import type { Request, Response, NextFunction } from 'express';
+import { config } from '../config';
+import type { ApiResponse } from '../controllers/compilerController';
+import { secretsMatch } from '../utils/secrets';
+
+/**
+ * Restricts a route to operators holding the admin token, sent in the
+ * `X-Admin-Token` header. Admin routes are disabled when `ADMIN_TOKEN` is unset.
+ */
+export function requireAdmin(req: Request, res: Response, next: NextFunction): void {
+  const expected = config.admin.token;
+
+  if (!expected) {
+    res.status(403).json({
+      success: false,
+      message: 'Admin API is disabled',
+    } as ApiResponse);
+    return;
+  }
+
+  const provided = req.get('x-admin-token');
+  if (!provided || !secretsMatch(provided, expected)) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid admin token',
+    } as ApiResponse);
+    return;
+  }
+
+  next();
+}
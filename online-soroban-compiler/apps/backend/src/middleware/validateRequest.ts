@@ -0,0 +1,41 @@
+import type { Request, Response, NextFunction, RequestHandler } from 'express';
+import type { ZodType, core } from 'zod';
+import type { ApiResponse } from '../controllers/compilerController';
+
+/**
+ * Extracts the most specific message from an issue. Record key failures are
+ * reported by zod as a generic "Invalid key" wrapping the real cause.
+ */
+function issueMessage(issue: core.$ZodIssue): string {
+  if (issue.code === 'invalid_key' && issue.issues[0]) {
+    return issueMessage(issue.issues[0]);
+  }
+  return issue.message;
+}
+
+/**
+ * Creates a middleware that validates the request body against a schema.
+ * On success the parsed body (with unknown keys stripped) replaces `req.body`;
+ * on failure a 400 ApiResponse listing the issues is returned.
+ *
+ * @param schema - Zod schema describing the expected body
+ */
+export function validateBody(schema: ZodType): RequestHandler {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const startTime = Date.now();
+    const result = schema.safeParse(req.body ?? {});
+
+    if (!result.success) {
+      const issues = result.error.issues.map(issueMessage).join('; ');
+      res.status(400).json({
+        success: false,
+        message: `Invalid request: ${issues}`,
+        duration: Date.now() - startTime,
+      } as ApiResponse);
+      return;
+    }
+
+    req.body = result.data;
+    next();
+  };
+}
@@ -0,0 +1,2006 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import request from 'supertest';
+import { createApp } from '../app';
+import { config } from '../config';
+import { FileManager } from '../utils/fileManager';
+import { executeCommand, CommandTimeoutError } from '../utils/commandExecutor';
+import { helloWorldContract, wasmModule } from '../utils/__fixtures__/wasm';
+import { toolchainRegistry, type Toolchain } from '../services/toolchains';
+import { tempJanitor } from '../services/tempJanitor';
+import { jobQueue, QueueClosedError, QueueFullError } from '../services/jobQueue';
+import { healthChecker, type ReadinessReport } from '../services/healthChecker';
+
+jest.mock('../utils/fileManager');
+jest.mock('../utils/commandExecutor', () => ({
+  ...(jest.requireActual('../utils/commandExecutor') as object),
+  executeCommand: jest.fn(),
+}));
+
+const mockFileManager = FileManager as jest.MockedClass<typeof FileManager>;
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+const VALID_CODE = 'pub fn hello() -> &str { "Hello, World!" }';
+
+describe('API v1 routes', () => {
+  const app = createApp();
+  let mockProject: { projectPath: string; cleanup: jest.Mock };
+
+  beforeEach(() => {
+    mockProject = {
+      projectPath: '/tmp/test-project',
+      cleanup: jest.fn().mockImplementation(() => Promise.resolve()),
+    };
+    mockFileManager.createProject.mockResolvedValue(
+      mockProject as unknown as Awaited<ReturnType<typeof FileManager.createProject>>
+    );
+  });
+
+  describe('POST /api/v1/compile', () => {
+    it('should compile valid code', async () => {
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+
+      const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Compilation and optimization successful',
+        output: expect.stringContaining('Compiled'),
+        diagnostics: [],
+        duration: expect.any(Number),
+      });
+      expect(mockProject.cleanup).toHaveBeenCalled();
+    });
+
+    it('should return 400 with compiler output on build failure', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: '',
+        stderr: 'error[E0425]: cannot find value',
+      });
+
+      const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        message: 'Compilation failed',
+        error: 'error[E0425]: cannot find value',
+      });
+    });
+
+    it('should return structured diagnostics from cargo JSON output', async () => {
+      const message = {
+        reason: 'compiler-message',
+        message: {
+          message: 'unused variable: `x`',
+          code: { code: 'unused_variables', explanation: null },
+          level: 'warning',
+          spans: [
+            {
+              file_name: 'src/lib.rs',
+              line_start: 3,
+              line_end: 3,
+              column_start: 9,
+              column_end: 10,
+              is_primary: true,
+              label: null,
+              suggested_replacement: null,
+              suggestion_applicability: null,
+            },
+          ],
+          children: [],
+          rendered: 'warning: unused variable: `x`\n',
+        },
+      };
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: JSON.stringify(message),
+        stderr: 'error: could not compile `project`',
+      });
+
+      const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(
+        'warning: unused variable: `x`\nerror: could not compile `project`'
+      );
+      expect(res.body.diagnostics).toEqual([
+        expect.objectContaining({
+          level: 'warning',
+          code: 'unused_variables',
+          spans: [expect.objectContaining({ file: 'src/lib.rs', lineStart: 3, columnStart: 9 })],
+        }),
+      ]);
+    });
+
+    it('should return 408 on timeout', async () => {
+      mockExecuteCommand.mockRejectedValueOnce(new CommandTimeoutError(30000));
+
+      const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(408);
+      expect(res.body).toMatchObject({ success: false, message: 'Compilation timed out' });
+    });
+
+    it('should reject a missing code field', async () => {
+      const res = await request(app).post('/api/v1/compile').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Invalid request: code is required and must be a string',
+        duration: expect.any(Number),
+      });
+      expect(mockFileManager.createProject).not.toHaveBeenCalled();
+    });
+
+    it('should reject whitespace-only code', async () => {
+      const res = await request(app).post('/api/v1/compile').send({ code: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: code cannot be empty');
+    });
+
+    it('should reject non-string code', async () => {
+      const res = await request(app).post('/api/v1/compile').send({ code: 123 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: code is required and must be a string');
+    });
+
+    it('should reject dependency names that are not crate names', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, dependencies: { 'evil"\n[lib]': '1.0.0' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('dependency names must be valid crate names');
+    });
+
+    it('should reject crates that are not on the allowlist', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, dependencies: { rand: '0.8' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: crate "rand" is not on the dependency allowlist'
+      );
+      expect(mockFileManager.createProject).not.toHaveBeenCalled();
+    });
+
+    it('should build allowed crates against the chosen soroban-sdk version', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      const dependencies = { 'soroban-token-sdk': '21.7.7' };
+
+      await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, dependencies, sdkVersion: '21.7.7' });
+
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ dependencies, sdkVersion: '21.7.7' }),
+        config.dependencies
+      );
+    });
+
+    it('should run synchronous builds in the job workers, even without the build cache', async () => {
+      const { concurrency } = config.jobs;
+      expect(config.cache.enabled).toBe(false);
+      let running = 0;
+      let mostRunning = 0;
+      const pending: Array<() => void> = [];
+      mockExecuteCommand.mockImplementation(async () => {
+        mostRunning = Math.max(mostRunning, ++running);
+        await new Promise<void>((resolve) => pending.push(resolve));
+        running--;
+        return { exitCode: 0, stdout: '', stderr: '' };
+      });
+
+      let finished = false;
+      const responses = Promise.all(
+        Array.from({ length: concurrency + 1 }, () =>
+          request(app)
+            .post('/api/v1/compile')
+            .send({ code: VALID_CODE })
+            .then((res) => res)
+        )
+      ).finally(() => (finished = true));
+      while (pending.length < concurrency) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      // One worker per build: the extra request waits its turn in the queue
+      expect(running).toBe(concurrency);
+      expect(jobQueue.stats().queued).toBe(1);
+
+      while (!finished) {
+        pending.splice(0).forEach((resolve) => resolve());
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      expect((await responses).map((res) => res.status)).toEqual(Array(concurrency + 1).fill(200));
+      expect(mostRunning).toBe(concurrency);
+    });
+
+    it('should refuse synchronous builds with 503 while the queue is full', async () => {
+      jest.spyOn(jobQueue, 'run').mockRejectedValue(new QueueFullError(50));
+
+      const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBe('10');
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Server is busy, try again later',
+        error: 'Job queue is full (50 jobs waiting)',
+        duration: expect.any(Number),
+      });
+    });
+
+    it('should strip unknown fields before reaching the controller', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+
+      await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, projectName: 'demo', extra: true });
+
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        {
+          code: VALID_CODE,
+          projectName: 'demo',
+          dependencies: undefined,
+        },
+        config.dependencies
+      );
+    });
+
+    it('should accept a multi-file project', async () => {
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+      const files = { 'src/lib.rs': 'mod storage;', 'src/storage.rs': 'pub fn get() {}' };
+
+      const res = await request(app).post('/api/v1/compile').send({ files });
+
+      expect(res.status).toBe(200);
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ files }),
+        config.dependencies
+      );
+    });
+
+    it('should reject file paths outside src/ and tests/', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ files: { 'src/lib.rs': VALID_CODE, '../Cargo.toml': '' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: file paths must be .rs files under src/ or tests/'
+      );
+    });
+
+    it('should require src/lib.rs in a file tree', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ files: { 'src/storage.rs': VALID_CODE } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: files must include src/lib.rs');
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .set('Content-Type', 'application/json')
+        .send('{"code":');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'Invalid request' });
+    });
+  });
+
+  describe('POST /api/v1/test', () => {
+    it('should run tests for valid code', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 0,
+        stdout: 'test result: ok. 1 passed; 0 failed',
+        stderr: '',
+      });
+
+      const res = await request(app).post('/api/v1/test').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'All tests passed',
+        output: 'test result: ok. 1 passed; 0 failed',
+        diagnostics: [],
+        testResults: {
+          tests: [],
+          summary: { total: 1, passed: 1, failed: 0, ignored: 0, filteredOut: 0, duration: 0 },
+        },
+        duration: expect.any(Number),
+      });
+    });
+
+    it('should run a single test selected by name', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: [
+          'test test::test_transfer ... FAILED',
+          '',
+          'failures:',
+          '',
+          '---- test::test_transfer stdout ----',
+          "thread 'test::test_transfer' panicked at src/lib.rs:21:5:",
+          'insufficient balance',
+          '',
+          'failures:',
+          '    test::test_transfer',
+          '',
+          'test result: FAILED. 0 passed; 1 failed; 0 ignored; 0 measured; 4 filtered out; finished in 0.02s',
+        ].join('\n'),
+        stderr: '',
+      });
+
+      const res = await request(app)
+        .post('/api/v1/test')
+        .send({ code: VALID_CODE, testFilter: { name: 'test::test_transfer', exact: true } });
+
+      expect(res.status).toBe(400);
+      expect(mockExecuteCommand).toHaveBeenCalledWith(
+        'cargo',
+        ['test', '--message-format=json', '--', 'test::test_transfer', '--exact'],
+        expect.any(Object)
+      );
+      expect(res.body.testResults).toEqual({
+        tests: [
+          {
+            name: 'test::test_transfer',
+            status: 'failed',
+            message:
+              "thread 'test::test_transfer' panicked at src/lib.rs:21:5:\ninsufficient balance",
+          },
+        ],
+        summary: { total: 1, passed: 0, failed: 1, ignored: 0, filteredOut: 4, duration: 20 },
+      });
+    });
+
+    it('should reject test filters that look like harness options', async () => {
+      const res = await request(app)
+        .post('/api/v1/test')
+        .send({ code: VALID_CODE, testFilter: { name: '--nocapture' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: testFilter.name must be a test name');
+      expect(mockExecuteCommand).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when tests fail', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: 'test result: FAILED. 0 passed; 1 failed',
+        stderr: '',
+      });
+
+      const res = await request(app).post('/api/v1/test').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'Tests failed' });
+    });
+
+    it('should reject a missing code field', async () => {
+      const res = await request(app).post('/api/v1/test').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: code is required and must be a string');
+    });
+
+    it('should reject whitespace-only code', async () => {
+      const res = await request(app).post('/api/v1/test').send({ code: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: code cannot be empty');
+    });
+
+    it('should reject non-string code', async () => {
+      const res = await request(app).post('/api/v1/test').send({ code: 42 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: code is required and must be a string');
+    });
+  });
+
+  describe('POST /api/v1/lint', () => {
+    it('should return clippy and Soroban findings as warnings', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({ exitCode: 0, stdout: '', stderr: '' });
+
+      const res = await request(app)
+        .post('/api/v1/lint')
+        .send({ code: 'pub fn add(a: u32, b: u32) -> u32 {\n    a + b\n}\n' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, message: 'Linting found 1 warning' });
+      expect(res.body.diagnostics).toEqual([
+        expect.objectContaining({
+          level: 'warning',
+          code: 'soroban::unchecked_arithmetic',
+          spans: [expect.objectContaining({ file: 'src/lib.rs', lineStart: 2, columnStart: 6 })],
+        }),
+      ]);
+    });
+
+    it('should return 400 when clippy denies a lint', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: '',
+        stderr: 'error: could not compile `project`',
+      });
+
+      const res = await request(app).post('/api/v1/lint').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, message: 'Linting failed' });
+    });
+
+    it('should return 408 when linting times out', async () => {
+      mockExecuteCommand.mockRejectedValueOnce(new CommandTimeoutError(30000));
+
+      const res = await request(app).post('/api/v1/lint').send({ code: VALID_CODE });
+
+      expect(res.status).toBe(408);
+      expect(res.body.message).toBe('Linting timed out');
+    });
+
+    it('should reject sources beyond the lint size limit', async () => {
+      const files = {
+        'src/lib.rs': 'mod a;\nmod b;\nmod c;\n',
+        'src/a.rs': 'a'.repeat(40_000),
+        'src/b.rs': 'b'.repeat(40_000),
+        'src/c.rs': 'c'.repeat(40_000),
+      };
+
+      const linted = await request(app).post('/api/v1/lint').send({ files });
+      const queued = await request(app).post('/api/v1/jobs').send({ type: 'lint', files });
+
+      expect(linted.status).toBe(400);
+      expect(linted.body.message).toBe(
+        'Invalid request: lint sources exceed maximum size of 100000 characters'
+      );
+      expect(queued.status).toBe(400);
+      expect(mockExecuteCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/format', () => {
+    it('should return the formatted code', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({ exitCode: 0, stdout: '', stderr: '' });
+      mockFileManager.readFile.mockResolvedValueOnce('pub fn hello() {}\n');
+
+      const res = await request(app)
+        .post('/api/v1/format')
+        .send({ code: 'pub fn hello(){}', rustfmt: { max_width: 80 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Code formatted',
+        code: 'pub fn hello() {}\n',
+        files: { 'src/lib.rs': 'pub fn hello() {}\n' },
+        duration: expect.any(Number),
+      });
+      expect(mockFileManager.writeFile).toHaveBeenCalledWith(
+        '/tmp/test-project/rustfmt.toml',
+        'max_width = 80\nedition = "2021"\n'
+      );
+      expect(mockProject.cleanup).toHaveBeenCalled();
+    });
+
+    it('should return parse errors as diagnostics', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 1,
+        stdout: '',
+        stderr: 'error: expected item, found `}`\n --> /tmp/test-project/src/lib.rs:1:1\n',
+      });
+
+      const res = await request(app).post('/api/v1/format').send({ code: '}' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        message: 'Formatting failed: the code could not be parsed',
+        diagnostics: [{ level: 'error', spans: [{ file: 'src/lib.rs', lineStart: 1 }] }],
+      });
+    });
+
+    it('should report errors other than parse errors as rustfmt printed them', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 1,
+        stdout: '',
+        stderr:
+          'Error writing files: failed to resolve mod `m`: /tmp/test-project/src/m.rs does not exist\n',
+      });
+
+      const res = await request(app).post('/api/v1/format').send({ code: 'mod m;' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        message:
+          'Formatting failed: Error writing files: failed to resolve mod `m`: src/m.rs does not exist',
+        diagnostics: [],
+      });
+    });
+
+    it('should reject unsupported rustfmt options', async () => {
+      const res = await request(app)
+        .post('/api/v1/format')
+        .send({ code: VALID_CODE, rustfmt: { unstable_features: true } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: rustfmt must be an object of supported rustfmt options'
+      );
+      expect(mockExecuteCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/health', () => {
+    it('should report healthy when the toolchain is available', async () => {
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'cargo 1.80.0', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'wasm32-unknown-unknown', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'stellar 22.0.0', stderr: '' });
+
+      const res = await request(app).get('/api/v1/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Service is healthy',
+        checks: { cargo: true, rustTarget: true, stellar: true },
+        timestamp: expect.any(String),
+      });
+    });
+
+    it('should report 503 when cargo is missing', async () => {
+      mockExecuteCommand.mockRejectedValue(new Error('spawn cargo ENOENT'));
+
+      const res = await request(app).get('/api/v1/health');
+
+      expect(res.status).toBe(503);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('health probes', () => {
+    const report: ReadinessReport = {
+      ready: true,
+      status: 'warn',
+      checks: {
+        disk: { status: 'pass', message: '20480 MB free in /tmp' },
+        queue: { status: 'warn', message: '8 of 10 jobs queued, 2 of 2 workers busy' },
+        toolchain: { status: 'pass', message: 'rustc 1.84.0, cargo 1.84.0' },
+        canary: { status: 'pass', message: 'Canary build succeeded in 2100ms' },
+      },
+      versions: {
+        rustc: 'rustc 1.84.0',
+        cargo: 'cargo 1.84.0',
+        stellar: 'stellar 22.2.0',
+        wasmTarget: true,
+        sorobanSdk: ['22.0.7'],
+        toolchains: [],
+      },
+      checkedAt: '2025-01-07T12:00:00.000Z',
+    };
+
+    it('should report liveness without running any check', async () => {
+      const res = await request(app).get('/api/v1/health/live');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Service is alive',
+        uptimeSeconds: expect.any(Number),
+        timestamp: expect.any(String),
+      });
+      expect(mockExecuteCommand).not.toHaveBeenCalled();
+    });
+
+    it('should report readiness with its checks and tool versions', async () => {
+      jest.spyOn(healthChecker, 'readiness').mockResolvedValue({ report, cached: true });
+
+      const res = await request(app).get('/api/v1/health/ready');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Service is ready',
+        ...report,
+        cached: true,
+      });
+    });
+
+    it('should respond 503 naming the failed checks when not ready', async () => {
+      jest.spyOn(healthChecker, 'readiness').mockResolvedValue({
+        report: {
+          ...report,
+          ready: false,
+          status: 'fail',
+          checks: {
+            ...report.checks,
+            disk: { status: 'fail', message: '512 MB free in /tmp, below 1024 MB' },
+            canary: { status: 'fail', message: 'Canary build has not finished yet' },
+          },
+        },
+        cached: false,
+      });
+
+      const res = await request(app).get('/api/v1/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toMatchObject({
+        success: false,
+        message: 'Service is not ready: disk, canary failed',
+        ready: false,
+      });
+    });
+  });
+
+  describe('GET /api/v1/dependencies', () => {
+    it('should list the allowed crates and soroban-sdk versions', async () => {
+      const res = await request(app).get('/api/v1/dependencies');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '2 allowed crates',
+        allowed: config.dependencies.allowed,
+        sdkVersions: ['22.0.0', '21.7.7'],
+        defaultSdkVersion: '22.0.0',
+      });
+    });
+  });
+
+  describe('toolchains', () => {
+    const STABLE = 'stable-x86_64-unknown-linux-gnu';
+    const PINNED = '1.81.0-x86_64-unknown-linux-gnu';
+    const NIGHTLY = 'nightly-x86_64-unknown-linux-gnu';
+    const TOOLCHAINS: Toolchain[] = [
+      { name: STABLE, rustc: 'rustc 1.84.0', default: true, wasmTarget: true },
+      { name: PINNED, rustc: 'rustc 1.81.0', default: false, wasmTarget: true },
+      { name: NIGHTLY, rustc: 'rustc 1.86.0-nightly', default: false, wasmTarget: false },
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(toolchainRegistry, 'list').mockReturnValue(TOOLCHAINS);
+    });
+
+    it('should list the toolchains and soroban-sdk versions', async () => {
+      const res = await request(app).get('/api/v1/toolchains');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '3 toolchains available',
+        toolchains: TOOLCHAINS,
+        defaultToolchain: STABLE,
+        sdkVersions: ['22.0.0', '21.7.7'],
+        defaultSdkVersion: '22.0.0',
+      });
+    });
+
+    it('should build with the selected toolchain', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+
+      await request(app).post('/api/v1/compile').send({ code: VALID_CODE, toolchain: PINNED });
+
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ toolchain: PINNED }),
+        config.dependencies
+      );
+      expect(mockExecuteCommand).toHaveBeenCalledWith(
+        'cargo',
+        expect.arrayContaining(['build']),
+        expect.objectContaining({ env: { RUSTUP_TOOLCHAIN: PINNED } })
+      );
+    });
+
+    it('should build with the default toolchain when none is selected', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+
+      await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      expect(mockFileManager.createProject).toHaveBeenCalledWith(
+        expect.objectContaining({ toolchain: STABLE }),
+        config.dependencies
+      );
+    });
+
+    it('should reject toolchains that are not installed', async () => {
+      const res = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'compile', code: VALID_CODE, toolchain: '1.70.0' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        `Invalid request: toolchain 1.70.0 is not available (choose one of ${STABLE}, ${PINNED}, ${NIGHTLY})`
+      );
+    });
+
+    it('should reject toolchains that cannot compile contracts', async () => {
+      const res = await request(app)
+        .post('/api/v1/test')
+        .send({ code: VALID_CODE, toolchain: NIGHTLY });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        `Invalid request: toolchain ${NIGHTLY} cannot compile contracts: the wasm32-unknown-unknown target is not installed`
+      );
+    });
+
+    it('should reject malformed toolchain names', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, toolchain: '--help' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: toolchain must be a toolchain name');
+    });
+  });
+
+  describe('jobs', () => {
+    /** Polls a job until it leaves the queued/running states */
+    async function waitForJob(id: string) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const res = await request(app).get(`/api/v1/jobs/${id}`);
+        if (!['queued', 'running'].includes(res.body.job.status)) {
+          return res;
+        }
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      throw new Error(`Job ${id} did not finish`);
+    }
+
+    /** Makes executeCommand stream its stdout through onLine like the real executor */
+    function mockStreamingCommands(...results: Array<{ exitCode: number; stdout: string }>) {
+      for (const result of results) {
+        mockExecuteCommand.mockImplementationOnce(async (_command, _args, options) => {
+          result.stdout.split('\n').forEach((line) => options?.onLine?.(line, 'stdout'));
+          return { ...result, stderr: '' };
+        });
+      }
+    }
+
+    it('should accept a compile job and report its result', async () => {
+      mockStreamingCommands(
+        { exitCode: 0, stdout: 'Compiled' },
+        { exitCode: 0, stdout: 'Optimized' }
+      );
+
+      const created = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'compile', code: VALID_CODE });
+
+      expect(created.status).toBe(202);
+      expect(created.headers.location).toBe(`/api/v1/jobs/${created.body.job.id}`);
+      expect(created.body).toMatchObject({
+        success: true,
+        message: 'Job queued',
+        job: { kind: 'compile', status: 'queued' },
+      });
+
+      const res = await waitForJob(created.body.job.id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.job).toMatchObject({
+        status: 'succeeded',
+        message: 'Compilation and optimization successful',
+        logs: [
+          '$ cargo build --target wasm32-unknown-unknown --release --message-format=json',
+          'Compiled',
+          expect.stringMatching(
+            /^\$ stellar contract optimize --wasm \S+soroban_contract\.wasm --wasm-out \S+soroban_contract\.optimized\.wasm$/
+          ),
+          'Optimized',
+        ],
+        artifacts: [],
+        duration: expect.any(Number),
+      });
+      expect(mockExecuteCommand).toHaveBeenCalledWith(
+        'cargo',
+        ['build', '--target', 'wasm32-unknown-unknown', '--release', '--message-format=json'],
+        expect.objectContaining({ timeout: 300_000 })
+      );
+    });
+
+    describe('with a built contract', () => {
+      let projectPath: string;
+
+      beforeEach(async () => {
+        projectPath = await fs.mkdtemp(join(tmpdir(), 'v1-artifact-'));
+        const releaseDir = join(projectPath, 'target', 'wasm32v1-none', 'release');
+        await fs.mkdir(releaseDir, { recursive: true });
+        await fs.writeFile(join(releaseDir, 'soroban_contract.wasm'), helloWorldContract());
+        await fs.writeFile(
+          join(releaseDir, 'soroban_contract.optimized.wasm'),
+          helloWorldContract()
+        );
+        mockProject.projectPath = projectPath;
+      });
+
+      afterEach(async () => {
+        await fs.rm(projectPath, { recursive: true, force: true });
+      });
+
+      it('should return the optimized wasm with its spec from compile', async () => {
+        mockExecuteCommand
+          .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+          .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+
+        const res = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+        expect(res.status).toBe(200);
+        expect(res.body.artifact).toMatchObject({
+          name: 'soroban_contract.optimized.wasm',
+          optimized: true,
+          size: helloWorldContract().length,
+          sha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+          wasm: helloWorldContract().toString('base64'),
+          spec: {
+            functions: [
+              {
+                name: 'hello',
+                inputs: [{ name: 'to', type: { type: 'symbol' } }],
+                outputs: [{ type: 'vec', elementType: { type: 'symbol' } }],
+                signature: 'hello(to: Symbol) -> Vec<Symbol>',
+              },
+            ],
+          },
+        });
+      });
+
+      it('should serve the wasm of a finished compile job', async () => {
+        mockStreamingCommands(
+          { exitCode: 0, stdout: 'Compiled' },
+          { exitCode: 0, stdout: 'Optimized' }
+        );
+
+        const created = await request(app)
+          .post('/api/v1/jobs')
+          .send({ type: 'compile', code: VALID_CODE });
+        await waitForJob(created.body.job.id);
+
+        const res = await request(app)
+          .get(`/api/v1/jobs/${created.body.job.id}/artifact`)
+          .buffer(true)
+          .parse((response, callback) => {
+            const chunks: Buffer[] = [];
+            response.on('data', (chunk: Buffer) => chunks.push(chunk));
+            response.on('end', () => callback(null, Buffer.concat(chunks)));
+          });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/wasm');
+        expect(res.headers['content-disposition']).toBe(
+          'attachment; filename="soroban_contract.optimized.wasm"'
+        );
+        expect(Buffer.compare(res.body as Buffer, helloWorldContract())).toBe(0);
+      });
+    });
+
+    it('should return 404 for the artifact of a job without one', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({ exitCode: 0, stdout: 'ok', stderr: '' });
+
+      const created = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'test', code: VALID_CODE });
+      await waitForJob(created.body.job.id);
+
+      const res = await request(app).get(`/api/v1/jobs/${created.body.job.id}/artifact`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Job has no artifact' });
+    });
+
+    it('should report failed test jobs', async () => {
+      mockExecuteCommand.mockResolvedValueOnce({
+        exitCode: 101,
+        stdout: 'test result: FAILED',
+        stderr: '',
+      });
+
+      const created = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'test', code: VALID_CODE });
+      const res = await waitForJob(created.body.job.id);
+
+      expect(res.body.job).toMatchObject({ kind: 'test', status: 'failed' });
+    });
+
+    it('should stream job progress as server-sent events', async () => {
+      mockStreamingCommands({ exitCode: 0, stdout: 'running 1 test\ntest result: ok' });
+
+      const created = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'test', code: VALID_CODE });
+      const res = await request(app)
+        .get(`/api/v1/jobs/${created.body.job.id}/events`)
+        .buffer(true)
+        .parse((response, callback) => {
+          let text = '';
+          response.on('data', (chunk: Buffer) => (text += chunk.toString()));
+          response.on('end', () => callback(null, text));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = (res.body as string)
+        .trim()
+        .split('\n\n')
+        .map((block) => JSON.parse(block.split('\ndata: ')[1] as string));
+
+      expect(events.filter((event) => event.type === 'log').map((event) => event.line)).toEqual([
+        '$ cargo test --message-format=json',
+        'running 1 test',
+        'test result: ok',
+      ]);
+      expect(events[events.length - 1]).toMatchObject({
+        type: 'done',
+        job: { status: 'succeeded', message: 'All tests passed' },
+      });
+    });
+
+    it('should return 404 when streaming an unknown job', async () => {
+      const res = await request(app).get('/api/v1/jobs/does-not-exist/events');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should reject an unknown job type', async () => {
+      const res = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'deploy', code: VALID_CODE });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Invalid request: type must be 'compile', 'test' or 'lint'");
+    });
+
+    it('should reject soroban-sdk versions that are not offered', async () => {
+      const res = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'compile', code: VALID_CODE, sdkVersion: '1.0.0' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: soroban-sdk 1.0.0 is not available (choose one of 22.0.0, 21.7.7)'
+      );
+    });
+
+    it('should refuse jobs with 503 while shutting down', async () => {
+      jest.spyOn(jobQueue, 'enqueue').mockImplementation(() => {
+        throw new QueueClosedError();
+      });
+
+      const res = await request(app)
+        .post('/api/v1/jobs')
+        .send({ type: 'compile', code: VALID_CODE });
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Server is shutting down, try again later',
+        error: 'Job queue is closed: the server is shutting down',
+      });
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const res = await request(app).get('/api/v1/jobs/does-not-exist');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Job not found' });
+    });
+  });
+
+  describe('snippets', () => {
+    const defaultDir = config.snippets.dir;
+
+    beforeEach(async () => {
+      config.snippets.dir = await fs.mkdtemp(join(tmpdir(), 'v1-snippets-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(config.snippets.dir, { recursive: true, force: true });
+      config.snippets.dir = defaultDir;
+    });
+
+    it('should save a snippet and load it by its ID', async () => {
+      const created = await request(app).post('/api/v1/snippets').send({ code: VALID_CODE });
+
+      expect(created.status).toBe(201);
+      const { id } = created.body.snippet;
+      expect(id).toMatch(/^[0-9A-Za-z]{10}$/);
+      expect(created.headers.location).toBe(`/api/v1/snippets/${id}`);
+
+      const loaded = await request(app).get(`/api/v1/snippets/${id}`);
+
+      expect(loaded.status).toBe(200);
+      expect(loaded.body.snippet).toEqual({
+        id,
+        files: { 'src/lib.rs': VALID_CODE },
+        createdAt: expect.any(String),
+      });
+    });
+
+    it('should fork a snippet with new sources', async () => {
+      const files = { 'src/lib.rs': 'mod storage;', 'src/storage.rs': '' };
+      const created = await request(app).post('/api/v1/snippets').send({ files });
+
+      const forked = await request(app)
+        .post(`/api/v1/snippets/${created.body.snippet.id}/fork`)
+        .send({ code: VALID_CODE });
+
+      expect(forked.status).toBe(201);
+      expect(forked.body.snippet).toEqual(
+        expect.objectContaining({
+          files: { 'src/lib.rs': VALID_CODE },
+          forkedFrom: created.body.snippet.id,
+        })
+      );
+    });
+
+    it('should validate snippets like build requests', async () => {
+      const res = await request(app)
+        .post('/api/v1/snippets')
+        .send({ code: VALID_CODE, dependencies: { rand: '0.8' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: crate "rand" is not on the dependency allowlist'
+      );
+    });
+
+    it('should return 404 for unknown snippets', async () => {
+      const loaded = await request(app).get('/api/v1/snippets/AAAAAAAAAA');
+      const forked = await request(app).post('/api/v1/snippets/AAAAAAAAAA/fork').send({});
+
+      expect(loaded.status).toBe(404);
+      expect(loaded.body).toEqual({ success: false, message: 'Snippet not found' });
+      expect(forked.status).toBe(404);
+    });
+
+    it('should limit saves and forks per client', async () => {
+      const defaults = structuredClone(config.rateLimit);
+      config.rateLimit.enabled = true;
+      config.rateLimit.limits.snippet = 1;
+
+      try {
+        const invalid = await request(app).post('/api/v1/snippets').send({ code: '' });
+        const created = await request(app).post('/api/v1/snippets').send({ code: VALID_CODE });
+        const forked = await request(app)
+          .post(`/api/v1/snippets/${created.body.snippet.id}/fork`)
+          .send({});
+
+        // Requests failing validation use up no budget
+        expect(invalid.status).toBe(400);
+        expect(created.status).toBe(201);
+        expect(forked.status).toBe(429);
+        expect(forked.body.error).toBe('Rate limit of 1 snippet requests per 60s exceeded');
+        expect(await fs.readdir(config.snippets.dir)).toHaveLength(1);
+      } finally {
+        Object.assign(config.rateLimit, structuredClone(defaults));
+      }
+    });
+
+    it('should return 507 once the store is full', async () => {
+      const defaultMax = config.snippets.maxSnippets;
+      config.snippets.maxSnippets = 1;
+
+      try {
+        const created = await request(app).post('/api/v1/snippets').send({ code: VALID_CODE });
+        const full = await request(app).post('/api/v1/snippets').send({ code: VALID_CODE });
+        const forked = await request(app)
+          .post(`/api/v1/snippets/${created.body.snippet.id}/fork`)
+          .send({});
+
+        expect(created.status).toBe(201);
+        expect(full.status).toBe(507);
+        expect(full.body).toEqual({
+          success: false,
+          message: 'Snippet storage is full, try again later',
+          error: 'The snippet store is full (1 snippets)',
+        });
+        expect(forked.status).toBe(507);
+        // Permalinks keep working
+        expect((await request(app).get(`/api/v1/snippets/${created.body.snippet.id}`)).status).toBe(
+          200
+        );
+      } finally {
+        config.snippets.maxSnippets = defaultMax;
+      }
+    });
+  });
+
+  describe('build history', () => {
+    const defaultHistory = { ...config.history };
+    const defaultApiKeys = config.auth.apiKeys;
+
+    /** Compiles code successfully as a user and returns the ID of the recorded run */
+    async function compile(code: string, apiKey = 'alice-key'): Promise<string> {
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+      await request(app).post('/api/v1/compile').set('X-API-Key', apiKey).send({ code });
+
+      const listed = await request(app).get('/api/v1/history').set('X-API-Key', apiKey);
+      return listed.body.runs[0].id;
+    }
+
+    beforeEach(async () => {
+      config.history.enabled = true;
+      config.history.dir = await fs.mkdtemp(join(tmpdir(), 'v1-history-'));
+      config.auth.apiKeys = { 'alice-key': 'alice', 'bob-key': 'bob' };
+    });
+
+    afterEach(async () => {
+      await fs.rm(config.history.dir, { recursive: true, force: true });
+      Object.assign(config.history, defaultHistory);
+      config.auth.apiKeys = defaultApiKeys;
+    });
+
+    it('should list recorded runs newest first', async () => {
+      const first = await compile('fn a() {}');
+      const second = await compile('fn b() {}');
+
+      const res = await request(app).get('/api/v1/history').set('X-API-Key', 'alice-key');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '2 recorded runs',
+        runs: [
+          expect.objectContaining({ id: second, kind: 'compile', status: 'succeeded' }),
+          expect.objectContaining({ id: first, project: 'soroban-contract' }),
+        ],
+      });
+      expect(res.body.runs[0]).not.toHaveProperty('files');
+    });
+
+    it('should return a run with its sources', async () => {
+      const id = await compile(VALID_CODE);
+
+      const res = await request(app).get(`/api/v1/history/${id}`).set('X-API-Key', 'alice-key');
+
+      expect(res.status).toBe(200);
+      expect(res.body.run).toMatchObject({
+        id,
+        files: { 'src/lib.rs': VALID_CODE },
+        diagnostics: { errors: 0, warnings: 0 },
+        duration: expect.any(Number),
+      });
+    });
+
+    it('should diff the sources of two runs', async () => {
+      const base = await compile('fn a() {}');
+      const head = await compile('fn b() {}');
+
+      const res = await request(app)
+        .get(`/api/v1/history/${head}/compare?base=${base}`)
+        .set('X-API-Key', 'alice-key');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '1 changed files',
+        base,
+        head,
+        comparison: {
+          files: [
+            {
+              path: 'src/lib.rs',
+              status: 'modified',
+              hunks: [
+                {
+                  baseStart: 1,
+                  headStart: 1,
+                  lines: [
+                    { type: 'removed', text: 'fn a() {}' },
+                    { type: 'added', text: 'fn b() {}' },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      });
+    });
+
+    it('should require a run to compare with', async () => {
+      const id = await compile(VALID_CODE);
+
+      const res = await request(app)
+        .get(`/api/v1/history/${id}/compare`)
+        .set('X-API-Key', 'alice-key');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid request: base must name a run to compare with');
+    });
+
+    it("should keep users' runs to themselves", async () => {
+      const id = await compile(VALID_CODE);
+
+      const listed = await request(app).get('/api/v1/history').set('X-API-Key', 'bob-key');
+      const other = await request(app).get(`/api/v1/history/${id}`).set('X-API-Key', 'bob-key');
+      const own = await request(app).get(`/api/v1/history/${id}`).set('X-API-Key', 'alice-key');
+
+      expect(listed.body.runs).toEqual([]);
+      expect(other.status).toBe(404);
+      expect(other.body).toEqual({ success: false, message: 'Run not found' });
+      expect(own.body.run.owner).toBe('alice');
+    });
+
+    it('should neither record nor show history to anonymous callers', async () => {
+      const id = await compile(VALID_CODE);
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+      await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      const listed = await request(app).get('/api/v1/history');
+      const run = await request(app).get(`/api/v1/history/${id}`);
+      const compared = await request(app).get(`/api/v1/history/${id}/compare?base=${id}`);
+
+      expect([listed.status, run.status, compared.status]).toEqual([401, 401, 401]);
+      expect(await fs.readdir(join(config.history.dir, 'runs'))).toHaveLength(1);
+    });
+  });
+
+  describe('templates', () => {
+    it('should list templates without their sources', async () => {
+      const res = await request(app).get('/api/v1/templates');
+
+      expect(res.status).toBe(200);
+      expect(res.body.templates).toHaveLength(7);
+      expect(res.body.templates[0]).toEqual(
+        expect.objectContaining({ id: 'increment', name: 'Increment Counter' })
+      );
+      expect(res.body.templates[0]).not.toHaveProperty('files');
+    });
+
+    it('should return a template with its sources', async () => {
+      const res = await request(app).get('/api/v1/templates/token');
+
+      expect(res.status).toBe(200);
+      expect(Object.keys(res.body.template.files)).toEqual(['src/lib.rs', 'src/test.rs']);
+    });
+
+    it('should return 404 for unknown templates', async () => {
+      const res = await request(app).get('/api/v1/templates/missing');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Template not found' });
+    });
+  });
+
+  describe('deployments', () => {
+    const CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+    const wasm = helloWorldContract().toString('base64');
+
+    beforeEach(() => {
+      mockExecuteCommand.mockImplementation(async (_command, args = []) => {
+        if (args[1] === 'deploy') {
+          return { exitCode: 0, stdout: CONTRACT_ID, stderr: '' };
+        }
+        if (args[1] === 'invoke') {
+          return { exitCode: 0, stdout: '["Hello","Dev"]', stderr: '' };
+        }
+        // The source account already exists
+        return { exitCode: 0, stdout: 'GABC', stderr: '' };
+      });
+    });
+
+    it('should deploy a contract and invoke its functions', async () => {
+      const deployed = await request(app).post('/api/v1/deployments').send({ wasm });
+
+      expect(deployed.status).toBe(201);
+      expect(deployed.headers.location).toBe(`/api/v1/deployments/${CONTRACT_ID}`);
+      expect(deployed.body.deployment).toEqual(
+        expect.objectContaining({
+          contractId: CONTRACT_ID,
+          functions: [expect.objectContaining({ name: 'hello' })],
+        })
+      );
+
+      const invoked = await request(app)
+        .post(`/api/v1/deployments/${CONTRACT_ID}/invoke`)
+        .send({ function: 'hello', args: { to: 'Dev' } });
+
+      expect(invoked.status).toBe(200);
+      expect(invoked.body).toMatchObject({
+        success: true,
+        message: 'Invoked hello',
+        invocation: { function: 'hello', success: true, returnValue: ['Hello', 'Dev'] },
+      });
+    });
+
+    it('should reject arguments that do not match the spec', async () => {
+      await request(app).post('/api/v1/deployments').send({ wasm });
+
+      const res = await request(app)
+        .post(`/api/v1/deployments/${CONTRACT_ID}/invoke`)
+        .send({ function: 'hello', args: { to: 'not a symbol' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: Invalid invocation: to must be a symbol of up to 32 letters, digits and underscores'
+      );
+    });
+
+    it('should reject wasm that is not a contract', async () => {
+      const res = await request(app)
+        .post('/api/v1/deployments')
+        .send({ wasm: Buffer.from('not wasm').toString('base64') });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/^Invalid request: /);
+    });
+
+    it('should report an unreachable network', async () => {
+      mockExecuteCommand.mockImplementation(async (_command, args = []) =>
+        args[1] === 'deploy'
+          ? { exitCode: 1, stdout: '', stderr: 'error: Networking or low-level protocol error' }
+          : { exitCode: 0, stdout: 'GABC', stderr: '' }
+      );
+
+      const res = await request(app).post('/api/v1/deployments').send({ wasm });
+
+      expect(res.status).toBe(502);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Could not deploy the contract on the local network',
+        error: 'error: Networking or low-level protocol error',
+      });
+    });
+
+    it('should return 404 for contracts not deployed here', async () => {
+      const res = await request(app)
+        .post(`/api/v1/deployments/C${'A'.repeat(55)}/invoke`)
+        .send({ function: 'hello' });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Deployment not found' });
+    });
+  });
+
+  describe('GET /api/v1/costs/:wasmHash', () => {
+    const CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+    const wasm = helloWorldContract();
+    const wasmHash = createHash('sha256').update(wasm).digest('hex');
+
+    it('should report the sections and the measured cost of invoked functions', async () => {
+      mockExecuteCommand.mockImplementation(async (_command, args = []) => {
+        if (args[1] === 'deploy') {
+          return { exitCode: 0, stdout: CONTRACT_ID, stderr: '' };
+        }
+        if (args[1] === 'invoke') {
+          return {
+            exitCode: 0,
+            stdout: '["Hello","Dev"]',
+            stderr:
+              'Cpu limit: 100000000; used: 1200\nMem limit: 41943040; used: 300\nBytes read: 64',
+          };
+        }
+        return { exitCode: 0, stdout: 'GABC', stderr: '' };
+      });
+      await request(app)
+        .post('/api/v1/deployments')
+        .send({ wasm: wasm.toString('base64') });
+      await request(app)
+        .post(`/api/v1/deployments/${CONTRACT_ID}/invoke`)
+        .send({ function: 'hello', args: { to: 'Dev' } });
+
+      const res = await request(app).get(`/api/v1/costs/${wasmHash}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.costReport).toEqual({
+        wasmHash,
+        wasmSize: wasm.length,
+        sections: expect.arrayContaining([
+          { name: 'contractspecv0', size: expect.any(Number), custom: true },
+        ]),
+        functions: [
+          {
+            function: 'hello',
+            cpuInstructions: 1200,
+            memoryBytes: 300,
+            readBytes: 64,
+            samples: 1,
+            measuredAt: expect.any(String),
+          },
+        ],
+      });
+    });
+
+    it('should return 404 for unknown builds', async () => {
+      const res = await request(app).get(`/api/v1/costs/${'0'.repeat(64)}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Cost report not found' });
+    });
+
+    it('should reject a compile baseline that is not a sha256', async () => {
+      const res = await request(app)
+        .post('/api/v1/compile')
+        .send({ code: VALID_CODE, baseline: 'previous' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: baseline must be the sha256 of a previous build'
+      );
+    });
+  });
+
+  describe('contract interface', () => {
+    const wasm = helloWorldContract().toString('base64');
+
+    it('should list what the contract spec declares', async () => {
+      const res = await request(app).post('/api/v1/contracts/interface').send({ wasm });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '1 functions, 0 types, 0 error codes and 0 events',
+        interface: {
+          functions: [
+            {
+              name: 'hello',
+              doc: '',
+              inputs: [{ name: 'to', type: { type: 'symbol' } }],
+              outputs: [{ type: 'vec', elementType: { type: 'symbol' } }],
+              signature: 'hello(to: Symbol) -> Vec<Symbol>',
+            },
+          ],
+          structs: [],
+          unions: [],
+          enums: [],
+          errors: [],
+          events: [],
+        },
+      });
+    });
+
+    it('should send TypeScript bindings as a zip archive', async () => {
+      const res = await request(app)
+        .post('/api/v1/contracts/bindings')
+        .send({ wasm, name: 'hello-world' })
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks: Buffer[] = [];
+          response.on('data', (chunk: Buffer) => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="hello-world.zip"');
+      const zip = res.body as Buffer;
+      expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+      expect(zip.toString('latin1')).toContain('hello-world/src/index.ts');
+    });
+
+    it('should reject bindings for contracts without a spec', async () => {
+      const res = await request(app)
+        .post('/api/v1/contracts/bindings')
+        .send({ wasm: wasmModule().toString('base64') });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Invalid request: the contract has no contractspecv0 section',
+      });
+    });
+
+    it('should reject package names npm would not accept', async () => {
+      const res = await request(app)
+        .post('/api/v1/contracts/bindings')
+        .send({ wasm, name: 'Hello World' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        'Invalid request: name must be a lowercase package name, e.g. hello-world'
+      );
+    });
+
+    it('should reject wasm that is not a contract', async () => {
+      const res = await request(app)
+        .post('/api/v1/contracts/interface')
+        .send({ wasm: Buffer.from('not wasm').toString('base64') });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/^Invalid request: /);
+    });
+  });
+
+  describe('admin cache endpoints', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+
+    afterEach(() => {
+      config.admin.token = undefined;
+    });
+
+    it('should be disabled without a configured token', async () => {
+      const res = await request(app).get('/api/v1/admin/cache');
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ success: false, message: 'Admin API is disabled' });
+    });
+
+    it('should reject a wrong token', async () => {
+      config.admin.token = ADMIN_TOKEN;
+
+      const res = await request(app).get('/api/v1/admin/cache').set('X-Admin-Token', 'nope');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should report cache stats', async () => {
+      config.admin.token = ADMIN_TOKEN;
+
+      const res = await request(app).get('/api/v1/admin/cache').set('X-Admin-Token', ADMIN_TOKEN);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        stats: { enabled: false, hits: 0, misses: 0 },
+        entries: expect.any(Array),
+      });
+    });
+
+    it('should return 404 when evicting an unknown entry', async () => {
+      config.admin.token = ADMIN_TOKEN;
+
+      const res = await request(app)
+        .delete(`/api/v1/admin/cache/${'0'.repeat(64)}`)
+        .set('X-Admin-Token', ADMIN_TOKEN);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ success: false, message: 'Cache entry not found' });
+    });
+  });
+
+  describe('admin janitor endpoints', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+
+    beforeEach(() => {
+      config.admin.token = ADMIN_TOKEN;
+    });
+
+    afterEach(() => {
+      config.admin.token = undefined;
+    });
+
+    it('should report what the janitor removed', async () => {
+      const res = await request(app).get('/api/v1/admin/janitor').set('X-Admin-Token', ADMIN_TOKEN);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: '0 sweeps, 0 projects removed',
+        stats: {
+          enabled: false,
+          sweeps: 0,
+          removed: { age: 0, size: 0 },
+          freedBytes: 0,
+          errors: 0,
+          projects: 0,
+          projectBytes: 0,
+        },
+      });
+    });
+
+    it('should sweep on request', async () => {
+      const sweep = {
+        removed: { age: 2, size: 1 },
+        freedBytes: 4096,
+        projects: 1,
+        projectBytes: 512,
+      };
+      jest.spyOn(tempJanitor, 'sweep').mockResolvedValue(sweep);
+
+      const res = await request(app)
+        .post('/api/v1/admin/janitor/sweep')
+        .set('X-Admin-Token', ADMIN_TOKEN);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ message: 'Removed 3 temporary projects', sweep });
+    });
+
+    it('should require the admin token', async () => {
+      const res = await request(app).post('/api/v1/admin/janitor/sweep');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('rate limiting', () => {
+    const defaults = structuredClone(config.rateLimit);
+    const defaultApiKeys = config.auth.apiKeys;
+
+    beforeEach(() => {
+      config.rateLimit.enabled = true;
+      config.rateLimit.limits = {
+        compile: 1,
+        test: 1,
+        lint: 0,
+        format: 1,
+        snippet: 1,
+        deploy: 1,
+        invoke: 1,
+      };
+      config.auth.apiKeys = { 'team-key': 'team' };
+    });
+
+    afterEach(() => {
+      Object.assign(config.rateLimit, structuredClone(defaults));
+      config.auth.apiKeys = defaultApiKeys;
+      config.admin.token = undefined;
+    });
+
+    it('should reject builds beyond the budget with 429 and Retry-After', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'Compiled', stderr: '' });
+
+      const first = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+      const second = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+      const withKey = await request(app)
+        .post('/api/v1/compile')
+        .set('X-API-Key', 'team-key')
+        .send({ code: VALID_CODE });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(429);
+      expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+      expect(second.body).toEqual({
+        success: false,
+        message: 'Too many requests, try again later',
+        error: 'Rate limit of 1 compile requests per 60s exceeded',
+      });
+      // Signed-in users have budgets of their own
+      expect(withKey.status).toBe(200);
+    });
+
+    it('should not count requests that fail validation', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'Compiled', stderr: '' });
+      // A client of its own, with its budget untouched by the other tests
+      config.auth.apiKeys = { 'carol-key': 'carol' };
+
+      const invalid = await request(app)
+        .post('/api/v1/compile')
+        .set('X-API-Key', 'carol-key')
+        .send({ code: '' });
+      const valid = await request(app)
+        .post('/api/v1/compile')
+        .set('X-API-Key', 'carol-key')
+        .send({ code: VALID_CODE });
+
+      expect(invalid.status).toBe(400);
+      expect(valid.status).toBe(200);
+    });
+
+    it('should limit formatting like builds', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      mockFileManager.readFile.mockResolvedValue('pub fn hello() {}\n');
+
+      const first = await request(app).post('/api/v1/format').send({ code: VALID_CODE });
+      const second = await request(app).post('/api/v1/format').send({ code: VALID_CODE });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(429);
+      expect(second.body.error).toBe('Rate limit of 1 format requests per 60s exceeded');
+    });
+
+    it('should limit deployments and invocations', async () => {
+      const contractId = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+      mockExecuteCommand.mockImplementation(async (_command, args = []) =>
+        args[1] === 'deploy'
+          ? { exitCode: 0, stdout: contractId, stderr: '' }
+          : { exitCode: 0, stdout: '["Hello","Dev"]', stderr: '' }
+      );
+      const wasm = helloWorldContract().toString('base64');
+      const invoke = () =>
+        request(app)
+          .post(`/api/v1/deployments/${contractId}/invoke`)
+          .send({ function: 'hello', args: { to: 'Dev' } });
+
+      const deployed = await request(app).post('/api/v1/deployments').send({ wasm });
+      const redeployed = await request(app).post('/api/v1/deployments').send({ wasm });
+      const invoked = await invoke();
+      const reinvoked = await invoke();
+
+      expect(deployed.status).toBe(201);
+      expect(redeployed.status).toBe(429);
+      expect(redeployed.body.error).toBe('Rate limit of 1 deploy requests per 60s exceeded');
+      expect(invoked.status).toBe(200);
+      expect(reinvoked.status).toBe(429);
+      expect(reinvoked.body.error).toBe('Rate limit of 1 invoke requests per 60s exceeded');
+    });
+
+    it('should count jobs against the budget of their type', async () => {
+      const res = await request(app).post('/api/v1/jobs').send({ type: 'lint', code: VALID_CODE });
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe('Rate limit of 0 lint requests per 60s exceeded');
+    });
+
+    it('should list usage per client to admins', async () => {
+      config.admin.token = 'test-admin-token';
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'Compiled', stderr: '' });
+      await request(app)
+        .post('/api/v1/test')
+        .set('X-API-Key', 'team-key')
+        .send({ code: VALID_CODE });
+
+      const res = await request(app)
+        .get('/api/v1/admin/usage')
+        .set('X-Admin-Token', 'test-admin-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.clients).toContainEqual({
+        client: 'user:team',
+        requests: expect.objectContaining({ test: 1 }),
+        cpuSeconds: expect.any(Number),
+        cpuSecondsLimit: config.rateLimit.dailyCpuSeconds,
+        lastSeenAt: expect.any(String),
+      });
+    });
+  });
+
+  describe('authentication', () => {
+    const defaultAuth = { ...config.auth };
+    const defaultSnippetsDir = config.snippets.dir;
+
+    /** Signs in with an API key and returns the bearer token */
+    async function login(apiKey: string): Promise<string> {
+      const res = await request(app).post('/api/v1/auth/login').send({ apiKey });
+      return res.body.token;
+    }
+
+    beforeEach(async () => {
+      config.auth.apiKeys = { 'alice-key': 'alice', 'bob-key': 'bob' };
+      config.snippets.dir = await fs.mkdtemp(join(tmpdir(), 'v1-auth-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(config.snippets.dir, { recursive: true, force: true });
+      config.snippets.dir = defaultSnippetsDir;
+      Object.assign(config.auth, defaultAuth);
+    });
+
+    it('should exchange an API key for a bearer token', async () => {
+      const res = await request(app).post('/api/v1/auth/login').send({ apiKey: 'alice-key' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Signed in as alice',
+        token: expect.any(String),
+        user: { id: 'alice' },
+        expiresAt: expect.any(String),
+      });
+
+      const me = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${res.body.token}`);
+
+      expect(me.status).toBe(200);
+      expect(me.body.user).toEqual({ id: 'alice' });
+    });
+
+    it('should reject unknown API keys and invalid tokens with 401', async () => {
+      const login = await request(app).post('/api/v1/auth/login').send({ apiKey: 'carol-key' });
+      const health = await request(app)
+        .get('/api/v1/health')
+        .set('Authorization', 'Bearer forged.token');
+      const me = await request(app).get('/api/v1/auth/me');
+
+      expect(login.status).toBe(401);
+      expect(login.body).toEqual({
+        success: false,
+        message: 'Authentication failed',
+        error: 'Invalid API key',
+      });
+      expect(health.status).toBe(401);
+      expect(health.body.error).toBe('Invalid token');
+      expect(me.status).toBe(401);
+      expect(me.body).toEqual({ success: false, message: 'Authentication required' });
+    });
+
+    it('should only build for signed-in users when authentication is required', async () => {
+      config.auth.required = true;
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'Compiled', stderr: '' });
+
+      const anonymous = await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+      const withKey = await request(app)
+        .post('/api/v1/compile')
+        .set('X-API-Key', 'alice-key')
+        .send({ code: VALID_CODE });
+      const templates = await request(app).get('/api/v1/templates');
+
+      expect(anonymous.status).toBe(401);
+      expect(withKey.status).toBe(200);
+      expect(templates.status).toBe(200);
+    });
+
+    it("should hide a user's jobs from other users", async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      const alice = await login('alice-key');
+      const bob = await login('bob-key');
+
+      const created = await request(app)
+        .post('/api/v1/jobs')
+        .set('Authorization', `Bearer ${alice}`)
+        .send({ type: 'test', code: VALID_CODE });
+      const { id } = created.body.job;
+
+      expect(created.body.job.owner).toBe('alice');
+      expect(
+        (await request(app).get(`/api/v1/jobs/${id}`).set('Authorization', `Bearer ${alice}`))
+          .status
+      ).toBe(200);
+      // EventSource cannot set headers, so streams take the token in the URL
+      expect((await request(app).get(`/api/v1/jobs/${id}?access_token=${alice}`)).status).toBe(200);
+      expect(
+        (await request(app).get(`/api/v1/jobs/${id}`).set('Authorization', `Bearer ${bob}`)).status
+      ).toBe(404);
+      expect((await request(app).get(`/api/v1/jobs/${id}/artifact`)).status).toBe(404);
+    });
+
+    it("should hide a user's deployments from other users", async () => {
+      const contractId = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+      mockExecuteCommand.mockImplementation(async (_command, args = []) =>
+        args[1] === 'deploy'
+          ? { exitCode: 0, stdout: contractId, stderr: '' }
+          : { exitCode: 0, stdout: '["Hello","Dev"]', stderr: '' }
+      );
+      const invocation = { function: 'hello', args: { to: 'Dev' } };
+
+      const deployed = await request(app)
+        .post('/api/v1/deployments')
+        .set('X-API-Key', 'alice-key')
+        .send({ wasm: helloWorldContract().toString('base64') });
+
+      expect(deployed.body.deployment.owner).toBe('alice');
+      expect(
+        (await request(app).get(`/api/v1/deployments/${contractId}`).set('X-API-Key', 'alice-key'))
+          .status
+      ).toBe(200);
+      expect(
+        (
+          await request(app)
+            .post(`/api/v1/deployments/${contractId}/invoke`)
+            .set('X-API-Key', 'alice-key')
+            .send(invocation)
+        ).status
+      ).toBe(200);
+      expect(
+        (await request(app).get(`/api/v1/deployments/${contractId}`).set('X-API-Key', 'bob-key'))
+          .status
+      ).toBe(404);
+      const invokedByBob = await request(app)
+        .post(`/api/v1/deployments/${contractId}/invoke`)
+        .set('X-API-Key', 'bob-key')
+        .send(invocation);
+      const invokedAnonymously = await request(app)
+        .post(`/api/v1/deployments/${contractId}/invoke`)
+        .send(invocation);
+
+      expect(invokedByBob.status).toBe(404);
+      expect(invokedByBob.body).toEqual({ success: false, message: 'Deployment not found' });
+      expect(invokedAnonymously.status).toBe(404);
+      // Only alice's invocations reached the network
+      expect(
+        mockExecuteCommand.mock.calls.filter(([, args = []]) => args[1] === 'invoke')
+      ).toHaveLength(1);
+    });
+
+    it("should list the snippets in a user's workspace", async () => {
+      const alice = await login('alice-key');
+      const saved = await request(app)
+        .post('/api/v1/snippets')
+        .set('Authorization', `Bearer ${alice}`)
+        .send({ code: VALID_CODE });
+      await request(app)
+        .post('/api/v1/snippets')
+        .set('X-API-Key', 'bob-key')
+        .send({ code: VALID_CODE });
+
+      const res = await request(app)
+        .get('/api/v1/snippets')
+        .set('Authorization', `Bearer ${alice}`);
+      const shared = await request(app).get(`/api/v1/snippets/${saved.body.snippet.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.snippets).toEqual([saved.body.snippet]);
+      expect(saved.body.snippet.owner).toBe('alice');
+      // Permalinks stay shareable
+      expect(shared.status).toBe(200);
+    });
+  });
+
+  describe('observability', () => {
+    afterEach(() => {
+      config.metrics.token = undefined;
+    });
+
+    it('should give each request an ID', async () => {
+      const generated = await request(app).get('/api/v1/dependencies');
+      const forwarded = await request(app)
+        .get('/api/v1/dependencies')
+        .set('X-Request-Id', 'proxy-7f3a.1');
+      const invalid = await request(app)
+        .get('/api/v1/dependencies')
+        .set('X-Request-Id', 'not valid "id"');
+
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(forwarded.headers['x-request-id']).toBe('proxy-7f3a.1');
+      expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should serve build, queue and request metrics to Prometheus', async () => {
+      mockFileManager.getActiveProjects.mockReturnValue(['/tmp/a', '/tmp/b']);
+      mockExecuteCommand
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Compiled', stderr: '' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: 'Optimized', stderr: '' });
+      await request(app).post('/api/v1/compile').send({ code: VALID_CODE });
+
+      const res = await request(app).get('/metrics');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/plain;.* version=0\.0\.4/);
+      expect(res.text).toMatch(
+        /^soroban_builds_total\{kind="compile",result="succeeded",cached="false"\} [1-9]/m
+      );
+      expect(res.text).toContain('# TYPE soroban_build_duration_seconds histogram');
+      expect(res.text).toMatch(/^soroban_job_queue_depth 0$/m);
+      expect(res.text).toMatch(/^soroban_active_projects 2$/m);
+      expect(res.text).toMatch(
+        /^http_requests_total\{method="POST",route="\/api\/v1\/compile",status="200"\} [1-9]/m
+      );
+    });
+
+    it('should require the metrics token once one is configured', async () => {
+      config.metrics.token = 'scrape-token';
+      mockFileManager.getActiveProjects.mockReturnValue([]);
+
+      const denied = await request(app).get('/metrics').set('Authorization', 'Bearer wrong');
+      const allowed = await request(app)
+        .get('/metrics')
+        .set('Authorization', 'Bearer scrape-token');
+
+      expect(denied.status).toBe(401);
+      expect(denied.body).toEqual({ success: false, message: 'Invalid metrics token' });
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  describe('unknown routes', () => {
+    it('should return 404 in the ApiResponse shape', async () => {
+      const res = await request(app).get('/api/v1/unknown');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Route /api/v1/unknown not found',
+        error: 'Not Found',
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { Router } from 'express';
+import { CompilerController } from '../controllers/compilerController';
+import { JobController } from '../controllers/jobController';
+import { AdminController } from '../controllers/adminController';
+import { SnippetController } from '../controllers/snippetController';
+import { TemplateController } from '../controllers/templateController';
+import { DeploymentController } from '../controllers/deploymentController';
+import { CostController } from '../controllers/costController';
+import { FormatController } from '../controllers/formatController';
+import { AuthController } from '../controllers/authController';
+import { HistoryController } from '../controllers/historyController';
+import { HealthController } from '../controllers/healthController';
+import { ContractController } from '../controllers/contractController';
+import { validateBody } from '../middleware/validateRequest';
+import { requireAdmin } from '../middleware/requireAdmin';
+import { rateLimit } from '../middleware/rateLimit';
+import { authenticate, requireAuth, requireUser } from '../middleware/authenticate';
+import {
+  bindingsRequestSchema,
+  compileRequestSchema,
+  contractInterfaceRequestSchema,
+  deployRequestSchema,
+  formatRequestSchema,
+  invokeRequestSchema,
+  jobRequestSchema,
+  lintRequestSchema,
+  loginRequestSchema,
+  snippetForkSchema,
+  snippetRequestSchema,
+} from '../schemas/compilerSchemas';
+
+/**
+ * Version 1 of the compiler API, mounted at /api/v1
+ */
+export const v1Router = Router();
+
+v1Router.use(authenticate);
+
+v1Router.post('/auth/login', validateBody(loginRequestSchema), AuthController.login);
+v1Router.get('/auth/me', requireUser, AuthController.me);
+
+v1Router.post(
+  '/compile',
+  requireAuth,
+  validateBody(compileRequestSchema),
+  rateLimit('compile'),
+  CompilerController.compile
+);
+v1Router.post(
+  '/test',
+  requireAuth,
+  validateBody(compileRequestSchema),
+  rateLimit('test'),
+  CompilerController.test
+);
+v1Router.post(
+  '/lint',
+  requireAuth,
+  validateBody(lintRequestSchema),
+  rateLimit('lint'),
+  CompilerController.lint
+);
+v1Router.post(
+  '/format',
+  requireAuth,
+  validateBody(formatRequestSchema),
+  rateLimit('format'),
+  FormatController.format
+);
+v1Router.get('/health', CompilerController.health);
+v1Router.get('/health/live', HealthController.live);
+v1Router.get('/health/ready', HealthController.ready);
+v1Router.get('/dependencies', CompilerController.dependencies);
+v1Router.get('/toolchains', CompilerController.toolchains);
+
+v1Router.post(
+  '/jobs',
+  requireAuth,
+  validateBody(jobRequestSchema),
+  rateLimit((req) => req.body.type),
+  JobController.create
+);
+v1Router.get('/jobs/:id', JobController.get);
+v1Router.get('/jobs/:id/events', JobController.events);
+v1Router.get('/jobs/:id/artifact', JobController.artifact);
+
+v1Router.post(
+  '/snippets',
+  requireAuth,
+  validateBody(snippetRequestSchema),
+  rateLimit('snippet'),
+  SnippetController.create
+);
+v1Router.get('/snippets', requireUser, SnippetController.list);
+v1Router.get('/snippets/:id', SnippetController.get);
+v1Router.post(
+  '/snippets/:id/fork',
+  requireAuth,
+  validateBody(snippetForkSchema),
+  rateLimit('snippet'),
+  SnippetController.fork
+);
+
+v1Router.get('/history', requireUser, HistoryController.list);
+v1Router.get('/history/:id', requireUser, HistoryController.get);
+v1Router.get('/history/:id/compare', requireUser, HistoryController.compare);
+
+v1Router.get('/templates', TemplateController.list);
+v1Router.get('/templates/:id', TemplateController.get);
+
+v1Router.post(
+  '/deployments',
+  requireAuth,
+  validateBody(deployRequestSchema),
+  rateLimit('deploy'),
+  DeploymentController.create
+);
+v1Router.get('/deployments/:contractId', DeploymentController.get);
+v1Router.post(
+  '/deployments/:contractId/invoke',
+  requireAuth,
+  validateBody(invokeRequestSchema),
+  rateLimit('invoke'),
+  DeploymentController.invoke
+);
+
+v1Router.get('/costs/:wasmHash', CostController.get);
+
+v1Router.post(
+  '/contracts/interface',
+  requireAuth,
+  validateBody(contractInterfaceRequestSchema),
+  ContractController.spec
+);
+v1Router.post(
+  '/contracts/bindings',
+  requireAuth,
+  validateBody(bindingsRequestSchema),
+  ContractController.bindings
+);
+
+v1Router.get('/admin/cache', requireAdmin, AdminController.cacheStats);
+v1Router.delete('/admin/cache', requireAdmin, AdminController.clearCache);
+v1Router.delete('/admin/cache/:key', requireAdmin, AdminController.evictCacheEntry);
+v1Router.get('/admin/usage', requireAdmin, AdminController.usage);
+v1Router.get('/admin/janitor', requireAdmin, AdminController.janitorStats);
+v1Router.post('/admin/janitor/sweep', requireAdmin, AdminController.sweepTempProjects);
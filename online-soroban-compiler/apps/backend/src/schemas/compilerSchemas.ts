@@ -0,0 +1,351 @@
+import { z } from 'zod';
+import { config } from '../config';
+import { LIB_RS_PATH, MAX_PROJECT_FILES, PROJECT_FILE_PATTERN } from '../utils/projectFiles';
+import { checkDependencies } from '../utils/cargoManifest';
+import { TOOLCHAIN_NAME_PATTERN } from '../utils/rustup';
+import { toolchainRegistry } from '../services/toolchains';
+
+/** Maximum accepted size of submitted source code (matches the editor limit) */
+export const MAX_CODE_LENGTH = 50_000;
+
+/** Maximum combined size of all files of a multi-file project */
+export const MAX_PROJECT_LENGTH = 200_000;
+
+/** Maximum combined size of the sources of a lint; the Soroban checks scan them in-process */
+export const MAX_LINT_LENGTH = 100_000;
+
+/**
+ * Crate names as accepted by crates.io. Restricting the charset also keeps
+ * user input from breaking out of the generated Cargo.toml.
+ */
+const CRATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/** Cargo version requirements, e.g. `1.0.0`, `^2.1`, `>=1.2, <2` */
+const VERSION_REQ_PATTERN = /^[0-9A-Za-z.^~*<>=, +-]{1,64}$/;
+
+/**
+ * Test names libtest can match: module paths, plus the file, line and spaces of
+ * doc tests. A leading dash is excluded so a filter cannot pass harness options.
+ */
+const TEST_NAME_PATTERN = /^[A-Za-z0-9_:][A-Za-z0-9_:./() -]{0,199}$/;
+
+/**
+ * Fields shared by compile/test requests and job submissions
+ */
+const buildRequestFields = z.object({
+  code: z
+    .string({ error: 'code is required and must be a string' })
+    .max(MAX_CODE_LENGTH, `code exceeds maximum length of ${MAX_CODE_LENGTH} characters`)
+    .refine((code) => code.trim().length > 0, 'code cannot be empty')
+    .optional(),
+  files: z
+    .record(
+      z.string().regex(PROJECT_FILE_PATTERN, 'file paths must be .rs files under src/ or tests/'),
+      z
+        .string({ error: 'file contents must be strings' })
+        .max(MAX_CODE_LENGTH, `files must not exceed ${MAX_CODE_LENGTH} characters`)
+    )
+    .optional(),
+  projectName: z.string({ error: 'projectName must be a string' }).max(64).optional(),
+  dependencies: z
+    .record(
+      z.string().regex(CRATE_NAME_PATTERN, 'dependency names must be valid crate names'),
+      z
+        .string()
+        .regex(VERSION_REQ_PATTERN, 'dependency versions must be valid version requirements')
+    )
+    .optional(),
+  sdkVersion: z.string({ error: 'sdkVersion must be a string' }).max(32).optional(),
+  toolchain: z
+    .string({ error: 'toolchain must be a string' })
+    .regex(TOOLCHAIN_NAME_PATTERN, 'toolchain must be a toolchain name')
+    .optional(),
+  testFilter: z
+    .object({
+      name: z
+        .string({ error: 'testFilter.name must be a string' })
+        .regex(TEST_NAME_PATTERN, 'testFilter.name must be a test name'),
+      exact: z.boolean({ error: 'testFilter.exact must be a boolean' }).optional(),
+    })
+    .optional(),
+});
+
+/**
+ * Checks that a request carries exactly one crate root, either as `code` or
+ * as `files['src/lib.rs']`, and that a file tree stays within the size limits
+ */
+function checkSources(
+  { code, files }: z.infer<typeof buildRequestFields>,
+  ctx: z.RefinementCtx
+): void {
+  if (!files) {
+    if (code === undefined) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['code'],
+        message: 'code is required and must be a string',
+      });
+    }
+    return;
+  }
+
+  const hasLibRs = LIB_RS_PATH in files;
+  if (code !== undefined && hasLibRs) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['files', LIB_RS_PATH],
+      message: `provide either code or files["${LIB_RS_PATH}"], not both`,
+    });
+  } else if (code === undefined && !hasLibRs) {
+    ctx.addIssue({ code: 'custom', path: ['files'], message: `files must include ${LIB_RS_PATH}` });
+  } else if (code === undefined && files[LIB_RS_PATH]?.trim().length === 0) {
+    ctx.addIssue({ code: 'custom', path: ['files', LIB_RS_PATH], message: 'code cannot be empty' });
+  }
+
+  if (Object.keys(files).length > MAX_PROJECT_FILES) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['files'],
+      message: `projects can have at most ${MAX_PROJECT_FILES} files`,
+    });
+  }
+
+  const totalLength = Object.values(files).reduce((total, contents) => total + contents.length, 0);
+  if (totalLength > MAX_PROJECT_LENGTH) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['files'],
+      message: `project exceeds maximum size of ${MAX_PROJECT_LENGTH} characters`,
+    });
+  }
+}
+
+/**
+ * Checks the requested crates and soroban-sdk version against the allowlist
+ */
+function checkDependencyPolicy(
+  { dependencies, sdkVersion }: z.infer<typeof buildRequestFields>,
+  ctx: z.RefinementCtx
+): void {
+  for (const problem of checkDependencies({ dependencies, sdkVersion }, config.dependencies)) {
+    ctx.addIssue({ code: 'custom', path: ['dependencies'], message: problem });
+  }
+}
+
+/**
+ * Checks that the requested toolchain is installed and can compile contracts
+ */
+function checkToolchain(
+  { toolchain }: z.infer<typeof buildRequestFields>,
+  ctx: z.RefinementCtx
+): void {
+  // Malformed names are already reported by the field
+  const problem =
+    toolchain !== undefined && TOOLCHAIN_NAME_PATTERN.test(toolchain)
+      ? toolchainRegistry.check(toolchain)
+      : undefined;
+  if (problem) {
+    ctx.addIssue({ code: 'custom', path: ['toolchain'], message: problem });
+  }
+}
+
+/**
+ * Validates a build request beyond the shape of its fields
+ */
+function checkBuildRequest(body: z.infer<typeof buildRequestFields>, ctx: z.RefinementCtx): void {
+  checkSources(body, ctx);
+  checkDependencyPolicy(body, ctx);
+  checkToolchain(body, ctx);
+}
+
+/**
+ * Checks that the sources of a lint stay within its smaller size limit
+ */
+function checkLintSize(
+  { code, files }: z.infer<typeof buildRequestFields>,
+  ctx: z.RefinementCtx
+): void {
+  const length = Object.values(files ?? {}).reduce(
+    (total, contents) => total + contents.length,
+    code?.length ?? 0
+  );
+  if (length > MAX_LINT_LENGTH) {
+    ctx.addIssue({
+      code: 'custom',
+      path: [files ? 'files' : 'code'],
+      message: `lint sources exceed maximum size of ${MAX_LINT_LENGTH} characters`,
+    });
+  }
+}
+
+/** Hex encoded SHA-256, as used to identify builds */
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Schema for compile/test request bodies: single-file `code` or a multi-file `files` tree,
+ * optionally naming the previous build to compare costs with
+ */
+export const compileRequestSchema = buildRequestFields
+  .extend({
+    baseline: z
+      .string({ error: 'baseline must be a string' })
+      .regex(SHA256_PATTERN, 'baseline must be the sha256 of a previous build')
+      .optional(),
+  })
+  .superRefine(checkBuildRequest);
+
+export type CompileRequestBody = z.infer<typeof compileRequestSchema>;
+
+/**
+ * Schema for lint request bodies: a compile request within the lint size limit
+ */
+export const lintRequestSchema = compileRequestSchema.superRefine(checkLintSize);
+
+/**
+ * Schema for job submission bodies: a compile/test/lint request plus the job type
+ */
+export const jobRequestSchema = buildRequestFields
+  .extend({
+    type: z.enum(['compile', 'test', 'lint'], {
+      error: "type must be 'compile', 'test' or 'lint'",
+    }),
+  })
+  .superRefine((body, ctx) => {
+    checkBuildRequest(body, ctx);
+    if (body.type === 'lint') {
+      checkLintSize(body, ctx);
+    }
+  });
+
+export type JobRequestBody = z.infer<typeof jobRequestSchema>;
+
+/**
+ * Stable rustfmt options, as they are written to `rustfmt.toml`
+ */
+const rustfmtOptionsSchema = z.strictObject(
+  {
+    max_width: z.int().min(40).max(200).optional(),
+    hard_tabs: z.boolean().optional(),
+    tab_spaces: z.int().min(1).max(16).optional(),
+    use_small_heuristics: z.enum(['Default', 'Off', 'Max']).optional(),
+    fn_params_layout: z.enum(['Tall', 'Compressed', 'Vertical']).optional(),
+    reorder_imports: z.boolean().optional(),
+    reorder_modules: z.boolean().optional(),
+    match_block_trailing_comma: z.boolean().optional(),
+    use_field_init_shorthand: z.boolean().optional(),
+    use_try_shorthand: z.boolean().optional(),
+  },
+  { error: 'rustfmt must be an object of supported rustfmt options' }
+);
+
+/**
+ * Schema for format request bodies: the sources plus the project's rustfmt options
+ */
+export const formatRequestSchema = buildRequestFields
+  .pick({ code: true, files: true })
+  .extend({ rustfmt: rustfmtOptionsSchema.optional() })
+  .superRefine(checkSources);
+
+export type FormatRequestBody = z.infer<typeof formatRequestSchema>;
+
+/**
+ * Fields of a saved snippet
+ */
+const snippetFields = buildRequestFields.pick({
+  code: true,
+  files: true,
+  dependencies: true,
+  sdkVersion: true,
+});
+
+/**
+ * Schema for new snippets: the sources and dependencies of a build request
+ */
+export const snippetRequestSchema = snippetFields.superRefine(checkBuildRequest);
+
+export type SnippetRequestBody = z.infer<typeof snippetRequestSchema>;
+
+/**
+ * Schema for forks: every field is optional and replaces the original's when given
+ */
+export const snippetForkSchema = snippetFields.superRefine((body, ctx) => {
+  if (body.code !== undefined || body.files !== undefined) {
+    checkSources(body, ctx);
+  }
+  checkDependencyPolicy(body, ctx);
+});
+
+export type SnippetForkBody = z.infer<typeof snippetForkSchema>;
+
+/** Maximum size of a contract wasm accepted for deployment (the network's limit) */
+export const MAX_WASM_SIZE = 128 * 1024;
+
+/** Standard base64 with padding */
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/** Contract function and argument names are Rust identifiers of at most 32 characters */
+const SPEC_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+
+/**
+ * Schema for deployments: the base64 wasm of a compiled contract
+ */
+export const deployRequestSchema = z.object({
+  wasm: z
+    .string({ error: 'wasm is required and must be a base64 string' })
+    .max(
+      Math.ceil(MAX_WASM_SIZE / 3) * 4,
+      `wasm exceeds the maximum contract size of ${MAX_WASM_SIZE} bytes`
+    )
+    .regex(BASE64_PATTERN, 'wasm must be base64 encoded'),
+});
+
+export type DeployRequestBody = z.infer<typeof deployRequestSchema>;
+
+/** npm package names: lowercase letters, digits and dashes */
+const PACKAGE_NAME_PATTERN = /^[a-z][a-z0-9-]{0,63}$/;
+
+/**
+ * Schema for reading the interface of a compiled contract: its base64 wasm
+ */
+export const contractInterfaceRequestSchema = deployRequestSchema;
+
+export type ContractInterfaceRequestBody = z.infer<typeof contractInterfaceRequestSchema>;
+
+/**
+ * Schema for client bindings: the base64 wasm and the name of the generated package
+ */
+export const bindingsRequestSchema = deployRequestSchema.extend({
+  name: z
+    .string({ error: 'name must be a string' })
+    .regex(PACKAGE_NAME_PATTERN, 'name must be a lowercase package name, e.g. hello-world')
+    .optional(),
+});
+
+export type BindingsRequestBody = z.infer<typeof bindingsRequestSchema>;
+
+/**
+ * Schema for invocations: a function of the deployed contract and its arguments.
+ * Argument values are checked against the contract spec when invoking.
+ */
+export const invokeRequestSchema = z.object({
+  function: z
+    .string({ error: 'function is required and must be a string' })
+    .regex(SPEC_NAME_PATTERN, 'function must be a contract function name'),
+  args: z
+    .record(z.string().regex(SPEC_NAME_PATTERN, 'argument names must be input names'), z.unknown())
+    .optional(),
+});
+
+export type InvokeRequestBody = z.infer<typeof invokeRequestSchema>;
+
+/**
+ * Schema for signing in: an API key exchanged for a bearer token
+ */
+export const loginRequestSchema = z.object({
+  apiKey: z
+    .string({ error: 'apiKey is required and must be a string' })
+    .min(1, 'apiKey must not be empty')
+    .max(256, 'apiKey must be at most 256 characters'),
+});
+
+export type LoginRequestBody = z.infer<typeof loginRequestSchema>;
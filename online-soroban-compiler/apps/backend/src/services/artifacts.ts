@@ -0,0 +1,212 @@
+import { promises as fs } from 'node:fs';
+import { basename, join } from 'node:path';
+import { createHash } from 'node:crypto';
+import {
+  readContractSpec,
+  formatSignature,
+  type SpecEntry,
+  type SpecEnum,
+  type SpecEvent,
+  type SpecFunction,
+  type SpecStruct,
+  type SpecTypeDef,
+  type SpecUnion,
+} from '../utils/contractSpec';
+
+/**
+ * A wasm file produced by a build
+ */
+export interface BuildArtifact {
+  /** File name, e.g. `soroban_contract.wasm` */
+  name: string;
+  /** Size in bytes */
+  size: number;
+  /** Hex encoded SHA-256 of the file */
+  sha256: string;
+  /** Whether the file is the output of `stellar contract optimize` */
+  optimized: boolean;
+}
+
+/**
+ * An exported contract function as described by the contract spec
+ */
+export interface ContractFunction {
+  name: string;
+  doc: string;
+  inputs: Array<{ name: string; type: SpecTypeDef }>;
+  outputs: SpecTypeDef[];
+  /** Human readable signature, e.g. `hello(to: Symbol) -> Vec<Symbol>` */
+  signature: string;
+}
+
+/**
+ * Interface of a compiled contract
+ */
+export interface ContractInterface {
+  functions: ContractFunction[];
+}
+
+/**
+ * Everything the contract spec declares, grouped by kind
+ */
+export interface ContractInterfaceDetails extends ContractInterface {
+  structs: SpecStruct[];
+  unions: SpecUnion[];
+  enums: SpecEnum[];
+  /** Error enums; their values are the codes of `Error(Contract, #n)` */
+  errors: SpecEnum[];
+  events: SpecEvent[];
+}
+
+/**
+ * The contract wasm returned to clients, with its metadata
+ */
+export interface ContractArtifact extends BuildArtifact {
+  /** Base64 encoded wasm bytes */
+  wasm: string;
+  /** Contract interface read from the `contractspecv0` section */
+  spec: ContractInterface;
+  /** Set when the spec section could not be decoded */
+  specError?: string;
+}
+
+const OPTIMIZED_SUFFIX = '.optimized.wasm';
+
+/**
+ * Finds wasm files in every `<triple>/release` directory of a cargo target
+ * directory. Newer stellar CLI versions build for `wasm32v1-none`, older ones
+ * for `wasm32-unknown-unknown`.
+ *
+ * @returns Paths ordered from most to least recently written
+ */
+async function findWasmFiles(targetDir: string): Promise<string[]> {
+  let triples: string[];
+
+  try {
+    triples = await fs.readdir(targetDir);
+  } catch {
+    // Nothing was built
+    return [];
+  }
+
+  const files: Array<{ path: string; mtime: number }> = [];
+  for (const triple of triples) {
+    const releaseDir = join(targetDir, triple, 'release');
+    try {
+      for (const entry of await fs.readdir(releaseDir)) {
+        if (entry.endsWith('.wasm')) {
+          const path = join(releaseDir, entry);
+          files.push({ path, mtime: (await fs.stat(path)).mtimeMs });
+        }
+      }
+    } catch {
+      // Not a wasm target directory
+    }
+  }
+
+  return files.sort((a, b) => b.mtime - a.mtime).map((file) => file.path);
+}
+
+/**
+ * Describes a wasm file
+ */
+function describe(path: string, wasm: Buffer): BuildArtifact {
+  const name = basename(path);
+  return {
+    name,
+    size: wasm.length,
+    sha256: createHash('sha256').update(wasm).digest('hex'),
+    optimized: name.endsWith(OPTIMIZED_SUFFIX),
+  };
+}
+
+/**
+ * Extracts the exported functions from a compiled contract
+ *
+ * @param wasm - Contract wasm bytes
+ * @throws InvalidWasmError or InvalidContractSpecError if the module cannot be read
+ */
+export function readContractInterface(wasm: Uint8Array): ContractInterface {
+  return { functions: describeFunctions(readContractSpec(wasm)) };
+}
+
+/**
+ * Extracts the functions and the types, error codes and events they use from
+ * a compiled contract
+ *
+ * @param wasm - Contract wasm bytes
+ * @throws InvalidWasmError or InvalidContractSpecError if the module cannot be read
+ */
+export function readContractInterfaceDetails(wasm: Uint8Array): ContractInterfaceDetails {
+  const entries = readContractSpec(wasm);
+  const ofKind = <K extends SpecEntry['kind']>(kind: K) =>
+    entries.filter((entry): entry is Extract<SpecEntry, { kind: K }> => entry.kind === kind);
+
+  return {
+    functions: describeFunctions(entries),
+    structs: ofKind('struct'),
+    unions: ofKind('union'),
+    enums: ofKind('enum'),
+    errors: ofKind('error_enum'),
+    events: ofKind('event'),
+  };
+}
+
+function describeFunctions(entries: SpecEntry[]): ContractFunction[] {
+  return entries
+    .filter((entry): entry is SpecFunction => entry.kind === 'function')
+    .map((fn) => ({
+      name: fn.name,
+      doc: fn.doc,
+      inputs: fn.inputs.map(({ name, type }) => ({ name, type })),
+      outputs: fn.outputs,
+      signature: formatSignature(fn),
+    }));
+}
+
+/**
+ * Deletes the wasm files left in a target directory by an earlier build
+ *
+ * @param targetDir - Cargo target directory
+ */
+export async function removeArtifacts(targetDir: string): Promise<void> {
+  const paths = await findWasmFiles(targetDir);
+  await Promise.all(paths.map((path) => fs.rm(path, { force: true })));
+}
+
+/**
+ * Collects the wasm files produced by a build and loads the contract itself,
+ * preferring the optimized build when there is one
+ *
+ * @param targetDir - Cargo target directory the build wrote to
+ */
+export async function collectArtifacts(
+  targetDir: string
+): Promise<{ artifacts: BuildArtifact[]; artifact?: ContractArtifact }> {
+  const paths = await findWasmFiles(targetDir);
+  if (paths.length === 0) {
+    return { artifacts: [] };
+  }
+
+  const contents = await Promise.all(paths.map((path) => fs.readFile(path)));
+  const artifacts = paths.map((path, i) => describe(path, contents[i] as Buffer));
+  const mainIndex = Math.max(
+    artifacts.findIndex((candidate) => candidate.optimized),
+    0
+  );
+  const wasm = contents[mainIndex] as Buffer;
+
+  const artifact: ContractArtifact = {
+    ...(artifacts[mainIndex] as BuildArtifact),
+    wasm: wasm.toString('base64'),
+    spec: { functions: [] },
+  };
+
+  try {
+    artifact.spec = readContractInterface(wasm);
+  } catch (error) {
+    artifact.specError = error instanceof Error ? error.message : 'Unable to read contract spec';
+  }
+
+  return { artifacts, artifact };
+}
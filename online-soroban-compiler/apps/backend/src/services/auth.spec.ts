@@ -0,0 +1,62 @@
+import { Authenticator, InvalidCredentialsError, type AuthOptions } from './auth';
+
+const OPTIONS: AuthOptions = {
+  apiKeys: { 'alice-key': 'alice', 'bob-key': 'bob' },
+  tokenSecret: 'test-secret',
+  tokenTtlMs: 60_000,
+};
+
+/** 2025-06-01T12:00:00Z */
+const NOON = Date.UTC(2025, 5, 1, 12);
+
+describe('Authenticator', () => {
+  const authenticator = new Authenticator(OPTIONS);
+
+  it('should look up the user of an API key', () => {
+    expect(authenticator.userForApiKey('bob-key')).toEqual({ id: 'bob' });
+    expect(authenticator.userForApiKey('carol-key')).toBeUndefined();
+  });
+
+  it('should issue tokens that verify until they expire', () => {
+    const issued = authenticator.issueToken({ id: 'alice' }, NOON);
+
+    expect(issued).toEqual({
+      token: expect.stringMatching(/^[\w-]+\.[\w-]+$/),
+      user: { id: 'alice' },
+      expiresAt: '2025-06-01T12:01:00.000Z',
+    });
+    expect(authenticator.verifyToken(issued.token, NOON + 59_999)).toEqual({ id: 'alice' });
+    expect(() => authenticator.verifyToken(issued.token, NOON + 60_000)).toThrow(
+      new InvalidCredentialsError('Token expired')
+    );
+  });
+
+  it('should reject forged and malformed tokens', () => {
+    const { token } = authenticator.issueToken({ id: 'alice' }, NOON);
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sub: 'bob', exp: NOON + 60_000 })).toString('base64url')}.${signature}`;
+    const otherSecret = new Authenticator({ ...OPTIONS, tokenSecret: 'other-secret' });
+
+    expect(() => authenticator.verifyToken(forged, NOON)).toThrow('Invalid token');
+    expect(() => authenticator.verifyToken('not-a-token', NOON)).toThrow('Invalid token');
+    expect(() => otherSecret.verifyToken(token, NOON)).toThrow('Invalid token');
+  });
+
+  it('should authenticate requests by bearer token, access token or API key', () => {
+    const { token } = authenticator.issueToken({ id: 'alice' }, NOON);
+
+    expect(authenticator.authenticate({ authorization: `Bearer ${token}` }, NOON)).toEqual({
+      id: 'alice',
+    });
+    expect(authenticator.authenticate({ accessToken: token }, NOON)).toEqual({ id: 'alice' });
+    expect(authenticator.authenticate({ apiKey: 'bob-key' }, NOON)).toEqual({ id: 'bob' });
+    expect(authenticator.authenticate({}, NOON)).toBeUndefined();
+  });
+
+  it('should reject invalid credentials instead of treating them as anonymous', () => {
+    expect(() => authenticator.authenticate({ apiKey: 'carol-key' })).toThrow('Invalid API key');
+    expect(() => authenticator.authenticate({ authorization: 'Basic YWxpY2U6' })).toThrow(
+      'Expected a bearer token in the Authorization header'
+    );
+  });
+});
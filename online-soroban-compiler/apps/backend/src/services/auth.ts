@@ -0,0 +1,159 @@
+import { createHmac } from 'node:crypto';
+import { config as appConfig } from '../config';
+import { secretsMatch } from '../utils/secrets';
+
+/**
+ * A signed-in user of the API
+ */
+export interface User {
+  /** User ID from the `API_KEYS` configuration */
+  id: string;
+}
+
+/**
+ * Credentials sent with a request
+ */
+export interface Credentials {
+  /** Value of the `Authorization` header */
+  authorization?: string;
+  /** Value of the `X-API-Key` header */
+  apiKey?: string;
+  /** Bearer token passed in the URL, for clients that cannot set headers (EventSource, WebSocket) */
+  accessToken?: string;
+}
+
+/**
+ * A bearer token issued for an API key
+ */
+export interface IssuedToken {
+  token: string;
+  user: User;
+  /** ISO timestamp after which the token is rejected */
+  expiresAt: string;
+}
+
+/**
+ * Options of the authenticator
+ */
+export interface AuthOptions {
+  /** API keys mapped to the ID of the user each one signs in */
+  apiKeys: Record<string, string>;
+  /** Secret the bearer tokens are signed with */
+  tokenSecret: string;
+  /** How long a bearer token stays valid */
+  tokenTtlMs: number;
+}
+
+/**
+ * Thrown when a request carries credentials that do not identify a user
+ */
+export class InvalidCredentialsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidCredentialsError';
+  }
+}
+
+interface TokenPayload {
+  /** User ID */
+  sub: string;
+  /** Expiry in milliseconds since the epoch */
+  exp: number;
+}
+
+/**
+ * Signs users in with API keys and issues stateless bearer tokens for them.
+ * A token is its base64url-encoded payload followed by an HMAC-SHA256
+ * signature, so any process sharing the secret can verify it.
+ */
+export class Authenticator {
+  constructor(private readonly options: AuthOptions) {}
+
+  /**
+   * Looks up the user an API key belongs to
+   *
+   * @returns The user, or undefined if the key is unknown
+   */
+  userForApiKey(apiKey: string): User | undefined {
+    // Compare against every key so the time taken does not reveal a match
+    let id: string | undefined;
+    for (const [key, user] of Object.entries(this.options.apiKeys)) {
+      if (secretsMatch(apiKey, key)) {
+        id = user;
+      }
+    }
+    return id === undefined ? undefined : { id };
+  }
+
+  /**
+   * Issues a bearer token for a user
+   */
+  issueToken(user: User, now = Date.now()): IssuedToken {
+    const payload: TokenPayload = { sub: user.id, exp: now + this.options.tokenTtlMs };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      token: `${encoded}.${this.sign(encoded)}`,
+      user,
+      expiresAt: new Date(payload.exp).toISOString(),
+    };
+  }
+
+  /**
+   * Verifies a bearer token
+   *
+   * @returns The user the token was issued to
+   * @throws InvalidCredentialsError if the token is malformed, forged or expired
+   */
+  verifyToken(token: string, now = Date.now()): User {
+    const [encoded = '', signature = ''] = token.split('.');
+    if (!encoded || !secretsMatch(signature, this.sign(encoded))) {
+      throw new InvalidCredentialsError('Invalid token');
+    }
+
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8')) as TokenPayload;
+    if (payload.exp <= now) {
+      throw new InvalidCredentialsError('Token expired');
+    }
+    return { id: payload.sub };
+  }
+
+  /**
+   * Identifies the user sending a request. A bearer token takes precedence
+   * over an API key; requests without either are anonymous.
+   *
+   * @returns The user, or undefined for anonymous requests
+   * @throws InvalidCredentialsError if credentials are present but invalid
+   */
+  authenticate(credentials: Credentials, now = Date.now()): User | undefined {
+    const { authorization, apiKey, accessToken } = credentials;
+
+    if (authorization !== undefined) {
+      const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+      if (!match?.[1]) {
+        throw new InvalidCredentialsError('Expected a bearer token in the Authorization header');
+      }
+      return this.verifyToken(match[1], now);
+    }
+    if (accessToken !== undefined) {
+      return this.verifyToken(accessToken, now);
+    }
+    if (apiKey !== undefined) {
+      const user = this.userForApiKey(apiKey);
+      if (!user) {
+        throw new InvalidCredentialsError('Invalid API key');
+      }
+      return user;
+    }
+    return undefined;
+  }
+
+  private sign(encoded: string): string {
+    return createHmac('sha256', this.options.tokenSecret).update(encoded).digest('base64url');
+  }
+}
+
+/**
+ * Shared authenticator used by the API
+ */
+export const authenticator = new Authenticator(appConfig.auth);
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BuildCache, TargetDirPool } from './buildCache';
+import type { BuildOutcome } from './buildRunner';
+
+const OUTCOME: BuildOutcome = {
+  success: true,
+  message: 'Compilation and optimization successful',
+  output: 'Finished release',
+  artifacts: [],
+};
+
+describe('BuildCache', () => {
+  let dir: string;
+  let cache: BuildCache;
+  let toolchainVersion: jest.Mock<(toolchain?: string) => Promise<string>>;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'build-cache-'));
+    toolchainVersion = jest.fn(async () => 'rustc 1.84.0');
+    cache = new BuildCache({ enabled: true, dir, maxEntries: 2, targetDirs: 1, toolchainVersion });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('keyFor', () => {
+    it('should not depend on dependency order', async () => {
+      const a = await cache.keyFor('compile', { code: 'x', dependencies: { a: '1', b: '2' } });
+      const b = await cache.keyFor('compile', { code: 'x', dependencies: { b: '2', a: '1' } });
+
+      expect(a).toMatch(/^[0-9a-f]{64}$/);
+      expect(a).toBe(b);
+    });
+
+    it('should differ by kind, code and toolchain', async () => {
+      const base = await cache.keyFor('compile', { code: 'x' });
+
+      expect(await cache.keyFor('test', { code: 'x' })).not.toBe(base);
+      expect(await cache.keyFor('compile', { code: 'y' })).not.toBe(base);
+
+      toolchainVersion.mockResolvedValueOnce('rustc 1.85.0');
+      const other = new BuildCache({
+        enabled: true,
+        dir,
+        maxEntries: 2,
+        targetDirs: 1,
+        toolchainVersion,
+      });
+      expect(await other.keyFor('compile', { code: 'x' })).not.toBe(base);
+    });
+
+    it('should look up the toolchain version once', async () => {
+      await cache.keyFor('compile', { code: 'x' });
+      await cache.keyFor('compile', { code: 'y' });
+
+      expect(toolchainVersion).toHaveBeenCalledTimes(1);
+    });
+
+    it('should key builds by the version of the selected toolchain', async () => {
+      toolchainVersion.mockImplementation(async (toolchain) =>
+        toolchain === '1.81.0' ? 'rustc 1.81.0' : 'rustc 1.84.0'
+      );
+      const base = await cache.keyFor('compile', { code: 'x' });
+
+      expect(await cache.keyFor('compile', { code: 'x', toolchain: '1.81.0' })).not.toBe(base);
+      expect(await cache.keyFor('compile', { code: 'x', toolchain: 'stable' })).toBe(base);
+      expect(toolchainVersion.mock.calls).toEqual([[undefined], ['1.81.0'], ['stable']]);
+    });
+  });
+
+  it('should store and return outcomes, counting hits and misses', async () => {
+    const key = await cache.keyFor('compile', { code: 'x' });
+
+    expect(await cache.get(key)).toBeUndefined();
+    await cache.set(key, 'compile', OUTCOME);
+    expect(await cache.get(key)).toEqual(OUTCOME);
+
+    const [entry] = await cache.list();
+    expect(entry).toMatchObject({ key, kind: 'compile', hits: 1, size: expect.any(Number) });
+    expect(await cache.stats()).toMatchObject({ enabled: true, entries: 1, hits: 1, misses: 1 });
+  });
+
+  it('should evict the least recently used entries beyond the limit', async () => {
+    const [first, second, third] = await Promise.all(
+      ['a', 'b', 'c'].map((code) => cache.keyFor('compile', { code }))
+    );
+
+    await cache.set(first as string, 'compile', OUTCOME);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cache.set(second as string, 'compile', OUTCOME);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cache.set(third as string, 'compile', OUTCOME);
+
+    const keys = (await cache.list()).map((entry) => entry.key);
+    expect(keys).toEqual([third, second]);
+  });
+
+  it('should evict single entries and clear all entries', async () => {
+    const [first, second] = await Promise.all(
+      ['a', 'b'].map((code) => cache.keyFor('compile', { code }))
+    );
+    await cache.set(first as string, 'compile', OUTCOME);
+    await cache.set(second as string, 'test', OUTCOME);
+
+    expect(await cache.evict(first as string)).toBe(true);
+    expect(await cache.evict(first as string)).toBe(false);
+    expect(await cache.clear()).toBe(1);
+    expect(await cache.list()).toEqual([]);
+  });
+
+  it('should refuse keys that are not hashes', async () => {
+    expect(await cache.evict('../../etc/passwd')).toBe(false);
+  });
+});
+
+describe('TargetDirPool', () => {
+  it('should make builds wait for a free directory', async () => {
+    const pool = new TargetDirPool(['/cache/targets/0']);
+    const first = await pool.acquire();
+
+    let second: string | undefined;
+    void pool.acquire().then((dir) => (second = dir));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(second).toBeUndefined();
+    expect(pool.inUse).toBe(1);
+
+    pool.release(first);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(second).toBe('/cache/targets/0');
+  });
+});
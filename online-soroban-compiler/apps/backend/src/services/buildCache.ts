@@ -0,0 +1,337 @@
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import { config as appConfig } from '../config';
+import { executeCommand } from '../utils/commandExecutor';
+import type { ProjectConfig } from '../utils/fileManager';
+import { toolchainEnv } from '../utils/rustup';
+import { LIB_RS_PATH } from '../utils/projectFiles';
+import type { BuildKind, BuildOutcome, TestFilter } from './buildRunner';
+
+/**
+ * Metadata of a cached build result
+ */
+export interface CacheEntrySummary {
+  /** Content hash the result is stored under */
+  key: string;
+  /** Kind of build that produced the result */
+  kind: BuildKind;
+  /** ISO timestamp of when the result was stored */
+  createdAt: string;
+  /** ISO timestamp of the last cache hit (or creation) */
+  lastUsedAt: string;
+  /** Number of times the result was served from the cache */
+  hits: number;
+  /** Size of the stored entry in bytes */
+  size: number;
+}
+
+interface CacheEntry extends Omit<CacheEntrySummary, 'size'> {
+  outcome: BuildOutcome;
+}
+
+/**
+ * Counters reported by the admin API
+ */
+export interface CacheStats {
+  enabled: boolean;
+  entries: number;
+  sizeBytes: number;
+  maxEntries: number;
+  /** Lookups served from the cache since startup */
+  hits: number;
+  /** Lookups that required a build since startup */
+  misses: number;
+  /** Shared cargo target directories currently in use */
+  targetDirsInUse: number;
+}
+
+/**
+ * Options for a build cache
+ */
+export interface BuildCacheOptions {
+  /** Whether the cache is used by builds */
+  enabled: boolean;
+  /** Root directory for results and target directories */
+  dir: string;
+  /** Maximum number of stored results */
+  maxEntries: number;
+  /** Number of shared target directories (one per concurrent build) */
+  targetDirs: number;
+  /** Reports the version of a toolchain results are tied to (injectable for tests) */
+  toolchainVersion?: (toolchain?: string) => Promise<string>;
+}
+
+const CACHE_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Hands out a fixed set of cargo target directories so concurrent builds never
+ * share one, while consecutive builds reuse compiled dependencies
+ */
+export class TargetDirPool {
+  private readonly free: string[];
+  private readonly waiting: Array<(dir: string) => void> = [];
+
+  constructor(private readonly dirs: string[]) {
+    this.free = [...dirs];
+  }
+
+  /**
+   * Leases a directory, waiting for one to be released if all are in use
+   */
+  async acquire(): Promise<string> {
+    const dir = this.free.shift();
+    if (dir) {
+      return dir;
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * Returns a leased directory to the pool
+   */
+  release(dir: string): void {
+    const next = this.waiting.shift();
+    if (next) {
+      next(dir);
+    } else {
+      this.free.push(dir);
+    }
+  }
+
+  /**
+   * Number of directories currently leased
+   */
+  get inUse(): number {
+    return this.dirs.length - this.free.length;
+  }
+}
+
+/**
+ * Reads `rustc --version`, which identifies the toolchain builds ran with
+ *
+ * @param toolchain - Installed toolchain, or rustup's default when omitted
+ */
+async function rustcVersion(toolchain?: string): Promise<string> {
+  const result = await executeCommand('rustc', ['--version'], {
+    env: toolchainEnv(toolchain),
+    timeout: 10000,
+  });
+  if (result.exitCode !== 0) {
+    throw new Error('Unable to determine rustc version');
+  }
+  return result.stdout.trim();
+}
+
+/**
+ * Content-addressed cache of build results stored on disk. Results are keyed by
+ * a hash of the build kind, source files, dependencies, soroban-sdk version and
+ * version of the toolchain selected by the build.
+ */
+export class BuildCache {
+  readonly targets: TargetDirPool;
+  private readonly resultsDir: string;
+  private hits = 0;
+  private misses = 0;
+  private readonly toolchains = new Map<string, Promise<string>>();
+
+  constructor(private readonly options: BuildCacheOptions) {
+    this.resultsDir = join(options.dir, 'results');
+    this.targets = new TargetDirPool(
+      Array.from({ length: options.targetDirs }, (_, i) => join(options.dir, 'targets', String(i)))
+    );
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  /**
+   * Computes the cache key of a build
+   *
+   * @param kind - Whether the build compiles or tests
+   * @param config - Project configuration
+   * @param testFilter - Tests selected by a test build
+   */
+  async keyFor(kind: BuildKind, config: ProjectConfig, testFilter?: TestFilter): Promise<string> {
+    const sorted = (record: Record<string, string>) =>
+      Object.entries(record).sort(([a], [b]) => a.localeCompare(b));
+    // Single-file and multi-file submissions of the same crate share a key
+    const sources = sorted({
+      ...config.files,
+      ...(config.code !== undefined ? { [LIB_RS_PATH]: config.code } : {}),
+    });
+    const dependencies = sorted(config.dependencies ?? {});
+    const { sdkVersion } = config;
+    const toolchain = await this.toolchainVersion(config.toolchain);
+
+    return createHash('sha256')
+      .update(JSON.stringify({ kind, sources, dependencies, sdkVersion, toolchain, testFilter }))
+      .digest('hex');
+  }
+
+  /**
+   * Looks up a stored result and records the hit
+   *
+   * @returns The stored outcome, or undefined on a miss
+   */
+  async get(key: string): Promise<BuildOutcome | undefined> {
+    const entry = await this.read(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    await this.write(entry).catch(() => {
+      // Losing a hit count is harmless
+    });
+
+    return entry.outcome;
+  }
+
+  /**
+   * Stores a result, evicting the least recently used entries beyond the limit
+   */
+  async set(key: string, kind: BuildKind, outcome: BuildOutcome): Promise<void> {
+    const now = new Date().toISOString();
+    await this.write({ key, kind, createdAt: now, lastUsedAt: now, hits: 0, outcome });
+
+    const entries = await this.list();
+    const excess = entries.length - this.options.maxEntries;
+    if (excess > 0) {
+      const oldest = entries.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+      await Promise.all(oldest.slice(0, excess).map((entry) => this.evict(entry.key)));
+    }
+  }
+
+  /**
+   * Lists stored results, most recently used first
+   */
+  async list(): Promise<CacheEntrySummary[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.resultsDir);
+    } catch {
+      // Nothing cached yet
+      return [];
+    }
+
+    const summaries = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map(async (file): Promise<CacheEntrySummary | undefined> => {
+          const path = join(this.resultsDir, file);
+          try {
+            const [contents, stat] = await Promise.all([fs.readFile(path, 'utf8'), fs.stat(path)]);
+            const { key, kind, createdAt, lastUsedAt, hits } = JSON.parse(contents) as CacheEntry;
+            return { key, kind, createdAt, lastUsedAt, hits, size: stat.size };
+          } catch {
+            // Entry was evicted or is being written
+            return undefined;
+          }
+        })
+    );
+
+    return summaries
+      .filter((summary): summary is CacheEntrySummary => summary !== undefined)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
+
+  /**
+   * Reports cache counters
+   */
+  async stats(): Promise<CacheStats> {
+    const entries = await this.list();
+    return {
+      enabled: this.enabled,
+      entries: entries.length,
+      sizeBytes: entries.reduce((total, entry) => total + entry.size, 0),
+      maxEntries: this.options.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      targetDirsInUse: this.targets.inUse,
+    };
+  }
+
+  /**
+   * Removes one stored result
+   *
+   * @returns Whether an entry was removed
+   */
+  async evict(key: string): Promise<boolean> {
+    if (!CACHE_KEY_PATTERN.test(key)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.pathFor(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Reports the toolchain builds run with, as printed by `rustc --version`
+   *
+   * @param toolchain - Toolchain selected by the build, or rustup's default when omitted
+   */
+  toolchainVersion(toolchain?: string): Promise<string> {
+    const name = toolchain ?? '';
+    let version = this.toolchains.get(name);
+    if (!version) {
+      version = (this.options.toolchainVersion ?? rustcVersion)(toolchain);
+      this.toolchains.set(name, version);
+      // Retry on the next build instead of remembering the failure
+      version.catch(() => this.toolchains.delete(name));
+    }
+    return version;
+  }
+
+  /**
+   * Removes all stored results. Target directories are kept so dependencies
+   * do not have to be rebuilt.
+   *
+   * @returns Number of entries removed
+   */
+  async clear(): Promise<number> {
+    const entries = await this.list();
+    const removed = await Promise.all(entries.map((entry) => this.evict(entry.key)));
+    return removed.filter(Boolean).length;
+  }
+
+  private pathFor(key: string): string {
+    return join(this.resultsDir, `${key}.json`);
+  }
+
+  private async read(key: string): Promise<CacheEntry | undefined> {
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(key), 'utf8')) as CacheEntry;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Writes an entry atomically so readers never see a partial file
+   */
+  private async write(entry: CacheEntry): Promise<void> {
+    const path = this.pathFor(entry.key);
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+
+    await fs.mkdir(this.resultsDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempPath, path);
+  }
+}
+
+/**
+ * Shared cache used by all builds
+ */
+export const buildCache = new BuildCache({
+  ...appConfig.cache,
+  targetDirs: appConfig.jobs.concurrency,
+});
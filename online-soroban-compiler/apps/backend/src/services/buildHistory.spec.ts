@@ -0,0 +1,180 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BuildHistory, DEFAULT_PROJECT, type FinishedBuild } from './buildHistory';
+import type { ContractArtifact } from './buildRunner';
+import type { Diagnostic } from '../utils/diagnostics';
+
+const diagnostic = (level: Diagnostic['level']): Diagnostic => ({
+  level,
+  message: level,
+  spans: [],
+  notes: [],
+  fixes: [],
+  rendered: level,
+});
+
+const artifact: ContractArtifact = {
+  name: 'soroban_contract.wasm',
+  size: 2048,
+  sha256: 'f'.repeat(64),
+  optimized: true,
+  wasm: '',
+  spec: {
+    functions: [
+      { name: 'hello', doc: '', inputs: [], outputs: [], signature: 'hello() -> Symbol' },
+    ],
+  },
+};
+
+const COMPILED: FinishedBuild = {
+  success: true,
+  message: 'Compilation and optimization successful',
+  artifact,
+  diagnostics: [diagnostic('warning')],
+};
+
+describe('BuildHistory', () => {
+  let dir: string;
+  let history: BuildHistory;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'build-history-'));
+    history = new BuildHistory({
+      enabled: true,
+      dir,
+      maxRuns: 3,
+      toolchainVersion: async () => 'rustc 1.84.0',
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should record a compile with its sources, wasm and interface', async () => {
+    const run = await history.record(
+      'compile',
+      { code: 'pub fn hello() {}', sdkVersion: '22.0.0' },
+      COMPILED,
+      1500,
+      'alice'
+    );
+
+    expect(run).toMatchObject({
+      id: expect.any(String),
+      project: DEFAULT_PROJECT,
+      kind: 'compile',
+      status: 'succeeded',
+      codeHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      toolchain: 'rustc 1.84.0',
+      sdkVersion: '22.0.0',
+      diagnostics: { errors: 0, warnings: 1 },
+      wasmSize: 2048,
+      wasmHash: 'f'.repeat(64),
+      duration: 1500,
+      owner: 'alice',
+      files: { 'src/lib.rs': 'pub fn hello() {}' },
+      signatures: ['hello() -> Symbol'],
+    });
+    expect(await history.get(run!.id)).toEqual(run);
+  });
+
+  it('should record failed test runs with their counts', async () => {
+    const run = await history.record(
+      'test',
+      { code: 'fn a() {}', projectName: 'counter' },
+      {
+        success: false,
+        message: 'Tests failed',
+        diagnostics: [diagnostic('error'), diagnostic('warning')],
+        testResults: {
+          tests: [],
+          summary: { total: 3, passed: 2, failed: 1, ignored: 0, filteredOut: 0, duration: 10 },
+        },
+      },
+      900,
+      'alice'
+    );
+
+    expect(run).toMatchObject({
+      project: 'counter',
+      kind: 'test',
+      status: 'failed',
+      diagnostics: { errors: 1, warnings: 1 },
+      tests: { total: 3, passed: 2, failed: 1 },
+    });
+    expect(run).not.toHaveProperty('wasmSize');
+  });
+
+  it('should hash identical sources the same regardless of how they were submitted', async () => {
+    const fromCode = await history.record('compile', { code: 'fn a() {}' }, COMPILED, 1, 'alice');
+    const fromFiles = await history.record(
+      'compile',
+      { files: { 'src/lib.rs': 'fn a() {}' } },
+      COMPILED,
+      1,
+      'alice'
+    );
+    const changed = await history.record('compile', { code: 'fn b() {}' }, COMPILED, 1, 'alice');
+
+    expect(fromFiles?.codeHash).toBe(fromCode?.codeHash);
+    expect(changed?.codeHash).not.toBe(fromCode?.codeHash);
+  });
+
+  it('should not record lint runs, anonymous builds or anything while disabled', async () => {
+    expect(
+      await history.record('lint', { code: 'fn a() {}' }, COMPILED, 1, 'alice')
+    ).toBeUndefined();
+    expect(await history.record('compile', { code: 'fn a() {}' }, COMPILED, 1)).toBeUndefined();
+
+    const disabled = new BuildHistory({ enabled: false, dir, maxRuns: 3 });
+    expect(
+      await disabled.record('compile', { code: 'fn a() {}' }, COMPILED, 1, 'alice')
+    ).toBeUndefined();
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  it('should list runs per project and user, newest first, without their sources', async () => {
+    const first = await history.record('compile', { code: 'fn a() {}' }, COMPILED, 1, 'alice');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await history.record('test', { code: 'fn a() {}' }, COMPILED, 1, 'alice');
+    await history.record(
+      'compile',
+      { code: 'fn a() {}', projectName: 'other' },
+      COMPILED,
+      1,
+      'alice'
+    );
+    const bobs = await history.record('compile', { code: 'fn a() {}' }, COMPILED, 1, 'bob');
+
+    const runs = await history.list(DEFAULT_PROJECT, 'alice');
+
+    expect(runs.map(({ id }) => id)).toEqual([second?.id, first?.id]);
+    expect(runs[0]).not.toHaveProperty('files');
+    expect(runs[0]).not.toHaveProperty('signatures');
+    expect((await history.list(DEFAULT_PROJECT, 'bob')).map(({ id }) => id)).toEqual([bobs?.id]);
+    expect(await history.list('unknown', 'alice')).toEqual([]);
+  });
+
+  it('should delete the oldest runs beyond the limit', async () => {
+    const recorded = [];
+    for (let i = 0; i < 5; i++) {
+      recorded.push(
+        await history.record('compile', { code: `fn a${i}() {}` }, COMPILED, 1, 'alice')
+      );
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+
+    const runs = await history.list(DEFAULT_PROJECT, 'alice');
+
+    expect(runs.map(({ id }) => id)).toEqual([recorded[4]?.id, recorded[3]?.id, recorded[2]?.id]);
+    expect(await history.get(recorded[0]!.id)).toBeUndefined();
+    expect(await fs.readdir(join(dir, 'runs'))).toHaveLength(3);
+  });
+
+  it('should return undefined for unknown and malformed IDs', async () => {
+    expect(await history.get('00000000-0000-0000-0000-000000000000')).toBeUndefined();
+    expect(await history.get('../../etc/passwd')).toBeUndefined();
+  });
+});
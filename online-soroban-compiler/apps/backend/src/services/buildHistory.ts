@@ -0,0 +1,268 @@
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import { config as appConfig } from '../config';
+import type { ProjectConfig } from '../utils/fileManager';
+import { resolveProjectFiles, type ProjectFiles } from '../utils/projectFiles';
+import type { BuildKind, BuildOutcome } from './buildRunner';
+import { buildCache } from './buildCache';
+
+/** Project name builds are recorded under when the request names none */
+export const DEFAULT_PROJECT = 'soroban-contract';
+
+/**
+ * Kinds of builds kept in the history
+ */
+export type HistoryKind = Exclude<BuildKind, 'lint'>;
+
+/**
+ * A recorded compile or test run, as listed in the history
+ */
+export interface BuildRunSummary {
+  /** Unique run identifier */
+  id: string;
+  /** Project name the build was submitted with */
+  project: string;
+  kind: HistoryKind;
+  status: 'succeeded' | 'failed';
+  /** Result summary */
+  message: string;
+  /** Hex encoded SHA-256 of the sources, dependencies and soroban-sdk version */
+  codeHash: string;
+  /** `rustc --version` of the toolchain, when known */
+  toolchain?: string;
+  sdkVersion?: string;
+  /** Number of compiler errors and warnings */
+  diagnostics: { errors: number; warnings: number };
+  /** Size of the contract wasm, for compiles that produced one */
+  wasmSize?: number;
+  /** Hex encoded SHA-256 of the contract wasm */
+  wasmHash?: string;
+  /** Test counts, for test runs that got to run tests */
+  tests?: { total: number; passed: number; failed: number };
+  /** Time the build took in milliseconds */
+  duration: number;
+  /** Whether the result was served from the build cache */
+  cached?: boolean;
+  /** ID of the user who ran the build */
+  owner: string;
+  /** ISO timestamp of when the run finished */
+  createdAt: string;
+}
+
+/**
+ * A recorded run with the sources it built, to reopen and diff them
+ */
+export interface BuildRun extends BuildRunSummary {
+  files: ProjectFiles;
+  dependencies?: Record<string, string>;
+  /** Signatures of the contract's exported functions, for compiles that produced a contract */
+  signatures?: string[];
+}
+
+/**
+ * Result of a finished build, as reported by the build runner or a job
+ */
+export type FinishedBuild = Pick<
+  BuildOutcome,
+  'success' | 'message' | 'cached' | 'diagnostics' | 'artifact' | 'testResults'
+>;
+
+/**
+ * Options of the build history
+ */
+export interface BuildHistoryOptions {
+  /** Whether runs are recorded */
+  enabled: boolean;
+  /** Directory holding one JSON file per run */
+  dir: string;
+  /** Runs kept per user and project; older ones are deleted */
+  maxRuns: number;
+  /** Reports the version of a toolchain (default: the build cache's) */
+  toolchainVersion?: (toolchain?: string) => Promise<string>;
+}
+
+/**
+ * Hashes what determines a build's sources, independent of how they were submitted
+ */
+function codeHashOf(files: ProjectFiles, config: ProjectConfig): string {
+  const sorted = (record: Record<string, string>) =>
+    Object.entries(record).sort(([a], [b]) => a.localeCompare(b));
+  return createHash('sha256')
+    .update(
+      JSON.stringify({
+        files: sorted(files),
+        dependencies: sorted(config.dependencies ?? {}),
+        sdkVersion: config.sdkVersion,
+      })
+    )
+    .digest('hex');
+}
+
+/**
+ * Leaves out the sources and interface of a run for listings
+ */
+function summaryOf(run: BuildRun): BuildRunSummary {
+  const summary: BuildRunSummary & Partial<BuildRun> = { ...run };
+  delete summary.files;
+  delete summary.dependencies;
+  delete summary.signatures;
+  return summary;
+}
+
+/**
+ * Records compile and test runs on disk, per user and project. Runs are
+ * stored as `runs/<id>.json`, and each user's runs of a project are indexed by
+ * empty files named `<timestamp>-<id>` in `projects/<hash>/`.
+ */
+export class BuildHistory {
+  constructor(private readonly options: BuildHistoryOptions) {}
+
+  /**
+   * Records a finished build. Lint runs and anonymous builds are not
+   * recorded, since their sources could not be kept to the caller.
+   *
+   * @param owner - ID of the user who ran the build
+   * @returns The recorded run, or undefined if nothing was recorded
+   */
+  async record(
+    kind: BuildKind,
+    config: ProjectConfig,
+    result: FinishedBuild,
+    duration: number,
+    owner?: string
+  ): Promise<BuildRun | undefined> {
+    if (!this.options.enabled || kind === 'lint' || !owner) {
+      return undefined;
+    }
+
+    const files = resolveProjectFiles(config);
+    const project = config.projectName || DEFAULT_PROJECT;
+    const diagnostics = result.diagnostics ?? [];
+    const summary = result.testResults?.summary;
+    const toolchain = await (
+      this.options.toolchainVersion ?? ((name) => buildCache.toolchainVersion(name))
+    )(config.toolchain).catch(() => undefined);
+    const createdAt = new Date();
+
+    const run: BuildRun = {
+      id: randomUUID(),
+      project,
+      kind,
+      status: result.success ? 'succeeded' : 'failed',
+      message: result.message,
+      codeHash: codeHashOf(files, config),
+      ...(toolchain ? { toolchain } : {}),
+      ...(config.sdkVersion ? { sdkVersion: config.sdkVersion } : {}),
+      diagnostics: {
+        errors: diagnostics.filter((diagnostic) => diagnostic.level === 'error').length,
+        warnings: diagnostics.filter((diagnostic) => diagnostic.level === 'warning').length,
+      },
+      ...(result.artifact
+        ? { wasmSize: result.artifact.size, wasmHash: result.artifact.sha256 }
+        : {}),
+      ...(summary
+        ? { tests: { total: summary.total, passed: summary.passed, failed: summary.failed } }
+        : {}),
+      duration,
+      ...(result.cached ? { cached: true } : {}),
+      owner,
+      createdAt: createdAt.toISOString(),
+      files,
+      ...(config.dependencies ? { dependencies: config.dependencies } : {}),
+      ...(result.artifact
+        ? { signatures: result.artifact.spec.functions.map(({ signature }) => signature) }
+        : {}),
+    };
+
+    const indexDir = this.indexDirFor(project, owner);
+    await fs.mkdir(this.runsDir, { recursive: true });
+    await fs.mkdir(indexDir, { recursive: true });
+    await fs.writeFile(this.pathFor(run.id), JSON.stringify(run), 'utf8');
+    // Zero-padded timestamps make the index names sort chronologically
+    await fs.writeFile(
+      join(indexDir, `${String(createdAt.getTime()).padStart(15, '0')}-${run.id}`),
+      ''
+    );
+    await this.prune(indexDir);
+
+    return run;
+  }
+
+  /**
+   * Lists a user's runs of a project, newest first
+   *
+   * @param owner - ID of the user
+   */
+  async list(project: string, owner: string): Promise<BuildRunSummary[]> {
+    const runs = await Promise.all(
+      (await this.indexOf(this.indexDirFor(project, owner)))
+        .reverse()
+        .map((entry) => this.get(entry.slice(entry.indexOf('-') + 1)))
+    );
+    return runs.filter((run): run is BuildRun => run !== undefined).map(summaryOf);
+  }
+
+  /**
+   * Looks up a run
+   *
+   * @returns The run with its sources, or undefined if the ID is unknown
+   */
+  async get(id: string): Promise<BuildRun | undefined> {
+    if (!/^[0-9a-f-]{36}$/.test(id)) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(id), 'utf8')) as BuildRun;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private get runsDir(): string {
+    return join(this.options.dir, 'runs');
+  }
+
+  private pathFor(id: string): string {
+    return join(this.runsDir, `${id}.json`);
+  }
+
+  /**
+   * Index directory of a user's project; names are hashed as they may contain any character
+   */
+  private indexDirFor(project: string, owner: string): string {
+    const hash = createHash('sha256')
+      .update(JSON.stringify([owner, project]))
+      .digest('hex')
+      .slice(0, 32);
+    return join(this.options.dir, 'projects', hash);
+  }
+
+  /**
+   * Lists the index entries of a project, oldest first
+   */
+  private async indexOf(indexDir: string): Promise<string[]> {
+    try {
+      return (await fs.readdir(indexDir)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Deletes the oldest runs of a project beyond the limit
+   */
+  private async prune(indexDir: string): Promise<void> {
+    const entries = await this.indexOf(indexDir);
+    for (const entry of entries.slice(0, Math.max(0, entries.length - this.options.maxRuns))) {
+      await fs.rm(this.pathFor(entry.slice(entry.indexOf('-') + 1)), { force: true });
+      await fs.rm(join(indexDir, entry), { force: true });
+    }
+  }
+}
+
+/**
+ * Shared build history used by the API
+ */
+export const buildHistory = new BuildHistory(appConfig.history);
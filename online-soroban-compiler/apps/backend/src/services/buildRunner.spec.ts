@@ -0,0 +1,385 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runBuild, runCanaryBuild } from './buildRunner';
+import { BuildCache } from './buildCache';
+import { CostProfiler } from './costProfiler';
+import { buildMetrics } from './metrics';
+import { FileManager } from '../utils/fileManager';
+import { executeCommand } from '../utils/commandExecutor';
+import type { SandboxRunner } from '../utils/sandbox';
+import { helloWorldContract } from '../utils/__fixtures__/wasm';
+
+jest.mock('../utils/fileManager');
+jest.mock('../utils/commandExecutor');
+
+const mockFileManager = FileManager as jest.MockedClass<typeof FileManager>;
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+describe('runBuild', () => {
+  let dir: string;
+  let cache: BuildCache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'build-runner-'));
+    cache = new BuildCache({
+      enabled: true,
+      dir,
+      maxEntries: 10,
+      targetDirs: 1,
+      toolchainVersion: async () => 'rustc 1.84.0',
+    });
+    mockFileManager.createProject.mockResolvedValue({
+      projectPath: join(dir, 'project'),
+      sourcePath: join(dir, 'project', 'src', 'lib.rs'),
+      cargoPath: join(dir, 'project', 'Cargo.toml'),
+      cleanup: jest.fn(async () => {}),
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should build in a shared target directory', async () => {
+    mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'ok', stderr: '' });
+
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+
+    expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['test', '--message-format=json'], {
+      cwd: join(dir, 'project'),
+      timeout: 30000,
+      env: { CARGO_TARGET_DIR: join(dir, 'targets', '0') },
+    });
+  });
+
+  it('should build with the selected toolchain', async () => {
+    mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'ok', stderr: '' });
+
+    await runBuild('test', { code: 'fn a() {}', toolchain: '1.81.0' }, { cache });
+
+    expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['test', '--message-format=json'], {
+      cwd: join(dir, 'project'),
+      timeout: 30000,
+      env: { CARGO_TARGET_DIR: join(dir, 'targets', '0'), RUSTUP_TOOLCHAIN: '1.81.0' },
+    });
+  });
+
+  it('should serve identical submissions from the cache', async () => {
+    mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'test result: ok', stderr: '' });
+    const onLog = jest.fn();
+
+    const first = await runBuild('test', { code: 'fn a() {}' }, { cache });
+    const second = await runBuild('test', { code: 'fn a() {}' }, { cache, onLog });
+
+    expect(first.cached).toBeUndefined();
+    expect(second).toEqual({ ...first, cached: true });
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(1);
+    expect(mockFileManager.createProject).toHaveBeenCalledTimes(1);
+    expect(onLog).toHaveBeenCalledWith(expect.stringMatching(/^Using cached result [0-9a-f]{12}$/));
+  });
+
+  it('should track compiled contracts for cost reports', async () => {
+    const wasm = helloWorldContract();
+    mockExecuteCommand.mockImplementation(async (_command, _args, options) => {
+      const targetDir = options?.env?.CARGO_TARGET_DIR as string;
+      const releaseDir = join(targetDir, 'wasm32-unknown-unknown', 'release');
+      await fs.mkdir(releaseDir, { recursive: true });
+      await fs.writeFile(join(releaseDir, 'soroban_contract.wasm'), wasm);
+      return { exitCode: 0, stdout: '', stderr: '' };
+    });
+    const profiler = new CostProfiler({ maxReports: 10 });
+
+    const outcome = await runBuild('compile', { code: 'fn a() {}' }, { cache, profiler });
+
+    expect(profiler.get(outcome.artifact?.sha256 as string)).toMatchObject({
+      wasmSize: wasm.length,
+      functions: [],
+    });
+  });
+
+  it('should optimize the built wasm and return the optimized contract', async () => {
+    const wasm = helloWorldContract();
+    const wasmPath = join(dir, 'targets', '0', 'wasm32-unknown-unknown', 'release');
+    mockExecuteCommand.mockImplementation(async (command) => {
+      await fs.mkdir(wasmPath, { recursive: true });
+      const name =
+        command === 'stellar' ? 'soroban_contract.optimized.wasm' : 'soroban_contract.wasm';
+      await fs.writeFile(join(wasmPath, name), wasm);
+      return { exitCode: 0, stdout: '', stderr: '' };
+    });
+
+    const outcome = await runBuild('compile', { code: 'fn a() {}' }, { cache });
+
+    expect(mockExecuteCommand).toHaveBeenCalledWith(
+      'stellar',
+      [
+        'contract',
+        'optimize',
+        '--wasm',
+        join(wasmPath, 'soroban_contract.wasm'),
+        '--wasm-out',
+        join(wasmPath, 'soroban_contract.optimized.wasm'),
+      ],
+      expect.objectContaining({ cwd: join(dir, 'project') })
+    );
+    expect(outcome).toMatchObject({
+      success: true,
+      message: 'Compilation and optimization successful',
+      artifact: { name: 'soroban_contract.optimized.wasm', optimized: true },
+    });
+  });
+
+  it('should fail the compile when optimization fails', async () => {
+    mockExecuteCommand
+      .mockResolvedValueOnce({ exitCode: 0, stdout: '', stderr: '' })
+      .mockResolvedValueOnce({ exitCode: 1, stdout: '', stderr: 'error: reading input wasm' });
+
+    const outcome = await runBuild('compile', { code: 'fn a() {}' }, { cache });
+
+    expect(outcome).toMatchObject({
+      success: false,
+      message: 'Optimization failed',
+      error: 'error: reading input wasm',
+      artifacts: [],
+    });
+  });
+
+  it('should run only the tests matching a filter, caching them separately', async () => {
+    mockExecuteCommand.mockResolvedValue({
+      exitCode: 0,
+      stdout: [
+        'test test::test_hello ... ok',
+        'test result: ok. 1 passed; 0 failed; 0 ignored; 0 measured; 3 filtered out; finished in 0.01s',
+      ].join('\n'),
+      stderr: '',
+    });
+
+    const outcome = await runBuild(
+      'test',
+      { code: 'fn a() {}' },
+      { cache, testFilter: { name: 'test::test_hello', exact: true } }
+    );
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+
+    expect(mockExecuteCommand).toHaveBeenNthCalledWith(
+      1,
+      'cargo',
+      ['test', '--message-format=json', '--', 'test::test_hello', '--exact'],
+      expect.any(Object)
+    );
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(2);
+    expect(outcome.testResults).toEqual({
+      tests: [{ name: 'test::test_hello', status: 'ok' }],
+      summary: { total: 1, passed: 1, failed: 0, ignored: 0, filteredOut: 3, duration: 10 },
+    });
+  });
+
+  it('should run clippy and report Soroban findings as diagnostics', async () => {
+    const clippyWarning = {
+      reason: 'compiler-message',
+      message: {
+        message: 'this `if` has identical blocks',
+        code: { code: 'clippy::if_same_then_else', explanation: null },
+        level: 'warning',
+        spans: [],
+        children: [],
+        rendered: 'warning: this `if` has identical blocks\n',
+      },
+    };
+    mockExecuteCommand.mockResolvedValue({
+      exitCode: 0,
+      stdout: JSON.stringify(clippyWarning),
+      stderr: '',
+    });
+    const onLog = jest.fn();
+
+    const outcome = await runBuild(
+      'lint',
+      { code: 'pub fn fail() {\n    panic!("boom");\n}\n' },
+      { cache, onLog }
+    );
+
+    expect(mockExecuteCommand).toHaveBeenCalledWith(
+      'cargo',
+      [
+        'clippy',
+        '--message-format=json',
+        '--',
+        '-D',
+        'clippy::correctness',
+        '-D',
+        'clippy::suspicious',
+        '-W',
+        'clippy::perf',
+        '-W',
+        'clippy::complexity',
+      ],
+      expect.any(Object)
+    );
+    expect(outcome).toMatchObject({ success: true, message: 'Linting found 2 warnings' });
+    expect(outcome.diagnostics?.map((diagnostic) => diagnostic.code)).toEqual([
+      'clippy::if_same_then_else',
+      'soroban::panic_instead_of_error',
+    ]);
+    expect(onLog).toHaveBeenCalledWith(
+      expect.stringContaining('warning[soroban::panic_instead_of_error]')
+    );
+  });
+
+  it('should fail the lint when clippy denies a lint', async () => {
+    mockExecuteCommand.mockResolvedValue({ exitCode: 101, stdout: '', stderr: 'error: aborting' });
+
+    const outcome = await runBuild('lint', { code: 'fn a() {}' }, { cache });
+
+    expect(outcome).toMatchObject({
+      success: false,
+      message: 'Linting failed',
+      error: 'error: aborting',
+      diagnostics: [],
+    });
+  });
+
+  it('should not cache failed builds', async () => {
+    mockExecuteCommand.mockResolvedValue({ exitCode: 101, stdout: '', stderr: 'error' });
+
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(2);
+    expect(await cache.list()).toEqual([]);
+  });
+
+  it('should report how long each command ran, including failed ones', async () => {
+    mockExecuteCommand.mockRejectedValue(new Error('spawn cargo ENOENT'));
+    const onCommand = jest.fn();
+
+    await expect(runBuild('test', { code: 'fn a() {}' }, { cache, onCommand })).rejects.toThrow();
+
+    expect(onCommand).toHaveBeenCalledTimes(1);
+    expect(onCommand).toHaveBeenCalledWith(expect.any(Number));
+  });
+
+  it('should release the target directory when a build throws', async () => {
+    mockExecuteCommand.mockRejectedValue(new Error('spawn cargo ENOENT'));
+
+    await expect(runBuild('test', { code: 'fn a() {}' }, { cache })).rejects.toThrow('ENOENT');
+    expect(cache.targets.inUse).toBe(0);
+  });
+
+  it('should count builds by kind and result', async () => {
+    const count = (kind: string, result: string, cached: string) =>
+      buildMetrics.builds.get({ kind, result, cached });
+    const before = {
+      built: count('test', 'succeeded', 'false'),
+      cached: count('test', 'succeeded', 'true'),
+      timedOut: count('compile', 'timed_out', 'false'),
+      timeouts: buildMetrics.timeouts.get({ kind: 'compile' }),
+    };
+    mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'test result: ok', stderr: '' });
+
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+    await runBuild('test', { code: 'fn a() {}' }, { cache });
+    const timeout = Object.assign(new Error('Command exceeded time limit of 30000ms'), {
+      name: 'CommandTimeoutError',
+    });
+    mockExecuteCommand.mockRejectedValue(timeout);
+    await expect(runBuild('compile', { code: 'fn a() {}' }, { cache })).rejects.toBe(timeout);
+
+    expect(count('test', 'succeeded', 'false')).toBe(before.built + 1);
+    expect(count('test', 'succeeded', 'true')).toBe(before.cached + 1);
+    expect(count('compile', 'timed_out', 'false')).toBe(before.timedOut + 1);
+    expect(buildMetrics.timeouts.get({ kind: 'compile' })).toBe(before.timeouts + 1);
+  });
+
+  it('should compile canaries in a shared target directory without caching or counting them', async () => {
+    const built = () =>
+      buildMetrics.builds.get({ kind: 'compile', result: 'succeeded', cached: 'false' });
+    const before = built();
+    mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'ok', stderr: '' });
+
+    const first = await runCanaryBuild({ code: 'fn a() {}' }, { cache });
+    const second = await runCanaryBuild({ code: 'fn a() {}' }, { cache });
+
+    expect(first.success).toBe(true);
+    expect(second.cached).toBeUndefined();
+    expect(mockExecuteCommand).toHaveBeenCalledWith(
+      'cargo',
+      expect.arrayContaining(['build']),
+      expect.objectContaining({ env: { CARGO_TARGET_DIR: join(dir, 'targets', '0') } })
+    );
+    expect(await cache.list()).toEqual([]);
+    expect(cache.targets.inUse).toBe(0);
+    expect(built()).toBe(before);
+  });
+
+  describe('in a sandbox without network access', () => {
+    let sandbox: jest.Mocked<SandboxRunner>;
+
+    beforeEach(() => {
+      sandbox = {
+        name: 'test',
+        isolatesNetwork: true,
+        isolatesHost: true,
+        run: jest.fn(),
+        wrap: jest.fn(),
+      };
+    });
+
+    it('should fetch dependencies on the host before building in the sandbox', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      sandbox.run.mockResolvedValue({ exitCode: 0, stdout: 'test result: ok', stderr: '' });
+
+      const outcome = await runBuild('test', { code: 'fn a() {}' }, { cache, sandbox });
+
+      expect(outcome.success).toBe(true);
+      expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['fetch'], {
+        cwd: join(dir, 'project'),
+        timeout: 30000,
+      });
+      expect(sandbox.run).toHaveBeenCalledWith(
+        'cargo',
+        ['test', '--message-format=json'],
+        expect.objectContaining({ cwd: join(dir, 'project') }),
+        [join(dir, 'targets', '0')]
+      );
+    });
+
+    it('should report a failed fetch without entering the sandbox', async () => {
+      mockExecuteCommand.mockResolvedValue({
+        exitCode: 101,
+        stdout: '',
+        stderr: 'no matching package',
+      });
+
+      const outcome = await runBuild('compile', { code: 'fn a() {}' }, { cache, sandbox });
+
+      expect(outcome).toMatchObject({
+        success: false,
+        message: 'Failed to fetch dependencies',
+        error: 'no matching package',
+      });
+      expect(sandbox.run).not.toHaveBeenCalled();
+    });
+
+    it('should report the limit a build ran into', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      sandbox.run.mockResolvedValue({
+        exitCode: 101,
+        stdout: '',
+        stderr: 'memory allocation of 1073741824 bytes failed',
+        limitExceeded: 'memory',
+      });
+
+      const outcome = await runBuild('compile', { code: 'fn a() {}' }, { cache, sandbox });
+
+      expect(outcome).toMatchObject({
+        success: false,
+        message: 'Compilation stopped: Memory limit exceeded',
+        limitExceeded: 'memory',
+      });
+      expect(await cache.list()).toEqual([]);
+    });
+  });
+});
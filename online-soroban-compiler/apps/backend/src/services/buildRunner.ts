@@ -0,0 +1,585 @@
+import { join } from 'node:path';
+import { config as appConfig } from '../config';
+import { executeCommand, type ExecuteOptions } from '../utils/commandExecutor';
+import { FileManager, type ProjectConfig } from '../utils/fileManager';
+import { CONTRACT_PACKAGE_NAME } from '../utils/cargoManifest';
+import { parseCargoOutput, renderCargoLine, type Diagnostic } from '../utils/diagnostics';
+import { parseTestOutput, type TestResults } from '../utils/testResults';
+import { resolveProjectFiles, type ProjectFiles } from '../utils/projectFiles';
+import { lintSorobanSources } from '../utils/sorobanLint';
+import { toolchainEnv } from '../utils/rustup';
+import { logger } from '../utils/logger';
+import {
+  createSandboxRunner,
+  type SandboxLimit,
+  type SandboxResult,
+  type SandboxRunner,
+} from '../utils/sandbox';
+import {
+  collectArtifacts,
+  removeArtifacts,
+  type BuildArtifact,
+  type ContractArtifact,
+} from './artifacts';
+import { buildCache, type BuildCache } from './buildCache';
+import { costProfiler, type CostProfiler } from './costProfiler';
+import { recordBuild, type BuildResult } from './metrics';
+
+export type { BuildArtifact, ContractArtifact } from './artifacts';
+
+/**
+ * Kind of build that can be run against a project
+ */
+export type BuildKind = 'compile' | 'test' | 'lint';
+
+/**
+ * What each kind of build is called in status messages
+ */
+export const BUILD_ACTIONS: Record<BuildKind, string> = {
+  compile: 'Compilation',
+  test: 'Testing',
+  lint: 'Linting',
+};
+
+/**
+ * Result of running a build to completion
+ */
+export interface BuildOutcome {
+  /** Whether the build (and tests, if any) succeeded */
+  success: boolean;
+  /** Human readable summary */
+  message: string;
+  /** Tool output (stdout) */
+  output?: string;
+  /** Error output or optimization failure reason */
+  error?: string;
+  /** Files produced by the build */
+  artifacts: BuildArtifact[];
+  /** The compiled contract, when a compile produced one */
+  artifact?: ContractArtifact;
+  /** Whether the outcome was served from the build cache */
+  cached?: boolean;
+  /** Compiler errors and warnings, and lint findings */
+  diagnostics?: Diagnostic[];
+  /** Per-test results, when tests ran */
+  testResults?: TestResults;
+  /** Sandbox limit that made the build fail */
+  limitExceeded?: SandboxLimit;
+}
+
+/**
+ * Selects which tests a test build runs
+ */
+export interface TestFilter {
+  /** Substring of the test names to run, e.g. `test::transfer` */
+  name: string;
+  /** Only run the test whose full name equals `name` */
+  exact?: boolean;
+}
+
+/**
+ * Options for a single build
+ */
+export interface BuildOptions {
+  /** Timeout for each command in milliseconds (default: 30000) */
+  timeout?: number;
+  /** Receives each log line as soon as the build produces it */
+  onLog?: (line: string) => void;
+  /** Cache to reuse results and target directories from (default: the shared cache) */
+  cache?: BuildCache;
+  /** Runs only the matching tests (test builds only) */
+  testFilter?: TestFilter;
+  /** Sandbox to run build commands in (default: the configured sandbox) */
+  sandbox?: SandboxRunner;
+  /** Profiler that tracks the costs of compiled contracts (default: the shared profiler) */
+  profiler?: CostProfiler;
+  /** Receives how long each build command ran, e.g. to charge it to a client's quota */
+  onCommand?: (durationMs: number) => void;
+}
+
+/**
+ * Where a build runs: the project directory, the cargo target directory and the toolchain
+ */
+interface BuildPaths {
+  projectPath: string;
+  /** Shared target directory, or undefined to build into the project's own `target` */
+  targetDir?: string;
+  /** rustup toolchain to build with, or undefined for rustup's default */
+  toolchain?: string;
+}
+
+/**
+ * Logs the outcome of every build
+ */
+const buildLogger = logger.child({ component: 'build' });
+
+/**
+ * Sandbox used by all builds
+ */
+const defaultSandbox = createSandboxRunner(appConfig.sandbox.runner, appConfig.sandbox.limits);
+
+/** Explains which sandbox limit a build ran into */
+const LIMIT_MESSAGES: Record<SandboxLimit, string> = {
+  cpu: 'CPU time limit exceeded',
+  memory: 'Memory limit exceeded',
+  pids: 'Process limit exceeded',
+};
+
+/** Makes cargo report diagnostics as JSON so they can be returned structured */
+const CARGO_JSON_FLAG = '--message-format=json';
+
+/** Clippy lint groups: likely bugs fail the lint, slow or convoluted code warns */
+const CLIPPY_LINT_ARGS = [
+  '-D',
+  'clippy::correctness',
+  '-D',
+  'clippy::suspicious',
+  '-W',
+  'clippy::perf',
+  '-W',
+  'clippy::complexity',
+];
+
+/**
+ * Joins the non-empty parts of an output
+ */
+function joinOutput(...parts: string[]): string {
+  return parts.filter((part) => part.trim().length > 0).join('\n');
+}
+
+/**
+ * Reports how long a command ran, including commands that fail or time out
+ */
+async function timed<T>(command: Promise<T>, onCommand?: (durationMs: number) => void): Promise<T> {
+  const startTime = Date.now();
+  try {
+    return await command;
+  } finally {
+    onCommand?.(Date.now() - startTime);
+  }
+}
+
+/**
+ * Runs a command in the sandbox, streaming its invocation and output to the
+ * log callback. Cargo's JSON messages are logged as the text cargo would
+ * normally print.
+ */
+async function runLogged(
+  command: string,
+  args: string[],
+  { projectPath, targetDir, toolchain }: BuildPaths,
+  { timeout = 30000, onLog, sandbox = defaultSandbox, onCommand }: BuildOptions
+): Promise<SandboxResult> {
+  const executeOptions: ExecuteOptions & { cwd: string } = { cwd: projectPath, timeout };
+  if (targetDir || toolchain) {
+    executeOptions.env = {
+      ...(targetDir ? { CARGO_TARGET_DIR: targetDir } : {}),
+      ...toolchainEnv(toolchain),
+    };
+  }
+  const writablePaths = targetDir ? [targetDir] : [];
+
+  if (!onLog) {
+    return timed(sandbox.run(command, args, executeOptions, writablePaths), onCommand);
+  }
+
+  onLog(`$ ${command} ${args.join(' ')}`);
+  return timed(
+    sandbox.run(
+      command,
+      args,
+      {
+        ...executeOptions,
+        onLine: (line, stream) => {
+          const lines = command === 'cargo' && stream === 'stdout' ? renderCargoLine(line) : [line];
+          lines.forEach((rendered) => onLog(rendered));
+        },
+      },
+      writablePaths
+    ),
+    onCommand
+  );
+}
+
+/**
+ * Downloads dependencies outside the sandbox when it has no network access.
+ * Fetching resolves and downloads crates without running any of their code.
+ *
+ * @returns A failed outcome if the dependencies could not be fetched
+ */
+async function fetchDependencies(
+  paths: BuildPaths,
+  { timeout = 30000, onLog, sandbox = defaultSandbox, onCommand }: BuildOptions
+): Promise<BuildOutcome | undefined> {
+  if (!sandbox.isolatesNetwork) {
+    return undefined;
+  }
+
+  onLog?.('$ cargo fetch');
+  const result = await timed(
+    executeCommand('cargo', ['fetch'], {
+      cwd: paths.projectPath,
+      timeout,
+      ...(paths.toolchain ? { env: toolchainEnv(paths.toolchain) } : {}),
+    }),
+    onCommand
+  );
+  if (result.exitCode === 0) {
+    return undefined;
+  }
+
+  return {
+    success: false,
+    message: 'Failed to fetch dependencies',
+    error: result.stderr,
+    artifacts: [],
+  };
+}
+
+/**
+ * Describes a build that failed because it ran into a sandbox limit
+ */
+function limitOutcome(kind: BuildKind, result: SandboxResult, limit: SandboxLimit): BuildOutcome {
+  return {
+    success: false,
+    message: `${BUILD_ACTIONS[kind]} stopped: ${LIMIT_MESSAGES[limit]}`,
+    error: result.stderr,
+    artifacts: [],
+    limitExceeded: limit,
+  };
+}
+
+/** Contract wasm written by `cargo build`, relative to the target directory */
+const CONTRACT_WASM_PATH = join(
+  'wasm32-unknown-unknown',
+  'release',
+  `${CONTRACT_PACKAGE_NAME.replaceAll('-', '_')}.wasm`
+);
+
+/**
+ * Builds the project to wasm and shrinks it with `stellar contract optimize`
+ */
+async function compileProject(paths: BuildPaths, options: BuildOptions): Promise<BuildOutcome> {
+  const targetDir = paths.targetDir ?? join(paths.projectPath, 'target');
+  if (paths.targetDir) {
+    // A shared target directory still holds the previous build's wasm
+    await removeArtifacts(targetDir);
+  }
+
+  const buildResult = await runLogged(
+    'cargo',
+    ['build', '--target', 'wasm32-unknown-unknown', '--release', CARGO_JSON_FLAG],
+    paths,
+    options
+  );
+  if (buildResult.limitExceeded) {
+    return limitOutcome('compile', buildResult, buildResult.limitExceeded);
+  }
+  const build = parseCargoOutput(buildResult.stdout);
+
+  if (buildResult.exitCode !== 0) {
+    return {
+      success: false,
+      message: 'Compilation failed',
+      output: build.text,
+      error: joinOutput(build.rendered, buildResult.stderr),
+      artifacts: [],
+      diagnostics: build.diagnostics,
+    };
+  }
+
+  const wasmPath = join(targetDir, CONTRACT_WASM_PATH);
+  const optimizeResult = await runLogged(
+    'stellar',
+    [
+      'contract',
+      'optimize',
+      '--wasm',
+      wasmPath,
+      '--wasm-out',
+      wasmPath.replace(/\.wasm$/, '.optimized.wasm'),
+    ],
+    paths,
+    options
+  );
+  if (optimizeResult.limitExceeded) {
+    return limitOutcome('compile', optimizeResult, optimizeResult.limitExceeded);
+  }
+
+  if (optimizeResult.exitCode !== 0) {
+    return {
+      success: false,
+      message: 'Optimization failed',
+      output: joinOutput(build.text, build.rendered),
+      error: joinOutput(optimizeResult.stderr, optimizeResult.stdout),
+      artifacts: [],
+      diagnostics: build.diagnostics,
+    };
+  }
+
+  return {
+    success: true,
+    message: 'Compilation and optimization successful',
+    output: `Build Output:\n${joinOutput(build.text, build.rendered)}\n\nOptimization Output:\n${joinOutput(optimizeResult.stdout, optimizeResult.stderr)}`,
+    ...(await collectArtifacts(targetDir)),
+    diagnostics: build.diagnostics,
+  };
+}
+
+/**
+ * Runs the project's test suite
+ */
+async function testProject(paths: BuildPaths, options: BuildOptions): Promise<BuildOutcome> {
+  const { testFilter } = options;
+  const args = ['test', CARGO_JSON_FLAG];
+  if (testFilter) {
+    args.push('--', testFilter.name, ...(testFilter.exact ? ['--exact'] : []));
+  }
+
+  const testResult = await runLogged('cargo', args, paths, options);
+  if (testResult.limitExceeded) {
+    return limitOutcome('test', testResult, testResult.limitExceeded);
+  }
+  const test = parseCargoOutput(testResult.stdout);
+  const testResults = parseTestOutput(test.text);
+
+  if (testResult.exitCode === 0) {
+    return {
+      success: true,
+      message: 'All tests passed',
+      output: test.text,
+      artifacts: [],
+      diagnostics: test.diagnostics,
+      testResults,
+    };
+  }
+
+  return {
+    success: false,
+    message: 'Tests failed',
+    output: test.text,
+    error: joinOutput(test.rendered, testResult.stderr),
+    artifacts: [],
+    diagnostics: test.diagnostics,
+    testResults,
+  };
+}
+
+/**
+ * Runs clippy and the Soroban checks. Findings come back as diagnostics;
+ * the lint fails if clippy fails or reports an error.
+ */
+async function lintProject(
+  paths: BuildPaths,
+  options: BuildOptions,
+  files: ProjectFiles
+): Promise<BuildOutcome> {
+  const lintResult = await runLogged(
+    'cargo',
+    ['clippy', CARGO_JSON_FLAG, '--', ...CLIPPY_LINT_ARGS],
+    paths,
+    options
+  );
+  if (lintResult.limitExceeded) {
+    return limitOutcome('lint', lintResult, lintResult.limitExceeded);
+  }
+  const lint = parseCargoOutput(lintResult.stdout);
+  const findings = lintSorobanSources(files);
+  for (const finding of findings) {
+    options.onLog?.(finding.rendered);
+  }
+
+  const diagnostics = [...lint.diagnostics, ...findings];
+  const rendered = joinOutput(lint.rendered, ...findings.map((finding) => finding.rendered));
+  const success =
+    lintResult.exitCode === 0 && !diagnostics.some((diagnostic) => diagnostic.level === 'error');
+  const warnings = diagnostics.filter((diagnostic) => diagnostic.level === 'warning').length;
+
+  if (success) {
+    return {
+      success: true,
+      message:
+        warnings > 0
+          ? `Linting found ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`
+          : 'No lint findings',
+      output: joinOutput(lint.text, rendered),
+      artifacts: [],
+      diagnostics,
+    };
+  }
+
+  return {
+    success: false,
+    message: 'Linting failed',
+    output: lint.text,
+    error: joinOutput(rendered, lintResult.stderr),
+    artifacts: [],
+    diagnostics,
+  };
+}
+
+/**
+ * Creates a temporary project, runs the requested build in it and cleans it up
+ */
+async function buildInTempProject(
+  kind: BuildKind,
+  config: ProjectConfig,
+  options: BuildOptions,
+  targetDir?: string
+): Promise<BuildOutcome> {
+  const project = await FileManager.createProject(config, appConfig.dependencies);
+  const paths: BuildPaths = {
+    projectPath: project.projectPath,
+    targetDir,
+    toolchain: config.toolchain,
+  };
+
+  try {
+    const fetchFailure = await fetchDependencies(paths, options);
+    if (fetchFailure) {
+      return fetchFailure;
+    }
+    if (kind === 'lint') {
+      return await lintProject(paths, options, resolveProjectFiles(config));
+    }
+    return kind === 'compile'
+      ? await compileProject(paths, options)
+      : await testProject(paths, options);
+  } finally {
+    // Clean up the temporary project
+    try {
+      await project.cleanup();
+    } catch {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Starts tracking the size and invocation costs of a compiled contract
+ */
+function profileArtifact(outcome: BuildOutcome, profiler: CostProfiler): BuildOutcome {
+  if (outcome.artifact) {
+    try {
+      profiler.register(Buffer.from(outcome.artifact.wasm, 'base64'));
+    } catch {
+      // A module that cannot be read has no cost report
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Runs a build, reusing a cached result for identical submissions. With the
+ * cache enabled, builds run in a shared cargo target directory so compiled
+ * dependencies carry over between projects. Every build is counted in the
+ * build metrics and logged.
+ *
+ * @param kind - Whether to compile, test or lint the project
+ * @param config - Project configuration (code, name, dependencies)
+ * @param options - Build options, including the tests to run
+ * @returns Promise that resolves with the build outcome
+ * @throws CommandTimeoutError if a build step exceeds the timeout
+ */
+export async function runBuild(
+  kind: BuildKind,
+  config: ProjectConfig,
+  options: BuildOptions = {}
+): Promise<BuildOutcome> {
+  const startTime = Date.now();
+  const fields = { kind, toolchain: config.toolchain, sdkVersion: config.sdkVersion };
+
+  let outcome: BuildOutcome;
+  try {
+    outcome = await buildWithCache(kind, config, options);
+  } catch (error) {
+    const result: BuildResult =
+      error instanceof Error && error.name === 'CommandTimeoutError' ? 'timed_out' : 'errored';
+    const durationMs = Date.now() - startTime;
+    recordBuild(kind, result, durationMs);
+    buildLogger.warn('Build stopped', { ...fields, result, durationMs, error });
+    throw error;
+  }
+
+  const result: BuildResult = outcome.success ? 'succeeded' : 'failed';
+  const durationMs = Date.now() - startTime;
+  recordBuild(kind, result, durationMs, outcome.cached);
+  buildLogger.info('Build finished', {
+    ...fields,
+    result,
+    durationMs,
+    cached: outcome.cached ?? false,
+    ...(outcome.limitExceeded ? { limitExceeded: outcome.limitExceeded } : {}),
+  });
+  return outcome;
+}
+
+/**
+ * Serves a build from the cache or runs it in a shared target directory
+ */
+async function buildWithCache(
+  kind: BuildKind,
+  config: ProjectConfig,
+  options: BuildOptions
+): Promise<BuildOutcome> {
+  const cache = options.cache ?? buildCache;
+  const profiler = options.profiler ?? costProfiler;
+  if (!cache.enabled) {
+    return profileArtifact(await buildInTempProject(kind, config, options), profiler);
+  }
+
+  const key = await cache.keyFor(kind, config, options.testFilter);
+  const cached = await cache.get(key);
+  if (cached) {
+    options.onLog?.(`Using cached result ${key.slice(0, 12)}`);
+    return profileArtifact({ ...cached, cached: true }, profiler);
+  }
+
+  const outcome = await buildInSharedTarget(kind, config, options, cache);
+
+  // Only successes are cached: failures may be transient (e.g. a registry outage)
+  if (outcome.success) {
+    await cache.set(key, kind, outcome).catch(() => {
+      // The result is still valid without being cached
+    });
+  }
+
+  return profileArtifact(outcome, profiler);
+}
+
+/**
+ * Builds in one of the cache's shared target directories, waiting for one to be free
+ */
+async function buildInSharedTarget(
+  kind: BuildKind,
+  config: ProjectConfig,
+  options: BuildOptions,
+  cache: BuildCache
+): Promise<BuildOutcome> {
+  const targetDir = await cache.targets.acquire();
+  try {
+    return await buildInTempProject(kind, config, options, targetDir);
+  } finally {
+    cache.targets.release(targetDir);
+  }
+}
+
+/**
+ * Compiles a project bypassing the result cache and the build metrics, for
+ * the readiness canary. With the cache enabled it builds in a shared target
+ * directory, so it stays fast once the dependencies are compiled.
+ *
+ * @param config - Project configuration
+ * @param options - Build options
+ * @returns Promise that resolves with the build outcome
+ * @throws CommandTimeoutError if a build step exceeds the timeout
+ */
+export async function runCanaryBuild(
+  config: ProjectConfig,
+  options: BuildOptions = {}
+): Promise<BuildOutcome> {
+  const cache = options.cache ?? buildCache;
+  return cache.enabled
+    ? buildInSharedTarget('compile', config, options, cache)
+    : buildInTempProject('compile', config, options);
+}
@@ -0,0 +1,99 @@
+import { CostProfiler } from './costProfiler';
+import { InvalidWasmError } from '../utils/wasmInspector';
+import { customSection, exportSection, section, wasmModule } from '../utils/__fixtures__/wasm';
+
+const cost = { cpuInstructions: 1000, memoryBytes: 200 };
+
+describe('CostProfiler', () => {
+  let profiler: CostProfiler;
+  const first = wasmModule(section(1, [0x00]), exportSection(['increment']));
+  const second = wasmModule(section(1, [0x00]), exportSection(['increment', 'reset']));
+
+  beforeEach(() => {
+    profiler = new CostProfiler({ maxReports: 2 });
+  });
+
+  it('should report the size and sections of a registered build', () => {
+    const wasm = wasmModule(section(1, [0x00]), customSection('contractmetav0', [1, 2]));
+    const wasmHash = profiler.register(wasm);
+
+    expect(wasmHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(profiler.get(wasmHash)).toEqual({
+      wasmHash,
+      wasmSize: wasm.length,
+      sections: [
+        { name: 'type', size: 1, custom: false },
+        { name: 'contractmetav0', size: 2, custom: true },
+      ],
+      functions: [],
+    });
+  });
+
+  it('should reject buffers that are not wasm', () => {
+    expect(() => profiler.register(Buffer.from('not wasm'))).toThrow(InvalidWasmError);
+  });
+
+  it('should keep the latest cost of each function and count the samples', () => {
+    const wasmHash = profiler.register(first);
+
+    profiler.record(wasmHash, 'reset', cost);
+    profiler.record(wasmHash, 'increment', cost);
+    profiler.record(wasmHash, 'increment', { ...cost, cpuInstructions: 1500, readBytes: 40 });
+    profiler.register(first);
+
+    expect(profiler.get(wasmHash)?.functions).toEqual([
+      {
+        function: 'increment',
+        cpuInstructions: 1500,
+        memoryBytes: 200,
+        readBytes: 40,
+        samples: 2,
+        measuredAt: expect.any(String),
+      },
+      { function: 'reset', ...cost, samples: 1, measuredAt: expect.any(String) },
+    ]);
+  });
+
+  it('should ignore costs of untracked builds', () => {
+    profiler.record('f'.repeat(64), 'increment', cost);
+
+    expect(profiler.get('f'.repeat(64))).toBeUndefined();
+  });
+
+  it('should compare with a tracked baseline', () => {
+    const baseline = profiler.register(first);
+    const wasmHash = profiler.register(second);
+    profiler.record(baseline, 'increment', cost);
+    profiler.record(wasmHash, 'increment', { ...cost, cpuInstructions: 900 });
+
+    const report = profiler.get(wasmHash, baseline);
+
+    expect(report?.comparison).toEqual({
+      baseline,
+      wasmSize: expect.objectContaining({ change: second.length - first.length }),
+      sections: [
+        expect.objectContaining({ name: 'type', change: 0 }),
+        expect.objectContaining({ name: 'export', change: 8 }),
+      ],
+      functions: [
+        {
+          function: 'increment',
+          cpuInstructions: { previous: 1000, current: 900, change: -100, percent: -10 },
+          memoryBytes: { previous: 200, current: 200, change: 0, percent: 0 },
+        },
+      ],
+    });
+    expect(profiler.get(wasmHash, 'f'.repeat(64))?.comparison).toBeUndefined();
+    expect(profiler.get(wasmHash, wasmHash)?.comparison).toBeUndefined();
+  });
+
+  it('should forget the least recently used builds', () => {
+    const oldest = profiler.register(first);
+    const newer = profiler.register(second);
+    profiler.record(oldest, 'increment', cost);
+    profiler.register(wasmModule(section(1, [0x01])));
+
+    expect(profiler.get(oldest)).toBeDefined();
+    expect(profiler.get(newer)).toBeUndefined();
+  });
+});
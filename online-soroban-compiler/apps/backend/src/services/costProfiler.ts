@@ -0,0 +1,117 @@
+import { createHash } from 'node:crypto';
+import { config as appConfig } from '../config';
+import { compareCosts, sectionSizes, type CostReport } from '../utils/costReport';
+import type { InvocationCost } from '../utils/invokeArgs';
+
+/**
+ * Options for the cost profiler
+ */
+export interface CostProfilerOptions {
+  /** Maximum number of builds tracked before the least recently used are forgotten */
+  maxReports: number;
+}
+
+/**
+ * Collects the size of compiled contracts and the resources their functions
+ * use when invoked, so each build can be compared with the previous one.
+ * Reports are keyed by the SHA-256 of the wasm, which identical sources
+ * always reproduce.
+ */
+export class CostProfiler {
+  private readonly reports = new Map<string, CostReport>();
+
+  constructor(private readonly options: CostProfilerOptions) {}
+
+  /**
+   * Starts tracking a build. Registering a wasm again keeps the costs
+   * already measured for it.
+   *
+   * @param wasm - Contract wasm bytes
+   * @returns Hex encoded SHA-256 of the wasm
+   * @throws InvalidWasmError if the buffer is not a wasm module
+   */
+  register(wasm: Uint8Array): string {
+    const wasmHash = createHash('sha256').update(wasm).digest('hex');
+    const existing = this.reports.get(wasmHash);
+
+    this.remember(
+      existing ?? {
+        wasmHash,
+        wasmSize: wasm.length,
+        sections: sectionSizes(wasm),
+        functions: [],
+      }
+    );
+    return wasmHash;
+  }
+
+  /**
+   * Records the resources an invocation used. Invocations of builds that are
+   * not tracked are ignored.
+   *
+   * @param wasmHash - SHA-256 of the invoked contract's wasm
+   * @param functionName - Invoked function
+   * @param cost - Resources reported for the invocation
+   */
+  record(wasmHash: string, functionName: string, cost: InvocationCost): void {
+    const report = this.reports.get(wasmHash);
+    if (!report) {
+      return;
+    }
+
+    const previous = report.functions.find((candidate) => candidate.function === functionName);
+    const measurement = {
+      function: functionName,
+      ...cost,
+      samples: (previous?.samples ?? 0) + 1,
+      measuredAt: new Date().toISOString(),
+    };
+
+    report.functions = previous
+      ? report.functions.map((candidate) => (candidate === previous ? measurement : candidate))
+      : [...report.functions, measurement].sort((a, b) => a.function.localeCompare(b.function));
+    this.remember(report);
+  }
+
+  /**
+   * Gets the report of a build
+   *
+   * @param wasmHash - SHA-256 of the build's wasm
+   * @param baseline - SHA-256 of a previous build to compare with; ignored if not tracked
+   * @returns A copy of the report, or undefined if the build is not tracked
+   */
+  get(wasmHash: string, baseline?: string): CostReport | undefined {
+    const report = this.reports.get(wasmHash);
+    if (!report) {
+      return undefined;
+    }
+
+    const previous = baseline && baseline !== wasmHash ? this.reports.get(baseline) : undefined;
+    return {
+      ...report,
+      sections: [...report.sections],
+      functions: [...report.functions],
+      ...(previous ? { comparison: compareCosts(report, previous) } : {}),
+    };
+  }
+
+  /**
+   * Marks a report as most recently used and forgets the least recently used
+   * ones beyond the limit
+   */
+  private remember(report: CostReport): void {
+    this.reports.delete(report.wasmHash);
+    this.reports.set(report.wasmHash, report);
+    for (const wasmHash of this.reports.keys()) {
+      if (this.reports.size <= this.options.maxReports) {
+        break;
+      }
+      this.reports.delete(wasmHash);
+    }
+  }
+}
+
+/**
+ * Shared profiler fed by builds and local network invocations
+ */
+export const costProfiler = new CostProfiler(appConfig.costs);
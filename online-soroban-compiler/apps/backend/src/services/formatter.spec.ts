@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+import { formatProject } from './formatter';
+import { executeCommand } from '../utils/commandExecutor';
+
+jest.mock('../utils/commandExecutor');
+
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+describe('formatProject', () => {
+  it('should run rustfmt on every file with the project config', async () => {
+    let config = '';
+    mockExecuteCommand.mockImplementation(async (_command, _args, options) => {
+      const cwd = options?.cwd as string;
+      config = await fs.readFile(join(cwd, 'rustfmt.toml'), 'utf8');
+      await fs.writeFile(join(cwd, 'src', 'lib.rs'), 'mod math;\n');
+      await fs.writeFile(join(cwd, 'src', 'math.rs'), 'pub fn one() -> u32 {\n    1\n}\n');
+      return { exitCode: 0, stdout: '', stderr: '' };
+    });
+
+    const outcome = await formatProject(
+      { files: { 'src/math.rs': 'pub fn one()->u32{1}', 'src/lib.rs': 'mod  math;' } },
+      { tab_spaces: 2 }
+    );
+
+    expect(mockExecuteCommand).toHaveBeenCalledWith(
+      'rustfmt',
+      [
+        '--config-path',
+        'rustfmt.toml',
+        '--config',
+        'skip_children=true',
+        'src/lib.rs',
+        'src/math.rs',
+      ],
+      expect.objectContaining({ timeout: 10000 })
+    );
+    expect(config).toBe('tab_spaces = 2\nedition = "2021"\n');
+    expect(outcome).toEqual({
+      success: true,
+      files: { 'src/lib.rs': 'mod math;\n', 'src/math.rs': 'pub fn one() -> u32 {\n    1\n}\n' },
+      diagnostics: [],
+    });
+  });
+
+  it('should return parse errors without the temporary project path', async () => {
+    mockExecuteCommand.mockImplementation(async (_command, _args, options) => ({
+      exitCode: 1,
+      stdout: '',
+      stderr: `error: expected item, found \`}\`\n --> ${options?.cwd}/src/lib.rs:1:1\n`,
+    }));
+
+    const outcome = await formatProject({ code: '}' });
+
+    expect(outcome).toEqual({
+      success: false,
+      diagnostics: [
+        expect.objectContaining({
+          message: 'expected item, found `}`',
+          spans: [expect.objectContaining({ file: 'src/lib.rs', lineStart: 1, columnStart: 1 })],
+        }),
+      ],
+      error: 'error: expected item, found `}`\n --> src/lib.rs:1:1\n',
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { join } from 'node:path';
+import { config as appConfig } from '../config';
+import { executeCommand } from '../utils/commandExecutor';
+import { FileManager } from '../utils/fileManager';
+import { resolveProjectFiles, type ProjectFiles } from '../utils/projectFiles';
+import type { Diagnostic } from '../utils/diagnostics';
+import {
+  buildRustfmtConfig,
+  parseRustfmtErrors,
+  RUSTFMT_CONFIG_FILE,
+  type RustfmtOptions,
+} from '../utils/rustfmt';
+
+/**
+ * Result of formatting a project
+ */
+export interface FormatOutcome {
+  /** Whether every file could be parsed and formatted */
+  success: boolean;
+  /** The formatted files, when formatting succeeded */
+  files?: ProjectFiles;
+  /** Parse errors located in the sources */
+  diagnostics: Diagnostic[];
+  /** rustfmt's error output */
+  error?: string;
+}
+
+/**
+ * Formats a project's sources with rustfmt. The files are written to a
+ * temporary project and each one is passed to rustfmt, which skips the
+ * modules they declare so `mod m;` without a file of its own still formats.
+ *
+ * @param sources - `code` for `src/lib.rs` and/or a file tree
+ * @param options - The project's rustfmt options
+ * @param timeout - Timeout of the rustfmt command in milliseconds
+ * @returns The formatted files, or the parse errors
+ * @throws InvalidProjectFilesError if the file tree is invalid
+ * @throws CommandTimeoutError if rustfmt exceeds the timeout
+ */
+export async function formatProject(
+  sources: { code?: string; files?: ProjectFiles },
+  options: RustfmtOptions = {},
+  timeout = appConfig.format.timeoutMs
+): Promise<FormatOutcome> {
+  const paths = Object.keys(resolveProjectFiles(sources)).sort();
+  const project = await FileManager.createProject(sources, appConfig.dependencies);
+
+  try {
+    await FileManager.writeFile(
+      join(project.projectPath, RUSTFMT_CONFIG_FILE),
+      buildRustfmtConfig(options)
+    );
+    const result = await executeCommand(
+      'rustfmt',
+      ['--config-path', RUSTFMT_CONFIG_FILE, '--config', 'skip_children=true', ...paths],
+      { cwd: project.projectPath, timeout }
+    );
+
+    if (result.exitCode !== 0) {
+      return {
+        success: false,
+        diagnostics: parseRustfmtErrors(result.stderr, project.projectPath),
+        error: result.stderr.replaceAll(`${project.projectPath}/`, ''),
+      };
+    }
+
+    const files: ProjectFiles = {};
+    for (const path of paths) {
+      files[path] = await FileManager.readFile(join(project.projectPath, path));
+    }
+    return { success: true, files, diagnostics: [] };
+  } finally {
+    try {
+      await project.cleanup();
+    } catch {
+      // Ignore cleanup errors
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import { tmpdir } from 'node:os';
+import { executeCommand } from '../utils/commandExecutor';
+import type { BuildOutcome } from './buildRunner';
+import { CANARY_CONTRACT, HealthChecker, type HealthCheckerOptions } from './healthChecker';
+
+jest.mock('../utils/commandExecutor');
+
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+const VERSIONS: Record<string, string> = {
+  rustc: 'rustc 1.84.0 (9fc6b4312 2025-01-07)',
+  cargo: 'cargo 1.84.0 (66221abde 2024-11-19)',
+  stellar: 'stellar 22.2.0 (b2fda1ba8f4d9f1cd4a0fc0d2e1b6bb8ac8f8c1a)\nstellar-xdr 22.1.0',
+  rustup: 'wasm32-unknown-unknown\nx86_64-unknown-linux-gnu',
+};
+
+/** Lets the background canary build finish */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('HealthChecker', () => {
+  let queue: {
+    stats: jest.Mock<() => { queued: number; running: number; concurrency: number }>;
+    accepting: boolean;
+  };
+  let canaryBuild: jest.Mock<(config: { code: string }) => Promise<BuildOutcome>>;
+
+  let versions: Record<string, string>;
+
+  function checker(options: Partial<HealthCheckerOptions> = {}): HealthChecker {
+    return new HealthChecker({
+      cacheTtlMs: 0,
+      minFreeDiskBytes: 1,
+      commandTimeoutMs: 5000,
+      canary: { enabled: true, intervalMs: 60_000 },
+      sdkVersions: ['22.0.0'],
+      maxQueued: 10,
+      tempDir: tmpdir(),
+      queue,
+      canaryBuild,
+      sdkCache: async () => ['22.0.7', '21.7.7'],
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    versions = { ...VERSIONS };
+    mockExecuteCommand.mockImplementation(async (command) => {
+      const stdout = versions[command];
+      return { exitCode: stdout ? 0 : 127, stdout: stdout ?? '', stderr: '' };
+    });
+    queue = {
+      stats: jest.fn(() => ({ queued: 2, running: 1, concurrency: 2 })),
+      accepting: true,
+    };
+    canaryBuild = jest.fn(async () => ({
+      success: true,
+      message: 'Compilation and optimization successful',
+      artifacts: [],
+    }));
+  });
+
+  it('should become ready once the canary build succeeded', async () => {
+    const instance = checker();
+
+    const first = await instance.readiness();
+    await flush();
+    const second = await instance.readiness();
+
+    expect(first.report.ready).toBe(false);
+    expect(first.report.checks.canary).toEqual({
+      status: 'fail',
+      message: 'Canary build has not finished yet',
+    });
+    expect(canaryBuild).toHaveBeenCalledTimes(1);
+    expect(canaryBuild).toHaveBeenCalledWith({ code: CANARY_CONTRACT });
+    expect(second).toEqual({
+      cached: false,
+      report: {
+        ready: true,
+        status: 'pass',
+        checks: {
+          disk: expect.objectContaining({ status: 'pass' }),
+          queue: {
+            status: 'pass',
+            message: '2 of 10 jobs queued, 1 of 2 workers busy',
+            details: { queued: 2, running: 1, concurrency: 2, maxQueued: 10 },
+          },
+          toolchain: { status: 'pass', message: `${VERSIONS.rustc}, ${VERSIONS.cargo}` },
+          canary: expect.objectContaining({
+            status: 'pass',
+            message: expect.stringMatching(/^Canary build succeeded in \d+ms$/),
+          }),
+        },
+        versions: {
+          rustc: VERSIONS.rustc,
+          cargo: VERSIONS.cargo,
+          stellar: 'stellar 22.2.0 (b2fda1ba8f4d9f1cd4a0fc0d2e1b6bb8ac8f8c1a)',
+          wasmTarget: true,
+          sorobanSdk: ['22.0.7', '21.7.7'],
+          toolchains: [],
+        },
+        checkedAt: expect.any(String),
+      },
+    });
+  });
+
+  it('should serve the report from its cache and share concurrent runs', async () => {
+    const instance = checker({ cacheTtlMs: 60_000, canary: { enabled: false, intervalMs: 1 } });
+
+    const [first, concurrent] = await Promise.all([instance.readiness(), instance.readiness()]);
+    const cached = await instance.readiness();
+
+    expect(first.cached).toBe(false);
+    expect(concurrent.report).toBe(first.report);
+    expect(cached).toEqual({ report: first.report, cached: true });
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(4);
+    expect(first.report.checks.canary).toEqual({
+      status: 'pass',
+      message: 'Canary builds are disabled',
+    });
+  });
+
+  it('should not be ready when disk, queue or toolchain checks fail', async () => {
+    queue.stats.mockReturnValue({ queued: 10, running: 2, concurrency: 2 });
+    versions.rustup = 'x86_64-unknown-linux-gnu';
+
+    const { report } = await checker({
+      minFreeDiskBytes: Number.MAX_SAFE_INTEGER,
+      canary: { enabled: false, intervalMs: 1 },
+    }).readiness();
+
+    expect(report.ready).toBe(false);
+    expect(report.status).toBe('fail');
+    expect(report.checks.disk.status).toBe('fail');
+    expect(report.checks.disk.message).toMatch(/ MB free in .*, below \d+ MB$/);
+    expect(report.checks.queue).toMatchObject({
+      status: 'fail',
+      message: 'Job queue is full: 10 of 10 jobs queued, 2 of 2 workers busy',
+    });
+    expect(report.checks.toolchain).toEqual({
+      status: 'fail',
+      message: 'Missing the wasm32-unknown-unknown target',
+    });
+  });
+
+  it('should warn without the stellar CLI, uncached soroban-sdk versions or a busy queue', async () => {
+    delete versions.stellar;
+    queue.stats.mockReturnValue({ queued: 8, running: 2, concurrency: 2 });
+
+    const { report } = await checker({
+      sdkVersions: ['22.0.0', '20.5.0'],
+      canary: { enabled: false, intervalMs: 1 },
+    }).readiness();
+
+    expect(report.ready).toBe(true);
+    expect(report.status).toBe('warn');
+    expect(report.checks.queue.status).toBe('warn');
+    expect(report.checks.toolchain).toEqual({
+      status: 'warn',
+      message:
+        'stellar CLI missing: contracts are not optimized and cannot be deployed; soroban-sdk 20.5.0 not cached: builds download it first',
+    });
+    expect(report.versions.stellar).toBeUndefined();
+  });
+
+  it('should not be ready while the server is shutting down', async () => {
+    queue.accepting = false;
+
+    const { report } = await checker({ canary: { enabled: false, intervalMs: 1 } }).readiness();
+
+    expect(report.ready).toBe(false);
+    expect(report.checks.queue.message).toBe('Not accepting jobs: the server is shutting down');
+  });
+
+  it('should retry failed canary builds on the next check', async () => {
+    canaryBuild.mockRejectedValueOnce(new Error('Command exceeded time limit of 300000ms'));
+    const instance = checker();
+
+    await instance.readiness();
+    await flush();
+    const failed = await instance.readiness();
+    await flush();
+    const recovered = await instance.readiness();
+
+    expect(failed.report.checks.canary).toMatchObject({
+      status: 'fail',
+      message: 'Canary build failed: Command exceeded time limit of 300000ms',
+    });
+    expect(recovered.report.checks.canary.status).toBe('pass');
+    expect(canaryBuild).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,373 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { config as appConfig } from '../config';
+import { executeCommand } from '../utils/commandExecutor';
+import { cachedCrateVersions } from '../utils/cargoRegistry';
+import { isWithinVersionReq } from '../utils/versionReq';
+import { runCanaryBuild, type BuildOutcome } from './buildRunner';
+import { jobQueue } from './jobQueue';
+import { toolchainRegistry } from './toolchains';
+
+/**
+ * Result of a check: `warn` is reported but leaves the service ready
+ */
+export type CheckStatus = 'pass' | 'warn' | 'fail';
+
+/**
+ * Outcome of a single readiness check
+ */
+export interface HealthCheck {
+  status: CheckStatus;
+  /** Human readable summary */
+  message: string;
+  /** Measurements the status is based on */
+  details?: Record<string, unknown>;
+}
+
+/**
+ * Versions of the tools builds use; undefined when a tool is missing
+ */
+export interface ToolchainVersions {
+  /** `rustc --version` of the default toolchain */
+  rustc?: string;
+  /** `cargo --version` of the default toolchain */
+  cargo?: string;
+  /** First line of `stellar --version` */
+  stellar?: string;
+  /** Whether the wasm target is installed for the default toolchain */
+  wasmTarget: boolean;
+  /** soroban-sdk versions in cargo's registry cache, newest first */
+  sorobanSdk: string[];
+  /** Toolchains builds can select */
+  toolchains: string[];
+}
+
+/**
+ * Checks readiness is made of
+ */
+export type ReadinessCheckName = 'disk' | 'queue' | 'toolchain' | 'canary';
+
+/**
+ * Whether the service can take builds, and why
+ */
+export interface ReadinessReport {
+  /** False when any check failed */
+  ready: boolean;
+  /** Worst status of all checks */
+  status: CheckStatus;
+  checks: Record<ReadinessCheckName, HealthCheck>;
+  versions: ToolchainVersions;
+  /** ISO timestamp of when the checks ran */
+  checkedAt: string;
+}
+
+/**
+ * Options of the health checker
+ */
+export interface HealthCheckerOptions {
+  /** How long a report is served before its checks run again */
+  cacheTtlMs: number;
+  /** Free space in the temp directory below which the service is not ready */
+  minFreeDiskBytes: number;
+  /** Timeout of each version command */
+  commandTimeoutMs: number;
+  canary: {
+    /** Whether readiness includes compiling a tiny contract */
+    enabled: boolean;
+    /** Time between canary builds while they succeed */
+    intervalMs: number;
+  };
+  /** soroban-sdk versions projects can choose from */
+  sdkVersions: string[];
+  /** Jobs allowed to wait for a worker */
+  maxQueued: number;
+  /** Directory projects are built in (default: the OS temp directory) */
+  tempDir?: string;
+  /** Queue whose saturation is checked (default: the shared queue) */
+  queue?: Pick<typeof jobQueue, 'stats' | 'accepting'>;
+  /** Compiles the canary contract (default: {@link runCanaryBuild}) */
+  canaryBuild?: (config: { code: string }) => Promise<BuildOutcome>;
+  /** Lists cached soroban-sdk versions (default: cargo's registry cache) */
+  sdkCache?: () => Promise<string[]>;
+}
+
+/**
+ * Contract compiled by the canary build: the smallest one using soroban-sdk
+ */
+export const CANARY_CONTRACT = `#![no_std]
+use soroban_sdk::{contract, contractimpl};
+
+#[contract]
+pub struct Canary;
+
+#[contractimpl]
+impl Canary {
+    pub fn ping() -> u32 {
+        1
+    }
+}
+`;
+
+/** Share of the queue capacity above which the queue check warns */
+const QUEUE_WARN_RATIO = 0.8;
+
+const STATUS_ORDER: CheckStatus[] = ['pass', 'warn', 'fail'];
+
+/**
+ * Runs a version command, returning the first line of its output
+ */
+async function versionOf(
+  command: string,
+  args: string[],
+  timeout: number
+): Promise<string | undefined> {
+  try {
+    const result = await executeCommand(command, args, { timeout });
+    return result.exitCode === 0 ? result.stdout.split('\n')[0]?.trim() || undefined : undefined;
+  } catch {
+    // Not installed
+    return undefined;
+  }
+}
+
+/**
+ * Formats a byte count in megabytes
+ */
+function megabytes(bytes: number): string {
+  return `${Math.floor(bytes / (1024 * 1024))} MB`;
+}
+
+/**
+ * Decides whether the service is ready for builds. Checks run at most once
+ * per cache TTL, so load balancers can poll readiness cheaply; concurrent
+ * requests share a run. The canary build runs in the background and readiness
+ * reports its latest result, so polls never wait for a compile.
+ */
+export class HealthChecker {
+  private report?: { value: ReadinessReport; at: number };
+  private checking?: Promise<ReadinessReport>;
+  private canaryResult?: { check: HealthCheck; at: number };
+  private canaryRunning = false;
+
+  constructor(private readonly options: HealthCheckerOptions) {}
+
+  /**
+   * Gets the readiness report, running the checks if the last report expired
+   *
+   * @returns The report, and whether it was served from the cache
+   */
+  async readiness(): Promise<{ report: ReadinessReport; cached: boolean }> {
+    if (this.report && Date.now() - this.report.at < this.options.cacheTtlMs) {
+      return { report: this.report.value, cached: true };
+    }
+    if (!this.checking) {
+      this.checking = this.check().finally(() => (this.checking = undefined));
+    }
+    return { report: await this.checking, cached: false };
+  }
+
+  private async check(): Promise<ReadinessReport> {
+    const now = Date.now();
+    const [disk, { check: toolchain, versions }] = await Promise.all([
+      this.checkDisk(),
+      this.checkToolchain(),
+    ]);
+    const checks: Record<ReadinessCheckName, HealthCheck> = {
+      disk,
+      queue: this.checkQueue(),
+      toolchain,
+      canary: this.checkCanary(),
+    };
+    const status = Object.values(checks).reduce<CheckStatus>(
+      (worst, { status }) =>
+        STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst,
+      'pass'
+    );
+
+    const report: ReadinessReport = {
+      ready: status !== 'fail',
+      status,
+      checks,
+      versions,
+      checkedAt: new Date(now).toISOString(),
+    };
+    this.report = { value: report, at: now };
+    return report;
+  }
+
+  /**
+   * Checks there is room for projects and build output in the temp directory
+   */
+  private async checkDisk(): Promise<HealthCheck> {
+    const dir = this.options.tempDir ?? tmpdir();
+    const { minFreeDiskBytes } = this.options;
+    try {
+      const stats = await fs.statfs(dir);
+      const freeBytes = stats.bavail * stats.bsize;
+      const details = { dir, freeBytes, totalBytes: stats.blocks * stats.bsize, minFreeDiskBytes };
+      const message = `${megabytes(freeBytes)} free in ${dir}`;
+      if (freeBytes < minFreeDiskBytes) {
+        return {
+          status: 'fail',
+          message: `${message}, below ${megabytes(minFreeDiskBytes)}`,
+          details,
+        };
+      }
+      return { status: freeBytes < 2 * minFreeDiskBytes ? 'warn' : 'pass', message, details };
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: `Cannot read free space in ${dir}: ${error instanceof Error ? error.message : 'unknown error'}`,
+      };
+    }
+  }
+
+  /**
+   * Checks the job queue accepts jobs and has room for more
+   */
+  private checkQueue(): HealthCheck {
+    const queue = this.options.queue ?? jobQueue;
+    const { maxQueued } = this.options;
+    const stats = queue.stats();
+    const details = { ...stats, maxQueued };
+    if (!queue.accepting) {
+      return {
+        status: 'fail',
+        message: 'Not accepting jobs: the server is shutting down',
+        details,
+      };
+    }
+    const message = `${stats.queued} of ${maxQueued} jobs queued, ${stats.running} of ${stats.concurrency} workers busy`;
+    if (stats.queued >= maxQueued) {
+      return { status: 'fail', message: `Job queue is full: ${message}`, details };
+    }
+    return {
+      status: stats.queued >= maxQueued * QUEUE_WARN_RATIO ? 'warn' : 'pass',
+      message,
+      details,
+    };
+  }
+
+  /**
+   * Reads the versions of the build tools and checks builds can run with them
+   */
+  private async checkToolchain(): Promise<{ check: HealthCheck; versions: ToolchainVersions }> {
+    const timeout = this.options.commandTimeoutMs;
+    const [rustc, cargo, stellar, targets, sorobanSdk] = await Promise.all([
+      versionOf('rustc', ['--version'], timeout),
+      versionOf('cargo', ['--version'], timeout),
+      versionOf('stellar', ['--version'], timeout),
+      executeCommand('rustup', ['target', 'list', '--installed'], { timeout }).catch(
+        () => undefined
+      ),
+      (this.options.sdkCache ?? (() => cachedCrateVersions('soroban-sdk')))(),
+    ]);
+    const versions: ToolchainVersions = {
+      rustc,
+      cargo,
+      stellar,
+      // Without rustup, the toolchain on the path is assumed to have the target
+      wasmTarget: targets ? targets.stdout.includes('wasm32-unknown-unknown') : rustc !== undefined,
+      sorobanSdk,
+      toolchains: toolchainRegistry.list().map(({ name }) => name),
+    };
+
+    const missing = [
+      ...(rustc ? [] : ['rustc']),
+      ...(cargo ? [] : ['cargo']),
+      ...(versions.wasmTarget ? [] : ['the wasm32-unknown-unknown target']),
+    ];
+    if (missing.length > 0) {
+      return { check: { status: 'fail', message: `Missing ${missing.join(', ')}` }, versions };
+    }
+
+    const uncached = this.options.sdkVersions.filter(
+      (requirement) =>
+        !sorobanSdk.some((version) => {
+          try {
+            return isWithinVersionReq(`=${version}`, requirement);
+          } catch {
+            // Pre-releases never satisfy a release requirement
+            return false;
+          }
+        })
+    );
+    const warnings = [
+      ...(stellar
+        ? []
+        : ['stellar CLI missing: contracts are not optimized and cannot be deployed']),
+      ...(uncached.length > 0
+        ? [`soroban-sdk ${uncached.join(', ')} not cached: builds download it first`]
+        : []),
+    ];
+    return {
+      check: {
+        status: warnings.length > 0 ? 'warn' : 'pass',
+        message: warnings.length > 0 ? warnings.join('; ') : `${rustc}, ${cargo}`,
+      },
+      versions,
+    };
+  }
+
+  /**
+   * Reports the latest canary build, starting a new one when it is due
+   */
+  private checkCanary(): HealthCheck {
+    if (!this.options.canary.enabled) {
+      return { status: 'pass', message: 'Canary builds are disabled' };
+    }
+
+    const last = this.canaryResult;
+    // Failed canaries are retried right away, so recovery is noticed quickly
+    const due =
+      !last ||
+      last.check.status !== 'pass' ||
+      Date.now() - last.at >= this.options.canary.intervalMs;
+    if (due && !this.canaryRunning) {
+      void this.runCanary();
+    }
+    return last?.check ?? { status: 'fail', message: 'Canary build has not finished yet' };
+  }
+
+  private async runCanary(): Promise<void> {
+    this.canaryRunning = true;
+    const startTime = Date.now();
+    let check: HealthCheck;
+    try {
+      // A cold canary compiles soroban-sdk, so it gets as long as a queued build
+      const build =
+        this.options.canaryBuild ??
+        ((config) => runCanaryBuild(config, { timeout: appConfig.jobs.timeoutMs }));
+      const outcome = await build({ code: CANARY_CONTRACT });
+      const durationMs = Date.now() - startTime;
+      check = outcome.success
+        ? {
+            status: 'pass',
+            message: `Canary build succeeded in ${durationMs}ms`,
+            details: { durationMs },
+          }
+        : {
+            status: 'fail',
+            message: `Canary build failed: ${outcome.message}`,
+            details: { durationMs, error: outcome.error },
+          };
+    } catch (error) {
+      check = {
+        status: 'fail',
+        message: `Canary build failed: ${error instanceof Error ? error.message : 'unknown error'}`,
+        details: { durationMs: Date.now() - startTime },
+      };
+    }
+    this.canaryResult = { check, at: Date.now() };
+    this.canaryRunning = false;
+  }
+}
+
+/**
+ * Shared health checker used by the readiness endpoint
+ */
+export const healthChecker = new HealthChecker({
+  ...appConfig.health,
+  sdkVersions: appConfig.dependencies.sdkVersions,
+  maxQueued: appConfig.jobs.maxQueued,
+});
@@ -0,0 +1,300 @@
+import { jest } from '@jest/globals';
+import { JobQueue, QueueClosedError, QueueFullError, type JobRunner } from './jobQueue';
+import type { BuildOutcome } from './buildRunner';
+import { CommandTimeoutError } from '../utils/commandExecutor';
+import type { BuildHistory } from './buildHistory';
+import { currentRequestId, withRequestId } from '../utils/requestContext';
+
+const SUCCESS: BuildOutcome = {
+  success: true,
+  message: 'Compilation and optimization successful',
+  output: 'Build Output',
+  artifacts: [{ name: 'soroban_contract.wasm', size: 1024, sha256: 'abc', optimized: false }],
+};
+
+/**
+ * Creates a runner whose builds complete only when released by the test
+ */
+function deferredRunner() {
+  const releases: Array<(outcome: BuildOutcome) => void> = [];
+  const runner = jest.fn(
+    () => new Promise<BuildOutcome>((resolve) => releases.push(resolve))
+  ) as unknown as jest.MockedFunction<JobRunner>;
+  return { runner, releases };
+}
+
+/** Lets pending promise callbacks run */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('JobQueue', () => {
+  const baseOptions = { concurrency: 1, maxQueued: 10, timeoutMs: 1000, retentionMs: 60_000 };
+
+  it('should return a queued job immediately', () => {
+    const { runner } = deferredRunner();
+    const queue = new JobQueue({ ...baseOptions, runner });
+
+    const job = queue.enqueue('compile', { code: 'fn a() {}' });
+
+    expect(job.id).toEqual(expect.any(String));
+    expect(job.status).toBe('queued');
+    expect(job.queuePosition).toBe(1);
+    expect(queue.get(job.id)?.status).toBe('running');
+  });
+
+  it('should pass the configured timeout and collect logs', async () => {
+    const runner = jest.fn<JobRunner>(async (_kind, _config, options) => {
+      options?.onLog?.('$ cargo build');
+      return SUCCESS;
+    });
+    const queue = new JobQueue({ ...baseOptions, runner });
+
+    const { id } = queue.enqueue('compile', { code: 'fn a() {}' });
+    await flush();
+
+    expect(runner).toHaveBeenCalledWith(
+      'compile',
+      { code: 'fn a() {}' },
+      expect.objectContaining({ timeout: 1000 })
+    );
+    expect(queue.get(id)).toMatchObject({
+      status: 'succeeded',
+      message: SUCCESS.message,
+      logs: ['$ cargo build'],
+      artifacts: SUCCESS.artifacts,
+      duration: expect.any(Number),
+      finishedAt: expect.any(String),
+    });
+  });
+
+  it('should not run more jobs than the concurrency limit', async () => {
+    const { runner, releases } = deferredRunner();
+    const queue = new JobQueue({ ...baseOptions, concurrency: 2, runner });
+
+    const jobs = [1, 2, 3].map(() => queue.enqueue('test', { code: 'fn a() {}' }));
+
+    expect(runner).toHaveBeenCalledTimes(2);
+    expect(queue.stats()).toEqual({ queued: 1, running: 2, concurrency: 2 });
+    expect(queue.get(jobs[2]!.id)).toMatchObject({ status: 'queued', queuePosition: 1 });
+
+    releases[0]!(SUCCESS);
+    await flush();
+
+    expect(runner).toHaveBeenCalledTimes(3);
+    expect(queue.get(jobs[0]!.id)?.status).toBe('succeeded');
+    expect(queue.get(jobs[2]!.id)?.status).toBe('running');
+  });
+
+  it('should mark failed builds as failed', async () => {
+    const runner = jest.fn(async () => ({
+      success: false,
+      message: 'Compilation failed',
+      error: 'error[E0425]',
+      artifacts: [],
+    })) as unknown as JobRunner;
+    const queue = new JobQueue({ ...baseOptions, runner });
+
+    const { id } = queue.enqueue('compile', { code: 'fn a() {}' });
+    await flush();
+
+    expect(queue.get(id)).toMatchObject({ status: 'failed', error: 'error[E0425]' });
+  });
+
+  it('should record timeouts', async () => {
+    const runner = jest.fn(async () => {
+      throw new CommandTimeoutError(1000);
+    }) as unknown as JobRunner;
+    const queue = new JobQueue({ ...baseOptions, runner });
+
+    const { id } = queue.enqueue('test', { code: 'fn a() {}' });
+    await flush();
+
+    expect(queue.get(id)).toMatchObject({
+      status: 'failed',
+      timedOut: true,
+      message: 'Testing timed out',
+    });
+  });
+
+  it('should build each job on behalf of the request that submitted it', async () => {
+    const { runner, releases } = deferredRunner();
+    const seen: Array<string | undefined> = [];
+    runner.mockImplementation(() => {
+      seen.push(currentRequestId());
+      return new Promise<BuildOutcome>((resolve) => releases.push(resolve));
+    });
+    const queue = new JobQueue({ ...baseOptions, runner });
+
+    const first = withRequestId('req-1', () => queue.enqueue('compile', { code: 'fn a() {}' }));
+    const second = withRequestId('req-2', () => queue.enqueue('test', { code: 'fn a() {}' }));
+    const anonymous = queue.enqueue('test', { code: 'fn a() {}' });
+    // The second job starts from the first job's completion
+    await withRequestId('req-3', async () => {
+      releases[0]!(SUCCESS);
+      await flush();
+    });
+    releases[1]!(SUCCESS);
+    await flush();
+
+    expect(first.requestId).toBe('req-1');
+    expect(second.requestId).toBe('req-2');
+    expect(anonymous.requestId).toBeUndefined();
+    expect(seen).toEqual(['req-1', 'req-2', undefined]);
+  });
+
+  it('should reject jobs when the queue is full', () => {
+    const { runner } = deferredRunner();
+    const queue = new JobQueue({ ...baseOptions, maxQueued: 1, runner });
+
+    queue.enqueue('compile', { code: 'fn a() {}' }); // running
+    queue.enqueue('compile', { code: 'fn b() {}' }); // queued
+
+    expect(() => queue.enqueue('compile', { code: 'fn c() {}' })).toThrow(QueueFullError);
+  });
+
+  it('should let running jobs finish and cancel queued ones when closed', async () => {
+    const { runner, releases } = deferredRunner();
+    const queue = new JobQueue({ ...baseOptions, runner });
+    const running = queue.enqueue('compile', { code: 'fn a() {}' });
+    const queued = queue.enqueue('test', { code: 'fn b() {}' });
+    const events: string[] = [];
+    queue.subscribe(queued.id, (event) => events.push(event.type));
+
+    let idle = false;
+    const closing = queue.close().then(() => (idle = true));
+
+    expect(queue.get(queued.id)).toMatchObject({
+      status: 'failed',
+      message: 'Testing cancelled: the server is shutting down',
+    });
+    expect(events).toEqual(['done']);
+    expect(() => queue.enqueue('compile', { code: 'fn c() {}' })).toThrow(QueueClosedError);
+    await flush();
+    expect(idle).toBe(false);
+
+    releases[0]!(SUCCESS);
+    await closing;
+
+    expect(queue.get(running.id)?.status).toBe('succeeded');
+    expect(runner).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close an idle queue right away', async () => {
+    const queue = new JobQueue({ ...baseOptions, runner: jest.fn() as unknown as JobRunner });
+    expect(queue.accepting).toBe(true);
+
+    await expect(queue.close()).resolves.toBeUndefined();
+    expect(queue.accepting).toBe(false);
+  });
+
+  it('should forget finished jobs after the retention period', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    try {
+      const runner = jest.fn(async () => SUCCESS) as unknown as JobRunner;
+      const queue = new JobQueue({ ...baseOptions, retentionMs: 5000, runner });
+
+      const { id } = queue.enqueue('compile', { code: 'fn a() {}' });
+      await flush();
+      expect(queue.get(id)).toBeDefined();
+
+      jest.advanceTimersByTime(5000);
+      expect(queue.get(id)).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should notify subscribers of status, logs and completion', async () => {
+    const { runner, releases } = deferredRunner();
+    const queue = new JobQueue({ ...baseOptions, concurrency: 1, runner });
+
+    // The second job waits behind the first, so its subscriber sees every event
+    queue.enqueue('compile', { code: 'fn a() {}' });
+    const { id } = queue.enqueue('compile', { code: 'fn b() {}' });
+    const events: unknown[] = [];
+    queue.subscribe(id, (event) => events.push(event));
+
+    releases[0]!(SUCCESS);
+    await flush();
+    runner.mock.calls[1]![2]?.onLog?.('   Compiling soroban-sdk v22.0.0');
+    releases[1]!(SUCCESS);
+    await flush();
+
+    expect(events).toEqual([
+      { type: 'status', status: 'running' },
+      { type: 'log', line: '   Compiling soroban-sdk v22.0.0' },
+      { type: 'done', job: expect.objectContaining({ id, status: 'succeeded' }) },
+    ]);
+    expect(queue.subscribe(id, () => undefined)).toBeUndefined();
+  });
+
+  it('should record finished jobs in the history before reporting them done', async () => {
+    const { runner, releases } = deferredRunner();
+    const record = jest.fn<BuildHistory['record']>(async () => undefined);
+    const history = { record } as unknown as BuildHistory;
+    const queue = new JobQueue({ ...baseOptions, runner, history });
+
+    const { id } = queue.enqueue('test', { code: 'fn a() {}' }, { owner: 'alice' });
+    let recordedWhenDone: boolean | undefined;
+    queue.subscribe(id, (event) => {
+      if (event.type === 'done') {
+        recordedWhenDone = record.mock.calls.length > 0;
+      }
+    });
+    releases[0]!(SUCCESS);
+    await flush();
+
+    expect(record).toHaveBeenCalledWith(
+      'test',
+      { code: 'fn a() {}' },
+      expect.objectContaining({ success: true, message: SUCCESS.message }),
+      expect.any(Number),
+      'alice'
+    );
+    expect(recordedWhenDone).toBe(true);
+  });
+
+  describe('run', () => {
+    it('should wait its turn and resolve with the build outcome', async () => {
+      const { runner, releases } = deferredRunner();
+      const queue = new JobQueue({ ...baseOptions, runner });
+      queue.enqueue('compile', { code: 'fn a() {}' });
+
+      let outcome: BuildOutcome | undefined;
+      const run = queue.run('test', { code: 'fn b() {}' }).then((result) => (outcome = result));
+
+      expect(queue.stats()).toEqual({ queued: 1, running: 1, concurrency: 1 });
+      releases[0]!(SUCCESS);
+      await flush();
+      expect(outcome).toBeUndefined();
+
+      releases[1]!({ ...SUCCESS, message: 'All tests passed' });
+      await run;
+      expect(outcome).toMatchObject({ success: true, message: 'All tests passed' });
+    });
+
+    it('should reject with the error the build threw', async () => {
+      const runner = jest.fn(async () => {
+        throw new CommandTimeoutError(1000);
+      }) as unknown as JobRunner;
+      const queue = new JobQueue({ ...baseOptions, runner });
+
+      await expect(queue.run('lint', { code: 'fn a() {}' })).rejects.toThrow(CommandTimeoutError);
+    });
+
+    it('should reject when the queue is full or closes first', async () => {
+      const { runner } = deferredRunner();
+      const queue = new JobQueue({ ...baseOptions, maxQueued: 1, runner });
+      queue.enqueue('compile', { code: 'fn a() {}' }); // running
+      const queued = queue.run('compile', { code: 'fn b() {}' });
+
+      await expect(queue.run('compile', { code: 'fn c() {}' })).rejects.toThrow(QueueFullError);
+      void queue.close();
+      await expect(queued).rejects.toThrow(QueueClosedError);
+    });
+  });
+
+  it('should return undefined for unknown jobs', () => {
+    const queue = new JobQueue(baseOptions);
+    expect(queue.get('missing')).toBeUndefined();
+  });
+});
@@ -0,0 +1,455 @@
+import { randomUUID } from 'node:crypto';
+import { config as appConfig } from '../config';
+import type { ProjectConfig } from '../utils/fileManager';
+import type { Diagnostic } from '../utils/diagnostics';
+import type { TestResults } from '../utils/testResults';
+import type { SandboxLimit } from '../utils/sandbox';
+import {
+  runBuild,
+  BUILD_ACTIONS,
+  type BuildArtifact,
+  type BuildKind,
+  type BuildOptions,
+  type BuildOutcome,
+  type ContractArtifact,
+  type TestFilter,
+} from './buildRunner';
+import { buildHistory, type BuildHistory } from './buildHistory';
+import { currentRequestId, withRequestId } from '../utils/requestContext';
+
+/**
+ * Lifecycle state of a job
+ */
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+/**
+ * Public view of a build job
+ */
+export interface Job {
+  /** Unique job identifier */
+  id: string;
+  /** Kind of build */
+  kind: BuildKind;
+  /** Current state */
+  status: JobStatus;
+  /** Position in the queue (1-based) while queued */
+  queuePosition?: number;
+  /** ISO timestamp of submission */
+  createdAt: string;
+  /** ISO timestamp of when a worker picked the job up */
+  startedAt?: string;
+  /** ISO timestamp of completion */
+  finishedAt?: string;
+  /** Time spent running in milliseconds */
+  duration?: number;
+  /** Build log lines collected so far */
+  logs: string[];
+  /** Result summary once finished */
+  message?: string;
+  /** Tool output once finished */
+  output?: string;
+  /** Error details if the job failed */
+  error?: string;
+  /** Whether the job failed because a build step timed out */
+  timedOut?: boolean;
+  /** Files produced by the build */
+  artifacts: BuildArtifact[];
+  /** The compiled contract, when a compile produced one */
+  artifact?: ContractArtifact;
+  /** Whether the result was served from the build cache */
+  cached?: boolean;
+  /** Compiler errors and warnings, once finished */
+  diagnostics?: Diagnostic[];
+  /** Tests selected by a test job */
+  testFilter?: TestFilter;
+  /** Per-test results of a finished test job */
+  testResults?: TestResults;
+  /** Sandbox limit the build was stopped by */
+  limitExceeded?: SandboxLimit;
+  /** ID of the user who submitted the job; anonymous jobs have none */
+  owner?: string;
+  /** ID of the request that submitted the job, carried by the logs of its build */
+  requestId?: string;
+}
+
+/**
+ * Progress notification for a job
+ */
+export type JobEvent =
+  | { type: 'status'; status: JobStatus }
+  | { type: 'log'; line: string }
+  | { type: 'done'; job: Job };
+
+/**
+ * Receives progress notifications for a job
+ */
+export type JobListener = (event: JobEvent) => void;
+
+/**
+ * Function used by workers to execute a build
+ */
+export type JobRunner = typeof runBuild;
+
+/**
+ * Options for a job queue
+ */
+export interface JobQueueOptions {
+  /** Maximum number of builds running at the same time */
+  concurrency: number;
+  /** Maximum number of jobs waiting for a worker */
+  maxQueued: number;
+  /** Timeout for each build step in milliseconds */
+  timeoutMs: number;
+  /** How long finished jobs are kept for polling */
+  retentionMs: number;
+  /** Build implementation (injectable for tests) */
+  runner?: JobRunner;
+  /** Where finished compile and test jobs are recorded (default: the shared history) */
+  history?: BuildHistory;
+}
+
+/**
+ * Options for a single job
+ */
+export interface EnqueueOptions {
+  /** Tests to run, for test jobs */
+  testFilter?: TestFilter;
+  /** Receives how long each build command ran */
+  onCommand?: BuildOptions['onCommand'];
+  /** ID of the user submitting the job */
+  owner?: string;
+}
+
+/**
+ * Thrown when a job is submitted while the queue is at capacity
+ */
+export class QueueFullError extends Error {
+  constructor(maxQueued: number) {
+    super(`Job queue is full (${maxQueued} jobs waiting)`);
+    this.name = 'QueueFullError';
+  }
+}
+
+/**
+ * Thrown when a job is submitted after the queue was closed for shutdown
+ */
+export class QueueClosedError extends Error {
+  constructor() {
+    super('Job queue is closed: the server is shutting down');
+    this.name = 'QueueClosedError';
+  }
+}
+
+interface JobRecord {
+  job: Job;
+  config: ProjectConfig;
+  onCommand?: BuildOptions['onCommand'];
+  /** Receives the outcome of a build someone is waiting for */
+  settle?: {
+    resolve: (outcome: BuildOutcome) => void;
+    reject: (error: unknown) => void;
+  };
+}
+
+/**
+ * In-memory FIFO queue that runs builds with bounded concurrency
+ */
+export class JobQueue {
+  private readonly jobs = new Map<string, JobRecord>();
+  private readonly listeners = new Map<string, Set<JobListener>>();
+  private readonly pending: string[] = [];
+  private running = 0;
+  private closed = false;
+  private readonly idleWaiters: Array<() => void> = [];
+  private readonly runner: JobRunner;
+  private readonly history: BuildHistory;
+
+  constructor(private readonly options: JobQueueOptions) {
+    this.runner = options.runner ?? runBuild;
+    this.history = options.history ?? buildHistory;
+  }
+
+  /**
+   * Adds a build to the queue
+   *
+   * @param kind - Whether to compile or test
+   * @param config - Project configuration
+   * @param options - Test filter, command timing callback and owner
+   * @returns Snapshot of the queued job
+   * @throws QueueFullError if too many jobs are already waiting
+   * @throws QueueClosedError if the server is shutting down
+   */
+  enqueue(kind: BuildKind, config: ProjectConfig, options: EnqueueOptions = {}): Job {
+    return this.add(kind, config, options);
+  }
+
+  /**
+   * Runs a build in the queue and waits for it, for synchronous requests. The
+   * build shares the workers, FIFO order and step timeout of jobs, and is
+   * recorded in the build history like them.
+   *
+   * @param kind - Whether to compile, test or lint
+   * @param config - Project configuration
+   * @param options - Test filter, command timing callback and owner
+   * @returns Promise that resolves with the build outcome
+   * @throws QueueFullError if too many jobs are already waiting
+   * @throws QueueClosedError if the server is shutting down
+   * @throws CommandTimeoutError if a build step exceeds the timeout
+   */
+  run(kind: BuildKind, config: ProjectConfig, options: EnqueueOptions = {}): Promise<BuildOutcome> {
+    return new Promise((resolve, reject) => {
+      this.add(kind, config, options, { resolve, reject });
+    });
+  }
+
+  /**
+   * Creates a job and queues it
+   */
+  private add(
+    kind: BuildKind,
+    config: ProjectConfig,
+    { testFilter, onCommand, owner }: EnqueueOptions,
+    settle?: JobRecord['settle']
+  ): Job {
+    if (this.closed) {
+      throw new QueueClosedError();
+    }
+    if (this.pending.length >= this.options.maxQueued) {
+      throw new QueueFullError(this.options.maxQueued);
+    }
+
+    const job: Job = {
+      id: randomUUID(),
+      kind,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      logs: [],
+      artifacts: [],
+      ...(testFilter ? { testFilter } : {}),
+      ...(owner ? { owner } : {}),
+    };
+    const requestId = currentRequestId();
+    if (requestId) {
+      job.requestId = requestId;
+    }
+
+    this.jobs.set(job.id, { job, config, onCommand, settle });
+    this.pending.push(job.id);
+    const snapshot = this.get(job.id) as Job;
+    this.drain();
+
+    return snapshot;
+  }
+
+  /**
+   * Gets a snapshot of a job
+   *
+   * @param id - Job identifier
+   * @returns The job, or undefined if unknown or expired
+   */
+  get(id: string): Job | undefined {
+    const record = this.jobs.get(id);
+    if (!record) {
+      return undefined;
+    }
+
+    const { job } = record;
+    const position = this.pending.indexOf(id);
+
+    return {
+      ...job,
+      logs: [...job.logs],
+      artifacts: [...job.artifacts],
+      ...(position >= 0 ? { queuePosition: position + 1 } : {}),
+    };
+  }
+
+  /**
+   * Subscribes to progress of an unfinished job. Listeners are removed
+   * automatically after the `done` event.
+   *
+   * @param id - Job identifier
+   * @param listener - Receives status changes, log lines and the final job
+   * @returns Unsubscribe function, or undefined if the job is unknown or finished
+   */
+  subscribe(id: string, listener: JobListener): (() => void) | undefined {
+    const record = this.jobs.get(id);
+    if (!record || record.job.finishedAt) {
+      return undefined;
+    }
+
+    const listeners = this.listeners.get(id) ?? new Set<JobListener>();
+    listeners.add(listener);
+    this.listeners.set(id, listeners);
+
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Gets current queue counters
+   */
+  stats(): { queued: number; running: number; concurrency: number } {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.options.concurrency,
+    };
+  }
+
+  /**
+   * Whether new jobs are accepted; false once the queue was closed for shutdown
+   */
+  get accepting(): boolean {
+    return !this.closed;
+  }
+
+  /**
+   * Stops accepting jobs for shutdown. Queued jobs fail right away, running
+   * ones are left to finish.
+   *
+   * @returns Resolves once no job is running
+   */
+  close(): Promise<void> {
+    this.closed = true;
+    for (const id of this.pending.splice(0)) {
+      const record = this.jobs.get(id);
+      if (record) {
+        this.cancel(record);
+      }
+    }
+    if (this.running === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Fails a queued job that will not run
+   */
+  private cancel({ job, settle }: JobRecord): void {
+    job.status = 'failed';
+    job.message = `${BUILD_ACTIONS[job.kind]} cancelled: the server is shutting down`;
+    job.finishedAt = new Date().toISOString();
+    this.emit(job.id, { type: 'done', job: this.get(job.id) as Job });
+    this.listeners.delete(job.id);
+    this.scheduleExpiry(job.id);
+    settle?.reject(new QueueClosedError());
+  }
+
+  /**
+   * Starts queued jobs while worker slots are free
+   */
+  private drain(): void {
+    while (this.running < this.options.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift() as string;
+      const record = this.jobs.get(id);
+      if (record) {
+        this.running++;
+        // Logged on behalf of the submitting request, not of whichever finished the previous job
+        void withRequestId(record.job.requestId, () => this.execute(record)).finally(() => {
+          this.running--;
+          this.drain();
+          if (this.running === 0) {
+            this.idleWaiters.splice(0).forEach((resolve) => resolve());
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Notifies listeners of a job
+   */
+  private emit(id: string, event: JobEvent): void {
+    for (const listener of this.listeners.get(id) ?? []) {
+      try {
+        listener(event);
+      } catch {
+        // A failing listener must not break the build
+      }
+    }
+  }
+
+  /**
+   * Runs a single job and records its outcome
+   */
+  private async execute({ job, config, onCommand, settle }: JobRecord): Promise<void> {
+    const startTime = Date.now();
+    job.status = 'running';
+    job.startedAt = new Date(startTime).toISOString();
+    this.emit(job.id, { type: 'status', status: job.status });
+
+    const buildOptions: BuildOptions = {
+      timeout: this.options.timeoutMs,
+      onLog: (line) => {
+        job.logs.push(line);
+        this.emit(job.id, { type: 'log', line });
+      },
+      ...(job.testFilter ? { testFilter: job.testFilter } : {}),
+      ...(onCommand ? { onCommand } : {}),
+    };
+
+    let outcome: BuildOutcome | undefined;
+    let failure: unknown;
+    try {
+      outcome = await this.runner(job.kind, config, buildOptions);
+      job.status = outcome.success ? 'succeeded' : 'failed';
+      job.message = outcome.message;
+      job.output = outcome.output;
+      job.error = outcome.error;
+      job.artifacts = outcome.artifacts;
+      job.artifact = outcome.artifact;
+      job.cached = outcome.cached;
+      job.diagnostics = outcome.diagnostics;
+      job.testResults = outcome.testResults;
+      job.limitExceeded = outcome.limitExceeded;
+    } catch (error) {
+      failure = error;
+      job.status = 'failed';
+      job.timedOut = error instanceof Error && error.name === 'CommandTimeoutError';
+      job.message = job.timedOut
+        ? `${BUILD_ACTIONS[job.kind]} timed out`
+        : `Internal server error during ${BUILD_ACTIONS[job.kind].toLowerCase()}`;
+      job.error = error instanceof Error ? error.message : 'Unknown error';
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.duration = Date.now() - startTime;
+      // Recorded before `done` so clients refreshing the history see the run
+      await this.history
+        .record(
+          job.kind,
+          config,
+          { ...job, success: job.status === 'succeeded', message: job.message ?? '' },
+          job.duration,
+          job.owner
+        )
+        .catch(() => {
+          // The build result stands without a history entry
+        });
+      this.emit(job.id, { type: 'done', job: this.get(job.id) as Job });
+      this.listeners.delete(job.id);
+      this.scheduleExpiry(job.id);
+    }
+
+    if (outcome) {
+      settle?.resolve(outcome);
+    } else {
+      settle?.reject(failure);
+    }
+  }
+
+  /**
+   * Forgets a finished job after the retention period
+   */
+  private scheduleExpiry(id: string): void {
+    const timer = setTimeout(() => this.jobs.delete(id), this.options.retentionMs);
+    timer.unref();
+  }
+}
+
+/**
+ * Shared queue used by the HTTP API
+ */
+export const jobQueue = new JobQueue(appConfig.jobs);
@@ -0,0 +1,386 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+import { PassThrough } from 'node:stream';
+import type { ChildProcess } from 'node:child_process';
+import { encodeLspMessage, LspMessageReader } from '../utils/lspFraming';
+import { BubblewrapRunner } from '../utils/sandbox';
+import type { WebSocketConnection } from '../utils/webSocket';
+import {
+  ClientSessionLimitError,
+  LanguageServerManager,
+  TooManySessionsError,
+  type LanguageServerOptions,
+  type SpawnLanguageServer,
+} from './languageServer';
+
+/**
+ * Connection recording what the bridge sends to the editor
+ */
+class FakeConnection extends EventEmitter {
+  send = jest.fn<(text: string) => void>();
+  close = jest.fn((code?: number, reason?: string) => {
+    if (this.isOpen) {
+      this.isOpen = false;
+      this.emit('close', code, reason);
+    }
+  });
+  isOpen = true;
+}
+
+/**
+ * rust-analyzer stand-in with piped stdio
+ */
+class FakeServer extends EventEmitter {
+  stdin = new PassThrough();
+  stdout = new PassThrough();
+  stderr = new PassThrough();
+  kill = jest.fn();
+  cwd = '';
+  received: unknown[] = [];
+
+  constructor() {
+    super();
+    const reader = new LspMessageReader();
+    this.stdin.on('data', (chunk: Buffer) => {
+      this.received.push(...reader.push(chunk).map((text) => JSON.parse(text)));
+    });
+  }
+}
+
+const OPTIONS: LanguageServerOptions = {
+  command: 'rust-analyzer',
+  maxSessions: 2,
+  maxSessionsPerClient: 2,
+  idleTimeoutMs: 60_000,
+};
+
+const CLIENT = 'ip:127.0.0.1';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+async function openSession(options: Partial<LanguageServerOptions> = {}) {
+  const server = new FakeServer();
+  const spawnServer = jest.fn<SpawnLanguageServer>((_command, _args, { cwd }) => {
+    server.cwd = cwd;
+    return server as unknown as ChildProcess;
+  });
+  const manager = new LanguageServerManager({ ...OPTIONS, ...options }, spawnServer);
+  const connection = new FakeConnection();
+  await manager.open(connection as unknown as WebSocketConnection, CLIENT);
+  return { manager, server, connection, spawnServer };
+}
+
+const exists = (path: string) =>
+  fs.access(path).then(
+    () => true,
+    () => false
+  );
+
+describe('LanguageServerManager', () => {
+  it('should start rust-analyzer in a project of its own, offline', async () => {
+    const { manager, server, spawnServer } = await openSession();
+
+    expect(spawnServer).toHaveBeenCalledWith(
+      'rust-analyzer',
+      [],
+      expect.objectContaining({ env: expect.objectContaining({ CARGO_NET_OFFLINE: 'true' }) })
+    );
+    expect(await exists(join(server.cwd, 'Cargo.toml'))).toBe(true);
+    expect(manager.activeSessions).toBe(1);
+
+    await manager.closeAll();
+  });
+
+  it('should start rust-analyzer in the sandbox with the vendored crates readable', async () => {
+    const sandbox = new BubblewrapRunner({
+      limits: { cpuSeconds: 60, memoryMb: 512, pids: 64 },
+      cargoHome: '/cargo',
+      rustupHome: '/rustup',
+    });
+    const { manager, server, spawnServer } = await openSession({
+      sandbox,
+      vendorDir: '/var/lib/vendor',
+    });
+
+    const [command, args] = spawnServer.mock.calls[0] ?? [];
+    expect(command).toBe('bwrap');
+    expect(args?.join(' ')).toContain(`--bind ${server.cwd} ${server.cwd}`);
+    expect(args?.join(' ')).toContain('--ro-bind /var/lib/vendor /var/lib/vendor');
+    expect(args?.slice(-2)).toEqual(['--', 'rust-analyzer']);
+
+    await manager.closeAll();
+  });
+
+  it('should point initialize at the project and map paths back for the editor', async () => {
+    const { manager, server, connection } = await openSession();
+
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { rootUri: 'file:///workspace', capabilities: {} },
+      })
+    );
+    await flush();
+
+    expect(server.received[0]).toMatchObject({
+      method: 'initialize',
+      params: {
+        rootUri: `file://${server.cwd}`,
+        workspaceFolders: [{ uri: `file://${server.cwd}`, name: 'workspace' }],
+        initializationOptions: {
+          checkOnSave: false,
+          // Not sandboxed under test
+          cargo: { buildScripts: { enable: false } },
+          procMacro: { enable: false },
+        },
+        capabilities: {},
+      },
+    });
+
+    server.stdout.write(
+      encodeLspMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'textDocument/publishDiagnostics',
+          params: { uri: `file://${server.cwd}/src/lib.rs`, diagnostics: [] },
+        })
+      )
+    );
+    await flush();
+
+    expect(JSON.parse(connection.send.mock.calls[0]?.[0] as string)).toMatchObject({
+      params: { uri: 'file:///workspace/src/lib.rs' },
+    });
+
+    await manager.closeAll();
+  });
+
+  it('should mirror opened and changed documents to the project', async () => {
+    const { manager, server, connection } = await openSession();
+
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'textDocument/didOpen',
+        params: {
+          textDocument: {
+            uri: 'file:///workspace/src/storage.rs',
+            languageId: 'rust',
+            version: 1,
+            text: 'pub fn a() {}',
+          },
+        },
+      })
+    );
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'textDocument/didChange',
+        params: {
+          textDocument: { uri: 'file:///workspace/src/storage.rs', version: 2 },
+          contentChanges: [{ text: 'pub fn b() {}' }],
+        },
+      })
+    );
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'textDocument/didOpen',
+        params: { textDocument: { uri: 'file:///workspace/Cargo.toml', text: '[package]' } },
+      })
+    );
+    await flush();
+
+    expect(await fs.readFile(join(server.cwd, 'src', 'storage.rs'), 'utf8')).toBe('pub fn b() {}');
+    expect(await fs.readFile(join(server.cwd, 'Cargo.toml'), 'utf8')).not.toBe('[package]');
+    expect(server.received).toHaveLength(3);
+
+    await manager.closeAll();
+  });
+
+  it('should not let the editor change the server settings', async () => {
+    const { manager, server, connection } = await openSession();
+    const overrideCommand = ['sh', '-c', 'id'];
+
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'workspace/didChangeConfiguration',
+        params: { settings: { 'rust-analyzer': { check: { overrideCommand } } } },
+      })
+    );
+    server.stdout.write(
+      encodeLspMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          id: 7,
+          method: 'workspace/configuration',
+          params: { items: [{ section: 'rust-analyzer' }] },
+        })
+      )
+    );
+    await flush();
+    connection.emit(
+      'message',
+      JSON.stringify({ jsonrpc: '2.0', id: 7, result: [{ check: { overrideCommand } }] })
+    );
+    await flush();
+
+    expect(connection.send).not.toHaveBeenCalled();
+    expect(server.received).toEqual([
+      {
+        jsonrpc: '2.0',
+        id: 7,
+        result: [
+          {
+            checkOnSave: false,
+            cargo: { buildScripts: { enable: false } },
+            procMacro: { enable: false },
+          },
+        ],
+      },
+    ]);
+
+    await manager.closeAll();
+  });
+
+  it('should only pass on responses to requests the server sent to the editor', async () => {
+    const { manager, server, connection } = await openSession();
+
+    server.stdout.write(
+      encodeLspMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          id: 3,
+          method: 'window/workDoneProgress/create',
+          params: { token: 'indexing' },
+        })
+      )
+    );
+    await flush();
+    connection.emit('message', JSON.stringify({ jsonrpc: '2.0', id: 3, result: null }));
+    connection.emit('message', JSON.stringify({ jsonrpc: '2.0', id: 3, result: null }));
+    connection.emit('message', JSON.stringify({ jsonrpc: '2.0', id: 4, result: null }));
+    await flush();
+
+    expect(connection.send).toHaveBeenCalledTimes(1);
+    expect(server.received).toEqual([{ jsonrpc: '2.0', id: 3, result: null }]);
+
+    await manager.closeAll();
+  });
+
+  it('should refuse sessions beyond the limit', async () => {
+    const { manager } = await openSession({ maxSessions: 1 });
+
+    expect(manager.hasCapacity()).toBe(false);
+    await expect(
+      manager.open(new FakeConnection() as unknown as WebSocketConnection, 'ip:10.0.0.2')
+    ).rejects.toThrow(TooManySessionsError);
+
+    await manager.closeAll();
+  });
+
+  it('should refuse sessions beyond the limit of a client', async () => {
+    const { manager } = await openSession({ maxSessions: 3, maxSessionsPerClient: 1 });
+
+    expect(manager.hasClientCapacity(CLIENT)).toBe(false);
+    await expect(
+      manager.open(new FakeConnection() as unknown as WebSocketConnection, CLIENT)
+    ).rejects.toThrow(ClientSessionLimitError);
+    expect(manager.hasClientCapacity('ip:10.0.0.2')).toBe(true);
+    await manager.open(new FakeConnection() as unknown as WebSocketConnection, 'ip:10.0.0.2');
+    expect(manager.activeSessions).toBe(2);
+
+    await manager.closeAll();
+  });
+
+  it('should only map URI fields, not text that looks like one', async () => {
+    const { manager, server, connection } = await openSession();
+    const text = `const HOME: &str = "file:///workspace/src";`;
+
+    connection.emit(
+      'message',
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'textDocument/didOpen',
+        params: { textDocument: { uri: 'file:///workspace/src/lib.rs', text } },
+      })
+    );
+    await flush();
+
+    expect(server.received[0]).toMatchObject({
+      params: { textDocument: { uri: `file://${server.cwd}/src/lib.rs`, text } },
+    });
+
+    const newText = `// ${server.cwd}`;
+    server.stdout.write(
+      encodeLspMessage(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          id: 9,
+          method: 'workspace/applyEdit',
+          params: { edit: { changes: { [`file://${server.cwd}/src/lib.rs`]: [{ newText }] } } },
+        })
+      )
+    );
+    await flush();
+
+    expect(JSON.parse(connection.send.mock.calls[0]?.[0] as string)).toMatchObject({
+      params: { edit: { changes: { 'file:///workspace/src/lib.rs': [{ newText }] } } },
+    });
+
+    await manager.closeAll();
+  });
+
+  it('should stop the server and remove the project when the editor disconnects', async () => {
+    const { manager, server, connection } = await openSession();
+
+    connection.emit('close', 1001, 'Connection lost');
+    await flush();
+
+    expect(server.kill).toHaveBeenCalled();
+    expect(await exists(server.cwd)).toBe(false);
+    expect(manager.activeSessions).toBe(0);
+  });
+
+  it('should stop every process in the process group of the server', async () => {
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    const { manager, server } = await openSession();
+    Object.assign(server, { pid: 4242 });
+
+    await manager.closeAll();
+
+    expect(kill).toHaveBeenCalledWith(-4242, 'SIGTERM');
+    expect(server.kill).not.toHaveBeenCalled();
+    kill.mockRestore();
+  });
+
+  it('should close idle sessions', async () => {
+    const { manager, server, connection } = await openSession({ idleTimeoutMs: 30 });
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect(connection.close).toHaveBeenCalledWith(1001, 'Session idle');
+    expect(server.kill).toHaveBeenCalled();
+    expect(manager.activeSessions).toBe(0);
+  });
+
+  it('should close the connection when the server exits', async () => {
+    const { manager, server, connection } = await openSession();
+
+    server.emit('exit', 101);
+    await flush();
+
+    expect(connection.close).toHaveBeenCalledWith(1011, 'Language server exited');
+    expect(manager.activeSessions).toBe(0);
+  });
+});
@@ -0,0 +1,497 @@
+import { spawn, type ChildProcess } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { config as appConfig } from '../config';
+import { KILL_GRACE_MS, killProcessGroup } from '../utils/commandExecutor';
+import { FileManager, type ProjectInfo } from '../utils/fileManager';
+import { encodeLspMessage, LspMessageReader } from '../utils/lspFraming';
+import { LIB_RS_PATH, MAX_PROJECT_FILES, PROJECT_FILE_PATTERN } from '../utils/projectFiles';
+import { createSandboxRunner, type SandboxRunner } from '../utils/sandbox';
+import { stringifyToml } from '../utils/toml';
+import { CLOSE_CODES, type WebSocketConnection } from '../utils/webSocket';
+
+/** Root URI the editor uses for project files, e.g. `file:///workspace/src/lib.rs` */
+export const WORKSPACE_URI = 'file:///workspace';
+
+/**
+ * Options of the language server sessions
+ */
+export interface LanguageServerOptions {
+  /** rust-analyzer executable */
+  command: string;
+  /** Directory of crates vendored with `cargo vendor`, used instead of crates.io */
+  vendorDir?: string;
+  /** Maximum number of sessions running at the same time */
+  maxSessions: number;
+  /** Maximum number of sessions a single client may run at the same time */
+  maxSessionsPerClient: number;
+  /** Sessions without a message from the editor for this long are closed */
+  idleTimeoutMs: number;
+  /** Sandbox rust-analyzer runs in (default: the configured sandbox) */
+  sandbox?: SandboxRunner;
+}
+
+/**
+ * Starts the language server process in a process group of its own; replaced in tests
+ */
+export type SpawnLanguageServer = (
+  command: string,
+  args: string[],
+  options: { cwd: string; env: NodeJS.ProcessEnv }
+) => ChildProcess;
+
+/**
+ * Thrown when every language server session is in use
+ */
+export class TooManySessionsError extends Error {
+  constructor(maxSessions: number) {
+    super(`All ${maxSessions} language server sessions are in use`);
+    this.name = 'TooManySessionsError';
+  }
+}
+
+/**
+ * Thrown when a client already runs as many sessions as it may
+ */
+export class ClientSessionLimitError extends Error {
+  constructor(maxSessionsPerClient: number) {
+    super(`A client may run at most ${maxSessionsPerClient} language server sessions`);
+    this.name = 'ClientSessionLimitError';
+  }
+}
+
+/**
+ * A JSON-RPC message, as much of it as the bridge looks at
+ */
+interface LspMessage {
+  id?: number | string;
+  method?: string;
+  params?: {
+    textDocument?: { uri?: string; text?: string };
+    contentChanges?: Array<{ text?: string; range?: unknown }>;
+    items?: unknown[];
+    [key: string]: unknown;
+  };
+}
+
+/** Fields holding document URIs, such as `uri`, `rootUri` and `targetUri` */
+const URI_FIELD_PATTERN = /^(?:uri|[a-z]+Uri)$/;
+
+/**
+ * Rewrites the document URIs of a message, leaving document text and every
+ * other string as sent. `WorkspaceEdit.changes` is keyed by URI, so its keys
+ * are rewritten too.
+ *
+ * @param value - A parsed message or part of one
+ * @param map - Maps one URI
+ * @param key - Field the value was found in
+ */
+function mapUris(value: unknown, map: (uri: string) => string, key?: string): unknown {
+  if (Array.isArray(value)) {
+    return value.map((item) => mapUris(item, map));
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'string' && key !== undefined && URI_FIELD_PATTERN.test(key)
+      ? map(value)
+      : value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [
+      key === 'changes' ? map(field) : field,
+      mapUris(item, map, field),
+    ])
+  );
+}
+
+/**
+ * Swaps the `from` prefix of a URI for `to`, leaving other URIs alone
+ */
+function replaceUriPrefix(uri: string, from: string, to: string): string {
+  return uri === from || uri.startsWith(`${from}/`) ? to + uri.slice(from.length) : uri;
+}
+
+/**
+ * rust-analyzer settings for sessions. `cargo check` on save is off since the
+ * editor never saves; diagnostics come from rust-analyzer's own analysis,
+ * which needs build scripts and proc macros for soroban-sdk's attributes.
+ * Both run crate code, so they are only enabled inside a sandbox.
+ *
+ * @param sandboxed - Whether rust-analyzer runs isolated from the host
+ */
+function serverSettings(sandboxed: boolean) {
+  return {
+    checkOnSave: false,
+    cargo: { buildScripts: { enable: sandboxed } },
+    procMacro: { enable: sandboxed },
+  };
+}
+
+const defaultSandbox = createSandboxRunner(appConfig.sandbox.runner, appConfig.sandbox.limits);
+
+/**
+ * One editor connected to its own rust-analyzer process and project
+ */
+class LanguageServerSession {
+  private process?: ChildProcess;
+  private project?: ProjectInfo;
+  /** Messages from the editor received before the server started */
+  private pending: string[] = [];
+  /** Project files written to disk, by path */
+  private mirrored = new Set<string>();
+  /** Keeps file writes in the order the editor sent them */
+  private writes: Promise<void> = Promise.resolve();
+  /** IDs of the server's requests awaiting a response from the editor */
+  private editorRequests = new Set<number | string>();
+  private readonly sandbox: SandboxRunner;
+  private idleTimer?: NodeJS.Timeout;
+  private disposed = false;
+
+  constructor(
+    private readonly connection: WebSocketConnection,
+    private readonly options: LanguageServerOptions,
+    private readonly spawnServer: SpawnLanguageServer,
+    private readonly onDispose: () => void
+  ) {
+    this.sandbox = options.sandbox ?? defaultSandbox;
+    connection.on('message', (text) => this.fromEditor(text));
+    connection.on('close', () => void this.dispose());
+    this.resetIdleTimer();
+  }
+
+  /**
+   * Creates the project and starts rust-analyzer in it
+   */
+  async start(): Promise<void> {
+    try {
+      this.project = await FileManager.createProject({ code: '' }, appConfig.dependencies);
+      this.mirrored.add(LIB_RS_PATH);
+      if (this.options.vendorDir) {
+        await this.writeVendorConfig(this.options.vendorDir);
+      }
+    } catch {
+      this.connection.close(CLOSE_CODES.internalError, 'Could not create the project');
+      return;
+    }
+    if (this.disposed) {
+      await this.cleanupProject();
+      return;
+    }
+
+    const { command, args, env } = this.sandbox.wrap(
+      this.options.command,
+      [],
+      // Dependencies are never fetched; they come from the vendor directory
+      { cwd: this.project.projectPath, env: { CARGO_NET_OFFLINE: 'true' } },
+      this.options.vendorDir ? [this.options.vendorDir] : []
+    );
+    const child = this.spawnServer(command, args, {
+      cwd: this.project.projectPath,
+      env: { ...process.env, ...env },
+    });
+    this.process = child;
+
+    const reader = new LspMessageReader();
+    child.stdout?.on('data', (chunk: Buffer) => {
+      try {
+        for (const message of reader.push(chunk)) {
+          this.fromServer(message);
+        }
+      } catch {
+        this.connection.close(CLOSE_CODES.internalError, 'Invalid language server output');
+      }
+    });
+    // Logs are not forwarded, but must be read so the server never blocks on them
+    child.stderr?.resume();
+    child.stdin?.on('error', () => undefined);
+    child.on('error', () => {
+      this.connection.close(CLOSE_CODES.internalError, 'Language server unavailable');
+    });
+    // The process is kept, so disposing still stops what it left running in its group
+    child.on('exit', () => {
+      this.connection.close(CLOSE_CODES.internalError, 'Language server exited');
+    });
+
+    for (const text of this.pending.splice(0)) {
+      this.fromEditor(text);
+    }
+  }
+
+  /**
+   * Stops the server and removes the project
+   */
+  async dispose(): Promise<void> {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+    clearTimeout(this.idleTimer);
+    this.connection.close(CLOSE_CODES.goingAway, 'Session closed');
+    this.stopServer();
+    this.onDispose();
+    await this.writes;
+    await this.cleanupProject();
+  }
+
+  private fromEditor(text: string): void {
+    if (this.disposed) {
+      return;
+    }
+    this.resetIdleTimer();
+    if (!this.process) {
+      this.pending.push(text);
+      return;
+    }
+
+    let message: LspMessage;
+    try {
+      message = JSON.parse(text) as LspMessage;
+    } catch {
+      this.connection.close(CLOSE_CODES.unsupportedData, 'Messages must be JSON');
+      return;
+    }
+
+    if (!this.isAllowed(message)) {
+      return;
+    }
+    this.mirror(message);
+    const forwarded =
+      message.method === 'initialize' ? this.initialize(message) : this.toServer(message);
+    this.process.stdin?.write(encodeLspMessage(JSON.stringify(forwarded)));
+  }
+
+  /**
+   * Answers the server's configuration requests itself and passes every
+   * other message on to the editor
+   */
+  private fromServer(text: string): void {
+    const message = JSON.parse(text) as LspMessage;
+    if (message.id !== undefined && message.method === 'workspace/configuration') {
+      const settings = serverSettings(this.sandbox.isolatesHost);
+      const result = (message.params?.items ?? []).map(() => settings);
+      this.process?.stdin?.write(
+        encodeLspMessage(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }))
+      );
+      return;
+    }
+    if (message.id !== undefined && message.method !== undefined) {
+      this.editorRequests.add(message.id);
+    }
+    this.connection.send(JSON.stringify(this.toEditor(message)));
+  }
+
+  /**
+   * Settings could make rust-analyzer run arbitrary commands (e.g.
+   * `cargo.buildScripts.overrideCommand`), so the editor cannot change them,
+   * and may only answer requests the server sent to it
+   */
+  private isAllowed(message: LspMessage): boolean {
+    if (message.method === 'workspace/didChangeConfiguration') {
+      return false;
+    }
+    if (message.method === undefined) {
+      return message.id !== undefined && this.editorRequests.delete(message.id);
+    }
+    return true;
+  }
+
+  /**
+   * Points the server at the project instead of the editor's workspace
+   */
+  private initialize(message: LspMessage): LspMessage {
+    const rootUri = `file://${this.project?.projectPath}`;
+    const initialized = this.toServer(message);
+    initialized.params = {
+      ...initialized.params,
+      rootUri,
+      rootPath: this.project?.projectPath,
+      workspaceFolders: [{ uri: rootUri, name: 'workspace' }],
+      initializationOptions: serverSettings(this.sandbox.isolatesHost),
+    };
+    return initialized;
+  }
+
+  /**
+   * Writes opened and changed documents to the project so cargo sees the
+   * same module tree as the editor. Changes must be sent as full text.
+   */
+  private mirror(message: LspMessage): void {
+    const uri = message.params?.textDocument?.uri;
+    if (!this.project || !uri?.startsWith(`${WORKSPACE_URI}/`)) {
+      return;
+    }
+    const path = uri.slice(WORKSPACE_URI.length + 1);
+    if (!PROJECT_FILE_PATTERN.test(path)) {
+      return;
+    }
+
+    const filePath = join(this.project.projectPath, path);
+    let write: (() => Promise<void>) | undefined;
+    if (message.method === 'textDocument/didOpen' || message.method === 'textDocument/didChange') {
+      const change = message.params?.contentChanges?.at(-1);
+      const text = message.params?.textDocument?.text ?? (change?.range ? undefined : change?.text);
+      if (
+        text === undefined ||
+        (!this.mirrored.has(path) && this.mirrored.size >= MAX_PROJECT_FILES)
+      ) {
+        return;
+      }
+      this.mirrored.add(path);
+      write = async () => {
+        await fs.mkdir(dirname(filePath), { recursive: true });
+        await FileManager.writeFile(filePath, text);
+      };
+    } else if (message.method === 'textDocument/didClose' && path !== LIB_RS_PATH) {
+      // The editor only closes documents when their file is deleted
+      this.mirrored.delete(path);
+      write = () => fs.rm(filePath, { force: true });
+    }
+
+    if (write) {
+      this.writes = this.writes.then(write).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Maps the editor's workspace URIs to the project directory
+   */
+  private toServer(message: LspMessage): LspMessage {
+    const projectUri = `file://${this.project?.projectPath}`;
+    return mapUris(message, (uri) =>
+      replaceUriPrefix(uri, WORKSPACE_URI, projectUri)
+    ) as LspMessage;
+  }
+
+  /**
+   * Maps project URIs in server messages back to the editor's workspace
+   */
+  private toEditor(message: LspMessage): LspMessage {
+    const projectUri = `file://${this.project?.projectPath}`;
+    return mapUris(message, (uri) =>
+      replaceUriPrefix(uri, projectUri, WORKSPACE_URI)
+    ) as LspMessage;
+  }
+
+  /**
+   * Stops rust-analyzer and the processes it started, such as the proc
+   * macro server, which share its process group
+   */
+  private stopServer(): void {
+    const child = this.process;
+    if (!child) {
+      return;
+    }
+    killProcessGroup(child, 'SIGTERM');
+    const killTimer = setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        killProcessGroup(child, 'SIGKILL');
+      }
+    }, KILL_GRACE_MS);
+    killTimer.unref();
+  }
+
+  private async writeVendorConfig(vendorDir: string): Promise<void> {
+    const projectPath = this.project?.projectPath as string;
+    await fs.mkdir(join(projectPath, '.cargo'), { recursive: true });
+    await FileManager.writeFile(
+      join(projectPath, '.cargo', 'config.toml'),
+      stringifyToml({
+        source: {
+          'crates-io': { 'replace-with': 'vendored-sources' },
+          'vendored-sources': { directory: vendorDir },
+        },
+      })
+    );
+  }
+
+  private resetIdleTimer(): void {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.connection.close(CLOSE_CODES.goingAway, 'Session idle');
+    }, this.options.idleTimeoutMs);
+    this.idleTimer.unref();
+  }
+
+  private async cleanupProject(): Promise<void> {
+    try {
+      await this.project?.cleanup();
+    } catch {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Runs a rust-analyzer session per connected editor. Each session gets a
+ * project of its own, so editors never see each other's files, and ends
+ * when the editor disconnects or stays idle.
+ */
+export class LanguageServerManager {
+  /** Open sessions and the client each belongs to */
+  private readonly sessions = new Map<LanguageServerSession, string>();
+
+  constructor(
+    private readonly options: LanguageServerOptions,
+    private readonly spawnServer: SpawnLanguageServer = (command, args, options) =>
+      spawn(command, args, { ...options, stdio: 'pipe', detached: true })
+  ) {}
+
+  /** Number of open sessions */
+  get activeSessions(): number {
+    return this.sessions.size;
+  }
+
+  /**
+   * Whether another session can be opened
+   */
+  hasCapacity(): boolean {
+    return this.sessions.size < this.options.maxSessions;
+  }
+
+  /**
+   * Whether a client may open another session
+   *
+   * @param client - Client ID, see `clientIdOf`
+   */
+  hasClientCapacity(client: string): boolean {
+    const open = [...this.sessions.values()].filter((owner) => owner === client).length;
+    return open < this.options.maxSessionsPerClient;
+  }
+
+  /**
+   * Starts a session for a connected editor. The connection carries
+   * JSON-RPC messages, one per WebSocket message.
+   *
+   * @param connection - WebSocket of the editor
+   * @param client - Client ID the session counts against
+   * @throws TooManySessionsError if every session is in use
+   * @throws ClientSessionLimitError if the client runs as many sessions as it may
+   */
+  async open(connection: WebSocketConnection, client: string): Promise<void> {
+    if (!this.hasCapacity()) {
+      throw new TooManySessionsError(this.options.maxSessions);
+    }
+    if (!this.hasClientCapacity(client)) {
+      throw new ClientSessionLimitError(this.options.maxSessionsPerClient);
+    }
+    const session: LanguageServerSession = new LanguageServerSession(
+      connection,
+      this.options,
+      this.spawnServer,
+      () => this.sessions.delete(session)
+    );
+    this.sessions.set(session, client);
+    await session.start();
+  }
+
+  /**
+   * Ends every session (useful for shutdown)
+   */
+  async closeAll(): Promise<void> {
+    await Promise.all(Array.from(this.sessions.keys()).map((session) => session.dispose()));
+  }
+}
+
+/**
+ * Shared sessions used by the HTTP server
+ */
+export const languageServers = new LanguageServerManager(appConfig.languageServer);
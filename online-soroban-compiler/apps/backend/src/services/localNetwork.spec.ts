@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import { LocalNetwork, DeploymentNotFoundError, NetworkCommandError } from './localNetwork';
+import type { CommandResult, executeCommand } from '../utils/commandExecutor';
+import { InvalidInvocationError } from '../utils/invokeArgs';
+import { helloWorldContract } from '../utils/__fixtures__/wasm';
+
+const CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+
+const ok = (stdout = '', stderr = ''): CommandResult => ({ exitCode: 0, stdout, stderr });
+
+describe('LocalNetwork', () => {
+  let execute: jest.MockedFunction<typeof executeCommand>;
+  let network: LocalNetwork;
+
+  beforeEach(() => {
+    execute = jest.fn<typeof executeCommand>();
+    network = new LocalNetwork({
+      rpcUrl: 'http://localhost:8000/rpc',
+      networkPassphrase: 'Standalone Network ; February 2017',
+      sourceAccount: 'ide',
+      timeoutMs: 1000,
+      maxDeployments: 2,
+      execute,
+    });
+  });
+
+  it('should create the source account once and deploy the wasm', async () => {
+    execute.mockImplementation(async (_command, args = []) => {
+      if (args[0] === 'keys') {
+        return args[1] === 'address' ? { exitCode: 1, stdout: '', stderr: 'not found' } : ok();
+      }
+      return ok(`${CONTRACT_ID}\n`);
+    });
+
+    const deployment = await network.deploy(helloWorldContract());
+    const redeployment = await network.deploy(helloWorldContract(), 'alice');
+
+    expect(deployment).toEqual({
+      contractId: CONTRACT_ID,
+      wasmHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      functions: [
+        expect.objectContaining({ name: 'hello', signature: 'hello(to: Symbol) -> Vec<Symbol>' }),
+      ],
+      deployedAt: expect.any(String),
+    });
+    const commands = execute.mock.calls.map(([, args = []]) => args.slice(0, 2).join(' '));
+    expect(commands).toEqual([
+      'keys address',
+      'keys generate',
+      'contract deploy',
+      'contract deploy',
+    ]);
+    expect(execute.mock.calls[1]?.[1]).toEqual([
+      'keys',
+      'generate',
+      'ide',
+      '--fund',
+      '--rpc-url',
+      'http://localhost:8000/rpc',
+      '--network-passphrase',
+      'Standalone Network ; February 2017',
+    ]);
+    expect(redeployment.owner).toBe('alice');
+    expect(network.get(CONTRACT_ID)).toEqual(redeployment);
+  });
+
+  it('should report failed deployments and retry the account setup', async () => {
+    execute.mockResolvedValueOnce({ exitCode: 1, stdout: '', stderr: 'no such key' });
+    execute.mockResolvedValueOnce({ exitCode: 1, stdout: '', stderr: 'connection refused' });
+
+    await expect(network.deploy(helloWorldContract())).rejects.toThrow(NetworkCommandError);
+
+    execute.mockResolvedValueOnce(ok('GABC'));
+    execute.mockResolvedValueOnce({ exitCode: 1, stdout: '', stderr: 'insufficient balance' });
+
+    await expect(network.deploy(helloWorldContract())).rejects.toMatchObject({
+      message: 'Could not deploy the contract on the local network',
+      output: 'insufficient balance',
+    });
+  });
+
+  it('should invoke functions with arguments checked against the spec', async () => {
+    execute.mockResolvedValueOnce(ok('GABC'));
+    execute.mockResolvedValueOnce(ok(CONTRACT_ID));
+    await network.deploy(helloWorldContract());
+
+    execute.mockResolvedValueOnce(
+      ok('["Hello","Dev"]', 'Cpu limit: 100000000; used: 1200\nMem limit: 41943040; used: 300')
+    );
+    const invocation = await network.invoke(CONTRACT_ID, 'hello', { to: 'Dev' });
+
+    expect(execute.mock.calls[2]?.[1]).toEqual(
+      expect.arrayContaining(['invoke', '--id', CONTRACT_ID, '--cost', '--', 'hello', '--to=Dev'])
+    );
+    expect(invocation).toEqual({
+      function: 'hello',
+      success: true,
+      returnValue: ['Hello', 'Dev'],
+      events: [],
+      logs: [],
+      cost: { cpuInstructions: 1200, memoryBytes: 300 },
+      duration: expect.any(Number),
+    });
+
+    await expect(network.invoke(CONTRACT_ID, 'transfer', {})).rejects.toThrow(
+      InvalidInvocationError
+    );
+    await expect(network.invoke(CONTRACT_ID, 'hello', {})).rejects.toThrow('missing argument "to"');
+  });
+
+  it('should report contract errors as failed invocations', async () => {
+    execute.mockResolvedValueOnce(ok('GABC'));
+    execute.mockResolvedValueOnce(ok(CONTRACT_ID));
+    await network.deploy(helloWorldContract());
+
+    execute.mockResolvedValueOnce({
+      exitCode: 1,
+      stdout: '',
+      stderr: 'error: HostError: Error(Contract, #1)',
+    });
+
+    await expect(network.invoke(CONTRACT_ID, 'hello', { to: 'Dev' })).resolves.toMatchObject({
+      success: false,
+      returnValue: null,
+      error: 'error: HostError: Error(Contract, #1)',
+    });
+  });
+
+  it('should only invoke contracts it deployed and forget the oldest', async () => {
+    const ids = ['A', 'B', 'C'].map((letter) => `C${letter.repeat(55)}`);
+    execute.mockResolvedValueOnce(ok('GABC'));
+    for (const id of ids) {
+      execute.mockResolvedValueOnce(ok(id));
+      await network.deploy(helloWorldContract());
+    }
+
+    expect(network.get(ids[0] as string)).toBeUndefined();
+    expect(network.get(ids[2] as string)).toBeDefined();
+    await expect(network.invoke(ids[0] as string, 'hello', { to: 'Dev' })).rejects.toThrow(
+      DeploymentNotFoundError
+    );
+  });
+});
@@ -0,0 +1,263 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { config as appConfig } from '../config';
+import { executeCommand, type CommandResult } from '../utils/commandExecutor';
+import {
+  InvalidInvocationError,
+  parseInvokeOutput,
+  toInvokeArgs,
+  type InvokeOutput,
+} from '../utils/invokeArgs';
+import { readContractInterface, type ContractFunction } from './artifacts';
+
+/**
+ * Options for the local network client
+ */
+export interface LocalNetworkOptions {
+  /** RPC endpoint of the network contracts are deployed to */
+  rpcUrl: string;
+  /** Passphrase identifying the network */
+  networkPassphrase: string;
+  /** stellar CLI identity that deploys and invokes; generated and funded on first use */
+  sourceAccount: string;
+  /** Timeout for each stellar CLI command in milliseconds */
+  timeoutMs: number;
+  /** Maximum number of deployments remembered before the oldest are forgotten */
+  maxDeployments: number;
+  /** Command runner (injectable for tests; defaults to executeCommand) */
+  execute?: typeof executeCommand;
+}
+
+/**
+ * A contract deployed to the local network
+ */
+export interface Deployment {
+  /** Contract address (`C...`) */
+  contractId: string;
+  /** Hex encoded SHA-256 of the deployed wasm */
+  wasmHash: string;
+  /** Functions that can be invoked, read from the contract spec */
+  functions: ContractFunction[];
+  /** ISO timestamp of the deployment */
+  deployedAt: string;
+  /** ID of the user who deployed the contract; anonymous deployments have none */
+  owner?: string;
+}
+
+/**
+ * Result of invoking a contract function
+ */
+export interface Invocation extends InvokeOutput {
+  /** Name of the invoked function */
+  function: string;
+  /** Whether the invocation succeeded; false if the contract panicked or returned an error */
+  success: boolean;
+  /** Error reported by the CLI when the invocation failed */
+  error?: string;
+  /** Duration of the invocation in milliseconds */
+  duration: number;
+}
+
+/**
+ * Thrown when invoking a contract that was not deployed through this client
+ */
+export class DeploymentNotFoundError extends Error {
+  constructor(contractId: string) {
+    super(`Contract ${contractId} was not deployed here`);
+    this.name = 'DeploymentNotFoundError';
+  }
+}
+
+/**
+ * Thrown when the stellar CLI cannot reach the network or rejects a deployment
+ */
+export class NetworkCommandError extends Error {
+  constructor(
+    action: string,
+    readonly output: string
+  ) {
+    super(`Could not ${action} on the local network`);
+    this.name = 'NetworkCommandError';
+  }
+}
+
+/** Contract strkeys as printed by `stellar contract deploy` */
+const CONTRACT_ID_PATTERN = /\bC[A-Z2-7]{55}\b/;
+
+/**
+ * Deploys compiled contracts to a local Soroban network, such as a standalone
+ * `stellar container` network, and invokes them through the stellar CLI.
+ * Only contracts deployed through the client can be invoked, so their
+ * functions can be checked against the contract spec first.
+ */
+export class LocalNetwork {
+  private readonly deployments = new Map<string, Deployment>();
+  private sourceAccountReady?: Promise<void>;
+
+  constructor(private readonly options: LocalNetworkOptions) {}
+
+  /**
+   * Uploads and instantiates a contract
+   *
+   * @param wasm - Contract wasm bytes
+   * @param owner - ID of the user deploying the contract
+   * @throws InvalidWasmError or InvalidContractSpecError if the contract cannot be read
+   * @throws NetworkCommandError if the deployment fails
+   */
+  async deploy(wasm: Uint8Array, owner?: string): Promise<Deployment> {
+    const { functions } = readContractInterface(wasm);
+    await this.ensureSourceAccount();
+
+    const dir = await fs.mkdtemp(join(tmpdir(), 'soroban-deploy-'));
+    try {
+      const wasmPath = join(dir, 'contract.wasm');
+      await fs.writeFile(wasmPath, wasm);
+
+      const result = await this.stellar([
+        'contract',
+        'deploy',
+        '--wasm',
+        wasmPath,
+        ...this.sourceArgs(),
+      ]);
+      const contractId = CONTRACT_ID_PATTERN.exec(result.stdout)?.[0];
+      if (result.exitCode !== 0 || !contractId) {
+        throw new NetworkCommandError('deploy the contract', result.stderr || result.stdout);
+      }
+
+      const deployment: Deployment = {
+        contractId,
+        wasmHash: createHash('sha256').update(wasm).digest('hex'),
+        functions,
+        deployedAt: new Date().toISOString(),
+        ...(owner ? { owner } : {}),
+      };
+      this.remember(deployment);
+      return deployment;
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Looks up a deployment
+   *
+   * @returns The deployment, or undefined if the contract was not deployed here
+   */
+  get(contractId: string): Deployment | undefined {
+    return this.deployments.get(contractId);
+  }
+
+  /**
+   * Calls a function of a deployed contract. State changes are submitted as a
+   * transaction; read-only calls are only simulated.
+   *
+   * @param args - Argument values keyed by input name
+   * @throws DeploymentNotFoundError if the contract was not deployed here
+   * @throws InvalidInvocationError if the function or its arguments do not match the spec
+   */
+  async invoke(
+    contractId: string,
+    functionName: string,
+    args: Record<string, unknown>
+  ): Promise<Invocation> {
+    const deployment = this.deployments.get(contractId);
+    if (!deployment) {
+      throw new DeploymentNotFoundError(contractId);
+    }
+    const fn = deployment.functions.find((candidate) => candidate.name === functionName);
+    if (!fn) {
+      throw new InvalidInvocationError(`unknown function ${JSON.stringify(functionName)}`);
+    }
+    const invokeArgs = toInvokeArgs(fn.inputs, args);
+
+    const startTime = Date.now();
+    const result = await this.stellar([
+      'contract',
+      'invoke',
+      '--id',
+      contractId,
+      ...this.sourceArgs(),
+      // Prints the resource budget to stderr
+      '--cost',
+      '--',
+      fn.name,
+      ...invokeArgs,
+    ]);
+    const success = result.exitCode === 0;
+
+    return {
+      function: fn.name,
+      success,
+      ...parseInvokeOutput(success ? result.stdout : '', result.stderr),
+      ...(success ? {} : { error: result.stderr || result.stdout || 'Invocation failed' }),
+      duration: Date.now() - startTime,
+    };
+  }
+
+  private networkArgs(): string[] {
+    return [
+      '--rpc-url',
+      this.options.rpcUrl,
+      '--network-passphrase',
+      this.options.networkPassphrase,
+    ];
+  }
+
+  private sourceArgs(): string[] {
+    return ['--source-account', this.options.sourceAccount, ...this.networkArgs()];
+  }
+
+  private stellar(args: string[]): Promise<CommandResult> {
+    const execute = this.options.execute ?? executeCommand;
+    return execute('stellar', args, { timeout: this.options.timeoutMs });
+  }
+
+  /**
+   * Creates and funds the source account once; a failed attempt is retried
+   * on the next deployment
+   */
+  private ensureSourceAccount(): Promise<void> {
+    this.sourceAccountReady ??= this.createSourceAccount().catch((error: unknown) => {
+      this.sourceAccountReady = undefined;
+      throw error;
+    });
+    return this.sourceAccountReady;
+  }
+
+  private async createSourceAccount(): Promise<void> {
+    const { sourceAccount } = this.options;
+    const existing = await this.stellar(['keys', 'address', sourceAccount]);
+    if (existing.exitCode === 0) {
+      return;
+    }
+
+    const generated = await this.stellar([
+      'keys',
+      'generate',
+      sourceAccount,
+      '--fund',
+      ...this.networkArgs(),
+    ]);
+    if (generated.exitCode !== 0) {
+      throw new NetworkCommandError('create the source account', generated.stderr);
+    }
+  }
+
+  private remember(deployment: Deployment): void {
+    this.deployments.set(deployment.contractId, deployment);
+    for (const contractId of this.deployments.keys()) {
+      if (this.deployments.size <= this.options.maxDeployments) {
+        break;
+      }
+      this.deployments.delete(contractId);
+    }
+  }
+}
+
+/**
+ * Shared local network client used by the API
+ */
+export const localNetwork = new LocalNetwork(appConfig.network);
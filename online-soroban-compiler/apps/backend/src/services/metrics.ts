@@ -0,0 +1,113 @@
+import { MetricsRegistry } from '../utils/metrics';
+import type { BuildKind } from './buildRunner';
+
+/**
+ * Metrics served at `/metrics`
+ */
+export const metrics = new MetricsRegistry();
+
+/** Upper bounds in seconds of the build duration buckets; builds time out after 5 minutes */
+const BUILD_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 180, 300];
+
+/** Upper bounds in seconds of the HTTP request duration buckets */
+const REQUEST_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * How a build ended: `failed` builds ran to completion with compiler or test
+ * errors, `errored` builds were stopped by an internal error
+ */
+export type BuildResult = 'succeeded' | 'failed' | 'timed_out' | 'errored';
+
+export const buildMetrics = {
+  builds: metrics.counter({
+    name: 'soroban_builds_total',
+    help: 'Compile, test and lint builds, by kind and result; cached builds were served from the build cache',
+    labelNames: ['kind', 'result', 'cached'],
+  }),
+  duration: metrics.histogram({
+    name: 'soroban_build_duration_seconds',
+    help: 'Time builds took, including cached ones',
+    labelNames: ['kind', 'result'],
+    buckets: BUILD_DURATION_BUCKETS,
+  }),
+  timeouts: metrics.counter({
+    name: 'soroban_build_timeouts_total',
+    help: 'Builds stopped because a build step exceeded its timeout',
+    labelNames: ['kind'],
+  }),
+};
+
+export const serviceMetrics = {
+  queuedJobs: metrics.gauge({
+    name: 'soroban_job_queue_depth',
+    help: 'Jobs waiting for a worker',
+  }),
+  runningJobs: metrics.gauge({
+    name: 'soroban_jobs_running',
+    help: 'Jobs being built',
+  }),
+  activeProjects: metrics.gauge({
+    name: 'soroban_active_projects',
+    help: 'Temporary projects created by FileManager and not cleaned up yet',
+  }),
+  tempProjects: metrics.gauge({
+    name: 'soroban_temp_projects',
+    help: 'Project directories in the temp directory at the last janitor sweep',
+  }),
+  tempProjectBytes: metrics.gauge({
+    name: 'soroban_temp_project_bytes',
+    help: 'Size of the project directories in the temp directory at the last janitor sweep',
+  }),
+  janitorSweeps: metrics.counter({
+    name: 'soroban_temp_janitor_sweeps_total',
+    help: 'Sweeps of the temporary project janitor',
+  }),
+  janitorRemoved: metrics.counter({
+    name: 'soroban_temp_janitor_removed_total',
+    help: 'Stale temporary projects removed, by reason',
+    labelNames: ['reason'],
+  }),
+  janitorFreedBytes: metrics.counter({
+    name: 'soroban_temp_janitor_freed_bytes_total',
+    help: 'Bytes freed by removing stale temporary projects',
+  }),
+  janitorErrors: metrics.counter({
+    name: 'soroban_temp_janitor_errors_total',
+    help: 'Stale temporary projects that could not be removed',
+  }),
+};
+
+export const httpMetrics = {
+  requests: metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+  }),
+  duration: metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time taken to respond to HTTP requests',
+    labelNames: ['method', 'route'],
+    buckets: REQUEST_DURATION_BUCKETS,
+  }),
+};
+
+/**
+ * Counts a finished build
+ *
+ * @param kind - Kind of build
+ * @param result - How it ended
+ * @param durationMs - How long it took
+ * @param cached - Whether the result came from the build cache
+ */
+export function recordBuild(
+  kind: BuildKind,
+  result: BuildResult,
+  durationMs: number,
+  cached = false
+): void {
+  buildMetrics.builds.inc({ kind, result, cached: String(cached) });
+  buildMetrics.duration.observe({ kind, result }, durationMs / 1000);
+  if (result === 'timed_out') {
+    buildMetrics.timeouts.inc({ kind });
+  }
+}
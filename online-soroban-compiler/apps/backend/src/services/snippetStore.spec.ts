@@ -0,0 +1,107 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FileSnippetStore, SNIPPET_ID_PATTERN, SnippetStoreFullError } from './snippetStore';
+import { InvalidProjectFilesError } from '../utils/projectFiles';
+
+describe('FileSnippetStore', () => {
+  let dir: string;
+  let store: FileSnippetStore;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'snippets-'));
+    store = new FileSnippetStore({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should save code as src/lib.rs under a short ID', async () => {
+    const snippet = await store.create({ code: 'pub fn hello() {}', sdkVersion: '22.0.0' });
+
+    expect(snippet.id).toMatch(SNIPPET_ID_PATTERN);
+    expect(snippet.files).toEqual({ 'src/lib.rs': 'pub fn hello() {}' });
+    expect(await store.get(snippet.id)).toEqual(snippet);
+    expect(await fs.readdir(dir)).toEqual([`${snippet.id}.json`]);
+  });
+
+  it('should give every snippet its own ID', async () => {
+    const ids = new Set<string>();
+    for (let i = 0; i < 20; i++) {
+      ids.add((await store.create({ code: 'fn a() {}' })).id);
+    }
+
+    expect(ids.size).toBe(20);
+  });
+
+  it('should reject invalid file trees', async () => {
+    await expect(store.create({ files: { 'src/storage.rs': '' } })).rejects.toThrow(
+      InvalidProjectFilesError
+    );
+  });
+
+  it('should return undefined for unknown and malformed IDs', async () => {
+    expect(await store.get('AAAAAAAAAA')).toBeUndefined();
+    expect(await store.get('../../etc/passwd')).toBeUndefined();
+  });
+
+  it('should refuse new snippets once the maximum is stored', async () => {
+    store = new FileSnippetStore({ dir, maxSnippets: 2 });
+    const first = await store.create({ code: 'fn a() {}' }, undefined, 'alice');
+    await store.create({ code: 'fn b() {}' });
+
+    await expect(store.create({ code: 'fn c() {}' })).rejects.toThrow(SnippetStoreFullError);
+    await expect(store.fork(first.id)).rejects.toThrow('The snippet store is full (2 snippets)');
+    // Owner indexes and other files do not count
+    expect(await fs.readdir(dir)).toHaveLength(3);
+  });
+
+  describe('fork', () => {
+    it('should copy a snippet and remember its origin', async () => {
+      const original = await store.create({
+        files: { 'src/lib.rs': 'mod a;', 'src/a.rs': '' },
+        dependencies: { 'soroban-token-sdk': '22.0.1' },
+      });
+
+      const fork = await store.fork(original.id);
+
+      expect(fork).toEqual({
+        ...original,
+        id: expect.stringMatching(SNIPPET_ID_PATTERN),
+        forkedFrom: original.id,
+        createdAt: expect.any(String),
+      });
+      expect(fork?.id).not.toBe(original.id);
+    });
+
+    it('should replace the sources and keep the dependencies', async () => {
+      const original = await store.create({ code: 'fn a() {}', sdkVersion: '21.7.7' });
+
+      const fork = await store.fork(original.id, { code: 'fn b() {}' });
+
+      expect(fork?.files).toEqual({ 'src/lib.rs': 'fn b() {}' });
+      expect(fork?.sdkVersion).toBe('21.7.7');
+      expect(await store.get(original.id)).toEqual(original);
+    });
+
+    it('should return undefined for unknown snippets', async () => {
+      expect(await store.fork('AAAAAAAAAA')).toBeUndefined();
+    });
+  });
+
+  describe('list', () => {
+    it("should list a user's snippets and forks, newest first", async () => {
+      const first = await store.create({ code: 'fn a() {}' }, undefined, 'alice');
+      await store.create({ code: 'fn b() {}' }, undefined, 'bob');
+      await store.create({ code: 'fn c() {}' });
+      // Keep the timestamps apart so the order is deterministic
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      const fork = await store.fork(first.id, { code: 'fn d() {}' }, 'alice');
+
+      expect(first.owner).toBe('alice');
+      expect((await store.list('alice')).map(({ id }) => id)).toEqual([fork?.id, first.id]);
+      expect(await store.list('carol')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import { promises as fs } from 'node:fs';
+import { join } from 'node:path';
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { config as appConfig } from '../config';
+import { resolveProjectFiles, type ProjectFiles } from '../utils/projectFiles';
+
+/**
+ * Contents of a snippet as submitted by the editor
+ */
+export interface SnippetContent {
+  /** Source of `src/lib.rs` for single-file snippets */
+  code?: string;
+  /** Source files keyed by relative path */
+  files?: ProjectFiles;
+  /** Additional crates mapped to version requirements */
+  dependencies?: Record<string, string>;
+  /** soroban-sdk version the snippet builds against */
+  sdkVersion?: string;
+}
+
+/**
+ * A stored snippet. Snippets never change; editing a shared snippet forks it.
+ */
+export interface Snippet {
+  /** Short ID used in permalinks */
+  id: string;
+  /** Source files keyed by relative path, always including `src/lib.rs` */
+  files: ProjectFiles;
+  dependencies?: Record<string, string>;
+  sdkVersion?: string;
+  /** ID of the snippet this one was forked from */
+  forkedFrom?: string;
+  /** ID of the user who saved the snippet; anonymous snippets have none */
+  owner?: string;
+  /** ISO timestamp of when the snippet was saved */
+  createdAt: string;
+}
+
+/**
+ * Persists snippets under short IDs
+ */
+export interface SnippetStore {
+  /**
+   * Saves a new snippet
+   *
+   * @param owner - ID of the user saving the snippet
+   * @throws InvalidProjectFilesError if the file tree is invalid
+   * @throws SnippetStoreFullError if the store holds its maximum number of snippets
+   */
+  create(content: SnippetContent, forkedFrom?: string, owner?: string): Promise<Snippet>;
+
+  /**
+   * Looks up a snippet
+   *
+   * @returns The snippet, or undefined if the ID is unknown
+   */
+  get(id: string): Promise<Snippet | undefined>;
+
+  /**
+   * Saves a copy of a snippet, optionally with new contents
+   *
+   * @param owner - ID of the user saving the copy
+   * @returns The new snippet, or undefined if the original is unknown
+   * @throws InvalidProjectFilesError if the new file tree is invalid
+   * @throws SnippetStoreFullError if the store holds its maximum number of snippets
+   */
+  fork(id: string, changes?: SnippetContent, owner?: string): Promise<Snippet | undefined>;
+
+  /**
+   * Lists the snippets a user saved, newest first
+   */
+  list(owner: string): Promise<Snippet[]>;
+}
+
+/**
+ * Options for the file-based snippet store
+ */
+export interface FileSnippetStoreOptions {
+  /** Directory holding one JSON file per snippet */
+  dir: string;
+  /** Most snippets the directory may hold; saving more fails (default: unlimited) */
+  maxSnippets?: number;
+}
+
+/**
+ * Thrown when saving a snippet would exceed the store's capacity
+ */
+export class SnippetStoreFullError extends Error {
+  constructor(maxSnippets: number) {
+    super(`The snippet store is full (${maxSnippets} snippets)`);
+    this.name = 'SnippetStoreFullError';
+  }
+}
+
+/** Characters of snippet IDs, chosen to be URL safe */
+const ID_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/** Length of snippet IDs: 62^10 possible IDs keep collisions and guessing impractical */
+const ID_LENGTH = 10;
+
+/** Snippet IDs as generated by the store */
+export const SNIPPET_ID_PATTERN = /^[0-9A-Za-z]{10}$/;
+
+/**
+ * Generates a random snippet ID
+ */
+function generateId(): string {
+  // Rejection sampling keeps every character equally likely
+  let id = '';
+  while (id.length < ID_LENGTH) {
+    for (const byte of randomBytes(ID_LENGTH * 2)) {
+      if (byte < ID_ALPHABET.length * 4 && id.length < ID_LENGTH) {
+        id += ID_ALPHABET[byte % ID_ALPHABET.length];
+      }
+    }
+  }
+  return id;
+}
+
+/**
+ * Stores snippets as JSON files in a directory. The directory is read on every
+ * lookup, so several backend processes can share it. Each user's snippets are
+ * indexed by empty files named after their IDs in `owners/<user hash>/`.
+ */
+export class FileSnippetStore implements SnippetStore {
+  constructor(private readonly options: FileSnippetStoreOptions) {}
+
+  async create(content: SnippetContent, forkedFrom?: string, owner?: string): Promise<Snippet> {
+    const { dependencies, sdkVersion } = content;
+    const files = resolveProjectFiles(content);
+
+    await fs.mkdir(this.options.dir, { recursive: true });
+    await this.ensureCapacity();
+    for (;;) {
+      const snippet: Snippet = {
+        id: generateId(),
+        files,
+        ...(dependencies ? { dependencies } : {}),
+        ...(sdkVersion ? { sdkVersion } : {}),
+        ...(forkedFrom ? { forkedFrom } : {}),
+        ...(owner ? { owner } : {}),
+        createdAt: new Date().toISOString(),
+      };
+      if (await this.write(snippet)) {
+        if (owner) {
+          const ownerDir = this.ownerDirFor(owner);
+          await fs.mkdir(ownerDir, { recursive: true });
+          await fs.writeFile(join(ownerDir, snippet.id), '');
+        }
+        return snippet;
+      }
+      // The ID is taken; try another one
+    }
+  }
+
+  async get(id: string): Promise<Snippet | undefined> {
+    if (!SNIPPET_ID_PATTERN.test(id)) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(id), 'utf8')) as Snippet;
+    } catch {
+      return undefined;
+    }
+  }
+
+  async fork(
+    id: string,
+    changes: SnippetContent = {},
+    owner?: string
+  ): Promise<Snippet | undefined> {
+    const original = await this.get(id);
+    if (!original) {
+      return undefined;
+    }
+
+    const hasSources = changes.code !== undefined || changes.files !== undefined;
+    return this.create(
+      {
+        ...(hasSources ? { code: changes.code, files: changes.files } : { files: original.files }),
+        dependencies: changes.dependencies ?? original.dependencies,
+        sdkVersion: changes.sdkVersion ?? original.sdkVersion,
+      },
+      original.id,
+      owner
+    );
+  }
+
+  async list(owner: string): Promise<Snippet[]> {
+    let ids: string[];
+    try {
+      ids = await fs.readdir(this.ownerDirFor(owner));
+    } catch {
+      return [];
+    }
+
+    const snippets = await Promise.all(ids.map((id) => this.get(id)));
+    return snippets
+      .filter((snippet): snippet is Snippet => snippet?.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Checks that another snippet fits. Concurrent saves may overshoot the
+   * maximum by a few snippets, which keeps the check free of locks.
+   *
+   * @throws SnippetStoreFullError if the directory holds the maximum number of snippets
+   */
+  private async ensureCapacity(): Promise<void> {
+    const { dir, maxSnippets } = this.options;
+    if (maxSnippets === undefined) {
+      return;
+    }
+
+    const names = await fs.readdir(dir);
+    if (names.filter((name) => name.endsWith('.json')).length >= maxSnippets) {
+      throw new SnippetStoreFullError(maxSnippets);
+    }
+  }
+
+  private pathFor(id: string): string {
+    return join(this.options.dir, `${id}.json`);
+  }
+
+  /**
+   * Index directory of a user; user IDs are hashed as they may contain any character
+   */
+  private ownerDirFor(owner: string): string {
+    const hash = createHash('sha256').update(owner).digest('hex').slice(0, 32);
+    return join(this.options.dir, 'owners', hash);
+  }
+
+  /**
+   * Writes a snippet without replacing an existing one
+   *
+   * @returns Whether the snippet was written; false if its ID is already taken
+   */
+  private async write(snippet: Snippet): Promise<boolean> {
+    const path = this.pathFor(snippet.id);
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(snippet), 'utf8');
+    try {
+      // Hard links fail if the target exists, so a taken ID is never overwritten
+      await fs.link(tempPath, path);
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {
+        // A leftover temp file does not affect lookups
+      });
+    }
+  }
+}
+
+/**
+ * Shared snippet store used by the API
+ */
+export const snippetStore: SnippetStore = new FileSnippetStore(appConfig.snippets);
@@ -0,0 +1,129 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TempJanitor, type TempJanitorOptions } from './tempJanitor';
+
+const MINUTE = 60_000;
+
+describe('TempJanitor', () => {
+  let dir: string;
+  let active: string[];
+
+  /**
+   * Creates a project directory as FileManager names them, holding `size` bytes
+   */
+  async function project(ageMinutes: number, size: number, name = 'soroban-contract') {
+    const createdAt = Date.now() - ageMinutes * MINUTE;
+    const path = join(dir, `${name}-${createdAt}-0123456789abcdef`);
+    await fs.mkdir(join(path, 'src'), { recursive: true });
+    await fs.writeFile(join(path, 'src', 'lib.rs'), 'x'.repeat(size));
+    return path;
+  }
+
+  const exists = (path: string) =>
+    fs.access(path).then(
+      () => true,
+      () => false
+    );
+
+  function janitor(options: Partial<TempJanitorOptions> = {}): TempJanitor {
+    return new TempJanitor({
+      enabled: true,
+      intervalMs: MINUTE,
+      maxAgeMs: 60 * MINUTE,
+      maxTotalBytes: 1000,
+      dir,
+      activeProjects: () => active,
+      ...options,
+    });
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'temp-janitor-'));
+    active = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should remove unused projects older than the age limit', async () => {
+    const stale = await project(90, 100);
+    const fresh = await project(5, 100, 'counter');
+    const inUse = await project(120, 100, 'language-server');
+    const unrelated = join(dir, 'soroban-deploy-abc123');
+    await fs.mkdir(unrelated);
+    active = [inUse];
+
+    const result = await janitor().sweep();
+
+    expect(result).toEqual({
+      removed: { age: 1, size: 0 },
+      freedBytes: 100,
+      projects: 2,
+      projectBytes: 200,
+    });
+    expect(await exists(stale)).toBe(false);
+    expect(await exists(fresh)).toBe(true);
+    expect(await exists(inUse)).toBe(true);
+    expect(await exists(unrelated)).toBe(true);
+  });
+
+  it('should remove the oldest unused projects until the total size is within the limit', async () => {
+    const oldest = await project(30, 400, 'a');
+    const inUse = await project(20, 400, 'b');
+    const older = await project(10, 400, 'c');
+    const newest = await project(1, 400, 'd');
+    active = [inUse];
+
+    const result = await janitor({ maxTotalBytes: 900 }).sweep();
+
+    expect(result.removed).toEqual({ age: 0, size: 2 });
+    expect(result.projectBytes).toBe(800);
+    expect(await exists(oldest)).toBe(false);
+    expect(await exists(older)).toBe(false);
+    expect(await exists(inUse)).toBe(true);
+    expect(await exists(newest)).toBe(true);
+  });
+
+  it('should count what it removed across sweeps', async () => {
+    const instance = janitor();
+    expect(instance.stats()).toEqual({
+      enabled: true,
+      sweeps: 0,
+      removed: { age: 0, size: 0 },
+      freedBytes: 0,
+      errors: 0,
+      projects: 0,
+      projectBytes: 0,
+    });
+
+    await project(90, 100, 'a');
+    await instance.sweep();
+    await project(90, 50, 'b');
+    await project(1, 10, 'c');
+    await instance.sweep();
+
+    expect(instance.stats()).toEqual({
+      enabled: true,
+      sweeps: 2,
+      lastSweepAt: expect.any(String),
+      removed: { age: 2, size: 0 },
+      freedBytes: 150,
+      errors: 0,
+      projects: 1,
+      projectBytes: 10,
+    });
+  });
+
+  it('should find nothing in a missing directory', async () => {
+    const result = await janitor({ dir: join(dir, 'missing') }).sweep();
+
+    expect(result).toEqual({
+      removed: { age: 0, size: 0 },
+      freedBytes: 0,
+      projects: 0,
+      projectBytes: 0,
+    });
+  });
+});
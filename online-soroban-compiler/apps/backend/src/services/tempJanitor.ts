@@ -0,0 +1,236 @@
+import { promises as fs, type Dirent } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { config as appConfig } from '../config';
+import { FileManager, PROJECT_DIR_PATTERN } from '../utils/fileManager';
+
+/**
+ * Options of the temporary project janitor
+ */
+export interface TempJanitorOptions {
+  /** Whether sweeps run periodically once started */
+  enabled: boolean;
+  /** Time between sweeps */
+  intervalMs: number;
+  /** Unused projects older than this are removed */
+  maxAgeMs: number;
+  /** Total size of all projects above which the oldest unused ones are removed */
+  maxTotalBytes: number;
+  /** Directory projects are created in (default: the OS temp directory) */
+  dir?: string;
+  /** Reports the projects builds are using (default: FileManager's) */
+  activeProjects?: () => string[];
+}
+
+/**
+ * Why a project was removed
+ */
+export type RemovalReason = 'age' | 'size';
+
+/**
+ * What one sweep did
+ */
+export interface SweepResult {
+  /** Projects removed, by reason */
+  removed: Record<RemovalReason, number>;
+  /** Bytes freed */
+  freedBytes: number;
+  /** Projects left, including those in use */
+  projects: number;
+  /** Size of the projects left */
+  projectBytes: number;
+}
+
+/**
+ * Counters reported by the admin API
+ */
+export interface JanitorStats {
+  enabled: boolean;
+  /** Sweeps since startup */
+  sweeps: number;
+  /** ISO timestamp of the last sweep */
+  lastSweepAt?: string;
+  /** Projects removed since startup, by reason */
+  removed: Record<RemovalReason, number>;
+  /** Bytes freed since startup */
+  freedBytes: number;
+  /** Projects that could not be removed since startup */
+  errors: number;
+  /** Projects found by the last sweep, including those in use */
+  projects: number;
+  /** Size of those projects */
+  projectBytes: number;
+}
+
+interface ProjectDir {
+  path: string;
+  createdAt: number;
+  size: number;
+}
+
+/**
+ * Adds up the size of the files below a directory without following links
+ */
+async function directorySize(path: string): Promise<number> {
+  let entries: Dirent[];
+  try {
+    entries = await fs.readdir(path, { withFileTypes: true });
+  } catch {
+    // Removed while walking it
+    return 0;
+  }
+
+  const sizes = await Promise.all(
+    entries.map(async (entry) => {
+      const entryPath = join(path, entry.name);
+      if (entry.isDirectory()) {
+        return directorySize(entryPath);
+      }
+      try {
+        return (await fs.lstat(entryPath)).size;
+      } catch {
+        return 0;
+      }
+    })
+  );
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+/**
+ * Removes temporary projects left behind by crashed or killed builds. Projects
+ * builds are still using are never removed; of the others, those older than
+ * the age limit go first, then the oldest until the total size is within its
+ * limit.
+ */
+export class TempJanitor {
+  private timer?: NodeJS.Timeout;
+  private sweeping?: Promise<SweepResult>;
+  private readonly counters: Omit<JanitorStats, 'enabled'> = {
+    sweeps: 0,
+    removed: { age: 0, size: 0 },
+    freedBytes: 0,
+    errors: 0,
+    projects: 0,
+    projectBytes: 0,
+  };
+
+  constructor(private readonly options: TempJanitorOptions) {}
+
+  /**
+   * Sweeps now and then periodically, if enabled
+   */
+  start(): void {
+    if (!this.options.enabled || this.timer) {
+      return;
+    }
+    void this.sweep();
+    this.timer = setInterval(() => void this.sweep(), this.options.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stops periodic sweeps
+   */
+  stop(): void {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
+
+  /**
+   * Removes stale projects. A sweep requested while one is running joins it.
+   */
+  sweep(): Promise<SweepResult> {
+    if (!this.sweeping) {
+      this.sweeping = this.run().finally(() => (this.sweeping = undefined));
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * Reports what the janitor has done since startup
+   */
+  stats(): JanitorStats {
+    return {
+      enabled: this.options.enabled,
+      ...this.counters,
+      removed: { ...this.counters.removed },
+    };
+  }
+
+  private async run(): Promise<SweepResult> {
+    const now = Date.now();
+    const active = new Set(
+      (this.options.activeProjects ?? (() => FileManager.getActiveProjects()))()
+    );
+    const projects = await this.listProjects();
+    const result: SweepResult = {
+      removed: { age: 0, size: 0 },
+      freedBytes: 0,
+      projects: projects.length,
+      projectBytes: projects.reduce((total, project) => total + project.size, 0),
+    };
+
+    const remove = async (project: ProjectDir, reason: RemovalReason): Promise<void> => {
+      try {
+        await fs.rm(project.path, { recursive: true, force: true });
+      } catch {
+        this.counters.errors++;
+        return;
+      }
+      result.removed[reason]++;
+      result.freedBytes += project.size;
+      result.projects--;
+      result.projectBytes -= project.size;
+    };
+
+    // Oldest first, so the size limit removes the oldest projects
+    const unused = projects
+      .filter((project) => !active.has(project.path))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const project of unused) {
+      if (now - project.createdAt > this.options.maxAgeMs) {
+        await remove(project, 'age');
+      } else if (result.projectBytes > this.options.maxTotalBytes) {
+        await remove(project, 'size');
+      }
+    }
+
+    this.counters.sweeps++;
+    this.counters.lastSweepAt = new Date(now).toISOString();
+    this.counters.removed.age += result.removed.age;
+    this.counters.removed.size += result.removed.size;
+    this.counters.freedBytes += result.freedBytes;
+    this.counters.projects = result.projects;
+    this.counters.projectBytes = result.projectBytes;
+    return result;
+  }
+
+  /**
+   * Finds the project directories FileManager created
+   */
+  private async listProjects(): Promise<ProjectDir[]> {
+    const dir = this.options.dir ?? tmpdir();
+    let entries: Dirent[];
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    return Promise.all(
+      entries.flatMap((entry) => {
+        const match = entry.isDirectory() ? PROJECT_DIR_PATTERN.exec(entry.name) : null;
+        if (!match?.[1]) {
+          return [];
+        }
+        const path = join(dir, entry.name);
+        return [directorySize(path).then((size) => ({ path, createdAt: Number(match[1]), size }))];
+      })
+    );
+  }
+}
+
+/**
+ * Shared janitor for the projects of all builds
+ */
+export const tempJanitor = new TempJanitor(appConfig.janitor);
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { ToolchainRegistry } from './toolchains';
+import { executeCommand, type ExecuteOptions } from '../utils/commandExecutor';
+
+jest.mock('../utils/commandExecutor');
+
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+const STABLE = 'stable-x86_64-unknown-linux-gnu';
+const PINNED = '1.81.0-x86_64-unknown-linux-gnu';
+const NIGHTLY = 'nightly-x86_64-unknown-linux-gnu';
+
+/**
+ * Answers rustup and rustc like a host with stable (default), 1.81.0 and a
+ * nightly without the wasm target
+ */
+function fakeRustup(command: string, args: string[] = [], options: ExecuteOptions = {}) {
+  const ok = (stdout: string) => Promise.resolve({ exitCode: 0, stdout, stderr: '' });
+  if (command === 'rustup' && args[0] === 'toolchain') {
+    return ok(`${STABLE} (active, default)\n${PINNED}\n${NIGHTLY}`);
+  }
+  if (command === 'rustup' && args[0] === 'target') {
+    return ok(args[4] === NIGHTLY ? '' : 'wasm32-unknown-unknown\nx86_64-unknown-linux-gnu');
+  }
+  const version: Record<string, string> = {
+    [STABLE]: '1.84.0',
+    [PINNED]: '1.81.0',
+    [NIGHTLY]: '1.86.0-nightly',
+  };
+  return ok(`rustc ${version[options.env?.RUSTUP_TOOLCHAIN ?? STABLE]}`);
+}
+
+describe('ToolchainRegistry', () => {
+  beforeEach(() => {
+    mockExecuteCommand.mockImplementation(fakeRustup);
+  });
+
+  it('should discover installed toolchains with their versions and targets', async () => {
+    const registry = new ToolchainRegistry({ allowed: [], timeoutMs: 1000 });
+
+    await registry.discover();
+
+    expect(registry.list()).toEqual([
+      { name: STABLE, rustc: 'rustc 1.84.0', default: true, wasmTarget: true },
+      { name: PINNED, rustc: 'rustc 1.81.0', default: false, wasmTarget: true },
+      { name: NIGHTLY, rustc: 'rustc 1.86.0-nightly', default: false, wasmTarget: false },
+    ]);
+    expect(registry.defaultToolchain?.name).toBe(STABLE);
+    expect(mockExecuteCommand).toHaveBeenCalledWith(
+      'rustup',
+      ['target', 'list', '--installed', '--toolchain', PINNED],
+      { timeout: 1000 }
+    );
+  });
+
+  it('should offer only allowed toolchains, defaulting to the first', async () => {
+    const registry = new ToolchainRegistry({ allowed: ['1.81.0', 'nightly'], timeoutMs: 1000 });
+
+    await registry.discover();
+
+    expect(registry.list().map(({ name }) => name)).toEqual([PINNED, NIGHTLY]);
+    expect(registry.defaultToolchain?.name).toBe(PINNED);
+  });
+
+  it('should be empty without rustup', async () => {
+    mockExecuteCommand.mockRejectedValue(new Error('spawn rustup ENOENT'));
+    const registry = new ToolchainRegistry({ allowed: [], timeoutMs: 1000 });
+
+    expect(await registry.discover()).toEqual([]);
+    expect(registry.defaultToolchain).toBeUndefined();
+    expect(registry.check(STABLE)).toBe(
+      `toolchain ${STABLE} is not available; no toolchains were discovered`
+    );
+  });
+
+  it('should explain why a toolchain cannot be selected', async () => {
+    const registry = new ToolchainRegistry({ allowed: [], timeoutMs: 1000 });
+    await registry.discover();
+
+    expect(registry.check(PINNED)).toBeUndefined();
+    expect(registry.check('1.70.0')).toBe(
+      `toolchain 1.70.0 is not available (choose one of ${STABLE}, ${PINNED}, ${NIGHTLY})`
+    );
+    expect(registry.check(NIGHTLY)).toBe(
+      `toolchain ${NIGHTLY} cannot compile contracts: the wasm32-unknown-unknown target is not installed`
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import { config as appConfig } from '../config';
+import { executeCommand } from '../utils/commandExecutor';
+import { parseToolchainList, toolchainEnv, type InstalledToolchain } from '../utils/rustup';
+
+/** Target soroban contracts are compiled to */
+const WASM_TARGET = 'wasm32-unknown-unknown';
+
+/**
+ * An installed toolchain builds can select
+ */
+export interface Toolchain {
+  /** Full toolchain name, e.g. `1.84.0-x86_64-unknown-linux-gnu` */
+  name: string;
+  /** `rustc --version` of the toolchain, e.g. `rustc 1.84.0 (9fc6b4312 2025-01-07)` */
+  rustc: string;
+  /** Whether builds without a toolchain use this one */
+  default: boolean;
+  /** Whether the wasm target is installed; contracts cannot be compiled without it */
+  wasmTarget: boolean;
+}
+
+/**
+ * Options of the toolchain registry
+ */
+export interface ToolchainRegistryOptions {
+  /** Toolchains offered to builds, by name or name prefix; all installed ones when empty */
+  allowed: string[];
+  /** Timeout for each rustup and rustc command */
+  timeoutMs: number;
+}
+
+/**
+ * Whether a toolchain name matches an allowed name, which may omit the date and
+ * host triple (`1.81.0` allows `1.81.0-x86_64-unknown-linux-gnu`)
+ */
+function isAllowed(name: string, allowed: string[]): boolean {
+  return (
+    allowed.length === 0 || allowed.some((entry) => name === entry || name.startsWith(`${entry}-`))
+  );
+}
+
+/**
+ * Toolchains installed with rustup, discovered at startup. Builds name one of
+ * them to check contracts against the Rust release they are deployed with.
+ */
+export class ToolchainRegistry {
+  private toolchains: Toolchain[] = [];
+
+  constructor(private readonly options: ToolchainRegistryOptions) {}
+
+  /**
+   * Lists the installed toolchains with `rustup toolchain list` and reads the
+   * version and installed targets of each allowed one. Leaves the registry
+   * empty when rustup is not available, so builds use whatever `cargo` is on
+   * the path.
+   *
+   * @returns The discovered toolchains
+   */
+  async discover(): Promise<Toolchain[]> {
+    const { allowed, timeoutMs: timeout } = this.options;
+    let installed: InstalledToolchain[];
+    try {
+      const result = await executeCommand('rustup', ['toolchain', 'list'], { timeout });
+      installed = result.exitCode === 0 ? parseToolchainList(result.stdout) : [];
+    } catch {
+      // rustup is not installed
+      installed = [];
+    }
+
+    const discovered = await Promise.all(
+      installed
+        .filter(({ name }) => isAllowed(name, allowed))
+        .map(async ({ name, default: isDefault }): Promise<Toolchain | undefined> => {
+          try {
+            const [rustc, targets] = await Promise.all([
+              executeCommand('rustc', ['--version'], { env: toolchainEnv(name), timeout }),
+              executeCommand('rustup', ['target', 'list', '--installed', '--toolchain', name], {
+                timeout,
+              }),
+            ]);
+            if (rustc.exitCode !== 0) {
+              return undefined;
+            }
+            return {
+              name,
+              rustc: rustc.stdout.trim(),
+              default: isDefault,
+              wasmTarget:
+                targets.exitCode === 0 && targets.stdout.split('\n').includes(WASM_TARGET),
+            };
+          } catch {
+            // A broken installation is not offered
+            return undefined;
+          }
+        })
+    );
+
+    const toolchains = discovered.filter((toolchain): toolchain is Toolchain => !!toolchain);
+    // When rustup's default is not allowed, the first allowed toolchain takes its place
+    if (toolchains.length > 0 && !toolchains.some((toolchain) => toolchain.default)) {
+      toolchains[0] = { ...(toolchains[0] as Toolchain), default: true };
+    }
+    this.toolchains = toolchains;
+    return toolchains;
+  }
+
+  /**
+   * Lists the toolchains found by the last discovery
+   */
+  list(): Toolchain[] {
+    return this.toolchains;
+  }
+
+  /**
+   * Looks up a toolchain by its full name
+   */
+  get(name: string): Toolchain | undefined {
+    return this.list().find((toolchain) => toolchain.name === name);
+  }
+
+  /**
+   * Toolchain builds use when they do not select one, or undefined before
+   * discovery or without rustup
+   */
+  get defaultToolchain(): Toolchain | undefined {
+    return this.list().find((toolchain) => toolchain.default);
+  }
+
+  /**
+   * Checks that a build can select a toolchain
+   *
+   * @returns Why the toolchain cannot be used, or undefined if it can
+   */
+  check(name: string): string | undefined {
+    const toolchain = this.get(name);
+    if (!toolchain) {
+      const names = this.list().map((installed) => installed.name);
+      return names.length > 0
+        ? `toolchain ${name} is not available (choose one of ${names.join(', ')})`
+        : `toolchain ${name} is not available; no toolchains were discovered`;
+    }
+    if (!toolchain.wasmTarget) {
+      return `toolchain ${name} cannot compile contracts: the ${WASM_TARGET} target is not installed`;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Shared registry of the toolchains builds can select
+ */
+export const toolchainRegistry = new ToolchainRegistry(appConfig.toolchains);
@@ -0,0 +1,102 @@
+import { RateLimitExceededError, UsageLimiter, type UsageLimitOptions } from './usageLimiter';
+
+const OPTIONS: UsageLimitOptions = {
+  enabled: true,
+  windowMs: 60_000,
+  limits: { compile: 2, test: 1, lint: 5, format: 1, snippet: 1, deploy: 1, invoke: 1 },
+  dailyCpuSeconds: 10,
+};
+
+/** 2025-06-01T12:00:00Z */
+const NOON = Date.UTC(2025, 5, 1, 12);
+
+describe('UsageLimiter', () => {
+  it('should allow requests up to the limit of their kind in each window', () => {
+    const limiter = new UsageLimiter(OPTIONS);
+
+    limiter.consume('ip:1.2.3.4', 'compile', NOON);
+    limiter.consume('ip:1.2.3.4', 'compile', NOON + 1000);
+    limiter.consume('ip:1.2.3.4', 'test', NOON + 1000);
+
+    expect(() => limiter.consume('ip:1.2.3.4', 'compile', NOON + 15_000)).toThrow(
+      new RateLimitExceededError('Rate limit of 2 compile requests per 60s exceeded', 45)
+    );
+    expect(() => limiter.consume('ip:1.2.3.4', 'test', NOON + 2000)).toThrow(
+      RateLimitExceededError
+    );
+    // Other clients and the next window have budgets of their own
+    expect(() => limiter.consume('ip:5.6.7.8', 'compile', NOON + 2000)).not.toThrow();
+    expect(() => limiter.consume('ip:1.2.3.4', 'compile', NOON + 60_000)).not.toThrow();
+  });
+
+  it('should report when the window resets', () => {
+    const limiter = new UsageLimiter({ ...OPTIONS, limits: { ...OPTIONS.limits, test: 0 } });
+
+    try {
+      limiter.consume('ip:1.2.3.4', 'test', NOON);
+      throw new Error('expected a rate limit');
+    } catch (error) {
+      expect((error as RateLimitExceededError).retryAfterSeconds).toBe(60);
+    }
+  });
+
+  it('should reject requests once the daily CPU quota is used up, until the next UTC day', () => {
+    const limiter = new UsageLimiter(OPTIONS);
+
+    limiter.recordCpu('user:alice', 6000, NOON);
+    limiter.consume('user:alice', 'lint', NOON);
+    limiter.recordCpu('user:alice', 4000, NOON);
+
+    let rejection: RateLimitExceededError | undefined;
+    try {
+      limiter.consume('user:alice', 'lint', NOON + 1000);
+    } catch (error) {
+      rejection = error as RateLimitExceededError;
+    }
+    expect(rejection?.message).toBe('Daily quota of 10 CPU seconds used up');
+    expect(rejection?.retryAfterSeconds).toBe(12 * 60 * 60 - 1);
+
+    expect(() => limiter.consume('user:alice', 'lint', NOON + 12 * 60 * 60_000)).not.toThrow();
+  });
+
+  it('should only record usage when disabled', () => {
+    const limiter = new UsageLimiter({ ...OPTIONS, enabled: false });
+
+    limiter.recordCpu('ip:1.2.3.4', 60_000, NOON);
+    for (let i = 0; i < 5; i++) {
+      limiter.consume('ip:1.2.3.4', 'test', NOON);
+    }
+
+    expect(limiter.list(NOON)).toEqual([
+      expect.objectContaining({ client: 'ip:1.2.3.4', cpuSeconds: 60 }),
+    ]);
+  });
+
+  it('should list clients busiest first and forget idle ones', () => {
+    const limiter = new UsageLimiter(OPTIONS);
+
+    limiter.consume('ip:1.2.3.4', 'compile', NOON);
+    limiter.recordCpu('ip:1.2.3.4', 1500, NOON);
+    limiter.consume('ip:5.6.7.8', 'lint', NOON);
+    limiter.recordCpu('ip:5.6.7.8', 4250, NOON);
+    limiter.consume('ip:9.9.9.9', 'lint', NOON);
+
+    expect(limiter.list(NOON + 1000)).toEqual([
+      {
+        client: 'ip:5.6.7.8',
+        requests: { compile: 0, test: 0, lint: 1, format: 0, snippet: 0, deploy: 0, invoke: 0 },
+        cpuSeconds: 4.3,
+        cpuSecondsLimit: 10,
+        lastSeenAt: '2025-06-01T12:00:00.000Z',
+      },
+      expect.objectContaining({ client: 'ip:1.2.3.4', cpuSeconds: 1.5 }),
+      expect.objectContaining({ client: 'ip:9.9.9.9', cpuSeconds: 0 }),
+    ]);
+    // Idle clients are kept while they have used CPU time today
+    expect(limiter.list(NOON + 120_000).map(({ client }) => client)).toEqual([
+      'ip:5.6.7.8',
+      'ip:1.2.3.4',
+    ]);
+    expect(limiter.list(NOON + 24 * 60 * 60_000)).toEqual([]);
+  });
+});
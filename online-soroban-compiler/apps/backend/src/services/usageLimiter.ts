@@ -0,0 +1,190 @@
+import { config as appConfig } from '../config';
+import type { BuildKind } from './buildRunner';
+
+/**
+ * Kinds of requests with a budget of their own: builds, formatting and
+ * deploying or invoking contracts, which spawn processes, and snippet saves,
+ * which write to disk
+ */
+export type LimitedKind = BuildKind | 'format' | 'snippet' | 'deploy' | 'invoke';
+
+/**
+ * Options of the usage limiter
+ */
+export interface UsageLimitOptions {
+  /** Whether requests are limited at all; usage is recorded either way */
+  enabled: boolean;
+  /** Length of the window requests are counted in */
+  windowMs: number;
+  /** Requests a client may make per window, by kind */
+  limits: Record<LimitedKind, number>;
+  /** Command time in seconds a client may use per UTC day */
+  dailyCpuSeconds: number;
+}
+
+/**
+ * Usage of one client, as reported to operators
+ */
+export interface ClientUsage {
+  /** `user:<id>` or `ip:<address>` */
+  client: string;
+  /** Requests made in the current window, by kind */
+  requests: Record<LimitedKind, number>;
+  /** Command time used today in seconds */
+  cpuSeconds: number;
+  /** Daily command time allowed in seconds */
+  cpuSecondsLimit: number;
+  /** ISO timestamp of the last request */
+  lastSeenAt: string;
+}
+
+/**
+ * Thrown when a client has used up a budget
+ */
+export class RateLimitExceededError extends Error {
+  constructor(
+    message: string,
+    /** Seconds until the budget is available again */
+    public readonly retryAfterSeconds: number
+  ) {
+    super(message);
+    this.name = 'RateLimitExceededError';
+  }
+}
+
+interface Window {
+  startedAt: number;
+  count: number;
+}
+
+interface ClientRecord {
+  windows: Partial<Record<LimitedKind, Window>>;
+  /** UTC day the CPU time was used on, as `YYYY-MM-DD` */
+  day: string;
+  cpuMs: number;
+  lastSeenAt: number;
+}
+
+const DAY_MS = 24 * 60 * 60_000;
+
+function dayOf(now: number): string {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Counts requests per client in fixed windows, with a separate budget for
+ * each kind of request, and the command time each client uses per UTC day
+ */
+export class UsageLimiter {
+  private readonly clients = new Map<string, ClientRecord>();
+
+  constructor(private readonly options: UsageLimitOptions) {}
+
+  /**
+   * Counts a request against the client's budgets
+   *
+   * @param client - Client identifier
+   * @param kind - Kind of request
+   * @throws RateLimitExceededError if the window's requests or the day's command time are used up
+   */
+  consume(client: string, kind: LimitedKind, now = Date.now()): void {
+    const record = this.recordOf(client, now);
+    record.lastSeenAt = now;
+    if (!this.options.enabled) {
+      return;
+    }
+
+    if (record.cpuMs >= this.options.dailyCpuSeconds * 1000) {
+      const nextDay = Date.parse(`${record.day}T00:00:00Z`) + DAY_MS;
+      throw new RateLimitExceededError(
+        `Daily quota of ${this.options.dailyCpuSeconds} CPU seconds used up`,
+        Math.ceil((nextDay - now) / 1000)
+      );
+    }
+
+    let window = record.windows[kind];
+    if (!window || now - window.startedAt >= this.options.windowMs) {
+      window = { startedAt: now, count: 0 };
+      record.windows[kind] = window;
+    }
+    if (window.count >= this.options.limits[kind]) {
+      throw new RateLimitExceededError(
+        `Rate limit of ${this.options.limits[kind]} ${kind} requests per ${this.options.windowMs / 1000}s exceeded`,
+        Math.ceil((window.startedAt + this.options.windowMs - now) / 1000)
+      );
+    }
+    window.count++;
+  }
+
+  /**
+   * Charges the duration of a command to the client's daily quota
+   *
+   * @param client - Client identifier
+   * @param durationMs - How long the command ran
+   */
+  recordCpu(client: string, durationMs: number, now = Date.now()): void {
+    this.recordOf(client, now).cpuMs += durationMs;
+  }
+
+  /**
+   * Lists the usage of every client seen today, busiest first
+   */
+  list(now = Date.now()): ClientUsage[] {
+    this.prune(now);
+    return Array.from(this.clients, ([client, record]) => ({
+      client,
+      requests: {
+        compile: this.countOf(record, 'compile', now),
+        test: this.countOf(record, 'test', now),
+        lint: this.countOf(record, 'lint', now),
+        format: this.countOf(record, 'format', now),
+        snippet: this.countOf(record, 'snippet', now),
+        deploy: this.countOf(record, 'deploy', now),
+        invoke: this.countOf(record, 'invoke', now),
+      },
+      cpuSeconds: Math.round(record.cpuMs / 100) / 10,
+      cpuSecondsLimit: this.options.dailyCpuSeconds,
+      lastSeenAt: new Date(record.lastSeenAt).toISOString(),
+    })).sort((a, b) => b.cpuSeconds - a.cpuSeconds);
+  }
+
+  private countOf(record: ClientRecord, kind: LimitedKind, now: number): number {
+    const window = record.windows[kind];
+    return window && now - window.startedAt < this.options.windowMs ? window.count : 0;
+  }
+
+  /**
+   * Gets a client's record, starting a new day's quota when the date changed
+   */
+  private recordOf(client: string, now: number): ClientRecord {
+    const day = dayOf(now);
+    let record = this.clients.get(client);
+    if (!record) {
+      this.prune(now);
+      record = { windows: {}, day, cpuMs: 0, lastSeenAt: now };
+      this.clients.set(client, record);
+    } else if (record.day !== day) {
+      record.day = day;
+      record.cpuMs = 0;
+    }
+    return record;
+  }
+
+  /**
+   * Forgets clients that have no request in their windows and no CPU time today
+   */
+  private prune(now: number): void {
+    const day = dayOf(now);
+    for (const [client, record] of this.clients) {
+      const idle = now - record.lastSeenAt >= this.options.windowMs;
+      if (idle && (record.day !== day || record.cpuMs === 0)) {
+        this.clients.delete(client);
+      }
+    }
+  }
+}
+
+/**
+ * Shared limiter used by the HTTP API
+ */
+export const usageLimiter = new UsageLimiter(appConfig.rateLimit);
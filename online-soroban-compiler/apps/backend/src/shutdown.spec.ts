@@ -0,0 +1,95 @@
+import { createShutdownHandler, type ShutdownOptions } from './shutdown';
+
+describe('createShutdownHandler', () => {
+  let closeServer: () => void;
+  let finishJobs: () => void;
+  let calls: string[];
+  let options: Required<ShutdownOptions>;
+
+  beforeEach(() => {
+    calls = [];
+    options = {
+      server: {
+        close: jest.fn((callback?: () => void) => {
+          calls.push('server.close');
+          closeServer = () => callback?.();
+          return options.server;
+        }) as unknown as Required<ShutdownOptions>['server']['close'],
+        closeIdleConnections: jest.fn(),
+        closeAllConnections: jest.fn(() => calls.push('server.closeAllConnections')),
+      },
+      drainTimeoutMs: 1000,
+      jobs: {
+        close: jest.fn(() => {
+          calls.push('jobs.close');
+          return new Promise<void>((resolve) => (finishJobs = resolve));
+        }),
+      },
+      janitor: { stop: jest.fn(() => calls.push('janitor.stop')) },
+      languageServers: {
+        closeAll: jest.fn(async () => {
+          calls.push('languageServers.closeAll');
+        }),
+      },
+      cleanupProjects: jest.fn(async () => {
+        calls.push('cleanupProjects');
+      }),
+      terminateCommands: jest.fn((signal?: NodeJS.Signals) => {
+        calls.push(`terminateCommands:${signal}`);
+        return 1;
+      }),
+      exit: jest.fn((code: number) => calls.push(`exit:${code}`)),
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should wait for requests and jobs before cleaning up and exiting', async () => {
+    const shutdown = createShutdownHandler(options)();
+    await Promise.resolve();
+    expect(options.exit).not.toHaveBeenCalled();
+
+    closeServer();
+    finishJobs();
+    await shutdown;
+
+    expect(calls).toEqual([
+      'janitor.stop',
+      'server.close',
+      'jobs.close',
+      'languageServers.closeAll',
+      'cleanupProjects',
+      'exit:0',
+    ]);
+    expect(options.server.closeIdleConnections).toHaveBeenCalled();
+  });
+
+  it('should kill running commands when the drain timeout passes', async () => {
+    jest.useFakeTimers();
+    const shutdown = createShutdownHandler(options)();
+    closeServer();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await shutdown;
+
+    expect(calls.slice(-5)).toEqual([
+      'terminateCommands:SIGTERM',
+      'server.closeAllConnections',
+      'languageServers.closeAll',
+      'cleanupProjects',
+      'exit:1',
+    ]);
+  });
+
+  it('should exit immediately on a second signal', async () => {
+    const handler = createShutdownHandler(options);
+    void handler();
+    await handler();
+
+    expect(options.terminateCommands).toHaveBeenCalledWith('SIGKILL');
+    expect(options.exit).toHaveBeenCalledWith(1);
+    expect(options.jobs.close).toHaveBeenCalledTimes(1);
+  });
+});
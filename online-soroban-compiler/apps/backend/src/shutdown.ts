@@ -0,0 +1,79 @@
+import type { Server } from 'node:http';
+import { jobQueue } from './services/jobQueue';
+import { languageServers } from './services/languageServer';
+import { tempJanitor } from './services/tempJanitor';
+import { terminateRunningCommands } from './utils/commandExecutor';
+import { FileManager } from './utils/fileManager';
+import { logger } from './utils/logger';
+
+/**
+ * What a graceful shutdown stops, in the order it stops them. Everything but
+ * the server defaults to the shared instances so tests can substitute fakes.
+ */
+export interface ShutdownOptions {
+  server: Pick<Server, 'close' | 'closeIdleConnections' | 'closeAllConnections'>;
+  /** How long in-flight requests and builds may take to finish */
+  drainTimeoutMs: number;
+  jobs?: { close(): Promise<void> };
+  janitor?: { stop(): void };
+  languageServers?: { closeAll(): Promise<void> };
+  cleanupProjects?: () => Promise<void>;
+  terminateCommands?: (signal?: NodeJS.Signals) => number;
+  exit?: (code: number) => void;
+}
+
+/**
+ * Creates the SIGINT/SIGTERM handler. The first signal stops accepting
+ * requests and builds, waits for running ones to finish (killing their
+ * commands once the drain timeout passes), then closes language servers,
+ * removes temporary projects and exits. A second signal exits immediately.
+ */
+export function createShutdownHandler(options: ShutdownOptions): () => Promise<void> {
+  const {
+    server,
+    drainTimeoutMs,
+    jobs = jobQueue,
+    janitor = tempJanitor,
+    cleanupProjects = () => FileManager.cleanupAllProjects(),
+    terminateCommands = terminateRunningCommands,
+    exit = (code) => process.exit(code),
+  } = options;
+  const sessions = options.languageServers ?? languageServers;
+  let shuttingDown = false;
+
+  return async () => {
+    if (shuttingDown) {
+      terminateCommands('SIGKILL');
+      exit(1);
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Shutting down', { drainTimeoutMs });
+    janitor.stop();
+
+    const requestsClosed = new Promise<void>((resolve) => server.close(() => resolve()));
+    server.closeIdleConnections();
+
+    let timer: NodeJS.Timeout | undefined;
+    const drained = await Promise.race([
+      Promise.all([requestsClosed, jobs.close()]).then(() => true),
+      new Promise<boolean>((resolve) => {
+        timer = setTimeout(() => resolve(false), drainTimeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      // Builds still running fail once their commands are killed
+      const killed = terminateCommands('SIGTERM');
+      logger.warn('Shutdown drain timed out', { killedCommands: killed });
+      server.closeAllConnections();
+    }
+
+    await sessions.closeAll().catch(() => {
+      // The language servers exit with the process anyway
+    });
+    await cleanupProjects();
+    exit(drained ? 0 : 1);
+  };
+}
@@ -0,0 +1,90 @@
+import type { ContractTemplate } from './catalog';
+
+export const authTemplate: ContractTemplate = {
+  id: 'auth',
+  name: 'Authorization',
+  description:
+    'Keeps a counter per user that only that user can increment, using require_auth and checking the recorded authorizations in tests.',
+  difficulty: 'beginner',
+  tags: ['auth', 'storage'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractimpl, contracttype, Address, Env};
+
+#[contracttype]
+pub enum DataKey {
+    Counter(Address),
+}
+
+#[contract]
+pub struct AuthContract;
+
+#[contractimpl]
+impl AuthContract {
+    /// Adds value to the counter of user and returns the new total.
+    /// The call fails unless user authorized it.
+    pub fn increment(env: Env, user: Address, value: u32) -> u32 {
+        user.require_auth();
+
+        let key = DataKey::Counter(user);
+        let count: u32 = env.storage().persistent().get(&key).unwrap_or(0) + value;
+        env.storage().persistent().set(&key, &count);
+        count
+    }
+
+    /// Returns the counter of user
+    pub fn get(env: Env, user: Address) -> u32 {
+        env.storage().persistent().get(&DataKey::Counter(user)).unwrap_or(0)
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+extern crate std;
+
+use super::{AuthContract, AuthContractClient};
+use soroban_sdk::testutils::{Address as _, AuthorizedFunction, AuthorizedInvocation};
+use soroban_sdk::{symbol_short, Address, Env, IntoVal};
+
+#[test]
+fn counts_per_user_with_their_authorization() {
+    let env = Env::default();
+    env.mock_all_auths();
+    let contract_id = env.register(AuthContract, ());
+    let client = AuthContractClient::new(&env, &contract_id);
+    let user = Address::generate(&env);
+
+    assert_eq!(client.increment(&user, &5), 5);
+    assert_eq!(
+        env.auths(),
+        std::vec![(
+            user.clone(),
+            AuthorizedInvocation {
+                function: AuthorizedFunction::Contract((
+                    contract_id.clone(),
+                    symbol_short!("increment"),
+                    (user.clone(), 5_u32).into_val(&env),
+                )),
+                sub_invocations: std::vec![]
+            }
+        )]
+    );
+
+    assert_eq!(client.increment(&user, &2), 7);
+    assert_eq!(client.get(&Address::generate(&env)), 0);
+}
+
+#[test]
+#[should_panic]
+fn rejects_calls_without_authorization() {
+    let env = Env::default();
+    let contract_id = env.register(AuthContract, ());
+    let client = AuthContractClient::new(&env, &contract_id);
+
+    client.increment(&Address::generate(&env), &1);
+}
+`,
+  },
+};
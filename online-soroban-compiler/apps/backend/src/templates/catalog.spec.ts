@@ -0,0 +1,54 @@
+import { TEMPLATES, getTemplate, listTemplates } from './catalog';
+import { DEFAULT_DEPENDENCY_POLICY } from '../utils/cargoManifest';
+import { resolveProjectFiles } from '../utils/projectFiles';
+import { compileRequestSchema } from '../schemas/compilerSchemas';
+
+describe('template catalog', () => {
+  it('should cover the starter contracts', () => {
+    expect(TEMPLATES.map((template) => template.id)).toEqual([
+      'increment',
+      'token',
+      'auth',
+      'events',
+      'storage-ttl',
+      'cross-contract',
+      'timelock',
+    ]);
+  });
+
+  it.each(TEMPLATES.map((template) => [template.id, template] as const))(
+    '%s should be a valid build request with its own tests',
+    (_id, template) => {
+      expect(template.id).toMatch(/^[a-z0-9-]+$/);
+      expect(resolveProjectFiles({ files: template.files })).toEqual(template.files);
+      expect(compileRequestSchema.safeParse({ files: template.files }).success).toBe(true);
+      expect(DEFAULT_DEPENDENCY_POLICY.sdkVersions).toContain(template.sdkVersion);
+
+      const lib = template.files['src/lib.rs'];
+      const tests = template.files['src/test.rs'];
+      expect(lib).toMatch(/^#!\[no_std\]/);
+      expect(lib).toContain('#[contract]');
+      expect(lib).toContain('\nmod test;\n');
+      expect(tests).toMatch(/^#!\[cfg\(test\)\]/);
+      expect(tests).toContain('#[test]');
+    }
+  );
+
+  it('should list templates without their sources', () => {
+    const [increment] = listTemplates();
+
+    expect(increment).toEqual({
+      id: 'increment',
+      name: 'Increment Counter',
+      description: expect.any(String),
+      difficulty: 'beginner',
+      tags: ['storage'],
+      sdkVersion: '22.0.0',
+    });
+  });
+
+  it('should look templates up by ID', () => {
+    expect(getTemplate('timelock')?.name).toBe('Timelock');
+    expect(getTemplate('missing')).toBeUndefined();
+  });
+});
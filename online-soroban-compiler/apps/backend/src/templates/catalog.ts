@@ -0,0 +1,65 @@
+import type { ProjectFiles } from '../utils/projectFiles';
+import { incrementTemplate } from './increment';
+import { tokenTemplate } from './token';
+import { authTemplate } from './auth';
+import { eventsTemplate } from './events';
+import { storageTtlTemplate } from './storageTtl';
+import { crossContractTemplate } from './crossContract';
+import { timelockTemplate } from './timelock';
+
+/**
+ * How much Soroban experience a template assumes
+ */
+export type TemplateDifficulty = 'beginner' | 'intermediate' | 'advanced';
+
+/**
+ * A starter contract with its own tests, so Compile and Test pass out of the box
+ */
+export interface ContractTemplate {
+  /** URL-safe identifier, e.g. `increment` */
+  id: string;
+  name: string;
+  /** One or two sentences on what the contract demonstrates */
+  description: string;
+  difficulty: TemplateDifficulty;
+  /** Concepts the template covers, e.g. `storage`, `auth` */
+  tags: string[];
+  /** soroban-sdk version the template is written for */
+  sdkVersion: string;
+  /** Project files, including `src/lib.rs` and a `src/test.rs` test module */
+  files: ProjectFiles;
+}
+
+/**
+ * Template metadata without its sources, as listed in the gallery
+ */
+export type TemplateSummary = Omit<ContractTemplate, 'files'>;
+
+/**
+ * All templates, in the order the gallery shows them
+ */
+export const TEMPLATES: readonly ContractTemplate[] = [
+  incrementTemplate,
+  tokenTemplate,
+  authTemplate,
+  eventsTemplate,
+  storageTtlTemplate,
+  crossContractTemplate,
+  timelockTemplate,
+];
+
+/**
+ * Lists the templates without their sources
+ */
+export function listTemplates(): TemplateSummary[] {
+  return TEMPLATES.map(({ files: _files, ...summary }) => summary);
+}
+
+/**
+ * Looks up a template by its ID
+ *
+ * @returns The template, or undefined if the ID is unknown
+ */
+export function getTemplate(id: string): ContractTemplate | undefined {
+  return TEMPLATES.find((template) => template.id === id);
+}
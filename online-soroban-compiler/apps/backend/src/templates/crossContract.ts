@@ -0,0 +1,62 @@
+import type { ContractTemplate } from './catalog';
+
+export const crossContractTemplate: ContractTemplate = {
+  id: 'cross-contract',
+  name: 'Cross-Contract Calls',
+  description:
+    'Calls another contract through a client generated from its interface. The test registers a stand-in contract to call.',
+  difficulty: 'intermediate',
+  tags: ['cross-contract', 'interfaces'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractclient, contractimpl, Address, Env};
+
+/// Interface of the contract being called. contractclient generates
+/// AdderClient, which can invoke any deployed contract implementing it.
+#[contractclient(name = "AdderClient")]
+pub trait Adder {
+    fn add(env: Env, a: u32, b: u32) -> u32;
+}
+
+#[contract]
+pub struct CalculatorContract;
+
+#[contractimpl]
+impl CalculatorContract {
+    /// Computes a + b by calling the adder contract deployed at adder
+    pub fn add_with(env: Env, adder: Address, a: u32, b: u32) -> u32 {
+        AdderClient::new(&env, &adder).add(&a, &b)
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{Adder, CalculatorContract, CalculatorContractClient};
+use soroban_sdk::{contract, contractimpl, Env};
+
+/// Stand-in for an adder contract deployed elsewhere
+#[contract]
+pub struct AdderContract;
+
+#[contractimpl]
+impl Adder for AdderContract {
+    fn add(_env: Env, a: u32, b: u32) -> u32 {
+        a + b
+    }
+}
+
+#[test]
+fn calls_the_adder_contract() {
+    let env = Env::default();
+    let adder_id = env.register(AdderContract, ());
+    let calculator_id = env.register(CalculatorContract, ());
+    let client = CalculatorContractClient::new(&env, &calculator_id);
+
+    assert_eq!(client.add_with(&adder_id, &2, &3), 5);
+}
+`,
+  },
+};
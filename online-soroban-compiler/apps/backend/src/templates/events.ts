@@ -0,0 +1,62 @@
+import type { ContractTemplate } from './catalog';
+
+export const eventsTemplate: ContractTemplate = {
+  id: 'events',
+  name: 'Events',
+  description:
+    'Publishes an event with topics and data on every increment, and asserts on the emitted events in tests.',
+  difficulty: 'beginner',
+  tags: ['events', 'storage'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol};
+
+const COUNTER: Symbol = symbol_short!("COUNTER");
+
+#[contract]
+pub struct EventsContract;
+
+#[contractimpl]
+impl EventsContract {
+    /// Increments the counter and publishes the new value as an event
+    pub fn increment(env: Env) -> u32 {
+        let mut count: u32 = env.storage().instance().get(&COUNTER).unwrap_or(0);
+        count += 1;
+        env.storage().instance().set(&COUNTER, &count);
+
+        // Topics let indexers filter events; the data carries the new count
+        env.events().publish((COUNTER, symbol_short!("increment")), count);
+        count
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{EventsContract, EventsContractClient};
+use soroban_sdk::{symbol_short, testutils::Events, vec, Env, IntoVal};
+
+#[test]
+fn publishes_the_new_count() {
+    let env = Env::default();
+    let contract_id = env.register(EventsContract, ());
+    let client = EventsContractClient::new(&env, &contract_id);
+
+    assert_eq!(client.increment(), 1);
+    assert_eq!(
+        env.events().all(),
+        vec![
+            &env,
+            (
+                contract_id.clone(),
+                (symbol_short!("COUNTER"), symbol_short!("increment")).into_val(&env),
+                1_u32.into_val(&env)
+            ),
+        ]
+    );
+}
+`,
+  },
+};
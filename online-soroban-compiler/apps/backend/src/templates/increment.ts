@@ -0,0 +1,58 @@
+import type { ContractTemplate } from './catalog';
+
+export const incrementTemplate: ContractTemplate = {
+  id: 'increment',
+  name: 'Increment Counter',
+  description:
+    'Stores a counter in instance storage and increments it on every call. The smallest stateful contract.',
+  difficulty: 'beginner',
+  tags: ['storage'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractimpl, symbol_short, Env, Symbol};
+
+const COUNTER: Symbol = symbol_short!("COUNTER");
+
+#[contract]
+pub struct IncrementContract;
+
+#[contractimpl]
+impl IncrementContract {
+    /// Increments the counter and returns its new value
+    pub fn increment(env: Env) -> u32 {
+        let mut count: u32 = env.storage().instance().get(&COUNTER).unwrap_or(0);
+        count += 1;
+        env.storage().instance().set(&COUNTER, &count);
+        // Keep the contract instance alive while it is being used
+        env.storage().instance().extend_ttl(50, 100);
+        count
+    }
+
+    /// Returns the current counter value
+    pub fn get(env: Env) -> u32 {
+        env.storage().instance().get(&COUNTER).unwrap_or(0)
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{IncrementContract, IncrementContractClient};
+use soroban_sdk::Env;
+
+#[test]
+fn increments_from_zero() {
+    let env = Env::default();
+    let contract_id = env.register(IncrementContract, ());
+    let client = IncrementContractClient::new(&env, &contract_id);
+
+    assert_eq!(client.get(), 0);
+    assert_eq!(client.increment(), 1);
+    assert_eq!(client.increment(), 2);
+    assert_eq!(client.get(), 2);
+}
+`,
+  },
+};
@@ -0,0 +1,88 @@
+import type { ContractTemplate } from './catalog';
+
+export const storageTtlTemplate: ContractTemplate = {
+  id: 'storage-ttl',
+  name: 'Storage & TTL',
+  description:
+    'Writes to persistent, temporary and instance storage and extends the time to live of each entry, checking the resulting TTLs in tests.',
+  difficulty: 'intermediate',
+  tags: ['storage', 'ttl'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractimpl, contracttype, Env};
+
+#[contracttype]
+pub enum DataKey {
+    MyKey,
+}
+
+#[contract]
+pub struct TtlContract;
+
+#[contractimpl]
+impl TtlContract {
+    /// Creates one entry of each storage type
+    pub fn setup(env: Env) {
+        env.storage().persistent().set(&DataKey::MyKey, &0);
+        env.storage().instance().set(&DataKey::MyKey, &1);
+        env.storage().temporary().set(&DataKey::MyKey, &2);
+    }
+
+    /// Extends the persistent entry to live 5000 more ledgers
+    /// once fewer than 1000 are left
+    pub fn extend_persistent(env: Env) {
+        env.storage().persistent().extend_ttl(&DataKey::MyKey, 1000, 5000);
+    }
+
+    /// Extends the contract instance and everything in instance storage
+    pub fn extend_instance(env: Env) {
+        env.storage().instance().extend_ttl(2000, 10000);
+    }
+
+    /// Temporary entries can be extended too, but are deleted for good once they expire
+    pub fn extend_temporary(env: Env) {
+        env.storage().temporary().extend_ttl(&DataKey::MyKey, 3000, 7000);
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{DataKey, TtlContract, TtlContractClient};
+use soroban_sdk::testutils::storage::{Instance as _, Persistent as _, Temporary as _};
+use soroban_sdk::testutils::Ledger;
+use soroban_sdk::Env;
+
+fn create_env() -> Env {
+    let env = Env::default();
+    env.ledger().with_mut(|ledger| {
+        ledger.sequence_number = 100_000;
+        ledger.min_persistent_entry_ttl = 500;
+        ledger.min_temp_entry_ttl = 100;
+        ledger.max_entry_ttl = 15_000;
+    });
+    env
+}
+
+#[test]
+fn extends_every_storage_type() {
+    let env = create_env();
+    let contract_id = env.register(TtlContract, ());
+    let client = TtlContractClient::new(&env, &contract_id);
+
+    client.setup();
+    client.extend_persistent();
+    client.extend_instance();
+    client.extend_temporary();
+
+    env.as_contract(&contract_id, || {
+        assert_eq!(env.storage().persistent().get_ttl(&DataKey::MyKey), 5000);
+        assert_eq!(env.storage().instance().get_ttl(), 10000);
+        assert_eq!(env.storage().temporary().get_ttl(&DataKey::MyKey), 7000);
+    });
+}
+`,
+  },
+};
@@ -0,0 +1,159 @@
+import type { ContractTemplate } from './catalog';
+
+export const timelockTemplate: ContractTemplate = {
+  id: 'timelock',
+  name: 'Timelock',
+  description:
+    'Holds a token deposit until an unlock time and then releases it to a beneficiary. Uses the token interface and ledger time.',
+  difficulty: 'advanced',
+  tags: ['token', 'auth', 'time', 'errors'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{
+    contract, contracterror, contractimpl, contracttype, panic_with_error, token, Address, Env,
+};
+
+#[contracttype]
+#[derive(Clone)]
+pub struct Lock {
+    pub token: Address,
+    pub amount: i128,
+    pub beneficiary: Address,
+    /// Ledger timestamp, in seconds, from which the deposit can be claimed
+    pub unlock_time: u64,
+}
+
+#[contracttype]
+pub enum DataKey {
+    Lock,
+}
+
+#[contracterror]
+#[derive(Copy, Clone, Debug, Eq, PartialEq, PartialOrd, Ord)]
+#[repr(u32)]
+pub enum TimelockError {
+    InvalidAmount = 1,
+    AlreadyLocked = 2,
+    NothingLocked = 3,
+    StillLocked = 4,
+}
+
+#[contract]
+pub struct TimelockContract;
+
+#[contractimpl]
+impl TimelockContract {
+    /// Moves amount of token from the depositor into this contract until unlock_time
+    pub fn deposit(
+        env: Env,
+        from: Address,
+        token: Address,
+        amount: i128,
+        beneficiary: Address,
+        unlock_time: u64,
+    ) {
+        from.require_auth();
+        if amount <= 0 {
+            panic_with_error!(&env, TimelockError::InvalidAmount);
+        }
+        if env.storage().instance().has(&DataKey::Lock) {
+            panic_with_error!(&env, TimelockError::AlreadyLocked);
+        }
+
+        token::Client::new(&env, &token).transfer(&from, &env.current_contract_address(), &amount);
+        env.storage().instance().set(
+            &DataKey::Lock,
+            &Lock {
+                token,
+                amount,
+                beneficiary,
+                unlock_time,
+            },
+        );
+    }
+
+    /// Pays the deposit out to the beneficiary once the unlock time has passed
+    pub fn claim(env: Env) -> i128 {
+        if !env.storage().instance().has(&DataKey::Lock) {
+            panic_with_error!(&env, TimelockError::NothingLocked);
+        }
+        let lock: Lock = env.storage().instance().get(&DataKey::Lock).unwrap();
+        lock.beneficiary.require_auth();
+        if env.ledger().timestamp() < lock.unlock_time {
+            panic_with_error!(&env, TimelockError::StillLocked);
+        }
+
+        token::Client::new(&env, &lock.token).transfer(
+            &env.current_contract_address(),
+            &lock.beneficiary,
+            &lock.amount,
+        );
+        env.storage().instance().remove(&DataKey::Lock);
+        lock.amount
+    }
+
+    /// Returns the current deposit, if any
+    pub fn get_lock(env: Env) -> Option<Lock> {
+        env.storage().instance().get(&DataKey::Lock)
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{TimelockContract, TimelockContractClient, TimelockError};
+use soroban_sdk::testutils::{Address as _, Ledger};
+use soroban_sdk::{token, Address, Env};
+
+#[test]
+fn releases_the_deposit_after_the_unlock_time() {
+    let env = Env::default();
+    env.mock_all_auths();
+
+    let issuer = Address::generate(&env);
+    let depositor = Address::generate(&env);
+    let beneficiary = Address::generate(&env);
+    let token_id = env.register_stellar_asset_contract_v2(issuer).address();
+    let token = token::Client::new(&env, &token_id);
+    token::StellarAssetClient::new(&env, &token_id).mint(&depositor, &1000);
+
+    let contract_id = env.register(TimelockContract, ());
+    let timelock = TimelockContractClient::new(&env, &contract_id);
+
+    env.ledger().set_timestamp(1_000);
+    timelock.deposit(&depositor, &token_id, &600, &beneficiary, &2_000);
+    assert_eq!(token.balance(&contract_id), 600);
+    assert_eq!(token.balance(&depositor), 400);
+
+    assert_eq!(timelock.try_claim(), Err(Ok(TimelockError::StillLocked)));
+
+    env.ledger().set_timestamp(2_000);
+    assert_eq!(timelock.claim(), 600);
+    assert_eq!(token.balance(&beneficiary), 600);
+    assert!(timelock.get_lock().is_none());
+}
+
+#[test]
+fn rejects_a_second_deposit() {
+    let env = Env::default();
+    env.mock_all_auths();
+
+    let issuer = Address::generate(&env);
+    let depositor = Address::generate(&env);
+    let token_id = env.register_stellar_asset_contract_v2(issuer).address();
+    token::StellarAssetClient::new(&env, &token_id).mint(&depositor, &1000);
+
+    let contract_id = env.register(TimelockContract, ());
+    let timelock = TimelockContractClient::new(&env, &contract_id);
+
+    timelock.deposit(&depositor, &token_id, &100, &depositor, &10);
+    assert_eq!(
+        timelock.try_deposit(&depositor, &token_id, &100, &depositor, &10),
+        Err(Ok(TimelockError::AlreadyLocked))
+    );
+}
+`,
+  },
+};
@@ -0,0 +1,153 @@
+import type { ContractTemplate } from './catalog';
+
+export const tokenTemplate: ContractTemplate = {
+  id: 'token',
+  name: 'Simple Token',
+  description:
+    'A fungible token with an admin who mints, balances in persistent storage and authorized transfers.',
+  difficulty: 'intermediate',
+  tags: ['token', 'auth', 'errors', 'constructor'],
+  sdkVersion: '22.0.0',
+  files: {
+    'src/lib.rs': `#![no_std]
+use soroban_sdk::{
+    contract, contracterror, contractimpl, contracttype, panic_with_error, symbol_short, Address,
+    Env, String,
+};
+
+#[contracttype]
+#[derive(Clone)]
+pub enum DataKey {
+    Admin,
+    Name,
+    TokenSymbol,
+    Balance(Address),
+}
+
+#[contracterror]
+#[derive(Copy, Clone, Debug, Eq, PartialEq, PartialOrd, Ord)]
+#[repr(u32)]
+pub enum TokenError {
+    NegativeAmount = 1,
+    InsufficientBalance = 2,
+}
+
+#[contract]
+pub struct TokenContract;
+
+#[contractimpl]
+impl TokenContract {
+    /// Runs once at deployment: stores the admin allowed to mint and the token metadata
+    pub fn __constructor(env: Env, admin: Address, name: String, symbol: String) {
+        env.storage().instance().set(&DataKey::Admin, &admin);
+        env.storage().instance().set(&DataKey::Name, &name);
+        env.storage().instance().set(&DataKey::TokenSymbol, &symbol);
+    }
+
+    /// Creates new tokens; must be authorized by the admin
+    pub fn mint(env: Env, to: Address, amount: i128) {
+        check_amount(&env, amount);
+        let admin: Address = env.storage().instance().get(&DataKey::Admin).unwrap();
+        admin.require_auth();
+
+        let balance = Self::balance(env.clone(), to.clone());
+        env.storage().persistent().set(&DataKey::Balance(to.clone()), &(balance + amount));
+        env.events().publish((symbol_short!("mint"), to), amount);
+    }
+
+    /// Moves tokens between accounts; must be authorized by the sender
+    pub fn transfer(env: Env, from: Address, to: Address, amount: i128) {
+        from.require_auth();
+        check_amount(&env, amount);
+
+        let from_balance = Self::balance(env.clone(), from.clone());
+        if from_balance < amount {
+            panic_with_error!(&env, TokenError::InsufficientBalance);
+        }
+        env.storage().persistent().set(&DataKey::Balance(from.clone()), &(from_balance - amount));
+
+        let to_balance = Self::balance(env.clone(), to.clone());
+        env.storage().persistent().set(&DataKey::Balance(to.clone()), &(to_balance + amount));
+        env.events().publish((symbol_short!("transfer"), from, to), amount);
+    }
+
+    pub fn balance(env: Env, id: Address) -> i128 {
+        env.storage().persistent().get(&DataKey::Balance(id)).unwrap_or(0)
+    }
+
+    pub fn name(env: Env) -> String {
+        env.storage().instance().get(&DataKey::Name).unwrap()
+    }
+
+    pub fn symbol(env: Env) -> String {
+        env.storage().instance().get(&DataKey::TokenSymbol).unwrap()
+    }
+
+    pub fn decimals(_env: Env) -> u32 {
+        7
+    }
+}
+
+fn check_amount(env: &Env, amount: i128) {
+    if amount < 0 {
+        panic_with_error!(env, TokenError::NegativeAmount);
+    }
+}
+
+mod test;
+`,
+    'src/test.rs': `#![cfg(test)]
+
+use super::{TokenContract, TokenContractClient, TokenError};
+use soroban_sdk::{testutils::Address as _, Address, Env, String};
+
+fn create_token<'a>(env: &'a Env, admin: &Address) -> TokenContractClient<'a> {
+    let contract_id = env.register(
+        TokenContract,
+        (
+            admin.clone(),
+            String::from_str(env, "Example Token"),
+            String::from_str(env, "EXT"),
+        ),
+    );
+    TokenContractClient::new(env, &contract_id)
+}
+
+#[test]
+fn mints_and_transfers() {
+    let env = Env::default();
+    env.mock_all_auths();
+    let admin = Address::generate(&env);
+    let alice = Address::generate(&env);
+    let bob = Address::generate(&env);
+    let token = create_token(&env, &admin);
+
+    token.mint(&alice, &1000);
+    token.transfer(&alice, &bob, &400);
+
+    assert_eq!(token.balance(&alice), 600);
+    assert_eq!(token.balance(&bob), 400);
+    assert_eq!(token.symbol(), String::from_str(&env, "EXT"));
+    assert_eq!(token.decimals(), 7);
+}
+
+#[test]
+fn rejects_transfers_above_the_balance() {
+    let env = Env::default();
+    env.mock_all_auths();
+    let admin = Address::generate(&env);
+    let alice = Address::generate(&env);
+    let bob = Address::generate(&env);
+    let token = create_token(&env, &admin);
+
+    token.mint(&alice, &100);
+
+    assert_eq!(
+        token.try_transfer(&alice, &bob, &101),
+        Err(Ok(TokenError::InsufficientBalance))
+    );
+    assert_eq!(token.balance(&alice), 100);
+}
+`,
+  },
+};
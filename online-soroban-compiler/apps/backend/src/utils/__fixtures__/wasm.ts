@@ -0,0 +1,168 @@
+/**
+ * Builders for small wasm modules and contract specs used by tests
+ */
+
+/** Encodes an unsigned LEB128 integer */
+export function leb128(value: number): number[] {
+  const bytes: number[] = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value !== 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (value !== 0);
+  return bytes;
+}
+
+/** Encodes a wasm name (length-prefixed UTF-8) */
+function wasmName(name: string): number[] {
+  const bytes = [...Buffer.from(name, 'utf8')];
+  return [...leb128(bytes.length), ...bytes];
+}
+
+/** Builds a section with the given id and payload */
+export function section(id: number, payload: number[]): number[] {
+  return [id, ...leb128(payload.length), ...payload];
+}
+
+/** Builds a custom section */
+export function customSection(name: string, payload: Uint8Array | number[]): number[] {
+  return section(0, [...wasmName(name), ...payload]);
+}
+
+/** Builds an export section exporting functions by name */
+export function exportSection(names: string[]): number[] {
+  const entries = names.flatMap((name, index) => [...wasmName(name), 0x00, ...leb128(index)]);
+  return section(7, [...leb128(names.length), ...entries]);
+}
+
+/** Assembles a module from sections */
+export function wasmModule(...sections: number[][]): Buffer {
+  return Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, ...sections.flat()]);
+}
+
+/** XDR encoders for contract spec entries */
+export const xdr = {
+  uint32(value: number): number[] {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return [...bytes];
+  },
+  string(value: string): number[] {
+    const bytes = [...Buffer.from(value, 'utf8')];
+    const padding = (4 - (bytes.length % 4)) % 4;
+    return [...xdr.uint32(bytes.length), ...bytes, ...new Array<number>(padding).fill(0)];
+  },
+  array(items: number[][]): number[] {
+    return [...xdr.uint32(items.length), ...items.flat()];
+  },
+};
+
+/** XDR encoding of common `SCSpecTypeDef` values */
+export const specType = {
+  u32: xdr.uint32(4),
+  i128: xdr.uint32(11),
+  symbol: xdr.uint32(17),
+  address: xdr.uint32(19),
+  vec: (element: number[]) => [...xdr.uint32(1002), ...element],
+  option: (value: number[]) => [...xdr.uint32(1000), ...value],
+  udt: (name: string) => [...xdr.uint32(2000), ...xdr.string(name)],
+};
+
+/** Encodes a function spec entry */
+export function specFunction(
+  name: string,
+  inputs: Array<[string, number[]]>,
+  outputs: number[][],
+  doc = ''
+): number[] {
+  return [
+    ...xdr.uint32(0),
+    ...xdr.string(doc),
+    ...xdr.string(name),
+    ...xdr.array(inputs.map(([input, type]) => [...xdr.string(''), ...xdr.string(input), ...type])),
+    ...xdr.array(outputs),
+  ];
+}
+
+/** Encodes a struct spec entry */
+export function specStruct(name: string, fields: Array<[string, number[]]>, doc = ''): number[] {
+  return [
+    ...xdr.uint32(1),
+    ...xdr.string(doc),
+    ...xdr.string(''),
+    ...xdr.string(name),
+    ...xdr.array(fields.map(([field, type]) => [...xdr.string(''), ...xdr.string(field), ...type])),
+  ];
+}
+
+/** Encodes a union spec entry; cases without types are void cases */
+export function specUnion(name: string, cases: Array<[string, number[][]]>): number[] {
+  return [
+    ...xdr.uint32(2),
+    ...xdr.string(''),
+    ...xdr.string(''),
+    ...xdr.string(name),
+    ...xdr.array(
+      cases.map(([caseName, types]) =>
+        types.length === 0
+          ? [...xdr.uint32(0), ...xdr.string(''), ...xdr.string(caseName)]
+          : [...xdr.uint32(1), ...xdr.string(''), ...xdr.string(caseName), ...xdr.array(types)]
+      )
+    ),
+  ];
+}
+
+/** Encodes an enum or error enum spec entry */
+export function specEnum(
+  kind: 'enum' | 'error_enum',
+  name: string,
+  cases: Array<[string, number]>
+): number[] {
+  return [
+    ...xdr.uint32(kind === 'enum' ? 3 : 4),
+    ...xdr.string(''),
+    ...xdr.string(''),
+    ...xdr.string(name),
+    ...xdr.array(
+      cases.map(([caseName, value]) => [
+        ...xdr.string(''),
+        ...xdr.string(caseName),
+        ...xdr.uint32(value),
+      ])
+    ),
+  ];
+}
+
+/** Encodes an event spec entry whose parameters are all topics but the last */
+export function specEvent(name: string, prefix: string, params: Array<[string, number[]]>) {
+  return [
+    ...xdr.uint32(5),
+    ...xdr.string(''),
+    ...xdr.string(''),
+    ...xdr.string(name),
+    ...xdr.array([xdr.string(prefix)]),
+    ...xdr.array(
+      params.map(([param, type], index) => [
+        ...xdr.string(''),
+        ...xdr.string(param),
+        ...type,
+        ...xdr.uint32(index === params.length - 1 ? 0 : 1),
+      ])
+    ),
+    ...xdr.uint32(0),
+  ];
+}
+
+/** A module shaped like the hello world contract: `hello(to: Symbol) -> Vec<Symbol>` */
+export function helloWorldContract(): Buffer {
+  return wasmModule(
+    exportSection(['hello']),
+    customSection(
+      'contractspecv0',
+      specFunction('hello', [['to', specType.symbol]], [specType.vec(specType.symbol)])
+    )
+  );
+}
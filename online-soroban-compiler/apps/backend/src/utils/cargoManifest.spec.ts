@@ -0,0 +1,83 @@
+import {
+  buildCargoManifest,
+  checkDependencies,
+  DependencyNotAllowedError,
+  type DependencyPolicy,
+} from './cargoManifest';
+
+const POLICY: DependencyPolicy = {
+  allowed: { 'soroban-token-sdk': '>=21.0.0, <23.0.0' },
+  sdkVersions: ['22.0.0', '21.7.7'],
+};
+
+describe('checkDependencies', () => {
+  it('should accept allowed crates and SDK versions', () => {
+    expect(
+      checkDependencies(
+        { sdkVersion: '21.7.7', dependencies: { 'soroban-token-sdk': '21.7.7' } },
+        POLICY
+      )
+    ).toEqual([]);
+  });
+
+  it('should report every violation', () => {
+    expect(
+      checkDependencies(
+        {
+          sdkVersion: '20.0.0',
+          dependencies: {
+            'soroban-sdk': '22.0.0',
+            rand: '0.8',
+            'soroban-token-sdk': '>=20',
+            constructor: '1',
+          },
+        },
+        POLICY
+      )
+    ).toEqual([
+      'soroban-sdk 20.0.0 is not available (choose one of 22.0.0, 21.7.7)',
+      'soroban-sdk is always included; choose its version with sdkVersion',
+      'crate "rand" is not on the dependency allowlist',
+      'soroban-token-sdk ">=20" is outside the allowed versions ">=21.0.0, <23.0.0"',
+      'crate "constructor" is not on the dependency allowlist',
+    ]);
+  });
+
+  it('should report unparsable version requirements', () => {
+    expect(checkDependencies({ dependencies: { 'soroban-token-sdk': 'latest' } }, POLICY)).toEqual([
+      'soroban-token-sdk: "latest" is not a supported version requirement',
+    ]);
+  });
+});
+
+describe('buildCargoManifest', () => {
+  it('should generate a library manifest for the default SDK version', () => {
+    const manifest = buildCargoManifest({}, POLICY);
+
+    expect(manifest).toContain('[package]\nname = "soroban-contract"');
+    expect(manifest).toContain('[lib]\npath = "src/lib.rs"\ncrate-type = ["lib", "cdylib"]');
+    expect(manifest).toContain('[dependencies]\nsoroban-sdk = "22.0.0"\n');
+    expect(manifest).toContain(
+      '[dev-dependencies]\nsoroban-sdk = { version = "22.0.0", features = ["testutils"] }'
+    );
+    expect(manifest).toContain('[profile.release]\nopt-level = "z"');
+    expect(manifest).not.toContain('[[bin]]');
+  });
+
+  it('should add the requested crates after soroban-sdk', () => {
+    const manifest = buildCargoManifest(
+      { sdkVersion: '21.7.7', dependencies: { 'soroban-token-sdk': '~21.7' } },
+      POLICY
+    );
+
+    expect(manifest).toContain(
+      '[dependencies]\nsoroban-sdk = "21.7.7"\nsoroban-token-sdk = "~21.7"\n'
+    );
+  });
+
+  it('should throw when the policy rejects the request', () => {
+    expect(() => buildCargoManifest({ dependencies: { rand: '0.8' } }, POLICY)).toThrow(
+      new DependencyNotAllowedError(['crate "rand" is not on the dependency allowlist'])
+    );
+  });
+});
@@ -0,0 +1,157 @@
+import { inlineTable, stringifyToml, type TomlTable } from './toml';
+import { InvalidVersionReqError, isWithinVersionReq } from './versionReq';
+
+/**
+ * Package name of every generated project. The stellar CLI selects the
+ * contract by it, and its library target becomes `soroban_contract.wasm`.
+ */
+export const CONTRACT_PACKAGE_NAME = 'soroban-contract';
+
+/** The SDK crate, whose version is chosen with `sdkVersion` instead of `dependencies` */
+const SDK_CRATE = 'soroban-sdk';
+
+/**
+ * Which crates projects may depend on
+ */
+export interface DependencyPolicy {
+  /** Allowed crates mapped to the version requirement requested versions must stay within */
+  allowed: Record<string, string>;
+  /** soroban-sdk versions projects can build against; the first is the default */
+  sdkVersions: string[];
+}
+
+/**
+ * Policy used unless `DEPENDENCY_ALLOWLIST` and `SOROBAN_SDK_VERSIONS` configure another
+ */
+export const DEFAULT_DEPENDENCY_POLICY: DependencyPolicy = {
+  allowed: {
+    'soroban-token-sdk': '>=21.0.0, <23.0.0',
+    'soroban-fixed-point-math': '^1.0.0',
+  },
+  sdkVersions: ['22.0.0', '21.7.7'],
+};
+
+/**
+ * Dependency choices of a project
+ */
+export interface ManifestOptions {
+  /** soroban-sdk version (default: the policy's default) */
+  sdkVersion?: string;
+  /** Additional crates mapped to version requirements */
+  dependencies?: Record<string, string>;
+}
+
+/**
+ * Thrown when a project asks for crates or versions the policy does not allow
+ */
+export class DependencyNotAllowedError extends Error {
+  constructor(readonly problems: string[]) {
+    super(`Dependencies not allowed: ${problems.join('; ')}`);
+    this.name = 'DependencyNotAllowedError';
+  }
+}
+
+/**
+ * Checks a project's dependency choices against the policy
+ *
+ * @param options - Requested soroban-sdk version and dependencies
+ * @param policy - Allowed crates and SDK versions
+ * @returns A description of every violation; empty when the choices are allowed
+ */
+export function checkDependencies(options: ManifestOptions, policy: DependencyPolicy): string[] {
+  const problems: string[] = [];
+  const { sdkVersion, dependencies = {} } = options;
+
+  if (policy.sdkVersions.length === 0) {
+    problems.push('no soroban-sdk versions are configured');
+  } else if (sdkVersion !== undefined && !policy.sdkVersions.includes(sdkVersion)) {
+    problems.push(
+      `soroban-sdk ${sdkVersion} is not available (choose one of ${policy.sdkVersions.join(', ')})`
+    );
+  }
+
+  for (const [name, requirement] of Object.entries(dependencies)) {
+    if (name === SDK_CRATE) {
+      problems.push(`${SDK_CRATE} is always included; choose its version with sdkVersion`);
+      continue;
+    }
+
+    const allowed = Object.hasOwn(policy.allowed, name) ? policy.allowed[name] : undefined;
+    if (allowed === undefined) {
+      problems.push(`crate "${name}" is not on the dependency allowlist`);
+      continue;
+    }
+
+    try {
+      if (!isWithinVersionReq(requirement, allowed)) {
+        problems.push(`${name} "${requirement}" is outside the allowed versions "${allowed}"`);
+      }
+    } catch (error) {
+      if (!(error instanceof InvalidVersionReqError)) {
+        throw error;
+      }
+      problems.push(`${name}: ${error.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Generates the Cargo.toml of a contract project
+ *
+ * @param options - Requested soroban-sdk version and dependencies
+ * @param policy - Allowed crates and SDK versions
+ * @returns The manifest text
+ * @throws DependencyNotAllowedError if the policy rejects the choices
+ */
+export function buildCargoManifest(options: ManifestOptions, policy: DependencyPolicy): string {
+  const problems = checkDependencies(options, policy);
+  const sdkVersion = options.sdkVersion ?? policy.sdkVersions[0];
+  if (problems.length > 0 || sdkVersion === undefined) {
+    throw new DependencyNotAllowedError(problems);
+  }
+
+  const dependencies: TomlTable = { [SDK_CRATE]: sdkVersion };
+  const extras = Object.entries(options.dependencies ?? {}).sort(([a], [b]) => a.localeCompare(b));
+  for (const [name, requirement] of extras) {
+    dependencies[name] = requirement;
+  }
+
+  return stringifyToml({
+    package: {
+      name: CONTRACT_PACKAGE_NAME,
+      version: '0.1.0',
+      edition: '2021',
+      publish: false,
+    },
+    lib: {
+      path: 'src/lib.rs',
+      // `lib` lets integration tests under tests/ link against the contract
+      'crate-type': ['lib', 'cdylib'],
+    },
+    dependencies,
+    'dev-dependencies': {
+      [SDK_CRATE]: inlineTable({ version: sdkVersion, features: ['testutils'] }),
+    },
+    features: {
+      testutils: [`${SDK_CRATE}/testutils`],
+    },
+    profile: {
+      release: {
+        'opt-level': 'z',
+        'overflow-checks': true,
+        debug: 0,
+        strip: 'symbols',
+        'debug-assertions': false,
+        panic: 'abort',
+        'codegen-units': 1,
+        lto: true,
+      },
+      'release-with-logs': {
+        inherits: 'release',
+        'debug-assertions': true,
+      },
+    },
+  });
+}
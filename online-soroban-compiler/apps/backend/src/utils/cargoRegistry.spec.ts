@@ -0,0 +1,49 @@
+import { promises as fs } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { cachedCrateVersions } from './cargoRegistry';
+
+describe('cachedCrateVersions', () => {
+  let home: string;
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(join(tmpdir(), 'cargo-home-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(home, { recursive: true, force: true });
+  });
+
+  async function cache(registry: string, files: string[]): Promise<void> {
+    const dir = join(home, 'registry', 'cache', registry);
+    await fs.mkdir(dir, { recursive: true });
+    await Promise.all(files.map((file) => fs.writeFile(join(dir, file), '')));
+  }
+
+  it('should list cached versions of a crate across registries, newest first', async () => {
+    await cache('index.crates.io-6f17d22bba15001f', [
+      'soroban-sdk-21.7.7.crate',
+      'soroban-sdk-22.0.7.crate',
+      'soroban-sdk-macros-22.0.7.crate',
+      'soroban-env-host-22.1.0.crate',
+    ]);
+    await cache('index.crates.io-1949cf8c6b5b557f', [
+      'soroban-sdk-22.0.10.crate',
+      'soroban-sdk-22.0.7.crate',
+      'soroban-sdk-23.0.0-rc.1.crate',
+      'soroban-sdk-22.0.10-rc.2.crate',
+    ]);
+
+    expect(await cachedCrateVersions('soroban-sdk', home)).toEqual([
+      '23.0.0-rc.1',
+      '22.0.10',
+      '22.0.10-rc.2',
+      '22.0.7',
+      '21.7.7',
+    ]);
+  });
+
+  it('should find nothing without a registry cache', async () => {
+    expect(await cachedCrateVersions('soroban-sdk', home)).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { promises as fs } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Cargo home holding the registry cache and installed tools: `$CARGO_HOME` or `~/.cargo`
+ */
+export function cargoHome(): string {
+  return process.env.CARGO_HOME ?? join(homedir(), '.cargo');
+}
+
+/**
+ * Orders versions such as `22.0.7` and `22.0.0-rc.3` newest first; releases
+ * come before their pre-releases
+ */
+function compareVersionsDescending(a: string, b: string): number {
+  const core = (version: string) =>
+    (version.split(/[-+]/)[0] ?? '').split('.').map((part) => Number.parseInt(part, 10) || 0);
+  const [left, right] = [core(a), core(b)];
+  for (let i = 0; i < 3; i++) {
+    const difference = (right[i] ?? 0) - (left[i] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  const isPreRelease = (version: string) => version.includes('-');
+  if (isPreRelease(a) !== isPreRelease(b)) {
+    return isPreRelease(a) ? 1 : -1;
+  }
+  return b.localeCompare(a);
+}
+
+/**
+ * Lists the versions of a crate cargo has downloaded into its registry cache,
+ * i.e. those builds can use without fetching them first
+ *
+ * @param crate - Crate name, e.g. `soroban-sdk`
+ * @param home - Cargo home to look in (default: {@link cargoHome})
+ * @returns Versions, newest first; none if the cache does not exist
+ */
+export async function cachedCrateVersions(crate: string, home = cargoHome()): Promise<string[]> {
+  const cacheDir = join(home, 'registry', 'cache');
+  let registries: string[];
+  try {
+    registries = await fs.readdir(cacheDir);
+  } catch {
+    return [];
+  }
+
+  // `soroban-sdk-22.0.7.crate`, but not `soroban-sdk-macros-22.0.7.crate`
+  const prefix = `${crate}-`;
+  const versions = new Set<string>();
+  for (const registry of registries) {
+    const files = await fs.readdir(join(cacheDir, registry)).catch(() => [] as string[]);
+    for (const file of files) {
+      const version = file.startsWith(prefix) ? file.slice(prefix.length, -'.crate'.length) : '';
+      if (file.endsWith('.crate') && /^\d+\.\d+\.\d+/.test(version)) {
+        versions.add(version);
+      }
+    }
+  }
+  return Array.from(versions).sort(compareVersionsDescending);
+}
@@ -1,5 +1,10 @@
 import { jest } from '@jest/globals';
-import { executeCommand, CommandTimeoutError } from './commandExecutor';
+import {
+  executeCommand,
+  terminateRunningCommands,
+  CommandTimeoutError,
+  KILL_GRACE_MS,
+} from './commandExecutor';
 import type { ChildProcess } from 'child_process';
 
 // Mock child_process.spawn
@@ -68,6 +73,7 @@ describe('CommandExecutor', () => {
       expect(mockSpawn).toHaveBeenCalledWith(command, args, {
         cwd: undefined,
         env: process.env,
+        detached: true,
       });
 
       expect(result).toEqual({
@@ -202,6 +208,7 @@ describe('CommandExecutor', () => {
       expect(mockSpawn).toHaveBeenCalledWith(command, args, {
         cwd: '/tmp',
         env: process.env,
+        detached: true,
       });
     });
 
@@ -237,6 +244,7 @@ describe('CommandExecutor', () => {
           ...process.env,
           CUSTOM_VAR: 'test',
         },
+        detached: true,
       });
     });
 
@@ -389,5 +397,134 @@ describe('CommandExecutor', () => {
       expect(result.stdout).toBe('output with spaces');
       expect(result.stderr).toBe('error with spaces');
     });
+
+    it('should stream complete lines to onLine as output arrives', async () => {
+      const command = 'cargo';
+      const args = ['build'];
+
+      const mockChild = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn(),
+        kill: jest.fn(),
+      } as unknown as ChildProcess;
+
+      mockSpawn.mockReturnValue(mockChild);
+
+      // Mock stdout data split across chunk boundaries
+      const mockStdoutOn = mockChild.stdout!.on as jest.Mock;
+      mockStdoutOn.mockImplementation((event, callback) => {
+        if (event === 'data') {
+          (callback as (data: Buffer) => void)(Buffer.from('first li'));
+          (callback as (data: Buffer) => void)(Buffer.from('ne\r\nsecond line\nunterminated'));
+        }
+      });
+
+      // Mock stderr data
+      const mockStderrOn = mockChild.stderr!.on as jest.Mock;
+      mockStderrOn.mockImplementation((event, callback) => {
+        if (event === 'data') {
+          (callback as (data: Buffer) => void)(Buffer.from('   Compiling soroban-sdk\n'));
+        }
+      });
+
+      // Mock close event
+      const mockOn = mockChild.on as jest.Mock;
+      mockOn.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          process.nextTick(() => (callback as (code: number) => void)(0));
+        }
+      });
+
+      const onLine = jest.fn();
+      const promise = executeCommand(command, args, { onLine });
+      jest.runAllTimers();
+      const result = await promise;
+
+      expect(onLine.mock.calls).toEqual([
+        ['first line', 'stdout'],
+        ['second line', 'stdout'],
+        ['   Compiling soroban-sdk', 'stderr'],
+        ['unterminated', 'stdout'],
+      ]);
+      expect(result.stdout).toBe('first line\r\nsecond line\nunterminated');
+    });
+
+    it('should stop the whole process group on timeout, killing it after a grace period', async () => {
+      const mockChild = {
+        pid: 4242,
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn(),
+        kill: jest.fn(),
+      } as unknown as ChildProcess;
+      mockSpawn.mockReturnValue(mockChild);
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+      const promise = executeCommand('cargo', ['build'], { timeout: 1000 });
+      jest.advanceTimersByTime(1000);
+
+      await expect(promise).rejects.toThrow(CommandTimeoutError);
+      expect(kill).toHaveBeenCalledWith(-4242, 'SIGTERM');
+      expect(kill).not.toHaveBeenCalledWith(-4242, 'SIGKILL');
+
+      jest.advanceTimersByTime(KILL_GRACE_MS);
+      expect(kill).toHaveBeenCalledWith(-4242, 'SIGKILL');
+      expect(mockChild.kill).not.toHaveBeenCalled();
+    });
+
+    it('should not kill a command that exits within the grace period', async () => {
+      let close: (code: number) => void = () => {};
+      const mockChild = {
+        pid: 4243,
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event: string, callback: (code: number) => void) => {
+          if (event === 'close') {
+            close = callback;
+          }
+        }),
+        kill: jest.fn(),
+      } as unknown as ChildProcess;
+      mockSpawn.mockReturnValue(mockChild);
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+      const promise = executeCommand('cargo', ['build'], { timeout: 1000 });
+      jest.advanceTimersByTime(1000);
+      await expect(promise).rejects.toThrow(CommandTimeoutError);
+      close(143);
+      jest.advanceTimersByTime(KILL_GRACE_MS);
+
+      expect(kill).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('terminateRunningCommands', () => {
+    it('should signal the process groups of running commands', async () => {
+      let close: (code: number) => void = () => {};
+      const mockChild = {
+        pid: 4244,
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event: string, callback: (code: number) => void) => {
+          if (event === 'close') {
+            close = callback;
+          }
+        }),
+        kill: jest.fn(),
+      } as unknown as ChildProcess;
+      mockSpawn.mockReturnValue(mockChild);
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+      const promise = executeCommand('cargo', ['test']);
+
+      // Commands of earlier tests that timed out never exited
+      const running = terminateRunningCommands();
+      expect(kill).toHaveBeenCalledWith(-4244, 'SIGTERM');
+
+      close(143);
+      await expect(promise).resolves.toMatchObject({ exitCode: 143 });
+      expect(terminateRunningCommands()).toBe(running - 1);
+    });
   });
 });
@@ -1,4 +1,7 @@
 import { spawn, type SpawnOptionsWithoutStdio, type ChildProcess } from 'child_process';
+import { basename } from 'node:path';
+import { logger } from './logger';
+import { currentRequestId } from './requestContext';
 
 export interface ExecuteOptions {
   /** Working directory for the command */
@@ -7,8 +10,17 @@ export interface ExecuteOptions {
   env?: Record<string, string>;
   /** Timeout in milliseconds (default: 30000) */
   timeout?: number;
+  /** Called with each line of output as soon as it is produced (streaming mode) */
+  onLine?: (line: string, stream: OutputStream) => void;
+  /** Request the command runs for, logged with it (default: the current request) */
+  requestId?: string;
 }
 
+/**
+ * Output stream a line was read from
+ */
+export type OutputStream = 'stdout' | 'stderr';
+
 export interface CommandResult {
   /** Exit code of the command */
   exitCode: number;
@@ -25,11 +37,71 @@ export class CommandTimeoutError extends Error {
   }
 }
 
+/** How long a timed out command gets to exit after SIGTERM before it is killed */
+export const KILL_GRACE_MS = 5000;
+
+/**
+ * Logs how long each command ran and how it ended
+ */
+const commandLogger = logger.child({ component: 'command' });
+
+/** Commands that have not exited yet */
+const runningCommands = new Set<ChildProcess>();
+
+/**
+ * Signals a command and every process it started. Commands run in their own
+ * process group, so cargo's rustc and build script processes are reached too.
+ */
+export function killProcessGroup(child: ChildProcess, signal: NodeJS.Signals): void {
+  if (child.pid !== undefined) {
+    try {
+      process.kill(-child.pid, signal);
+      return;
+    } catch {
+      // The group is gone or was never created; signal the command itself
+    }
+  }
+  child.kill(signal);
+}
+
+/**
+ * Signals every running command, e.g. when the server shuts down
+ *
+ * @returns Number of commands signalled
+ */
+export function terminateRunningCommands(signal: NodeJS.Signals = 'SIGTERM'): number {
+  runningCommands.forEach((child) => killProcessGroup(child, signal));
+  return runningCommands.size;
+}
+
+/**
+ * Splits chunked output into complete lines, holding back a trailing partial line
+ *
+ * @param emit - Receives each complete line
+ */
+function createLineSplitter(emit: (line: string) => void) {
+  let pending = '';
+
+  return {
+    push(chunk: string): void {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop() ?? '';
+      lines.forEach(emit);
+    },
+    flush(): void {
+      if (pending.length > 0) {
+        emit(pending);
+        pending = '';
+      }
+    },
+  };
+}
+
 /**
  * Executes a shell command with timeout and proper output capture
  * @param command The command to execute
  * @param args Command arguments
- * @param options Execution options
+ * @param options Execution options; pass `onLine` to receive output while the command runs
  * @returns Promise that resolves with command result
  * @throws CommandTimeoutError if command exceeds timeout
  */
@@ -38,39 +110,65 @@ export async function executeCommand(
   args: string[] = [],
   options: ExecuteOptions = {}
 ): Promise<CommandResult> {
-  const { cwd, env, timeout = 30000 } = options;
+  const { cwd, env, timeout = 30000, onLine, requestId = currentRequestId() } = options;
+  const startTime = Date.now();
+  // Arguments may hold user input such as contract function arguments, so only the program is logged
+  const fields = { ...(requestId ? { requestId } : {}), command: basename(command) };
 
   return new Promise((resolve, reject) => {
     const spawnOptions: SpawnOptionsWithoutStdio = {
       cwd,
       env: env ? { ...process.env, ...env } : process.env,
+      // Leads a new process group so timeouts can stop everything the command started
+      detached: true,
     };
 
     const child: ChildProcess = spawn(command, args, spawnOptions);
+    runningCommands.add(child);
+    let killTimer: NodeJS.Timeout | undefined;
     let stdout = '';
     let stderr = '';
+    const stdoutLines = onLine ? createLineSplitter((line) => onLine(line, 'stdout')) : null;
+    const stderrLines = onLine ? createLineSplitter((line) => onLine(line, 'stderr')) : null;
     const timeoutId: NodeJS.Timeout = setTimeout(() => {
-      child.kill('SIGTERM');
+      killProcessGroup(child, 'SIGTERM');
+      // Processes ignoring SIGTERM are killed once the grace period is over
+      killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+      commandLogger.warn('Command timed out', { ...fields, timeoutMs: timeout });
       reject(new CommandTimeoutError(timeout));
     }, timeout);
 
     // Capture stdout
     if (child.stdout) {
       child.stdout.on('data', (data) => {
-        stdout += data.toString();
+        const text = data.toString();
+        stdout += text;
+        stdoutLines?.push(text);
       });
     }
 
     // Capture stderr
     if (child.stderr) {
       child.stderr.on('data', (data) => {
-        stderr += data.toString();
+        const text = data.toString();
+        stderr += text;
+        stderrLines?.push(text);
       });
     }
 
     // Handle process completion
     child.on('close', (code) => {
       clearTimeout(timeoutId);
+      clearTimeout(killTimer);
+      runningCommands.delete(child);
+      stdoutLines?.flush();
+      stderrLines?.flush();
+      commandLogger.debug('Command finished', {
+        ...fields,
+        exitCode: code ?? -1,
+        durationMs: Date.now() - startTime,
+      });
       resolve({
         exitCode: code ?? -1,
         stdout: stdout.trim(),
@@ -81,6 +179,9 @@ export async function executeCommand(
     // Handle spawn errors
     child.on('error', (error) => {
       clearTimeout(timeoutId);
+      clearTimeout(killTimer);
+      runningCommands.delete(child);
+      commandLogger.warn('Command failed to start', { ...fields, error });
       reject(error);
     });
   });
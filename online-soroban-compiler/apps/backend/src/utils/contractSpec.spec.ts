@@ -0,0 +1,110 @@
+import {
+  decodeEncodedSpecEntries,
+  decodeSpecEntries,
+  readContractSpec,
+  formatSignature,
+  formatSpecType,
+  InvalidContractSpecError,
+  type SpecFunction,
+} from './contractSpec';
+import { helloWorldContract, specFunction, specType, wasmModule, xdr } from './__fixtures__/wasm';
+
+describe('contractSpec', () => {
+  describe('decodeSpecEntries', () => {
+    it('should decode function entries', () => {
+      const entries = decodeSpecEntries(
+        Uint8Array.from(
+          specFunction(
+            'transfer',
+            [
+              ['from', specType.address],
+              ['amount', specType.i128],
+            ],
+            [],
+            'Moves tokens'
+          )
+        )
+      );
+
+      expect(entries).toEqual([
+        {
+          kind: 'function',
+          doc: 'Moves tokens',
+          name: 'transfer',
+          inputs: [
+            { doc: '', name: 'from', type: { type: 'address' } },
+            { doc: '', name: 'amount', type: { type: 'i128' } },
+          ],
+          outputs: [],
+        },
+      ]);
+    });
+
+    it('should decode error enums', () => {
+      const entry = [
+        ...xdr.uint32(4),
+        ...xdr.string(''),
+        ...xdr.string(''),
+        ...xdr.string('Error'),
+        ...xdr.array([[...xdr.string(''), ...xdr.string('NotFound'), ...xdr.uint32(1)]]),
+      ];
+
+      expect(decodeSpecEntries(Uint8Array.from(entry))).toEqual([
+        {
+          kind: 'error_enum',
+          doc: '',
+          lib: '',
+          name: 'Error',
+          cases: [{ doc: '', name: 'NotFound', value: 1 }],
+        },
+      ]);
+    });
+
+    it('should reject unknown types', () => {
+      const entry = specFunction('broken', [['x', xdr.uint32(999)]], []);
+
+      expect(() => decodeSpecEntries(Uint8Array.from(entry))).toThrow(InvalidContractSpecError);
+    });
+
+    it('should reject truncated data', () => {
+      const entry = specFunction('hello', [], []).slice(0, -2);
+
+      expect(() => decodeSpecEntries(Uint8Array.from(entry))).toThrow('unexpected end of data');
+    });
+
+    it('should keep the XDR of each entry', () => {
+      const hello = specFunction('hello', [['to', specType.symbol]], []);
+      const version = specFunction('version', [], [specType.u32]);
+
+      const entries = decodeEncodedSpecEntries(Uint8Array.from([...hello, ...version]));
+
+      expect(entries.map(({ entry }) => entry.name)).toEqual(['hello', 'version']);
+      expect(entries.map(({ xdr }) => [...xdr])).toEqual([hello, version]);
+    });
+  });
+
+  describe('readContractSpec', () => {
+    it('should read the spec from a compiled contract', () => {
+      const [hello] = readContractSpec(helloWorldContract());
+
+      expect(formatSignature(hello as SpecFunction)).toBe('hello(to: Symbol) -> Vec<Symbol>');
+    });
+
+    it('should return no entries for modules without a spec', () => {
+      expect(readContractSpec(wasmModule())).toEqual([]);
+    });
+  });
+
+  describe('formatSpecType', () => {
+    it('should render nested types', () => {
+      expect(
+        formatSpecType({
+          type: 'option',
+          valueType: { type: 'map', keyType: { type: 'address' }, valueType: { type: 'u32' } },
+        })
+      ).toBe('Option<Map<Address, u32>>');
+      expect(formatSpecType({ type: 'bytes_n', n: 32 })).toBe('BytesN<32>');
+      expect(formatSpecType({ type: 'udt', name: 'DataKey' })).toBe('DataKey');
+    });
+  });
+});
@@ -0,0 +1,372 @@
+import { readCustomSection } from './wasmInspector';
+
+/** Name of the custom section the Soroban SDK writes the contract interface to */
+export const CONTRACT_SPEC_SECTION = 'contractspecv0';
+
+/**
+ * Thrown when the contract spec section cannot be decoded
+ */
+export class InvalidContractSpecError extends Error {
+  constructor(reason: string) {
+    super(`Invalid contract spec: ${reason}`);
+    this.name = 'InvalidContractSpecError';
+  }
+}
+
+/**
+ * Types without parameters, keyed by their `SCSpecType` discriminant
+ */
+const PRIMITIVE_TYPES = {
+  0: 'val',
+  1: 'bool',
+  2: 'void',
+  3: 'error',
+  4: 'u32',
+  5: 'i32',
+  6: 'u64',
+  7: 'i64',
+  8: 'timepoint',
+  9: 'duration',
+  10: 'u128',
+  11: 'i128',
+  12: 'u256',
+  13: 'i256',
+  14: 'bytes',
+  16: 'string',
+  17: 'symbol',
+  19: 'address',
+  20: 'muxed_address',
+} as const;
+
+export type PrimitiveSpecType = (typeof PRIMITIVE_TYPES)[keyof typeof PRIMITIVE_TYPES];
+
+/**
+ * A type as described by the contract spec (`SCSpecTypeDef`)
+ */
+export type SpecTypeDef =
+  | { type: PrimitiveSpecType }
+  | { type: 'option'; valueType: SpecTypeDef }
+  | { type: 'result'; okType: SpecTypeDef; errorType: SpecTypeDef }
+  | { type: 'vec'; elementType: SpecTypeDef }
+  | { type: 'map'; keyType: SpecTypeDef; valueType: SpecTypeDef }
+  | { type: 'tuple'; valueTypes: SpecTypeDef[] }
+  | { type: 'bytes_n'; n: number }
+  | { type: 'udt'; name: string };
+
+/**
+ * A named, typed value: function input, struct field or event parameter
+ */
+export interface SpecField {
+  doc: string;
+  name: string;
+  type: SpecTypeDef;
+}
+
+export interface SpecFunction {
+  kind: 'function';
+  doc: string;
+  name: string;
+  inputs: SpecField[];
+  outputs: SpecTypeDef[];
+}
+
+export interface SpecStruct {
+  kind: 'struct';
+  doc: string;
+  lib: string;
+  name: string;
+  fields: SpecField[];
+}
+
+export interface SpecUnion {
+  kind: 'union';
+  doc: string;
+  lib: string;
+  name: string;
+  cases: Array<{ doc: string; name: string; types: SpecTypeDef[] }>;
+}
+
+export interface SpecEnum {
+  kind: 'enum' | 'error_enum';
+  doc: string;
+  lib: string;
+  name: string;
+  cases: Array<{ doc: string; name: string; value: number }>;
+}
+
+export interface SpecEvent {
+  kind: 'event';
+  doc: string;
+  lib: string;
+  name: string;
+  prefixTopics: string[];
+  params: Array<SpecField & { location: 'data' | 'topic_list' }>;
+  dataFormat: 'single_value' | 'vec' | 'map';
+}
+
+/**
+ * One entry of the contract spec (`SCSpecEntry`)
+ */
+export type SpecEntry = SpecFunction | SpecStruct | SpecUnion | SpecEnum | SpecEvent;
+
+/**
+ * Reader for XDR encoded data (RFC 4506): big-endian, 4-byte aligned
+ */
+class XdrReader {
+  private offset = 0;
+  private readonly view: DataView;
+
+  constructor(private readonly bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  get done(): boolean {
+    return this.offset >= this.bytes.length;
+  }
+
+  get position(): number {
+    return this.offset;
+  }
+
+  uint32(): number {
+    if (this.offset + 4 > this.bytes.length) {
+      throw new InvalidContractSpecError('unexpected end of data');
+    }
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  int32(): number {
+    const value = this.uint32();
+    return value | 0;
+  }
+
+  string(): string {
+    const length = this.uint32();
+    if (this.offset + length > this.bytes.length) {
+      throw new InvalidContractSpecError('string exceeds data');
+    }
+    const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length + ((4 - (length % 4)) % 4);
+    return value;
+  }
+
+  array<T>(readItem: () => T): T[] {
+    const count = this.uint32();
+    const items: T[] = [];
+    for (let i = 0; i < count; i++) {
+      items.push(readItem());
+    }
+    return items;
+  }
+}
+
+function readTypeDef(reader: XdrReader): SpecTypeDef {
+  const discriminant = reader.int32();
+
+  if (discriminant in PRIMITIVE_TYPES) {
+    return { type: PRIMITIVE_TYPES[discriminant as keyof typeof PRIMITIVE_TYPES] };
+  }
+
+  switch (discriminant) {
+    case 1000:
+      return { type: 'option', valueType: readTypeDef(reader) };
+    case 1001:
+      return { type: 'result', okType: readTypeDef(reader), errorType: readTypeDef(reader) };
+    case 1002:
+      return { type: 'vec', elementType: readTypeDef(reader) };
+    case 1004:
+      return { type: 'map', keyType: readTypeDef(reader), valueType: readTypeDef(reader) };
+    case 1005:
+      return { type: 'tuple', valueTypes: reader.array(() => readTypeDef(reader)) };
+    case 1006:
+      return { type: 'bytes_n', n: reader.uint32() };
+    case 2000:
+      return { type: 'udt', name: reader.string() };
+    default:
+      throw new InvalidContractSpecError(`unknown type ${discriminant}`);
+  }
+}
+
+function readField(reader: XdrReader): SpecField {
+  return { doc: reader.string(), name: reader.string(), type: readTypeDef(reader) };
+}
+
+function readEntry(reader: XdrReader): SpecEntry {
+  const kind = reader.int32();
+
+  switch (kind) {
+    case 0:
+      return {
+        kind: 'function',
+        doc: reader.string(),
+        name: reader.string(),
+        inputs: reader.array(() => readField(reader)),
+        outputs: reader.array(() => readTypeDef(reader)),
+      };
+    case 1:
+      return {
+        kind: 'struct',
+        doc: reader.string(),
+        lib: reader.string(),
+        name: reader.string(),
+        fields: reader.array(() => readField(reader)),
+      };
+    case 2:
+      return {
+        kind: 'union',
+        doc: reader.string(),
+        lib: reader.string(),
+        name: reader.string(),
+        cases: reader.array(() => {
+          const caseKind = reader.int32();
+          const doc = reader.string();
+          const name = reader.string();
+          const types = caseKind === 1 ? reader.array(() => readTypeDef(reader)) : [];
+          return { doc, name, types };
+        }),
+      };
+    case 3:
+    case 4:
+      return {
+        kind: kind === 3 ? 'enum' : 'error_enum',
+        doc: reader.string(),
+        lib: reader.string(),
+        name: reader.string(),
+        cases: reader.array(() => ({
+          doc: reader.string(),
+          name: reader.string(),
+          value: reader.uint32(),
+        })),
+      };
+    case 5:
+      return {
+        kind: 'event',
+        doc: reader.string(),
+        lib: reader.string(),
+        name: reader.string(),
+        prefixTopics: reader.array(() => reader.string()),
+        params: reader.array(() => ({
+          ...readField(reader),
+          location: reader.int32() === 0 ? ('data' as const) : ('topic_list' as const),
+        })),
+        dataFormat: (['single_value', 'vec', 'map'] as const)[reader.int32()] ?? 'single_value',
+      };
+    default:
+      throw new InvalidContractSpecError(`unknown entry kind ${kind}`);
+  }
+}
+
+/**
+ * A spec entry with the XDR it was decoded from
+ */
+export interface EncodedSpecEntry {
+  entry: SpecEntry;
+  /** The entry's own `SCSpecEntry` XDR */
+  xdr: Uint8Array;
+}
+
+/**
+ * Decodes a sequence of XDR encoded `SCSpecEntry` values, keeping the bytes of each
+ *
+ * @param xdr - Raw contents of the `contractspecv0` section
+ * @throws InvalidContractSpecError if the data is malformed
+ */
+export function decodeEncodedSpecEntries(xdr: Uint8Array): EncodedSpecEntry[] {
+  const reader = new XdrReader(xdr);
+  const entries: EncodedSpecEntry[] = [];
+
+  while (!reader.done) {
+    const start = reader.position;
+    const entry = readEntry(reader);
+    entries.push({ entry, xdr: xdr.subarray(start, reader.position) });
+  }
+
+  return entries;
+}
+
+/**
+ * Decodes a sequence of XDR encoded `SCSpecEntry` values
+ *
+ * @param xdr - Raw contents of the `contractspecv0` section
+ * @throws InvalidContractSpecError if the data is malformed
+ */
+export function decodeSpecEntries(xdr: Uint8Array): SpecEntry[] {
+  return decodeEncodedSpecEntries(xdr).map(({ entry }) => entry);
+}
+
+/**
+ * Reads the contract spec embedded in a compiled contract
+ *
+ * @param wasm - Contract wasm bytes
+ * @returns The spec entries, or an empty list if the module has no spec
+ */
+export function readContractSpec(wasm: Uint8Array): SpecEntry[] {
+  return readEncodedContractSpec(wasm).map(({ entry }) => entry);
+}
+
+/**
+ * Reads the contract spec embedded in a compiled contract with the XDR of each
+ * entry, as client bindings embed it
+ *
+ * @param wasm - Contract wasm bytes
+ * @returns The spec entries, or an empty list if the module has no spec
+ */
+export function readEncodedContractSpec(wasm: Uint8Array): EncodedSpecEntry[] {
+  const section = readCustomSection(wasm, CONTRACT_SPEC_SECTION);
+  return section ? decodeEncodedSpecEntries(section) : [];
+}
+
+/**
+ * Renders a spec type using Rust/SDK syntax, e.g. `Option<Vec<Address>>`
+ */
+export function formatSpecType(def: SpecTypeDef): string {
+  switch (def.type) {
+    case 'option':
+      return `Option<${formatSpecType(def.valueType)}>`;
+    case 'result':
+      return `Result<${formatSpecType(def.okType)}, ${formatSpecType(def.errorType)}>`;
+    case 'vec':
+      return `Vec<${formatSpecType(def.elementType)}>`;
+    case 'map':
+      return `Map<${formatSpecType(def.keyType)}, ${formatSpecType(def.valueType)}>`;
+    case 'tuple':
+      return `(${def.valueTypes.map(formatSpecType).join(', ')})`;
+    case 'bytes_n':
+      return `BytesN<${def.n}>`;
+    case 'udt':
+      return def.name;
+    case 'void':
+      return '()';
+    case 'val':
+      return 'Val';
+    case 'string':
+      return 'String';
+    case 'symbol':
+      return 'Symbol';
+    case 'address':
+      return 'Address';
+    case 'muxed_address':
+      return 'MuxedAddress';
+    case 'bytes':
+      return 'Bytes';
+    case 'error':
+      return 'Error';
+    case 'timepoint':
+      return 'Timepoint';
+    case 'duration':
+      return 'Duration';
+    default:
+      return def.type;
+  }
+}
+
+/**
+ * Renders a function signature, e.g. `hello(to: Symbol) -> Vec<Symbol>`
+ */
+export function formatSignature(fn: SpecFunction): string {
+  const inputs = fn.inputs.map((input) => `${input.name}: ${formatSpecType(input.type)}`);
+  const output = fn.outputs[0];
+  return `${fn.name}(${inputs.join(', ')})${output ? ` -> ${formatSpecType(output)}` : ''}`;
+}
@@ -0,0 +1,82 @@
+import { compareCosts, sectionSizes, type CostReport } from './costReport';
+import { customSection, exportSection, section, wasmModule } from './__fixtures__/wasm';
+
+const report = (overrides: Partial<CostReport>): CostReport => ({
+  wasmHash: 'a'.repeat(64),
+  wasmSize: 1000,
+  sections: [],
+  functions: [],
+  ...overrides,
+});
+
+const measured = { samples: 1, measuredAt: '2026-01-01T00:00:00.000Z' };
+
+describe('sectionSizes', () => {
+  it('should list sections in file order and combine repeated custom sections', () => {
+    const wasm = wasmModule(
+      section(1, [0x00]),
+      exportSection(['hello']),
+      customSection('contractspecv0', [1, 2, 3]),
+      customSection('contractspecv0', [4, 5])
+    );
+
+    expect(sectionSizes(wasm)).toEqual([
+      { name: 'type', size: 1, custom: false },
+      { name: 'export', size: 9, custom: false },
+      { name: 'contractspecv0', size: 5, custom: true },
+    ]);
+  });
+});
+
+describe('compareCosts', () => {
+  it('should report the change of sizes and function costs', () => {
+    const previous = report({
+      sections: [
+        { name: 'code', size: 800, custom: false },
+        { name: 'data', size: 100, custom: false },
+      ],
+      functions: [
+        {
+          function: 'increment',
+          cpuInstructions: 200,
+          memoryBytes: 0,
+          readBytes: 100,
+          ...measured,
+        },
+        { function: 'removed', cpuInstructions: 10, memoryBytes: 10, ...measured },
+      ],
+    });
+    const current = report({
+      wasmHash: 'b'.repeat(64),
+      wasmSize: 900,
+      sections: [
+        { name: 'code', size: 700, custom: false },
+        { name: 'contractmetav0', size: 50, custom: true },
+      ],
+      functions: [
+        {
+          function: 'increment',
+          cpuInstructions: 250,
+          memoryBytes: 64,
+          readBytes: 100,
+          writeBytes: 8,
+          ...measured,
+        },
+      ],
+    });
+
+    expect(compareCosts(current, previous)).toEqual({
+      baseline: 'a'.repeat(64),
+      wasmSize: { previous: 1000, current: 900, change: -100, percent: -10 },
+      sections: [{ name: 'code', previous: 800, current: 700, change: -100, percent: -12.5 }],
+      functions: [
+        {
+          function: 'increment',
+          cpuInstructions: { previous: 200, current: 250, change: 50, percent: 25 },
+          memoryBytes: { previous: 0, current: 64, change: 64, percent: null },
+          readBytes: { previous: 100, current: 100, change: 0, percent: 0 },
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { readSections } from './wasmInspector';
+import type { InvocationCost } from './invokeArgs';
+
+/**
+ * Size of one kind of wasm section; repeated custom sections are combined
+ */
+export interface SectionSize {
+  /** Section name, e.g. `code` or `contractspecv0` */
+  name: string;
+  /** Payload size in bytes */
+  size: number;
+  /** Whether it is a custom section, which does not affect execution */
+  custom: boolean;
+}
+
+/**
+ * Resources measured for a contract function
+ */
+export interface FunctionCost extends InvocationCost {
+  /** Function name */
+  function: string;
+  /** Number of measured invocations; the figures are those of the latest */
+  samples: number;
+  /** ISO timestamp of the latest measurement */
+  measuredAt: string;
+}
+
+/**
+ * Change of a figure between two builds
+ */
+export interface CostChange {
+  previous: number;
+  current: number;
+  /** `current - previous` */
+  change: number;
+  /** Change relative to the previous value, or null when that was 0 */
+  percent: number | null;
+}
+
+/**
+ * Differences between a build and the one it is compared with. Sections and
+ * functions only present in one of the builds are left out.
+ */
+export interface CostComparison {
+  /** Hex encoded SHA-256 of the previous build's wasm */
+  baseline: string;
+  wasmSize: CostChange;
+  sections: Array<{ name: string } & CostChange>;
+  functions: Array<{
+    function: string;
+    cpuInstructions: CostChange;
+    memoryBytes: CostChange;
+    readBytes?: CostChange;
+    writeBytes?: CostChange;
+  }>;
+}
+
+/**
+ * Size and resource usage of a compiled contract
+ */
+export interface CostReport {
+  /** Hex encoded SHA-256 of the wasm */
+  wasmHash: string;
+  /** Total wasm size in bytes */
+  wasmSize: number;
+  /** Size of each section in file order */
+  sections: SectionSize[];
+  /** Costs of the functions that have been invoked, by name */
+  functions: FunctionCost[];
+  /** Comparison with a previous build, when one was requested */
+  comparison?: CostComparison;
+}
+
+/**
+ * Measures the sections of a wasm module
+ *
+ * @param wasm - Module bytes
+ * @throws InvalidWasmError if the buffer is not a wasm module
+ */
+export function sectionSizes(wasm: Uint8Array): SectionSize[] {
+  const sizes = new Map<string, SectionSize>();
+
+  for (const { id, name, size } of readSections(wasm)) {
+    const existing = sizes.get(name);
+    if (existing) {
+      existing.size += size;
+    } else {
+      sizes.set(name, { name, size, custom: id === 0 });
+    }
+  }
+
+  return [...sizes.values()];
+}
+
+/**
+ * Describes how a figure changed between two builds
+ */
+export function costChange(previous: number, current: number): CostChange {
+  return {
+    previous,
+    current,
+    change: current - previous,
+    percent: previous === 0 ? null : Math.round(((current - previous) / previous) * 10000) / 100,
+  };
+}
+
+/**
+ * Footprint change, when both builds report the figure
+ */
+function optionalChange(
+  previous: number | undefined,
+  current: number | undefined
+): CostChange | undefined {
+  return previous === undefined || current === undefined
+    ? undefined
+    : costChange(previous, current);
+}
+
+/**
+ * Compares a build's costs with those of a previous build
+ *
+ * @param current - Report of the new build
+ * @param previous - Report of the build to compare with
+ */
+export function compareCosts(current: CostReport, previous: CostReport): CostComparison {
+  const sections = current.sections.flatMap(({ name, size }) => {
+    const before = previous.sections.find((section) => section.name === name);
+    return before ? [{ name, ...costChange(before.size, size) }] : [];
+  });
+
+  const functions = current.functions.flatMap((cost) => {
+    const before = previous.functions.find((candidate) => candidate.function === cost.function);
+    if (!before) {
+      return [];
+    }
+    const readBytes = optionalChange(before.readBytes, cost.readBytes);
+    const writeBytes = optionalChange(before.writeBytes, cost.writeBytes);
+    return [
+      {
+        function: cost.function,
+        cpuInstructions: costChange(before.cpuInstructions, cost.cpuInstructions),
+        memoryBytes: costChange(before.memoryBytes, cost.memoryBytes),
+        ...(readBytes ? { readBytes } : {}),
+        ...(writeBytes ? { writeBytes } : {}),
+      },
+    ];
+  });
+
+  return {
+    baseline: previous.wasmHash,
+    wasmSize: costChange(previous.wasmSize, current.wasmSize),
+    sections,
+    functions,
+  };
+}
@@ -0,0 +1,149 @@
+import { parseCargoOutput, renderCargoLine } from './diagnostics';
+
+const span = (overrides: Record<string, unknown> = {}) => ({
+  file_name: 'src/lib.rs',
+  line_start: 7,
+  line_end: 7,
+  column_start: 9,
+  column_end: 14,
+  is_primary: true,
+  label: null,
+  suggested_replacement: null,
+  suggestion_applicability: null,
+  ...overrides,
+});
+
+const UNRESOLVED_NAME = {
+  reason: 'compiler-message',
+  package_id: 'path+file:///tmp/project#0.1.0',
+  message: {
+    message: 'cannot find value `vall` in this scope',
+    code: { code: 'E0425', explanation: null },
+    level: 'error',
+    spans: [span({ label: 'not found in this scope' })],
+    children: [
+      {
+        message: 'a local variable with a similar name exists',
+        code: null,
+        level: 'help',
+        spans: [
+          span({
+            is_primary: true,
+            suggested_replacement: 'val',
+            suggestion_applicability: 'MaybeIncorrect',
+          }),
+        ],
+        children: [],
+        rendered: null,
+      },
+      {
+        message: 'consider importing this constant',
+        code: null,
+        level: 'note',
+        spans: [],
+        children: [],
+        rendered: null,
+      },
+    ],
+    rendered: 'error[E0425]: cannot find value `vall` in this scope\n --> src/lib.rs:7:9\n',
+  },
+};
+
+const ABORTING = {
+  reason: 'compiler-message',
+  message: {
+    message: 'aborting due to 1 previous error',
+    code: null,
+    level: 'error',
+    spans: [],
+    children: [],
+    rendered: 'error: aborting due to 1 previous error\n\n',
+  },
+};
+
+const ARTIFACT = { reason: 'compiler-artifact', filenames: ['/tmp/target/libproject.rlib'] };
+
+describe('diagnostics', () => {
+  describe('parseCargoOutput', () => {
+    it('should convert compiler messages into diagnostics with fixes', () => {
+      const { diagnostics } = parseCargoOutput(JSON.stringify(UNRESOLVED_NAME));
+
+      expect(diagnostics).toEqual([
+        {
+          level: 'error',
+          code: 'E0425',
+          message: 'cannot find value `vall` in this scope',
+          spans: [
+            {
+              file: 'src/lib.rs',
+              lineStart: 7,
+              lineEnd: 7,
+              columnStart: 9,
+              columnEnd: 14,
+              primary: true,
+              label: 'not found in this scope',
+            },
+          ],
+          notes: ['note: consider importing this constant'],
+          fixes: [
+            {
+              message: 'a local variable with a similar name exists',
+              applicability: 'MaybeIncorrect',
+              edits: [
+                {
+                  file: 'src/lib.rs',
+                  lineStart: 7,
+                  lineEnd: 7,
+                  columnStart: 9,
+                  columnEnd: 14,
+                  replacement: 'val',
+                },
+              ],
+            },
+          ],
+          rendered: UNRESOLVED_NAME.message.rendered,
+        },
+      ]);
+    });
+
+    it('should skip summaries but keep them in the rendered output', () => {
+      const stdout = [UNRESOLVED_NAME, ABORTING, ARTIFACT].map((m) => JSON.stringify(m)).join('\n');
+
+      const output = parseCargoOutput(stdout);
+
+      expect(output.diagnostics).toHaveLength(1);
+      expect(output.rendered).toBe(
+        'error[E0425]: cannot find value `vall` in this scope\n --> src/lib.rs:7:9\n\n' +
+          'error: aborting due to 1 previous error'
+      );
+      expect(output.text).toBe('');
+    });
+
+    it('should keep lines that are not JSON messages as text', () => {
+      const stdout = ['', 'running 1 test', JSON.stringify(ARTIFACT), 'test result: ok', ''].join(
+        '\n'
+      );
+
+      expect(parseCargoOutput(stdout)).toEqual({
+        diagnostics: [],
+        rendered: '',
+        text: 'running 1 test\ntest result: ok',
+      });
+    });
+  });
+
+  describe('renderCargoLine', () => {
+    it('should render compiler messages as text', () => {
+      expect(renderCargoLine(JSON.stringify(UNRESOLVED_NAME))).toEqual([
+        'error[E0425]: cannot find value `vall` in this scope',
+        ' --> src/lib.rs:7:9',
+      ]);
+    });
+
+    it('should hide bookkeeping messages and pass other lines through', () => {
+      expect(renderCargoLine(JSON.stringify(ARTIFACT))).toEqual([]);
+      expect(renderCargoLine('{ not json')).toEqual(['{ not json']);
+      expect(renderCargoLine('test it_works ... ok')).toEqual(['test it_works ... ok']);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Severity of a compiler diagnostic
+ */
+export type DiagnosticLevel = 'error' | 'warning' | 'note' | 'help';
+
+/**
+ * A source region, with 1-based lines and columns as reported by rustc
+ */
+export interface DiagnosticSpan {
+  /** Path relative to the project root, e.g. `src/lib.rs` */
+  file: string;
+  lineStart: number;
+  lineEnd: number;
+  columnStart: number;
+  /** Exclusive end column */
+  columnEnd: number;
+  /** Whether this is the location the diagnostic is about */
+  primary: boolean;
+  /** Inline label rustc prints under the span */
+  label?: string;
+}
+
+/**
+ * How safely a suggested fix can be applied, as classified by rustc
+ */
+export type FixApplicability =
+  | 'MachineApplicable'
+  | 'MaybeIncorrect'
+  | 'HasPlaceholders'
+  | 'Unspecified';
+
+/**
+ * A fix suggested by the compiler: one or more replacements applied together
+ */
+export interface DiagnosticFix {
+  /** Description, e.g. "a local variable with a similar name exists" */
+  message: string;
+  applicability: FixApplicability;
+  edits: Array<{
+    file: string;
+    lineStart: number;
+    lineEnd: number;
+    columnStart: number;
+    columnEnd: number;
+    replacement: string;
+  }>;
+}
+
+/**
+ * A compiler error or warning in a structured form
+ */
+export interface Diagnostic {
+  level: DiagnosticLevel;
+  /** Error code, e.g. `E0425`, or lint name, e.g. `unused_variables` */
+  code?: string;
+  message: string;
+  spans: DiagnosticSpan[];
+  /** Notes and help messages without a fix */
+  notes: string[];
+  fixes: DiagnosticFix[];
+  /** The diagnostic as rustc prints it in a terminal */
+  rendered: string;
+}
+
+/**
+ * Output of a cargo command run with `--message-format=json`, split into its parts
+ */
+export interface CargoOutput {
+  /** Structured compiler diagnostics */
+  diagnostics: Diagnostic[];
+  /** Rendered diagnostics, as cargo would print them without JSON output */
+  rendered: string;
+  /** Lines that were not JSON messages (e.g. test harness output) */
+  text: string;
+}
+
+/** Span of a rustc JSON diagnostic */
+interface RustcSpan {
+  file_name: string;
+  line_start: number;
+  line_end: number;
+  column_start: number;
+  column_end: number;
+  is_primary: boolean;
+  label: string | null;
+  suggested_replacement: string | null;
+  suggestion_applicability: FixApplicability | null;
+}
+
+/** rustc JSON diagnostic, see https://doc.rust-lang.org/rustc/json.html */
+interface RustcDiagnostic {
+  message: string;
+  code: { code: string } | null;
+  level: string;
+  spans: RustcSpan[];
+  children: RustcDiagnostic[];
+  rendered: string | null;
+}
+
+/** A line of cargo's JSON output */
+interface CargoMessage {
+  reason: string;
+  message?: RustcDiagnostic;
+}
+
+/** Summary lines rustc emits as diagnostics of their own */
+const SUMMARY_PATTERN = /^(aborting due to|\d+ warnings? emitted|For more information about)/;
+
+/**
+ * Parses a line of cargo output if it is a JSON message
+ */
+function parseCargoMessage(line: string): CargoMessage | undefined {
+  if (!line.startsWith('{')) {
+    return undefined;
+  }
+
+  try {
+    const message = JSON.parse(line) as CargoMessage;
+    return typeof message.reason === 'string' ? message : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function toLevel(level: string): DiagnosticLevel {
+  if (level.startsWith('error')) {
+    return 'error';
+  }
+  return level === 'warning' || level === 'note' || level === 'help' ? level : 'note';
+}
+
+type SpanRange = Omit<DiagnosticSpan, 'primary' | 'label'>;
+
+function toRange(span: RustcSpan): SpanRange {
+  return {
+    file: span.file_name,
+    lineStart: span.line_start,
+    lineEnd: span.line_end,
+    columnStart: span.column_start,
+    columnEnd: span.column_end,
+  };
+}
+
+function toSpan(span: RustcSpan): DiagnosticSpan {
+  return {
+    ...toRange(span),
+    primary: span.is_primary,
+    ...(span.label ? { label: span.label } : {}),
+  };
+}
+
+/**
+ * Converts a rustc diagnostic, turning children with replacements into fixes
+ */
+function toDiagnostic(raw: RustcDiagnostic): Diagnostic {
+  const notes: string[] = [];
+  const fixes: DiagnosticFix[] = [];
+
+  for (const child of raw.children) {
+    const replacements = child.spans.filter((span) => span.suggested_replacement !== null);
+
+    if (replacements.length === 0) {
+      notes.push(`${child.level}: ${child.message}`);
+      continue;
+    }
+
+    fixes.push({
+      message: child.message,
+      applicability: replacements[0]?.suggestion_applicability ?? 'Unspecified',
+      edits: replacements.map((span) => ({
+        ...toRange(span),
+        replacement: span.suggested_replacement as string,
+      })),
+    });
+  }
+
+  return {
+    level: toLevel(raw.level),
+    ...(raw.code ? { code: raw.code.code } : {}),
+    message: raw.message,
+    spans: raw.spans.map(toSpan),
+    notes,
+    fixes,
+    rendered: raw.rendered ?? raw.message,
+  };
+}
+
+/**
+ * Renders a line of cargo JSON output as the text cargo would print. Build
+ * artifacts and other bookkeeping messages produce no text.
+ *
+ * @param line - A line of stdout
+ * @returns Lines to show in a build log
+ */
+export function renderCargoLine(line: string): string[] {
+  const message = parseCargoMessage(line);
+  if (!message) {
+    return [line];
+  }
+
+  if (message.reason !== 'compiler-message' || !message.message?.rendered) {
+    return [];
+  }
+
+  return message.message.rendered.replace(/\n+$/, '').split('\n');
+}
+
+/**
+ * Splits the stdout of a cargo command run with `--message-format=json`
+ *
+ * @param stdout - Complete standard output
+ */
+export function parseCargoOutput(stdout: string): CargoOutput {
+  const diagnostics: Diagnostic[] = [];
+  const rendered: string[] = [];
+  const text: string[] = [];
+
+  for (const line of stdout.split(/\r?\n/)) {
+    const message = parseCargoMessage(line);
+
+    if (!message) {
+      text.push(line);
+    } else if (message.reason === 'compiler-message' && message.message) {
+      const raw = message.message;
+      if (raw.rendered) {
+        rendered.push(raw.rendered.replace(/\n+$/, ''));
+      }
+      if (
+        raw.level !== 'failure-note' &&
+        !(raw.spans.length === 0 && SUMMARY_PATTERN.test(raw.message))
+      ) {
+        diagnostics.push(toDiagnostic(raw));
+      }
+    }
+  }
+
+  return {
+    diagnostics,
+    rendered: rendered.join('\n\n'),
+    text: text.join('\n').replace(/^\n+|\n+$/g, ''),
+  };
+}
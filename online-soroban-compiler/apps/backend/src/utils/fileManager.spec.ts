@@ -1,4 +1,6 @@
 import { FileManager, type ProjectConfig } from './fileManager';
+import { InvalidProjectFilesError } from './projectFiles';
+import { DependencyNotAllowedError, type DependencyPolicy } from './cargoManifest';
 import { promises as fs } from 'fs';
 import { tmpdir } from 'os';
 
@@ -74,11 +76,15 @@ describe('FileManager', () => {
           'another-crate': '2.1.0',
         },
       };
+      const policy: DependencyPolicy = {
+        allowed: { 'custom-crate': '^1', 'another-crate': '>=2, <3' },
+        sdkVersions: ['22.0.0'],
+      };
 
       mockFs.mkdir.mockResolvedValue(undefined);
       mockFs.writeFile.mockResolvedValue(undefined);
 
-      await FileManager.createProject(config);
+      await FileManager.createProject(config, policy);
 
       // Check that Cargo.toml includes custom dependencies
       const cargoTomlCall = mockFs.writeFile.mock.calls.find((call) =>
@@ -91,6 +97,32 @@ describe('FileManager', () => {
       expect(cargoTomlContent).toContain('another-crate = "2.1.0"');
     });
 
+    it('should build against the chosen soroban-sdk version', async () => {
+      mockFs.mkdir.mockResolvedValue(undefined);
+      mockFs.writeFile.mockResolvedValue(undefined);
+
+      await FileManager.createProject(
+        { code: 'use soroban_sdk::*;', sdkVersion: '21.7.7' },
+        { allowed: {}, sdkVersions: ['22.0.0', '21.7.7'] }
+      );
+
+      const cargoToml = mockFs.writeFile.mock.calls.find((call) =>
+        call[0].toString().endsWith('Cargo.toml')
+      )![1] as string;
+      expect(cargoToml).toContain('soroban-sdk = "21.7.7"');
+      expect(cargoToml).not.toContain('[[bin]]');
+    });
+
+    it('should reject dependencies that are not allowed before creating anything', async () => {
+      await expect(
+        FileManager.createProject(
+          { code: 'use soroban_sdk::*;', dependencies: { 'evil-crate': '1.0.0' } },
+          { allowed: {}, sdkVersions: ['22.0.0'] }
+        )
+      ).rejects.toThrow(DependencyNotAllowedError);
+      expect(mockFs.mkdir).not.toHaveBeenCalled();
+    });
+
     it('should sanitize project name', async () => {
       const config: ProjectConfig = {
         code: 'use soroban_sdk::*;',
@@ -156,6 +188,45 @@ describe('FileManager', () => {
     });
   });
 
+  describe('multi-file projects', () => {
+    beforeEach(() => {
+      mockFs.mkdir.mockResolvedValue(undefined);
+      mockFs.writeFile.mockResolvedValue(undefined);
+    });
+
+    it('should write every file, creating nested module directories', async () => {
+      const project = await FileManager.createProject({
+        files: {
+          'src/lib.rs': 'mod storage;',
+          'src/storage.rs': 'pub fn get() {}',
+          'src/events/mod.rs': 'pub fn emit() {}',
+        },
+      });
+
+      expect(mockFs.writeFile).toHaveBeenCalledWith(project.sourcePath, 'mod storage;', 'utf8');
+      expect(mockFs.writeFile).toHaveBeenCalledWith(
+        `${project.projectPath}/src/storage.rs`,
+        'pub fn get() {}',
+        'utf8'
+      );
+      expect(mockFs.mkdir).toHaveBeenCalledWith(`${project.projectPath}/src/events`, {
+        recursive: true,
+      });
+      expect(mockFs.writeFile).toHaveBeenCalledWith(
+        `${project.projectPath}/src/events/mod.rs`,
+        'pub fn emit() {}',
+        'utf8'
+      );
+    });
+
+    it('should reject invalid file trees before creating anything', async () => {
+      await expect(FileManager.createProject({ files: { 'src/storage.rs': '' } })).rejects.toThrow(
+        InvalidProjectFilesError
+      );
+      expect(mockFs.mkdir).not.toHaveBeenCalled();
+    });
+  });
+
   describe('cleanupProject', () => {
     it('should remove project directory', async () => {
       const projectPath = '/tmp/test-project-123';
@@ -1,19 +1,36 @@
 import { promises as fs } from 'node:fs';
-import { join } from 'node:path';
+import { dirname, join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { randomBytes } from 'node:crypto';
 import sanitizeFilename from 'sanitize-filename';
+import { LIB_RS_PATH, resolveProjectFiles, type ProjectFiles } from './projectFiles';
+import {
+  buildCargoManifest,
+  DEFAULT_DEPENDENCY_POLICY,
+  type DependencyPolicy,
+} from './cargoManifest';
+
+/**
+ * Names of temporary project directories: `<name>-<creation time in ms>-<16 hex digits>`
+ */
+export const PROJECT_DIR_PATTERN = /^.+-(\d{13})-[0-9a-f]{16}$/;
 
 /**
  * Interface for project setup configuration
  */
 export interface ProjectConfig {
-  /** The Rust source code */
-  code: string;
+  /** The Rust source code of `src/lib.rs` (single-file projects) */
+  code?: string;
+  /** Source files of a multi-file project; must include `src/lib.rs` unless `code` is given */
+  files?: ProjectFiles;
   /** Optional project name (will be sanitized) */
   projectName?: string;
-  /** Optional dependencies to add to Cargo.toml */
+  /** Optional dependencies to add to Cargo.toml; must be on the allowlist */
   dependencies?: Record<string, string>;
+  /** soroban-sdk version to build against (default: the first configured version) */
+  sdkVersion?: string;
+  /** Installed rustup toolchain to build with (default: rustup's default toolchain) */
+  toolchain?: string;
 }
 
 /**
@@ -30,46 +47,6 @@ export interface ProjectInfo {
   cleanup: () => Promise<void>;
 }
 
-/**
- * Default Cargo.toml template for Soroban projects
- */
-const DEFAULT_CARGO_TOML = `[package]
-name = "soroban-contract"
-version = "0.1.0"
-edition = "2021"
-
-[lib]
-name = "soroban-contract"
-path = "src/lib.rs"
-crate-type = ["cdylib"]
-
-[dependencies]
-soroban-sdk = "22.0.0"
-
-[dev_dependencies]
-soroban-sdk = { version = "22.0.0", features = ["testutils"] }
-
-[features]
-testutils = ["soroban-sdk/testutils"]
-
-[[bin]]
-name = "soroban-contract"
-path = "src/bin/soroban-contract.rs"
-
-[profile.release]
-opt-level = "z"
-overflow-checks = true
-debug = 0
-strip = "symbols"
-debug-assertions = false
-panic = "abort"
-codegen-units = 1
-lto = true
-
-[profile.release-with-logs]
-inherits = "release"
-debug-assertions = true`;
-
 /**
  * File manager utility for handling temporary Rust projects
  */
@@ -80,10 +57,18 @@ export class FileManager {
    * Creates a temporary Rust project with the provided code
    *
    * @param config - Project configuration
+   * @param policy - Crates and soroban-sdk versions the project may use
    * @returns Promise that resolves to project information
+   * @throws InvalidProjectFilesError if the file tree is invalid
+   * @throws DependencyNotAllowedError if the dependencies are not allowed
    */
-  static async createProject(config: ProjectConfig): Promise<ProjectInfo> {
-    const { code, projectName = 'soroban-contract', dependencies = {} } = config;
+  static async createProject(
+    config: ProjectConfig,
+    policy: DependencyPolicy = DEFAULT_DEPENDENCY_POLICY
+  ): Promise<ProjectInfo> {
+    const { projectName = 'soroban-contract' } = config;
+    const files = resolveProjectFiles(config);
+    const cargoToml = buildCargoManifest(config, policy);
 
     // Sanitize the project name
     const safeName = sanitizeFilename(projectName) || 'soroban-contract';
@@ -102,20 +87,17 @@ export class FileManager {
       await fs.mkdir(projectPath, { recursive: true });
       await fs.mkdir(join(projectPath, 'src'), { recursive: true });
 
-      // Generate Cargo.toml with any additional dependencies
-      let cargoToml = DEFAULT_CARGO_TOML;
-      if (Object.keys(dependencies).length > 0) {
-        const depsSection = Object.entries(dependencies)
-          .map(([name, version]) => `${name} = "${version}"`)
-          .join('\n');
-        cargoToml = cargoToml.replace('[dependencies]', `[dependencies]\n${depsSection}`);
-      }
-
       // Write Cargo.toml
       await fs.writeFile(cargoPath, cargoToml, 'utf8');
 
-      // Write source code
-      await fs.writeFile(sourcePath, code, 'utf8');
+      // Write source files; nested modules need their directories first
+      for (const [relativePath, contents] of Object.entries(files)) {
+        const filePath = join(projectPath, relativePath);
+        if (relativePath !== LIB_RS_PATH) {
+          await fs.mkdir(dirname(filePath), { recursive: true });
+        }
+        await fs.writeFile(filePath, contents, 'utf8');
+      }
 
       // Track active project
       this.activeProjects.add(projectPath);
@@ -0,0 +1,109 @@
+import { parseInvokeOutput, toInvokeArgs, InvalidInvocationError } from './invokeArgs';
+
+const ACCOUNT = 'GAAZI4TCR3TY5OJHCTJC2A4QSY6CJWJH5IAJTGKIN2ER7LBNVKOCCWN7';
+
+describe('toInvokeArgs', () => {
+  it('should render scalar arguments as --name=value flags', () => {
+    expect(
+      toInvokeArgs(
+        [
+          { name: 'to', type: { type: 'address' } },
+          { name: 'amount', type: { type: 'i128' } },
+          { name: 'memo', type: { type: 'symbol' } },
+          { name: 'active', type: { type: 'bool' } },
+        ],
+        {
+          to: ACCOUNT,
+          amount: '-170141183460469231731687303715884105728',
+          memo: 'rent',
+          active: false,
+        }
+      )
+    ).toEqual([
+      `--to=${ACCOUNT}`,
+      '--amount=-170141183460469231731687303715884105728',
+      '--memo=rent',
+      '--active=false',
+    ]);
+  });
+
+  it('should pass composite values as JSON and omit empty options', () => {
+    expect(
+      toInvokeArgs(
+        [
+          { name: 'values', type: { type: 'vec', elementType: { type: 'u32' } } },
+          { name: 'config', type: { type: 'udt', name: 'Config' } },
+          { name: 'limit', type: { type: 'option', valueType: { type: 'u64' } } },
+        ],
+        { values: [1, 2], config: { admin: ACCOUNT }, limit: null }
+      )
+    ).toEqual(['--values=[1,2]', `--config={"admin":"${ACCOUNT}"}`]);
+  });
+
+  it.each([
+    [{ type: 'u32' }, 4294967296, 'n is out of range for u32'],
+    [{ type: 'u64' }, '-1', 'n is out of range for u64'],
+    [{ type: 'i32' }, 1.5, 'n must be an integer'],
+    [{ type: 'bool' }, 'true', 'n must be true or false'],
+    [{ type: 'symbol' }, 'has space', 'n must be a symbol'],
+    [{ type: 'address' }, 'alice', 'n must be a G..., C... or M... address'],
+    [{ type: 'bytes_n', n: 2 }, 'abcdef', 'n must be exactly 2 bytes'],
+  ] as const)('should reject %j argument %j', (type, value, message) => {
+    expect(() => toInvokeArgs([{ name: 'n', type }], { n: value })).toThrow(message);
+  });
+
+  it('should reject missing and unknown arguments', () => {
+    const inputs = [{ name: 'to', type: { type: 'symbol' as const } }];
+
+    expect(() => toInvokeArgs(inputs, {})).toThrow(InvalidInvocationError);
+    expect(() => toInvokeArgs(inputs, {})).toThrow('missing argument "to"');
+    expect(() => toInvokeArgs(inputs, { to: 'a', from: 'b' })).toThrow('unknown argument "from"');
+  });
+});
+
+describe('parseInvokeOutput', () => {
+  it('should split the return value, events, logs and costs', () => {
+    const stderr = [
+      'ℹ️  Simulating transaction…',
+      '📅 CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC - Event: [{"symbol":"COUNTER"},{"symbol":"increment"}] = {"u32":1}',
+      '==========================================',
+      'Cpu limit: 100000000; used: 215450',
+      'Mem limit: 41943040; used: 29349',
+      '==========================================',
+      'CostType           iterations     input     cpu_insns      mem_bytes',
+      'WasmInsnExec       240            0         960            0',
+      '✅ Transaction submitted successfully!',
+    ].join('\n');
+
+    expect(parseInvokeOutput('1\n', stderr)).toEqual({
+      returnValue: 1,
+      events: ['[{"symbol":"COUNTER"},{"symbol":"increment"}] = {"u32":1}'],
+      logs: ['ℹ️  Simulating transaction…', '✅ Transaction submitted successfully!'],
+      cost: { cpuInstructions: 215450, memoryBytes: 29349 },
+    });
+  });
+
+  it('should read the ledger footprint from the resource summary', () => {
+    const stderr = [
+      '==================== Cost ====================',
+      'CPU used: 231024',
+      'Bytes read: 1016',
+      'Bytes written: 104',
+      '==============================================',
+      'Cpu limit: 100000000; used: 215450',
+      'Mem limit: 41943040; used: 29349',
+    ].join('\n');
+
+    expect(parseInvokeOutput('', stderr)).toEqual({
+      returnValue: null,
+      events: [],
+      logs: [],
+      cost: { cpuInstructions: 215450, memoryBytes: 29349, readBytes: 1016, writeBytes: 104 },
+    });
+  });
+
+  it('should keep non-JSON output and treat empty output as no value', () => {
+    expect(parseInvokeOutput('not json', '').returnValue).toBe('not json');
+    expect(parseInvokeOutput('', '')).toEqual({ returnValue: null, events: [], logs: [] });
+  });
+});
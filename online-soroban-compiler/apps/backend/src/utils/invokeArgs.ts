@@ -0,0 +1,246 @@
+import type { SpecTypeDef } from './contractSpec';
+
+/**
+ * A function input as described by the contract spec
+ */
+export interface InvokeInput {
+  name: string;
+  type: SpecTypeDef;
+}
+
+/**
+ * Thrown when invocation arguments do not match the function's inputs
+ */
+export class InvalidInvocationError extends Error {
+  constructor(reason: string) {
+    super(`Invalid invocation: ${reason}`);
+    this.name = 'InvalidInvocationError';
+  }
+}
+
+/** Bit widths of the integer types, used for range checks */
+const INTEGER_BITS: Record<string, { bits: number; signed: boolean }> = {
+  u32: { bits: 32, signed: false },
+  i32: { bits: 32, signed: true },
+  u64: { bits: 64, signed: false },
+  i64: { bits: 64, signed: true },
+  timepoint: { bits: 64, signed: false },
+  duration: { bits: 64, signed: false },
+  u128: { bits: 128, signed: false },
+  i128: { bits: 128, signed: true },
+  u256: { bits: 256, signed: false },
+  i256: { bits: 256, signed: true },
+};
+
+/** Account (`G...`), contract (`C...`) and muxed (`M...`) strkeys */
+const ADDRESS_PATTERN = /^(?:[GC][A-Z2-7]{55}|M[A-Z2-7]{68})$/;
+
+/** Symbols are at most 32 characters from `[A-Za-z0-9_]` */
+const SYMBOL_PATTERN = /^[A-Za-z0-9_]{0,32}$/;
+
+/** Bytes are passed to the CLI as hex */
+const HEX_PATTERN = /^(?:[0-9A-Fa-f]{2})*$/;
+
+/**
+ * Checks an integer argument and renders it in decimal
+ */
+function integerArg(name: string, type: string, value: unknown): string {
+  const { bits, signed } = INTEGER_BITS[type] as { bits: number; signed: boolean };
+  const text =
+    typeof value === 'number' && Number.isSafeInteger(value)
+      ? String(value)
+      : typeof value === 'string'
+        ? value.trim()
+        : undefined;
+
+  if (text === undefined || !/^-?\d+$/.test(text)) {
+    throw new InvalidInvocationError(`${name} must be an integer`);
+  }
+
+  const number = BigInt(text);
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  const max = (signed ? 1n << BigInt(bits - 1) : 1n << BigInt(bits)) - 1n;
+  if (number < min || number > max) {
+    throw new InvalidInvocationError(`${name} is out of range for ${type}`);
+  }
+  return number.toString();
+}
+
+/**
+ * Renders a value in the form `stellar contract invoke` expects for its type:
+ * plain text for scalars, JSON for composite types
+ *
+ * @returns The CLI value, or undefined to omit the argument (`None`)
+ */
+function cliValue(name: string, type: SpecTypeDef, value: unknown): string | undefined {
+  if (type.type === 'option') {
+    return value === null || value === undefined
+      ? undefined
+      : cliValue(name, type.valueType, value);
+  }
+  if (value === undefined) {
+    throw new InvalidInvocationError(`missing argument ${JSON.stringify(name)}`);
+  }
+
+  if (type.type in INTEGER_BITS) {
+    return integerArg(name, type.type, value);
+  }
+
+  switch (type.type) {
+    case 'bool':
+      if (typeof value !== 'boolean') {
+        throw new InvalidInvocationError(`${name} must be true or false`);
+      }
+      return String(value);
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new InvalidInvocationError(`${name} must be a string`);
+      }
+      return value;
+    case 'symbol':
+      if (typeof value !== 'string' || !SYMBOL_PATTERN.test(value)) {
+        throw new InvalidInvocationError(
+          `${name} must be a symbol of up to 32 letters, digits and underscores`
+        );
+      }
+      return value;
+    case 'address':
+    case 'muxed_address':
+      if (typeof value !== 'string' || !ADDRESS_PATTERN.test(value)) {
+        throw new InvalidInvocationError(`${name} must be a G..., C... or M... address`);
+      }
+      return value;
+    case 'bytes':
+    case 'bytes_n':
+      if (typeof value !== 'string' || !HEX_PATTERN.test(value)) {
+        throw new InvalidInvocationError(`${name} must be hex encoded bytes`);
+      }
+      if (type.type === 'bytes_n' && value.length !== type.n * 2) {
+        throw new InvalidInvocationError(`${name} must be exactly ${type.n} bytes`);
+      }
+      return value;
+    case 'void':
+      return undefined;
+    default:
+      // Vectors, maps, tuples and user-defined types are passed as JSON
+      return JSON.stringify(value);
+  }
+}
+
+/**
+ * Converts invocation arguments to `stellar contract invoke` flags, checking
+ * each against the function's inputs. Values use `--name=value` so negative
+ * numbers cannot be mistaken for flags.
+ *
+ * @param inputs - Inputs of the function being invoked
+ * @param args - Argument values keyed by input name
+ * @throws InvalidInvocationError if an argument is missing, unknown or of the wrong type
+ */
+export function toInvokeArgs(inputs: InvokeInput[], args: Record<string, unknown>): string[] {
+  const unknown = Object.keys(args).find((name) => !inputs.some((input) => input.name === name));
+  if (unknown !== undefined) {
+    throw new InvalidInvocationError(`unknown argument ${JSON.stringify(unknown)}`);
+  }
+
+  return inputs.flatMap(({ name, type }) => {
+    const value = cliValue(name, type, Object.hasOwn(args, name) ? args[name] : undefined);
+    return value === undefined ? [] : [`--${name}=${value}`];
+  });
+}
+
+/**
+ * Resources consumed by an invocation
+ */
+export interface InvocationCost {
+  /** CPU instructions charged */
+  cpuInstructions: number;
+  /** Memory charged in bytes */
+  memoryBytes: number;
+  /** Bytes of ledger entries read, when the simulated resources were printed */
+  readBytes?: number;
+  /** Bytes of ledger entries written, when the simulated resources were printed */
+  writeBytes?: number;
+}
+
+/**
+ * What `stellar contract invoke` reported about an invocation
+ */
+export interface InvokeOutput {
+  /** Return value as JSON, or the raw output when it is not JSON */
+  returnValue: unknown;
+  /** Contract events, e.g. `[{"symbol":"COUNTER"}] = {"u32":1}` */
+  events: string[];
+  /** Other diagnostic output of the CLI */
+  logs: string[];
+  /** Resource usage, when the budget report was printed (`--cost`) */
+  cost?: InvocationCost;
+}
+
+const EVENT_PATTERN = / - Event: (.*)$/;
+const CPU_COST_PATTERN = /^Cpu limit: \d+; used: (\d+)/;
+const MEM_COST_PATTERN = /^Mem limit: \d+; used: (\d+)/;
+/** Ledger footprint of the simulated transaction */
+const READ_BYTES_PATTERN = /^Bytes read: (\d+)/;
+const WRITE_BYTES_PATTERN = /^Bytes written: (\d+)/;
+/** Separators, headers and rows of the budget table and the resource summary */
+const COST_TABLE_PATTERN =
+  /^(?:=+(?: Cost =+)?|CPU used: \d+|CostType\b.*|[A-Z][A-Za-z0-9]+\s+\d+(?:\s+\S+)*)$/;
+
+/**
+ * Splits the output of `stellar contract invoke` into the return value,
+ * events, logs and resource costs. The CLI's stderr is meant for people, so
+ * anything that is not recognized is kept as a log line.
+ *
+ * @param stdout - Standard output: the return value
+ * @param stderr - Standard error: events, progress messages, the budget report and the
+ * simulated resources
+ */
+export function parseInvokeOutput(stdout: string, stderr: string): InvokeOutput {
+  const output = stdout.trim();
+  let returnValue: unknown = null;
+  if (output) {
+    try {
+      returnValue = JSON.parse(output);
+    } catch {
+      returnValue = output;
+    }
+  }
+
+  const events: string[] = [];
+  const logs: string[] = [];
+  let cpuInstructions: number | undefined;
+  let memoryBytes: number | undefined;
+  const footprint: Pick<InvocationCost, 'readBytes' | 'writeBytes'> = {};
+
+  for (const rawLine of stderr.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const event = EVENT_PATTERN.exec(line);
+    const cpu = CPU_COST_PATTERN.exec(line);
+    const mem = MEM_COST_PATTERN.exec(line);
+    const read = READ_BYTES_PATTERN.exec(line);
+    const written = WRITE_BYTES_PATTERN.exec(line);
+
+    if (event) {
+      events.push(event[1] as string);
+    } else if (cpu) {
+      cpuInstructions = Number(cpu[1]);
+    } else if (mem) {
+      memoryBytes = Number(mem[1]);
+    } else if (read) {
+      footprint.readBytes = Number(read[1]);
+    } else if (written) {
+      footprint.writeBytes = Number(written[1]);
+    } else if (line && !COST_TABLE_PATTERN.test(line)) {
+      logs.push(line);
+    }
+  }
+
+  return {
+    returnValue,
+    events,
+    logs,
+    ...(cpuInstructions !== undefined && memoryBytes !== undefined
+      ? { cost: { cpuInstructions, memoryBytes, ...footprint } }
+      : {}),
+  };
+}
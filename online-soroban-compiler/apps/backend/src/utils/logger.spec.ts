@@ -0,0 +1,75 @@
+import { Logger } from './logger';
+import { withRequestId } from './requestContext';
+
+describe('Logger', () => {
+  let lines: string[];
+
+  const entries = () => lines.map((line) => JSON.parse(line) as Record<string, unknown>);
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  it('should write one JSON object per line', () => {
+    const logger = new Logger({ level: 'info', write: (line) => lines.push(line) });
+
+    logger.info('Build finished', { kind: 'compile', durationMs: 1200 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatch(/\n$/);
+    expect(entries()).toEqual([
+      {
+        time: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+        level: 'info',
+        msg: 'Build finished',
+        kind: 'compile',
+        durationMs: 1200,
+      },
+    ]);
+  });
+
+  it('should drop entries below its level', () => {
+    const logger = new Logger({ level: 'warn', write: (line) => lines.push(line) });
+
+    logger.debug('Command finished');
+    logger.info('Request completed');
+    logger.warn('Command timed out');
+    logger.error('Request failed');
+
+    expect(entries().map((entry) => entry.level)).toEqual(['warn', 'error']);
+    new Logger({ level: 'silent', write: (line) => lines.push(line) }).error('Request failed');
+    expect(lines).toHaveLength(2);
+  });
+
+  it('should add the ID of the current request and the fields of its parent', async () => {
+    const logger = new Logger({ level: 'debug', write: (line) => lines.push(line) }).child({
+      component: 'build',
+    });
+
+    await withRequestId('req-1', async () => {
+      await Promise.resolve();
+      logger.debug('Command finished', { exitCode: 0 });
+    });
+    logger.debug('Sweep finished');
+
+    expect(entries()).toEqual([
+      expect.objectContaining({ requestId: 'req-1', component: 'build', exitCode: 0 }),
+      expect.not.objectContaining({ requestId: expect.anything() }),
+    ]);
+  });
+
+  it('should serialize errors and survive failing writes', () => {
+    const logger = new Logger({ level: 'info', write: (line) => lines.push(line) });
+
+    logger.error('Unhandled error', { error: new TypeError('boom') });
+
+    expect(entries()[0]?.error).toEqual({ name: 'TypeError', message: 'boom' });
+    const failing = new Logger({
+      level: 'info',
+      write: () => {
+        throw new Error('EPIPE');
+      },
+    });
+    expect(() => failing.info('Request completed')).not.toThrow();
+  });
+});
@@ -0,0 +1,109 @@
+import { config as appConfig } from '../config';
+import { currentRequestId } from './requestContext';
+
+/**
+ * Minimum level of the entries a logger writes; `silent` writes none
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Values attached to a log entry
+ */
+export type LogFields = Record<string, unknown>;
+
+const LEVEL_ORDER: Record<LogLevel, number> = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Number.POSITIVE_INFINITY,
+};
+
+/**
+ * Options of a logger
+ */
+export interface LoggerOptions {
+  /** Entries below this level are dropped */
+  level: LogLevel;
+  /** Receives each entry as a line of JSON (default: stdout) */
+  write?: (line: string) => void;
+  /** Added to every entry */
+  fields?: LogFields;
+}
+
+/**
+ * Makes errors serializable; `JSON.stringify` turns them into `{}`
+ */
+function serializable(fields: LogFields): LogFields {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error ? { name: value.name, message: value.message } : value,
+    ])
+  );
+}
+
+/**
+ * Writes one JSON object per line, e.g.
+ * `{"time":"…","level":"info","msg":"Build finished","requestId":"…","kind":"compile"}`.
+ * Entries written on behalf of a request carry its ID.
+ */
+export class Logger {
+  private readonly write: (line: string) => void;
+
+  constructor(private readonly options: LoggerOptions) {
+    this.write = options.write ?? ((line) => process.stdout.write(line));
+  }
+
+  /**
+   * Creates a logger adding fields to every entry, e.g. the component writing them
+   */
+  child(fields: LogFields): Logger {
+    return new Logger({
+      ...this.options,
+      write: this.write,
+      fields: { ...this.options.fields, ...fields },
+    });
+  }
+
+  debug(message: string, fields: LogFields = {}): void {
+    this.log('debug', message, fields);
+  }
+
+  info(message: string, fields: LogFields = {}): void {
+    this.log('info', message, fields);
+  }
+
+  warn(message: string, fields: LogFields = {}): void {
+    this.log('warn', message, fields);
+  }
+
+  error(message: string, fields: LogFields = {}): void {
+    this.log('error', message, fields);
+  }
+
+  private log(level: Exclude<LogLevel, 'silent'>, message: string, fields: LogFields): void {
+    if (LEVEL_ORDER[level] < LEVEL_ORDER[this.options.level]) {
+      return;
+    }
+    const requestId = currentRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(requestId ? { requestId } : {}),
+      ...this.options.fields,
+      ...serializable(fields),
+    };
+    try {
+      this.write(`${JSON.stringify(entry)}\n`);
+    } catch {
+      // Logging must never fail the work being logged
+    }
+  }
+}
+
+/**
+ * Logger of the backend, writing to stdout
+ */
+export const logger = new Logger({ level: appConfig.logging.level });
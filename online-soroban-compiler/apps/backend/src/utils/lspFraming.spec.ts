@@ -0,0 +1,48 @@
+import { encodeLspMessage, LspMessageReader } from './lspFraming';
+
+describe('lspFraming', () => {
+  describe('encodeLspMessage', () => {
+    it('should prefix the content with its length in bytes', () => {
+      expect(encodeLspMessage('{"label":"é"}').toString('utf8')).toBe(
+        'Content-Length: 14\r\n\r\n{"label":"é"}'
+      );
+    });
+  });
+
+  describe('LspMessageReader', () => {
+    it('should read several messages from one chunk', () => {
+      const reader = new LspMessageReader();
+      const chunk = Buffer.concat([encodeLspMessage('{"id":1}'), encodeLspMessage('{"id":2}')]);
+
+      expect(reader.push(chunk)).toEqual(['{"id":1}', '{"id":2}']);
+    });
+
+    it('should keep incomplete messages until the rest arrives', () => {
+      const reader = new LspMessageReader();
+      const message = encodeLspMessage('{"method":"textDocument/publishDiagnostics"}');
+
+      expect(reader.push(message.subarray(0, 10))).toEqual([]);
+      expect(reader.push(message.subarray(10, 30))).toEqual([]);
+      expect(reader.push(message.subarray(30))).toEqual([
+        '{"method":"textDocument/publishDiagnostics"}',
+      ]);
+    });
+
+    it('should accept other headers', () => {
+      const reader = new LspMessageReader();
+      const chunk = Buffer.from(
+        'Content-Type: application/vscode-jsonrpc; charset=utf-8\r\nContent-Length: 2\r\n\r\n{}'
+      );
+
+      expect(reader.push(chunk)).toEqual(['{}']);
+    });
+
+    it('should reject messages without a length', () => {
+      const reader = new LspMessageReader();
+
+      expect(() => reader.push(Buffer.from('Content-Type: text/plain\r\n\r\n{}'))).toThrow(
+        'without Content-Length'
+      );
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/** Separates the headers of a Language Server Protocol message from its content */
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/** `Content-Length: 52` */
+const CONTENT_LENGTH_PATTERN = /^Content-Length: *(\d+)$/im;
+
+/**
+ * Frames a JSON-RPC message the way language servers read it on stdin
+ *
+ * @param message - The JSON-RPC message, serialized
+ * @returns Headers and content
+ */
+export function encodeLspMessage(message: string): Buffer {
+  const content = Buffer.from(message, 'utf8');
+  return Buffer.concat([Buffer.from(`Content-Length: ${content.length}\r\n\r\n`), content]);
+}
+
+/**
+ * Splits a language server's stdout into JSON-RPC messages. Chunks may end
+ * anywhere, so incomplete messages are kept until the rest arrives.
+ */
+export class LspMessageReader {
+  private buffer = Buffer.alloc(0);
+
+  /**
+   * Adds output of the language server
+   *
+   * @param chunk - Data read from stdout
+   * @returns The messages completed by this chunk, serialized
+   * @throws Error if a message has no Content-Length header
+   */
+  push(chunk: Buffer): string[] {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const messages: string[] = [];
+
+    for (;;) {
+      const headerEnd = this.buffer.indexOf(HEADER_END);
+      if (headerEnd === -1) {
+        return messages;
+      }
+
+      const headers = this.buffer.subarray(0, headerEnd).toString('ascii');
+      const length = CONTENT_LENGTH_PATTERN.exec(headers)?.[1];
+      if (length === undefined) {
+        throw new Error(`Language server message without Content-Length: ${headers}`);
+      }
+
+      const start = headerEnd + HEADER_END.length;
+      const end = start + Number(length);
+      if (this.buffer.length < end) {
+        return messages;
+      }
+      messages.push(this.buffer.subarray(start, end).toString('utf8'));
+      this.buffer = this.buffer.subarray(end);
+    }
+  }
+}
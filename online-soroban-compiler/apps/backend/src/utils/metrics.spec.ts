@@ -0,0 +1,81 @@
+import { MetricsRegistry } from './metrics';
+
+describe('MetricsRegistry', () => {
+  let registry: MetricsRegistry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  it('should render counters and gauges with their labels', () => {
+    const builds = registry.counter({
+      name: 'builds_total',
+      help: 'Builds run',
+      labelNames: ['kind', 'result'],
+    });
+    const queued = registry.gauge({ name: 'queued_jobs', help: 'Jobs waiting' });
+
+    builds.inc({ result: 'succeeded', kind: 'compile' });
+    builds.inc({ kind: 'compile', result: 'succeeded' }, 2);
+    builds.inc({ kind: 'test', result: 'timed_out' });
+    builds.inc({ kind: 'test', result: 'timed_out' }, -5);
+    queued.set({}, 4);
+    queued.set({}, 1);
+
+    expect(registry.render()).toBe(
+      [
+        '# HELP builds_total Builds run',
+        '# TYPE builds_total counter',
+        'builds_total{kind="compile",result="succeeded"} 3',
+        'builds_total{kind="test",result="timed_out"} 1',
+        '# HELP queued_jobs Jobs waiting',
+        '# TYPE queued_jobs gauge',
+        'queued_jobs 1',
+        '',
+      ].join('\n')
+    );
+    expect(builds.get({ kind: 'compile', result: 'succeeded' })).toBe(3);
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const duration = registry.histogram({
+      name: 'build_duration_seconds',
+      help: 'Build time',
+      labelNames: ['kind'],
+      buckets: [10, 1],
+    });
+
+    duration.observe({ kind: 'compile' }, 0.5);
+    duration.observe({ kind: 'compile' }, 4);
+    duration.observe({ kind: 'compile' }, 30);
+
+    expect(registry.render().split('\n').slice(2, -1)).toEqual([
+      'build_duration_seconds_bucket{kind="compile",le="1"} 1',
+      'build_duration_seconds_bucket{kind="compile",le="10"} 2',
+      'build_duration_seconds_bucket{kind="compile",le="+Inf"} 3',
+      'build_duration_seconds_sum{kind="compile"} 34.5',
+      'build_duration_seconds_count{kind="compile"} 3',
+    ]);
+  });
+
+  it('should escape label values and help text', () => {
+    const requests = registry.counter({
+      name: 'requests_total',
+      help: 'Requests\nby route',
+      labelNames: ['route'],
+    });
+
+    requests.inc({ route: 'a "quoted" \\ path\n' });
+
+    expect(registry.render()).toContain('# HELP requests_total Requests\\nby route');
+    expect(registry.render()).toContain('requests_total{route="a \\"quoted\\" \\\\ path\\n"} 1');
+  });
+
+  it('should reject metrics registered twice', () => {
+    registry.counter({ name: 'builds_total', help: 'Builds run' });
+
+    expect(() => registry.gauge({ name: 'builds_total', help: 'Builds run' })).toThrow(
+      'Metric builds_total is already registered'
+    );
+  });
+});
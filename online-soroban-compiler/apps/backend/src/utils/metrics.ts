@@ -0,0 +1,264 @@
+/**
+ * Label values of one series, by label name
+ */
+export type Labels = Record<string, string>;
+
+/**
+ * Options shared by all metrics
+ */
+export interface MetricOptions {
+  /** Metric name, e.g. `soroban_builds_total` */
+  name: string;
+  /** Description shown in the `# HELP` line */
+  help: string;
+  /** Names of the labels that distinguish series; their order is kept in the output */
+  labelNames?: readonly string[];
+}
+
+/**
+ * Options of a histogram
+ */
+export interface HistogramOptions extends MetricOptions {
+  /** Upper bounds of the buckets, ascending; `+Inf` is added automatically */
+  buckets: readonly number[];
+}
+
+/**
+ * Escapes a label value as the Prometheus text format requires
+ */
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a sample value; infinities are written `+Inf` and `-Inf`
+ */
+function formatValue(value: number): string {
+  if (value === Number.POSITIVE_INFINITY) {
+    return '+Inf';
+  }
+  if (value === Number.NEGATIVE_INFINITY) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Base of counters, gauges and histograms: keeps one value per label set
+ */
+abstract class Metric<T> {
+  protected readonly series = new Map<string, { labels: Labels; value: T }>();
+  readonly name: string;
+  readonly help: string;
+  private readonly labelNames: readonly string[];
+
+  constructor(
+    options: MetricOptions,
+    private readonly type: 'counter' | 'gauge' | 'histogram'
+  ) {
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames ?? [];
+  }
+
+  /**
+   * Forgets all series, e.g. before a gauge is set from a fresh snapshot
+   */
+  reset(): void {
+    this.series.clear();
+  }
+
+  /**
+   * Formats the metric as `# HELP` and `# TYPE` lines followed by its samples
+   */
+  render(): string {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(...this.samples(labels, value));
+    }
+    return lines.join('\n');
+  }
+
+  protected abstract samples(labels: Labels, value: T): string[];
+
+  /**
+   * Gets the value of a label set, creating it if it is new
+   */
+  protected entry(labels: Labels, initial: () => T): { labels: Labels; value: T } {
+    const normalized: Labels = Object.fromEntries(
+      this.labelNames.map((name) => [name, labels[name] ?? ''])
+    );
+    const key = JSON.stringify(normalized);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: normalized, value: initial() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Formats one sample, e.g. `soroban_builds_total{kind="compile"} 3`
+   */
+  protected sample(name: string, labels: Labels, value: number): string {
+    const pairs = Object.entries(labels).map(
+      ([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`
+    );
+    return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+  }
+}
+
+/**
+ * Value that only goes up, e.g. the number of builds run
+ */
+export class Counter extends Metric<number> {
+  constructor(options: MetricOptions) {
+    super(options, 'counter');
+  }
+
+  /**
+   * Increases the value of a label set
+   *
+   * @param labels - Labels of the series
+   * @param amount - Non-negative increase (default: 1)
+   */
+  inc(labels: Labels = {}, amount = 1): void {
+    this.entry(labels, () => 0).value += Math.max(0, amount);
+  }
+
+  /**
+   * Sets the value of a label set counted elsewhere, e.g. in a service's own statistics
+   */
+  set(labels: Labels, value: number): void {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  /**
+   * Gets the value of a label set
+   */
+  get(labels: Labels = {}): number {
+    return this.entry(labels, () => 0).value;
+  }
+
+  protected samples(labels: Labels, value: number): string[] {
+    return [this.sample(this.name, labels, value)];
+  }
+}
+
+/**
+ * Value that goes up and down, e.g. the number of queued jobs
+ */
+export class Gauge extends Metric<number> {
+  constructor(options: MetricOptions) {
+    super(options, 'gauge');
+  }
+
+  /**
+   * Sets the value of a label set
+   */
+  set(labels: Labels, value: number): void {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  protected samples(labels: Labels, value: number): string[] {
+    return [this.sample(this.name, labels, value)];
+  }
+}
+
+interface HistogramValue {
+  /** Observations per bucket, not cumulative */
+  counts: number[];
+  sum: number;
+  count: number;
+}
+
+/**
+ * Distribution of observed values, e.g. build durations, counted in buckets
+ */
+export class Histogram extends Metric<HistogramValue> {
+  private readonly buckets: readonly number[];
+
+  constructor(options: HistogramOptions) {
+    super(options, 'histogram');
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Records an observation
+   *
+   * @param labels - Labels of the series
+   * @param value - Observed value, e.g. a duration in seconds
+   */
+  observe(labels: Labels, value: number): void {
+    const entry = this.entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    const bucket = this.buckets.findIndex((bound) => value <= bound);
+    if (bucket >= 0) {
+      entry.value.counts[bucket] = (entry.value.counts[bucket] ?? 0) + 1;
+    }
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+
+  protected samples(labels: Labels, { counts, sum, count }: HistogramValue): string[] {
+    let cumulative = 0;
+    const bucketSamples = this.buckets.map((bound, index) => {
+      cumulative += counts[index] ?? 0;
+      return this.sample(`${this.name}_bucket`, { ...labels, le: formatValue(bound) }, cumulative);
+    });
+    return [
+      ...bucketSamples,
+      this.sample(`${this.name}_bucket`, { ...labels, le: '+Inf' }, count),
+      this.sample(`${this.name}_sum`, labels, sum),
+      this.sample(`${this.name}_count`, labels, count),
+    ];
+  }
+}
+
+/**
+ * Collection of metrics rendered together in the Prometheus text format
+ */
+export class MetricsRegistry {
+  private readonly metrics = new Map<string, Pick<Metric<unknown>, 'name' | 'render'>>();
+
+  counter(options: MetricOptions): Counter {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options: MetricOptions): Gauge {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options: HistogramOptions): Histogram {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Formats all metrics as Prometheus text exposition format 0.0.4
+   */
+  render(): string {
+    return `${Array.from(this.metrics.values(), (metric) => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * @throws Error if a metric of the same name was already registered
+   */
+  private register<M extends Pick<Metric<unknown>, 'name' | 'render'>>(metric: M): M {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+/**
+ * Content type of the Prometheus text format
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,48 @@
+import { resolveProjectFiles, InvalidProjectFilesError } from './projectFiles';
+
+describe('resolveProjectFiles', () => {
+  it('should use code as src/lib.rs alongside other files', () => {
+    expect(
+      resolveProjectFiles({ code: 'mod test;', files: { 'src/test.rs': '#[test] fn t() {}' } })
+    ).toEqual({ 'src/test.rs': '#[test] fn t() {}', 'src/lib.rs': 'mod test;' });
+  });
+
+  it('should accept nested modules and integration tests', () => {
+    const files = {
+      'src/lib.rs': 'mod events;',
+      'src/events/mod.rs': '',
+      'tests/integration.rs': '',
+    };
+
+    expect(resolveProjectFiles({ files })).toEqual(files);
+  });
+
+  it('should require src/lib.rs', () => {
+    expect(() => resolveProjectFiles({ files: { 'src/storage.rs': '' } })).toThrow(
+      'src/lib.rs is required'
+    );
+  });
+
+  it('should reject code together with files["src/lib.rs"]', () => {
+    expect(() => resolveProjectFiles({ code: 'a', files: { 'src/lib.rs': 'b' } })).toThrow(
+      'provide either code or src/lib.rs, not both'
+    );
+  });
+
+  it('should limit the number of files', () => {
+    const files = Object.fromEntries(
+      Array.from({ length: 33 }, (_, i) => [i === 0 ? 'src/lib.rs' : `src/m${i}.rs`, ''])
+    );
+
+    expect(() => resolveProjectFiles({ files })).toThrow('at most 32 files are allowed');
+  });
+
+  it.each(['../escape.rs', '/etc/passwd', 'src/../../escape.rs', 'Cargo.toml', 'src/lib.txt'])(
+    'should reject the path %s',
+    (path) => {
+      expect(() => resolveProjectFiles({ files: { 'src/lib.rs': '', [path]: '' } })).toThrow(
+        InvalidProjectFilesError
+      );
+    }
+  );
+});
@@ -0,0 +1,66 @@
+/**
+ * Source files of a project keyed by path relative to the project root,
+ * e.g. `{ 'src/lib.rs': '...', 'src/storage.rs': '...' }`
+ */
+export type ProjectFiles = Record<string, string>;
+
+/** Crate root every project must have */
+export const LIB_RS_PATH = 'src/lib.rs';
+
+/** Maximum number of source files in a project */
+export const MAX_PROJECT_FILES = 32;
+
+/**
+ * Paths accepted for project files: Rust sources under `src/` or `tests/`
+ * built from plain segments, so a path can never leave the project directory
+ */
+export const PROJECT_FILE_PATTERN = /^(src|tests)\/([A-Za-z0-9_-]+\/){0,4}[A-Za-z0-9_-]+\.rs$/;
+
+/**
+ * Thrown when a project's file tree is missing its crate root or contains an
+ * unacceptable path
+ */
+export class InvalidProjectFilesError extends Error {
+  constructor(reason: string) {
+    super(`Invalid project files: ${reason}`);
+    this.name = 'InvalidProjectFilesError';
+  }
+}
+
+/**
+ * Combines single-file `code` and a multi-file `files` tree into the files to
+ * write, validating every path
+ *
+ * @param sources - `code` for `src/lib.rs` and/or a file tree
+ * @returns Files keyed by relative path, including `src/lib.rs`
+ * @throws InvalidProjectFilesError if the crate root is missing or a path is rejected
+ */
+export function resolveProjectFiles(sources: {
+  code?: string;
+  files?: ProjectFiles;
+}): ProjectFiles {
+  const files: ProjectFiles = { ...sources.files };
+
+  if (sources.code !== undefined) {
+    if (LIB_RS_PATH in files) {
+      throw new InvalidProjectFilesError(`provide either code or ${LIB_RS_PATH}, not both`);
+    }
+    files[LIB_RS_PATH] = sources.code;
+  }
+
+  if (!(LIB_RS_PATH in files)) {
+    throw new InvalidProjectFilesError(`${LIB_RS_PATH} is required`);
+  }
+
+  const paths = Object.keys(files);
+  if (paths.length > MAX_PROJECT_FILES) {
+    throw new InvalidProjectFilesError(`at most ${MAX_PROJECT_FILES} files are allowed`);
+  }
+
+  const invalidPath = paths.find((path) => !PROJECT_FILE_PATTERN.test(path));
+  if (invalidPath !== undefined) {
+    throw new InvalidProjectFilesError(`${JSON.stringify(invalidPath)} is not an allowed path`);
+  }
+
+  return files;
+}
@@ -0,0 +1,29 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * What is known about the request a piece of work is done for
+ */
+export interface RequestContext {
+  /** ID sent back in the `X-Request-Id` header and included in every log entry */
+  requestId?: string;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+/**
+ * Runs a function, and everything it starts, on behalf of a request
+ *
+ * @param requestId - ID of the request, or undefined for work no request asked for
+ * @param fn - The work
+ * @returns What the function returns
+ */
+export function withRequestId<T>(requestId: string | undefined, fn: () => T): T {
+  return storage.run({ requestId }, fn);
+}
+
+/**
+ * Gets the ID of the request the current work is done for
+ */
+export function currentRequestId(): string | undefined {
+  return storage.getStore()?.requestId;
+}
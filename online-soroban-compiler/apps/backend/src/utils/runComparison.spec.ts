@@ -0,0 +1,139 @@
+import { compareRuns, diffFile } from './runComparison';
+
+const lines = (count: number, prefix = 'line') =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+describe('diffFile', () => {
+  it('should return no hunks for identical contents', () => {
+    expect(diffFile('a\nb', 'a\nb')).toEqual([]);
+  });
+
+  it('should show a changed line with three lines of context', () => {
+    const base = lines(10);
+    const head = [...base];
+    head[4] = 'changed';
+
+    expect(diffFile(base.join('\n'), head.join('\n'))).toEqual([
+      {
+        baseStart: 2,
+        headStart: 2,
+        lines: [
+          { type: 'context', text: 'line 2' },
+          { type: 'context', text: 'line 3' },
+          { type: 'context', text: 'line 4' },
+          { type: 'removed', text: 'line 5' },
+          { type: 'added', text: 'changed' },
+          { type: 'context', text: 'line 6' },
+          { type: 'context', text: 'line 7' },
+          { type: 'context', text: 'line 8' },
+        ],
+      },
+    ]);
+  });
+
+  it('should split distant changes into separate hunks', () => {
+    const base = lines(30);
+    const head = [...base];
+    head[1] = 'first';
+    head[25] = 'second';
+
+    const hunks = diffFile(base.join('\n'), head.join('\n'));
+
+    expect(hunks.map(({ baseStart, headStart }) => [baseStart, headStart])).toEqual([
+      [1, 1],
+      [23, 23],
+    ]);
+  });
+
+  it('should merge changes whose context overlaps', () => {
+    const base = lines(20);
+    const head = [...base];
+    head[5] = 'first';
+    head[9] = 'second';
+
+    expect(diffFile(base.join('\n'), head.join('\n'))).toHaveLength(1);
+  });
+
+  it('should keep line numbers of inserted lines aligned', () => {
+    const base = lines(8);
+    const head = [...base.slice(0, 4), 'inserted', ...base.slice(4)];
+
+    expect(diffFile(base.join('\n'), head.join('\n'))).toEqual([
+      {
+        baseStart: 2,
+        headStart: 2,
+        lines: [
+          { type: 'context', text: 'line 2' },
+          { type: 'context', text: 'line 3' },
+          { type: 'context', text: 'line 4' },
+          { type: 'added', text: 'inserted' },
+          { type: 'context', text: 'line 5' },
+          { type: 'context', text: 'line 6' },
+          { type: 'context', text: 'line 7' },
+        ],
+      },
+    ]);
+  });
+
+  it('should show added and removed files as a single hunk', () => {
+    expect(diffFile(undefined, 'a\nb')).toEqual([
+      {
+        baseStart: 1,
+        headStart: 1,
+        lines: [
+          { type: 'added', text: 'a' },
+          { type: 'added', text: 'b' },
+        ],
+      },
+    ]);
+    expect(diffFile('a', undefined)[0]?.lines).toEqual([{ type: 'removed', text: 'a' }]);
+  });
+});
+
+describe('compareRuns', () => {
+  it('should list added, removed and modified files by path', () => {
+    const comparison = compareRuns(
+      { files: { 'src/lib.rs': 'a', 'src/old.rs': 'x', 'src/same.rs': 's' } },
+      { files: { 'src/lib.rs': 'b', 'src/new.rs': 'y', 'src/same.rs': 's' } }
+    );
+
+    expect(comparison.files.map(({ path, status }) => [path, status])).toEqual([
+      ['src/lib.rs', 'modified'],
+      ['src/new.rs', 'added'],
+      ['src/old.rs', 'removed'],
+    ]);
+    expect(comparison).not.toHaveProperty('wasmSize');
+    expect(comparison).not.toHaveProperty('interface');
+  });
+
+  it('should compare wasm sizes and exported functions of two contracts', () => {
+    const comparison = compareRuns(
+      {
+        files: { 'src/lib.rs': 'a' },
+        wasmSize: 1000,
+        signatures: ['hello(to: Symbol) -> Vec<Symbol>', 'legacy()'],
+      },
+      {
+        files: { 'src/lib.rs': 'a' },
+        wasmSize: 1100,
+        signatures: ['hello(to: String) -> Vec<String>', 'increment() -> u32'],
+      }
+    );
+
+    expect(comparison).toEqual({
+      files: [],
+      wasmSize: { previous: 1000, current: 1100, change: 100, percent: 10 },
+      interface: {
+        added: ['increment() -> u32'],
+        removed: ['legacy()'],
+        changed: [
+          {
+            name: 'hello',
+            previous: 'hello(to: Symbol) -> Vec<Symbol>',
+            current: 'hello(to: String) -> Vec<String>',
+          },
+        ],
+      },
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import { costChange, type CostChange } from './costReport';
+import type { ProjectFiles } from './projectFiles';
+
+/**
+ * A line of a source diff
+ */
+export interface DiffLine {
+  type: 'context' | 'added' | 'removed';
+  text: string;
+}
+
+/**
+ * A run of changed lines with the unchanged lines around them
+ */
+export interface DiffHunk {
+  /** 1-based line in the base file where the hunk starts */
+  baseStart: number;
+  /** 1-based line in the head file where the hunk starts */
+  headStart: number;
+  lines: DiffLine[];
+}
+
+/**
+ * How a source file differs between two runs; unchanged files are left out
+ */
+export interface FileChange {
+  path: string;
+  status: 'added' | 'removed' | 'modified';
+  hunks: DiffHunk[];
+}
+
+/**
+ * A contract function whose signature changed
+ */
+export interface SignatureChange {
+  name: string;
+  previous: string;
+  current: string;
+}
+
+/**
+ * How the exported interface of a contract changed, by function signature
+ */
+export interface InterfaceChanges {
+  added: string[];
+  removed: string[];
+  changed: SignatureChange[];
+}
+
+/**
+ * What is compared of a build run
+ */
+export interface ComparableRun {
+  files: ProjectFiles;
+  wasmSize?: number;
+  /** Signatures of the exported functions, e.g. `hello(to: Symbol) -> Vec<Symbol>` */
+  signatures?: string[];
+}
+
+/**
+ * Differences between two build runs
+ */
+export interface RunComparison {
+  files: FileChange[];
+  /** Change of the wasm size, when both runs produced a contract */
+  wasmSize?: CostChange;
+  /** Change of the exported functions, when both runs produced a contract */
+  interface?: InterfaceChanges;
+}
+
+/** Unchanged lines shown around each change */
+const CONTEXT_LINES = 3;
+
+/** Above this many line pairs, differing middles are shown as replaced rather than aligned */
+const MAX_ALIGNED_CELLS = 4_000_000;
+
+/**
+ * Lists the line operations turning `base` into `head`, aligning the lines
+ * both share by their longest common subsequence
+ */
+function diffOperations(base: string[], head: string[]): DiffLine[] {
+  let prefix = 0;
+  while (prefix < base.length && prefix < head.length && base[prefix] === head[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix &&
+    suffix < head.length - prefix &&
+    base[base.length - 1 - suffix] === head[head.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const context = (lines: string[]) => lines.map((text): DiffLine => ({ type: 'context', text }));
+  const removed = base.slice(prefix, base.length - suffix);
+  const added = head.slice(prefix, head.length - suffix);
+  const middle: DiffLine[] = [];
+
+  if (removed.length * added.length > MAX_ALIGNED_CELLS) {
+    removed.forEach((text) => middle.push({ type: 'removed', text }));
+    added.forEach((text) => middle.push({ type: 'added', text }));
+  } else {
+    // lengths[i][j]: common subsequence length of removed[i..] and added[j..]
+    const width = added.length + 1;
+    const lengths = new Uint32Array((removed.length + 1) * width);
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          removed[i] === added[j]
+            ? (lengths[(i + 1) * width + j + 1] as number) + 1
+            : Math.max(
+                lengths[(i + 1) * width + j] as number,
+                lengths[i * width + j + 1] as number
+              );
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      if (i < removed.length && j < added.length && removed[i] === added[j]) {
+        middle.push({ type: 'context', text: removed[i++] as string });
+        j++;
+      } else if (
+        j < added.length &&
+        (i === removed.length ||
+          (lengths[i * width + j + 1] as number) > (lengths[(i + 1) * width + j] as number))
+      ) {
+        middle.push({ type: 'added', text: added[j++] as string });
+      } else {
+        middle.push({ type: 'removed', text: removed[i++] as string });
+      }
+    }
+  }
+
+  return [
+    ...context(base.slice(0, prefix)),
+    ...middle,
+    ...context(base.slice(base.length - suffix)),
+  ];
+}
+
+/**
+ * Diffs two versions of a file into hunks with a few lines of context each
+ *
+ * @param base - Earlier contents, or undefined if the file was added
+ * @param head - Later contents, or undefined if the file was removed
+ */
+export function diffFile(base: string | undefined, head: string | undefined): DiffHunk[] {
+  const lines = (text: string | undefined) => (text === undefined ? [] : text.split('\n'));
+  const operations = diffOperations(lines(base), lines(head));
+
+  const hunks: DiffHunk[] = [];
+  let current: DiffHunk | undefined;
+  let trailingContext = 0;
+  let baseLine = 1;
+  let headLine = 1;
+
+  operations.forEach((operation, index) => {
+    if (operation.type !== 'context') {
+      if (!current) {
+        const leading = operations
+          .slice(Math.max(0, index - CONTEXT_LINES), index)
+          .filter((line) => line.type === 'context');
+        current = {
+          baseStart: baseLine - leading.length,
+          headStart: headLine - leading.length,
+          lines: [...leading],
+        };
+        hunks.push(current);
+      }
+      current.lines.push(operation);
+      trailingContext = 0;
+    } else if (current) {
+      const nextChange = operations.findIndex((line, at) => at > index && line.type !== 'context');
+      if (
+        trailingContext < CONTEXT_LINES ||
+        (nextChange >= 0 && nextChange - index <= CONTEXT_LINES)
+      ) {
+        current.lines.push(operation);
+        trailingContext++;
+      } else {
+        current = undefined;
+      }
+    }
+
+    if (operation.type !== 'added') {
+      baseLine++;
+    }
+    if (operation.type !== 'removed') {
+      headLine++;
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Compares the exported functions of two contracts by name and signature
+ */
+function compareInterfaces(base: string[], head: string[]): InterfaceChanges {
+  const byName = (signatures: string[]) =>
+    new Map(signatures.map((signature) => [signature.slice(0, signature.indexOf('(')), signature]));
+  const before = byName(base);
+  const after = byName(head);
+
+  return {
+    added: [...after].filter(([name]) => !before.has(name)).map(([, signature]) => signature),
+    removed: [...before].filter(([name]) => !after.has(name)).map(([, signature]) => signature),
+    changed: [...after].flatMap(([name, current]) => {
+      const previous = before.get(name);
+      return previous !== undefined && previous !== current ? [{ name, previous, current }] : [];
+    }),
+  };
+}
+
+/**
+ * Compares a build run with an earlier one
+ *
+ * @param base - Run to compare against
+ * @param head - Run being looked at
+ */
+export function compareRuns(base: ComparableRun, head: ComparableRun): RunComparison {
+  const paths = [...new Set([...Object.keys(base.files), ...Object.keys(head.files)])].sort();
+  const files = paths.flatMap((path): FileChange[] => {
+    const before = base.files[path];
+    const after = head.files[path];
+    if (before === after) {
+      return [];
+    }
+    const status = before === undefined ? 'added' : after === undefined ? 'removed' : 'modified';
+    return [{ path, status, hunks: diffFile(before, after) }];
+  });
+
+  return {
+    files,
+    ...(base.wasmSize !== undefined && head.wasmSize !== undefined
+      ? { wasmSize: costChange(base.wasmSize, head.wasmSize) }
+      : {}),
+    ...(base.signatures && head.signatures
+      ? { interface: compareInterfaces(base.signatures, head.signatures) }
+      : {}),
+  };
+}
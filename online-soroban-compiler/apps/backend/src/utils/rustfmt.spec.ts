@@ -0,0 +1,56 @@
+import { buildRustfmtConfig, parseRustfmtErrors } from './rustfmt';
+
+describe('buildRustfmtConfig', () => {
+  it('should write the options pinned to the build edition', () => {
+    expect(buildRustfmtConfig({ max_width: 80, use_small_heuristics: 'Max' })).toBe(
+      'max_width = 80\nuse_small_heuristics = "Max"\nedition = "2021"\n'
+    );
+    expect(buildRustfmtConfig()).toBe('edition = "2021"\n');
+  });
+});
+
+describe('parseRustfmtErrors', () => {
+  it('should locate parse errors relative to the project', () => {
+    const stderr = [
+      'error: expected one of `.`, `;`, `?`, `else`, or an operator, found `x`',
+      ' --> /tmp/project/src/lib.rs:3:15',
+      '  |',
+      '3 |     let x = 1 x;',
+      '  |               ^ expected one of `.`, `;`, `?`, `else`, or an operator',
+      '',
+    ].join('\n');
+
+    expect(parseRustfmtErrors(stderr, '/tmp/project')).toEqual([
+      {
+        level: 'error',
+        message: 'expected one of `.`, `;`, `?`, `else`, or an operator, found `x`',
+        spans: [
+          {
+            file: 'src/lib.rs',
+            lineStart: 3,
+            lineEnd: 3,
+            columnStart: 15,
+            columnEnd: 16,
+            primary: true,
+          },
+        ],
+        notes: [],
+        fixes: [],
+        rendered: [
+          'error: expected one of `.`, `;`, `?`, `else`, or an operator, found `x`',
+          ' --> src/lib.rs:3:15',
+          '  |',
+          '3 |     let x = 1 x;',
+          '  |               ^ expected one of `.`, `;`, `?`, `else`, or an operator',
+        ].join('\n'),
+      },
+    ]);
+  });
+
+  it('should ignore output that is not a located error', () => {
+    const stderr =
+      'Error writing files: failed to resolve mod `missing`: /tmp/project/src/missing.rs does not exist\n';
+
+    expect(parseRustfmtErrors(stderr, '/tmp/project')).toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+import type { Diagnostic } from './diagnostics';
+import { stringifyToml } from './toml';
+
+/**
+ * Stable rustfmt options a project can set. Names and values are those of
+ * `rustfmt.toml`.
+ */
+export interface RustfmtOptions {
+  max_width?: number;
+  hard_tabs?: boolean;
+  tab_spaces?: number;
+  use_small_heuristics?: 'Default' | 'Off' | 'Max';
+  fn_params_layout?: 'Tall' | 'Compressed' | 'Vertical';
+  reorder_imports?: boolean;
+  reorder_modules?: boolean;
+  match_block_trailing_comma?: boolean;
+  use_field_init_shorthand?: boolean;
+  use_try_shorthand?: boolean;
+}
+
+/** Name of the config file written next to the sources */
+export const RUSTFMT_CONFIG_FILE = 'rustfmt.toml';
+
+/** Edition of the generated Cargo.toml, which rustfmt needs to parse the sources */
+const RUSTFMT_EDITION = '2021';
+
+/** `error: message`, as rustfmt reports parse errors */
+const MESSAGE_PATTERN = /^(error|warning)(?:\[(\w+)\])?: (.+)$/;
+
+/** ` --> /tmp/project/src/lib.rs:3:15` */
+const LOCATION_PATTERN = /^\s*--> (.+):(\d+):(\d+)$/;
+
+/**
+ * Writes the project's rustfmt config, pinned to the edition projects are built with
+ *
+ * @param options - Options chosen for the project
+ * @returns Contents of `rustfmt.toml`
+ */
+export function buildRustfmtConfig(options: RustfmtOptions = {}): string {
+  return stringifyToml({ ...options, edition: RUSTFMT_EDITION });
+}
+
+/**
+ * Turns the parse errors rustfmt prints into diagnostics located in the project
+ *
+ * @param stderr - rustfmt's error output
+ * @param projectPath - Directory the sources were written to, stripped from file names
+ */
+export function parseRustfmtErrors(stderr: string, projectPath: string): Diagnostic[] {
+  const diagnostics: Diagnostic[] = [];
+  let current: { diagnostic: Diagnostic; lines: string[] } | undefined;
+
+  const finish = () => {
+    if (current) {
+      current.diagnostic.rendered = current.lines.join('\n').trimEnd();
+      diagnostics.push(current.diagnostic);
+      current = undefined;
+    }
+  };
+
+  for (const line of stderr.split(/\r?\n/)) {
+    const message = MESSAGE_PATTERN.exec(line);
+    if (message) {
+      finish();
+      current = {
+        diagnostic: {
+          level: message[1] as 'error' | 'warning',
+          ...(message[2] ? { code: message[2] } : {}),
+          message: message[3] as string,
+          spans: [],
+          notes: [],
+          fixes: [],
+          rendered: '',
+        },
+        lines: [],
+      };
+    } else if (!current) {
+      continue;
+    }
+
+    const location = LOCATION_PATTERN.exec(line);
+    if (location && current.diagnostic.spans.length === 0) {
+      const file = (location[1] as string).replace(`${projectPath}/`, '');
+      const lineNumber = Number(location[2]);
+      const column = Number(location[3]);
+      current.diagnostic.spans.push({
+        file,
+        lineStart: lineNumber,
+        lineEnd: lineNumber,
+        columnStart: column,
+        columnEnd: column + 1,
+        primary: true,
+      });
+      current.lines.push(line.replace(`${projectPath}/`, ''));
+    } else {
+      current.lines.push(line);
+    }
+  }
+  finish();
+
+  return diagnostics;
+}
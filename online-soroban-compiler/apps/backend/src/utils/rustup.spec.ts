@@ -0,0 +1,35 @@
+import { parseToolchainList, toolchainEnv } from './rustup';
+
+describe('parseToolchainList', () => {
+  it('should list toolchains and mark the default', () => {
+    const stdout = [
+      'stable-x86_64-unknown-linux-gnu (active, default)',
+      '1.81.0-x86_64-unknown-linux-gnu',
+      'nightly-2025-01-01-x86_64-unknown-linux-gnu (active)',
+    ].join('\n');
+
+    expect(parseToolchainList(stdout)).toEqual([
+      { name: 'stable-x86_64-unknown-linux-gnu', default: true },
+      { name: '1.81.0-x86_64-unknown-linux-gnu', default: false },
+      { name: 'nightly-2025-01-01-x86_64-unknown-linux-gnu', default: false },
+    ]);
+  });
+
+  it('should read the default marker of older rustup versions', () => {
+    expect(parseToolchainList('stable-x86_64-unknown-linux-gnu (default)\n')).toEqual([
+      { name: 'stable-x86_64-unknown-linux-gnu', default: true },
+    ]);
+  });
+
+  it('should return no toolchains when none are installed', () => {
+    expect(parseToolchainList('no installed toolchains')).toEqual([]);
+    expect(parseToolchainList('')).toEqual([]);
+  });
+});
+
+describe('toolchainEnv', () => {
+  it('should select a toolchain through RUSTUP_TOOLCHAIN', () => {
+    expect(toolchainEnv('1.81.0')).toEqual({ RUSTUP_TOOLCHAIN: '1.81.0' });
+    expect(toolchainEnv(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * A toolchain as listed by `rustup toolchain list`
+ */
+export interface InstalledToolchain {
+  /** Full toolchain name, e.g. `1.84.0-x86_64-unknown-linux-gnu` */
+  name: string;
+  /** Whether it is rustup's default toolchain */
+  default: boolean;
+}
+
+/**
+ * Toolchain names: a channel or version, optionally a date and host triple.
+ * Restricting the charset keeps them safe to pass in the environment.
+ */
+export const TOOLCHAIN_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,79}$/;
+
+/** `stable-x86_64-unknown-linux-gnu (active, default)`; older rustup prints `(default)` */
+const TOOLCHAIN_LINE_PATTERN = /^(\S+)(?:\s+\(([^)]*)\))?$/;
+
+/**
+ * Environment variable rustup's proxies (`cargo`, `rustc`, ...) read the toolchain from
+ */
+export const RUSTUP_TOOLCHAIN_ENV = 'RUSTUP_TOOLCHAIN';
+
+/**
+ * Parses the output of `rustup toolchain list`
+ *
+ * @returns The installed toolchains in listed order; none if rustup has none installed
+ */
+export function parseToolchainList(stdout: string): InstalledToolchain[] {
+  return stdout.split('\n').flatMap((line) => {
+    const match = TOOLCHAIN_LINE_PATTERN.exec(line.trim());
+    if (!match?.[1] || !TOOLCHAIN_NAME_PATTERN.test(match[1])) {
+      return [];
+    }
+    const flags = (match[2] ?? '').split(',').map((flag) => flag.trim());
+    return [{ name: match[1], default: flags.includes('default') }];
+  });
+}
+
+/**
+ * Environment selecting a toolchain for rustup's proxies, or none for the default toolchain
+ */
+export function toolchainEnv(toolchain: string | undefined): Record<string, string> {
+  return toolchain ? { [RUSTUP_TOOLCHAIN_ENV]: toolchain } : {};
+}
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import {
+  BubblewrapRunner,
+  DirectRunner,
+  createSandboxRunner,
+  detectLimitExceeded,
+} from './sandbox';
+import { executeCommand } from './commandExecutor';
+
+jest.mock('./commandExecutor');
+
+const mockExecuteCommand = executeCommand as jest.MockedFunction<typeof executeCommand>;
+
+const LIMITS = { cpuSeconds: 60, memoryMb: 512, pids: 64 };
+
+describe('sandbox', () => {
+  describe('DirectRunner', () => {
+    it('should run commands on the host unchanged', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: 'ok', stderr: '' });
+
+      const result = await new DirectRunner().run('cargo', ['test'], { cwd: '/tmp/p', timeout: 5 });
+
+      expect(result).toEqual({ exitCode: 0, stdout: 'ok', stderr: '' });
+      expect(mockExecuteCommand).toHaveBeenCalledWith('cargo', ['test'], {
+        cwd: '/tmp/p',
+        timeout: 5,
+      });
+    });
+  });
+
+  describe('BubblewrapRunner', () => {
+    const runner = new BubblewrapRunner({
+      limits: LIMITS,
+      cargoHome: '/home/app/.cargo',
+      rustupHome: '/home/app/.rustup',
+    });
+
+    it('should isolate the command and apply the limits', async () => {
+      mockExecuteCommand.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+
+      await runner.run(
+        'cargo',
+        ['build', '--release'],
+        { cwd: '/tmp/p', timeout: 5, env: { CARGO_TARGET_DIR: '/cache/targets/0' } },
+        ['/cache/targets/0']
+      );
+
+      const [command, args = [], options] = mockExecuteCommand.mock.calls[0] as Parameters<
+        typeof executeCommand
+      >;
+      expect(command).toBe('bwrap');
+      expect(options).toEqual({ cwd: '/tmp/p', timeout: 5 });
+      expect(args).toEqual(
+        expect.arrayContaining(['--unshare-all', '--die-with-parent', '--clearenv'])
+      );
+      expect(args.join(' ')).toContain('--ro-bind /home/app/.cargo /home/app/.cargo');
+      expect(args.join(' ')).toContain('--ro-bind /home/app/.rustup /home/app/.rustup');
+      expect(args.join(' ')).toContain(
+        '--bind /tmp/p /tmp/p --bind /cache/targets/0 /cache/targets/0'
+      );
+      expect(args.join(' ')).toContain('--setenv CARGO_TARGET_DIR /cache/targets/0');
+      expect(args.join(' ')).toContain('--setenv CARGO_NET_OFFLINE true');
+      expect(args.slice(args.indexOf('prlimit'))).toEqual([
+        'prlimit',
+        '--cpu=60',
+        `--as=${512 * 1024 * 1024}`,
+        '--nproc=64',
+        '--',
+        'cargo',
+        'build',
+        '--release',
+      ]);
+    });
+
+    it('should mount the private /tmp before binding scratch directories into it', () => {
+      const args = runner.sandboxArgs('cargo', [], '/tmp/p', [], {});
+
+      expect(args.indexOf('--tmpfs')).toBeLessThan(args.indexOf('--bind'));
+    });
+
+    it('should wrap long-running processes with read-only extra directories', () => {
+      const wrapped = runner.wrap('rust-analyzer', [], { cwd: '/tmp/p' }, ['/var/lib/vendor']);
+      const args = wrapped.args.join(' ');
+
+      expect(wrapped.command).toBe('bwrap');
+      expect(args).toContain('--unshare-all');
+      expect(args).toContain('--ro-bind /var/lib/vendor /var/lib/vendor');
+      expect(args).not.toContain('--bind /var/lib/vendor');
+      expect(wrapped.args.slice(-2)).toEqual(['--', 'rust-analyzer']);
+    });
+
+    it('should report the limit a failed command ran into', async () => {
+      mockExecuteCommand.mockResolvedValue({
+        exitCode: 101,
+        stdout: '',
+        stderr: 'memory allocation of 1073741824 bytes failed',
+      });
+
+      const result = await runner.run('cargo', ['build'], { cwd: '/tmp/p' });
+
+      expect(result.limitExceeded).toBe('memory');
+    });
+  });
+
+  describe('detectLimitExceeded', () => {
+    it.each([
+      ['cpu', "process didn't exit successfully (signal: 24, SIGXCPU: CPU time limit exceeded)"],
+      ['memory', 'fatal runtime error: out of memory'],
+      ['pids', 'failed to spawn thread: Resource temporarily unavailable (os error 11)'],
+    ])('should detect the %s limit', (limit, stderr) => {
+      expect(detectLimitExceeded({ exitCode: 101, stdout: '', stderr })).toBe(limit);
+    });
+
+    it('should ignore successful commands and ordinary failures', () => {
+      expect(
+        detectLimitExceeded({ exitCode: 0, stdout: '', stderr: 'out of memory' })
+      ).toBeUndefined();
+      expect(
+        detectLimitExceeded({ exitCode: 101, stdout: '', stderr: 'error[E0425]' })
+      ).toBeUndefined();
+    });
+  });
+
+  it('should create the configured runner', () => {
+    expect(createSandboxRunner('none', LIMITS).name).toBe('none');
+    expect(createSandboxRunner('bubblewrap', LIMITS).name).toBe('bubblewrap');
+  });
+});
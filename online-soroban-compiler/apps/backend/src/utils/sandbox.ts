@@ -0,0 +1,287 @@
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { executeCommand, type CommandResult, type ExecuteOptions } from './commandExecutor';
+import { cargoHome } from './cargoRegistry';
+
+/**
+ * Resource limit of a sandbox that a command can run into
+ */
+export type SandboxLimit = 'cpu' | 'memory' | 'pids';
+
+/**
+ * Result of a sandboxed command
+ */
+export interface SandboxResult extends CommandResult {
+  /** The limit the command ran into, if its failure was caused by one */
+  limitExceeded?: SandboxLimit;
+}
+
+/**
+ * Resource limits applied to every sandboxed command
+ */
+export interface SandboxLimits {
+  /** CPU time of each process in seconds */
+  cpuSeconds: number;
+  /** Address space of each process in megabytes */
+  memoryMb: number;
+  /** Maximum number of processes */
+  pids: number;
+}
+
+/**
+ * Command line starting a long-running process inside a sandbox
+ */
+export interface SandboxedCommand {
+  command: string;
+  args: string[];
+  /** Variables to add to the backend's environment when starting the process */
+  env: Record<string, string>;
+}
+
+/**
+ * Runs build commands against untrusted code
+ */
+export interface SandboxRunner {
+  /** Identifies the implementation, e.g. in logs */
+  readonly name: string;
+  /** Whether commands run without network access, so dependencies must be fetched beforehand */
+  readonly isolatesNetwork: boolean;
+  /** Whether commands are kept away from the host, so build scripts and proc macros may run */
+  readonly isolatesHost: boolean;
+
+  /**
+   * Runs a command inside the sandbox
+   *
+   * @param command - Executable to run
+   * @param args - Arguments
+   * @param options - Execution options; `cwd` is the scratch directory the command may write to
+   * @param writablePaths - Further directories the command may write to (e.g. a cargo target directory)
+   */
+  run(
+    command: string,
+    args: string[],
+    options: ExecuteOptions & { cwd: string },
+    writablePaths?: string[]
+  ): Promise<SandboxResult>;
+
+  /**
+   * Builds the command line of a process that should run inside the sandbox
+   * but is started by the caller, e.g. a language server talking over stdio.
+   * Resource limits apply as for `run`.
+   *
+   * @param command - Executable to run
+   * @param args - Arguments
+   * @param options - `cwd` is the scratch directory the process may write to
+   * @param readOnlyPaths - Further directories the process may read (e.g. vendored crates)
+   */
+  wrap(
+    command: string,
+    args: string[],
+    options: { cwd: string; env?: Record<string, string> },
+    readOnlyPaths?: string[]
+  ): SandboxedCommand;
+}
+
+/**
+ * Runs commands directly on the host with the backend's privileges. Only
+ * suitable for development and trusted code.
+ */
+export class DirectRunner implements SandboxRunner {
+  readonly name = 'none';
+  readonly isolatesNetwork = false;
+  readonly isolatesHost = false;
+
+  run(command: string, args: string[], options: ExecuteOptions): Promise<SandboxResult> {
+    return executeCommand(command, args, options);
+  }
+
+  wrap(
+    command: string,
+    args: string[],
+    options: { env?: Record<string, string> }
+  ): SandboxedCommand {
+    return { command, args, env: options.env ?? {} };
+  }
+}
+
+/** Output produced when a process hits its address space limit */
+const MEMORY_LIMIT_PATTERN =
+  /memory allocation of \d+ bytes failed|Cannot allocate memory|out of memory|std::bad_alloc/i;
+
+/** Output produced when a process hits its CPU time limit */
+const CPU_LIMIT_PATTERN = /SIGXCPU|CPU time limit exceeded/;
+
+/** Output produced when a process cannot be spawned because of the process limit */
+const PIDS_LIMIT_PATTERN = /Resource temporarily unavailable|fork: retry/;
+
+/** Exit status of a process killed by SIGXCPU */
+const SIGXCPU_EXIT_CODE = 128 + 24;
+
+/**
+ * Determines whether a failed command ran into one of the sandbox limits
+ *
+ * @param result - Result of the command
+ * @returns The limit, or undefined if the failure has another cause
+ */
+export function detectLimitExceeded(result: CommandResult): SandboxLimit | undefined {
+  if (result.exitCode === 0) {
+    return undefined;
+  }
+
+  const output = `${result.stderr}\n${result.stdout}`;
+  if (result.exitCode === SIGXCPU_EXIT_CODE || CPU_LIMIT_PATTERN.test(output)) {
+    return 'cpu';
+  }
+  if (MEMORY_LIMIT_PATTERN.test(output)) {
+    return 'memory';
+  }
+  if (PIDS_LIMIT_PATTERN.test(output)) {
+    return 'pids';
+  }
+  return undefined;
+}
+
+/**
+ * Options for the bubblewrap sandbox
+ */
+export interface BubblewrapOptions {
+  limits: SandboxLimits;
+  /** Cargo home holding the registry cache and installed tools (default: `$CARGO_HOME` or `~/.cargo`) */
+  cargoHome?: string;
+  /** Rustup home holding the toolchains (default: `$RUSTUP_HOME` or `~/.rustup`) */
+  rustupHome?: string;
+  /** bubblewrap executable (default: `bwrap`) */
+  executable?: string;
+}
+
+/** Host directories the toolchain needs, mounted read-only when they exist */
+const SYSTEM_PATHS = [
+  '/usr',
+  '/bin',
+  '/sbin',
+  '/lib',
+  '/lib64',
+  '/etc/alternatives',
+  '/etc/ld.so.cache',
+];
+
+/**
+ * Runs commands in a bubblewrap sandbox: new user, network, PID and IPC
+ * namespaces, a read-only view of the system and toolchain, a private `/tmp`,
+ * and write access only to the scratch directory. `prlimit` caps the CPU time,
+ * memory and number of processes.
+ */
+export class BubblewrapRunner implements SandboxRunner {
+  readonly name = 'bubblewrap';
+  readonly isolatesNetwork = true;
+  readonly isolatesHost = true;
+  private readonly cargoHome: string;
+  private readonly rustupHome: string;
+
+  constructor(private readonly options: BubblewrapOptions) {
+    this.cargoHome = options.cargoHome ?? cargoHome();
+    this.rustupHome = options.rustupHome ?? process.env.RUSTUP_HOME ?? join(homedir(), '.rustup');
+  }
+
+  async run(
+    command: string,
+    args: string[],
+    options: ExecuteOptions & { cwd: string },
+    writablePaths: string[] = []
+  ): Promise<SandboxResult> {
+    const { env, ...executeOptions } = options;
+    const result = await executeCommand(
+      this.options.executable ?? 'bwrap',
+      this.sandboxArgs(command, args, options.cwd, writablePaths, env ?? {}),
+      executeOptions
+    );
+
+    const limitExceeded = detectLimitExceeded(result);
+    return limitExceeded ? { ...result, limitExceeded } : result;
+  }
+
+  wrap(
+    command: string,
+    args: string[],
+    options: { cwd: string; env?: Record<string, string> },
+    readOnlyPaths: string[] = []
+  ): SandboxedCommand {
+    return {
+      command: this.options.executable ?? 'bwrap',
+      args: this.sandboxArgs(command, args, options.cwd, [], options.env ?? {}, readOnlyPaths),
+      env: {},
+    };
+  }
+
+  /**
+   * Builds the bubblewrap command line for a command
+   */
+  sandboxArgs(
+    command: string,
+    args: string[],
+    cwd: string,
+    writablePaths: string[],
+    env: Record<string, string>,
+    readOnlyPaths: string[] = []
+  ): string[] {
+    const { cpuSeconds, memoryMb, pids } = this.options.limits;
+    const environment: Record<string, string> = {
+      PATH: `${join(this.cargoHome, 'bin')}:/usr/local/bin:/usr/bin:/bin`,
+      HOME: cwd,
+      TMPDIR: '/tmp',
+      CARGO_HOME: this.cargoHome,
+      RUSTUP_HOME: this.rustupHome,
+      // Dependencies were fetched before entering the sandbox
+      CARGO_NET_OFFLINE: 'true',
+      ...env,
+    };
+
+    return [
+      '--die-with-parent',
+      '--new-session',
+      '--unshare-all',
+      ...SYSTEM_PATHS.flatMap((path) => ['--ro-bind-try', path, path]),
+      '--ro-bind',
+      this.cargoHome,
+      this.cargoHome,
+      '--ro-bind',
+      this.rustupHome,
+      this.rustupHome,
+      '--proc',
+      '/proc',
+      '--dev',
+      '/dev',
+      '--tmpfs',
+      '/tmp',
+      ...readOnlyPaths.flatMap((path) => ['--ro-bind', path, path]),
+      ...[cwd, ...writablePaths].flatMap((path) => ['--bind', path, path]),
+      '--chdir',
+      cwd,
+      '--clearenv',
+      ...Object.entries(environment).flatMap(([name, value]) => ['--setenv', name, value]),
+      '--',
+      'prlimit',
+      `--cpu=${cpuSeconds}`,
+      `--as=${memoryMb * 1024 * 1024}`,
+      `--nproc=${pids}`,
+      '--',
+      command,
+      ...args,
+    ];
+  }
+}
+
+/**
+ * Sandbox implementations selectable through configuration
+ */
+export type SandboxRunnerName = 'none' | 'bubblewrap';
+
+/**
+ * Creates the configured sandbox runner
+ *
+ * @param name - Implementation to use
+ * @param limits - Resource limits for sandboxed commands
+ */
+export function createSandboxRunner(name: SandboxRunnerName, limits: SandboxLimits): SandboxRunner {
+  return name === 'bubblewrap' ? new BubblewrapRunner({ limits }) : new DirectRunner();
+}
@@ -0,0 +1,16 @@
+import { secretsMatch } from './secrets';
+
+describe('secretsMatch', () => {
+  it('should match equal secrets', () => {
+    expect(secretsMatch('s3cret-token', 's3cret-token')).toBe(true);
+  });
+
+  it.each([
+    ['different contents', 's3cret-tokem'],
+    ['a prefix', 's3cret'],
+    ['a longer secret', 's3cret-token-2'],
+    ['an empty secret', ''],
+  ])('should reject %s', (_, provided) => {
+    expect(secretsMatch(provided, 's3cret-token')).toBe(false);
+  });
+});
@@ -0,0 +1,10 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Compares two secrets in constant time. Both are hashed first, so neither
+ * their contents nor their lengths leak through the comparison time.
+ */
+export function secretsMatch(provided: string, expected: string): boolean {
+  const digest = (value: string) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+}
@@ -0,0 +1,214 @@
+import { lintSorobanSources } from './sorobanLint';
+
+const contract = (body: string, prelude = '') => ({
+  'src/lib.rs': `#![no_std]
+use soroban_sdk::{contract, contractimpl, Address, Env, Vec};
+
+#[contract]
+pub struct Contract;
+${prelude}
+#[contractimpl]
+impl Contract {
+${body}
+}
+`,
+});
+
+const codes = (files: Record<string, string>) =>
+  lintSorobanSources(files).map((diagnostic) => diagnostic.code);
+
+describe('lintSorobanSources', () => {
+  it('should report storage writes without authorization', () => {
+    const [finding] = lintSorobanSources(
+      contract(`    pub fn set_owner(env: Env, owner: Address) {
+        env.storage().instance().set(&KEY, &owner);
+        env.storage().instance().extend_ttl(50, 100);
+    }`)
+    );
+
+    expect(finding).toEqual({
+      level: 'warning',
+      code: 'soroban::missing_require_auth',
+      message: '`set_owner` changes contract storage without requiring authorization',
+      spans: [
+        {
+          file: 'src/lib.rs',
+          lineStart: 9,
+          lineEnd: 9,
+          columnStart: 12,
+          columnEnd: 21,
+          primary: true,
+        },
+      ],
+      notes: [expect.stringMatching(/^help: call `require_auth\(\)`/)],
+      fixes: [],
+      rendered: expect.stringContaining('warning[soroban::missing_require_auth]'),
+    });
+    expect(finding?.rendered).toContain('--> src/lib.rs:9:12');
+  });
+
+  it('should follow helpers for writes, authorization and TTL extensions', () => {
+    const files = contract(
+      `    pub fn deposit(env: Env, user: Address) {
+        authorize(&user);
+        save(&env, &user);
+    }
+
+    pub fn __constructor(env: Env, admin: Address) {
+        env.storage().persistent().set(&admin, &0);
+        env.storage().persistent().extend_ttl(&admin, 50, 100);
+    }`,
+      `
+fn authorize(user: &Address) {
+    user.require_auth();
+}
+
+fn save(env: &Env, user: &Address) {
+    env.storage().persistent().set(user, &1);
+    env.storage().persistent().extend_ttl(user, 50, 100);
+}
+`
+    );
+
+    expect(codes(files)).toEqual([]);
+  });
+
+  it('should report persistent writes without TTL extension', () => {
+    const findings = lintSorobanSources(
+      contract(`    pub fn store(env: Env, user: Address) {
+        user.require_auth();
+        let storage = env.storage().persistent();
+        storage.set(&user, &1);
+    }`)
+    );
+
+    expect(findings.map(({ code, spans }) => [code, spans[0]?.lineStart])).toEqual([
+      ['soroban::missing_ttl_extension', 12],
+    ]);
+  });
+
+  it('should report instance storage that is never extended', () => {
+    expect(
+      codes(
+        contract(`    pub fn init(env: Env, admin: Address) {
+        admin.require_auth();
+        env.storage().instance().set(&KEY, &admin);
+    }`)
+      )
+    ).toEqual(['soroban::missing_ttl_extension']);
+  });
+
+  it('should report stored collections growing without a limit', () => {
+    const findings = lintSorobanSources(
+      contract(`    pub fn add(env: Env, user: Address) {
+        user.require_auth();
+        let mut users: Vec<Address> = env.storage().instance().get(&KEY).unwrap();
+        users.push_back(user.clone());
+        env.storage().instance().set(&KEY, &users);
+        env.storage().instance().set(&DataKey::Balance(user), &0);
+        env.storage().instance().extend_ttl(50, 100);
+    }`)
+    );
+
+    expect(findings.map(({ code, spans }) => [code, spans[0]?.lineStart])).toEqual([
+      ['soroban::unbounded_storage', 12],
+      ['soroban::unbounded_storage', 14],
+    ]);
+  });
+
+  it('should report panics and unchecked arithmetic outside tests', () => {
+    const files = contract(
+      `    pub fn transfer(env: Env, amount: i128, from: i128) -> i128 {
+        if amount < 0 {
+            panic!("negative amount");
+        }
+        let fee = amount.checked_mul(2).unwrap();
+        let rest = from - amount;
+        let mut total = rest * 2 + fee;
+        total += 1;
+        let label = "a + b"; // a - b
+        let slice = &x[1..N - 1];
+        return -1 + 2;
+    }`,
+      `
+#[cfg(test)]
+mod test {
+    fn overflow() {
+        let _ = 1 + u32::MAX;
+        panic!("tests may panic");
+    }
+}
+`
+    );
+
+    expect(lintSorobanSources(files).map(({ code, spans }) => [code, spans[0]?.lineStart])).toEqual(
+      [
+        ['soroban::panic_instead_of_error', 19],
+        ['soroban::unchecked_arithmetic', 22],
+        ['soroban::unchecked_arithmetic', 23],
+        ['soroban::unchecked_arithmetic', 24],
+        ['soroban::unchecked_arithmetic', 26],
+      ]
+    );
+  });
+
+  it('should scan long identifiers in linear time', () => {
+    const body = `pub fn f() { ${'a'.repeat(49_000)} }`;
+    const files = Object.fromEntries(
+      ['src/lib.rs', 'src/a.rs', 'src/b.rs', 'src/c.rs'].map((path) => [path, body])
+    );
+
+    const start = Date.now();
+    expect(lintSorobanSources(files)).toEqual([]);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  describe('on adversarial input at the lint size limit', () => {
+    const fill = (unit: string) => unit.repeat(Math.floor(100_000 / unit.length));
+    const helpers = (caller: string, helper: string) =>
+      `#[contractimpl] impl C {${fill(caller).slice(0, 50_000)}}${fill(helper).slice(0, 50_000)}`;
+
+    it.each([
+      ['unclosed functions', fill('fn a(){')],
+      ['unclosed contract impls', fill('#[contractimpl] impl A { fn a(')],
+      ['unclosed parameter lists', fill('fn a(')],
+      ['unclosed visibility', fill('pub(')],
+      ['nested functions', 'fn a(){'.repeat(6_000) + '}'.repeat(6_000)],
+      ['test items', fill('#[cfg(test)] fn a(){')],
+      ['helpers shared by every export', helpers('pub fn a(){b()}', 'fn b(){}')],
+      ['storage variables', `fn a(){${fill('let s = e.storage().persistent();s.set(k);')}}`],
+      ['long operands', `fn f(){${'a'.repeat(99_000)}) + b}`],
+    ])('should lint %s quickly', (_, source) => {
+      const start = Date.now();
+      lintSorobanSources({ 'src/lib.rs': source });
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+  });
+
+  it('should keep code after a test module inside a test module', () => {
+    expect(
+      codes({
+        'src/lib.rs': `#[cfg(test)]
+mod tests {
+    #[cfg(test)]
+    fn check() {}
+}
+
+fn fail() {
+    panic!("boom");
+}
+`,
+      })
+    ).toEqual(['soroban::panic_instead_of_error']);
+  });
+
+  it('should skip integration tests and test-only files', () => {
+    expect(
+      codes({
+        'src/lib.rs': '#![no_std]\nmod test;\n',
+        'src/test.rs': '#![cfg(test)]\nfn check() { panic!("boom"); }\n',
+        'tests/integration.rs': 'fn check() { panic!("boom"); }\n',
+      })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,693 @@
+import type { Diagnostic } from './diagnostics';
+import type { ProjectFiles } from './projectFiles';
+
+/**
+ * Soroban-specific checks run next to clippy
+ */
+export type SorobanRule =
+  | 'missing_require_auth'
+  | 'unbounded_storage'
+  | 'missing_ttl_extension'
+  | 'panic_instead_of_error'
+  | 'unchecked_arithmetic';
+
+/** Rule IDs are reported as diagnostic codes, like clippy's `clippy::<lint>` */
+export const SOROBAN_RULE_PREFIX = 'soroban::';
+
+const RULE_HELP: Record<SorobanRule, string> = {
+  missing_require_auth:
+    'call `require_auth()` on the address that authorizes the change before writing storage',
+  unbounded_storage:
+    'cap the collection, or store each item under its own key in persistent storage',
+  missing_ttl_extension:
+    'call `extend_ttl` on the entry so it is not archived once its minimum TTL runs out',
+  panic_instead_of_error:
+    'define a `#[contracterror]` enum and return `Result<_, Error>` or use `panic_with_error!`',
+  unchecked_arithmetic:
+    'use `checked_add`, `checked_sub` or `checked_mul` and return a contract error on overflow',
+};
+
+/**
+ * A function found in the masked source of a file
+ */
+interface RustFunction {
+  name: string;
+  file: string;
+  /** Offset of the name */
+  offset: number;
+  /** Offsets of the body braces */
+  bodyStart: number;
+  bodyEnd: number;
+  /** Whether the function is exported by a `#[contractimpl]` block */
+  exported: boolean;
+  /** Functions declared directly inside the body, whose bodies are not part of this one */
+  nested: RustFunction[];
+}
+
+/**
+ * Source of a file with comments and literal contents blanked out
+ */
+interface MaskedFile {
+  path: string;
+  text: string;
+  /** Offset of the first character of each line */
+  lineStarts: number[];
+  /** Offset of the bracket closing each opening bracket, see `bracketPairs` */
+  brackets: Int32Array;
+}
+
+/** Storage writes, capturing the storage type: `env.storage().persistent().set(` */
+const STORAGE_WRITE_PATTERN =
+  /\.storage\(\)\s*\.\s*(instance|persistent|temporary)\(\)\s*\.\s*(?:set|remove)\s*\(/g;
+
+/** `let storage = env.storage().persistent();`, capturing the variable and storage type */
+const STORAGE_BINDING_PATTERN =
+  /\blet\s+(?:mut\s+)?([A-Za-z_]\w*)\s*=\s*[\w.]*\.storage\(\)\s*\.\s*(instance|persistent|temporary)\(\)\s*;/g;
+
+const REQUIRE_AUTH_PATTERN = /\.require_auth(?:_for_args)?\s*\(/;
+
+/** TTL extensions of anything but instance storage */
+const ENTRY_EXTEND_PATTERN = /(?<!instance\(\)\s*\.\s*)\bextend_ttl\s*\(/;
+
+const INSTANCE_EXTEND_PATTERN = /\.instance\(\)\s*\.\s*extend_ttl\s*\(/;
+
+const COLLECTION_GROWTH_PATTERN = /\.(?:push_back|push_front|append)\s*\(/g;
+
+/** Instance storage writes under a key built from a value, e.g. `DataKey::Balance(user)` */
+const KEYED_INSTANCE_WRITE_PATTERN =
+  /\.instance\(\)\s*\.\s*set\s*\(\s*&?\s*(?:[A-Za-z_]\w*::)+[A-Za-z_]\w*\s*\(/g;
+
+const PANIC_PATTERN = /\bpanic!\s*[([{]/g;
+
+/**
+ * Binary `+`, `-`, `*` and their compound assignments, with the operand before
+ * them. Operands only match from their first character, which keeps the scan
+ * linear in long identifiers.
+ */
+const ARITHMETIC_PATTERN = /(?<![\w)\]])([\w)\]]+)\s*([+*-])(=?)(?![=>+*-])\s*([\w(]+)/g;
+
+/** Words an operator can follow without being a binary operator (`return -1`, `&mut *x`) */
+const NON_OPERAND_WORDS = new Set(['return', 'mut', 'in', 'let', 'if', 'else', 'match', 'break']);
+
+const NUMBER_PATTERN = /^\d[\d_]*(?:[iu](?:8|16|32|64|128|size))?$/;
+
+/**
+ * Blanks out comments and the contents of string and char literals, keeping
+ * every offset and line break so findings can still be located
+ */
+function maskSource(source: string): string {
+  const chars = source.split('');
+  const blank = (from: number, to: number) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== '\n') {
+        chars[j] = ' ';
+      }
+    }
+  };
+  const rawString = /b?r(#*)"/y;
+  const charLiteral = /'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]{1,6}\}|.)|[^\\'\n])'/y;
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    const previous = source[i - 1] ?? ' ';
+    rawString.lastIndex = i;
+    charLiteral.lastIndex = i;
+    const raw = /\w/.test(previous) ? null : rawString.exec(source);
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      let depth = 1;
+      let j = i + 2;
+      while (j < source.length && depth > 0) {
+        if (source.startsWith('/*', j)) {
+          depth++;
+          j += 2;
+        } else if (source.startsWith('*/', j)) {
+          depth--;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      blank(i, j);
+      i = j;
+    } else if (raw) {
+      const hashes = raw[1] as string;
+      const start = i + raw[0].length;
+      const end = source.indexOf(`"${hashes}`, start);
+      const stop = end === -1 ? source.length : end;
+      blank(start, stop);
+      i = stop + 1 + hashes.length;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== '"') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else if (char === "'" && charLiteral.test(source)) {
+      blank(i + 1, charLiteral.lastIndex - 1);
+      i = charLiteral.lastIndex;
+    } else {
+      i++;
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Pairs up the brackets of a text in one pass. Each kind of bracket is
+ * counted on its own, so a stray `)` does not unbalance the braces around it.
+ *
+ * @returns For the offset of each opening bracket, the offset of the bracket
+ * closing it, or the end of the text if unbalanced
+ */
+function bracketPairs(text: string): Int32Array {
+  const pairs = new Int32Array(text.length).fill(text.length);
+  const open: Record<string, number[]> = { '{': [], '(': [], '[': [] };
+  const closing: Record<string, string> = { '}': '{', ')': '(', ']': '[' };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i] as string;
+    if (char in open) {
+      open[char]?.push(i);
+    } else if (char in closing) {
+      const start = open[closing[char] as string]?.pop();
+      if (start !== undefined) {
+        pairs[start] = i;
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Indexes where the characters of `chars` occur in a text
+ *
+ * @returns For each offset, the offset of the next such character at or
+ * after it, or -1 when there is none
+ */
+function nextOccurrences(text: string, chars: string): Int32Array {
+  const next = new Int32Array(text.length + 1).fill(-1);
+  for (let i = text.length - 1; i >= 0; i--) {
+    next[i] = chars.includes(text[i] as string) ? i : (next[i + 1] as number);
+  }
+  return next;
+}
+
+/**
+ * Blanks out items marked `#[cfg(test)]`, such as inline test modules
+ */
+function maskTestItems(text: string): string {
+  const chars = text.split('');
+  const brackets = bracketPairs(text);
+  const itemEnds = nextOccurrences(text, '{;');
+  let maskedUntil = -1;
+
+  for (const match of text.matchAll(/#\[cfg\(test\)\]/g)) {
+    const start = match.index;
+    const item = itemEnds[start] as number;
+    // Attributes inside an item blanked already belong to that item
+    if (start <= maskedUntil || item === -1 || text[item] !== '{') {
+      continue;
+    }
+    maskedUntil = brackets[item] as number;
+    for (let i = start; i <= maskedUntil && i < chars.length; i++) {
+      if (chars[i] !== '\n') {
+        chars[i] = ' ';
+      }
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * Ranges of `#[contractimpl]` blocks, and whether each implements a trait
+ */
+function contractImpls(
+  file: MaskedFile
+): Array<{ start: number; end: number; traitImpl: boolean }> {
+  const { text, brackets } = file;
+  const braces = nextOccurrences(text, '{');
+  return [...text.matchAll(/#\[contractimpl[^[\]]*\]\s*impl\b/g)].flatMap((match) => {
+    const open = braces[match.index] as number;
+    if (open === -1) {
+      return [];
+    }
+    const header = text.slice(match.index, open);
+    return [{ start: open, end: brackets[open] as number, traitImpl: /\bfor\b/.test(header) }];
+  });
+}
+
+/**
+ * Lists the functions with a body in a file, in the order they appear
+ */
+function findFunctions(file: MaskedFile): RustFunction[] {
+  const { text, brackets } = file;
+  const parens = nextOccurrences(text, '(');
+  const itemEnds = nextOccurrences(text, '{;');
+  // Blocks nest, so the impl blocks around an offset form a stack
+  const impls = contractImpls(file);
+  const openImpls: typeof impls = [];
+  let nextImpl = 0;
+  const functions: RustFunction[] = [];
+
+  for (const match of text.matchAll(/\b(pub(?:\([^()]*\))?\s+)?fn\s+([A-Za-z_]\w*)/g)) {
+    const name = match[2] as string;
+    const offset = match.index + match[0].length - name.length;
+    const params = parens[offset] as number;
+    if (params === -1) {
+      continue;
+    }
+    const bodyStart = itemEnds[brackets[params] as number] ?? -1;
+    if (bodyStart === -1 || text[bodyStart] !== '{') {
+      continue;
+    }
+
+    for (; nextImpl < impls.length && (impls[nextImpl]?.start as number) < offset; nextImpl++) {
+      const impl = impls[nextImpl] as (typeof impls)[number];
+      while ((openImpls[openImpls.length - 1]?.end ?? Infinity) < impl.start) {
+        openImpls.pop();
+      }
+      openImpls.push(impl);
+    }
+    while ((openImpls[openImpls.length - 1]?.end ?? Infinity) <= offset) {
+      openImpls.pop();
+    }
+    const impl = openImpls[0];
+    functions.push({
+      name,
+      file: file.path,
+      offset,
+      bodyStart,
+      bodyEnd: brackets[bodyStart] as number,
+      exported: impl !== undefined && (impl.traitImpl || match[1] !== undefined),
+      nested: [],
+    });
+  }
+
+  // Bodies nest the same way, so the functions around a body form a stack
+  const enclosing: RustFunction[] = [];
+  for (const fn of [...functions].sort((a, b) => a.bodyStart - b.bodyStart)) {
+    while (
+      enclosing.length > 0 &&
+      (enclosing[enclosing.length - 1]?.bodyEnd as number) < fn.bodyStart
+    ) {
+      enclosing.pop();
+    }
+    const parent = enclosing[enclosing.length - 1];
+    if (parent && parent.bodyStart < fn.bodyStart) {
+      parent.nested.push(fn);
+    }
+    enclosing.push(fn);
+  }
+
+  return functions;
+}
+
+/**
+ * What a function can lead to, on its own or through the functions it calls
+ */
+interface Reach {
+  writes: boolean;
+  /** First persistent storage write */
+  persistentWrite?: { file: string; offset: number };
+  requiresAuth: boolean;
+  extendsEntries: boolean;
+}
+
+const NO_REACH: Reach = { writes: false, requiresAuth: false, extendsEntries: false };
+
+function mergeReach(a: Reach, b: Reach): Reach {
+  return {
+    writes: a.writes || b.writes,
+    persistentWrite: a.persistentWrite ?? b.persistentWrite,
+    requiresAuth: a.requiresAuth || b.requiresAuth,
+    extendsEntries: a.extendsEntries || b.extendsEntries,
+  };
+}
+
+/**
+ * What a function does on its own
+ */
+interface FunctionFacts {
+  fn: RustFunction;
+  /** The body, with the bodies of nested functions left out */
+  body: string;
+  /** Where each piece of `body` starts, in the body and in the file text */
+  pieceStarts: number[];
+  pieceOffsets: number[];
+  /** Offsets of storage writes, by storage type */
+  writes: Array<{ storage: string; offset: number }>;
+  calls: Set<string>;
+  reach: Reach;
+}
+
+/** Writes through a storage variable, capturing the variable: `storage.set(` */
+const VARIABLE_WRITE_PATTERN = /\b([A-Za-z_]\w*)\s*\.\s*(?:set|remove)\s*\(/g;
+
+/**
+ * Finds the last of ascending `values` that is at most `value`
+ *
+ * @returns Its index, or 0 when there is none
+ */
+function floorIndex(values: number[], value: number): number {
+  let low = 0;
+  let high = values.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if ((values[middle] as number) <= value) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Converts an offset in a function's body into an offset in its file
+ */
+function textOffset(fact: FunctionFacts, index: number): number {
+  const piece = floorIndex(fact.pieceStarts, index);
+  return (fact.pieceOffsets[piece] as number) + index - (fact.pieceStarts[piece] as number);
+}
+
+/**
+ * Reads the storage writes and calls of a function body. Nested functions
+ * are read on their own, so every part of the text is scanned once.
+ */
+function factsOf(fn: RustFunction, text: string): FunctionFacts {
+  const pieceStarts: number[] = [];
+  const pieceOffsets: number[] = [];
+  let body = '';
+  let from = fn.bodyStart;
+  for (const nested of [...fn.nested, undefined]) {
+    pieceStarts.push(body.length);
+    pieceOffsets.push(from);
+    body += text.slice(from, nested ? nested.bodyStart + 1 : fn.bodyEnd + 1);
+    from = nested?.bodyEnd ?? from;
+  }
+
+  const fact: FunctionFacts = {
+    fn,
+    body,
+    pieceStarts,
+    pieceOffsets,
+    writes: [],
+    calls: new Set(
+      [...body.matchAll(/(?<![.\w])([A-Za-z_]\w*)\s*\(/g)].map((match) => match[1] as string)
+    ),
+    reach: NO_REACH,
+  };
+  for (const match of body.matchAll(STORAGE_WRITE_PATTERN)) {
+    fact.writes.push({ storage: match[1] as string, offset: textOffset(fact, match.index) });
+  }
+
+  const bindings = new Map<string, Set<string>>();
+  for (const binding of body.matchAll(STORAGE_BINDING_PATTERN)) {
+    const variable = binding[1] as string;
+    bindings.set(variable, (bindings.get(variable) ?? new Set()).add(binding[2] as string));
+  }
+  if (bindings.size > 0) {
+    for (const use of body.matchAll(VARIABLE_WRITE_PATTERN)) {
+      for (const storage of bindings.get(use[1] as string) ?? []) {
+        fact.writes.push({ storage, offset: textOffset(fact, use.index) });
+      }
+    }
+  }
+  fact.writes.sort((a, b) => a.offset - b.offset);
+
+  const persistentWrite = fact.writes.find((entry) => entry.storage === 'persistent');
+  fact.reach = {
+    writes: fact.writes.length > 0,
+    persistentWrite: persistentWrite && { file: fn.file, offset: persistentWrite.offset },
+    requiresAuth: REQUIRE_AUTH_PATTERN.test(body),
+    extendsEntries: ENTRY_EXTEND_PATTERN.test(body),
+  };
+  return fact;
+}
+
+/**
+ * Sums up, for each function name, what calling the helpers of that name
+ * (functions the contract does not export) can lead to. Calls are followed by
+ * name. The call graph is walked once, a strongly connected component at a
+ * time, so recursion and long call chains are not walked again per caller.
+ */
+function helperReach(facts: FunctionFacts[]): Map<string, Reach> {
+  const helpers = new Map<string, FunctionFacts[]>();
+  for (const fact of facts.filter((candidate) => !candidate.fn.exported)) {
+    const group = helpers.get(fact.fn.name) ?? [];
+    helpers.set(fact.fn.name, group);
+    group.push(fact);
+  }
+  const callees = new Map<string, string[]>();
+  for (const [name, group] of helpers) {
+    const called = new Set(group.flatMap((fact) => [...fact.calls]));
+    callees.set(
+      name,
+      [...called].filter((callee) => helpers.has(callee))
+    );
+  }
+
+  // Tarjan's algorithm, with an explicit stack so deep call chains cannot overflow
+  const reach = new Map<string, Reach>();
+  const order = new Map<string, { index: number; low: number }>();
+  const component: string[] = [];
+  const inComponent = new Set<string>();
+  const frames: Array<{ name: string; next: number }> = [];
+  const enter = (name: string) => {
+    order.set(name, { index: order.size, low: order.size });
+    component.push(name);
+    inComponent.add(name);
+    frames.push({ name, next: 0 });
+  };
+
+  for (const root of helpers.keys()) {
+    if (!order.has(root)) {
+      enter(root);
+    }
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1] as (typeof frames)[number];
+      const node = order.get(frame.name) as { index: number; low: number };
+      const callee = callees.get(frame.name)?.[frame.next++];
+      if (callee !== undefined) {
+        if (!order.has(callee)) {
+          enter(callee);
+        } else if (inComponent.has(callee)) {
+          node.low = Math.min(node.low, (order.get(callee) as { index: number }).index);
+        }
+        continue;
+      }
+
+      frames.pop();
+      const parent = frames[frames.length - 1];
+      if (parent) {
+        const caller = order.get(parent.name) as { low: number };
+        caller.low = Math.min(caller.low, node.low);
+      }
+      if (node.low === node.index) {
+        const members = new Set<string>();
+        let member: string;
+        do {
+          member = component.pop() as string;
+          inComponent.delete(member);
+          members.add(member);
+        } while (member !== frame.name);
+
+        let sum = NO_REACH;
+        for (const name of members) {
+          for (const fact of helpers.get(name) ?? []) {
+            sum = mergeReach(sum, fact.reach);
+          }
+        }
+        for (const name of members) {
+          for (const callee of callees.get(name) ?? []) {
+            sum = members.has(callee) ? sum : mergeReach(sum, reach.get(callee) ?? NO_REACH);
+          }
+        }
+        for (const name of members) {
+          reach.set(name, sum);
+        }
+      }
+    }
+  }
+  return reach;
+}
+
+/**
+ * Converts an offset into a 1-based line and column
+ */
+function position(file: MaskedFile, offset: number): { line: number; column: number } {
+  const line = floorIndex(file.lineStarts, offset);
+  return { line: line + 1, column: offset - (file.lineStarts[line] as number) + 1 };
+}
+
+/**
+ * Runs the Soroban checks over a project's sources. The checks read the
+ * source text, so they are heuristics: they can miss a problem hidden behind
+ * a macro or report code that is safe for reasons they cannot see. Test
+ * code (`#[cfg(test)]` items and files under `tests/`) is skipped.
+ *
+ * @param files - Project sources keyed by relative path
+ * @returns Warnings in the shape of compiler diagnostics, ordered by location
+ */
+export function lintSorobanSources(files: ProjectFiles): Diagnostic[] {
+  const masked: MaskedFile[] = Object.entries(files)
+    .filter(([path]) => path.startsWith('src/'))
+    .map(([path, source]) => {
+      const text = maskTestItems(maskSource(source));
+      const lineStarts = [0, ...[...source.matchAll(/\n/g)].map((match) => match.index + 1)];
+      return { path, text, lineStarts, brackets: bracketPairs(text) };
+    })
+    .filter((file) => !/#!\[cfg\(test\)\]/.test(file.text));
+
+  const facts = masked.flatMap((file) => findFunctions(file).map((fn) => factsOf(fn, file.text)));
+  const helpers = helperReach(facts);
+
+  const findings = new Map<string, Diagnostic>();
+  const report = (
+    rule: SorobanRule,
+    path: string,
+    offset: number,
+    length: number,
+    message: string
+  ) => {
+    const file = masked.find((candidate) => candidate.path === path) as MaskedFile;
+    const { line, column } = position(file, offset);
+    const code = `${SOROBAN_RULE_PREFIX}${rule}`;
+    const key = `${code}:${path}:${line}:${rule === 'unchecked_arithmetic' ? 0 : column}`;
+    if (findings.has(key)) {
+      return;
+    }
+
+    const help = `help: ${RULE_HELP[rule]}`;
+    findings.set(key, {
+      level: 'warning',
+      code,
+      message,
+      spans: [
+        {
+          file: path,
+          lineStart: line,
+          lineEnd: line,
+          columnStart: column,
+          columnEnd: column + length,
+          primary: true,
+        },
+      ],
+      notes: [help],
+      fixes: [],
+      rendered: `warning[${code}]: ${message}\n  --> ${path}:${line}:${column}\n   = ${help}`,
+    });
+  };
+
+  const instanceExtended = masked.some((file) => INSTANCE_EXTEND_PATTERN.test(file.text));
+
+  for (const fact of facts) {
+    const { fn, body } = fact;
+
+    if (fn.exported && fn.name !== '__constructor') {
+      const reached = [...fact.calls].reduce(
+        (sum, name) => mergeReach(sum, helpers.get(name) ?? NO_REACH),
+        fact.reach
+      );
+
+      if (reached.writes && !reached.requiresAuth) {
+        report(
+          'missing_require_auth',
+          fn.file,
+          fn.offset,
+          fn.name.length,
+          `\`${fn.name}\` changes contract storage without requiring authorization`
+        );
+      }
+
+      const entryWrite = reached.persistentWrite;
+      if (entryWrite && !reached.extendsEntries) {
+        report(
+          'missing_ttl_extension',
+          entryWrite.file,
+          entryWrite.offset,
+          1,
+          `\`${fn.name}\` writes persistent storage without extending the entry's TTL`
+        );
+      }
+    }
+
+    const instanceWrite = fact.writes.find((entry) => entry.storage === 'instance');
+    if (instanceWrite && !instanceExtended) {
+      report(
+        'missing_ttl_extension',
+        fn.file,
+        instanceWrite.offset,
+        1,
+        'instance storage is written but its TTL is never extended'
+      );
+    }
+
+    if (fact.writes.length > 0 && !/\.len\(\)/.test(body)) {
+      for (const growth of body.matchAll(COLLECTION_GROWTH_PATTERN)) {
+        report(
+          'unbounded_storage',
+          fn.file,
+          textOffset(fact, growth.index) + 1,
+          growth[0].length - 2,
+          'a stored collection grows on every call without a size limit'
+        );
+      }
+    }
+
+    for (const keyed of body.matchAll(KEYED_INSTANCE_WRITE_PATTERN)) {
+      report(
+        'unbounded_storage',
+        fn.file,
+        textOffset(fact, keyed.index) + 1,
+        'instance()'.length,
+        'instance storage holds an entry per key, and all of it is loaded on every call'
+      );
+    }
+
+    for (const panic of body.matchAll(PANIC_PATTERN)) {
+      report(
+        'panic_instead_of_error',
+        fn.file,
+        textOffset(fact, panic.index),
+        'panic!'.length,
+        '`panic!` aborts with a generic error instead of a contract error'
+      );
+    }
+
+    for (const arithmetic of body.matchAll(ARITHMETIC_PATTERN)) {
+      const [, left, operator, assign, right] = arithmetic as unknown as string[];
+      const leftWord = /(?<!\w)\w+$/.exec(left as string)?.[0] ?? '';
+      const bothNumbers =
+        NUMBER_PATTERN.test(leftWord) &&
+        NUMBER_PATTERN.test(/^\w+/.exec(right as string)?.[0] ?? '');
+      if (NON_OPERAND_WORDS.has(leftWord) || bothNumbers) {
+        continue;
+      }
+      report(
+        'unchecked_arithmetic',
+        fn.file,
+        textOffset(fact, arithmetic.index + (left as string).length),
+        0,
+        `unchecked \`${operator}${assign}\` can overflow and abort the call`
+      );
+    }
+  }
+
+  return [...findings.values()].sort(
+    (a, b) =>
+      (a.spans[0]?.file ?? '').localeCompare(b.spans[0]?.file ?? '') ||
+      (a.spans[0]?.lineStart ?? 0) - (b.spans[0]?.lineStart ?? 0) ||
+      (a.spans[0]?.columnStart ?? 0) - (b.spans[0]?.columnStart ?? 0)
+  );
+}
@@ -0,0 +1,84 @@
+import { parseTestOutput } from './testResults';
+
+const FAILED_RUN = `
+running 4 tests
+test test::test_hello ... ok
+test test::test_balance ... ok
+test test::test_panics - should panic ... ok
+test test::test_transfer ... FAILED
+test test::test_later ... ignored, needs a network
+
+failures:
+
+---- test::test_transfer stdout ----
+
+thread 'test::test_transfer' panicked at src/test.rs:21:5:
+assertion \`left == right\` failed
+  left: 90
+ right: 100
+note: run with \`RUST_BACKTRACE=1\` environment variable to display a backtrace
+
+
+failures:
+    test::test_transfer
+
+test result: FAILED. 3 passed; 1 failed; 1 ignored; 0 measured; 2 filtered out; finished in 1.31s
+`;
+
+describe('parseTestOutput', () => {
+  it('should parse each test with its status and panic message', () => {
+    const results = parseTestOutput(FAILED_RUN);
+
+    expect(results?.tests).toEqual([
+      { name: 'test::test_hello', status: 'ok' },
+      { name: 'test::test_balance', status: 'ok' },
+      { name: 'test::test_panics', status: 'ok' },
+      {
+        name: 'test::test_transfer',
+        status: 'failed',
+        message:
+          "thread 'test::test_transfer' panicked at src/test.rs:21:5:\n" +
+          'assertion `left == right` failed\n  left: 90\n right: 100',
+      },
+      { name: 'test::test_later', status: 'ignored' },
+    ]);
+    expect(results?.summary).toEqual({
+      total: 5,
+      passed: 3,
+      failed: 1,
+      ignored: 1,
+      filteredOut: 2,
+      duration: 1310,
+    });
+  });
+
+  it('should combine the output of several test binaries', () => {
+    const output = [
+      'running 1 test',
+      'test test::unit ... ok',
+      'test result: ok. 1 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.01s',
+      'running 1 test',
+      'test src/lib.rs - add (line 5) ... ok',
+      'test result: ok. 1 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.20s',
+    ].join('\n');
+
+    expect(parseTestOutput(output)).toEqual({
+      tests: [
+        { name: 'test::unit', status: 'ok' },
+        { name: 'src/lib.rs - add (line 5)', status: 'ok' },
+      ],
+      summary: { total: 2, passed: 2, failed: 0, ignored: 0, filteredOut: 0, duration: 210 },
+    });
+  });
+
+  it('should report crates without tests', () => {
+    const output =
+      'running 0 tests\n\ntest result: ok. 0 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.00s';
+
+    expect(parseTestOutput(output)?.summary.total).toBe(0);
+  });
+
+  it('should return undefined when no tests ran', () => {
+    expect(parseTestOutput('')).toBeUndefined();
+  });
+});
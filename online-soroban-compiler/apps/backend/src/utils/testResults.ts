@@ -0,0 +1,148 @@
+/**
+ * Outcome of a single test as reported by libtest
+ */
+export type TestStatus = 'ok' | 'failed' | 'ignored';
+
+/**
+ * A test case parsed from `cargo test` output
+ */
+export interface TestCase {
+  /** Full path of the test, e.g. `test::test_hello` */
+  name: string;
+  status: TestStatus;
+  /** Captured output of a failed test, including its panic message */
+  message?: string;
+}
+
+/**
+ * Counts over all test binaries of a `cargo test` run
+ */
+export interface TestSummary {
+  total: number;
+  passed: number;
+  failed: number;
+  ignored: number;
+  /** Tests excluded by a name filter */
+  filteredOut: number;
+  /** Time spent running tests in milliseconds */
+  duration: number;
+}
+
+/**
+ * Per-test results of a `cargo test` run
+ */
+export interface TestResults {
+  tests: TestCase[];
+  summary: TestSummary;
+}
+
+/** `test tests::name ... ok`, optionally followed by the reason a test is ignored */
+const TEST_LINE_PATTERN = /^test (.+?) \.\.\. (ok|FAILED|ignored)(?:, .*)?$/;
+
+/** Header of the captured output of a failed test */
+const FAILURE_HEADER_PATTERN = /^---- (.+?) stdout ----$/;
+
+/** Last line of each test binary's output */
+const RESULT_LINE_PREFIX = 'test result:';
+
+/** Hint libtest appends to every panic */
+const BACKTRACE_NOTE =
+  'note: run with `RUST_BACKTRACE=1` environment variable to display a backtrace';
+
+/**
+ * Removes the suffix libtest adds to `#[should_panic]` tests
+ */
+function testName(name: string): string {
+  return name.replace(/ - should panic$/, '');
+}
+
+/**
+ * Reads the captured output blocks of failed tests, keyed by test name
+ */
+function parseFailures(lines: string[]): Map<string, string> {
+  const failures = new Map<string, string>();
+  let current: { name: string; lines: string[] } | undefined;
+
+  const finish = () => {
+    if (current) {
+      const message = current.lines
+        .filter((line) => line !== BACKTRACE_NOTE)
+        .join('\n')
+        .trim();
+      failures.set(current.name, message);
+      current = undefined;
+    }
+  };
+
+  for (const line of lines) {
+    const header = FAILURE_HEADER_PATTERN.exec(line);
+    if (header) {
+      finish();
+      current = { name: testName(header[1] as string), lines: [] };
+    } else if (current && (line === 'failures:' || line.startsWith(RESULT_LINE_PREFIX))) {
+      finish();
+    } else {
+      current?.lines.push(line);
+    }
+  }
+  finish();
+
+  return failures;
+}
+
+/**
+ * Parses the human readable output of `cargo test` into per-test results.
+ * Output of all test binaries (unit, integration and doc tests) is combined.
+ *
+ * @param output - Standard output of `cargo test`
+ * @returns The results, or undefined if no tests ran (e.g. the crate did not compile)
+ */
+export function parseTestOutput(output: string): TestResults | undefined {
+  const lines = output.split(/\r?\n/);
+  const failures = parseFailures(lines);
+  const tests: TestCase[] = [];
+  // Counts as libtest reports them at the end of each test binary
+  const reported = { binaries: 0, passed: 0, failed: 0, ignored: 0, filteredOut: 0, duration: 0 };
+  const countIn = (line: string, label: string) =>
+    Number(new RegExp(`(\\d+) ${label}`).exec(line)?.[1] ?? 0);
+
+  for (const line of lines) {
+    const test = TEST_LINE_PATTERN.exec(line);
+    if (test) {
+      const name = testName(test[1] as string);
+      const status: TestStatus = test[2] === 'FAILED' ? 'failed' : (test[2] as TestStatus);
+      const message = status === 'failed' ? failures.get(name) : undefined;
+      tests.push({ name, status, ...(message ? { message } : {}) });
+    } else if (line.startsWith(RESULT_LINE_PREFIX)) {
+      reported.binaries++;
+      reported.passed += countIn(line, 'passed');
+      reported.failed += countIn(line, 'failed');
+      reported.ignored += countIn(line, 'ignored');
+      reported.filteredOut += countIn(line, 'filtered out');
+      reported.duration += Math.round(Number(/finished in ([\d.]+)s/.exec(line)?.[1] ?? 0) * 1000);
+    }
+  }
+
+  if (reported.binaries === 0 && tests.length === 0) {
+    return undefined;
+  }
+
+  // A harness that crashed before its summary only leaves the individual lines
+  const count = (status: TestStatus) => tests.filter((test) => test.status === status).length;
+  const { passed, failed, ignored } =
+    reported.binaries > 0
+      ? reported
+      : { passed: count('ok'), failed: count('failed'), ignored: count('ignored') };
+
+  return {
+    tests,
+    summary: {
+      total: passed + failed + ignored,
+      passed,
+      failed,
+      ignored,
+      filteredOut: reported.filteredOut,
+      duration: reported.duration,
+    },
+  };
+}
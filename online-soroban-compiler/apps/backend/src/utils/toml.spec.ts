@@ -0,0 +1,54 @@
+import { inlineTable, stringifyToml } from './toml';
+
+describe('stringifyToml', () => {
+  it('should write root values before tables and nested tables as dotted sections', () => {
+    expect(
+      stringifyToml({
+        title: 'demo',
+        package: { name: 'demo', publish: false, authors: ['a', 'b'] },
+        profile: { release: { 'opt-level': 'z', lto: true }, dev: { debug: 0 } },
+      })
+    ).toBe(
+      [
+        'title = "demo"',
+        '',
+        '[package]',
+        'name = "demo"',
+        'publish = false',
+        'authors = ["a", "b"]',
+        '',
+        '[profile.release]',
+        'opt-level = "z"',
+        'lto = true',
+        '',
+        '[profile.dev]',
+        'debug = 0',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should write marked tables inline', () => {
+    expect(
+      stringifyToml({
+        dependencies: { sdk: inlineTable({ version: '1.0.0', features: ['testutils'] }) },
+      })
+    ).toBe('[dependencies]\nsdk = { version = "1.0.0", features = ["testutils"] }\n');
+  });
+
+  it('should write arrays of tables', () => {
+    expect(stringifyToml({ bin: [{ name: 'a' }, { name: 'b' }] })).toBe(
+      '[[bin]]\nname = "a"\n\n[[bin]]\nname = "b"\n'
+    );
+  });
+
+  it('should quote keys and escape strings', () => {
+    expect(stringifyToml({ 'my key': 'say "hi"\\\n\u0001' })).toBe(
+      '"my key" = "say \\"hi\\"\\\\\\n\\u0001"\n'
+    );
+  });
+
+  it('should reject numbers TOML cannot represent', () => {
+    expect(() => stringifyToml({ size: Number.NaN })).toThrow('Cannot write NaN to TOML');
+  });
+});
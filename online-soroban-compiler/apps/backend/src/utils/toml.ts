@@ -0,0 +1,140 @@
+/**
+ * Values that can be written to a TOML document
+ */
+export type TomlValue = string | number | boolean | TomlValue[] | TomlTable;
+
+/**
+ * A TOML table; keys are written in insertion order
+ */
+export interface TomlTable {
+  [key: string]: TomlValue;
+}
+
+/** Keys that can be written without quotes */
+const BARE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/** Short escape sequences of TOML basic strings */
+const ESCAPES: Record<string, string> = {
+  '\\': '\\\\',
+  '"': '\\"',
+  '\n': '\\n',
+  '\t': '\\t',
+  '\r': '\\r',
+};
+
+/**
+ * Quotes a string as a TOML basic string, escaping control characters
+ */
+function quote(value: string): string {
+  const escaped = Array.from(value, (char) => {
+    const escape = ESCAPES[char];
+    if (escape) {
+      return escape;
+    }
+    const code = char.charCodeAt(0);
+    return code < 0x20 || code === 0x7f ? `\\u${code.toString(16).padStart(4, '0')}` : char;
+  }).join('');
+  return `"${escaped}"`;
+}
+
+function formatKey(key: string): string {
+  return BARE_KEY_PATTERN.test(key) ? key : quote(key);
+}
+
+/** Tables written as `{ key = value }` instead of a `[section]` */
+const inlineTables = new WeakSet<TomlTable>();
+
+/**
+ * Marks a table to be written inline, as Cargo.toml does for dependency details
+ *
+ * @param table - Table to mark
+ * @returns The same table
+ */
+export function inlineTable<T extends TomlTable>(table: T): T {
+  inlineTables.add(table);
+  return table;
+}
+
+function isTable(value: TomlValue): value is TomlTable {
+  return typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSection(value: TomlValue): value is TomlTable {
+  return isTable(value) && !inlineTables.has(value);
+}
+
+/**
+ * Formats a value on a single line
+ */
+function formatValue(value: TomlValue): string {
+  if (typeof value === 'string') {
+    return quote(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Cannot write ${value} to TOML`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+
+  const entries = formatEntries(value);
+  return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+/**
+ * Formats every entry of a table as a `key = value` line
+ */
+function formatEntries(table: TomlTable): string[] {
+  return Object.entries(table).map(([key, value]) => `${formatKey(key)} = ${formatValue(value)}`);
+}
+
+/**
+ * Writes a table's values followed by its sub-tables as `[a.b]` sections
+ */
+function formatSections(table: TomlTable, path: string[]): string[] {
+  const lines: string[] = [];
+  const sections: string[] = [];
+
+  for (const [key, value] of Object.entries(table)) {
+    if (isSection(value)) {
+      sections.push(...formatSections(value, [...path, key]));
+    } else if (Array.isArray(value) && value.length > 0 && value.every(isSection)) {
+      const header = [...path, key].map(formatKey).join('.');
+      // Tables inside array items are written inline
+      for (const item of value) {
+        sections.push([`[[${header}]]`, ...formatEntries(item)].join('\n'));
+      }
+    } else {
+      lines.push(...formatEntries({ [key]: value }));
+    }
+  }
+
+  if (path.length === 0) {
+    // Root values must come before the first header to stay outside its table
+    return lines.length > 0 ? [lines.join('\n'), ...sections] : sections;
+  }
+
+  // Tables that only group sub-tables need no header of their own
+  if (lines.length === 0 && sections.length > 0) {
+    return sections;
+  }
+  return [[`[${path.map(formatKey).join('.')}]`, ...lines].join('\n'), ...sections];
+}
+
+/**
+ * Serializes a document to TOML. Tables become `[sections]` (dotted when
+ * nested), arrays of tables become `[[sections]]`, and tables marked with
+ * `inlineTable` are written on one line.
+ *
+ * @param document - Tables and values to write
+ * @returns The TOML text, ending with a newline
+ */
+export function stringifyToml(document: TomlTable): string {
+  return `${formatSections(document, []).join('\n\n')}\n`;
+}
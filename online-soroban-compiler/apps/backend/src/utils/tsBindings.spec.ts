@@ -0,0 +1,122 @@
+import ts from 'typescript';
+import { decodeEncodedSpecEntries } from './contractSpec';
+import { generateTypeScriptBindings, toTypeScriptType } from './tsBindings';
+import { specEnum, specFunction, specStruct, specType, specUnion, xdr } from './__fixtures__/wasm';
+
+/**
+ * Spec of a small token contract using every kind of user-defined type
+ */
+function tokenSpec() {
+  const transfer = specFunction(
+    'transfer',
+    [
+      ['from', specType.address],
+      ['to', specType.address],
+      ['amount', specType.i128],
+    ],
+    [[...xdr.uint32(1001), ...xdr.uint32(2), ...specType.udt('TokenError')]],
+    'Moves tokens between accounts'
+  );
+  return [
+    ...specFunction('__constructor', [['admin', specType.address]], []),
+    ...transfer,
+    ...specFunction('metadata', [], [specType.udt('Metadata')]),
+    ...specStruct('Metadata', [
+      ['decimals', specType.u32],
+      ['name', [...xdr.uint32(16)]],
+    ]),
+    ...specStruct('Pair', [
+      ['0', specType.address],
+      ['1', specType.i128],
+    ]),
+    ...specUnion('DataKey', [
+      ['Admin', []],
+      ['Balance', [specType.address]],
+    ]),
+    ...specEnum('enum', 'Level', [
+      ['Low', 0],
+      ['High', 1],
+    ]),
+    ...specEnum('error_enum', 'TokenError', [
+      ['InsufficientBalance', 1],
+      ['Unauthorized', 2],
+    ]),
+  ];
+}
+
+describe('tsBindings', () => {
+  describe('toTypeScriptType', () => {
+    it('should map spec types to the types the SDK converts them to', () => {
+      expect(
+        toTypeScriptType({
+          type: 'option',
+          valueType: {
+            type: 'map',
+            keyType: { type: 'symbol' },
+            valueType: { type: 'vec', elementType: { type: 'bytes_n', n: 32 } },
+          },
+        })
+      ).toBe('Option<Map<string, Array<Buffer>>>');
+      expect(
+        toTypeScriptType({ type: 'tuple', valueTypes: [{ type: 'u64' }, { type: 'bool' }] })
+      ).toBe('readonly [u64, boolean]');
+      expect(toTypeScriptType({ type: 'timepoint' })).toBe('u64');
+    });
+  });
+
+  describe('generateTypeScriptBindings', () => {
+    const entries = decodeEncodedSpecEntries(Uint8Array.from(tokenSpec()));
+    const files = generateTypeScriptBindings(entries, { name: 'token' });
+    const index = files['src/index.ts'] as string;
+
+    it('should generate a package depending on the SDK', () => {
+      expect(Object.keys(files).sort()).toEqual([
+        '.gitignore',
+        'README.md',
+        'package.json',
+        'src/index.ts',
+        'tsconfig.json',
+      ]);
+      const packageJson = JSON.parse(files['package.json'] as string);
+      expect(packageJson.name).toBe('token');
+      expect(packageJson.dependencies['@stellar/stellar-sdk']).toBe('^14.0.0');
+      expect(files['README.md']).toContain('await client.transfer({ from, to, amount })');
+    });
+
+    it('should declare the contract types and error messages', () => {
+      expect(index).toContain('export interface Metadata {\n  decimals: u32;\n  name: string;\n}');
+      expect(index).toContain('export type Pair = readonly [string, i128];');
+      expect(index).toContain(
+        'export type DataKey = { tag: "Admin"; values: void } | { tag: "Balance"; values: readonly [string] };'
+      );
+      expect(index).toContain('export enum Level {\n  Low = 0,\n  High = 1,\n}');
+      expect(index).toContain(
+        'export const Errors = {\n  1: { message: "InsufficientBalance" },\n  2: { message: "Unauthorized" },\n};'
+      );
+    });
+
+    it('should declare a client method for each function but the constructor', () => {
+      expect(index).toContain('   * Moves tokens between accounts\n');
+      expect(index).toContain(
+        '  transfer: (args: { from: string; to: string; amount: i128 }, options?: MethodOptions) => Promise<AssembledTransaction<Result<void>>>;'
+      );
+      expect(index).toContain(
+        '  metadata: (options?: MethodOptions) => Promise<AssembledTransaction<Metadata>>;'
+      );
+      expect(index).toContain('    metadata: this.txFromJSON<Metadata>,');
+      expect(index).not.toContain('__constructor:');
+    });
+
+    it('should embed every spec entry as base64 XDR', () => {
+      for (const { xdr: entry } of entries) {
+        expect(index).toContain(`"${Buffer.from(entry).toString('base64')}",`);
+      }
+    });
+
+    it('should generate valid TypeScript', () => {
+      const { diagnostics } = ts.transpileModule(index, { reportDiagnostics: true });
+
+      expect(diagnostics).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+import type {
+  EncodedSpecEntry,
+  SpecEnum,
+  SpecFunction,
+  SpecStruct,
+  SpecTypeDef,
+  SpecUnion,
+} from './contractSpec';
+
+/**
+ * Options of the generated package
+ */
+export interface BindingsOptions {
+  /** npm package name, e.g. `hello-world` */
+  name: string;
+  /** Version range of `@stellar/stellar-sdk` the package depends on */
+  sdkVersion?: string;
+}
+
+/** SDK release line the generated client is written against */
+const DEFAULT_SDK_VERSION = '^14.0.0';
+
+/** Valid property names that need no quotes */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/** Struct fields of tuple structs are named by their position */
+const POSITIONAL_FIELD_PATTERN = /^\d+$/;
+
+const HEADER = `import { Buffer } from "buffer";
+import {
+  AssembledTransaction,
+  Client as ContractClient,
+  ClientOptions as ContractClientOptions,
+  MethodOptions,
+  Result,
+  Spec as ContractSpec,
+} from "@stellar/stellar-sdk/contract";
+import type {
+  u32,
+  i32,
+  u64,
+  i64,
+  u128,
+  i128,
+  u256,
+  i256,
+  Option,
+} from "@stellar/stellar-sdk/contract";
+export * from "@stellar/stellar-sdk";
+export * as contract from "@stellar/stellar-sdk/contract";
+export * as rpc from "@stellar/stellar-sdk/rpc";
+
+if (typeof window !== "undefined") {
+  //@ts-ignore Buffer exists
+  window.Buffer = window.Buffer || Buffer;
+}
+`;
+
+/**
+ * Renders a spec type as the TypeScript type the SDK converts it to
+ */
+export function toTypeScriptType(def: SpecTypeDef): string {
+  switch (def.type) {
+    case 'val':
+      return 'any';
+    case 'bool':
+      return 'boolean';
+    case 'void':
+      return 'void';
+    case 'error':
+      return 'unknown';
+    case 'u32':
+    case 'i32':
+    case 'u64':
+    case 'i64':
+    case 'u128':
+    case 'i128':
+    case 'u256':
+    case 'i256':
+      return def.type;
+    // Both are seconds held in a u64
+    case 'timepoint':
+    case 'duration':
+      return 'u64';
+    case 'bytes':
+    case 'bytes_n':
+      return 'Buffer';
+    case 'string':
+    case 'symbol':
+    case 'address':
+    case 'muxed_address':
+      return 'string';
+    case 'option':
+      return `Option<${toTypeScriptType(def.valueType)}>`;
+    case 'result':
+      return `Result<${toTypeScriptType(def.okType)}>`;
+    case 'vec':
+      return `Array<${toTypeScriptType(def.elementType)}>`;
+    case 'map':
+      return `Map<${toTypeScriptType(def.keyType)}, ${toTypeScriptType(def.valueType)}>`;
+    case 'tuple':
+      return `readonly [${def.valueTypes.map(toTypeScriptType).join(', ')}]`;
+    case 'udt':
+      return def.name;
+  }
+}
+
+/**
+ * Renders a doc comment, or nothing for undocumented items
+ */
+function docComment(doc: string, indent = ''): string {
+  if (!doc.trim()) {
+    return '';
+  }
+  const lines = doc
+    .trim()
+    .replace(/\*\//g, '*\\/')
+    .split('\n')
+    .map((line) => `${indent} *${line.trim() ? ` ${line.trim()}` : ''}`);
+  return `${indent}/**\n${lines.join('\n')}\n${indent} */\n`;
+}
+
+function propertyName(name: string): string {
+  return IDENTIFIER_PATTERN.test(name) ? name : JSON.stringify(name);
+}
+
+function renderStruct(struct: SpecStruct): string {
+  const doc = docComment(struct.doc);
+  if (
+    struct.fields.length > 0 &&
+    struct.fields.every(({ name }) => POSITIONAL_FIELD_PATTERN.test(name))
+  ) {
+    const types = struct.fields.map(({ type }) => toTypeScriptType(type));
+    return `${doc}export type ${struct.name} = readonly [${types.join(', ')}];\n`;
+  }
+
+  const fields = struct.fields.map(
+    (field) =>
+      `${docComment(field.doc, '  ')}  ${propertyName(field.name)}: ${toTypeScriptType(field.type)};`
+  );
+  return `${doc}export interface ${struct.name} {\n${fields.join('\n')}\n}\n`;
+}
+
+function renderUnion(union: SpecUnion): string {
+  const cases = union.cases.map(
+    ({ name, types }) =>
+      `{ tag: ${JSON.stringify(name)}; values: ${
+        types.length > 0 ? `readonly [${types.map(toTypeScriptType).join(', ')}]` : 'void'
+      } }`
+  );
+  return `${docComment(union.doc)}export type ${union.name} = ${cases.join(' | ') || 'never'};\n`;
+}
+
+function renderEnum(spec: SpecEnum): string {
+  const cases = spec.cases.map(
+    ({ doc, name, value }) => `${docComment(doc, '  ')}  ${propertyName(name)} = ${value},`
+  );
+  return `${docComment(spec.doc)}export enum ${spec.name} {\n${cases.join('\n')}\n}\n`;
+}
+
+/**
+ * Renders the messages of all error enums keyed by code, as the SDK reports them
+ */
+function renderErrors(errors: SpecEnum[]): string {
+  const cases = errors.flatMap(({ cases }) =>
+    cases.map(({ name, value }) => `  ${value}: { message: ${JSON.stringify(name)} },`)
+  );
+  return `export const Errors = {\n${cases.join('\n')}\n};\n`;
+}
+
+function returnType(fn: SpecFunction): string {
+  const [output] = fn.outputs;
+  return output && output.type !== 'void' ? toTypeScriptType(output) : 'null';
+}
+
+function renderMethod(fn: SpecFunction): string {
+  const args = fn.inputs.map(
+    ({ name, type }) => `${propertyName(name)}: ${toTypeScriptType(type)}`
+  );
+  // The SDK client only takes an arguments object for functions with inputs
+  const params = [
+    ...(args.length > 0 ? [`args: { ${args.join('; ')} }`] : []),
+    'options?: MethodOptions',
+  ];
+  const doc = [
+    ...(fn.doc.trim() ? [fn.doc.trim(), ''] : []),
+    `Construct and simulate a ${fn.name} transaction. Returns an \`AssembledTransaction\` object which will have a \`result\` field containing the result of the simulation. If this transaction changes contract state, you will need to call \`signAndSend()\` on the returned object.`,
+  ].join('\n');
+  return `${docComment(doc, '  ')}  ${fn.name}: (${params.join(', ')}) => Promise<AssembledTransaction<${returnType(fn)}>>;`;
+}
+
+/**
+ * Renders `src/index.ts`: the contract's types and a client whose methods
+ * build, simulate and send its function calls
+ */
+function renderIndex(entries: EncodedSpecEntry[]): string {
+  const specs = entries.map(({ entry }) => entry);
+  // Constructors and account contract hooks are not called through the client
+  const functions = specs.filter(
+    (entry): entry is SpecFunction => entry.kind === 'function' && !entry.name.startsWith('__')
+  );
+  const errors = specs.filter((entry): entry is SpecEnum => entry.kind === 'error_enum');
+
+  const types = specs.flatMap((entry) => {
+    switch (entry.kind) {
+      case 'struct':
+        return [renderStruct(entry)];
+      case 'union':
+        return [renderUnion(entry)];
+      case 'enum':
+        return [renderEnum(entry)];
+      default:
+        return [];
+    }
+  });
+
+  const encoded = entries.map(
+    ({ xdr }) => `        ${JSON.stringify(Buffer.from(xdr).toString('base64'))},`
+  );
+  const fromJson = functions.map((fn) => `    ${fn.name}: this.txFromJSON<${returnType(fn)}>,`);
+
+  return [
+    HEADER,
+    ...types,
+    ...(errors.length > 0 ? [renderErrors(errors)] : []),
+    `export interface Client {\n${functions.map(renderMethod).join('\n\n')}\n}\n`,
+    `export class Client extends ContractClient {
+  constructor(public readonly options: ContractClientOptions) {
+    super(
+      new ContractSpec([
+${encoded.join('\n')}
+      ]),
+      options
+    );
+  }
+
+  public readonly fromJSON = {
+${fromJson.join('\n')}
+  };
+}
+`,
+  ].join('\n');
+}
+
+function renderReadme(name: string, functions: SpecFunction[]): string {
+  const example = functions.find((fn) => !fn.name.startsWith('__'));
+  const call = example
+    ? `const tx = await client.${example.name}(${
+        example.inputs.length > 0 ? `{ ${example.inputs.map(({ name }) => name).join(', ')} }` : ''
+      });
+console.log(tx.result);`
+    : '';
+
+  return `# ${name}
+
+TypeScript client for a Soroban smart contract, generated from the contract spec embedded in
+its wasm. Each contract function is a method of \`Client\` that simulates the call and returns
+an \`AssembledTransaction\`; call \`signAndSend()\` on it to submit calls that change state.
+
+## Build
+
+\`\`\`sh
+npm install
+npm run build
+\`\`\`
+
+## Usage
+
+\`\`\`ts
+import { Client, Networks } from '${name}';
+
+const client = new Client({
+  contractId: 'C...',
+  networkPassphrase: Networks.TESTNET,
+  rpcUrl: 'https://soroban-testnet.stellar.org',
+});
+${call}
+\`\`\`
+`;
+}
+
+/**
+ * Generates a TypeScript client package for a contract, like
+ * `stellar contract bindings typescript`: `package.json`, `tsconfig.json`,
+ * a README and `src/index.ts`
+ *
+ * @param entries - The contract spec with the XDR of each entry
+ * @returns File contents keyed by path inside the package
+ */
+export function generateTypeScriptBindings(
+  entries: EncodedSpecEntry[],
+  options: BindingsOptions
+): Record<string, string> {
+  const packageJson = {
+    name: options.name,
+    version: '0.0.0',
+    type: 'module',
+    exports: './dist/index.js',
+    typings: 'dist/index.d.ts',
+    scripts: { build: 'tsc' },
+    dependencies: {
+      '@stellar/stellar-sdk': options.sdkVersion ?? DEFAULT_SDK_VERSION,
+      buffer: '6.0.3',
+    },
+    devDependencies: { typescript: '^5.6.2' },
+  };
+  const tsconfig = {
+    compilerOptions: {
+      target: 'ESNext',
+      module: 'NodeNext',
+      moduleResolution: 'NodeNext',
+      declaration: true,
+      outDir: './dist',
+      strict: true,
+      skipLibCheck: true,
+    },
+    include: ['src/*'],
+  };
+  const functions = entries
+    .map(({ entry }) => entry)
+    .filter((entry): entry is SpecFunction => entry.kind === 'function');
+
+  return {
+    'package.json': `${JSON.stringify(packageJson, null, 2)}\n`,
+    'tsconfig.json': `${JSON.stringify(tsconfig, null, 2)}\n`,
+    '.gitignore': 'node_modules/\ndist/\n',
+    'README.md': renderReadme(options.name, functions),
+    'src/index.ts': renderIndex(entries),
+  };
+}
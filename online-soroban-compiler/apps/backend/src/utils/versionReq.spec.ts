@@ -0,0 +1,48 @@
+import { InvalidVersionReqError, isWithinVersionReq, parseVersionReq } from './versionReq';
+
+describe('parseVersionReq', () => {
+  it.each([
+    ['1.2.3', { min: [1, 2, 3], max: [2, 0, 0] }],
+    ['^0.2.3', { min: [0, 2, 3], max: [0, 3, 0] }],
+    ['^0.0.3', { min: [0, 0, 3], max: [0, 0, 4] }],
+    ['0', { min: [0, 0, 0], max: [1, 0, 0] }],
+    ['~1.2', { min: [1, 2, 0], max: [1, 3, 0] }],
+    ['~1', { min: [1, 0, 0], max: [2, 0, 0] }],
+    ['=1.2.3', { min: [1, 2, 3], max: [1, 2, 4] }],
+    ['>1.2', { min: [1, 3, 0] }],
+    ['<=1.2.3', { min: [0, 0, 0], max: [1, 2, 4] }],
+    ['1.*', { min: [1, 0, 0], max: [2, 0, 0] }],
+    ['1.2.*', { min: [1, 2, 0], max: [1, 3, 0] }],
+    ['*', { min: [0, 0, 0] }],
+    ['>=21, <23', { min: [21, 0, 0], max: [23, 0, 0] }],
+  ])('should parse %s', (requirement, range) => {
+    expect(parseVersionReq(requirement)).toEqual(range);
+  });
+
+  it.each(['', 'latest', '1.2.3-beta', '>=1.*', '1.*.3', '1.2,', 'git+https://example.com'])(
+    'should reject %p',
+    (requirement) => {
+      expect(() => parseVersionReq(requirement)).toThrow(InvalidVersionReqError);
+    }
+  );
+});
+
+describe('isWithinVersionReq', () => {
+  it('should accept requirements whose every match is allowed', () => {
+    expect(isWithinVersionReq('22.0.1', '>=21.0.0, <23.0.0')).toBe(true);
+    expect(isWithinVersionReq('~21.7', '>=21.0.0, <23.0.0')).toBe(true);
+    expect(isWithinVersionReq('=1.4.0', '^1.0.0')).toBe(true);
+    expect(isWithinVersionReq('>=3', '*')).toBe(true);
+  });
+
+  it('should reject requirements that can resolve outside the allowed range', () => {
+    expect(isWithinVersionReq('20.0.0', '>=21.0.0, <23.0.0')).toBe(false);
+    expect(isWithinVersionReq('>=22', '>=21.0.0, <23.0.0')).toBe(false);
+    expect(isWithinVersionReq('*', '^1.0.0')).toBe(false);
+    expect(isWithinVersionReq('0.9', '^1.0.0')).toBe(false);
+  });
+
+  it('should reject requirements that match nothing', () => {
+    expect(isWithinVersionReq('>=2, <1', '*')).toBe(false);
+  });
+});
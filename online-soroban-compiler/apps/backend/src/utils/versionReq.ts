@@ -0,0 +1,151 @@
+/**
+ * A release version as `[major, minor, patch]`
+ */
+export type Version = [number, number, number];
+
+/**
+ * The versions matched by a requirement: every version from `min` (inclusive)
+ * up to `max` (exclusive, unbounded when undefined)
+ */
+export interface VersionRange {
+  min: Version;
+  max?: Version;
+}
+
+/**
+ * Thrown when a version requirement cannot be parsed
+ */
+export class InvalidVersionReqError extends Error {
+  constructor(requirement: string) {
+    super(`"${requirement}" is not a supported version requirement`);
+    this.name = 'InvalidVersionReqError';
+  }
+}
+
+/** A single comparator, e.g. `^1.2`, `>=0.3.1`, `~2`, `1.*` */
+const COMPARATOR_PATTERN = /^(\^|~|=|>=|>|<=|<)?\s*(\d+)(?:\.(\d+|\*))?(?:\.(\d+|\*))?$/;
+
+function compare(a: Version, b: Version): number {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Parses one comparator into the range of versions it matches, following
+ * cargo's rules for partial versions and the default caret operator
+ */
+function parseComparator(comparator: string, requirement: string): VersionRange {
+  if (comparator === '*') {
+    return { min: [0, 0, 0] };
+  }
+
+  const match = COMPARATOR_PATTERN.exec(comparator);
+  if (!match) {
+    throw new InvalidVersionReqError(requirement);
+  }
+
+  const [, operator, majorText, minorText, patchText] = match;
+  const wildcard = minorText === '*' || patchText === '*';
+  // Wildcards only stand alone and end the version: `1.*` and `1.2.*`, not `>=1.*` or `1.*.3`
+  if (wildcard && (operator !== undefined || (minorText === '*' && patchText !== undefined))) {
+    throw new InvalidVersionReqError(requirement);
+  }
+
+  const major = Number(majorText);
+  const minor = minorText === undefined || minorText === '*' ? undefined : Number(minorText);
+  const patch = patchText === undefined || patchText === '*' ? undefined : Number(patchText);
+  const version: Version = [major, minor ?? 0, patch ?? 0];
+
+  // First version after everything the given (possibly partial) version covers
+  const next: Version =
+    minor === undefined
+      ? [major + 1, 0, 0]
+      : patch === undefined
+        ? [major, minor + 1, 0]
+        : [major, minor, patch + 1];
+
+  if (wildcard) {
+    return { min: version, max: next };
+  }
+
+  switch (operator) {
+    case '=':
+      return { min: version, max: next };
+    case '>=':
+      return { min: version };
+    case '>':
+      return { min: next };
+    case '<':
+      return { min: [0, 0, 0], max: version };
+    case '<=':
+      return { min: [0, 0, 0], max: next };
+    case '~':
+      return { min: version, max: minor === undefined ? [major + 1, 0, 0] : [major, minor + 1, 0] };
+    default:
+      // Caret: changes to the leftmost non-zero component are incompatible
+      if (major > 0 || minor === undefined) {
+        return { min: version, max: [major + 1, 0, 0] };
+      }
+      if (minor > 0 || patch === undefined) {
+        return { min: version, max: [0, minor + 1, 0] };
+      }
+      return { min: version, max: [0, 0, patch + 1] };
+  }
+}
+
+/**
+ * Parses a cargo version requirement such as `22.0.0`, `^1.2`, `~0.3` or
+ * `>=1.2, <2` into the range of release versions it matches. Pre-release
+ * versions are not supported.
+ *
+ * @param requirement - The requirement as written in Cargo.toml
+ * @returns The matched range; `min` equals `max` when nothing matches
+ * @throws InvalidVersionReqError if the requirement cannot be parsed
+ */
+export function parseVersionReq(requirement: string): VersionRange {
+  const comparators = requirement.split(',').map((comparator) => comparator.trim());
+  if (comparators.some((comparator) => comparator.length === 0)) {
+    throw new InvalidVersionReqError(requirement);
+  }
+
+  return comparators
+    .map((comparator) => parseComparator(comparator, requirement))
+    .reduce((range, next) => {
+      const min = compare(next.min, range.min) > 0 ? next.min : range.min;
+      const max =
+        range.max === undefined || (next.max !== undefined && compare(next.max, range.max) < 0)
+          ? (next.max ?? range.max)
+          : range.max;
+      return { min, max: max !== undefined && compare(max, min) < 0 ? min : max };
+    });
+}
+
+/**
+ * Whether a requirement matches no version at all, e.g. `>=2, <1`
+ */
+function isEmptyRange(range: VersionRange): boolean {
+  return range.max !== undefined && compare(range.min, range.max) >= 0;
+}
+
+/**
+ * Checks that every version a requirement can resolve to lies within an
+ * allowed requirement, so the allowlist holds whatever cargo picks
+ *
+ * @param requirement - Requested version requirement
+ * @param allowed - Allowed version requirement
+ * @throws InvalidVersionReqError if either requirement cannot be parsed
+ */
+export function isWithinVersionReq(requirement: string, allowed: string): boolean {
+  const requested = parseVersionReq(requirement);
+  const bounds = parseVersionReq(allowed);
+
+  if (isEmptyRange(requested)) {
+    return false;
+  }
+  if (compare(requested.min, bounds.min) < 0) {
+    return false;
+  }
+  if (bounds.max === undefined) {
+    return true;
+  }
+  return requested.max !== undefined && compare(requested.max, bounds.max) <= 0;
+}
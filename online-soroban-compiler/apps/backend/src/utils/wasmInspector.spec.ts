@@ -0,0 +1,57 @@
+import { readSections, readCustomSection, readExports, InvalidWasmError } from './wasmInspector';
+import { wasmModule, section, customSection, exportSection } from './__fixtures__/wasm';
+
+describe('wasmInspector', () => {
+  describe('readSections', () => {
+    it('should list standard and custom sections in order', () => {
+      const wasm = wasmModule(
+        section(1, [0x00]),
+        exportSection(['hello']),
+        customSection('contractmetav0', [1, 2, 3])
+      );
+
+      expect(readSections(wasm)).toEqual([
+        { id: 1, name: 'type', size: 1, offset: 10 },
+        { id: 7, name: 'export', size: 9, offset: 13 },
+        { id: 0, name: 'contractmetav0', size: 3, offset: 39 },
+      ]);
+    });
+
+    it('should reject buffers without the wasm header', () => {
+      expect(() => readSections(Buffer.from('not wasm'))).toThrow(InvalidWasmError);
+    });
+
+    it('should reject truncated sections', () => {
+      const wasm = wasmModule(section(1, [0x00, 0x01, 0x02])).subarray(0, 11);
+
+      expect(() => readSections(wasm)).toThrow('section exceeds module size');
+    });
+  });
+
+  describe('readCustomSection', () => {
+    it('should concatenate sections with the same name', () => {
+      const wasm = wasmModule(
+        customSection('contractspecv0', [1, 2]),
+        customSection('other', [9]),
+        customSection('contractspecv0', [3])
+      );
+
+      expect([...(readCustomSection(wasm, 'contractspecv0') ?? [])]).toEqual([1, 2, 3]);
+    });
+
+    it('should return undefined when the section is missing', () => {
+      expect(readCustomSection(wasmModule(), 'contractspecv0')).toBeUndefined();
+    });
+  });
+
+  describe('readExports', () => {
+    it('should list exported functions', () => {
+      const wasm = wasmModule(exportSection(['hello', '__constructor']));
+
+      expect(readExports(wasm)).toEqual([
+        { name: 'hello', kind: 'function' },
+        { name: '__constructor', kind: 'function' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Thrown when a buffer is not a well-formed WebAssembly module
+ */
+export class InvalidWasmError extends Error {
+  constructor(reason: string) {
+    super(`Invalid wasm module: ${reason}`);
+    this.name = 'InvalidWasmError';
+  }
+}
+
+/**
+ * A top-level section of a wasm module
+ */
+export interface WasmSection {
+  /** Section id (0 for custom sections) */
+  id: number;
+  /** Section name, e.g. `code`, or the custom section's own name */
+  name: string;
+  /** Payload size in bytes */
+  size: number;
+  /** Offset of the payload within the module */
+  offset: number;
+}
+
+/**
+ * An exported item of a wasm module
+ */
+export interface WasmExport {
+  /** Export name */
+  name: string;
+  /** Kind of item exported */
+  kind: 'function' | 'table' | 'memory' | 'global' | 'tag';
+}
+
+const WASM_MAGIC = [0x00, 0x61, 0x73, 0x6d];
+
+const SECTION_NAMES: Record<number, string> = {
+  1: 'type',
+  2: 'import',
+  3: 'function',
+  4: 'table',
+  5: 'memory',
+  6: 'global',
+  7: 'export',
+  8: 'start',
+  9: 'element',
+  10: 'code',
+  11: 'data',
+  12: 'datacount',
+  13: 'tag',
+};
+
+const EXPORT_KINDS: WasmExport['kind'][] = ['function', 'table', 'memory', 'global', 'tag'];
+
+/**
+ * Minimal cursor over a wasm binary
+ */
+class WasmReader {
+  constructor(
+    private readonly bytes: Uint8Array,
+    public offset = 0
+  ) {}
+
+  get done(): boolean {
+    return this.offset >= this.bytes.length;
+  }
+
+  byte(): number {
+    const value = this.bytes[this.offset];
+    if (value === undefined) {
+      throw new InvalidWasmError('unexpected end of module');
+    }
+    this.offset++;
+    return value;
+  }
+
+  /** Reads an unsigned LEB128 encoded 32-bit integer */
+  u32(): number {
+    let result = 0;
+    let shift = 0;
+    for (;;) {
+      const byte = this.byte();
+      result |= (byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) {
+        return result >>> 0;
+      }
+      shift += 7;
+      if (shift > 35) {
+        throw new InvalidWasmError('malformed LEB128 integer');
+      }
+    }
+  }
+
+  name(): string {
+    const length = this.u32();
+    return new TextDecoder().decode(this.take(length));
+  }
+
+  take(length: number): Uint8Array {
+    if (this.offset + length > this.bytes.length) {
+      throw new InvalidWasmError('section exceeds module size');
+    }
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+}
+
+/**
+ * Lists the sections of a wasm module in file order
+ *
+ * @param wasm - Module bytes
+ * @throws InvalidWasmError if the buffer is not a wasm module
+ */
+export function readSections(wasm: Uint8Array): WasmSection[] {
+  if (wasm.length < 8 || WASM_MAGIC.some((byte, i) => wasm[i] !== byte)) {
+    throw new InvalidWasmError('missing \\0asm header');
+  }
+
+  const reader = new WasmReader(wasm, 8);
+  const sections: WasmSection[] = [];
+
+  while (!reader.done) {
+    const id = reader.byte();
+    const size = reader.u32();
+    const offset = reader.offset;
+    const payload = reader.take(size);
+
+    if (id === 0) {
+      const inner = new WasmReader(payload);
+      const name = inner.name();
+      sections.push({ id, name, size: size - inner.offset, offset: offset + inner.offset });
+    } else {
+      sections.push({ id, name: SECTION_NAMES[id] ?? `unknown(${id})`, size, offset });
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Gets the payloads of all custom sections with the given name, concatenated
+ *
+ * @param wasm - Module bytes
+ * @param name - Custom section name, e.g. `contractspecv0`
+ * @returns Section contents, or undefined if the module has no such section
+ */
+export function readCustomSection(wasm: Uint8Array, name: string): Uint8Array | undefined {
+  const matches = readSections(wasm).filter((section) => section.id === 0 && section.name === name);
+  if (matches.length === 0) {
+    return undefined;
+  }
+
+  return Buffer.concat(matches.map(({ offset, size }) => wasm.subarray(offset, offset + size)));
+}
+
+/**
+ * Lists the exports of a wasm module
+ *
+ * @param wasm - Module bytes
+ */
+export function readExports(wasm: Uint8Array): WasmExport[] {
+  const section = readSections(wasm).find((candidate) => candidate.id === 7);
+  if (!section) {
+    return [];
+  }
+
+  const reader = new WasmReader(wasm.subarray(section.offset, section.offset + section.size));
+  const count = reader.u32();
+  const exports: WasmExport[] = [];
+
+  for (let i = 0; i < count; i++) {
+    const name = reader.name();
+    const kind = EXPORT_KINDS[reader.byte()];
+    reader.u32(); // index
+    if (!kind) {
+      throw new InvalidWasmError(`unknown export kind for ${name}`);
+    }
+    exports.push({ name, kind });
+  }
+
+  return exports;
+}
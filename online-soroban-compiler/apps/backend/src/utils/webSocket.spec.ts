@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import { once, EventEmitter } from 'node:events';
+import { createServer, request, type Server } from 'node:http';
+import { connect as connectTcp, type AddressInfo } from 'node:net';
+import type { Duplex } from 'node:stream';
+import { WebSocket } from 'ws';
+import {
+  acceptWebSocket,
+  CLOSE_CODES,
+  rejectUpgrade,
+  type WebSocketConnection,
+  type WebSocketOptions,
+} from './webSocket';
+
+/**
+ * Socket recording what the server writes
+ */
+class FakeSocket extends EventEmitter {
+  written: Buffer[] = [];
+  end = jest.fn((data?: string) => {
+    if (data) {
+      this.written.push(Buffer.from(data));
+    }
+  });
+}
+
+/**
+ * Encodes a frame the way a client sends it, masked
+ */
+function clientFrame(opcode: number, payload: Buffer | string): Buffer {
+  const data = Buffer.from(payload);
+  const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  const header =
+    data.length < 126
+      ? Buffer.from([0x80 | opcode, 0x80 | data.length])
+      : Buffer.from([0x80 | opcode, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+  const masked = Buffer.from(data.map((byte, i) => byte ^ (mask[i % 4] as number)));
+  return Buffer.concat([header, mask, masked]);
+}
+
+describe('WebSocket', () => {
+  let server: Server;
+  let url: string;
+  let connections: WebSocketConnection[];
+  let clients: WebSocket[];
+  let options: WebSocketOptions;
+
+  beforeEach(async () => {
+    connections = [];
+    clients = [];
+    options = {};
+    server = createServer();
+    server.on('upgrade', (req, socket, head) =>
+      acceptWebSocket(req, socket, head, (connection) => connections.push(connection), options)
+    );
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `ws://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    // Upgraded sockets are no longer the server's connections
+    clients.forEach((client) => client.terminate());
+    server.close();
+    await once(server, 'close');
+  });
+
+  /**
+   * Opens a client and waits for the server side of its connection
+   */
+  async function open(): Promise<{ client: WebSocket; connection: WebSocketConnection }> {
+    const client = new WebSocket(url);
+    clients.push(client);
+    await once(client, 'open');
+    while (connections.length === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return { client, connection: connections.shift() as WebSocketConnection };
+  }
+
+  async function closeCode(client: WebSocket): Promise<number> {
+    const [code] = (await once(client, 'close')) as [number];
+    return code;
+  }
+
+  describe('acceptWebSocket', () => {
+    it('should exchange text messages', async () => {
+      const { client, connection } = await open();
+      const received = once(connection, 'message');
+      const sent = once(client, 'message');
+
+      client.send('{"id":1}');
+      connection.send('héllo');
+
+      expect(await received).toEqual(['{"id":1}']);
+      const [data] = (await sent) as [Buffer];
+      expect(data.toString('utf8')).toBe('héllo');
+    });
+
+    it('should refuse requests that are not WebSocket handshakes', async () => {
+      const { port } = server.address() as AddressInfo;
+      const req = request({
+        port,
+        host: '127.0.0.1',
+        headers: { connection: 'Upgrade', upgrade: 'websocket', 'sec-websocket-version': '8' },
+      });
+      req.end();
+
+      const [response] = (await once(req, 'response')) as [{ statusCode: number }];
+      expect(response.statusCode).toBe(400);
+      expect(connections).toEqual([]);
+    });
+  });
+
+  describe('WebSocketConnection', () => {
+    it('should close on binary messages', async () => {
+      const { client } = await open();
+
+      client.send(Buffer.from([1, 2, 3]));
+
+      expect(await closeCode(client)).toBe(CLOSE_CODES.unsupportedData);
+    });
+
+    it('should close on messages over the size limit', async () => {
+      options = { maxMessageBytes: 10 };
+      const { client, connection } = await open();
+      const messages: string[] = [];
+      connection.on('message', (text) => messages.push(text));
+
+      client.send('a'.repeat(11));
+
+      expect(await closeCode(client)).toBe(CLOSE_CODES.tooLarge);
+      expect(messages).toEqual([]);
+    });
+
+    it('should close on control frames that break the protocol', async () => {
+      const { port } = server.address() as AddressInfo;
+      const socket = connectTcp(port, '127.0.0.1');
+      socket.write(
+        [
+          'GET / HTTP/1.1',
+          'Host: 127.0.0.1',
+          'Connection: Upgrade',
+          'Upgrade: websocket',
+          'Sec-WebSocket-Version: 13',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          '',
+          '',
+        ].join('\r\n')
+      );
+      await once(socket, 'data');
+
+      // Control frames carry at most 125 bytes (RFC 6455, section 5.5)
+      socket.write(clientFrame(0x9, 'a'.repeat(126)));
+
+      const [frame] = (await once(socket, 'data')) as [Buffer];
+      expect((frame[0] as number) & 0x0f).toBe(0x8);
+      expect(frame.readUInt16BE(2)).toBe(CLOSE_CODES.protocolError);
+      socket.destroy();
+    });
+
+    it('should report the close it starts once, without waiting for the client', async () => {
+      const { client, connection } = await open();
+      const closes: Array<[number, string]> = [];
+      connection.on('close', (code, reason) => closes.push([code, reason]));
+
+      connection.close(CLOSE_CODES.internalError, 'Language server exited');
+      connection.send('ignored');
+
+      expect(closes).toEqual([[CLOSE_CODES.internalError, 'Language server exited']]);
+      expect(connection.isOpen).toBe(false);
+      expect(await closeCode(client)).toBe(CLOSE_CODES.internalError);
+      expect(closes).toHaveLength(1);
+    });
+
+    it('should report the close when the client goes away', async () => {
+      const { client, connection } = await open();
+      const closed = once(connection, 'close');
+
+      client.terminate();
+
+      await closed;
+      expect(connection.isOpen).toBe(false);
+    });
+  });
+
+  describe('rejectUpgrade', () => {
+    it('should answer with a plain HTTP error', () => {
+      const socket = new FakeSocket();
+
+      rejectUpgrade(socket as unknown as Duplex, 503, 'Too many sessions');
+
+      const response = socket.written[0]?.toString();
+      expect(response).toMatch(/^HTTP\/1\.1 503 Service Unavailable\r\n/);
+      expect(response).toMatch(/\r\n\r\nToo many sessions$/);
+    });
+  });
+});
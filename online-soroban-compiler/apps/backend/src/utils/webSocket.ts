@@ -0,0 +1,147 @@
+import { EventEmitter } from 'node:events';
+import type { IncomingMessage } from 'node:http';
+import type { Duplex } from 'node:stream';
+import { WebSocket, WebSocketServer } from 'ws';
+
+/**
+ * Close codes used by the server (RFC 6455, section 7.4.1)
+ */
+export const CLOSE_CODES = {
+  normal: 1000,
+  goingAway: 1001,
+  protocolError: 1002,
+  unsupportedData: 1003,
+  tooLarge: 1009,
+  internalError: 1011,
+} as const;
+
+/**
+ * Options of an accepted connection
+ */
+export interface WebSocketOptions {
+  /** Largest message accepted from the client; larger ones close the connection (default: 1 MiB) */
+  maxMessageBytes?: number;
+}
+
+/**
+ * Events of a connection: complete text messages and the close
+ */
+interface WebSocketEvents {
+  message: [text: string];
+  close: [code: number, reason: string];
+}
+
+/**
+ * Server side of a WebSocket connection carrying text messages. The `ws`
+ * package implements the protocol; this refuses binary messages and reports
+ * the close as soon as either side starts it, so sessions end without
+ * waiting for the client to finish the closing handshake.
+ */
+export class WebSocketConnection extends EventEmitter<WebSocketEvents> {
+  private closed = false;
+
+  constructor(private readonly socket: WebSocket) {
+    super();
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this.close(CLOSE_CODES.unsupportedData, 'Only text messages are supported');
+      } else if (!this.closed) {
+        this.emit('message', (data as Buffer).toString('utf8'));
+      }
+    });
+    socket.on('close', (code, reason) => this.finish(code, reason.toString('utf8')));
+    // ws closes the connection itself after protocol errors and oversized messages
+    socket.on('error', () => undefined);
+  }
+
+  /** Whether messages can still be sent */
+  get isOpen(): boolean {
+    return !this.closed && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Sends a text message
+   */
+  send(text: string): void {
+    if (this.isOpen) {
+      this.socket.send(text);
+    }
+  }
+
+  /**
+   * Starts the closing handshake and ends the connection
+   *
+   * @param code - Close code sent to the client
+   * @param reason - Short explanation, at most 123 bytes
+   */
+  close(code: number = CLOSE_CODES.normal, reason = ''): void {
+    if (this.closed) {
+      return;
+    }
+    this.socket.close(code, reason);
+    this.finish(code, reason);
+  }
+
+  private finish(code: number, reason: string): void {
+    if (!this.closed) {
+      this.closed = true;
+      this.emit('close', code, reason);
+    }
+  }
+}
+
+/**
+ * Completes the WebSocket handshake of an HTTP upgrade request. Requests
+ * that are not a valid handshake are answered with 400 Bad Request and never
+ * open a connection.
+ *
+ * @param req - The upgrade request
+ * @param socket - Socket of the request, from the server's `upgrade` event
+ * @param head - First packet of the upgraded stream, from the `upgrade` event
+ * @param onOpen - Receives the open connection
+ * @param options - Connection options
+ */
+export function acceptWebSocket(
+  req: IncomingMessage,
+  socket: Duplex,
+  head: Buffer,
+  onOpen: (connection: WebSocketConnection) => void,
+  { maxMessageBytes = 1024 * 1024 }: WebSocketOptions = {}
+): void {
+  const server = new WebSocketServer({
+    noServer: true,
+    clientTracking: false,
+    maxPayload: maxMessageBytes,
+  });
+  server.handleUpgrade(req, socket, head, (webSocket) =>
+    onOpen(new WebSocketConnection(webSocket))
+  );
+}
+
+/**
+ * Refuses an upgrade request with a plain HTTP response
+ *
+ * @param socket - Socket of the request
+ * @param status - HTTP status code
+ * @param message - Response body
+ */
+export function rejectUpgrade(socket: Duplex, status: number, message: string): void {
+  const reasons: Record<number, string> = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    429: 'Too Many Requests',
+    503: 'Service Unavailable',
+  };
+  socket.end(
+    [
+      `HTTP/1.1 ${status} ${reasons[status] ?? 'Error'}`,
+      'Connection: close',
+      'Content-Type: text/plain',
+      `Content-Length: ${Buffer.byteLength(message)}`,
+      '',
+      message,
+    ].join('\r\n')
+  );
+}
@@ -0,0 +1,53 @@
+import { inflateRawSync } from 'node:zlib';
+import { createZip } from './zip';
+
+/**
+ * Reads the files of an archive through its central directory
+ */
+function readZip(zip: Buffer): Record<string, string> {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let central = zip.readUInt32LE(end + 16);
+
+  const files: Record<string, string> = {};
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(central)).toBe(0x02014b50);
+    const compressedSize = zip.readUInt32LE(central + 20);
+    const nameLength = zip.readUInt16LE(central + 28);
+    const local = zip.readUInt32LE(central + 42);
+    const name = zip.toString('utf8', central + 46, central + 46 + nameLength);
+
+    const dataStart = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    files[name] = inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)).toString();
+    central += 46 + nameLength;
+  }
+  return files;
+}
+
+describe('createZip', () => {
+  it('should archive files under their paths', () => {
+    const zip = createZip({
+      'package.json': '{"name":"counter"}',
+      'src/index.ts': 'export const café = 1;\n',
+      'README.md': Buffer.from('# counter\n'),
+    });
+
+    expect(readZip(zip)).toEqual({
+      'package.json': '{"name":"counter"}',
+      'src/index.ts': 'export const café = 1;\n',
+      'README.md': '# counter\n',
+    });
+  });
+
+  it('should record the modification time in MS-DOS format', () => {
+    const zip = createZip({ 'a.txt': 'a' }, new Date(2025, 2, 14, 15, 9, 26));
+
+    expect(zip.readUInt16LE(10)).toBe((15 << 11) | (9 << 5) | 13);
+    expect(zip.readUInt16LE(12)).toBe((45 << 9) | (3 << 5) | 14);
+  });
+
+  it('should write an empty archive', () => {
+    expect(readZip(createZip({}))).toEqual({});
+  });
+});
@@ -0,0 +1,90 @@
+import { crc32, deflateRawSync } from 'node:zlib';
+
+/**
+ * Files to archive keyed by their path inside the archive, e.g. `src/index.ts`
+ */
+export type ZipEntries = Record<string, string | Uint8Array>;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+/** Version 2.0, the first with deflate */
+const ZIP_VERSION = 20;
+/** General purpose flag marking names as UTF-8 */
+const UTF8_NAMES = 0x0800;
+const DEFLATE = 8;
+
+/**
+ * Packs a date into MS-DOS time and date fields, which count from 1980
+ */
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Creates a zip archive of deflated files. Archives are written in one go, so
+ * they are meant for small sets of generated files, not for large uploads.
+ *
+ * @param entries - File contents keyed by path; strings are written as UTF-8
+ * @param modified - Modification time recorded for every file
+ */
+export function createZip(entries: ZipEntries, modified = new Date()): Buffer {
+  const { time, date } = dosDateTime(modified);
+  const localParts: Buffer[] = [];
+  const centralParts: Buffer[] = [];
+  let offset = 0;
+
+  for (const [path, content] of Object.entries(entries)) {
+    const name = Buffer.from(path, 'utf8');
+    const data = typeof content === 'string' ? Buffer.from(content, 'utf8') : content;
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number and attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directorySize = centralParts.reduce((total, part) => total + part.length, 0);
+  const count = Object.keys(entries).length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
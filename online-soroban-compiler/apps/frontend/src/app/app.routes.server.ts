@@ -1,6 +1,16 @@
 import { RenderMode, ServerRoute } from '@angular/ssr';
 
 export const serverRoutes: ServerRoute[] = [
+  {
+    // Snippets are loaded from the API, so their pages cannot be prerendered
+    path: 's/:id',
+    renderMode: RenderMode.Client
+  },
+  {
+    // Templates are loaded from the API as well
+    path: 'templates/:template',
+    renderMode: RenderMode.Client
+  },
   {
     path: '**',
     renderMode: RenderMode.Prerender
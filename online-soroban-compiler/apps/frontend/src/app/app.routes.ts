@@ -1,7 +1,16 @@
 import { Routes } from '@angular/router';
 import { EditorComponent } from './components/editor/editor.component';
+import { TemplateGalleryComponent } from './components/template-gallery/template-gallery.component';
+import { AccountComponent } from './components/account/account.component';
 
 export const routes: Routes = [
   { path: '', component: EditorComponent },
-  { path: 'editor', component: EditorComponent }
+  { path: 'editor', component: EditorComponent },
+  // Permalink of a saved snippet; the ID is bound to the editor's `id` input
+  { path: 's/:id', component: EditorComponent },
+  { path: 'templates', component: TemplateGalleryComponent },
+  // Opens a starter contract; the ID is bound to the editor's `template` input
+  { path: 'templates/:template', component: EditorComponent },
+  // Sign-in and the signed-in user's saved snippets
+  { path: 'account', component: AccountComponent }
 ];
@@ -0,0 +1,90 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { provideRouter } from '@angular/router';
+import { of, throwError } from 'rxjs';
+import { AuthService, Session, User } from '../../services/auth';
+import { Snippet, SnippetService } from '../../services/snippets';
+
+import { AccountComponent } from './account.component';
+
+const SESSION: Session = { token: 'token', user: { id: 'alice' }, expiresAt: '2999-01-01T00:00:00.000Z' };
+
+const SNIPPETS: Snippet[] = [
+  { id: 'Ab3dE5gH9k', files: { 'src/lib.rs': '' }, owner: 'alice', createdAt: '2025-06-01T12:00:00.000Z' }
+];
+
+describe('AccountComponent', () => {
+  let component: AccountComponent;
+  let fixture: ComponentFixture<AccountComponent>;
+  let authService: jasmine.SpyObj<AuthService>;
+  let snippetService: jasmine.SpyObj<SnippetService>;
+  let user: User | undefined;
+
+  beforeEach(async () => {
+    user = undefined;
+    authService = jasmine.createSpyObj('AuthService', ['login', 'logout']);
+    Object.defineProperty(authService, 'user', { get: () => user });
+    authService.login.and.callFake(() => {
+      user = SESSION.user;
+      return of(SESSION);
+    });
+    authService.logout.and.callFake(() => (user = undefined));
+    snippetService = jasmine.createSpyObj('SnippetService', ['list']);
+    snippetService.list.and.returnValue(of(SNIPPETS));
+
+    await TestBed.configureTestingModule({
+      imports: [AccountComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        provideRouter([]),
+        { provide: AuthService, useValue: authService },
+        { provide: SnippetService, useValue: snippetService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(AccountComponent);
+    component = fixture.componentInstance;
+  });
+
+  it('should sign in with an API key and list the saved snippets', async () => {
+    fixture.detectChanges();
+    expect(snippetService.list).not.toHaveBeenCalled();
+
+    component.apiKey = ' alice-key ';
+    component.signIn();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const element: HTMLElement = fixture.nativeElement;
+    expect(authService.login).toHaveBeenCalledWith('alice-key');
+    expect(element.textContent).toContain('Signed in as alice');
+    expect(element.querySelector('.account-snippet-link')?.getAttribute('href')).toBe('/s/Ab3dE5gH9k');
+  });
+
+  it('should report a failed sign-in', async () => {
+    authService.login.and.returnValue(throwError(() => new Error('Invalid API key')));
+    fixture.detectChanges();
+
+    component.apiKey = 'wrong';
+    component.signIn();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(component.isSigningIn).toBeFalse();
+    expect((fixture.nativeElement as HTMLElement).querySelector('.account-error')?.textContent)
+      .toContain('Could not sign in: Invalid API key');
+  });
+
+  it('should sign out', () => {
+    user = SESSION.user;
+    fixture.detectChanges();
+    expect(component.snippets).toEqual(SNIPPETS);
+
+    component.signOut();
+
+    expect(authService.logout).toHaveBeenCalled();
+    expect(component.snippets).toEqual([]);
+    expect(component.user).toBeUndefined();
+  });
+});
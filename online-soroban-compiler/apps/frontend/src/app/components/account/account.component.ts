@@ -0,0 +1,81 @@
+import { ChangeDetectorRef, Component, OnInit, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { AuthService } from '../../services/auth';
+import { Snippet, SnippetService } from '../../services/snippets';
+
+@Component({
+  selector: 'app-account',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './account.component.html',
+  styleUrl: './account.component.css'
+})
+export class AccountComponent implements OnInit {
+  private authService = inject(AuthService);
+  private snippetService = inject(SnippetService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  apiKey = '';
+  isSigningIn = false;
+  errorMessage = '';
+  // Snippets saved while signed in, newest first
+  snippets: Snippet[] = [];
+  isLoadingSnippets = false;
+
+  get user() {
+    return this.authService.user;
+  }
+
+  ngOnInit(): void {
+    if (this.user) {
+      this.loadSnippets();
+    }
+  }
+
+  signIn(): void {
+    const apiKey = this.apiKey.trim();
+    if (!apiKey || this.isSigningIn) {
+      return;
+    }
+
+    this.isSigningIn = true;
+    this.errorMessage = '';
+    this.authService.login(apiKey).subscribe({
+      next: () => {
+        this.apiKey = '';
+        this.isSigningIn = false;
+        this.loadSnippets();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not sign in: ${error.message}`;
+        this.isSigningIn = false;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  signOut(): void {
+    this.authService.logout();
+    this.snippets = [];
+    this.changeDetector.markForCheck();
+  }
+
+  private loadSnippets(): void {
+    this.isLoadingSnippets = true;
+    this.changeDetector.markForCheck();
+    this.snippetService.list().subscribe({
+      next: (snippets) => {
+        this.snippets = snippets;
+        this.isLoadingSnippets = false;
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not load your snippets: ${error.message}`;
+        this.isLoadingSnippets = false;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+}
@@ -0,0 +1,144 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { of, throwError } from 'rxjs';
+import { BuildRun, BuildRunSummary, HistoryService, RunComparison } from '../../services/history';
+
+import { BuildHistoryComponent } from './build-history.component';
+
+const run = (id: string, createdAt: string, overrides: Partial<BuildRunSummary> = {}): BuildRunSummary => ({
+  id,
+  project: 'soroban-contract',
+  kind: 'compile',
+  status: 'succeeded',
+  message: 'Compilation and optimization successful',
+  codeHash: `${id}${'0'.repeat(63)}`,
+  diagnostics: { errors: 0, warnings: 2 },
+  wasmSize: 1024,
+  duration: 4200,
+  createdAt,
+  ...overrides
+});
+
+// Newest first, as the backend lists them
+const RUNS: BuildRunSummary[] = [
+  run('c', '2026-01-01T12:02:00.000Z', { kind: 'test', status: 'failed', tests: { total: 3, passed: 2, failed: 1 } }),
+  run('b', '2026-01-01T12:01:00.000Z'),
+  run('a', '2026-01-01T12:00:00.000Z')
+];
+
+const COMPARISON: RunComparison = {
+  files: [
+    {
+      path: 'src/lib.rs',
+      status: 'modified',
+      hunks: [
+        {
+          baseStart: 1,
+          headStart: 1,
+          lines: [
+            { type: 'context', text: '#![no_std]' },
+            { type: 'removed', text: 'fn a() {}' },
+            { type: 'added', text: 'fn b() {}' }
+          ]
+        }
+      ]
+    }
+  ],
+  wasmSize: { previous: 1000, current: 1024, change: 24, percent: 2.4 },
+  interface: {
+    added: ['increment() -> u32'],
+    removed: [],
+    changed: [{ name: 'hello', previous: 'hello(to: Symbol)', current: 'hello(to: String)' }]
+  }
+};
+
+describe('BuildHistoryComponent', () => {
+  let component: BuildHistoryComponent;
+  let fixture: ComponentFixture<BuildHistoryComponent>;
+  let historyService: jasmine.SpyObj<HistoryService>;
+
+  beforeEach(async () => {
+    historyService = jasmine.createSpyObj('HistoryService', ['list', 'get', 'compare']);
+    historyService.list.and.returnValue(of(RUNS));
+    historyService.compare.and.returnValue(of(COMPARISON));
+
+    await TestBed.configureTestingModule({
+      imports: [BuildHistoryComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        { provide: HistoryService, useValue: historyService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(BuildHistoryComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should list the recorded runs', () => {
+    const rows = [...fixture.nativeElement.querySelectorAll('.build-history-table tbody tr')] as HTMLElement[];
+
+    expect(historyService.list).toHaveBeenCalled();
+    expect(rows.length).toBe(3);
+    expect(rows[0].textContent).toContain('Test failed');
+    expect(rows[0].textContent).toContain('2/3 passed');
+    expect(rows[1].textContent).toContain('0 errors, 2 warnings');
+    expect(rows[1].textContent).toContain('1,024 B');
+    expect(rows[1].textContent).toContain('4.2 s');
+    expect(rows[1].querySelector('code')?.textContent).toBe('b0000000');
+  });
+
+  it('should explain an empty history', async () => {
+    historyService.list.and.returnValue(of([]));
+    component.refresh();
+    await fixture.whenStable();
+
+    expect(fixture.nativeElement.querySelector('.build-history-hint')?.textContent).toContain('Compile or Test');
+  });
+
+  it('should open the sources of a run', () => {
+    const loaded: BuildRun = { ...(RUNS[1] as BuildRunSummary), files: { 'src/lib.rs': 'fn b() {}' } };
+    historyService.get.and.returnValue(of(loaded));
+    const opened: BuildRun[] = [];
+    component.opened.subscribe(value => opened.push(value));
+
+    (fixture.nativeElement.querySelectorAll('.build-history-table tbody tr')[1]
+      .querySelector('button') as HTMLButtonElement).click();
+
+    expect(historyService.get).toHaveBeenCalledWith('b');
+    expect(opened).toEqual([loaded]);
+  });
+
+  it('should keep at most two runs selected', () => {
+    RUNS.forEach(selected => component.toggleSelection(selected));
+    expect(component.selected).toEqual(['b', 'a']);
+
+    component.toggleSelection(RUNS[2] as BuildRunSummary);
+    expect(component.selected).toEqual(['b']);
+  });
+
+  it('should compare the later selected run with the earlier one', async () => {
+    component.toggleSelection(RUNS[0] as BuildRunSummary);
+    component.toggleSelection(RUNS[2] as BuildRunSummary);
+    component.compare();
+    await fixture.whenStable();
+
+    expect(historyService.compare).toHaveBeenCalledWith('c', 'a');
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('.build-history-wasm')?.textContent).toContain('+24 B (+2.4%)');
+    expect(element.querySelector('.build-history-interface')?.textContent).toContain('+ increment() -> u32');
+    expect(element.querySelector('.build-history-interface')?.textContent).toContain('- hello(to: Symbol)');
+    const lines = [...element.querySelectorAll('.build-history-hunk .build-history-line')] as HTMLElement[];
+    expect(lines.map(line => line.textContent)).toEqual(['@@ -1 +1 @@', '  #![no_std]', '- fn a() {}', '+ fn b() {}']);
+  });
+
+  it('should report history errors', async () => {
+    historyService.list.and.returnValue(throwError(() => new Error('Server Error: 0 - Unknown Error')));
+    component.refresh();
+    await fixture.whenStable();
+
+    expect(fixture.nativeElement.querySelector('.build-history-error')?.textContent)
+      .toContain('Could not load the build history');
+  });
+});
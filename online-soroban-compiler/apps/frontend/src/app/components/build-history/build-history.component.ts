@@ -0,0 +1,128 @@
+import { ChangeDetectorRef, Component, EventEmitter, OnInit, Output, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { CostChange } from '../../services/costs';
+import { BuildRun, BuildRunSummary, DiffLine, HistoryService, RunComparison } from '../../services/history';
+
+@Component({
+  selector: 'app-build-history',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './build-history.component.html',
+  styleUrl: './build-history.component.css'
+})
+export class BuildHistoryComponent implements OnInit {
+  /** Requests that the editor opens the sources of a run */
+  @Output() opened = new EventEmitter<BuildRun>();
+  @Output() closed = new EventEmitter<void>();
+
+  private historyService = inject(HistoryService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  // Runs of the project, newest first
+  runs: BuildRunSummary[] = [];
+  isLoading = false;
+  errorMessage = '';
+  // IDs of the runs picked for comparison, at most two
+  selected: string[] = [];
+  comparison?: RunComparison;
+  // The compared runs, earlier one first
+  compared?: { base: BuildRunSummary; head: BuildRunSummary };
+  isComparing = false;
+
+  ngOnInit(): void {
+    this.refresh();
+  }
+
+  /**
+   * Reloads the list, e.g. after a build finished
+   */
+  refresh(): void {
+    this.isLoading = true;
+    this.changeDetector.markForCheck();
+    this.historyService.list().subscribe({
+      next: (runs) => {
+        this.runs = runs;
+        this.selected = this.selected.filter(id => runs.some(run => run.id === id));
+        this.isLoading = false;
+        this.errorMessage = '';
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not load the build history: ${error.message}`;
+        this.isLoading = false;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  isSelected(run: BuildRunSummary): boolean {
+    return this.selected.includes(run.id);
+  }
+
+  /**
+   * Picks a run for comparison; picking a third replaces the first one picked
+   */
+  toggleSelection(run: BuildRunSummary): void {
+    this.selected = this.isSelected(run)
+      ? this.selected.filter(id => id !== run.id)
+      : [...this.selected, run.id].slice(-2);
+  }
+
+  open(run: BuildRunSummary): void {
+    this.historyService.get(run.id).subscribe({
+      next: (loaded) => this.opened.emit(loaded),
+      error: (error: Error) => {
+        this.errorMessage = `Could not open the run: ${error.message}`;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  /**
+   * Compares the two selected runs, the later one against the earlier one
+   */
+  compare(): void {
+    const [base, head] = this.runs
+      .filter(run => this.isSelected(run))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (!base || !head || this.isComparing) {
+      return;
+    }
+
+    this.isComparing = true;
+    this.historyService.compare(head.id, base.id).subscribe({
+      next: (comparison) => {
+        this.comparison = comparison;
+        this.compared = { base, head };
+        this.isComparing = false;
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not compare the runs: ${error.message}`;
+        this.isComparing = false;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  closeComparison(): void {
+    this.comparison = undefined;
+    this.compared = undefined;
+  }
+
+  /**
+   * Signed size change with its percentage, e.g. `+24 B (+2.4%)`
+   */
+  formatChange(change: CostChange): string {
+    const sign = change.change > 0 ? '+' : '';
+    const amount = `${sign}${change.change.toLocaleString()} B`;
+    return change.percent === null ? amount : `${amount} (${sign}${change.percent}%)`;
+  }
+
+  /**
+   * Unified diff marker of a line
+   */
+  marker(line: DiffLine): string {
+    return line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+  }
+}
@@ -0,0 +1,132 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { of, throwError } from 'rxjs';
+import { ContractArtifact } from '../../services/compiler';
+import { ContractInterface, ContractService } from '../../services/contracts';
+
+import { ContractInterfaceComponent, packageNameOf } from './contract-interface.component';
+
+const ARTIFACT: ContractArtifact = {
+  name: 'soroban_token.optimized.wasm',
+  size: 8,
+  sha256: 'abc',
+  optimized: true,
+  wasm: 'AGFzbQEAAAA=',
+  spec: { functions: [] }
+};
+
+const INTERFACE: ContractInterface = {
+  functions: [
+    {
+      name: 'transfer',
+      doc: 'Moves tokens between accounts',
+      inputs: [
+        { name: 'from', type: { type: 'address' } },
+        { name: 'amount', type: { type: 'i128' } }
+      ],
+      outputs: [],
+      signature: 'transfer(from: Address, amount: i128)'
+    }
+  ],
+  structs: [
+    {
+      doc: '',
+      name: 'Metadata',
+      fields: [{ doc: '', name: 'decimals', type: { type: 'u32' } }]
+    }
+  ],
+  unions: [
+    {
+      doc: '',
+      name: 'DataKey',
+      cases: [
+        { doc: '', name: 'Admin', types: [] },
+        { doc: '', name: 'Balance', types: [{ type: 'address' }] }
+      ]
+    }
+  ],
+  enums: [],
+  errors: [
+    {
+      doc: '',
+      name: 'TokenError',
+      cases: [{ doc: 'Not enough tokens', name: 'InsufficientBalance', value: 1 }]
+    }
+  ],
+  events: [
+    {
+      doc: '',
+      name: 'Transfer',
+      prefixTopics: ['transfer'],
+      params: [
+        { doc: '', name: 'from', type: { type: 'address' }, location: 'topic_list' },
+        { doc: '', name: 'amount', type: { type: 'i128' }, location: 'data' }
+      ],
+      dataFormat: 'single_value'
+    }
+  ]
+};
+
+describe('ContractInterfaceComponent', () => {
+  let fixture: ComponentFixture<ContractInterfaceComponent>;
+  let contractService: jasmine.SpyObj<ContractService>;
+
+  async function create(): Promise<void> {
+    await TestBed.configureTestingModule({
+      imports: [ContractInterfaceComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        { provide: ContractService, useValue: contractService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(ContractInterfaceComponent);
+    fixture.componentRef.setInput('artifact', ARTIFACT);
+    fixture.detectChanges();
+    await fixture.whenStable();
+  }
+
+  beforeEach(() => {
+    contractService = jasmine.createSpyObj('ContractService', ['getInterface', 'getBindings']);
+    contractService.getInterface.and.returnValue(of(INTERFACE));
+    contractService.getBindings.and.returnValue(of(new Blob(['PK'], { type: 'application/zip' })));
+  });
+
+  it('should render the functions, types, error codes and events of the contract', async () => {
+    await create();
+
+    expect(contractService.getInterface).toHaveBeenCalledWith(ARTIFACT.wasm);
+    const element: HTMLElement = fixture.nativeElement;
+    const headings = [...element.querySelectorAll('.contract-interface-heading')].map(heading => heading.textContent);
+    expect(headings).toEqual(['Functions', 'Structs', 'Unions', 'Error codes', 'Events']);
+    expect(element.textContent).toContain('transfer(from: Address, amount: i128)');
+    expect(element.textContent).toContain('decimals: u32');
+    expect(element.textContent).toContain('Balance(Address)');
+    expect(element.querySelector('.contract-interface-errors tbody')?.textContent).toContain('InsufficientBalance');
+    expect(element.querySelector('.contract-interface-topics')?.textContent).toContain('"transfer", from');
+  });
+
+  it('should download the bindings named after the wasm file', async () => {
+    await create();
+    const click = spyOn(HTMLAnchorElement.prototype, 'click');
+
+    fixture.componentInstance.downloadBindings();
+
+    expect(contractService.getBindings).toHaveBeenCalledWith(ARTIFACT.wasm, 'soroban-token');
+    expect(click).toHaveBeenCalled();
+  });
+
+  it('should report contracts whose spec cannot be read', async () => {
+    contractService.getInterface.and.returnValue(throwError(() => new Error('Invalid request: Invalid contract spec: unknown type 999')));
+    await create();
+
+    expect(fixture.nativeElement.querySelector('.contract-interface-error')?.textContent).toContain('unknown type 999');
+  });
+
+  it('should derive npm package names from wasm file names', () => {
+    expect(packageNameOf('soroban_contract.optimized.wasm')).toBe('soroban-contract');
+    expect(packageNameOf('hello_world.wasm')).toBe('hello-world');
+    expect(packageNameOf('1.wasm')).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+import { ChangeDetectorRef, Component, Input, OnChanges, SimpleChanges, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ContractArtifact } from '../../services/compiler';
+import { ContractInterface, ContractService, SpecEvent, SpecUnion } from '../../services/contracts';
+import { typeLabel } from '../contract-runner/arg-form';
+
+/**
+ * npm package name for the bindings of a wasm file, e.g. `soroban-contract` for
+ * `soroban_contract.optimized.wasm`; undefined when the file name has none
+ */
+export function packageNameOf(fileName: string): string | undefined {
+  const name = fileName
+    .replace(/(\.optimized)?\.wasm$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return /^[a-z][a-z0-9-]{0,63}$/.test(name) ? name : undefined;
+}
+
+@Component({
+  selector: 'app-contract-interface',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './contract-interface.component.html',
+  styleUrl: './contract-interface.component.css'
+})
+export class ContractInterfaceComponent implements OnChanges {
+  /** Compiled contract whose spec is shown */
+  @Input({ required: true }) artifact!: ContractArtifact;
+
+  private contractService = inject(ContractService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  contractInterface?: ContractInterface;
+  isLoading = false;
+  errorMessage = '';
+  isDownloading = false;
+
+  readonly typeLabel = typeLabel;
+
+  ngOnChanges(changes: SimpleChanges): void {
+    const previous = changes['artifact']?.previousValue as ContractArtifact | undefined;
+    if (previous?.sha256 !== this.artifact.sha256) {
+      this.load();
+    }
+  }
+
+  /**
+   * Whether the spec declares nothing, e.g. for wasm built without soroban-sdk
+   */
+  get isEmpty(): boolean {
+    return !!this.contractInterface && Object.values(this.contractInterface).every(items => items.length === 0);
+  }
+
+  /**
+   * Renders a union case the way Rust declares it, e.g. `Balance(Address)`
+   */
+  caseLabel(unionCase: SpecUnion['cases'][number]): string {
+    return unionCase.types.length ? `${unionCase.name}(${unionCase.types.map(typeLabel).join(', ')})` : unionCase.name;
+  }
+
+  /**
+   * Lists the topics of an event: its fixed prefix, then its topic parameters
+   */
+  topics(event: SpecEvent): string {
+    return [
+      ...event.prefixTopics.map(topic => `"${topic}"`),
+      ...event.params.filter(param => param.location === 'topic_list').map(param => param.name)
+    ].join(', ');
+  }
+
+  /**
+   * Saves the generated TypeScript client through a temporary object URL
+   */
+  downloadBindings(): void {
+    if (this.isDownloading) {
+      return;
+    }
+
+    const name = packageNameOf(this.artifact.name);
+    this.isDownloading = true;
+    this.errorMessage = '';
+    this.contractService.getBindings(this.artifact.wasm, name).subscribe({
+      next: (zip) => {
+        this.isDownloading = false;
+        const url = URL.createObjectURL(zip);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name ?? 'soroban-contract'}.zip`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.isDownloading = false;
+        this.errorMessage = error.message;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  private load(): void {
+    const { sha256, wasm } = this.artifact;
+    this.contractInterface = undefined;
+    this.errorMessage = '';
+    this.isLoading = true;
+    this.contractService.getInterface(wasm).subscribe({
+      next: (contractInterface) => {
+        // A newer build may have replaced the one asked about
+        if (this.artifact.sha256 === sha256) {
+          this.isLoading = false;
+          this.contractInterface = contractInterface;
+          this.changeDetector.markForCheck();
+        }
+      },
+      error: (error: Error) => {
+        if (this.artifact.sha256 === sha256) {
+          this.isLoading = false;
+          this.errorMessage = error.message;
+          this.changeDetector.markForCheck();
+        }
+      }
+    });
+  }
+}
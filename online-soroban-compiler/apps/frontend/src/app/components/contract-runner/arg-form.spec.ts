@@ -0,0 +1,34 @@
+import { argFieldKind, argPlaceholder, parseArgValue, typeLabel } from './arg-form';
+
+describe('arg-form', () => {
+  const i128 = { type: 'i128' };
+  const optionalU64 = { type: 'option', valueType: { type: 'u64' } };
+  const addresses = { type: 'vec', elementType: { type: 'address' } };
+
+  it('should pick a field for each type', () => {
+    expect(argFieldKind({ type: 'bool' })).toBe('bool');
+    expect(argFieldKind(i128)).toBe('integer');
+    expect(argFieldKind(optionalU64)).toBe('integer');
+    expect(argFieldKind({ type: 'symbol' })).toBe('text');
+    expect(argFieldKind(addresses)).toBe('json');
+    expect(argFieldKind({ type: 'udt', name: 'Config' })).toBe('json');
+  });
+
+  it('should label types like Rust', () => {
+    expect(typeLabel(i128)).toBe('i128');
+    expect(typeLabel(optionalU64)).toBe('Option<u64>');
+    expect(typeLabel(addresses)).toBe('Vec<Address>');
+    expect(typeLabel({ type: 'bytes_n', n: 32 })).toBe('BytesN<32>');
+    expect(argPlaceholder(optionalU64)).toBe('0 (optional)');
+  });
+
+  it('should convert field values', () => {
+    expect(parseArgValue('amount', i128, ' 170141183460469231731687303715884105727 '))
+      .toBe('170141183460469231731687303715884105727');
+    expect(parseArgValue('limit', optionalU64, '')).toBeNull();
+    expect(parseArgValue('admins', addresses, '["GABC"]')).toEqual(['GABC']);
+    expect(parseArgValue('memo', { type: 'string' }, ' padded ')).toBe(' padded ');
+    expect(parseArgValue('active', { type: 'bool' }, true)).toBeTrue();
+    expect(() => parseArgValue('admins', addresses, '[GABC')).toThrowError('admins must be valid JSON');
+  });
+});
@@ -0,0 +1,126 @@
+import { SpecType } from '../../services/compiler';
+
+/** How an argument is entered: a checkbox, a number, free text or JSON */
+export type ArgFieldKind = 'bool' | 'integer' | 'text' | 'json';
+
+/** Value of a form field as entered */
+export type ArgFieldValue = string | boolean;
+
+const INTEGER_TYPES = new Set(['u32', 'i32', 'u64', 'i64', 'u128', 'i128', 'u256', 'i256', 'timepoint', 'duration']);
+const TEXT_TYPES = new Set(['string', 'symbol', 'address', 'muxed_address', 'bytes', 'bytes_n']);
+
+/**
+ * The type inside an `Option`, or the type itself
+ */
+function unwrapOption(type: SpecType): SpecType {
+  return type.type === 'option' ? (type['valueType'] as SpecType) : type;
+}
+
+export function isOptional(type: SpecType): boolean {
+  return type.type === 'option';
+}
+
+/**
+ * Picks the form control for an argument type. Composite types are entered as JSON.
+ */
+export function argFieldKind(type: SpecType): ArgFieldKind {
+  const inner = unwrapOption(type);
+  if (inner.type === 'bool') {
+    return 'bool';
+  }
+  if (INTEGER_TYPES.has(inner.type)) {
+    return 'integer';
+  }
+  return TEXT_TYPES.has(inner.type) ? 'text' : 'json';
+}
+
+/**
+ * Hint shown in an empty field
+ */
+export function argPlaceholder(type: SpecType): string {
+  const inner = unwrapOption(type);
+  const hint = ((): string => {
+    switch (inner.type) {
+      case 'address':
+      case 'muxed_address':
+        return 'G... or C... address';
+      case 'bytes':
+        return 'hex bytes';
+      case 'bytes_n':
+        return `${inner['n']} hex bytes`;
+      case 'vec':
+      case 'tuple':
+        return 'JSON array, e.g. [1, 2]';
+      case 'map':
+        return 'JSON map, e.g. [["key", "value"]]';
+      case 'udt':
+        return `${inner['name']} as JSON`;
+      default:
+        return argFieldKind(inner) === 'integer' ? '0' : inner.type;
+    }
+  })();
+  return isOptional(type) ? `${hint} (optional)` : hint;
+}
+
+/**
+ * Renders a spec type the way Rust code spells it, e.g. `Option<Vec<Address>>`
+ */
+export function typeLabel(type: SpecType): string {
+  const label = (key: string) => typeLabel(type[key] as SpecType);
+  switch (type.type) {
+    case 'option':
+      return `Option<${label('valueType')}>`;
+    case 'vec':
+      return `Vec<${label('elementType')}>`;
+    case 'map':
+      return `Map<${label('keyType')}, ${label('valueType')}>`;
+    case 'result':
+      return `Result<${label('okType')}, ${label('errorType')}>`;
+    case 'tuple':
+      return `(${(type['valueTypes'] as SpecType[]).map(typeLabel).join(', ')})`;
+    case 'bytes_n':
+      return `BytesN<${type['n']}>`;
+    case 'udt':
+      return type['name'] as string;
+    case 'muxed_address':
+      return 'MuxedAddress';
+    default:
+      return INTEGER_TYPES.has(type.type) || type.type === 'bool'
+        ? type.type
+        : type.type.charAt(0).toUpperCase() + type.type.slice(1);
+  }
+}
+
+/**
+ * Initial value of a form field
+ */
+export function emptyArgValue(type: SpecType): ArgFieldValue {
+  return argFieldKind(type) === 'bool' ? false : '';
+}
+
+/**
+ * Converts a form field into the value sent to the backend. Integers stay
+ * strings so large `i128` values keep their precision; the backend checks
+ * every value against the contract spec.
+ *
+ * @returns The value, or null for an empty optional argument
+ * @throws Error if a JSON field cannot be parsed
+ */
+export function parseArgValue(name: string, type: SpecType, value: ArgFieldValue): unknown {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = argFieldKind(type) === 'text' ? value : value.trim();
+  if (isOptional(type) && text === '') {
+    return null;
+  }
+  if (argFieldKind(type) !== 'json') {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
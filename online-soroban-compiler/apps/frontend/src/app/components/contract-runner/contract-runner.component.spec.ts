@@ -0,0 +1,121 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { of, throwError } from 'rxjs';
+import { ContractArtifact } from '../../services/compiler';
+import { Deployment, DeploymentService, Invocation } from '../../services/deployments';
+
+import { ContractRunnerComponent } from './contract-runner.component';
+
+const CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+
+const ARTIFACT: ContractArtifact = {
+  name: 'soroban_contract.wasm',
+  size: 8,
+  sha256: 'abc',
+  optimized: true,
+  wasm: 'AGFzbQEAAAA=',
+  spec: { functions: [] }
+};
+
+const DEPLOYMENT: Deployment = {
+  contractId: CONTRACT_ID,
+  wasmHash: 'abc',
+  functions: [
+    {
+      name: 'transfer',
+      doc: '',
+      inputs: [
+        { name: 'to', type: { type: 'address' } },
+        { name: 'amount', type: { type: 'i128' } },
+        { name: 'memo', type: { type: 'option', valueType: { type: 'string' } } }
+      ],
+      outputs: [{ type: 'bool' }],
+      signature: 'transfer(to: Address, amount: i128, memo: Option<String>) -> bool'
+    }
+  ],
+  deployedAt: '2025-01-01T00:00:00.000Z'
+};
+
+const INVOCATION: Invocation = {
+  function: 'transfer',
+  success: true,
+  returnValue: true,
+  events: ['[{"symbol":"transfer"}] = {"i128":"5"}'],
+  logs: [],
+  cost: { cpuInstructions: 1200, memoryBytes: 300 },
+  duration: 40
+};
+
+describe('ContractRunnerComponent', () => {
+  let component: ContractRunnerComponent;
+  let fixture: ComponentFixture<ContractRunnerComponent>;
+  let deploymentService: jasmine.SpyObj<DeploymentService>;
+
+  beforeEach(async () => {
+    deploymentService = jasmine.createSpyObj('DeploymentService', ['deploy', 'invoke']);
+    deploymentService.deploy.and.returnValue(of(DEPLOYMENT));
+    deploymentService.invoke.and.returnValue(of(INVOCATION));
+
+    await TestBed.configureTestingModule({
+      imports: [ContractRunnerComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        { provide: DeploymentService, useValue: deploymentService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(ContractRunnerComponent);
+    component = fixture.componentInstance;
+    fixture.componentRef.setInput('artifact', ARTIFACT);
+    fixture.detectChanges();
+  });
+
+  it('should deploy the artifact and render a form per function', async () => {
+    component.deploy();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(deploymentService.deploy).toHaveBeenCalledWith(ARTIFACT.wasm);
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('.contract-runner-id')?.textContent).toBe(CONTRACT_ID);
+    expect(element.querySelectorAll('.contract-runner-arg').length).toBe(3);
+    expect(component.values).toEqual({ transfer: { to: '', amount: '', memo: '' } });
+  });
+
+  it('should invoke with typed arguments and show the result', async () => {
+    const invoked: Invocation[] = [];
+    component.invoked.subscribe(invocation => invoked.push(invocation));
+    component.deploy();
+    component.values['transfer'] = { to: 'GABC', amount: '5', memo: '' };
+
+    component.invoke(DEPLOYMENT.functions[0]);
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(deploymentService.invoke).toHaveBeenCalledWith(CONTRACT_ID, 'transfer', { to: 'GABC', amount: '5' });
+    const result = (fixture.nativeElement as HTMLElement).querySelector('.contract-runner-result');
+    expect(result?.querySelector('.contract-runner-value')?.textContent).toBe('true');
+    expect(result?.textContent).toContain('1,200 CPU instructions');
+    expect(result?.textContent).toContain('Events (1)');
+    expect(invoked).toEqual([INVOCATION]);
+  });
+
+  it('should report deployment failures', () => {
+    deploymentService.deploy.and.returnValue(throwError(() => new Error('Could not deploy the contract on the local network')));
+
+    component.deploy();
+
+    expect(component.deployment).toBeUndefined();
+    expect(component.errorMessage).toBe('Could not deploy the contract on the local network');
+  });
+
+  it('should forget the deployment when a new build arrives', () => {
+    component.deploy();
+
+    fixture.componentRef.setInput('artifact', { ...ARTIFACT, sha256: 'def' });
+    fixture.detectChanges();
+
+    expect(component.deployment).toBeUndefined();
+  });
+});
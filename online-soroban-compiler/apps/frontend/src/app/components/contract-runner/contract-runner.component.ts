@@ -0,0 +1,128 @@
+import { ChangeDetectorRef, Component, EventEmitter, Input, OnChanges, Output, SimpleChanges, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ContractArtifact, ContractFunction } from '../../services/compiler';
+import { Deployment, DeploymentService, Invocation } from '../../services/deployments';
+import {
+  ArgFieldValue,
+  argFieldKind,
+  argPlaceholder,
+  emptyArgValue,
+  isOptional,
+  parseArgValue,
+  typeLabel
+} from './arg-form';
+
+@Component({
+  selector: 'app-contract-runner',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './contract-runner.component.html',
+  styleUrl: './contract-runner.component.css'
+})
+export class ContractRunnerComponent implements OnChanges {
+  /** Compiled contract to deploy */
+  @Input({ required: true }) artifact!: ContractArtifact;
+  /** Emits each successful invocation, whose cost has been recorded by the backend */
+  @Output() invoked = new EventEmitter<Invocation>();
+
+  private deploymentService = inject(DeploymentService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  deployment?: Deployment;
+  isDeploying = false;
+  errorMessage = '';
+  // Form values keyed by function, then by argument name
+  values: Record<string, Record<string, ArgFieldValue>> = {};
+  // Function currently being invoked
+  invoking?: string;
+  // Latest result of each function
+  results: Record<string, Invocation> = {};
+
+  readonly argFieldKind = argFieldKind;
+  readonly argPlaceholder = argPlaceholder;
+  readonly isOptional = isOptional;
+  readonly typeLabel = typeLabel;
+
+  ngOnChanges(changes: SimpleChanges): void {
+    // A new build has to be deployed again before it can be invoked
+    const previous = changes['artifact']?.previousValue as ContractArtifact | undefined;
+    if (previous?.sha256 !== this.artifact.sha256) {
+      this.deployment = undefined;
+      this.results = {};
+      this.errorMessage = '';
+    }
+  }
+
+  get functions(): ContractFunction[] {
+    return this.deployment?.functions ?? [];
+  }
+
+  deploy(): void {
+    if (this.isDeploying) {
+      return;
+    }
+
+    this.isDeploying = true;
+    this.errorMessage = '';
+    this.deploymentService.deploy(this.artifact.wasm).subscribe({
+      next: (deployment) => {
+        this.isDeploying = false;
+        this.deployment = deployment;
+        this.results = {};
+        this.values = Object.fromEntries(deployment.functions.map(fn => [
+          fn.name,
+          Object.fromEntries(fn.inputs.map(input => [input.name, emptyArgValue(input.type)]))
+        ]));
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.isDeploying = false;
+        this.errorMessage = error.message;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  invoke(fn: ContractFunction): void {
+    if (!this.deployment || this.invoking) {
+      return;
+    }
+
+    let args: Record<string, unknown>;
+    try {
+      const values = this.values[fn.name] ?? {};
+      args = Object.fromEntries(fn.inputs
+        .map(input => [input.name, parseArgValue(input.name, input.type, values[input.name] ?? '')] as const)
+        .filter(([, value]) => value !== null));
+    } catch (error) {
+      this.errorMessage = (error as Error).message;
+      return;
+    }
+
+    this.invoking = fn.name;
+    this.errorMessage = '';
+    this.deploymentService.invoke(this.deployment.contractId, fn.name, args).subscribe({
+      next: (invocation) => {
+        this.invoking = undefined;
+        this.results = { ...this.results, [fn.name]: invocation };
+        if (invocation.success) {
+          this.invoked.emit(invocation);
+        }
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.invoking = undefined;
+        this.errorMessage = error.message;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  /**
+   * Return value as shown in the results
+   */
+  formatValue(value: unknown): string {
+    return value === null ? '()' : JSON.stringify(value, null, 2);
+  }
+}
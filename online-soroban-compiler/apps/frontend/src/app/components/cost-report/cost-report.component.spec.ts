@@ -0,0 +1,84 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { CostReport } from '../../services/costs';
+
+import { CostReportComponent } from './cost-report.component';
+
+const REPORT: CostReport = {
+  wasmHash: 'b'.repeat(64),
+  wasmSize: 1000,
+  sections: [
+    { name: 'code', size: 600, custom: false },
+    { name: 'contractspecv0', size: 200, custom: true }
+  ],
+  functions: [
+    {
+      function: 'increment',
+      cpuInstructions: 250,
+      memoryBytes: 64,
+      readBytes: 100,
+      samples: 2,
+      measuredAt: '2026-01-01T00:00:00.000Z'
+    }
+  ]
+};
+
+describe('CostReportComponent', () => {
+  let fixture: ComponentFixture<CostReportComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [CostReportComponent],
+      providers: [
+        provideZonelessChangeDetection()
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(CostReportComponent);
+  });
+
+  it('should list the sections and the measured functions', () => {
+    fixture.componentRef.setInput('report', REPORT);
+    fixture.detectChanges();
+
+    const element: HTMLElement = fixture.nativeElement;
+    const sections = element.querySelectorAll('.cost-report-sections tbody tr');
+    expect(sections.length).toBe(2);
+    expect(sections[0].textContent).toContain('60%');
+    expect(element.querySelector('.cost-report-functions tbody tr')?.textContent).toContain('increment');
+    expect(element.querySelector('.cost-report-baseline')?.textContent).toContain('No previous build');
+    expect(element.querySelector('.cost-report-change')).toBeNull();
+  });
+
+  it('should show changes since the previous build', () => {
+    fixture.componentRef.setInput('report', {
+      ...REPORT,
+      comparison: {
+        baseline: 'a'.repeat(64),
+        wasmSize: { previous: 1100, current: 1000, change: -100, percent: -9.09 },
+        sections: [{ name: 'code', previous: 500, current: 600, change: 100, percent: 20 }],
+        functions: [
+          {
+            function: 'increment',
+            cpuInstructions: { previous: 200, current: 250, change: 50, percent: 25 },
+            memoryBytes: { previous: 64, current: 64, change: 0, percent: 0 }
+          }
+        ]
+      }
+    });
+    fixture.detectChanges();
+
+    const changes = [...fixture.nativeElement.querySelectorAll('.cost-report-change')] as HTMLElement[];
+    expect(changes.map(change => change.textContent?.trim())).toEqual(['+100 (+20%)', '-100 (-9.09%)', '+50 (+25%)']);
+    expect(changes[0].classList).toContain('cost-report-increase');
+    expect(changes[1].classList).toContain('cost-report-decrease');
+  });
+
+  it('should explain how to measure functions', () => {
+    fixture.componentRef.setInput('report', { ...REPORT, functions: [] });
+    fixture.detectChanges();
+
+    expect(fixture.nativeElement.querySelector('.cost-report-hint')).toBeTruthy();
+  });
+});
@@ -0,0 +1,52 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { CostChange, CostComparison, CostReport, FunctionCost } from '../../services/costs';
+
+type FunctionMetric = 'cpuInstructions' | 'memoryBytes' | 'readBytes' | 'writeBytes';
+
+@Component({
+  selector: 'app-cost-report',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './cost-report.component.html',
+  styleUrl: './cost-report.component.css'
+})
+export class CostReportComponent {
+  /** Report of the current build, with its comparison to the previous one */
+  @Input({ required: true }) report!: CostReport;
+
+  readonly metrics: { key: FunctionMetric; label: string }[] = [
+    { key: 'cpuInstructions', label: 'CPU instructions' },
+    { key: 'memoryBytes', label: 'Memory (bytes)' },
+    { key: 'readBytes', label: 'Ledger read (bytes)' },
+    { key: 'writeBytes', label: 'Ledger write (bytes)' }
+  ];
+
+  get comparison(): CostComparison | undefined {
+    return this.report.comparison;
+  }
+
+  sectionChange(name: string): CostChange | undefined {
+    return this.comparison?.sections.find(section => section.name === name);
+  }
+
+  functionChange(fn: FunctionCost, metric: FunctionMetric): CostChange | undefined {
+    return this.comparison?.functions.find(candidate => candidate.function === fn.function)?.[metric];
+  }
+
+  /**
+   * Share of the whole wasm taken by a section
+   */
+  share(size: number): number {
+    return this.report.wasmSize ? size / this.report.wasmSize : 0;
+  }
+
+  /**
+   * Signed change with its percentage, e.g. `+50 (+25%)`
+   */
+  formatChange(change: CostChange): string {
+    const sign = change.change > 0 ? '+' : '';
+    const amount = `${sign}${change.change.toLocaleString()}`;
+    return change.percent === null ? amount : `${amount} (${sign}${change.percent}%)`;
+  }
+}
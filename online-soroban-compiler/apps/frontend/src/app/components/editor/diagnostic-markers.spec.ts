@@ -0,0 +1,102 @@
+import { Diagnostic } from '../../services/compiler';
+import { DIAGNOSTICS_OWNER, toCodeActions, toMarkers } from './diagnostic-markers';
+
+const UNRESOLVED: Diagnostic = {
+  level: 'error',
+  code: 'E0425',
+  message: 'cannot find value `vall` in this scope',
+  spans: [
+    { file: 'src/lib.rs', lineStart: 7, lineEnd: 7, columnStart: 9, columnEnd: 13, primary: true, label: 'not found in this scope' }
+  ],
+  notes: [],
+  fixes: [
+    {
+      message: 'a local variable with a similar name exists',
+      applicability: 'MaybeIncorrect',
+      edits: [{ file: 'src/lib.rs', lineStart: 7, lineEnd: 7, columnStart: 9, columnEnd: 13, replacement: 'val' }]
+    }
+  ],
+  rendered: 'error[E0425]: cannot find value `vall` in this scope'
+};
+
+const UNUSED: Diagnostic = {
+  level: 'warning',
+  code: 'unused_variables',
+  message: 'unused variable: `x`',
+  spans: [
+    { file: 'src/storage.rs', lineStart: 2, lineEnd: 2, columnStart: 9, columnEnd: 10, primary: true }
+  ],
+  notes: ['note: `#[warn(unused_variables)]` on by default'],
+  fixes: [],
+  rendered: 'warning: unused variable: `x`'
+};
+
+describe('diagnostic markers', () => {
+  const model = {
+    uri: { path: '/model' },
+    getVersionId: () => 3
+  } as unknown as monaco.editor.ITextModel;
+
+  it('should use a dedicated marker owner', () => {
+    expect(DIAGNOSTICS_OWNER).toBe('cargo');
+  });
+
+  it('should create markers for the diagnostics of a file', () => {
+    expect(toMarkers([UNRESOLVED, UNUSED], 'src/lib.rs')).toEqual([
+      {
+        startLineNumber: 7,
+        startColumn: 9,
+        endLineNumber: 7,
+        endColumn: 13,
+        severity: 8,
+        message: 'cannot find value `vall` in this scope\nnot found in this scope',
+        source: 'rustc',
+        code: 'E0425'
+      }
+    ]);
+    expect(toMarkers([UNRESOLVED, UNUSED], 'src/storage.rs')).toEqual([
+      jasmine.objectContaining({
+        severity: 4,
+        message: 'unused variable: `x`\nnote: `#[warn(unused_variables)]` on by default'
+      })
+    ]);
+  });
+
+  it('should name the lint tool as the marker source', () => {
+    const finding: Diagnostic = {
+      ...UNUSED,
+      code: 'soroban::unchecked_arithmetic',
+      message: 'unchecked `+` can overflow and abort the call',
+      notes: ['help: use `checked_add`, `checked_sub` or `checked_mul` and return a contract error on overflow']
+    };
+
+    expect(toMarkers([finding, { ...UNUSED, code: 'clippy::needless_return' }], 'src/storage.rs')).toEqual([
+      jasmine.objectContaining({ source: 'soroban', code: 'soroban::unchecked_arithmetic', severity: 4 }),
+      jasmine.objectContaining({ source: 'clippy', code: 'clippy::needless_return' })
+    ]);
+  });
+
+  it('should offer suggested fixes on the lines of a diagnostic', () => {
+    const lines = { startLineNumber: 7, startColumn: 1, endLineNumber: 7, endColumn: 1 };
+
+    const [action] = toCodeActions([UNRESOLVED], 'src/lib.rs', model, lines);
+
+    expect(action.title).toBe('a local variable with a similar name exists: `val`');
+    expect(action.kind).toBe('quickfix');
+    expect(action.isPreferred).toBe(false);
+    expect(action.edit?.edits).toEqual([
+      {
+        resource: model.uri,
+        edit: { range: { startLineNumber: 7, startColumn: 9, endLineNumber: 7, endColumn: 13 }, text: 'val' },
+        modelVersionId: 3
+      }
+    ]);
+  });
+
+  it('should not offer fixes on other lines or files', () => {
+    const lines = { startLineNumber: 1, startColumn: 1, endLineNumber: 5, endColumn: 1 };
+
+    expect(toCodeActions([UNRESOLVED], 'src/lib.rs', model, lines)).toEqual([]);
+    expect(toCodeActions([UNRESOLVED], 'src/storage.rs', model, { ...lines, endLineNumber: 10 })).toEqual([]);
+  });
+});
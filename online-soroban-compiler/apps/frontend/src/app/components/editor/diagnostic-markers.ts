@@ -0,0 +1,93 @@
+import { Diagnostic, DiagnosticLevel, DiagnosticRange } from '../../services/compiler';
+
+/** Marker owner for compiler diagnostics, so they can be replaced without touching other markers */
+export const DIAGNOSTICS_OWNER = 'cargo';
+
+// Values of monaco.MarkerSeverity; the enum itself only exists once Monaco has loaded
+const SEVERITIES: Record<DiagnosticLevel, monaco.MarkerSeverity> = {
+  error: 8,
+  warning: 4,
+  note: 2,
+  help: 1
+};
+
+/**
+ * Tool a diagnostic came from, told apart by its code: `clippy::…` and `soroban::…` lints or rustc
+ */
+function sourceOf(diagnostic: Diagnostic): string {
+  const tool = diagnostic.code?.match(/^(clippy|soroban)::/)?.[1];
+  return tool ?? 'rustc';
+}
+
+function toRange(range: DiagnosticRange): monaco.IRange {
+  return {
+    startLineNumber: range.lineStart,
+    startColumn: range.columnStart,
+    endLineNumber: range.lineEnd,
+    endColumn: range.columnEnd
+  };
+}
+
+function overlaps(range: DiagnosticRange, lines: monaco.IRange): boolean {
+  return range.lineStart <= lines.endLineNumber && range.lineEnd >= lines.startLineNumber;
+}
+
+/**
+ * Turns the diagnostics located in a file into Monaco markers (squiggles)
+ *
+ * @param diagnostics - Diagnostics of the last build
+ * @param path - Project path of the file shown in the editor
+ */
+export function toMarkers(diagnostics: Diagnostic[], path: string): monaco.editor.IMarkerData[] {
+  return diagnostics.flatMap(diagnostic =>
+    diagnostic.spans
+      .filter(span => span.primary && span.file === path)
+      .map(span => ({
+        ...toRange(span),
+        severity: SEVERITIES[diagnostic.level],
+        message: [diagnostic.message, span.label, ...diagnostic.notes].filter(Boolean).join('\n'),
+        source: sourceOf(diagnostic),
+        ...(diagnostic.code ? { code: diagnostic.code } : {})
+      }))
+  );
+}
+
+/**
+ * Builds quick-fix actions for the rustc suggestions of diagnostics on the given lines
+ *
+ * @param diagnostics - Diagnostics of the last build
+ * @param path - Project path of the file shown in the editor
+ * @param model - Editor model the fixes apply to
+ * @param lines - Range the user asked for actions at
+ */
+export function toCodeActions(
+  diagnostics: Diagnostic[],
+  path: string,
+  model: monaco.editor.ITextModel,
+  lines: monaco.IRange
+): monaco.languages.CodeAction[] {
+  return diagnostics
+    .filter(diagnostic => diagnostic.spans.some(span => span.file === path && overlaps(span, lines)))
+    .flatMap(diagnostic =>
+      diagnostic.fixes
+        // Fixes touching other files cannot be applied to this model alone
+        .filter(fix => fix.edits.length > 0 && fix.edits.every(edit => edit.file === path))
+        .map(fix => {
+          const [edit] = fix.edits;
+          const replacement = fix.edits.length === 1 && edit.replacement.trim() ? `: \`${edit.replacement.trim()}\`` : '';
+          return {
+            title: fix.message + replacement,
+            kind: 'quickfix',
+            isPreferred: fix.applicability === 'MachineApplicable',
+            diagnostics: toMarkers([diagnostic], path),
+            edit: {
+              edits: fix.edits.map(edit => ({
+                resource: model.uri,
+                edit: { range: toRange(edit), text: edit.replacement },
+                modelVersionId: model.getVersionId()
+              }))
+            }
+          };
+        })
+    );
+}
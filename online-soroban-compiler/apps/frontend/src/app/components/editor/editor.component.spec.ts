@@ -1,10 +1,20 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
 import { FormsModule } from '@angular/forms';
-import { MonacoEditorModule, MonacoEditorLoaderService } from '@materia-ui/ngx-monaco-editor';
-import { of } from 'rxjs';
+import { MonacoEditorModule, MonacoEditorLoaderService, MonacoStandaloneCodeEditor } from '@materia-ui/ngx-monaco-editor';
+import { of, throwError } from 'rxjs';
 import { provideZonelessChangeDetection } from '@angular/core';
 import { HttpClientTestingModule } from '@angular/common/http/testing';
-import { CompilerService } from '../../services/compiler';
+import { Location } from '@angular/common';
+import { provideRouter } from '@angular/router';
+import { CompilerService, ContractArtifact, Diagnostic, JobEvent, JobType, TestResults } from '../../services/compiler';
+import { Snippet, SnippetService } from '../../services/snippets';
+import { ContractTemplate, TemplateService } from '../../services/templates';
+import { CostReport, CostService } from '../../services/costs';
+import { FormatResult, FormatService } from '../../services/formatter';
+import { LanguageClient, LanguageServerService } from '../../services/language-server';
+import { BuildRun, HistoryService } from '../../services/history';
+import { ToolchainService } from '../../services/toolchains';
+import { ContractService } from '../../services/contracts';
 
 import { EditorComponent } from './editor.component';
 
@@ -24,8 +34,18 @@ import { EditorComponent } from './editor.component';
       layout: () => {},
       focus: () => {},
       getModel: () => null
-    })
-  }
+    }),
+    setModelMarkers: () => {}
+  },
+  languages: {
+    registerCodeActionProvider: () => ({ dispose: () => {} }),
+    registerDocumentFormattingEditProvider: () => ({ dispose: () => {} }),
+    registerCompletionItemProvider: () => ({ dispose: () => {} }),
+    registerHoverProvider: () => ({ dispose: () => {} }),
+    registerDefinitionProvider: () => ({ dispose: () => {} })
+  },
+  KeyMod: { CtrlCmd: 2048 },
+  KeyCode: { KeyS: 49 }
 };
 
 describe('EditorComponent', () => {
@@ -33,6 +53,14 @@ describe('EditorComponent', () => {
   let fixture: ComponentFixture<EditorComponent>;
   let mockMonacoLoaderService: jasmine.SpyObj<MonacoEditorLoaderService>;
   let mockCompilerService: jasmine.SpyObj<CompilerService>;
+  let mockSnippetService: jasmine.SpyObj<SnippetService>;
+  let mockTemplateService: jasmine.SpyObj<TemplateService>;
+  let mockCostService: jasmine.SpyObj<CostService>;
+  let mockFormatService: jasmine.SpyObj<FormatService>;
+  let mockLanguageServerService: jasmine.SpyObj<LanguageServerService>;
+  let mockHistoryService: jasmine.SpyObj<HistoryService>;
+  let mockToolchainService: jasmine.SpyObj<ToolchainService>;
+  let mockContractService: jasmine.SpyObj<ContractService>;
 
   beforeEach(async () => {
     // Create mock Monaco loader service
@@ -41,16 +69,59 @@ describe('EditorComponent', () => {
     });
 
     // Create mock Compiler service
-    mockCompilerService = jasmine.createSpyObj('CompilerService', ['compile', 'test']);
+    mockCompilerService = jasmine.createSpyObj('CompilerService', ['compile', 'test', 'streamJob']);
     mockCompilerService.compile.and.returnValue(of({ output: 'Compilation successful!', success: true }));
     mockCompilerService.test.and.returnValue(of({ output: 'Tests passed!', success: true }));
+    mockCompilerService.streamJob.and.callFake((type: JobType) => of<JobEvent[]>(
+      { type: 'status', status: 'running' },
+      { type: 'log', line: `$ cargo ${type === 'compile' ? 'build' : 'test'}` },
+      { type: 'done', job: { id: 'job-1', kind: type, status: 'succeeded', logs: [], artifacts: [] } }
+    ));
+
+    mockSnippetService = jasmine.createSpyObj('SnippetService', ['create', 'get', 'fork', 'permalink']);
+    mockSnippetService.permalink.and.callFake((id: string) => `http://localhost:4200/s/${id}`);
+    mockTemplateService = jasmine.createSpyObj('TemplateService', ['list', 'get']);
+    mockCostService = jasmine.createSpyObj('CostService', ['get']);
+    mockCostService.get.and.callFake((wasmHash: string) => of<CostReport>({
+      wasmHash,
+      wasmSize: 8,
+      sections: [],
+      functions: []
+    }));
+
+    mockFormatService = jasmine.createSpyObj('FormatService', ['format']);
+    mockLanguageServerService = jasmine.createSpyObj('LanguageServerService', ['connect']);
+    mockLanguageServerService.connect.and.rejectWith(new Error('Language server unavailable'));
+    mockHistoryService = jasmine.createSpyObj('HistoryService', ['list', 'get', 'compare']);
+    mockHistoryService.list.and.returnValue(of([]));
+    mockToolchainService = jasmine.createSpyObj('ToolchainService', ['list']);
+    mockToolchainService.list.and.returnValue(of({ toolchains: [], sdkVersions: ['22.0.0'], defaultSdkVersion: '22.0.0' }));
+    mockToolchainService.selection = {};
+    mockContractService = jasmine.createSpyObj('ContractService', ['getInterface', 'getBindings']);
+    mockContractService.getInterface.and.returnValue(of({
+      functions: [],
+      structs: [],
+      unions: [],
+      enums: [],
+      errors: [],
+      events: []
+    }));
 
     await TestBed.configureTestingModule({
       imports: [EditorComponent, FormsModule, MonacoEditorModule, HttpClientTestingModule],
       providers: [
         provideZonelessChangeDetection(),
+        provideRouter([]),
         { provide: MonacoEditorLoaderService, useValue: mockMonacoLoaderService },
-        { provide: CompilerService, useValue: mockCompilerService }
+        { provide: CompilerService, useValue: mockCompilerService },
+        { provide: SnippetService, useValue: mockSnippetService },
+        { provide: TemplateService, useValue: mockTemplateService },
+        { provide: CostService, useValue: mockCostService },
+        { provide: FormatService, useValue: mockFormatService },
+        { provide: LanguageServerService, useValue: mockLanguageServerService },
+        { provide: HistoryService, useValue: mockHistoryService },
+        { provide: ToolchainService, useValue: mockToolchainService },
+        { provide: ContractService, useValue: mockContractService }
       ]
     })
     .compileComponents();
@@ -93,7 +164,7 @@ describe('EditorComponent', () => {
     spyOn(component, 'clearOutput');
     component.onCompile();
     // The loading state should be true initially, even if it gets reset later
-    expect(mockCompilerService.compile).toHaveBeenCalledWith('fn test() {}');
+    expect(mockCompilerService.streamJob).toHaveBeenCalledWith('compile', 'fn test() {}');
   });
 
   it('should set loading state when test is called with valid code', () => {
@@ -102,7 +173,564 @@ describe('EditorComponent', () => {
     spyOn(component, 'clearOutput');
     component.onTest();
     // The loading state should be true initially, even if it gets reset later
-    expect(mockCompilerService.test).toHaveBeenCalledWith('fn test() {}');
+    expect(mockCompilerService.streamJob).toHaveBeenCalledWith('test', 'fn test() {}');
+  });
+
+  it('should collect streamed build logs and report success', () => {
+    component.code = 'fn test() {}';
+    component.onCompile();
+
+    expect(component.buildLogs).toEqual(['$ cargo build']);
+    expect(component.isLoading).toBe(false);
+    expect(component.outputMessage).toBe('Compilation completed successfully!');
+    expect(component.outputType).toBe('success');
+  });
+
+  it('should keep the compiled contract of a finished job', () => {
+    const artifact: ContractArtifact = {
+      name: 'soroban_contract.wasm',
+      size: 8,
+      sha256: '00'.repeat(32),
+      optimized: false,
+      wasm: 'AGFzbQEAAAA=',
+      spec: { functions: [] }
+    };
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      { type: 'done', job: { id: 'job-3', kind: 'compile', status: 'succeeded', logs: [], artifacts: [artifact], artifact } }
+    ));
+    component.code = 'fn test() {}';
+    component.onCompile();
+
+    expect(component.artifact).toEqual(artifact);
+
+    component.clearOutput();
+    expect(component.artifact).toBeUndefined();
+  });
+
+  it('should show the interface of a compiled contract in its own tab', async () => {
+    const artifact: ContractArtifact = {
+      name: 'soroban_contract.wasm',
+      size: 8,
+      sha256: '00'.repeat(32),
+      optimized: false,
+      wasm: 'AGFzbQEAAAA=',
+      spec: { functions: [] }
+    };
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('.output-tabs')).toBeNull();
+
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      { type: 'done', job: { id: 'job-8', kind: 'compile', status: 'succeeded', logs: [], artifacts: [artifact], artifact } }
+    ));
+    component.code = 'fn test() {}';
+    component.onCompile();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const tabs = [...element.querySelectorAll<HTMLButtonElement>('.output-tab')];
+    expect(tabs.map(tab => tab.textContent)).toEqual(['Output', 'Interface']);
+    expect(element.querySelector('app-contract-interface')).toBeNull();
+
+    tabs[1].click();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(element.querySelector('app-output')).toBeNull();
+    expect(element.querySelector('app-contract-interface')).toBeTruthy();
+    expect(mockContractService.getInterface).toHaveBeenCalledWith(artifact.wasm);
+  });
+
+  it('should mention results served from the build cache', () => {
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      { type: 'done', job: { id: 'job-4', kind: 'test', status: 'succeeded', logs: [], artifacts: [], cached: true } }
+    ));
+    component.code = 'fn test() {}';
+    component.onTest();
+
+    expect(component.outputMessage).toBe('All tests passed successfully! (cached)');
+  });
+
+  it('should report failed jobs with their error output', () => {
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      { type: 'log', line: 'error[E0425]: cannot find value `x`' },
+      {
+        type: 'done',
+        job: { id: 'job-2', kind: 'compile', status: 'failed', logs: [], artifacts: [], error: 'error[E0425]' }
+      }
+    ));
+    component.code = 'fn test() {}';
+    component.onCompile();
+
+    expect(component.errorMessage).toBe('Compilation failed: error[E0425]');
+    expect(component.outputType).toBe('error');
+  });
+
+  it('should show build diagnostics as markers in the active file', () => {
+    const diagnostic: Diagnostic = {
+      level: 'error',
+      code: 'E0425',
+      message: 'cannot find value `x` in this scope',
+      spans: [{ file: 'src/lib.rs', lineStart: 3, lineEnd: 3, columnStart: 5, columnEnd: 6, primary: true }],
+      notes: [],
+      fixes: [],
+      rendered: 'error[E0425]: cannot find value `x` in this scope'
+    };
+    const model = { getVersionId: () => 1 };
+    const editor = jasmine.createSpyObj('editor', ['getModel', 'onDidChangeModelContent', 'addAction']);
+    editor.getModel.and.returnValue(model);
+    editor.onDidChangeModelContent.and.returnValue({ dispose: () => {} });
+    editor.addAction.and.returnValue({ dispose: () => {} });
+    const setModelMarkers = spyOn(monaco.editor, 'setModelMarkers');
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      {
+        type: 'done',
+        job: { id: 'job-5', kind: 'compile', status: 'failed', logs: [], artifacts: [], diagnostics: [diagnostic] }
+      }
+    ));
+
+    component.onEditorInit(editor);
+    component.code = 'fn test() {}';
+    component.onCompile();
+
+    expect(component.diagnostics).toEqual([diagnostic]);
+    expect(setModelMarkers).toHaveBeenCalledWith(model as never, 'cargo', [
+      jasmine.objectContaining({ startLineNumber: 3, startColumn: 5, severity: 8, code: 'E0425' })
+    ]);
+
+    component.clearOutput();
+    expect(setModelMarkers).toHaveBeenCalledWith(model as never, 'cargo', []);
+  });
+
+  it('should lint the contract and keep the findings as diagnostics', () => {
+    const finding: Diagnostic = {
+      level: 'warning',
+      code: 'soroban::missing_require_auth',
+      message: '`set_owner` changes contract storage without requiring authorization',
+      spans: [{ file: 'src/lib.rs', lineStart: 9, lineEnd: 9, columnStart: 12, columnEnd: 21, primary: true }],
+      notes: ['help: call `require_auth()` on the address that authorizes the change before writing storage'],
+      fixes: [],
+      rendered: 'warning[soroban::missing_require_auth]: `set_owner` changes contract storage without requiring authorization'
+    };
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      {
+        type: 'done',
+        job: { id: 'job-7', kind: 'lint', status: 'succeeded', logs: [], artifacts: [], diagnostics: [finding] }
+      }
+    ));
+    component.code = 'fn test() {}';
+
+    component.onLint();
+
+    expect(mockCompilerService.streamJob).toHaveBeenCalledWith('lint', 'fn test() {}');
+    expect(component.diagnostics).toEqual([finding]);
+    expect(component.outputMessage).toBe('Lint finished, findings are marked in the editor');
+  });
+
+  it('should show test results and re-run a single test', () => {
+    const testResults: TestResults = {
+      tests: [{ name: 'test::test_transfer', status: 'failed', message: 'panicked' }],
+      summary: { total: 1, passed: 0, failed: 1, ignored: 0, filteredOut: 0, duration: 10 }
+    };
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      { type: 'done', job: { id: 'job-6', kind: 'test', status: 'failed', logs: [], artifacts: [], testResults } }
+    ));
+    component.code = 'fn test() {}';
+    component.onTest();
+
+    expect(component.testResults).toEqual(testResults);
+
+    component.runTests({ name: 'test::test_transfer', exact: true });
+
+    expect(mockCompilerService.streamJob).toHaveBeenCalledWith(
+      'test',
+      'fn test() {}',
+      { name: 'test::test_transfer', exact: true }
+    );
+    expect(component.errorMessage).toContain('Tests failed (test::test_transfer)');
+
+    component.clearOutput();
+    expect(component.testResults).toBeUndefined();
+  });
+
+  it('should explain builds stopped by a sandbox limit', () => {
+    mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+      {
+        type: 'done',
+        job: {
+          id: 'job-7',
+          kind: 'compile',
+          status: 'failed',
+          logs: [],
+          artifacts: [],
+          message: 'Compilation stopped: Memory limit exceeded',
+          error: 'memory allocation of 1073741824 bytes failed',
+          limitExceeded: 'memory'
+        }
+      }
+    ));
+    component.code = 'fn test() {}';
+    component.onCompile();
+
+    expect(component.errorMessage).toBe('Compilation failed: Compilation stopped: Memory limit exceeded');
+  });
+
+  it('should edit the active file through code', () => {
+    component.createFile('src/storage.rs');
+    component.code = 'pub fn get() {}';
+
+    expect(component.activePath).toBe('src/storage.rs');
+    expect(component.openTabs).toEqual(['src/lib.rs', 'src/storage.rs']);
+    expect(component.files['src/storage.rs']).toBe('pub fn get() {}');
+
+    component.openFile('src/lib.rs');
+    expect(component.code).toContain('Welcome to Soroban Smart Contract Editor');
+  });
+
+  it('should submit all files once the project has several', () => {
+    component.code = 'mod storage;';
+    component.createFile('src/storage.rs');
+    component.code = 'pub fn get() {}';
+    component.onCompile();
+
+    expect(mockCompilerService.streamJob).toHaveBeenCalledWith('compile', {
+      'src/lib.rs': 'mod storage;',
+      'src/storage.rs': 'pub fn get() {}'
+    });
+  });
+
+  it('should close tabs and delete files without removing src/lib.rs', () => {
+    component.createFile('src/events.rs');
+    component.closeTab('src/events.rs');
+    expect(component.openTabs).toEqual(['src/lib.rs']);
+    expect(component.activePath).toBe('src/lib.rs');
+
+    component.openFile('src/events.rs');
+    component.deleteFile('src/events.rs');
+    component.deleteFile('src/lib.rs');
+    expect(component.filePaths).toEqual(['src/lib.rs']);
+    expect(component.activePath).toBe('src/lib.rs');
+  });
+
+  describe('snippets', () => {
+    const snippet: Snippet = {
+      id: 'Ab3dE5gH9k',
+      files: { 'src/lib.rs': '#![no_std]\nmod storage;', 'src/storage.rs': 'pub fn get() {}' },
+      createdAt: '2025-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      spyOn(navigator.clipboard, 'writeText').and.resolveTo();
+      spyOn(TestBed.inject(Location), 'replaceState');
+    });
+
+    it('should open the snippet of a permalink', () => {
+      mockSnippetService.get.and.returnValue(of(snippet));
+
+      fixture.componentRef.setInput('id', snippet.id);
+
+      expect(mockSnippetService.get).toHaveBeenCalledWith(snippet.id);
+      expect(component.files).toEqual(snippet.files);
+      expect(component.activePath).toBe('src/lib.rs');
+      expect(component.snippetId).toBe(snippet.id);
+    });
+
+    it('should report snippets that cannot be loaded', () => {
+      mockSnippetService.get.and.returnValue(throwError(() => new Error('Snippet not found')));
+
+      fixture.componentRef.setInput('id', 'missing');
+
+      expect(component.errorMessage).toBe('Could not load snippet missing: Snippet not found');
+    });
+
+    it('should save new contents and copy the permalink', async () => {
+      mockSnippetService.create.and.returnValue(of(snippet));
+
+      component.share();
+      // The permalink is copied once the clipboard write settles
+      await new Promise(resolve => setTimeout(resolve));
+
+      expect(mockSnippetService.create).toHaveBeenCalledWith(component.files);
+      expect(TestBed.inject(Location).replaceState).toHaveBeenCalledWith(`/s/${snippet.id}`);
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith(`http://localhost:4200/s/${snippet.id}`);
+      expect(component.outputMessage).toBe(`Permalink copied to clipboard: http://localhost:4200/s/${snippet.id}`);
+    });
+
+    it('should fork an edited snippet and reuse an unchanged one', async () => {
+      mockSnippetService.get.and.returnValue(of(snippet));
+      mockSnippetService.fork.and.returnValue(of({ ...snippet, id: 'Zz9yX8wV7u', forkedFrom: snippet.id }));
+      fixture.componentRef.setInput('id', snippet.id);
+
+      component.share();
+      expect(mockSnippetService.fork).not.toHaveBeenCalled();
+
+      component.code = '#![no_std]\nmod storage;\nmod events;';
+      component.share();
+      // The permalink is copied once the clipboard write settles
+      await new Promise(resolve => setTimeout(resolve));
+
+      expect(mockSnippetService.fork).toHaveBeenCalledWith(snippet.id, component.files);
+      expect(component.snippetId).toBe('Zz9yX8wV7u');
+    });
+  });
+
+  describe('templates', () => {
+    const template: ContractTemplate = {
+      id: 'increment',
+      name: 'Increment Counter',
+      description: 'Stores a counter',
+      difficulty: 'beginner',
+      tags: ['storage'],
+      sdkVersion: '22.0.0',
+      files: { 'src/lib.rs': '#![no_std]\nmod test;\n', 'src/test.rs': '#![cfg(test)]\n' }
+    };
+
+    it('should open a template with its test module', () => {
+      mockTemplateService.get.and.returnValue(of(template));
+      component.snippetId = 'Ab3dE5gH9k';
+
+      fixture.componentRef.setInput('template', template.id);
+
+      expect(mockTemplateService.get).toHaveBeenCalledWith(template.id);
+      expect(component.files).toEqual(template.files);
+      expect(component.activePath).toBe('src/lib.rs');
+      expect(component.snippetId).toBeUndefined();
+      expect(component.outputMessage).toContain('Increment Counter');
+    });
+
+    it('should report templates that cannot be loaded', () => {
+      mockTemplateService.get.and.returnValue(throwError(() => new Error('Template not found')));
+
+      fixture.componentRef.setInput('template', 'missing');
+
+      expect(component.errorMessage).toBe('Could not load template missing: Template not found');
+    });
+  });
+
+  describe('formatting', () => {
+    const range = { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 13 };
+    let model: jasmine.SpyObj<monaco.editor.ITextModel>;
+    let editor: jasmine.SpyObj<MonacoStandaloneCodeEditor>;
+    let formatAction: jasmine.SpyObj<monaco.editor.IEditorAction>;
+
+    beforeEach(() => {
+      model = jasmine.createSpyObj('model', ['getVersionId', 'getFullModelRange']);
+      model.getVersionId.and.returnValue(1);
+      model.getFullModelRange.and.returnValue(range as monaco.Range);
+      formatAction = jasmine.createSpyObj('action', ['run']);
+      formatAction.run.and.resolveTo();
+      editor = jasmine.createSpyObj('editor', ['getModel', 'onDidChangeModelContent', 'addAction', 'getAction']);
+      editor.getModel.and.returnValue(model);
+      editor.onDidChangeModelContent.and.returnValue({ dispose: () => {} });
+      editor.addAction.and.returnValue({ dispose: () => {} });
+      editor.getAction.and.returnValue(formatAction);
+      component.onEditorInit(editor);
+      component.code = 'pub fn a(){}';
+    });
+
+    it('should replace the active file with its formatted code', async () => {
+      mockFormatService.format.and.returnValue(of<FormatResult>({
+        success: true,
+        message: 'Code formatted',
+        files: { 'src/lib.rs': 'pub fn a() {}\n' },
+        diagnostics: []
+      }));
+
+      const edits = await component.formatEdits(model);
+
+      expect(mockFormatService.format).toHaveBeenCalledWith('pub fn a(){}');
+      expect(edits).toEqual([{ range, text: 'pub fn a() {}\n' }]);
+    });
+
+    it('should mark parse errors and leave the file as is', async () => {
+      const diagnostic: Diagnostic = {
+        level: 'error',
+        message: 'expected item, found `}`',
+        spans: [{ file: 'src/lib.rs', lineStart: 1, lineEnd: 1, columnStart: 12, columnEnd: 13, primary: true }],
+        notes: [],
+        fixes: [],
+        rendered: 'error: expected item, found `}`'
+      };
+      mockFormatService.format.and.returnValue(of<FormatResult>({
+        success: false,
+        message: 'Formatting failed: the code could not be parsed',
+        diagnostics: [diagnostic]
+      }));
+
+      const edits = await component.formatEdits(model);
+
+      expect(edits).toEqual([]);
+      expect(component.diagnostics).toEqual([diagnostic]);
+      expect(component.errorMessage).toBe('Formatting failed: the code could not be parsed');
+    });
+
+    it('should only format on save when enabled', () => {
+      const [[save]] = editor.addAction.calls.allArgs();
+      expect(save.keybindings).toEqual([2048 | 49]);
+
+      save.run(editor);
+      expect(editor.getAction).not.toHaveBeenCalled();
+
+      component.formatOnSave = true;
+      save.run(editor);
+      expect(editor.getAction).toHaveBeenCalledWith('editor.action.formatDocument');
+      expect(formatAction.run).toHaveBeenCalled();
+    });
+  });
+
+  describe('language server', () => {
+    let client: jasmine.SpyObj<LanguageClient>;
+    let editor: jasmine.SpyObj<MonacoStandaloneCodeEditor>;
+    const model = {} as monaco.editor.ITextModel;
+
+    beforeEach(async () => {
+      client = jasmine.createSpyObj('LanguageClient', ['notify', 'onNotification', 'request', 'close'], { isOpen: true });
+      mockLanguageServerService.connect.and.resolveTo(client);
+      editor = jasmine.createSpyObj('editor', ['getModel', 'onDidChangeModelContent', 'addAction']);
+      editor.getModel.and.returnValue(model);
+      editor.onDidChangeModelContent.and.returnValue({ dispose: () => {} });
+      editor.addAction.and.returnValue({ dispose: () => {} });
+      component.onEditorInit(editor);
+      await new Promise(resolve => setTimeout(resolve));
+    });
+
+    it('should open every file and send edits as new versions', () => {
+      expect(client.notify).toHaveBeenCalledWith('textDocument/didOpen', {
+        textDocument: { uri: 'file:///workspace/src/lib.rs', languageId: 'rust', version: 1, text: component.code }
+      });
+
+      component.code = 'pub fn a() {}';
+      component.createFile('src/storage.rs');
+      component.deleteFile('src/storage.rs');
+
+      expect(client.notify).toHaveBeenCalledWith('textDocument/didChange', {
+        textDocument: { uri: 'file:///workspace/src/lib.rs', version: 2 },
+        contentChanges: [{ text: 'pub fn a() {}' }]
+      });
+      expect(client.notify).toHaveBeenCalledWith('textDocument/didOpen', {
+        textDocument: { uri: 'file:///workspace/src/storage.rs', languageId: 'rust', version: 1, text: '' }
+      });
+      expect(client.notify).toHaveBeenCalledWith('textDocument/didClose', {
+        textDocument: { uri: 'file:///workspace/src/storage.rs' }
+      });
+    });
+
+    it('should show live diagnostics of the active file as markers', () => {
+      const setModelMarkers = spyOn(monaco.editor, 'setModelMarkers');
+      const [method, publish] = client.onNotification.calls.mostRecent().args;
+      expect(method).toBe('textDocument/publishDiagnostics');
+
+      publish({
+        uri: 'file:///workspace/src/lib.rs',
+        diagnostics: [{ range: { start: { line: 0, character: 0 }, end: { line: 0, character: 2 } }, severity: 1, message: 'expected item' }]
+      });
+
+      expect(setModelMarkers).toHaveBeenCalledWith(model, 'rust-analyzer', [
+        jasmine.objectContaining({ startLineNumber: 1, startColumn: 1, endColumn: 3, severity: 8, message: 'expected item' })
+      ]);
+    });
+
+    it('should close the session with the editor', () => {
+      component.ngOnDestroy();
+
+      expect(client.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('cost reports', () => {
+    const build = (sha256: string): ContractArtifact => ({
+      name: 'soroban_contract.wasm',
+      size: 8,
+      sha256,
+      optimized: false,
+      wasm: 'AGFzbQEAAAA=',
+      spec: { functions: [] }
+    });
+
+    const compile = (artifact: ContractArtifact) => {
+      mockCompilerService.streamJob.and.returnValue(of<JobEvent[]>(
+        { type: 'done', job: { id: 'job-7', kind: 'compile', status: 'succeeded', logs: [], artifacts: [artifact], artifact } }
+      ));
+      component.onCompile();
+    };
+
+    it('should compare each build with the previous different build', () => {
+      compile(build('aa'.repeat(32)));
+      compile(build('bb'.repeat(32)));
+      compile(build('bb'.repeat(32)));
+
+      expect(mockCostService.get.calls.allArgs()).toEqual([
+        ['aa'.repeat(32), undefined],
+        ['bb'.repeat(32), 'aa'.repeat(32)],
+        ['bb'.repeat(32), 'aa'.repeat(32)]
+      ]);
+      expect(component.costReport?.wasmHash).toBe('bb'.repeat(32));
+    });
+
+    it('should refresh the report after invocations and drop it with the output', () => {
+      compile(build('aa'.repeat(32)));
+      mockCostService.get.calls.reset();
+
+      component.refreshCosts();
+      expect(mockCostService.get).toHaveBeenCalledWith('aa'.repeat(32), undefined);
+
+      component.clearOutput();
+      expect(component.costReport).toBeUndefined();
+    });
+
+    it('should not compare builds of a newly opened template', () => {
+      compile(build('aa'.repeat(32)));
+      mockTemplateService.get.and.returnValue(of({
+        id: 'increment',
+        name: 'Increment Counter',
+        description: '',
+        difficulty: 'beginner',
+        tags: [],
+        sdkVersion: '22.0.0',
+        files: { 'src/lib.rs': '#![no_std]\npub struct Counter;\n' }
+      } as ContractTemplate));
+      fixture.componentRef.setInput('template', 'increment');
+
+      compile(build('bb'.repeat(32)));
+
+      expect(mockCostService.get).toHaveBeenCalledWith('bb'.repeat(32), undefined);
+    });
+  });
+
+  describe('build history', () => {
+    const run: BuildRun = {
+      id: '3f2b7c1e-0000-4000-8000-000000000001',
+      project: 'soroban-contract',
+      kind: 'compile',
+      status: 'succeeded',
+      message: 'Compilation and optimization successful',
+      codeHash: 'c'.repeat(64),
+      diagnostics: { errors: 0, warnings: 0 },
+      duration: 4200,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      files: { 'src/lib.rs': 'mod storage;', 'src/storage.rs': 'pub fn get() {}' }
+    };
+
+    it('should refresh the open panel after compile and test runs', async () => {
+      component.toggleHistory();
+      fixture.detectChanges();
+      await fixture.whenStable();
+      expect(mockHistoryService.list).toHaveBeenCalledTimes(1);
+
+      component.onCompile();
+      component.onLint();
+
+      expect(mockHistoryService.list).toHaveBeenCalledTimes(2);
+    });
+
+    it('should open the sources of a past run', () => {
+      component.openRun(run);
+
+      expect(component.files).toEqual(run.files);
+      expect(component.filePaths).toEqual(['src/lib.rs', 'src/storage.rs']);
+      expect(component.code).toBe('mod storage;');
+      expect(component.snippetId).toBeUndefined();
+      expect(component.outputMessage).toContain('Opened the sources of the compile run');
+    });
   });
 
   it('should not compile when code is empty', () => {
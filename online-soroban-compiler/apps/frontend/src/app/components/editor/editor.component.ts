@@ -1,10 +1,36 @@
-import { Component, OnDestroy } from '@angular/core';
-import { CommonModule, isPlatformBrowser } from '@angular/common';
+import { ChangeDetectorRef, Component, Input, OnDestroy, ViewChild } from '@angular/core';
+import { CommonModule, Location, isPlatformBrowser } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { MonacoEditorModule } from '@materia-ui/ngx-monaco-editor';
+import { RouterLink } from '@angular/router';
+import { MonacoEditorModule, MonacoStandaloneCodeEditor } from '@materia-ui/ngx-monaco-editor';
 import { PLATFORM_ID, inject } from '@angular/core';
-import { CompilerService } from '../../services/compiler';
+import { Subscription } from 'rxjs';
+import {
+  CompilerService,
+  ContractArtifact,
+  Diagnostic,
+  JobType,
+  ProjectFiles,
+  ProjectSource,
+  TestFilter,
+  TestResults
+} from '../../services/compiler';
+import { SnippetService } from '../../services/snippets';
+import { CostReport, CostService } from '../../services/costs';
+import { FormatService } from '../../services/formatter';
+import { TemplateService } from '../../services/templates';
+import { LanguageClient, LanguageServerService, toDocumentUri, toProjectPath } from '../../services/language-server';
+import { AuthService, User } from '../../services/auth';
+import { BuildRun } from '../../services/history';
 import { OutputComponent, OutputType } from '../output/output.component';
+import { FileExplorerComponent, LIB_RS_PATH } from '../file-explorer/file-explorer.component';
+import { TestResultsComponent } from '../test-results/test-results.component';
+import { ContractRunnerComponent } from '../contract-runner/contract-runner.component';
+import { BuildHistoryComponent } from '../build-history/build-history.component';
+import { VersionPickerComponent } from '../version-picker/version-picker.component';
+import { ContractInterfaceComponent } from '../contract-interface/contract-interface.component';
+import { DIAGNOSTICS_OWNER, toCodeActions, toMarkers } from './diagnostic-markers';
+import { ANALYZER_OWNER, LspDiagnostic, registerRustLanguageFeatures, toAnalyzerMarkers } from './rust-language';
 
 
 const DEFAULT_RUST_CODE = `// Welcome to Soroban Smart Contract Editor
@@ -26,21 +52,83 @@ impl HelloContract {
 @Component({
   selector: 'app-editor',
   standalone: true,
-  imports: [CommonModule, FormsModule, MonacoEditorModule, OutputComponent],
+  imports: [CommonModule, FormsModule, RouterLink, MonacoEditorModule, OutputComponent, FileExplorerComponent, TestResultsComponent, ContractRunnerComponent, BuildHistoryComponent, VersionPickerComponent, ContractInterfaceComponent],
   templateUrl: './editor.component.html',
   styleUrl: './editor.component.css'
 })
 export class EditorComponent implements OnDestroy {
-  code: string = DEFAULT_RUST_CODE;
-  private timeoutIds = new Set<number>();
+  // Project files keyed by relative path; Monaco shows the active one
+  files: ProjectFiles = { [LIB_RS_PATH]: DEFAULT_RUST_CODE };
+  openTabs: string[] = [LIB_RS_PATH];
+  activePath = LIB_RS_PATH;
+  private activeRequest?: Subscription;
   isLoading = false;
   isBrowser = isPlatformBrowser(inject(PLATFORM_ID));
   private compilerService = inject(CompilerService);
+  private snippetService = inject(SnippetService);
+  private templateService = inject(TemplateService);
+  private costService = inject(CostService);
+  private formatService = inject(FormatService);
+  private languageServerService = inject(LanguageServerService);
+  private authService = inject(AuthService);
+  private changeDetector = inject(ChangeDetectorRef);
+  private location = inject(Location);
   
   // Validation and output properties
   errorMessage: string = '';
   outputMessage: string = '';
   outputType: OutputType = 'info';
+  buildLogs: string[] = [];
+  artifact?: ContractArtifact;
+  // Compiler errors and warnings of the last build, shown as squiggles
+  diagnostics: Diagnostic[] = [];
+  testResults?: TestResults;
+  costReport?: CostReport;
+  // View of the output panel; the interface of a compiled contract has its own tab
+  outputTab: 'output' | 'interface' = 'output';
+  // Hashes of the latest compiled contract and of the different build before it
+  private buildHash?: string;
+  private costBaseline?: string;
+  private editor?: MonacoStandaloneCodeEditor;
+  private editorDisposables: monaco.IDisposable[] = [];
+  // Model version the markers were set for; quick fixes are stale once the file changes
+  private markersVersionId?: number;
+  // Snippet the editor contents were loaded from or last shared as
+  snippetId?: string;
+  isSharing = false;
+  // Files as of the last load or share, to tell whether sharing needs a fork
+  private sharedFiles?: string;
+  // Whether Ctrl/Cmd+S formats the active file
+  formatOnSave = false;
+  // rust-analyzer session, once connected
+  private languageClient?: LanguageClient;
+  // Text and version of each file as rust-analyzer last saw it
+  private syncedDocuments = new Map<string, { text: string; version: number }>();
+  // Live rust-analyzer diagnostics by file, shown next to those of the last build
+  private analyzerMarkers: Record<string, monaco.editor.IMarkerData[]> = {};
+  // Whether the build history panel is open
+  showHistory = false;
+  @ViewChild(BuildHistoryComponent) private buildHistory?: BuildHistoryComponent;
+
+  /**
+   * Snippet to open, bound from the `/s/:id` route
+   */
+  @Input()
+  set id(id: string | undefined) {
+    if (id && id !== this.snippetId) {
+      this.loadSnippet(id);
+    }
+  }
+
+  /**
+   * Starter contract to open, bound from the `/templates/:template` route
+   */
+  @Input()
+  set template(id: string | undefined) {
+    if (id) {
+      this.loadTemplate(id);
+    }
+  }
   
   editorOptions = {
     theme: 'vs-dark',
@@ -58,41 +146,425 @@ export class EditorComponent implements OnDestroy {
     return this.errorMessage || this.outputMessage;
   }
 
+  // User shown in the toolbar's account link
+  get signedInUser(): User | undefined {
+    return this.authService.user;
+  }
+
+  // Contents of the file open in the editor
+  get code(): string {
+    return this.files[this.activePath] ?? '';
+  }
+
+  set code(value: string) {
+    this.files[this.activePath] = value;
+    this.syncDocuments();
+  }
+
+  get filePaths(): string[] {
+    return Object.keys(this.files).sort((a, b) =>
+      a === LIB_RS_PATH ? -1 : b === LIB_RS_PATH ? 1 : a.localeCompare(b)
+    );
+  }
+
+  openFile(path: string): void {
+    if (!(path in this.files)) {
+      return;
+    }
+    if (!this.openTabs.includes(path)) {
+      this.openTabs = [...this.openTabs, path];
+    }
+    this.activePath = path;
+  }
+
+  closeTab(path: string): void {
+    const index = this.openTabs.indexOf(path);
+    if (index < 0 || this.openTabs.length === 1) {
+      return;
+    }
+    this.openTabs = this.openTabs.filter(tab => tab !== path);
+    if (this.activePath === path) {
+      this.activePath = this.openTabs[Math.max(index - 1, 0)];
+    }
+  }
+
+  createFile(path: string): void {
+    this.files = { ...this.files, [path]: '' };
+    this.openFile(path);
+    this.syncDocuments();
+  }
+
+  deleteFile(path: string): void {
+    if (path === LIB_RS_PATH || !(path in this.files)) {
+      return;
+    }
+    if (this.openTabs.length === 1 && this.openTabs[0] === path) {
+      this.openTabs = [LIB_RS_PATH];
+      this.activePath = LIB_RS_PATH;
+    } else {
+      this.closeTab(path);
+    }
+    const remaining = { ...this.files };
+    delete remaining[path];
+    this.files = remaining;
+    this.syncDocuments();
+  }
+
+  /**
+   * What to send to the backend: plain code while the project is a single file
+   */
+  private get source(): ProjectSource {
+    const paths = Object.keys(this.files);
+    return paths.length === 1 ? this.files[LIB_RS_PATH] : { ...this.files };
+  }
+
+  /**
+   * Replaces the editor contents with a saved snippet
+   */
+  private loadSnippet(id: string): void {
+    this.snippetService.get(id).subscribe({
+      next: (snippet) => {
+        this.files = { ...snippet.files };
+        this.openTabs = [LIB_RS_PATH];
+        this.activePath = LIB_RS_PATH;
+        this.syncDocuments();
+        this.snippetId = snippet.id;
+        this.sharedFiles = JSON.stringify(snippet.files);
+        this.forgetBuilds();
+        this.clearOutput();
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not load snippet ${id}: ${error.message}`;
+        this.outputType = 'error';
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  /**
+   * Replaces the editor contents with a starter contract and its tests
+   */
+  private loadTemplate(id: string): void {
+    this.templateService.get(id).subscribe({
+      next: (template) => {
+        this.files = { ...template.files };
+        this.openTabs = [LIB_RS_PATH];
+        this.activePath = LIB_RS_PATH;
+        this.syncDocuments();
+        // A template is a fresh start, so sharing it creates a new snippet
+        this.snippetId = undefined;
+        this.sharedFiles = undefined;
+        this.forgetBuilds();
+        this.clearOutput();
+        this.outputMessage = `Loaded the ${template.name} template. Compile or Test it to get started.`;
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not load template ${id}: ${error.message}`;
+        this.outputType = 'error';
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  toggleHistory(): void {
+    this.showHistory = !this.showHistory;
+  }
+
+  /**
+   * Replaces the editor contents with the sources of a recorded run
+   */
+  openRun(run: BuildRun): void {
+    this.files = { ...run.files };
+    this.openTabs = [LIB_RS_PATH];
+    this.activePath = LIB_RS_PATH;
+    this.syncDocuments();
+    this.snippetId = undefined;
+    this.sharedFiles = undefined;
+    this.clearOutput();
+    this.outputMessage = `Opened the sources of the ${run.kind} run of ${new Date(run.createdAt).toLocaleString()}`;
+    this.changeDetector.markForCheck();
+  }
+
+  /**
+   * Saves the editor contents and copies their permalink. Unchanged contents
+   * reuse the current snippet; edits to a loaded snippet are saved as a fork.
+   */
+  share(): void {
+    if (this.isSharing) {
+      return;
+    }
+
+    const files = { ...this.files };
+    const snapshot = JSON.stringify(files);
+    if (this.snippetId && snapshot === this.sharedFiles) {
+      this.copyPermalink(this.snippetId);
+      return;
+    }
+
+    this.isSharing = true;
+    const saved = this.snippetId
+      ? this.snippetService.fork(this.snippetId, files)
+      : this.snippetService.create(files);
+
+    saved.subscribe({
+      next: (snippet) => {
+        this.isSharing = false;
+        this.snippetId = snippet.id;
+        this.sharedFiles = snapshot;
+        this.location.replaceState(`/s/${snippet.id}`);
+        this.copyPermalink(snippet.id);
+      },
+      error: (error: Error) => {
+        this.isSharing = false;
+        this.errorMessage = `Could not share snippet: ${error.message}`;
+        this.outputType = 'error';
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  private async copyPermalink(id: string): Promise<void> {
+    const link = this.snippetService.permalink(id);
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(link);
+      copied = true;
+    } catch {
+      // Clipboard access can be denied; the link is still shown
+    }
+
+    this.errorMessage = '';
+    this.outputMessage = copied ? `Permalink copied to clipboard: ${link}` : `Share this permalink: ${link}`;
+    this.outputType = 'success';
+    this.changeDetector.markForCheck();
+  }
+
   ngOnDestroy(): void {
-    this.timeoutIds.forEach(id => clearTimeout(id));
-    this.timeoutIds.clear();
+    this.activeRequest?.unsubscribe();
+    this.editorDisposables.forEach(disposable => disposable.dispose());
+    this.editor = undefined;
+    this.languageClient?.close();
+  }
+
+  onEditorInit(editor: MonacoStandaloneCodeEditor): void {
+    this.editor = editor;
+    this.editorDisposables.push(
+      // Switching files replaces the model content, so the markers must follow
+      editor.onDidChangeModelContent(event => {
+        if (event.isFlush) {
+          this.updateMarkers();
+        }
+      }),
+      monaco.languages.registerCodeActionProvider('rust', {
+        provideCodeActions: (model, range) => ({ actions: this.quickFixes(model, range), dispose: () => {} })
+      }),
+      monaco.languages.registerDocumentFormattingEditProvider('rust', {
+        displayName: 'rustfmt',
+        provideDocumentFormattingEdits: model => this.formatEdits(model)
+      }),
+      editor.addAction({
+        id: 'soroban.save',
+        label: 'Save',
+        keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+        run: () => this.onSave()
+      })
+    );
+    this.updateMarkers();
+    void this.startLanguageServer();
+  }
+
+  /**
+   * Connects to rust-analyzer for completions, hover docs, go-to-definition
+   * and live diagnostics. Without a session the editor keeps syntax highlighting only.
+   */
+  private async startLanguageServer(): Promise<void> {
+    let client: LanguageClient;
+    try {
+      client = await this.languageServerService.connect();
+    } catch {
+      return;
+    }
+    if (!this.editor) {
+      client.close();
+      return;
+    }
+
+    this.languageClient = client;
+    client.onNotification<{ uri: string; diagnostics: LspDiagnostic[] }>(
+      'textDocument/publishDiagnostics',
+      ({ uri, diagnostics }) => {
+        const path = toProjectPath(uri);
+        if (path !== undefined && path in this.files) {
+          this.analyzerMarkers[path] = toAnalyzerMarkers(diagnostics);
+          if (path === this.activePath) {
+            this.updateMarkers();
+          }
+        }
+      }
+    );
+    this.editorDisposables.push(...registerRustLanguageFeatures(client, {
+      pathOf: model => model === this.editor?.getModel() ? this.activePath : undefined,
+      reveal: (path, range) => this.revealInFile(path, range)
+    }));
+    this.syncDocuments();
+  }
+
+  /**
+   * Tells rust-analyzer which files the project has and what they contain.
+   * Whole files are sent, since the editor's model only ever holds the active one.
+   */
+  private syncDocuments(): void {
+    const client = this.languageClient;
+    if (!client?.isOpen) {
+      return;
+    }
+
+    for (const path of this.syncedDocuments.keys()) {
+      if (!(path in this.files)) {
+        client.notify('textDocument/didClose', { textDocument: { uri: toDocumentUri(path) } });
+        this.syncedDocuments.delete(path);
+        delete this.analyzerMarkers[path];
+      }
+    }
+    for (const [path, text] of Object.entries(this.files)) {
+      const uri = toDocumentUri(path);
+      const document = this.syncedDocuments.get(path);
+      if (!document) {
+        client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'rust', version: 1, text } });
+        this.syncedDocuments.set(path, { text, version: 1 });
+      } else if (document.text !== text) {
+        const version = document.version + 1;
+        client.notify('textDocument/didChange', { textDocument: { uri, version }, contentChanges: [{ text }] });
+        this.syncedDocuments.set(path, { text, version });
+      }
+    }
+  }
+
+  /**
+   * Opens a file at a definition in another module
+   */
+  private revealInFile(path: string, range: monaco.IRange): void {
+    this.openFile(path);
+    this.changeDetector.markForCheck();
+    // The model holds the new file once change detection has run
+    setTimeout(() => {
+      this.editor?.setSelection(range);
+      this.editor?.revealRangeInCenter(range);
+    });
+  }
+
+  /**
+   * Formats the active file through Monaco, which asks the rustfmt provider for the edits
+   */
+  formatDocument(): void {
+    void this.editor?.getAction('editor.action.formatDocument')?.run();
+  }
+
+  /**
+   * Ctrl/Cmd+S: there is nothing to save to, but the file is formatted if format on save is on
+   */
+  onSave(): void {
+    if (this.formatOnSave) {
+      this.formatDocument();
+    }
+  }
+
+  /**
+   * Formats the active file with rustfmt. The whole project is sent so its
+   * modules resolve, but only the active file is replaced. Parse errors are
+   * shown as markers instead.
+   */
+  formatEdits(model: monaco.editor.ITextModel): Promise<monaco.languages.TextEdit[]> {
+    if (model !== this.editor?.getModel()) {
+      return Promise.resolve([]);
+    }
+
+    const path = this.activePath;
+    const versionId = model.getVersionId();
+    return new Promise(resolve => {
+      this.formatService.format(this.source).subscribe({
+        next: (result) => {
+          if (!result.success) {
+            this.diagnostics = result.diagnostics;
+            this.updateMarkers();
+            this.errorMessage = result.message;
+            this.outputType = 'error';
+            this.changeDetector.markForCheck();
+          }
+          // Edits typed while rustfmt ran would be lost
+          const formatted = model.getVersionId() === versionId && this.activePath === path
+            ? result.files?.[path]
+            : undefined;
+          resolve(formatted === undefined ? [] : [{ range: model.getFullModelRange(), text: formatted }]);
+        },
+        error: (error: Error) => {
+          this.errorMessage = `Formatting failed: ${error.message}`;
+          this.outputType = 'error';
+          this.changeDetector.markForCheck();
+          resolve([]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Shows the diagnostics of the active file as markers in the editor
+   */
+  private updateMarkers(): void {
+    const model = this.editor?.getModel();
+    if (!model) {
+      return;
+    }
+    monaco.editor.setModelMarkers(model, DIAGNOSTICS_OWNER, toMarkers(this.diagnostics, this.activePath));
+    monaco.editor.setModelMarkers(model, ANALYZER_OWNER, this.analyzerMarkers[this.activePath] ?? []);
+    this.markersVersionId = model.getVersionId();
+  }
+
+  private quickFixes(model: monaco.editor.ITextModel, range: monaco.IRange): monaco.languages.CodeAction[] {
+    if (model !== this.editor?.getModel() || model.getVersionId() !== this.markersVersionId) {
+      return [];
+    }
+    return toCodeActions(this.diagnostics, this.activePath, model, range);
   }
 
   private validateCode(): boolean {
     // Clear previous messages
     this.clearOutput();
     
+    // The crate root is what gets compiled
+    const code = this.files[LIB_RS_PATH] ?? '';
+
     // Check if code is empty or only whitespace
-    if (!this.code || !this.code.trim()) {
+    if (!code.trim()) {
       this.errorMessage = 'Error: Code cannot be empty or contain only whitespace';
       this.outputType = 'error';
       return false;
     }
     
-    // Check code length (50KB limit)
-    if (this.code.length > 50000) {
-      this.errorMessage = 'Error: Code exceeds maximum length (50KB). Please reduce code size.';
+    // Check code length (50KB limit per file)
+    const oversized = Object.keys(this.files).find(path => this.files[path].length > 50000);
+    if (oversized) {
+      this.errorMessage = oversized === LIB_RS_PATH
+        ? 'Error: Code exceeds maximum length (50KB). Please reduce code size.'
+        : `Error: ${oversized} exceeds maximum length (50KB). Please reduce code size.`;
       this.outputType = 'error';
       return false;
     }
     
     // Basic Rust syntax check - look for common Rust keywords
     const rustKeywords = ['fn', 'impl', 'pub', 'struct', 'enum', 'mod', 'use', 'let', 'const', 'static'];
-    const hasRustKeyword = rustKeywords.some(keyword => this.code.includes(keyword));
+    const hasRustKeyword = rustKeywords.some(keyword => code.includes(keyword));
     
-    if (!hasRustKeyword && this.code.trim().length > 10) {
+    if (!hasRustKeyword && code.trim().length > 10) {
       this.errorMessage = 'Warning: Code may not be valid Rust. Please ensure you\'re writing Rust code.';
       this.outputType = 'error';
       return false;
     }
     
     // Check for basic contract structure for Soroban
-    if (!this.code.includes('contract') && !this.code.includes('soroban')) {
+    if (!code.includes('contract') && !code.includes('soroban')) {
       this.errorMessage = 'Info: Consider using Soroban contract structure for smart contract development.';
       this.outputType = 'info';
       // This is just a warning, still allow compilation
@@ -105,50 +577,103 @@ export class EditorComponent implements OnDestroy {
     this.errorMessage = '';
     this.outputMessage = '';
     this.outputType = 'info';
+    this.buildLogs = [];
+    this.artifact = undefined;
+    this.testResults = undefined;
+    this.costReport = undefined;
+    this.diagnostics = [];
+    this.updateMarkers();
   }
 
-  onCompile(): void {
-    if (this.isLoading) {
+  /**
+   * Fetches the cost report of the compiled contract, compared with the
+   * previous build. Called after each build and each invocation.
+   */
+  refreshCosts(): void {
+    if (!this.artifact) {
       return;
     }
-    
-    // Validate code before proceeding
-    if (!this.validateCode()) {
-      return;
-    }
-    
-    this.isLoading = true;
-    this.outputMessage = 'Compiling Rust smart contract...';
-    this.outputType = 'info';
-    console.log('Compiling Rust smart contract code:', this.code);
-    
-    this.compilerService.compile(this.code).subscribe({
-      next: (response) => {
-        this.isLoading = false;
-        this.outputMessage = 'Compilation completed successfully!';
-        this.outputType = 'success';
-        console.log('Compilation response:', response);
+
+    const { sha256 } = this.artifact;
+    this.costService.get(sha256, this.costBaseline).subscribe({
+      next: (report) => {
+        if (this.artifact?.sha256 === sha256) {
+          this.costReport = report;
+          this.changeDetector.markForCheck();
+        }
       },
-      error: (error) => {
-        this.isLoading = false;
-        this.errorMessage = 'Compilation failed: ' + (error.message || error);
-        this.outputType = 'error';
-        console.error('Compilation error:', error);
+      error: (error: Error) => {
+        // The build still succeeded; only its costs are missing
+        console.error('Cost report error:', error);
       }
     });
+  }
 
-    // TODO: Implement API call to backend compiler
-    const timeoutId = setTimeout(() => {
-      this.isLoading = false;
-      this.timeoutIds.delete(timeoutId);
-      this.outputMessage = 'Compilation completed successfully!';
-      this.outputType = 'success';
-      console.log('Compilation complete');
-    }, 2000) as unknown as number;
-    this.timeoutIds.add(timeoutId);
+  /**
+   * Remembers a compiled contract so the next different build is compared with it
+   */
+  private trackBuild(artifact: ContractArtifact): void {
+    if (artifact.sha256 !== this.buildHash) {
+      this.costBaseline = this.buildHash;
+      this.buildHash = artifact.sha256;
+    }
+  }
+
+  /**
+   * Builds of a different contract make no meaningful baseline
+   */
+  private forgetBuilds(): void {
+    this.buildHash = undefined;
+    this.costBaseline = undefined;
+  }
+
+  onCompile(): void {
+    this.runJob('compile', {
+      progress: 'Compiling Rust smart contract...',
+      success: 'Compilation completed successfully!',
+      failure: 'Compilation failed: '
+    });
   }
 
   onTest(): void {
+    this.runJob('test', {
+      progress: 'Running tests for smart contract...',
+      success: 'All tests passed successfully!',
+      failure: 'Tests failed: '
+    });
+  }
+
+  /**
+   * Runs clippy and the Soroban security checks; findings show up as warnings in the editor
+   */
+  onLint(): void {
+    this.runJob('lint', {
+      progress: 'Linting smart contract...',
+      success: 'Lint finished, findings are marked in the editor',
+      failure: 'Lint failed: '
+    });
+  }
+
+  /**
+   * Re-runs the tests matching a filter, e.g. a single failed test
+   */
+  runTests(filter: TestFilter): void {
+    const label = filter.exact ? filter.name : `tests matching "${filter.name}"`;
+    this.runJob('test', {
+      progress: `Running ${label}...`,
+      success: `Tests passed (${label})`,
+      failure: `Tests failed (${label}): `
+    }, filter);
+  }
+
+  /**
+   * Submits a build job and renders its log live as the backend streams it
+   */
+  private runJob(
+    type: JobType,
+    messages: { progress: string; success: string; failure: string },
+    testFilter?: TestFilter
+  ): void {
     if (this.isLoading) {
       return;
     }
@@ -159,33 +684,56 @@ export class EditorComponent implements OnDestroy {
     }
     
     this.isLoading = true;
-    this.outputMessage = 'Running tests for smart contract...';
+    this.outputMessage = messages.progress;
     this.outputType = 'info';
-    console.log('Testing Rust smart contract code:', this.code);
+    this.buildLogs = [];
     
-    this.compilerService.test(this.code).subscribe({
-      next: (response) => {
-        this.isLoading = false;
-        this.outputMessage = 'All tests passed successfully!';
-        this.outputType = 'success';
-        console.log('Test response:', response);
+    const events = testFilter
+      ? this.compilerService.streamJob(type, this.source, testFilter)
+      : this.compilerService.streamJob(type, this.source);
+
+    this.activeRequest = events.subscribe({
+      next: (event) => {
+        if (event.type === 'status' && event.status === 'queued') {
+          this.outputMessage = `${messages.progress} (waiting for a free build worker)`;
+        } else if (event.type === 'status' && event.status === 'running') {
+          this.outputMessage = messages.progress;
+        } else if (event.type === 'log') {
+          this.buildLogs.push(event.line);
+        } else if (event.type === 'done') {
+          this.isLoading = false;
+          this.artifact = event.job.artifact;
+          this.diagnostics = event.job.diagnostics ?? [];
+          this.testResults = event.job.testResults;
+          this.updateMarkers();
+          if (this.artifact) {
+            this.trackBuild(this.artifact);
+            this.refreshCosts();
+          }
+          // Compile and test runs are recorded before the job reports done
+          if (type !== 'lint') {
+            this.buildHistory?.refresh();
+          }
+          if (event.job.status === 'succeeded') {
+            this.outputMessage = event.job.cached ? `${messages.success} (cached)` : messages.success;
+            this.outputType = 'success';
+          } else {
+            this.outputMessage = '';
+            // A limit is better explained by the message than by the raw tool output
+            const details = event.job.limitExceeded ? event.job.message : event.job.error || event.job.message;
+            this.errorMessage = messages.failure + details;
+            this.outputType = 'error';
+          }
+        }
+        this.changeDetector.markForCheck();
       },
       error: (error) => {
         this.isLoading = false;
-        this.errorMessage = 'Tests failed: ' + (error.message || error);
+        this.errorMessage = messages.failure + (error.error || error.message || error);
         this.outputType = 'error';
-        console.error('Test error:', error);
+        console.error(`${type} error:`, error);
+        this.changeDetector.markForCheck();
       }
     });
-
-    // TODO: Implement API call to backend test runner  
-    const timeoutId = setTimeout(() => {
-      this.isLoading = false;
-      this.timeoutIds.delete(timeoutId);
-      this.outputMessage = 'All tests passed successfully!';
-      this.outputType = 'success';
-      console.log('Testing complete');
-    }, 2000) as unknown as number;
-    this.timeoutIds.add(timeoutId);
   }
 }
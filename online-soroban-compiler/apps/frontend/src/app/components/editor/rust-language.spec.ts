@@ -0,0 +1,54 @@
+import { toAnalyzerMarkers, toHover, toProjectLocations, toSuggestions } from './rust-language';
+
+describe('rust-language', () => {
+  const range = { start: { line: 2, character: 4 }, end: { line: 2, character: 9 } };
+  const monacoRange = { startLineNumber: 3, startColumn: 5, endLineNumber: 3, endColumn: 10 };
+
+  it('should turn completions into suggestions', () => {
+    const wordRange = { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 3 };
+
+    const [method, snippet] = toSuggestions([
+      { label: 'storage', kind: 2, detail: 'fn(&self) -> Storage', textEdit: { newText: 'storage()', range } },
+      { label: 'symbol_short!', kind: 15, insertText: 'symbol_short!($0)', insertTextFormat: 2, documentation: { kind: 'markdown', value: 'Short symbol' } }
+    ], wordRange);
+
+    expect(method).toEqual(jasmine.objectContaining({ label: 'storage', kind: 0, insertText: 'storage()', range: monacoRange }));
+    expect(snippet).toEqual(jasmine.objectContaining({
+      kind: 27,
+      insertText: 'symbol_short!($0)',
+      insertTextRules: 4,
+      documentation: { value: 'Short symbol' },
+      range: wordRange
+    }));
+  });
+
+  it('should turn hover contents into markdown', () => {
+    expect(toHover(null)).toBeNull();
+    expect(toHover({ contents: { kind: 'markdown', value: '```rust\npub fn hello()\n```' }, range })).toEqual({
+      contents: [{ value: '```rust\npub fn hello()\n```' }],
+      range: monacoRange
+    });
+    expect(toHover({ contents: [{ language: 'rust', value: 'Env' }, 'The environment'] })?.contents).toEqual([
+      { value: '```rust\nEnv\n```' },
+      { value: 'The environment' }
+    ]);
+  });
+
+  it('should turn diagnostics into markers', () => {
+    expect(toAnalyzerMarkers([
+      { range, severity: 1, code: 'E0425', source: 'rustc', message: 'cannot find value `x`' },
+      { range, severity: 2, message: 'unused variable' }
+    ])).toEqual([
+      { ...monacoRange, severity: 8, message: 'cannot find value `x`', source: 'rustc', code: 'E0425' },
+      { ...monacoRange, severity: 4, message: 'unused variable', source: 'rust-analyzer' }
+    ]);
+  });
+
+  it('should keep definitions located in the project', () => {
+    expect(toProjectLocations([
+      { uri: 'file:///workspace/src/storage.rs', range },
+      { targetUri: 'file:///root/.cargo/registry/src/soroban-sdk/src/env.rs', targetSelectionRange: range }
+    ])).toEqual([{ path: 'src/storage.rs', range: monacoRange }]);
+    expect(toProjectLocations(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,215 @@
+import { LanguageClient, toDocumentUri, toProjectPath } from '../../services/language-server';
+
+/** Marker owner for rust-analyzer diagnostics, kept apart from those of the last build */
+export const ANALYZER_OWNER = 'rust-analyzer';
+
+interface LspPosition {
+  line: number;
+  character: number;
+}
+
+interface LspRange {
+  start: LspPosition;
+  end: LspPosition;
+}
+
+type MarkupContent = string | { kind?: string; language?: string; value: string };
+
+export interface LspCompletionItem {
+  label: string;
+  kind?: number;
+  detail?: string;
+  documentation?: MarkupContent;
+  sortText?: string;
+  filterText?: string;
+  insertText?: string;
+  insertTextFormat?: number;
+  textEdit?: { newText: string; range?: LspRange; insert?: LspRange };
+}
+
+export interface LspHover {
+  contents: MarkupContent | MarkupContent[];
+  range?: LspRange;
+}
+
+export type LspLocation = { uri: string; range: LspRange } | { targetUri: string; targetSelectionRange: LspRange };
+
+export interface LspDiagnostic {
+  range: LspRange;
+  severity?: number;
+  code?: string | number;
+  source?: string;
+  message: string;
+}
+
+// Values of monaco.languages.CompletionItemKind by LSP CompletionItemKind; the enum only exists once Monaco has loaded
+const COMPLETION_KINDS: Record<number, monaco.languages.CompletionItemKind> = {
+  1: 18, 2: 0, 3: 1, 4: 2, 5: 3, 6: 4, 7: 5, 8: 7, 9: 8, 10: 9, 11: 12, 12: 13, 13: 15,
+  14: 17, 15: 27, 16: 19, 17: 20, 18: 21, 19: 23, 20: 16, 21: 14, 22: 6, 23: 10, 24: 11, 25: 24
+};
+
+// Values of monaco.MarkerSeverity by LSP DiagnosticSeverity
+const SEVERITIES: Record<number, monaco.MarkerSeverity> = { 1: 8, 2: 4, 3: 2, 4: 1 };
+
+// LSP InsertTextFormat.Snippet and monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+const SNIPPET_FORMAT = 2;
+const INSERT_AS_SNIPPET = 4;
+
+/** LSP positions are 0-based, Monaco's 1-based */
+export function toRange(range: LspRange): monaco.IRange {
+  return {
+    startLineNumber: range.start.line + 1,
+    startColumn: range.start.character + 1,
+    endLineNumber: range.end.line + 1,
+    endColumn: range.end.character + 1
+  };
+}
+
+function toPosition(position: monaco.IPosition): LspPosition {
+  return { line: position.lineNumber - 1, character: position.column - 1 };
+}
+
+function toMarkdown(content: MarkupContent): monaco.IMarkdownString {
+  if (typeof content === 'string') {
+    return { value: content };
+  }
+  return { value: content.language ? `\`\`\`${content.language}\n${content.value}\n\`\`\`` : content.value };
+}
+
+/**
+ * Turns rust-analyzer's completions into Monaco suggestions
+ *
+ * @param items - Items of the completion list
+ * @param wordRange - Range replaced by items without an edit of their own
+ */
+export function toSuggestions(items: LspCompletionItem[], wordRange: monaco.IRange): monaco.languages.CompletionItem[] {
+  return items.map(item => {
+    const editRange = item.textEdit?.range ?? item.textEdit?.insert;
+    return {
+      label: item.label,
+      kind: COMPLETION_KINDS[item.kind ?? 1] ?? 18,
+      detail: item.detail,
+      documentation: item.documentation === undefined ? undefined : toMarkdown(item.documentation),
+      sortText: item.sortText,
+      filterText: item.filterText,
+      insertText: item.textEdit?.newText ?? item.insertText ?? item.label,
+      ...(item.insertTextFormat === SNIPPET_FORMAT ? { insertTextRules: INSERT_AS_SNIPPET } : {}),
+      range: editRange ? toRange(editRange) : wordRange
+    };
+  });
+}
+
+/**
+ * Turns a hover result into Monaco hover contents
+ */
+export function toHover(hover: LspHover | null): monaco.languages.Hover | null {
+  if (!hover) {
+    return null;
+  }
+  const contents = (Array.isArray(hover.contents) ? hover.contents : [hover.contents]).map(toMarkdown);
+  return { contents, ...(hover.range ? { range: toRange(hover.range) } : {}) };
+}
+
+/**
+ * Turns rust-analyzer diagnostics into Monaco markers (squiggles)
+ */
+export function toAnalyzerMarkers(diagnostics: LspDiagnostic[]): monaco.editor.IMarkerData[] {
+  return diagnostics.map(diagnostic => ({
+    ...toRange(diagnostic.range),
+    severity: SEVERITIES[diagnostic.severity ?? 1] ?? 8,
+    message: diagnostic.message,
+    source: diagnostic.source ?? ANALYZER_OWNER,
+    ...(diagnostic.code !== undefined ? { code: String(diagnostic.code) } : {})
+  }));
+}
+
+/**
+ * Project files a definition points to, with the range to reveal
+ */
+export function toProjectLocations(result: LspLocation | LspLocation[] | null): { path: string; range: monaco.IRange }[] {
+  const locations = result === null ? [] : Array.isArray(result) ? result : [result];
+  return locations.flatMap(location => {
+    const [uri, range] = 'targetUri' in location
+      ? [location.targetUri, location.targetSelectionRange]
+      : [location.uri, location.range];
+    const path = toProjectPath(uri);
+    // Definitions in soroban-sdk or the standard library cannot be opened in the editor
+    return path === undefined ? [] : [{ path, range: toRange(range) }];
+  });
+}
+
+/**
+ * Where providers find the project file behind Monaco's single model
+ */
+export interface RustDocuments {
+  /** Project path of the file shown in a model, or undefined if it is not the editor's */
+  pathOf(model: monaco.editor.ITextModel): string | undefined;
+  /** Shows another project file with the given range selected */
+  reveal(path: string, range: monaco.IRange): void;
+}
+
+/**
+ * Registers completions, hover docs and go-to-definition backed by a rust-analyzer session
+ *
+ * @param client - Initialized language server session
+ * @param documents - Maps models to project files
+ * @returns Disposables unregistering the providers
+ */
+export function registerRustLanguageFeatures(client: LanguageClient, documents: RustDocuments): monaco.IDisposable[] {
+  const at = (model: monaco.editor.ITextModel, position: monaco.IPosition) => {
+    const path = documents.pathOf(model);
+    return path === undefined
+      ? undefined
+      : { textDocument: { uri: toDocumentUri(path) }, position: toPosition(position) };
+  };
+
+  return [
+    monaco.languages.registerCompletionItemProvider('rust', {
+      triggerCharacters: ['.', ':'],
+      provideCompletionItems: async (model, position) => {
+        const params = at(model, position);
+        if (!params || !client.isOpen) {
+          return { suggestions: [] };
+        }
+        const result = await client.request<LspCompletionItem[] | { items: LspCompletionItem[] } | null>(
+          'textDocument/completion',
+          params
+        );
+        const word = model.getWordUntilPosition(position);
+        const wordRange = {
+          startLineNumber: position.lineNumber,
+          startColumn: word.startColumn,
+          endLineNumber: position.lineNumber,
+          endColumn: word.endColumn
+        };
+        const items = Array.isArray(result) ? result : result?.items ?? [];
+        return { suggestions: toSuggestions(items, wordRange) };
+      }
+    }),
+    monaco.languages.registerHoverProvider('rust', {
+      provideHover: async (model, position) => {
+        const params = at(model, position);
+        return params && client.isOpen ? toHover(await client.request<LspHover | null>('textDocument/hover', params)) : null;
+      }
+    }),
+    monaco.languages.registerDefinitionProvider('rust', {
+      provideDefinition: async (model, position) => {
+        const params = at(model, position);
+        if (!params || !client.isOpen) {
+          return [];
+        }
+        const path = documents.pathOf(model);
+        const locations = toProjectLocations(
+          await client.request<LspLocation | LspLocation[] | null>('textDocument/definition', params)
+        );
+        const local = locations.filter(location => location.path === path);
+        // Monaco can only jump within its model; other files are opened in their own tab
+        const [other] = locations.filter(location => location.path !== path);
+        if (local.length === 0 && other) {
+          documents.reveal(other.path, other.range);
+        }
+        return local.map(location => ({ uri: model.uri, range: location.range }));
+      }
+    })
+  ];
+}
@@ -0,0 +1,60 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { FileExplorerComponent, toProjectPath } from './file-explorer.component';
+
+describe('FileExplorerComponent', () => {
+  let component: FileExplorerComponent;
+  let fixture: ComponentFixture<FileExplorerComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [FileExplorerComponent],
+      providers: [
+        provideZonelessChangeDetection()
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(FileExplorerComponent);
+    component = fixture.componentInstance;
+    fixture.componentRef.setInput('paths', ['src/lib.rs', 'src/storage.rs']);
+    fixture.detectChanges();
+  });
+
+  it('should list files without a delete button for src/lib.rs', () => {
+    const items = fixture.nativeElement.querySelectorAll('li.file-explorer-item');
+    expect(items.length).toBe(2);
+    expect(items[0].querySelector('[aria-label="Delete src/lib.rs"]')).toBeNull();
+    expect(items[1].querySelector('[aria-label="Delete src/storage.rs"]')).toBeTruthy();
+  });
+
+  it('should emit new files under src/', () => {
+    const created: string[] = [];
+    component.fileCreated.subscribe(path => created.push(path));
+
+    component.startCreate();
+    component.newFileName = 'events';
+    component.submitNewFile();
+
+    expect(created).toEqual(['src/events.rs']);
+    expect(component.isCreating).toBe(false);
+  });
+
+  it('should reject duplicate and invalid names', () => {
+    component.startCreate();
+    component.newFileName = 'storage.rs';
+    component.submitNewFile();
+    expect(component.errorMessage).toBe('src/storage.rs already exists');
+
+    component.newFileName = '../Cargo.toml';
+    component.submitNewFile();
+    expect(component.errorMessage).toContain('Use letters');
+  });
+
+  it('should map names to project paths', () => {
+    expect(toProjectPath('tests/flow.rs')).toBe('tests/flow.rs');
+    expect(toProjectPath('events/mod')).toBe('src/events/mod.rs');
+    expect(toProjectPath('my file.rs')).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+
+/** Crate root every project has; it cannot be deleted */
+export const LIB_RS_PATH = 'src/lib.rs';
+
+/** Maximum number of files in a project (matches the backend limit) */
+export const MAX_PROJECT_FILES = 32;
+
+/** Paths the backend accepts: Rust sources under `src/` or `tests/` */
+const PROJECT_FILE_PATTERN = /^(src|tests)\/([A-Za-z0-9_-]+\/){0,4}[A-Za-z0-9_-]+\.rs$/;
+
+/**
+ * Turns a name typed by the user into a project path. Bare names such as
+ * `storage` or `storage.rs` are placed under `src/`.
+ *
+ * @returns The path, or null if the backend would reject it
+ */
+export function toProjectPath(name: string): string | null {
+  let path = name.trim().replace(/^\/+/, '');
+  if (!path.endsWith('.rs')) {
+    path += '.rs';
+  }
+  if (!path.startsWith('src/') && !path.startsWith('tests/')) {
+    path = `src/${path}`;
+  }
+  return PROJECT_FILE_PATTERN.test(path) ? path : null;
+}
+
+@Component({
+  selector: 'app-file-explorer',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './file-explorer.component.html',
+  styleUrl: './file-explorer.component.css'
+})
+export class FileExplorerComponent {
+  /** Paths of all project files */
+  @Input() paths: string[] = [];
+  /** Path of the file shown in the editor */
+  @Input() activePath = LIB_RS_PATH;
+  @Output() fileSelected = new EventEmitter<string>();
+  @Output() fileCreated = new EventEmitter<string>();
+  @Output() fileDeleted = new EventEmitter<string>();
+
+  readonly rootPath = LIB_RS_PATH;
+  isCreating = false;
+  newFileName = '';
+  errorMessage = '';
+
+  startCreate(): void {
+    this.isCreating = true;
+    this.newFileName = '';
+    this.errorMessage = '';
+  }
+
+  cancelCreate(): void {
+    this.isCreating = false;
+    this.errorMessage = '';
+  }
+
+  submitNewFile(): void {
+    const path = toProjectPath(this.newFileName);
+
+    if (!path) {
+      this.errorMessage = 'Use letters, digits, _ or - (e.g. storage.rs or tests/flow.rs)';
+    } else if (this.paths.includes(path)) {
+      this.errorMessage = `${path} already exists`;
+    } else if (this.paths.length >= MAX_PROJECT_FILES) {
+      this.errorMessage = `Projects can have at most ${MAX_PROJECT_FILES} files`;
+    } else {
+      this.fileCreated.emit(path);
+      this.cancelCreate();
+    }
+  }
+}
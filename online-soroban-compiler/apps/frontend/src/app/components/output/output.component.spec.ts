@@ -39,4 +39,54 @@ describe('OutputComponent', () => {
   it('should have default outputType as info', () => {
     expect(component.outputType).toBe('info');
   });
-});
\ No newline at end of file
+
+  it('should render streamed log lines', () => {
+    fixture.componentRef.setInput('logs', ['   Compiling soroban-sdk v22.0.0', '    Finished release']);
+    fixture.componentRef.setInput('running', true);
+    fixture.detectChanges();
+
+    const logElement = fixture.nativeElement.querySelector('pre.output-log');
+    expect(logElement).toBeTruthy();
+    expect(logElement.textContent).toContain('Compiling soroban-sdk v22.0.0\n    Finished release');
+    expect(logElement.classList).toContain('output-log-running');
+  });
+
+  it('should not render the log panel without logs', () => {
+    expect(fixture.nativeElement.querySelector('pre.output-log')).toBeNull();
+  });
+
+  it('should show the compiled contract with its functions', () => {
+    fixture.componentRef.setInput('artifact', {
+      name: 'soroban_contract.optimized.wasm',
+      size: 1024,
+      sha256: 'ab'.repeat(32),
+      optimized: true,
+      wasm: 'AGFzbQEAAAA=',
+      spec: {
+        functions: [
+          { name: 'hello', doc: '', inputs: [], outputs: [], signature: 'hello(to: Symbol) -> Vec<Symbol>' }
+        ]
+      }
+    });
+    fixture.detectChanges();
+
+    const artifactElement = fixture.nativeElement.querySelector('.output-artifact');
+    expect(artifactElement.textContent).toContain('soroban_contract.optimized.wasm');
+    expect(artifactElement.textContent).toContain('hello(to: Symbol) -> Vec<Symbol>');
+    expect(artifactElement.querySelector('button.output-artifact-download')).toBeTruthy();
+  });
+
+  it('should render the cost report of the build', () => {
+    expect(fixture.nativeElement.querySelector('app-cost-report')).toBeNull();
+
+    fixture.componentRef.setInput('costReport', {
+      wasmHash: 'ab'.repeat(32),
+      wasmSize: 1024,
+      sections: [{ name: 'code', size: 900, custom: false }],
+      functions: []
+    });
+    fixture.detectChanges();
+
+    expect(fixture.nativeElement.querySelector('app-cost-report .cost-report-sections')).toBeTruthy();
+  });
+});
@@ -1,16 +1,56 @@
-import { Component, Input } from '@angular/core';
+import { AfterViewChecked, Component, ElementRef, Input, ViewChild } from '@angular/core';
 import { CommonModule } from '@angular/common';
+import { ContractArtifact } from '../../services/compiler';
+import { CostReport } from '../../services/costs';
+import { CostReportComponent } from '../cost-report/cost-report.component';
 
 export type OutputType = 'error' | 'success' | 'info';
 
 @Component({
   selector: 'app-output',
   standalone: true,
-  imports: [CommonModule],
+  imports: [CommonModule, CostReportComponent],
   templateUrl: './output.component.html',
   styleUrl: './output.component.css'
 })
-export class OutputComponent {
+export class OutputComponent implements AfterViewChecked {
   @Input() outputText: string = '';
   @Input() outputType: OutputType = 'info';
-}
\ No newline at end of file
+  /** Build log lines, rendered as they stream in */
+  @Input() logs: string[] = [];
+  /** Whether the build producing the logs is still running */
+  @Input() running = false;
+  /** Compiled contract to offer for download */
+  @Input() artifact?: ContractArtifact;
+  /** Size and function costs of the compiled contract */
+  @Input() costReport?: CostReport;
+
+  @ViewChild('logView') private logView?: ElementRef<HTMLPreElement>;
+  private renderedLines = 0;
+
+  // Keep the newest log line in view while the build is streaming
+  ngAfterViewChecked(): void {
+    if (this.logView && this.logs.length !== this.renderedLines) {
+      this.renderedLines = this.logs.length;
+      const element = this.logView.nativeElement;
+      element.scrollTop = element.scrollHeight;
+    }
+  }
+
+  /**
+   * Saves the compiled wasm through a temporary object URL
+   */
+  downloadArtifact(): void {
+    if (!this.artifact) {
+      return;
+    }
+
+    const bytes = Uint8Array.from(atob(this.artifact.wasm), char => char.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/wasm' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.artifact.name;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,87 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { provideRouter } from '@angular/router';
+import { of, throwError } from 'rxjs';
+import { TemplateService, TemplateSummary } from '../../services/templates';
+
+import { TemplateGalleryComponent } from './template-gallery.component';
+
+const TEMPLATES: TemplateSummary[] = [
+  {
+    id: 'increment',
+    name: 'Increment Counter',
+    description: 'Stores a counter',
+    difficulty: 'beginner',
+    tags: ['storage'],
+    sdkVersion: '22.0.0'
+  },
+  {
+    id: 'auth',
+    name: 'Authorization',
+    description: 'Per-user counters',
+    difficulty: 'beginner',
+    tags: ['auth', 'storage'],
+    sdkVersion: '22.0.0'
+  }
+];
+
+describe('TemplateGalleryComponent', () => {
+  let component: TemplateGalleryComponent;
+  let fixture: ComponentFixture<TemplateGalleryComponent>;
+  let templateService: jasmine.SpyObj<TemplateService>;
+
+  beforeEach(async () => {
+    templateService = jasmine.createSpyObj('TemplateService', ['list', 'get']);
+    templateService.list.and.returnValue(of(TEMPLATES));
+
+    await TestBed.configureTestingModule({
+      imports: [TemplateGalleryComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        provideRouter([]),
+        { provide: TemplateService, useValue: templateService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(TemplateGalleryComponent);
+    component = fixture.componentInstance;
+  });
+
+  it('should list the templates with links into the editor', async () => {
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const element: HTMLElement = fixture.nativeElement;
+    const cards = element.querySelectorAll('.template-gallery-card');
+    expect(cards.length).toBe(2);
+    expect(cards[0].textContent).toContain('Increment Counter');
+    expect(cards[0].querySelector('.template-gallery-open')?.getAttribute('href')).toBe('/templates/increment');
+  });
+
+  it('should filter by search text and tag', () => {
+    fixture.detectChanges();
+
+    component.query = 'per-user';
+    expect(component.filtered.map(template => template.id)).toEqual(['auth']);
+
+    component.query = '';
+    component.toggleTag('auth');
+    expect(component.tags).toEqual(['auth', 'storage']);
+    expect(component.filtered.map(template => template.id)).toEqual(['auth']);
+
+    component.toggleTag('auth');
+    expect(component.filtered.length).toBe(2);
+  });
+
+  it('should report when templates cannot be loaded', async () => {
+    templateService.list.and.returnValue(throwError(() => new Error('Server Error: 0 - Unknown Error')));
+
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(component.isLoading).toBeFalse();
+    expect((fixture.nativeElement as HTMLElement).querySelector('.template-gallery-error')?.textContent)
+      .toContain('Could not load templates: Server Error: 0 - Unknown Error');
+  });
+});
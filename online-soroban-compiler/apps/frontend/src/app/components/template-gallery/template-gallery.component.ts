@@ -0,0 +1,58 @@
+import { ChangeDetectorRef, Component, OnInit, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { TemplateService, TemplateSummary } from '../../services/templates';
+
+@Component({
+  selector: 'app-template-gallery',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './template-gallery.component.html',
+  styleUrl: './template-gallery.component.css'
+})
+export class TemplateGalleryComponent implements OnInit {
+  private templateService = inject(TemplateService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  templates: TemplateSummary[] = [];
+  isLoading = true;
+  errorMessage = '';
+  // Free-text search over names, descriptions and tags
+  query = '';
+  // Tag the gallery is narrowed to, if any
+  selectedTag?: string;
+
+  ngOnInit(): void {
+    this.templateService.list().subscribe({
+      next: (templates) => {
+        this.templates = templates;
+        this.isLoading = false;
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        this.errorMessage = `Could not load templates: ${error.message}`;
+        this.isLoading = false;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  /** Tags used by any template, for the filter chips */
+  get tags(): string[] {
+    return [...new Set(this.templates.flatMap(template => template.tags))].sort();
+  }
+
+  get filtered(): TemplateSummary[] {
+    const query = this.query.trim().toLowerCase();
+    return this.templates.filter(template =>
+      (!this.selectedTag || template.tags.includes(this.selectedTag)) &&
+      (!query || [template.name, template.description, ...template.tags]
+        .some(text => text.toLowerCase().includes(query)))
+    );
+  }
+
+  toggleTag(tag: string): void {
+    this.selectedTag = this.selectedTag === tag ? undefined : tag;
+  }
+}
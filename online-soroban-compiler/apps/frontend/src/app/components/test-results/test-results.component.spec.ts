@@ -0,0 +1,77 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { TestFilter, TestResults } from '../../services/compiler';
+
+import { TestResultsComponent } from './test-results.component';
+
+const RESULTS: TestResults = {
+  tests: [
+    { name: 'test::test_hello', status: 'ok' },
+    { name: 'test::test_transfer', status: 'failed', message: "thread 'test::test_transfer' panicked" },
+    { name: 'test::test_later', status: 'ignored' }
+  ],
+  summary: { total: 3, passed: 1, failed: 1, ignored: 1, filteredOut: 0, duration: 20 }
+};
+
+describe('TestResultsComponent', () => {
+  let component: TestResultsComponent;
+  let fixture: ComponentFixture<TestResultsComponent>;
+  let requested: TestFilter[];
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [TestResultsComponent],
+      providers: [
+        provideZonelessChangeDetection()
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(TestResultsComponent);
+    component = fixture.componentInstance;
+    fixture.componentRef.setInput('results', RESULTS);
+    requested = [];
+    component.rerun.subscribe(filter => requested.push(filter));
+    fixture.detectChanges();
+  });
+
+  it('should summarize the counts and list failed tests first', () => {
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('.test-results-summary')?.textContent).toContain('1 passed');
+    expect(element.querySelector('.test-results-summary')?.textContent).toContain('1 failed');
+    expect(component.failedFirst.map(test => test.name)).toEqual([
+      'test::test_transfer',
+      'test::test_hello',
+      'test::test_later'
+    ]);
+  });
+
+  it('should expand the panic message of a failed test', async () => {
+    const toggle: HTMLButtonElement = fixture.nativeElement.querySelector('.test-results-toggle');
+    expect(fixture.nativeElement.querySelector('.test-results-message')).toBeNull();
+
+    toggle.click();
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    expect(fixture.nativeElement.querySelector('.test-results-message').textContent).toContain('panicked');
+  });
+
+  it('should re-run a single test by its exact name', () => {
+    const rerun: HTMLButtonElement = fixture.nativeElement.querySelector(
+      '[aria-label="Re-run test::test_transfer"]'
+    );
+    rerun.click();
+
+    expect(requested).toEqual([{ name: 'test::test_transfer', exact: true }]);
+  });
+
+  it('should run the tests matching a name filter', () => {
+    component.filter = '  transfer ';
+    component.runMatching();
+    component.filter = ' ';
+    component.runMatching();
+
+    expect(requested).toEqual([{ name: 'transfer' }]);
+  });
+});
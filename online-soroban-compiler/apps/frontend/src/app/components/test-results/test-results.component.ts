@@ -0,0 +1,50 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { TestCase, TestFilter, TestResults } from '../../services/compiler';
+
+@Component({
+  selector: 'app-test-results',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './test-results.component.html',
+  styleUrl: './test-results.component.css'
+})
+export class TestResultsComponent {
+  /** Results of the last test run */
+  @Input({ required: true }) results!: TestResults;
+  /** Whether a test run is in progress; re-runs are disabled meanwhile */
+  @Input() running = false;
+  /** Requests a run of the tests matching a filter */
+  @Output() rerun = new EventEmitter<TestFilter>();
+
+  filter = '';
+  // Names of failed tests whose output is shown
+  private expanded = new Set<string>();
+
+  get failedFirst(): TestCase[] {
+    const order = { failed: 0, ok: 1, ignored: 2 };
+    return [...this.results.tests].sort((a, b) => order[a.status] - order[b.status]);
+  }
+
+  isExpanded(test: TestCase): boolean {
+    return this.expanded.has(test.name);
+  }
+
+  toggle(test: TestCase): void {
+    if (!this.expanded.delete(test.name)) {
+      this.expanded.add(test.name);
+    }
+  }
+
+  rerunTest(test: TestCase): void {
+    this.rerun.emit({ name: test.name, exact: true });
+  }
+
+  runMatching(): void {
+    const name = this.filter.trim();
+    if (name) {
+      this.rerun.emit({ name });
+    }
+  }
+}
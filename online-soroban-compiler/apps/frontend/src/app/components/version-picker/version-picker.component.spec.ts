@@ -0,0 +1,92 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+import { of, throwError } from 'rxjs';
+import { ToolchainService, VersionMatrix } from '../../services/toolchains';
+
+import { VersionPickerComponent } from './version-picker.component';
+
+const STABLE = 'stable-x86_64-unknown-linux-gnu';
+const PINNED = '1.81.0-x86_64-unknown-linux-gnu';
+const NIGHTLY = 'nightly-aarch64-apple-darwin';
+
+const MATRIX: VersionMatrix = {
+  toolchains: [
+    { name: STABLE, rustc: 'rustc 1.84.0 (9fc6b4312 2025-01-07)', default: true, wasmTarget: true },
+    { name: PINNED, rustc: 'rustc 1.81.0 (eeb90cda1 2024-09-04)', default: false, wasmTarget: true },
+    { name: NIGHTLY, rustc: 'rustc 1.86.0-nightly (a2bcfae5c 2025-01-31)', default: false, wasmTarget: false }
+  ],
+  defaultToolchain: STABLE,
+  sdkVersions: ['22.0.0', '21.7.7'],
+  defaultSdkVersion: '22.0.0'
+};
+
+describe('VersionPickerComponent', () => {
+  let component: VersionPickerComponent;
+  let fixture: ComponentFixture<VersionPickerComponent>;
+  let toolchainService: jasmine.SpyObj<ToolchainService>;
+
+  async function create(): Promise<void> {
+    await TestBed.configureTestingModule({
+      imports: [VersionPickerComponent],
+      providers: [
+        provideZonelessChangeDetection(),
+        { provide: ToolchainService, useValue: toolchainService }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(VersionPickerComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+    await fixture.whenStable();
+  }
+
+  beforeEach(() => {
+    toolchainService = jasmine.createSpyObj('ToolchainService', ['list']);
+    toolchainService.list.and.returnValue(of(MATRIX));
+    toolchainService.selection = {};
+  });
+
+  it('should select the default versions', async () => {
+    await create();
+
+    expect(toolchainService.selection).toEqual({ toolchain: STABLE, sdkVersion: '22.0.0' });
+  });
+
+  it('should keep an earlier choice that is still offered', async () => {
+    toolchainService.selection = { toolchain: PINNED, sdkVersion: '20.0.0' };
+    await create();
+
+    expect(toolchainService.selection).toEqual({ toolchain: PINNED, sdkVersion: '22.0.0' });
+  });
+
+  it('should offer toolchains without the wasm target as disabled', async () => {
+    await create();
+
+    const options = [...fixture.nativeElement.querySelectorAll('#version-picker-toolchain option')] as HTMLOptionElement[];
+    expect(options.map(option => option.textContent?.trim())).toEqual([
+      'stable (1.84.0)',
+      '1.81.0',
+      'nightly (1.86.0-nightly), no wasm target'
+    ]);
+    expect(options.map(option => option.disabled)).toEqual([false, false, true]);
+  });
+
+  it('should only offer soroban-sdk versions without rustup toolchains', async () => {
+    toolchainService.list.and.returnValue(of({ ...MATRIX, toolchains: [], defaultToolchain: undefined }));
+    await create();
+
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelector('#version-picker-toolchain')).toBeNull();
+    expect(element.querySelectorAll('#version-picker-sdk option').length).toBe(2);
+    expect(component.selection).toEqual({ toolchain: undefined, sdkVersion: '22.0.0' });
+  });
+
+  it('should fall back to the default versions when they cannot be loaded', async () => {
+    toolchainService.list.and.returnValue(throwError(() => new Error('Server Error: 0 - Unknown Error')));
+    await create();
+
+    expect(toolchainService.selection).toEqual({});
+    expect(fixture.nativeElement.querySelector('.version-picker-error')?.textContent).toContain('Default versions');
+  });
+});
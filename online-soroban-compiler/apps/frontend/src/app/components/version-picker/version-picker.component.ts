@@ -0,0 +1,59 @@
+import { ChangeDetectorRef, Component, OnInit, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Toolchain, ToolchainService, VersionMatrix, VersionSelection } from '../../services/toolchains';
+
+// Host triple at the end of rustup toolchain names, e.g. `-x86_64-unknown-linux-gnu`
+const HOST_TRIPLE_PATTERN = /-(x86_64|aarch64|i686|armv7|arm|riscv64gc|powerpc64le|s390x|loongarch64)-.+$/;
+
+@Component({
+  selector: 'app-version-picker',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './version-picker.component.html',
+  styleUrl: './version-picker.component.css'
+})
+export class VersionPickerComponent implements OnInit {
+  private toolchainService = inject(ToolchainService);
+  private changeDetector = inject(ChangeDetectorRef);
+
+  // Toolchains and soroban-sdk versions the backend offers
+  matrix?: VersionMatrix;
+  errorMessage = '';
+
+  get selection(): VersionSelection {
+    return this.toolchainService.selection;
+  }
+
+  ngOnInit(): void {
+    this.toolchainService.list().subscribe({
+      next: (matrix) => {
+        this.matrix = matrix;
+        // Keep an earlier choice while it is still offered
+        const { toolchain, sdkVersion } = this.selection;
+        this.toolchainService.selection = {
+          toolchain: matrix.toolchains.some(offered => offered.name === toolchain && offered.wasmTarget)
+            ? toolchain
+            : matrix.defaultToolchain,
+          sdkVersion: sdkVersion && matrix.sdkVersions.includes(sdkVersion) ? sdkVersion : matrix.defaultSdkVersion
+        };
+        this.changeDetector.markForCheck();
+      },
+      error: (error: Error) => {
+        // Builds still run with the backend's defaults
+        this.errorMessage = `Could not load the toolchains: ${error.message}`;
+        this.changeDetector.markForCheck();
+      }
+    });
+  }
+
+  /**
+   * Short name of a toolchain with its Rust version, e.g. `stable (1.84.0)`
+   */
+  label(toolchain: Toolchain): string {
+    const name = toolchain.name.replace(HOST_TRIPLE_PATTERN, '');
+    const version = toolchain.rustc.split(' ')[1] ?? '';
+    const label = version && version !== name ? `${name} (${version})` : name;
+    return toolchain.wasmTarget ? label : `${label}, no wasm target`;
+  }
+}
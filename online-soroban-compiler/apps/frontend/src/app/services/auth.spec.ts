@@ -0,0 +1,110 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClient, provideHttpClient, withInterceptors } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { AuthService, Session, authInterceptor } from './auth';
+
+describe('AuthService', () => {
+  let service: AuthService;
+  let http: HttpClient;
+  let httpMock: HttpTestingController;
+
+  const session: Session = {
+    token: 'eyJzdWIiOiJhbGljZSJ9.c2lnbmF0dXJl',
+    user: { id: 'alice' },
+    expiresAt: '2999-01-01T00:00:00.000Z'
+  };
+
+  /** Sign in as alice through the mocked backend */
+  function signIn(): void {
+    service.login('alice-key').subscribe();
+    httpMock.expectOne('http://localhost:3000/api/v1/auth/login')
+      .flush({ success: true, message: 'Signed in as alice', ...session });
+  }
+
+  beforeEach(() => {
+    localStorage.removeItem('soroban-ide.session');
+    TestBed.configureTestingModule({
+      providers: [
+        provideZonelessChangeDetection(),
+        provideHttpClient(withInterceptors([authInterceptor])),
+        provideHttpClientTesting()
+      ]
+    });
+    service = TestBed.inject(AuthService);
+    http = TestBed.inject(HttpClient);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    localStorage.removeItem('soroban-ide.session');
+  });
+
+  it('should exchange an API key for a session and keep it', () => {
+    let signedIn: Session | undefined;
+    service.login('alice-key').subscribe(result => (signedIn = result));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/auth/login');
+    expect(req.request.body).toEqual({ apiKey: 'alice-key' });
+    expect(req.request.headers.has('Authorization')).toBeFalse();
+    req.flush({ success: true, message: 'Signed in as alice', ...session });
+
+    expect(signedIn).toEqual(session);
+    expect(service.user).toEqual({ id: 'alice' });
+    expect(JSON.parse(localStorage.getItem('soroban-ide.session') ?? 'null')).toEqual(session);
+  });
+
+  it('should report invalid API keys', () => {
+    let error: Error | undefined;
+    service.login('wrong').subscribe({ error: (e: Error) => (error = e) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/auth/login')
+      .flush({ success: false, message: 'Authentication failed' }, { status: 401, statusText: 'Unauthorized' });
+
+    expect(error?.message).toBe('Invalid API key');
+    expect(service.session).toBeUndefined();
+  });
+
+  it('should forget expired sessions', () => {
+    localStorage.setItem('soroban-ide.session', JSON.stringify({ ...session, expiresAt: '2000-01-01T00:00:00.000Z' }));
+
+    expect(TestBed.runInInjectionContext(() => new AuthService()).session).toBeUndefined();
+    expect(localStorage.getItem('soroban-ide.session')).toBeNull();
+  });
+
+  it('should add the token to stream URLs', () => {
+    expect(service.withToken('http://localhost:3000/api/v1/jobs/1/events'))
+      .toBe('http://localhost:3000/api/v1/jobs/1/events');
+
+    signIn();
+
+    expect(service.withToken('ws://localhost:3000/api/v1/lsp'))
+      .toBe(`ws://localhost:3000/api/v1/lsp?access_token=${session.token}`);
+  });
+
+  describe('authInterceptor', () => {
+    it('should send the token to the backend only', () => {
+      signIn();
+
+      http.get('http://localhost:3000/api/v1/jobs/1').subscribe();
+      http.get('https://unpkg.com/monaco-editor@0.31.1/min/vs/loader.js').subscribe();
+
+      expect(httpMock.expectOne('http://localhost:3000/api/v1/jobs/1').request.headers.get('Authorization'))
+        .toBe(`Bearer ${session.token}`);
+      expect(httpMock.expectOne('https://unpkg.com/monaco-editor@0.31.1/min/vs/loader.js').request.headers.has('Authorization'))
+        .toBeFalse();
+    });
+
+    it('should sign out when the backend rejects the token', () => {
+      signIn();
+
+      http.get('http://localhost:3000/api/v1/snippets').subscribe({ error: () => undefined });
+      httpMock.expectOne('http://localhost:3000/api/v1/snippets')
+        .flush({ success: false, message: 'Authentication failed' }, { status: 401, statusText: 'Unauthorized' });
+
+      expect(service.session).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { Injectable, PLATFORM_ID, inject } from '@angular/core';
+import { isPlatformBrowser } from '@angular/common';
+import { HttpClient, HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map, tap } from 'rxjs/operators';
+
+/**
+ * A user signed in to the compiler backend
+ */
+export interface User {
+  id: string;
+}
+
+/**
+ * Bearer token issued for an API key, kept across page loads
+ */
+export interface Session {
+  token: string;
+  user: User;
+  /** ISO timestamp after which the backend rejects the token */
+  expiresAt: string;
+}
+
+interface LoginResponse extends Session {
+  success: boolean;
+  message: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private readonly STORAGE_KEY = 'soroban-ide.session';
+  private http = inject(HttpClient);
+  // Sessions are only kept in the browser; server-side rendering is always anonymous
+  private storage = isPlatformBrowser(inject(PLATFORM_ID)) ? globalThis.localStorage : undefined;
+  private current = this.restore();
+
+  /**
+   * The signed-in session, or undefined once it expired or the user signed out
+   */
+  get session(): Session | undefined {
+    if (this.current && Date.parse(this.current.expiresAt) <= Date.now()) {
+      this.logout();
+    }
+    return this.current;
+  }
+
+  get user(): User | undefined {
+    return this.session?.user;
+  }
+
+  get token(): string | undefined {
+    return this.session?.token;
+  }
+
+  /**
+   * Exchange an API key for a bearer token and keep it for later requests
+   */
+  login(apiKey: string): Observable<Session> {
+    return this.http.post<LoginResponse>(`${this.API_BASE_URL}/auth/login`, { apiKey })
+      .pipe(
+        map(({ token, user, expiresAt }) => ({ token, user, expiresAt })),
+        tap(session => {
+          this.current = session;
+          this.storage?.setItem(this.STORAGE_KEY, JSON.stringify(session));
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  logout(): void {
+    this.current = undefined;
+    this.storage?.removeItem(this.STORAGE_KEY);
+  }
+
+  /**
+   * Add the token to a URL, for EventSource and WebSocket connections which cannot send headers
+   */
+  withToken(url: string): string {
+    const token = this.token;
+    if (!token) {
+      return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Whether a request goes to the compiler backend, the only place the token is sent
+   */
+  isApiRequest(url: string): boolean {
+    return url.startsWith(this.API_BASE_URL);
+  }
+
+  private restore(): Session | undefined {
+    try {
+      const stored = this.storage?.getItem(this.STORAGE_KEY);
+      return stored ? JSON.parse(stored) as Session : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.status === 401
+      ? 'Invalid API key'
+      : error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
+
+/**
+ * Attaches the bearer token to backend requests and drops the session when
+ * the backend no longer accepts it
+ */
+export const authInterceptor: HttpInterceptorFn = (req, next) => {
+  const auth = inject(AuthService);
+  const token = auth.token;
+  if (!token || !auth.isApiRequest(req.url)) {
+    return next(req);
+  }
+
+  return next(req.clone({ setHeaders: { Authorization: `Bearer ${token}` } })).pipe(
+    tap({
+      error: (error: unknown) => {
+        if (error instanceof HttpErrorResponse && error.status === 401) {
+          auth.logout();
+        }
+      }
+    })
+  );
+};
@@ -1,11 +1,21 @@
 import { TestBed } from '@angular/core/testing';
-import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
 import { provideZonelessChangeDetection } from '@angular/core';
 
-import { CompilerService } from './compiler';
+import { CompilerService, Job } from './compiler';
+import { ToolchainService } from './toolchains';
 
 describe('CompilerService', () => {
   let service: CompilerService;
+  let httpMock: HttpTestingController;
+
+  const queuedJob: Job = {
+    id: 'job-1',
+    kind: 'compile',
+    status: 'queued',
+    logs: [],
+    artifacts: []
+  };
 
   beforeEach(() => {
     TestBed.configureTestingModule({
@@ -13,9 +23,75 @@ describe('CompilerService', () => {
       providers: [provideZonelessChangeDetection()]
     });
     service = TestBed.inject(CompilerService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
   });
 
   it('should be created', () => {
     expect(service).toBeTruthy();
   });
+
+  it('should submit jobs to the versioned API', () => {
+    let submitted: Job | undefined;
+    service.submitJob('compile', 'fn main() {}').subscribe(job => (submitted = job));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/jobs');
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ code: 'fn main() {}', type: 'compile' });
+    req.flush({ success: true, message: 'Job queued', job: queuedJob });
+
+    expect(submitted).toEqual(queuedJob);
+  });
+
+  it('should submit multi-file projects as a file tree', () => {
+    const files = { 'src/lib.rs': 'mod storage;', 'src/storage.rs': 'pub fn get() {}' };
+    service.submitJob('test', files).subscribe();
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/jobs');
+    expect(req.request.body).toEqual({ files, type: 'test' });
+    req.flush({ success: true, message: 'Job queued', job: { ...queuedJob, kind: 'test' } });
+  });
+
+  it('should send the tests to re-run with a test job', () => {
+    service.submitJob('test', 'fn main() {}', { name: 'test::test_hello', exact: true }).subscribe();
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/jobs');
+    expect(req.request.body).toEqual({
+      code: 'fn main() {}',
+      testFilter: { name: 'test::test_hello', exact: true },
+      type: 'test'
+    });
+    req.flush({ success: true, message: 'Job queued', job: { ...queuedJob, kind: 'test' } });
+  });
+
+  it('should build against the selected toolchain and soroban-sdk version', () => {
+    TestBed.inject(ToolchainService).selection = {
+      toolchain: '1.81.0-x86_64-unknown-linux-gnu',
+      sdkVersion: '21.7.7'
+    };
+    service.submitJob('compile', 'fn main() {}').subscribe();
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/jobs');
+    expect(req.request.body).toEqual({
+      code: 'fn main() {}',
+      toolchain: '1.81.0-x86_64-unknown-linux-gnu',
+      sdkVersion: '21.7.7',
+      type: 'compile'
+    });
+    req.flush({ success: true, message: 'Job queued', job: queuedJob });
+  });
+
+  it('should fetch job status by id', () => {
+    let fetched: Job | undefined;
+    service.getJob('job-1').subscribe(job => (fetched = job));
+
+    httpMock
+      .expectOne('http://localhost:3000/api/v1/jobs/job-1')
+      .flush({ success: true, message: 'Job succeeded', job: { ...queuedJob, status: 'succeeded' } });
+
+    expect(fetched?.status).toBe('succeeded');
+  });
 });
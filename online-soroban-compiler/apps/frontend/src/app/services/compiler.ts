@@ -1,64 +1,312 @@
 import { Injectable, inject } from '@angular/core';
 import { HttpClient, HttpErrorResponse } from '@angular/common/http';
-import { Observable, throwError } from 'rxjs';
-import { catchError, map } from 'rxjs/operators';
+import { Observable, of, throwError, timer } from 'rxjs';
+import { catchError, last, map, switchMap, takeWhile } from 'rxjs/operators';
+import { AuthService } from './auth';
+import { ToolchainService } from './toolchains';
 
 // Define interfaces for type safety
 export interface CompileRequest {
-  code: string;
+  code?: string;
+  files?: ProjectFiles;
+  testFilter?: TestFilter;
+  /** rustup toolchain to build with */
+  toolchain?: string;
+  sdkVersion?: string;
 }
 
+/**
+ * Source files of a multi-file project keyed by relative path, e.g. `src/storage.rs`
+ */
+export type ProjectFiles = Record<string, string>;
+
+/**
+ * What gets built: the code of a single-file contract, or a whole file tree
+ */
+export type ProjectSource = string | ProjectFiles;
+
 export interface CompileResponse {
   output: string;
   success?: boolean;
+  message?: string;
   error?: string;
+  duration?: number;
+  artifact?: ContractArtifact;
+  diagnostics?: Diagnostic[];
 }
 
 export interface TestResponse {
   output: string;
   success?: boolean;
+  message?: string;
+  error?: string;
+  duration?: number;
+  diagnostics?: Diagnostic[];
+  testResults?: TestResults;
+}
+
+/**
+ * Selects tests by name: a substring of their path, or the full path with `exact`
+ */
+export interface TestFilter {
+  name: string;
+  exact?: boolean;
+}
+
+export type TestStatus = 'ok' | 'failed' | 'ignored';
+
+export interface TestCase {
+  name: string;
+  status: TestStatus;
+  /** Captured output of a failed test, including its panic message */
+  message?: string;
+}
+
+export interface TestSummary {
+  total: number;
+  passed: number;
+  failed: number;
+  ignored: number;
+  filteredOut: number;
+  duration: number;
+}
+
+/**
+ * Per-test results of a test run
+ */
+export interface TestResults {
+  tests: TestCase[];
+  summary: TestSummary;
+}
+
+export type DiagnosticLevel = 'error' | 'warning' | 'note' | 'help';
+
+/**
+ * Source region of a diagnostic; lines and columns are 1-based and the end column is exclusive
+ */
+export interface DiagnosticRange {
+  file: string;
+  lineStart: number;
+  lineEnd: number;
+  columnStart: number;
+  columnEnd: number;
+}
+
+export interface DiagnosticSpan extends DiagnosticRange {
+  primary: boolean;
+  label?: string;
+}
+
+/**
+ * A fix suggested by rustc, applied as a whole
+ */
+export interface DiagnosticFix {
+  message: string;
+  applicability: 'MachineApplicable' | 'MaybeIncorrect' | 'HasPlaceholders' | 'Unspecified';
+  edits: (DiagnosticRange & { replacement: string })[];
+}
+
+/**
+ * A compiler error or warning reported by cargo
+ */
+export interface Diagnostic {
+  level: DiagnosticLevel;
+  code?: string;
+  message: string;
+  spans: DiagnosticSpan[];
+  notes: string[];
+  fixes: DiagnosticFix[];
+  rendered: string;
+}
+
+/**
+ * A type from the contract spec, e.g. `{ type: 'vec', elementType: { type: 'symbol' } }`
+ */
+export interface SpecType {
+  type: string;
+  [detail: string]: unknown;
+}
+
+export interface ContractFunction {
+  name: string;
+  doc: string;
+  inputs: { name: string; type: SpecType }[];
+  outputs: SpecType[];
+  signature: string;
+}
+
+export interface BuildArtifact {
+  name: string;
+  size: number;
+  sha256: string;
+  optimized: boolean;
+}
+
+/**
+ * Compiled contract returned by a successful compilation
+ */
+export interface ContractArtifact extends BuildArtifact {
+  /** Base64 encoded wasm */
+  wasm: string;
+  spec: { functions: ContractFunction[] };
+  specError?: string;
+}
+
+export type JobType = 'compile' | 'test' | 'lint';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+export interface Job {
+  id: string;
+  kind: JobType;
+  status: JobStatus;
+  queuePosition?: number;
+  logs: string[];
+  message?: string;
+  output?: string;
   error?: string;
+  duration?: number;
+  timedOut?: boolean;
+  artifacts: BuildArtifact[];
+  artifact?: ContractArtifact;
+  cached?: boolean;
+  diagnostics?: Diagnostic[];
+  testFilter?: TestFilter;
+  testResults?: TestResults;
+  /** Sandbox limit the build was stopped by */
+  limitExceeded?: 'cpu' | 'memory' | 'pids';
+}
+
+export type JobEvent =
+  | { type: 'status'; status: JobStatus }
+  | { type: 'log'; line: string }
+  | { type: 'done'; job: Job };
+
+interface JobResponse {
+  success: boolean;
+  message: string;
+  job: Job;
 }
 
 @Injectable({
   providedIn: 'root'
 })
 export class CompilerService {
-  private readonly API_BASE_URL = 'http://localhost:3000/api';
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private readonly POLL_INTERVAL_MS = 1000;
   private http = inject(HttpClient);
+  private auth = inject(AuthService);
+  private toolchains = inject(ToolchainService);
 
   /**
    * Compile Rust smart contract code
    */
-  compile(code: string): Observable<CompileResponse> {
-    const request: CompileRequest = { code };
-    
-    return this.http.post<CompileResponse>(`${this.API_BASE_URL}/compile`, request)
+  compile(source: ProjectSource): Observable<CompileResponse> {
+    return this.runJob('compile', source);
+  }
+
+  /**
+   * Test Rust smart contract code
+   */
+  test(source: ProjectSource): Observable<TestResponse> {
+    return this.runJob('test', source);
+  }
+
+  /**
+   * Queue a compile, test or lint job on the backend, optionally running only some tests.
+   * Builds use the toolchain and soroban-sdk version selected in the editor.
+   */
+  submitJob(type: JobType, source: ProjectSource, testFilter?: TestFilter): Observable<Job> {
+    const request: CompileRequest = {
+      ...(typeof source === 'string' ? { code: source } : { files: source }),
+      ...this.toolchains.selection
+    };
+    if (testFilter) {
+      request.testFilter = testFilter;
+    }
+
+    return this.http.post<JobResponse>(`${this.API_BASE_URL}/jobs`, { ...request, type })
       .pipe(
-        map(response => ({
-          ...response,
-          success: true
-        })),
+        map(response => response.job),
         catchError(this.handleError)
       );
   }
 
   /**
-   * Test Rust smart contract code
+   * Fetch the current state of a job
    */
-  test(code: string): Observable<TestResponse> {
-    const request: CompileRequest = { code };
-    
-    return this.http.post<TestResponse>(`${this.API_BASE_URL}/test`, request)
+  getJob(id: string): Observable<Job> {
+    return this.http.get<JobResponse>(`${this.API_BASE_URL}/jobs/${id}`)
       .pipe(
-        map(response => ({
-          ...response,
-          success: true
-        })),
+        map(response => response.job),
         catchError(this.handleError)
       );
   }
 
+  /**
+   * Submit a job and stream its progress (status changes, log lines, final result)
+   */
+  streamJob(type: JobType, source: ProjectSource, testFilter?: TestFilter): Observable<JobEvent> {
+    return this.submitJob(type, source, testFilter).pipe(
+      switchMap(job => this.watchJob(job.id))
+    );
+  }
+
+  /**
+   * Follow a job's Server-Sent Events stream until its `done` event
+   */
+  watchJob(id: string): Observable<JobEvent> {
+    return new Observable<JobEvent>(subscriber => {
+      // EventSource cannot send headers, so the token goes in the URL
+      const source = new EventSource(this.auth.withToken(`${this.API_BASE_URL}/jobs/${id}/events`));
+
+      const forward = (message: MessageEvent<string>) => {
+        const event = JSON.parse(message.data) as JobEvent;
+        subscriber.next(event);
+        if (event.type === 'done') {
+          source.close();
+          subscriber.complete();
+        }
+      };
+
+      for (const type of ['status', 'log', 'done']) {
+        source.addEventListener(type, forward as EventListener);
+      }
+
+      source.onerror = () => {
+        source.close();
+        const errorMessage = 'Lost connection to the build stream';
+        subscriber.error({ output: errorMessage, success: false, message: errorMessage, error: errorMessage });
+      };
+
+      return () => source.close();
+    });
+  }
+
+  /**
+   * Submit a job and poll it until it finishes, emitting the final result
+   */
+  private runJob(type: JobType, source: ProjectSource): Observable<CompileResponse> {
+    return this.submitJob(type, source).pipe(
+      switchMap(job => timer(0, this.POLL_INTERVAL_MS).pipe(
+        switchMap(() => this.getJob(job.id)),
+        takeWhile(current => current.status === 'queued' || current.status === 'running', true),
+        last()
+      )),
+      switchMap(job => {
+        const response: CompileResponse = {
+          output: job.output ?? '',
+          success: job.status === 'succeeded',
+          message: job.message,
+          error: job.error,
+          duration: job.duration,
+          artifact: job.artifact
+        };
+        return response.success ? of(response) : throwError(() => response);
+      })
+    );
+  }
+
   /**
    * Handle HTTP errors
    */
@@ -77,9 +325,10 @@ export class CompilerService {
     
     console.error('CompilerService Error:', errorMessage);
     return throwError(() => ({
-      output: errorMessage,
+      output: error.error?.output || errorMessage,
       success: false,
-      error: errorMessage
+      message: errorMessage,
+      error: error.error?.error || errorMessage
     }));
   }
 }
@@ -0,0 +1,68 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { ContractInterface, ContractService } from './contracts';
+
+describe('ContractService', () => {
+  let service: ContractService;
+  let httpMock: HttpTestingController;
+
+  const contractInterface: ContractInterface = {
+    functions: [],
+    structs: [],
+    unions: [],
+    enums: [],
+    errors: [{ doc: '', name: 'Error', cases: [{ doc: '', name: 'NotFound', value: 1 }] }],
+    events: []
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(ContractService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should read the interface of a compiled contract', () => {
+    let result: ContractInterface | undefined;
+    service.getInterface('AGFzbQ==').subscribe(value => (result = value));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/contracts/interface');
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ wasm: 'AGFzbQ==' });
+    req.flush({ success: true, message: '0 functions', interface: contractInterface });
+
+    expect(result).toEqual(contractInterface);
+  });
+
+  it('should download bindings as a blob', () => {
+    let result: Blob | undefined;
+    service.getBindings('AGFzbQ==', 'hello-world').subscribe(value => (result = value));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/contracts/bindings');
+    expect(req.request.body).toEqual({ wasm: 'AGFzbQ==', name: 'hello-world' });
+    expect(req.request.responseType).toBe('blob');
+    req.flush(new Blob(['PK'], { type: 'application/zip' }));
+
+    expect(result?.type).toBe('application/zip');
+  });
+
+  it('should report invalid contracts as errors', () => {
+    let error: Error | undefined;
+    service.getInterface('AAAA').subscribe({ error: (value: Error) => (error = value) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/contracts/interface').flush(
+      { success: false, message: 'Invalid request: Invalid wasm module: missing \\0asm header' },
+      { status: 400, statusText: 'Bad Request' }
+    );
+
+    expect(error?.message).toBe('Invalid request: Invalid wasm module: missing \\0asm header');
+  });
+});
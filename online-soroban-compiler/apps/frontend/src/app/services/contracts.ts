@@ -0,0 +1,96 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { ContractFunction, SpecType } from './compiler';
+
+/**
+ * A named, typed value: struct field or event parameter
+ */
+export interface SpecField {
+  doc: string;
+  name: string;
+  type: SpecType;
+}
+
+export interface SpecStruct {
+  doc: string;
+  name: string;
+  fields: SpecField[];
+}
+
+/**
+ * A Rust enum whose cases may carry values
+ */
+export interface SpecUnion {
+  doc: string;
+  name: string;
+  cases: { doc: string; name: string; types: SpecType[] }[];
+}
+
+/**
+ * A plain enum, or an error enum whose values are contract error codes
+ */
+export interface SpecEnum {
+  doc: string;
+  name: string;
+  cases: { doc: string; name: string; value: number }[];
+}
+
+export interface SpecEvent {
+  doc: string;
+  name: string;
+  prefixTopics: string[];
+  params: (SpecField & { location: 'data' | 'topic_list' })[];
+  dataFormat: 'single_value' | 'vec' | 'map';
+}
+
+/**
+ * Everything the spec of a compiled contract declares
+ */
+export interface ContractInterface {
+  functions: ContractFunction[];
+  structs: SpecStruct[];
+  unions: SpecUnion[];
+  enums: SpecEnum[];
+  errors: SpecEnum[];
+  events: SpecEvent[];
+}
+
+interface ContractInterfaceResponse {
+  success: boolean;
+  message: string;
+  interface: ContractInterface;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ContractService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * Read the interface declared in compiled contract wasm (base64)
+   */
+  getInterface(wasm: string): Observable<ContractInterface> {
+    return this.http.post<ContractInterfaceResponse>(`${this.API_BASE_URL}/contracts/interface`, { wasm })
+      .pipe(
+        map(response => response.interface),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Generate a TypeScript client package for compiled contract wasm (base64), as a zip archive
+   */
+  getBindings(wasm: string, name?: string): Observable<Blob> {
+    return this.http.post(`${this.API_BASE_URL}/contracts/bindings`, { wasm, name }, { responseType: 'blob' })
+      .pipe(catchError(this.handleError));
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
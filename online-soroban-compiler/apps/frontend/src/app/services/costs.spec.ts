@@ -0,0 +1,54 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { CostReport, CostService } from './costs';
+
+describe('CostService', () => {
+  let service: CostService;
+  let httpMock: HttpTestingController;
+
+  const report: CostReport = {
+    wasmHash: 'b'.repeat(64),
+    wasmSize: 900,
+    sections: [{ name: 'code', size: 700, custom: false }],
+    functions: []
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(CostService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should fetch a report compared with the baseline', () => {
+    let result: CostReport | undefined;
+    service.get(report.wasmHash, 'a'.repeat(64)).subscribe(value => (result = value));
+
+    const req = httpMock.expectOne(
+      `http://localhost:3000/api/v1/costs/${report.wasmHash}?baseline=${'a'.repeat(64)}`
+    );
+    req.flush({ success: true, message: '0 profiled functions', costReport: report });
+
+    expect(result).toEqual(report);
+  });
+
+  it('should report unknown builds as errors', () => {
+    let error: Error | undefined;
+    service.get(report.wasmHash).subscribe({ error: (value: Error) => (error = value) });
+
+    httpMock.expectOne(`http://localhost:3000/api/v1/costs/${report.wasmHash}`).flush(
+      { success: false, message: 'Cost report not found' },
+      { status: 404, statusText: 'Not Found' }
+    );
+
+    expect(error?.message).toBe('Cost report not found');
+  });
+});
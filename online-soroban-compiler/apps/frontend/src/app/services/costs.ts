@@ -0,0 +1,87 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse, HttpParams } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { InvocationCost } from './deployments';
+
+export interface SectionSize {
+  name: string;
+  size: number;
+  /** Custom sections hold metadata such as the contract spec */
+  custom: boolean;
+}
+
+/**
+ * Latest resources measured for a function on the local network
+ */
+export interface FunctionCost extends InvocationCost {
+  function: string;
+  samples: number;
+  measuredAt: string;
+}
+
+/**
+ * Change of a figure since the previous build
+ */
+export interface CostChange {
+  previous: number;
+  current: number;
+  change: number;
+  /** Null when the previous value was 0 */
+  percent: number | null;
+}
+
+export interface CostComparison {
+  baseline: string;
+  wasmSize: CostChange;
+  sections: ({ name: string } & CostChange)[];
+  functions: {
+    function: string;
+    cpuInstructions: CostChange;
+    memoryBytes: CostChange;
+    readBytes?: CostChange;
+    writeBytes?: CostChange;
+  }[];
+}
+
+/**
+ * Size and measured function costs of a compiled contract
+ */
+export interface CostReport {
+  wasmHash: string;
+  wasmSize: number;
+  sections: SectionSize[];
+  functions: FunctionCost[];
+  comparison?: CostComparison;
+}
+
+interface CostReportResponse {
+  success: boolean;
+  message: string;
+  costReport: CostReport;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class CostService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * Fetch the cost report of a build, compared with a previous build when given
+   */
+  get(wasmHash: string, baseline?: string): Observable<CostReport> {
+    const params = baseline ? new HttpParams().set('baseline', baseline) : undefined;
+    return this.http.get<CostReportResponse>(`${this.API_BASE_URL}/costs/${wasmHash}`, { params })
+      .pipe(
+        map(response => response.costReport),
+        catchError(this.handleError)
+      );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
@@ -0,0 +1,77 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { Deployment, DeploymentService, Invocation } from './deployments';
+
+describe('DeploymentService', () => {
+  let service: DeploymentService;
+  let httpMock: HttpTestingController;
+
+  const CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(DeploymentService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should deploy wasm', () => {
+    const deployment: Deployment = {
+      contractId: CONTRACT_ID,
+      wasmHash: 'abc',
+      functions: [],
+      deployedAt: '2025-01-01T00:00:00.000Z'
+    };
+    let deployed: Deployment | undefined;
+    service.deploy('AGFzbQ==').subscribe(result => (deployed = result));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/deployments');
+    expect(req.request.body).toEqual({ wasm: 'AGFzbQ==' });
+    req.flush({ success: true, message: 'Deployed', deployment });
+
+    expect(deployed).toEqual(deployment);
+  });
+
+  it('should return failed invocations instead of erroring', () => {
+    const invocation: Invocation = {
+      function: 'transfer',
+      success: false,
+      returnValue: null,
+      events: [],
+      logs: [],
+      error: 'HostError: Error(Contract, #2)',
+      duration: 12
+    };
+    let result: Invocation | undefined;
+    service.invoke(CONTRACT_ID, 'transfer', { amount: '5' }).subscribe(value => (result = value));
+
+    const req = httpMock.expectOne(`http://localhost:3000/api/v1/deployments/${CONTRACT_ID}/invoke`);
+    expect(req.request.body).toEqual({ function: 'transfer', args: { amount: '5' } });
+    req.flush(
+      { success: false, message: 'Invocation of transfer failed', invocation },
+      { status: 400, statusText: 'Bad Request' }
+    );
+
+    expect(result).toEqual(invocation);
+  });
+
+  it('should report network errors with the CLI output', () => {
+    let error: Error | undefined;
+    service.deploy('AGFzbQ==').subscribe({ error: (e: Error) => (error = e) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/deployments').flush(
+      { success: false, message: 'Could not deploy the contract on the local network', error: 'connection refused' },
+      { status: 502, statusText: 'Bad Gateway' }
+    );
+
+    expect(error?.message).toBe('Could not deploy the contract on the local network: connection refused');
+  });
+});
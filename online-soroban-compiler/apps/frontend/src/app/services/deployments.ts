@@ -0,0 +1,97 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, of, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { ContractFunction } from './compiler';
+
+/**
+ * A contract deployed to the backend's local network
+ */
+export interface Deployment {
+  /** Contract address (`C...`) */
+  contractId: string;
+  wasmHash: string;
+  functions: ContractFunction[];
+  deployedAt: string;
+}
+
+/**
+ * Resources consumed by an invocation
+ */
+export interface InvocationCost {
+  cpuInstructions: number;
+  memoryBytes: number;
+  /** Ledger bytes read and written, when the simulation reported them */
+  readBytes?: number;
+  writeBytes?: number;
+}
+
+/**
+ * Result of calling a contract function
+ */
+export interface Invocation {
+  function: string;
+  success: boolean;
+  /** Return value as decoded by the stellar CLI */
+  returnValue: unknown;
+  events: string[];
+  logs: string[];
+  cost?: InvocationCost;
+  error?: string;
+  duration: number;
+}
+
+interface DeploymentResponse {
+  success: boolean;
+  message: string;
+  deployment: Deployment;
+}
+
+interface InvocationResponse {
+  success: boolean;
+  message: string;
+  invocation?: Invocation;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class DeploymentService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * Deploy compiled contract wasm (base64) to the local network
+   */
+  deploy(wasm: string): Observable<Deployment> {
+    return this.http.post<DeploymentResponse>(`${this.API_BASE_URL}/deployments`, { wasm })
+      .pipe(
+        map(response => response.deployment),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Call a function of a deployed contract. Calls the contract rejects still
+   * produce an invocation, with `success: false` and the host error.
+   */
+  invoke(contractId: string, fn: string, args: Record<string, unknown>): Observable<Invocation> {
+    return this.http.post<InvocationResponse>(
+      `${this.API_BASE_URL}/deployments/${encodeURIComponent(contractId)}/invoke`,
+      { function: fn, args }
+    ).pipe(
+      map(response => response.invocation as Invocation),
+      catchError((error: HttpErrorResponse) => {
+        const invocation = (error.error as InvocationResponse | null)?.invocation;
+        return invocation ? of(invocation) : this.handleError(error);
+      })
+    );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.error?.error
+      ? `${error.error.message}: ${error.error.error}`
+      : error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
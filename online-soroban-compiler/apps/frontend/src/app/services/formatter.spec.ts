@@ -0,0 +1,83 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { Diagnostic } from './compiler';
+import { FormatResult, FormatService } from './formatter';
+
+describe('FormatService', () => {
+  let service: FormatService;
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(FormatService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should send single-file code with the rustfmt options', () => {
+    let result: FormatResult | undefined;
+    service.format('pub fn a(){}', { max_width: 80 }).subscribe(formatted => (result = formatted));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/format');
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ code: 'pub fn a(){}', rustfmt: { max_width: 80 } });
+    req.flush({
+      success: true,
+      message: 'Code formatted',
+      code: 'pub fn a() {}\n',
+      files: { 'src/lib.rs': 'pub fn a() {}\n' }
+    });
+
+    expect(result).toEqual({
+      success: true,
+      message: 'Code formatted',
+      files: { 'src/lib.rs': 'pub fn a() {}\n' },
+      diagnostics: []
+    });
+  });
+
+  it('should return parse errors instead of failing', () => {
+    const diagnostic: Diagnostic = {
+      level: 'error',
+      message: 'expected item, found `}`',
+      spans: [{ file: 'src/math.rs', lineStart: 1, lineEnd: 1, columnStart: 1, columnEnd: 2, primary: true }],
+      notes: [],
+      fixes: [],
+      rendered: 'error: expected item, found `}`'
+    };
+    let result: FormatResult | undefined;
+    service.format({ 'src/lib.rs': 'mod math;', 'src/math.rs': '}' }).subscribe(formatted => (result = formatted));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/format');
+    expect(req.request.body).toEqual({ files: { 'src/lib.rs': 'mod math;', 'src/math.rs': '}' } });
+    req.flush(
+      { success: false, message: 'Formatting failed: the code could not be parsed', diagnostics: [diagnostic] },
+      { status: 400, statusText: 'Bad Request' }
+    );
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Formatting failed: the code could not be parsed',
+      files: undefined,
+      diagnostics: [diagnostic]
+    });
+  });
+
+  it('should report server errors', () => {
+    let error: Error | undefined;
+    service.format('pub fn a(){}').subscribe({ error: (e: Error) => (error = e) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/format')
+      .flush({ success: false, message: 'Formatting timed out' }, { status: 408, statusText: 'Request Timeout' });
+
+    expect(error?.message).toBe('Formatting timed out');
+  });
+});
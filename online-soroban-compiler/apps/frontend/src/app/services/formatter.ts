@@ -0,0 +1,73 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, of, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { Diagnostic, ProjectFiles, ProjectSource } from './compiler';
+
+/**
+ * Stable rustfmt options, as written to `rustfmt.toml`
+ */
+export interface RustfmtOptions {
+  max_width?: number;
+  hard_tabs?: boolean;
+  tab_spaces?: number;
+  use_small_heuristics?: 'Default' | 'Off' | 'Max';
+  fn_params_layout?: 'Tall' | 'Compressed' | 'Vertical';
+  reorder_imports?: boolean;
+  reorder_modules?: boolean;
+  match_block_trailing_comma?: boolean;
+  use_field_init_shorthand?: boolean;
+  use_try_shorthand?: boolean;
+}
+
+/**
+ * Formatted files, or the parse errors that kept the code from being formatted
+ */
+export interface FormatResult {
+  success: boolean;
+  message: string;
+  /** Every file of the project, formatted */
+  files?: ProjectFiles;
+  diagnostics: Diagnostic[];
+}
+
+interface FormatResponse {
+  success: boolean;
+  message: string;
+  files?: ProjectFiles;
+  diagnostics?: Diagnostic[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class FormatService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * Format project sources with rustfmt. Code that does not parse is not an
+   * error: the result carries the parse errors instead of files.
+   */
+  format(source: ProjectSource, rustfmt?: RustfmtOptions): Observable<FormatResult> {
+    const request = typeof source === 'string' ? { code: source } : { files: source };
+
+    return this.http.post<FormatResponse>(`${this.API_BASE_URL}/format`, { ...request, ...(rustfmt ? { rustfmt } : {}) })
+      .pipe(
+        catchError((error: HttpErrorResponse) =>
+          error.status === 400 && error.error?.diagnostics ? of(error.error as FormatResponse) : this.handleError(error)
+        ),
+        map(response => ({
+          success: response.success,
+          message: response.message,
+          files: response.files,
+          diagnostics: response.diagnostics ?? []
+        }))
+      );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
@@ -0,0 +1,96 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { BuildRun, BuildRunSummary, HistoryService, RunComparison } from './history';
+
+describe('HistoryService', () => {
+  let service: HistoryService;
+  let httpMock: HttpTestingController;
+
+  const summary: BuildRunSummary = {
+    id: '3f2b7c1e-0000-4000-8000-000000000001',
+    project: 'soroban-contract',
+    kind: 'compile',
+    status: 'succeeded',
+    message: 'Compilation and optimization successful',
+    codeHash: 'c'.repeat(64),
+    diagnostics: { errors: 0, warnings: 1 },
+    wasmSize: 1024,
+    duration: 4200,
+    createdAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(HistoryService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should list the runs of a project', () => {
+    let runs: BuildRunSummary[] | undefined;
+    service.list('counter').subscribe(result => (runs = result));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/history?project=counter');
+    expect(req.request.method).toBe('GET');
+    req.flush({ success: true, message: '1 recorded runs', runs: [summary] });
+
+    expect(runs).toEqual([summary]);
+  });
+
+  it('should load a run with its sources', () => {
+    const run: BuildRun = { ...summary, files: { 'src/lib.rs': '#![no_std]' } };
+    let loaded: BuildRun | undefined;
+    service.get(run.id).subscribe(result => (loaded = result));
+
+    httpMock.expectOne(`http://localhost:3000/api/v1/history/${run.id}`)
+      .flush({ success: true, message: 'Run succeeded', run });
+
+    expect(loaded).toEqual(run);
+  });
+
+  it('should compare a run with an earlier one', () => {
+    const comparison: RunComparison = {
+      files: [],
+      wasmSize: { previous: 1000, current: 1024, change: 24, percent: 2.4 }
+    };
+    let result: RunComparison | undefined;
+    service.compare(summary.id, 'base-id').subscribe(value => (result = value));
+
+    httpMock.expectOne(`http://localhost:3000/api/v1/history/${summary.id}/compare?base=base-id`)
+      .flush({ success: true, message: '0 changed files', base: 'base-id', head: summary.id, comparison });
+
+    expect(result).toEqual(comparison);
+  });
+
+  it('should report unknown runs as errors', () => {
+    let error: Error | undefined;
+    service.get('missing').subscribe({ error: (value: Error) => (error = value) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/history/missing').flush(
+      { success: false, message: 'Run not found' },
+      { status: 404, statusText: 'Not Found' }
+    );
+
+    expect(error?.message).toBe('Run not found');
+  });
+
+  it('should ask anonymous users to sign in', () => {
+    let error: Error | undefined;
+    service.list().subscribe({ error: (value: Error) => (error = value) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/history').flush(
+      { success: false, message: 'Authentication required' },
+      { status: 401, statusText: 'Unauthorized' }
+    );
+
+    expect(error?.message).toBe('Sign in to keep a history of your builds');
+  });
+});
@@ -0,0 +1,153 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse, HttpParams } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { ProjectFiles } from './compiler';
+import { CostChange } from './costs';
+
+/**
+ * A recorded compile or test run, as listed in the history
+ */
+export interface BuildRunSummary {
+  id: string;
+  project: string;
+  kind: 'compile' | 'test';
+  status: 'succeeded' | 'failed';
+  message: string;
+  /** SHA-256 of the sources, dependencies and soroban-sdk version */
+  codeHash: string;
+  /** `rustc --version` of the toolchain, when known */
+  toolchain?: string;
+  sdkVersion?: string;
+  diagnostics: { errors: number; warnings: number };
+  /** Size of the contract wasm, for compiles that produced one */
+  wasmSize?: number;
+  wasmHash?: string;
+  tests?: { total: number; passed: number; failed: number };
+  /** Time the build took in milliseconds */
+  duration: number;
+  cached?: boolean;
+  owner?: string;
+  createdAt: string;
+}
+
+/**
+ * A recorded run with the sources it built
+ */
+export interface BuildRun extends BuildRunSummary {
+  files: ProjectFiles;
+  dependencies?: Record<string, string>;
+  /** Signatures of the contract's exported functions */
+  signatures?: string[];
+}
+
+export interface DiffLine {
+  type: 'context' | 'added' | 'removed';
+  text: string;
+}
+
+export interface DiffHunk {
+  /** 1-based line in the earlier file where the hunk starts */
+  baseStart: number;
+  /** 1-based line in the later file where the hunk starts */
+  headStart: number;
+  lines: DiffLine[];
+}
+
+export interface FileChange {
+  path: string;
+  status: 'added' | 'removed' | 'modified';
+  hunks: DiffHunk[];
+}
+
+/**
+ * How the exported functions of a contract changed between two runs
+ */
+export interface InterfaceChanges {
+  added: string[];
+  removed: string[];
+  changed: { name: string; previous: string; current: string }[];
+}
+
+/**
+ * Differences between a run and an earlier one
+ */
+export interface RunComparison {
+  /** Changed files; unchanged ones are left out */
+  files: FileChange[];
+  /** Set when both runs produced a contract */
+  wasmSize?: CostChange;
+  /** Set when both runs produced a contract */
+  interface?: InterfaceChanges;
+}
+
+interface HistoryResponse {
+  success: boolean;
+  message: string;
+  runs: BuildRunSummary[];
+}
+
+interface BuildRunResponse {
+  success: boolean;
+  message: string;
+  run: BuildRun;
+}
+
+interface RunComparisonResponse {
+  success: boolean;
+  message: string;
+  comparison: RunComparison;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class HistoryService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * List the signed-in user's recorded runs of a project, newest first.
+   * Builds of anonymous users are not recorded.
+   */
+  list(project?: string): Observable<BuildRunSummary[]> {
+    const params = project ? new HttpParams().set('project', project) : undefined;
+    return this.http.get<HistoryResponse>(`${this.API_BASE_URL}/history`, { params })
+      .pipe(
+        map(response => response.runs),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Load a run with the sources it built
+   */
+  get(id: string): Observable<BuildRun> {
+    return this.http.get<BuildRunResponse>(`${this.API_BASE_URL}/history/${encodeURIComponent(id)}`)
+      .pipe(
+        map(response => response.run),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Compare a run with an earlier one
+   */
+  compare(id: string, base: string): Observable<RunComparison> {
+    const params = new HttpParams().set('base', base);
+    return this.http.get<RunComparisonResponse>(`${this.API_BASE_URL}/history/${encodeURIComponent(id)}/compare`, { params })
+      .pipe(
+        map(response => response.comparison),
+        catchError(this.handleError)
+      );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.status === 401
+      ? 'Sign in to keep a history of your builds'
+      : error.status === 404
+        ? 'Run not found'
+        : error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
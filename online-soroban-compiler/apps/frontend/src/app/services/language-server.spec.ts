@@ -0,0 +1,84 @@
+import { LanguageClient, MessageSocket, toDocumentUri, toProjectPath } from './language-server';
+
+class FakeSocket implements MessageSocket {
+  readyState = 1;
+  sent: { jsonrpc?: string; id?: number; method?: string; params?: unknown; result?: unknown }[] = [];
+  private listeners: Record<string, ((event: { data: unknown }) => void)[]> = {};
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(): void {
+    this.readyState = 3;
+    this.emit('close');
+  }
+
+  addEventListener(type: string, listener: (event: { data: unknown }) => void): void {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  emit(type: string, data?: unknown): void {
+    this.listeners[type]?.forEach(listener => listener({ data: JSON.stringify(data) }));
+  }
+}
+
+describe('LanguageClient', () => {
+  let socket: FakeSocket;
+  let client: LanguageClient;
+
+  beforeEach(() => {
+    socket = new FakeSocket();
+    client = new LanguageClient(socket);
+  });
+
+  it('should resolve requests with their results', async () => {
+    const hover = client.request('textDocument/hover', { position: { line: 0, character: 4 } });
+
+    expect(socket.sent[0]).toEqual(jasmine.objectContaining({ id: 1, method: 'textDocument/hover' }));
+    socket.emit('message', { jsonrpc: '2.0', id: 1, result: { contents: 'fn hello()' } });
+
+    expect(await hover).toEqual({ contents: 'fn hello()' });
+  });
+
+  it('should reject failed requests and requests pending on disconnect', async () => {
+    const failed = client.request('textDocument/definition', {});
+    const pending = client.request('textDocument/completion', {});
+
+    socket.emit('message', { jsonrpc: '2.0', id: 1, error: { code: -32603, message: 'file not found' } });
+    socket.close();
+
+    await expectAsync(failed).toBeRejectedWithError('file not found');
+    await expectAsync(pending).toBeRejectedWithError('Language server disconnected');
+    expect(client.isOpen).toBe(false);
+  });
+
+  it('should pass notifications to their handler', () => {
+    const published: unknown[] = [];
+    client.onNotification('textDocument/publishDiagnostics', params => published.push(params));
+
+    socket.emit('message', {
+      jsonrpc: '2.0',
+      method: 'textDocument/publishDiagnostics',
+      params: { uri: 'file:///workspace/src/lib.rs', diagnostics: [] }
+    });
+
+    expect(published).toEqual([{ uri: 'file:///workspace/src/lib.rs', diagnostics: [] }]);
+  });
+
+  it('should answer server requests, with empty settings for configuration', () => {
+    socket.emit('message', { jsonrpc: '2.0', id: 7, method: 'workspace/configuration', params: { items: [{}, {}] } });
+    socket.emit('message', { jsonrpc: '2.0', id: 8, method: 'window/workDoneProgress/create', params: {} });
+
+    expect(socket.sent).toEqual([
+      { jsonrpc: '2.0', id: 7, result: [null, null] },
+      { jsonrpc: '2.0', id: 8, result: null }
+    ]);
+  });
+
+  it('should map project paths to workspace URIs and back', () => {
+    expect(toDocumentUri('src/storage.rs')).toBe('file:///workspace/src/storage.rs');
+    expect(toProjectPath('file:///workspace/src/storage.rs')).toBe('src/storage.rs');
+    expect(toProjectPath('file:///root/.cargo/registry/src/soroban-sdk/src/lib.rs')).toBeUndefined();
+  });
+});
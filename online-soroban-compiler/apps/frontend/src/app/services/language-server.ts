@@ -0,0 +1,184 @@
+import { Injectable, inject } from '@angular/core';
+import { AuthService } from './auth';
+
+/** Root URI of project files in language server messages, e.g. `file:///workspace/src/lib.rs` */
+export const WORKSPACE_URI = 'file:///workspace';
+
+/**
+ * The subset of WebSocket a client needs, so tests can stand in for it
+ */
+export interface MessageSocket {
+  readyState: number;
+  send(data: string): void;
+  close(): void;
+  addEventListener(type: 'message', listener: (event: { data: unknown }) => void): void;
+  addEventListener(type: 'open' | 'close' | 'error', listener: () => void): void;
+}
+
+interface JsonRpcMessage {
+  jsonrpc: '2.0';
+  id?: number | string;
+  method?: string;
+  params?: unknown;
+  result?: unknown;
+  error?: { code: number; message: string };
+}
+
+interface PendingRequest {
+  resolve: (result: unknown) => void;
+  reject: (error: Error) => void;
+}
+
+/** Capabilities the editor supports, so rust-analyzer sends snippets and markdown */
+const CLIENT_CAPABILITIES = {
+  textDocument: {
+    synchronization: { dynamicRegistration: false },
+    completion: {
+      completionItem: { snippetSupport: true, documentationFormat: ['markdown', 'plaintext'] }
+    },
+    hover: { contentFormat: ['markdown', 'plaintext'] },
+    definition: { linkSupport: true },
+    publishDiagnostics: {}
+  },
+  workspace: { configuration: true }
+};
+
+/**
+ * Project path of a document URI, or undefined for files outside the project
+ */
+export function toProjectPath(uri: string): string | undefined {
+  return uri.startsWith(`${WORKSPACE_URI}/`) ? uri.slice(WORKSPACE_URI.length + 1) : undefined;
+}
+
+/**
+ * Document URI of a project file
+ */
+export function toDocumentUri(path: string): string {
+  return `${WORKSPACE_URI}/${path}`;
+}
+
+/**
+ * JSON-RPC client of a language server session, one message per WebSocket message
+ */
+export class LanguageClient {
+  private nextId = 1;
+  private pending = new Map<number | string, PendingRequest>();
+  private handlers = new Map<string, (params: unknown) => void>();
+
+  constructor(private socket: MessageSocket) {
+    socket.addEventListener('message', event => this.receive(String(event.data)));
+    socket.addEventListener('close', () => {
+      this.pending.forEach(request => request.reject(new Error('Language server disconnected')));
+      this.pending.clear();
+    });
+  }
+
+  /** Whether messages can still be sent */
+  get isOpen(): boolean {
+    return this.socket.readyState === 1;
+  }
+
+  /**
+   * Send a request and wait for its result
+   */
+  request<T>(method: string, params: unknown): Promise<T> {
+    if (!this.isOpen) {
+      return Promise.reject(new Error('Language server disconnected'));
+    }
+    const id = this.nextId++;
+    return new Promise<T>((resolve, reject) => {
+      this.pending.set(id, { resolve: result => resolve(result as T), reject });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a notification, which has no result
+   */
+  notify(method: string, params: unknown): void {
+    if (this.isOpen) {
+      this.send({ jsonrpc: '2.0', method, params });
+    }
+  }
+
+  /**
+   * Handle a notification from the server; replaces any previous handler of the method
+   */
+  onNotification<T>(method: string, handler: (params: T) => void): void {
+    this.handlers.set(method, params => handler(params as T));
+  }
+
+  close(): void {
+    this.socket.close();
+  }
+
+  private send(message: JsonRpcMessage): void {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  private receive(data: string): void {
+    let message: JsonRpcMessage;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.method === undefined && message.id !== undefined) {
+      const request = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (message.error) {
+        request?.reject(new Error(message.error.message));
+      } else {
+        request?.resolve(message.result ?? null);
+      }
+    } else if (message.method !== undefined && message.id !== undefined) {
+      this.answer(message);
+    } else if (message.method !== undefined) {
+      this.handlers.get(message.method)?.(message.params);
+    }
+  }
+
+  /**
+   * Answers requests from the server. The editor has no settings of its own,
+   * so rust-analyzer keeps the ones the backend gave it at initialization.
+   */
+  private answer({ id, method, params }: JsonRpcMessage): void {
+    const result = method === 'workspace/configuration'
+      ? ((params as { items?: unknown[] })?.items ?? []).map(() => null)
+      : null;
+    this.send({ jsonrpc: '2.0', id, result });
+  }
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class LanguageServerService {
+  private readonly LSP_URL = 'ws://localhost:3000/api/v1/lsp';
+  private auth = inject(AuthService);
+
+  /**
+   * Start a rust-analyzer session and initialize it for the project
+   */
+  async connect(): Promise<LanguageClient> {
+    const socket = await this.open(this.auth.withToken(this.LSP_URL));
+    const client = new LanguageClient(socket);
+    await client.request('initialize', {
+      processId: null,
+      rootUri: WORKSPACE_URI,
+      workspaceFolders: [{ uri: WORKSPACE_URI, name: 'workspace' }],
+      capabilities: CLIENT_CAPABILITIES
+    });
+    client.notify('initialized', {});
+    return client;
+  }
+
+  private open(url: string): Promise<MessageSocket> {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      socket.addEventListener('open', () => resolve(socket));
+      socket.addEventListener('error', () => reject(new Error('Language server unavailable')));
+    });
+  }
+}
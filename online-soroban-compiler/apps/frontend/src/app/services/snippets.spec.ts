@@ -0,0 +1,75 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { Snippet, SnippetService } from './snippets';
+
+describe('SnippetService', () => {
+  let service: SnippetService;
+  let httpMock: HttpTestingController;
+
+  const snippet: Snippet = {
+    id: 'Ab3dE5gH9k',
+    files: { 'src/lib.rs': '#![no_std]' },
+    createdAt: '2025-01-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(SnippetService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should save files as a new snippet', () => {
+    let saved: Snippet | undefined;
+    service.create(snippet.files).subscribe(result => (saved = result));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/snippets');
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ files: snippet.files });
+    req.flush({ success: true, message: 'Snippet saved', snippet });
+
+    expect(saved).toEqual(snippet);
+  });
+
+  it('should fork a snippet with the edited files', () => {
+    const files = { 'src/lib.rs': '// edited' };
+    service.fork(snippet.id, files).subscribe();
+
+    const req = httpMock.expectOne(`http://localhost:3000/api/v1/snippets/${snippet.id}/fork`);
+    expect(req.request.body).toEqual({ files });
+    req.flush({ success: true, message: 'Forked', snippet: { ...snippet, id: 'Zz9yX8wV7u', files } });
+  });
+
+  it("should list the signed-in user's snippets", () => {
+    let snippets: Snippet[] | undefined;
+    service.list().subscribe(result => (snippets = result));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/snippets');
+    expect(req.request.method).toBe('GET');
+    req.flush({ success: true, message: 'Snippets loaded', snippets: [{ ...snippet, owner: 'alice' }] });
+
+    expect(snippets).toEqual([{ ...snippet, owner: 'alice' }]);
+  });
+
+  it('should report unknown snippets', () => {
+    let error: Error | undefined;
+    service.get('missing').subscribe({ error: (e: Error) => (error = e) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/snippets/missing')
+      .flush({ success: false, message: 'Snippet not found' }, { status: 404, statusText: 'Not Found' });
+
+    expect(error?.message).toBe('Snippet not found');
+  });
+
+  it('should build permalinks on the editor route', () => {
+    expect(service.permalink('Ab3dE5gH9k', 'https://ide.example')).toBe('https://ide.example/s/Ab3dE5gH9k');
+  });
+});
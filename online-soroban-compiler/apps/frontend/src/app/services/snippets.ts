@@ -0,0 +1,99 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { ProjectFiles } from './compiler';
+
+/**
+ * A saved, immutable copy of the editor contents
+ */
+export interface Snippet {
+  /** Short ID used in permalinks */
+  id: string;
+  files: ProjectFiles;
+  dependencies?: Record<string, string>;
+  sdkVersion?: string;
+  /** ID of the snippet this one was forked from */
+  forkedFrom?: string;
+  /** ID of the user who saved the snippet, if they were signed in */
+  owner?: string;
+  createdAt: string;
+}
+
+interface SnippetResponse {
+  success: boolean;
+  message: string;
+  snippet: Snippet;
+}
+
+interface SnippetListResponse {
+  success: boolean;
+  message: string;
+  snippets: Snippet[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class SnippetService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * Save project files as a new snippet
+   */
+  create(files: ProjectFiles): Observable<Snippet> {
+    return this.http.post<SnippetResponse>(`${this.API_BASE_URL}/snippets`, { files })
+      .pipe(
+        map(response => response.snippet),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Load a snippet by its ID
+   */
+  get(id: string): Observable<Snippet> {
+    return this.http.get<SnippetResponse>(`${this.API_BASE_URL}/snippets/${encodeURIComponent(id)}`)
+      .pipe(
+        map(response => response.snippet),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * List the snippets the signed-in user saved, newest first
+   */
+  list(): Observable<Snippet[]> {
+    return this.http.get<SnippetListResponse>(`${this.API_BASE_URL}/snippets`)
+      .pipe(
+        map(response => response.snippets),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Save edited files as a fork of an existing snippet
+   */
+  fork(id: string, files: ProjectFiles): Observable<Snippet> {
+    return this.http.post<SnippetResponse>(`${this.API_BASE_URL}/snippets/${encodeURIComponent(id)}/fork`, { files })
+      .pipe(
+        map(response => response.snippet),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Permalink that opens a snippet in the editor
+   */
+  permalink(id: string, origin = globalThis.location?.origin ?? ''): string {
+    return `${origin}/s/${id}`;
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.status === 404
+      ? 'Snippet not found'
+      : error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
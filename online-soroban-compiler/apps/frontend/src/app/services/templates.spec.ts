@@ -0,0 +1,66 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { ContractTemplate, TemplateService, TemplateSummary } from './templates';
+
+describe('TemplateService', () => {
+  let service: TemplateService;
+  let httpMock: HttpTestingController;
+
+  const summary: TemplateSummary = {
+    id: 'increment',
+    name: 'Increment Counter',
+    description: 'Stores a counter',
+    difficulty: 'beginner',
+    tags: ['storage'],
+    sdkVersion: '22.0.0'
+  };
+  const template: ContractTemplate = {
+    ...summary,
+    files: { 'src/lib.rs': '#![no_std]\nmod test;\n', 'src/test.rs': '#![cfg(test)]\n' }
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(TemplateService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should list the templates', () => {
+    let listed: TemplateSummary[] | undefined;
+    service.list().subscribe(result => (listed = result));
+
+    httpMock.expectOne('http://localhost:3000/api/v1/templates')
+      .flush({ success: true, message: '1 templates', templates: [summary] });
+
+    expect(listed).toEqual([summary]);
+  });
+
+  it('should load a template with its files', () => {
+    let loaded: ContractTemplate | undefined;
+    service.get('increment').subscribe(result => (loaded = result));
+
+    httpMock.expectOne('http://localhost:3000/api/v1/templates/increment')
+      .flush({ success: true, message: 'Loaded template Increment Counter', template });
+
+    expect(loaded).toEqual(template);
+  });
+
+  it('should report unknown templates', () => {
+    let error: Error | undefined;
+    service.get('missing').subscribe({ error: (e: Error) => (error = e) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/templates/missing')
+      .flush({ success: false, message: 'Template not found' }, { status: 404, statusText: 'Not Found' });
+
+    expect(error?.message).toBe('Template not found');
+  });
+});
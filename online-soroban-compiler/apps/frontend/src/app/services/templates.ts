@@ -0,0 +1,75 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+import { ProjectFiles } from './compiler';
+
+/**
+ * Gallery entry for a starter contract
+ */
+export interface TemplateSummary {
+  id: string;
+  name: string;
+  description: string;
+  difficulty: 'beginner' | 'intermediate' | 'advanced';
+  /** Concepts the template covers, e.g. `storage`, `auth` */
+  tags: string[];
+  /** soroban-sdk version the template is written for */
+  sdkVersion: string;
+}
+
+/**
+ * A starter contract with its sources, including a test module
+ */
+export interface ContractTemplate extends TemplateSummary {
+  files: ProjectFiles;
+}
+
+interface TemplateListResponse {
+  success: boolean;
+  message: string;
+  templates: TemplateSummary[];
+}
+
+interface TemplateResponse {
+  success: boolean;
+  message: string;
+  template: ContractTemplate;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class TemplateService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /**
+   * List the available templates without their sources
+   */
+  list(): Observable<TemplateSummary[]> {
+    return this.http.get<TemplateListResponse>(`${this.API_BASE_URL}/templates`)
+      .pipe(
+        map(response => response.templates),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Load a template with its sources
+   */
+  get(id: string): Observable<ContractTemplate> {
+    return this.http.get<TemplateResponse>(`${this.API_BASE_URL}/templates/${encodeURIComponent(id)}`)
+      .pipe(
+        map(response => response.template),
+        catchError(this.handleError)
+      );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.status === 404
+      ? 'Template not found'
+      : error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}
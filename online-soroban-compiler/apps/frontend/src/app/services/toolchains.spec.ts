@@ -0,0 +1,58 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { provideZonelessChangeDetection } from '@angular/core';
+
+import { ToolchainService, VersionMatrix } from './toolchains';
+
+describe('ToolchainService', () => {
+  let service: ToolchainService;
+  let httpMock: HttpTestingController;
+
+  const matrix: VersionMatrix = {
+    toolchains: [
+      { name: 'stable-x86_64-unknown-linux-gnu', rustc: 'rustc 1.84.0', default: true, wasmTarget: true },
+      { name: '1.81.0-x86_64-unknown-linux-gnu', rustc: 'rustc 1.81.0', default: false, wasmTarget: true }
+    ],
+    defaultToolchain: 'stable-x86_64-unknown-linux-gnu',
+    sdkVersions: ['22.0.0', '21.7.7'],
+    defaultSdkVersion: '22.0.0'
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [provideZonelessChangeDetection()]
+    });
+    service = TestBed.inject(ToolchainService);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should list the toolchains and soroban-sdk versions', () => {
+    let result: VersionMatrix | undefined;
+    service.list().subscribe(value => (result = value));
+
+    const req = httpMock.expectOne('http://localhost:3000/api/v1/toolchains');
+    expect(req.request.method).toBe('GET');
+    req.flush({ success: true, message: '2 toolchains available', ...matrix });
+
+    expect(result).toEqual(matrix);
+  });
+
+  it('should start without a selection', () => {
+    expect(service.selection).toEqual({});
+  });
+
+  it('should report server errors', () => {
+    let error: Error | undefined;
+    service.list().subscribe({ error: (value: Error) => (error = value) });
+
+    httpMock.expectOne('http://localhost:3000/api/v1/toolchains')
+      .flush({ success: false, message: 'Internal server error' }, { status: 500, statusText: 'Internal Server Error' });
+
+    expect(error?.message).toBe('Internal server error');
+  });
+});
@@ -0,0 +1,73 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
+
+/**
+ * A Rust toolchain installed on the backend
+ */
+export interface Toolchain {
+  /** Full rustup name, e.g. `1.81.0-x86_64-unknown-linux-gnu` */
+  name: string;
+  /** `rustc --version` of the toolchain */
+  rustc: string;
+  default: boolean;
+  /** Whether it can compile contracts; toolchains without the wasm target cannot be selected */
+  wasmTarget: boolean;
+}
+
+/**
+ * Toolchains and soroban-sdk versions builds can be checked against
+ */
+export interface VersionMatrix {
+  toolchains: Toolchain[];
+  /** Unset when the backend found no rustup toolchains */
+  defaultToolchain?: string;
+  sdkVersions: string[];
+  defaultSdkVersion: string;
+}
+
+/**
+ * Versions sent with every build; unset ones use the backend's defaults
+ */
+export interface VersionSelection {
+  toolchain?: string;
+  sdkVersion?: string;
+}
+
+interface ToolchainsResponse extends VersionMatrix {
+  success: boolean;
+  message: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ToolchainService {
+  private readonly API_BASE_URL = 'http://localhost:3000/api/v1';
+  private http = inject(HttpClient);
+
+  /** Toolchain and soroban-sdk version chosen in the editor */
+  selection: VersionSelection = {};
+
+  /**
+   * List the toolchains and soroban-sdk versions the backend offers
+   */
+  list(): Observable<VersionMatrix> {
+    return this.http.get<ToolchainsResponse>(`${this.API_BASE_URL}/toolchains`)
+      .pipe(
+        map(({ toolchains, defaultToolchain, sdkVersions, defaultSdkVersion }) => ({
+          toolchains,
+          defaultToolchain,
+          sdkVersions,
+          defaultSdkVersion
+        })),
+        catchError(this.handleError)
+      );
+  }
+
+  private handleError(error: HttpErrorResponse): Observable<never> {
+    const message = error.error?.message || `Server Error: ${error.status} - ${error.statusText}`;
+    return throwError(() => new Error(message));
+  }
+}